@@ -0,0 +1,198 @@
+/**
+ * Message Batches Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import { validateBatchRequests } from '../validators/request-validator.js';
+import { formatBatch, formatBatchResult, ITEM_STATUS, BATCH_STATUS } from '../batch/batch-store.js';
+import { BatchWorker } from '../batch/batch-worker.js';
+import { getRequestContext } from '../../utils/request-context.js';
+
+const PARAMS = {
+  model: 'claude-sonnet-4-5',
+  max_tokens: 256,
+  messages: [{ role: 'user', content: 'Hello' }]
+};
+
+function createItem(overrides = {}) {
+  return {
+    id: 1,
+    batch_id: 'msgbatch_test',
+    custom_id: 'req-1',
+    params: JSON.stringify(PARAMS),
+    attempts: 0,
+    group_id: null,
+    locked_by: 'test:1',
+    ...overrides
+  };
+}
+
+function createStore(items = []) {
+  return {
+    expireItems: jest.fn(async () => 0),
+    finalizeBatches: jest.fn(async () => 0),
+    claimItems: jest.fn(async () => items.splice(0)),
+    completeItem: jest.fn(async () => true),
+    releaseItem: jest.fn(async () => {}),
+    releaseOwner: jest.fn(async () => 0)
+  };
+}
+
+function createPool() {
+  return {
+    getNextAccount: jest.fn(async () => ({ id: 'a1', email: 'a1@test' })),
+    incrementApiCall: jest.fn(async () => {}),
+    markAccountSuccess: jest.fn(),
+    markAccountQuotaExhausted: jest.fn(),
+    markAccountError: jest.fn(async () => {}),
+    banAccount: jest.fn(async () => {})
+  };
+}
+
+function createWorker({ store, pool = createPool(), execute, isServiceAvailable = true }) {
+  return new BatchWorker(null, pool, {
+    store,
+    requestLogger: { logSuccess: jest.fn(), logError: jest.fn() },
+    execute,
+    getWorkingStatus: () => ({ isServiceAvailable })
+  });
+}
+
+describe('Message Batches', () => {
+  describe('validateBatchRequests', () => {
+    it('should accept valid requests', () => {
+      expect(validateBatchRequests([{ custom_id: 'req-1', params: PARAMS }]).valid).toBe(true);
+    });
+
+    it('should reject empty lists, bad or duplicate custom_ids and streaming', () => {
+      expect(validateBatchRequests([]).valid).toBe(false);
+      expect(validateBatchRequests([{ custom_id: 'has space', params: PARAMS }]).error.message)
+        .toContain('requests[0].custom_id');
+      expect(validateBatchRequests([
+        { custom_id: 'dup', params: PARAMS },
+        { custom_id: 'dup', params: PARAMS }
+      ]).error.message).toContain('is not unique');
+      expect(validateBatchRequests([{ custom_id: 'req-1', params: { ...PARAMS, stream: true } }]).error.message)
+        .toContain('stream is not supported');
+    });
+
+    it('should report invalid params with their index', () => {
+      const result = validateBatchRequests([
+        { custom_id: 'ok', params: PARAMS },
+        { custom_id: 'bad', params: { ...PARAMS, messages: [] } }
+      ]);
+      expect(result.error.status).toBe(400);
+      expect(result.error.message).toMatch(/^requests\[1\]\.params: /);
+    });
+  });
+
+  describe('formatBatch', () => {
+    const row = {
+      id: 'msgbatch_test',
+      processing_status: BATCH_STATUS.IN_PROGRESS,
+      created_at: 0,
+      expires_at: 86400000,
+      cancel_initiated_at: null,
+      ended_at: null
+    };
+
+    it('should only expose results_url once the batch has ended', () => {
+      expect(formatBatch(row, undefined, 'http://host').results_url).toBeNull();
+
+      const ended = formatBatch({ ...row, processing_status: BATCH_STATUS.ENDED, ended_at: 1000 }, undefined, 'http://host');
+      expect(ended.results_url).toBe('http://host/v1/messages/batches/msgbatch_test/results');
+      expect(ended.ended_at).toBe('1970-01-01T00:00:01.000Z');
+      expect(ended.type).toBe('message_batch');
+    });
+
+    it('should format canceled items without a stored result', () => {
+      expect(formatBatchResult({ custom_id: 'req-1', status: ITEM_STATUS.CANCELED, result: null }))
+        .toEqual({ custom_id: 'req-1', result: { type: 'canceled' } });
+      expect(formatBatchResult({ custom_id: 'req-2', status: ITEM_STATUS.SUCCEEDED, result: '{"type":"succeeded"}' }))
+        .toEqual({ custom_id: 'req-2', result: { type: 'succeeded' } });
+    });
+  });
+
+  describe('BatchWorker', () => {
+    it('should store a succeeded message', async () => {
+      const store = createStore([createItem()]);
+      const execute = jest.fn(async () => ({ content: 'Hi', contentBlocks: [{ type: 'text', text: 'Hi' }], toolCalls: [] }));
+      const worker = createWorker({ store, execute });
+
+      expect(await worker.tick()).toBe(1);
+      await worker.drain();
+
+      const [, { status, result, accountId }] = store.completeItem.mock.calls[0];
+      expect(status).toBe(ITEM_STATUS.SUCCEEDED);
+      expect(accountId).toBe('a1');
+      expect(result.message.content).toEqual([{ type: 'text', text: 'Hi' }]);
+      expect(result.message.stop_reason).toBe('end_turn');
+    });
+
+    it('should put items back after an account error', async () => {
+      const store = createStore([createItem()]);
+      const worker = createWorker({ store, execute: async () => { throw new Error('HTTP 402 Payment Required'); } });
+
+      await worker.tick();
+      await worker.drain();
+
+      expect(store.releaseItem).toHaveBeenCalledWith(expect.objectContaining({ custom_id: 'req-1' }));
+      expect(store.completeItem).not.toHaveBeenCalled();
+    });
+
+    it('should report an errored result once attempts are used up', async () => {
+      const store = createStore([createItem({ attempts: 2 })]);
+      const worker = createWorker({ store, execute: async () => { throw new Error('HTTP 402 Payment Required'); } });
+
+      await worker.tick();
+      await worker.drain();
+
+      const [, { status, result }] = store.completeItem.mock.calls[0];
+      expect(status).toBe(ITEM_STATUS.ERRORED);
+      expect(result.type).toBe('errored');
+      expect(result.error.error.message).toContain('402');
+    });
+
+    it('should release items without an attempt when the pool is exhausted', async () => {
+      const store = createStore([createItem()]);
+      const pool = createPool();
+      pool.getNextAccount.mockRejectedValue(new Error('No available accounts'));
+      const worker = createWorker({ store, pool, execute: jest.fn() });
+
+      await worker.tick();
+      await worker.drain();
+
+      expect(store.releaseItem).toHaveBeenCalledWith(expect.anything(), false);
+    });
+
+    it('should hold account leases only while the item runs', async () => {
+      const store = createStore([createItem()]);
+      const pool = createPool();
+      const lease = { accountId: 'a1', release: jest.fn() };
+      pool.getNextAccount.mockImplementation(async () => {
+        getRequestContext().accountLeases.push(lease);
+        return { id: 'a1', email: 'a1@test' };
+      });
+      const execute = jest.fn(async () => {
+        expect(lease.release).not.toHaveBeenCalled();
+        return { content: 'Hi', contentBlocks: [{ type: 'text', text: 'Hi' }], toolCalls: [] };
+      });
+      const worker = createWorker({ store, pool, execute });
+
+      await worker.tick();
+      await worker.drain();
+
+      expect(execute).toHaveBeenCalled();
+      expect(lease.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not claim items outside working hours', async () => {
+      const store = createStore([createItem()]);
+      const worker = createWorker({ store, execute: jest.fn(), isServiceAvailable: false });
+
+      expect(await worker.tick()).toBe(0);
+      expect(store.finalizeBatches).toHaveBeenCalled();
+      expect(store.claimItems).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Prompt Cache Unit Tests
+ */
+
+import { collectCacheBreakpoints } from '../builders/cache-control.js';
+import { PromptCacheRegistry } from '../cache/prompt-cache.js';
+import { validateCacheControl } from '../validators/request-validator.js';
+import { SSEWriter } from '../response/sse-writer.js';
+
+const LONG_TEXT = 'x'.repeat(8000); // ~2000 estimated tokens
+
+function buildRequest(question, systemCacheControl = { type: 'ephemeral' }) {
+  return {
+    model: 'claude-sonnet-4-5',
+    system: [{ type: 'text', text: LONG_TEXT, ...(systemCacheControl && { cache_control: systemCacheControl }) }],
+    messages: [{ role: 'user', content: question }]
+  };
+}
+
+describe('Prompt Cache', () => {
+  describe('collectCacheBreakpoints', () => {
+    it('should hash the same prefix identically regardless of later content', () => {
+      const a = collectCacheBreakpoints(buildRequest('first question'));
+      const b = collectCacheBreakpoints(buildRequest('a different question'));
+
+      expect(a.breakpoints).toHaveLength(1);
+      expect(a.breakpoints[0].hash).toBe(b.breakpoints[0].hash);
+      expect(a.breakpoints[0].tokens).toBe(2000);
+      expect(a.totalTokens).toBeGreaterThan(a.breakpoints[0].tokens);
+    });
+
+    it('should order tools before system and messages', () => {
+      const request = buildRequest('q', null);
+      request.tools = [{ name: 'get_time', input_schema: { type: 'object' }, cache_control: { type: 'ephemeral', ttl: '1h' } }];
+      request.messages[0].content = [{ type: 'text', text: 'q', cache_control: { type: 'ephemeral' } }];
+
+      const { breakpoints } = collectCacheBreakpoints(request);
+      expect(breakpoints.map(bp => bp.ttl)).toEqual(['1h', '5m']);
+      expect(breakpoints[0].tokens).toBeLessThan(breakpoints[1].tokens);
+    });
+
+    it('should not share hashes across models', () => {
+      const a = collectCacheBreakpoints(buildRequest('q'));
+      const b = collectCacheBreakpoints({ ...buildRequest('q'), model: 'claude-haiku-4-5' });
+      expect(a.breakpoints[0].hash).not.toBe(b.breakpoints[0].hash);
+    });
+  });
+
+  describe('validateCacheControl', () => {
+    it('should reject unknown types and TTLs', () => {
+      expect(validateCacheControl(buildRequest('q', { type: 'persistent' })).error.message)
+        .toBe('system.0.cache_control.type must be "ephemeral"');
+      expect(validateCacheControl(buildRequest('q', { type: 'ephemeral', ttl: '2h' })).valid).toBe(false);
+    });
+
+    it('should allow at most four breakpoints', () => {
+      const block = { type: 'text', text: 'hi', cache_control: { type: 'ephemeral' } };
+      const request = { messages: [{ role: 'user', content: [block, block, block, block] }] };
+      expect(validateCacheControl(request).valid).toBe(true);
+
+      request.messages[0].content.push(block);
+      expect(validateCacheControl(request).error.message).toContain('A maximum of 4 blocks');
+    });
+  });
+
+  describe('PromptCacheRegistry', () => {
+    it('should report a creation first and a read for the same account afterwards', () => {
+      const registry = new PromptCacheRegistry();
+      const { breakpoints, totalTokens } = collectCacheBreakpoints(buildRequest('first question'));
+
+      expect(registry.computeUsage(breakpoints, 'a1', totalTokens)).toEqual({
+        inputTokens: totalTokens - 2000,
+        cacheCreationInputTokens: 2000,
+        cacheReadInputTokens: 0
+      });
+      registry.record(breakpoints, 'a1');
+
+      const next = collectCacheBreakpoints(buildRequest('a different question'));
+      expect(registry.findAccount(next.breakpoints)).toBe('a1');
+      expect(registry.computeUsage(next.breakpoints, 'a1', next.totalTokens).cacheReadInputTokens).toBe(2000);
+      expect(registry.computeUsage(next.breakpoints, 'a2', next.totalTokens).cacheCreationInputTokens).toBe(2000);
+    });
+
+    it('should count only the new part of a longer prefix as a creation', () => {
+      const registry = new PromptCacheRegistry();
+      const first = collectCacheBreakpoints(buildRequest('q'));
+      registry.record(first.breakpoints, 'a1');
+
+      const request = buildRequest('q');
+      request.messages[0].content = [{ type: 'text', text: LONG_TEXT, cache_control: { type: 'ephemeral' } }];
+      const { breakpoints, totalTokens } = collectCacheBreakpoints(request);
+
+      expect(registry.computeUsage(breakpoints, 'a1', totalTokens)).toEqual({
+        inputTokens: 0,
+        cacheCreationInputTokens: 2000,
+        cacheReadInputTokens: 2000
+      });
+    });
+
+    it('should ignore short prefixes and expire entries after their TTL', () => {
+      let now = 0;
+      const registry = new PromptCacheRegistry({ now: () => now });
+      const short = collectCacheBreakpoints({ messages: [{ role: 'user', content: [{ type: 'text', text: 'hi', cache_control: { type: 'ephemeral' } }] }] });
+      registry.record(short.breakpoints, 'a1');
+      expect(registry.size).toBe(0);
+
+      const { breakpoints } = collectCacheBreakpoints(buildRequest('q'));
+      registry.record(breakpoints, 'a1');
+      now = 5 * 60 * 1000 - 1;
+      expect(registry.findAccount(breakpoints)).toBe('a1');
+      now = 5 * 60 * 1000;
+      expect(registry.findAccount(breakpoints)).toBeNull();
+    });
+
+    it('should forget prefixes of an account and evict the oldest entries', () => {
+      const registry = new PromptCacheRegistry({ maxEntries: 1 });
+      const a = collectCacheBreakpoints(buildRequest('q'));
+      const b = collectCacheBreakpoints({ ...buildRequest('q'), model: 'claude-haiku-4-5' });
+      registry.record(a.breakpoints, 'a1');
+      registry.record(b.breakpoints, 'a2');
+
+      expect(registry.findAccount(a.breakpoints)).toBeNull();
+      registry.forgetAccount('a2');
+      expect(registry.size).toBe(0);
+    });
+  });
+
+  describe('SSEWriter usage', () => {
+    it('should include cache usage in message_start', () => {
+      const chunks = [];
+      const writer = new SSEWriter({ write: chunk => chunks.push(chunk) }, 'claude-sonnet-4-5');
+      writer.writeMessageStart(10, { cacheCreationInputTokens: 0, cacheReadInputTokens: 2000 });
+
+      const data = JSON.parse(chunks[0].split('\n')[1].slice('data: '.length));
+      expect(data.message.usage).toEqual({
+        input_tokens: 10,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: 2000,
+        output_tokens: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Message Batch Store
+ *
+ * MySQL persistence for the Message Batches API: batches live in message_batches,
+ * their requests and results in message_batch_items. Items move
+ * pending -> processing -> succeeded | errored, or to canceled / expired.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { BATCH_EXPIRY_MS } from '../constants.js';
+
+// MySQL named lock serializing item claims, so the concurrency cap holds across processes
+const CLAIM_LOCK_NAME = 'kiro:batch:claim';
+
+// Rows per INSERT when creating a batch
+const INSERT_CHUNK_SIZE = 500;
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  ERRORED: 'errored',
+  CANCELED: 'canceled',
+  EXPIRED: 'expired'
+};
+
+export const BATCH_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  CANCELING: 'canceling',
+  ENDED: 'ended'
+};
+
+/**
+ * Generate a batch ID
+ * @returns {string}
+ */
+export function createBatchId() {
+  return `msgbatch_${uuidv4().replace(/-/g, '').substring(0, 24)}`;
+}
+
+/**
+ * Format a millisecond timestamp as RFC 3339
+ * @param {number|null} ms - Timestamp
+ * @returns {string|null}
+ */
+function toIso(ms) {
+  return ms ? new Date(Number(ms)).toISOString() : null;
+}
+
+/**
+ * Build an empty request_counts object
+ * @returns {Object}
+ */
+function emptyCounts() {
+  return { processing: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+}
+
+/**
+ * Format a batch row as a Message Batch object
+ * @param {Object} row - message_batches row
+ * @param {Object} counts - request_counts
+ * @param {string} baseUrl - Base URL for results_url
+ * @returns {Object}
+ */
+export function formatBatch(row, counts = emptyCounts(), baseUrl = '') {
+  const ended = row.processing_status === BATCH_STATUS.ENDED;
+  return {
+    id: row.id,
+    type: 'message_batch',
+    processing_status: row.processing_status,
+    request_counts: counts,
+    ended_at: toIso(row.ended_at),
+    created_at: toIso(row.created_at),
+    expires_at: toIso(row.expires_at),
+    archived_at: null,
+    cancel_initiated_at: toIso(row.cancel_initiated_at),
+    results_url: ended ? `${baseUrl}/v1/messages/batches/${row.id}/results` : null
+  };
+}
+
+/**
+ * Format an item row as a results JSONL line object
+ * @param {Object} item - message_batch_items row
+ * @returns {Object}
+ */
+export function formatBatchResult(item) {
+  let result;
+  if (item.status === ITEM_STATUS.CANCELED || item.status === ITEM_STATUS.EXPIRED) {
+    result = { type: item.status };
+  } else {
+    result = JSON.parse(item.result);
+  }
+  return { custom_id: item.custom_id, result };
+}
+
+export class BatchStore {
+  constructor(dbPool) {
+    this.dbPool = dbPool;
+  }
+
+  /**
+   * Create a batch and its items
+   * @param {Object} options
+   * @param {Array<{custom_id: string, params: Object}>} options.requests - Validated requests
+   * @param {string|null} options.groupId - Group of the API key creating the batch
+   * @param {string|null} options.apiKeyId - API key creating the batch (charged for item usage)
+   * @returns {Promise<Object>} message_batches row
+   */
+  async createBatch({ requests, groupId = null, apiKeyId = null }) {
+    const now = Date.now();
+    const row = {
+      id: createBatchId(),
+      group_id: groupId,
+      api_key_id: apiKeyId,
+      processing_status: BATCH_STATUS.IN_PROGRESS,
+      request_count: requests.length,
+      created_at: now,
+      expires_at: now + BATCH_EXPIRY_MS,
+      cancel_initiated_at: null,
+      ended_at: null
+    };
+
+    const conn = await this.dbPool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(
+        `INSERT INTO message_batches (id, group_id, api_key_id, processing_status, request_count, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [row.id, row.group_id, row.api_key_id, row.processing_status, row.request_count, row.created_at, row.expires_at]
+      );
+
+      for (let i = 0; i < requests.length; i += INSERT_CHUNK_SIZE) {
+        const values = requests.slice(i, i + INSERT_CHUNK_SIZE)
+          .map(r => [row.id, r.custom_id, JSON.stringify(r.params), ITEM_STATUS.PENDING, now]);
+        await conn.query(
+          'INSERT INTO message_batch_items (batch_id, custom_id, params, status, updated_at) VALUES ?',
+          [values]
+        );
+      }
+
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+
+    return row;
+  }
+
+  /**
+   * Get a batch visible to a group
+   * @param {string} batchId - Batch ID
+   * @param {string|null} groupId - Group of the calling API key
+   * @returns {Promise<Object|null>}
+   */
+  async getBatch(batchId, groupId = null) {
+    const [rows] = await this.dbPool.query(
+      'SELECT * FROM message_batches WHERE id = ? AND group_id <=> ?',
+      [batchId, groupId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Get request_counts for batches
+   * @param {Array<string>} batchIds - Batch IDs
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getRequestCounts(batchIds) {
+    const counts = new Map(batchIds.map(id => [id, emptyCounts()]));
+    if (batchIds.length === 0) return counts;
+
+    const [rows] = await this.dbPool.query(
+      `SELECT batch_id, status, COUNT(*) as count
+       FROM message_batch_items
+       WHERE batch_id IN (?)
+       GROUP BY batch_id, status`,
+      [batchIds]
+    );
+
+    for (const row of rows) {
+      const batchCounts = counts.get(row.batch_id);
+      const key = row.status === ITEM_STATUS.PENDING ? 'processing' : row.status;
+      batchCounts[key] += Number(row.count);
+    }
+    return counts;
+  }
+
+  /**
+   * List batches of a group, most recent first
+   * @param {Object} options
+   * @param {string|null} options.groupId - Group of the calling API key
+   * @param {number} options.limit - Page size
+   * @param {string} [options.beforeId] - Return the page just before this batch
+   * @param {string} [options.afterId] - Return the page just after this batch
+   * @returns {Promise<{rows: Array, hasMore: boolean}|null>} null when the cursor batch does not exist
+   */
+  async listBatches({ groupId = null, limit, beforeId = null, afterId = null }) {
+    const cursorId = beforeId || afterId;
+    let where = 'group_id <=> ?';
+    const params = [groupId];
+    let order = 'DESC';
+
+    if (cursorId) {
+      const cursor = await this.getBatch(cursorId, groupId);
+      if (!cursor) return null;
+      if (afterId) {
+        where += ' AND (created_at < ? OR (created_at = ? AND id < ?))';
+      } else {
+        where += ' AND (created_at > ? OR (created_at = ? AND id > ?))';
+        order = 'ASC';
+      }
+      params.push(cursor.created_at, cursor.created_at, cursor.id);
+    }
+
+    const [rows] = await this.dbPool.query(
+      `SELECT * FROM message_batches WHERE ${where} ORDER BY created_at ${order}, id ${order} LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    return { rows: order === 'ASC' ? page.reverse() : page, hasMore };
+  }
+
+  /**
+   * Start canceling a batch: pending items are canceled right away,
+   * items already being processed finish normally
+   * @param {string} batchId - Batch ID
+   */
+  async cancelBatch(batchId) {
+    const now = Date.now();
+    await this.dbPool.query(
+      `UPDATE message_batches SET processing_status = ?, cancel_initiated_at = ?
+       WHERE id = ? AND processing_status = ?`,
+      [BATCH_STATUS.CANCELING, now, batchId, BATCH_STATUS.IN_PROGRESS]
+    );
+    await this.dbPool.query(
+      'UPDATE message_batch_items SET status = ?, updated_at = ? WHERE batch_id = ? AND status = ?',
+      [ITEM_STATUS.CANCELED, now, batchId, ITEM_STATUS.PENDING]
+    );
+  }
+
+  /**
+   * Get finished items of a batch in submission order
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Array>}
+   */
+  async getResults(batchId) {
+    const [rows] = await this.dbPool.query(
+      'SELECT custom_id, status, result FROM message_batch_items WHERE batch_id = ? ORDER BY id',
+      [batchId]
+    );
+    return rows;
+  }
+
+  /**
+   * Expire pending items of batches past their expiry
+   * @returns {Promise<number>} Number of expired items
+   */
+  async expireItems() {
+    const now = Date.now();
+    const [result] = await this.dbPool.query(
+      `UPDATE message_batch_items SET status = ?, updated_at = ?
+       WHERE status = ? AND batch_id IN (
+         SELECT id FROM message_batches WHERE processing_status = ? AND expires_at <= ?
+       )`,
+      [ITEM_STATUS.EXPIRED, now, ITEM_STATUS.PENDING, BATCH_STATUS.IN_PROGRESS, now]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Claim pending items for processing
+   *
+   * Items left in processing by a process that died are reclaimed once their
+   * lease runs out. The number of live claims across all processes never
+   * exceeds maxInFlight.
+   *
+   * @param {Object} options
+   * @param {string} options.owner - Claiming process
+   * @param {number} options.limit - Most items this process can take
+   * @param {number} options.maxInFlight - Global concurrency cap
+   * @param {number} options.leaseMs - Claim lease
+   * @returns {Promise<Array>} Claimed items with their batch group_id and api_key_id
+   */
+  async claimItems({ owner, limit, maxInFlight, leaseMs }) {
+    const conn = await this.dbPool.getConnection();
+    try {
+      const [lockRows] = await conn.query('SELECT GET_LOCK(?, 5) as lockResult', [CLAIM_LOCK_NAME]);
+      if (lockRows[0]?.lockResult !== 1) return [];
+
+      try {
+        const now = Date.now();
+        const staleBefore = now - leaseMs;
+        const [inFlightRows] = await conn.query(
+          'SELECT COUNT(*) as count FROM message_batch_items WHERE status = ? AND locked_at > ?',
+          [ITEM_STATUS.PROCESSING, staleBefore]
+        );
+        const available = Math.min(limit, maxInFlight - Number(inFlightRows[0].count));
+        if (available <= 0) return [];
+
+        const claimId = `${owner}:${uuidv4()}`;
+        await conn.query(
+          `UPDATE message_batch_items
+           SET status = ?, locked_by = ?, locked_at = ?, updated_at = ?
+           WHERE status = ? OR (status = ? AND locked_at <= ?)
+           ORDER BY id
+           LIMIT ?`,
+          [ITEM_STATUS.PROCESSING, claimId, now, now, ITEM_STATUS.PENDING, ITEM_STATUS.PROCESSING, staleBefore, available]
+        );
+
+        const [items] = await conn.query(
+          `SELECT i.id, i.batch_id, i.custom_id, i.params, i.attempts, i.locked_by, b.group_id, b.api_key_id
+           FROM message_batch_items i
+           JOIN message_batches b ON b.id = i.batch_id
+           WHERE i.locked_by = ?
+           ORDER BY i.id`,
+          [claimId]
+        );
+        return items;
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [CLAIM_LOCK_NAME]);
+      }
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * Store the final result of a claimed item
+   * @param {Object} item - Claimed item
+   * @param {Object} outcome
+   * @param {string} outcome.status - ITEM_STATUS.SUCCEEDED or ITEM_STATUS.ERRORED
+   * @param {Object} outcome.result - Result object for the results JSONL
+   * @param {string|null} outcome.accountId - Account that served the request
+   * @returns {Promise<boolean>} false if the claim was lost (lease expired and reclaimed)
+   */
+  async completeItem(item, { status, result, accountId = null }) {
+    const [res] = await this.dbPool.query(
+      `UPDATE message_batch_items
+       SET status = ?, result = ?, account_id = ?, attempts = attempts + 1,
+           locked_by = NULL, locked_at = NULL, updated_at = ?
+       WHERE id = ? AND locked_by = ?`,
+      [status, JSON.stringify(result), accountId, Date.now(), item.id, item.locked_by]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Put a claimed item back to pending so it is retried later
+   * (or cancel it if its batch was canceled in the meantime)
+   * @param {Object} item - Claimed item
+   * @param {boolean} countAttempt - Whether this run counts towards the attempt limit
+   */
+  async releaseItem(item, countAttempt = true) {
+    await this.dbPool.query(
+      `UPDATE message_batch_items
+       SET status = CASE
+             WHEN (SELECT processing_status FROM message_batches WHERE id = batch_id) = ? THEN ?
+             ELSE ?
+           END,
+           attempts = attempts + ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+       WHERE id = ? AND locked_by = ?`,
+      [BATCH_STATUS.CANCELING, ITEM_STATUS.CANCELED, ITEM_STATUS.PENDING,
+        countAttempt ? 1 : 0, Date.now(), item.id, item.locked_by]
+    );
+  }
+
+  /**
+   * Put all items claimed by a process back to pending (graceful shutdown)
+   * @param {string} owner - Process passed to claimItems()
+   */
+  async releaseOwner(owner) {
+    await this.dbPool.query(
+      `UPDATE message_batch_items
+       SET status = ?, locked_by = NULL, locked_at = NULL, updated_at = ?
+       WHERE status = ? AND locked_by LIKE ?`,
+      [ITEM_STATUS.PENDING, Date.now(), ITEM_STATUS.PROCESSING, `${owner}:%`]
+    );
+  }
+
+  /**
+   * Mark batches ended once none of their items are pending or processing
+   * @returns {Promise<number>} Number of batches ended
+   */
+  async finalizeBatches() {
+    const [result] = await this.dbPool.query(
+      `UPDATE message_batches b
+       SET b.processing_status = ?, b.ended_at = ?
+       WHERE b.processing_status IN (?, ?)
+         AND NOT EXISTS (
+           SELECT 1 FROM message_batch_items i
+           WHERE i.batch_id = b.id AND i.status IN (?, ?)
+         )`,
+      [BATCH_STATUS.ENDED, Date.now(), BATCH_STATUS.IN_PROGRESS, BATCH_STATUS.CANCELING,
+        ITEM_STATUS.PENDING, ITEM_STATUS.PROCESSING]
+    );
+    return result.affectedRows;
+  }
+}
+
+export default BatchStore;
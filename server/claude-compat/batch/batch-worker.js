@@ -0,0 +1,281 @@
+/**
+ * Message Batch Worker
+ *
+ * Background processor for the Message Batches API. Polls message_batch_items,
+ * claims pending requests up to a concurrency cap shared by all processes, and
+ * runs each one as a non-streaming Messages request on an account from AccountPool.
+ *
+ * - Pauses outside working hours (utils/working-hours.js); queued items wait.
+ * - Claims carry a lease: items left in processing by a crashed or restarted
+ *   process are picked up again once the lease runs out.
+ * - Account errors retry on another account, then put the item back to pending
+ *   until BATCH_ITEM_MAX_ATTEMPTS is reached.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import KiroClient from '../../kiro/index.js';
+import RequestLogger from '../../openai-compat/request-logger.js';
+import { UsageTracker } from '../../openai-compat/token-counter.js';
+import { executeWithAccountRetry, recordAccountFailure, accountLogFields } from '../../openai-compat/request-executor.js';
+import { releaseContextLeases } from '../../openai-compat/account-concurrency.js';
+import { runWithRequestContext } from '../../utils/request-context.js';
+import { isBannedError, isQuotaExhaustedError } from '../../utils/retry-utils.js';
+import { getWorkingStatus } from '../../utils/working-hours.js';
+import { DEFAULT_MODEL } from '../constants.js';
+import { collectCacheBreakpoints } from '../builders/cache-control.js';
+import { buildClaudeMessage, categorizeError } from '../handlers/non-stream-handler.js';
+import { processSystemPrompt } from '../claude-converter.js';
+import { BatchStore, ITEM_STATUS } from './batch-store.js';
+
+// Requests processed at the same time across all processes, default 4
+export const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '4', 10);
+
+// Poll interval, default 2 seconds
+export const BATCH_POLL_INTERVAL_MS = parseInt(process.env.BATCH_POLL_INTERVAL_MS || '2000', 10);
+
+// Claims older than this are considered abandoned
+export const BATCH_ITEM_LEASE_MS = 10 * 60 * 1000;
+
+// Runs per request before it is reported as errored
+export const BATCH_ITEM_MAX_ATTEMPTS = 3;
+
+export const BATCH_API_PROTOCOL = 'claude-batch';
+
+export class BatchWorker {
+  /**
+   * @param {Object} dbPool - MySQL pool
+   * @param {Object} accountPool - Shared AccountPool
+   * @param {Object} options
+   * @param {Object} [options.systemLogger] - System logger passed to KiroClient
+   * @param {BatchStore} [options.store] - Store, defaults to a BatchStore on dbPool
+   * @param {RequestLogger} [options.requestLogger] - Request logger, defaults to one on dbPool
+   * @param {number} [options.concurrency] - Concurrency cap
+   * @param {Function} [options.execute] - async (account, params) => parsed Kiro response
+   * @param {Function} [options.getWorkingStatus] - Working hours check
+   */
+  constructor(dbPool, accountPool, options = {}) {
+    this.accountPool = accountPool;
+    this.systemLogger = options.systemLogger || null;
+    this.store = options.store || new BatchStore(dbPool);
+    this.requestLogger = options.requestLogger || new RequestLogger(dbPool);
+    this.concurrency = options.concurrency || BATCH_CONCURRENCY;
+    this.pollIntervalMs = options.pollIntervalMs || BATCH_POLL_INTERVAL_MS;
+    this.leaseMs = options.leaseMs || BATCH_ITEM_LEASE_MS;
+    this.maxAttempts = options.maxAttempts || BATCH_ITEM_MAX_ATTEMPTS;
+    this.execute = options.execute || ((account, params) => this.executeRequest(account, params));
+    this.getWorkingStatus = options.getWorkingStatus || getWorkingStatus;
+
+    this.owner = `${process.env.SERVER_ID || 'default'}:${process.pid}`;
+    this.active = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+    console.log(`[BatchWorker] Starting (concurrency: ${this.concurrency}, poll interval: ${this.pollIntervalMs}ms)`);
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('[BatchWorker] Tick failed:', error.message);
+      });
+    }, this.pollIntervalMs);
+  }
+
+  /**
+   * Stop polling and hand claimed items back so they resume after restart
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.active.size > 0) {
+      await this.store.releaseOwner(this.owner);
+      console.log(`[BatchWorker] Released ${this.active.size} in-flight requests`);
+    }
+    console.log('[BatchWorker] Stopped');
+  }
+
+  /**
+   * One polling round: expire, finalize, then claim and start new items
+   * @returns {Promise<number>} Number of items started
+   */
+  async tick() {
+    if (this.ticking) return 0;
+    this.ticking = true;
+
+    try {
+      const expired = await this.store.expireItems();
+      if (expired > 0) {
+        console.log(`[BatchWorker] Expired ${expired} requests`);
+      }
+      await this.store.finalizeBatches();
+
+      if (!this.getWorkingStatus().isServiceAvailable) return 0;
+
+      const free = this.concurrency - this.active.size;
+      if (free <= 0) return 0;
+
+      const items = await this.store.claimItems({
+        owner: this.owner,
+        limit: free,
+        maxInFlight: this.concurrency,
+        leaseMs: this.leaseMs
+      });
+
+      for (const item of items) {
+        const task = this.processItem(item)
+          .catch(error => {
+            console.error(`[BatchWorker] Failed to process ${item.batch_id}/${item.custom_id}:`, error.message);
+          })
+          .finally(() => this.active.delete(item.id));
+        this.active.set(item.id, task);
+      }
+      return items.length;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Wait for items started by this process to finish
+   */
+  async drain() {
+    await Promise.all(this.active.values());
+  }
+
+  /**
+   * Run a claimed item and store its result
+   * Runs in its own request context so AccountPool takes in-flight leases and batch
+   * traffic counts against the same per-account concurrency limits as live requests.
+   * @param {Object} item - Claimed item from BatchStore.claimItems()
+   */
+  async processItem(item) {
+    const context = { accountLeases: [] };
+    try {
+      return await runWithRequestContext(context, () => this.runItem(item));
+    } finally {
+      releaseContextLeases(context);
+    }
+  }
+
+  /**
+   * @param {Object} item - Claimed item from BatchStore.claimItems()
+   */
+  async runItem(item) {
+    const params = JSON.parse(item.params);
+    const groupId = item.group_id || null;
+    const model = params.model || DEFAULT_MODEL;
+    const startTime = Date.now();
+
+    let account;
+    try {
+      account = await this.accountPool.getNextAccount(groupId);
+    } catch (error) {
+      // Pool exhausted: wait for the next round without using up an attempt
+      console.warn(`[BatchWorker] No available account for ${item.batch_id}/${item.custom_id}: ${error.message}`);
+      await this.store.releaseItem(item, false);
+      return;
+    }
+    await this.accountPool.incrementApiCall(account.id);
+
+    const ctx = { account, groupId, pinned: false, retryCount: 0 };
+    const inputTokens = collectCacheBreakpoints(params).totalTokens;
+    const logFields = {
+      requestId: uuidv4(),
+      model,
+      isStream: false,
+      requestTokens: inputTokens,
+      isThinking: params.thinking?.type === 'enabled',
+      thinkingBudget: params.thinking?.budget_tokens || 0,
+      apiProtocol: BATCH_API_PROTOCOL,
+      // Charge usage to the API key that created the batch
+      apiKeyId: item.api_key_id || null,
+      groupId
+    };
+
+    try {
+      const parsed = await executeWithAccountRetry(this.accountPool, ctx, acc => this.execute(acc, params));
+      this.accountPool.markAccountSuccess(ctx.account.id);
+
+      const message = buildClaudeMessage(parsed, { model, inputTokens });
+      const usageTracker = new UsageTracker();
+      usageTracker.trackParsed(parsed);
+      await this.store.completeItem(item, {
+        status: ITEM_STATUS.SUCCEEDED,
+        result: { type: 'succeeded', message },
+        accountId: ctx.account.id
+      });
+
+      this.requestLogger.logSuccess({
+        ...logFields,
+        ...accountLogFields(ctx.account),
+        responseTokens: message.usage.output_tokens,
+        credits: usageTracker.meteredCredits,
+        durationMs: Date.now() - startTime
+      });
+    } catch (error) {
+      const errorType = await recordAccountFailure(this.accountPool, ctx.account, error);
+      this.requestLogger.logError({
+        ...logFields,
+        ...accountLogFields(ctx.account),
+        errorType,
+        errorMessage: error.message,
+        durationMs: Date.now() - startTime
+      });
+
+      // Account problems may clear up; retry later on a fresh account
+      if (errorType !== 'api_error' && item.attempts + 1 < this.maxAttempts) {
+        console.warn(`[BatchWorker] ${item.batch_id}/${item.custom_id} failed (${errorType}), will retry: ${error.message}`);
+        await this.store.releaseItem(item);
+        return;
+      }
+
+      const { errorType: resultErrorType } = categorizeError(error, { isBannedError, isQuotaExhaustedError });
+      await this.store.completeItem(item, {
+        status: ITEM_STATUS.ERRORED,
+        result: {
+          type: 'errored',
+          error: { type: 'error', error: { type: resultErrorType, message: error.message } }
+        },
+        accountId: ctx.account.id
+      });
+    }
+  }
+
+  /**
+   * Send one Messages request to Kiro
+   * @param {Object} account - Account to use
+   * @param {Object} params - Messages API request body
+   * @returns {Promise<Object>} Parsed Kiro response
+   */
+  async executeRequest(account, params) {
+    const client = new KiroClient(account, this.systemLogger);
+    const { response, newTokens } = await client.callApi(params.messages, params.model || DEFAULT_MODEL, {
+      system: processSystemPrompt(params.system),
+      tools: params.tools,
+      requestBody: {
+        thinking: params.thinking,
+        max_tokens: params.max_tokens,
+        temperature: params.temperature,
+        top_p: params.top_p,
+        top_k: params.top_k,
+        stop_sequences: params.stop_sequences,
+        tool_choice: params.tool_choice
+      }
+    });
+
+    if (newTokens) {
+      const expiresAt = Date.now() + (newTokens.expiresIn || 3600) * 1000;
+      await this.accountPool.updateAccountToken(account.id, newTokens.accessToken, newTokens.refreshToken, expiresAt);
+      console.log(`[BatchWorker] Token refreshed for ${account.email}`);
+    }
+
+    return client.parseResponse(Buffer.from(await response.arrayBuffer()));
+  }
+}
+
+export default BatchWorker;
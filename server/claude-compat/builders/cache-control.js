@@ -0,0 +1,122 @@
+/**
+ * Cache Control
+ *
+ * Finds cache_control breakpoints in Claude requests and hashes the prompt prefix
+ * ending at each breakpoint. Kiro has no prompt caching API, so the hashes feed a
+ * local registry that reports cache usage and keeps cached prefixes on one account.
+ */
+
+import { createHash } from 'crypto';
+import { estimateTokens } from '../../openai-compat/token-counter.js';
+import { PROMPT_CACHE_TTLS } from '../constants.js';
+
+// Token estimate for an image block, same as /v1/messages/count_tokens
+const IMAGE_TOKENS = 1600;
+
+/**
+ * List cacheable blocks in prompt order: tools, then system, then messages
+ * @param {Object} claudeRequest - Claude API request
+ * @returns {Array<{block: Object, path: string, role: string}>}
+ */
+export function listCacheableBlocks(claudeRequest) {
+  const blocks = [];
+
+  (Array.isArray(claudeRequest.tools) ? claudeRequest.tools : []).forEach((tool, i) => {
+    blocks.push({ block: tool, path: `tools.${i}`, role: 'tools' });
+  });
+
+  const { system } = claudeRequest;
+  if (typeof system === 'string' && system) {
+    blocks.push({ block: { type: 'text', text: system }, path: 'system', role: 'system' });
+  } else if (Array.isArray(system)) {
+    system.forEach((block, i) => {
+      blocks.push({ block, path: `system.${i}`, role: 'system' });
+    });
+  }
+
+  (Array.isArray(claudeRequest.messages) ? claudeRequest.messages : []).forEach((message, i) => {
+    if (!message) return;
+    if (typeof message.content === 'string') {
+      blocks.push({ block: { type: 'text', text: message.content }, path: `messages.${i}.content`, role: message.role });
+    } else if (Array.isArray(message.content)) {
+      message.content.forEach((block, j) => {
+        blocks.push({ block, path: `messages.${i}.content.${j}`, role: message.role });
+      });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Estimate tokens of a single block
+ * @param {Object} block - Tool definition or content block
+ * @param {string} role - Section or message role the block belongs to
+ * @returns {number}
+ */
+function estimateBlockTokens(block, role) {
+  if (!block || typeof block !== 'object') return 0;
+  if (role === 'tools') {
+    return estimateTokens(block.name || '') +
+      estimateTokens(block.description || '') +
+      estimateTokens(JSON.stringify(block.input_schema || {}));
+  }
+  switch (block.type) {
+    case 'text':
+      return estimateTokens(block.text || '');
+    case 'thinking':
+      return estimateTokens(block.thinking || '');
+    case 'image':
+      return IMAGE_TOKENS;
+    case 'tool_use':
+      return estimateTokens(block.name || '') + estimateTokens(JSON.stringify(block.input || {}));
+    case 'tool_result':
+      return estimateTokens(typeof block.content === 'string' ? block.content : JSON.stringify(block.content));
+    default:
+      return estimateTokens(JSON.stringify(block));
+  }
+}
+
+/**
+ * Serialize a block for hashing. cache_control itself is left out so moving a
+ * breakpoint does not change the hash of the content before it.
+ * @param {Object} block - Tool definition or content block
+ * @param {string} role - Section or message role the block belongs to
+ * @returns {string}
+ */
+function canonicalBlock(block, role) {
+  if (!block || typeof block !== 'object') {
+    return JSON.stringify([role, block]);
+  }
+  const { cache_control, ...rest } = block;
+  return JSON.stringify([role, rest]);
+}
+
+/**
+ * Collect cache breakpoints of a Claude request
+ *
+ * Each breakpoint carries a hash of the model and everything up to and including
+ * its block, and the estimated token count of that prefix.
+ *
+ * @param {Object} claudeRequest - Claude API request
+ * @returns {{breakpoints: Array<{hash: string, tokens: number, ttl: string}>, totalTokens: number}}
+ */
+export function collectCacheBreakpoints(claudeRequest) {
+  const breakpoints = [];
+  let hash = claudeRequest.model || '';
+  let tokens = 0;
+
+  for (const { block, role } of listCacheableBlocks(claudeRequest)) {
+    hash = createHash('sha256').update(hash).update(canonicalBlock(block, role)).digest('hex');
+    tokens += estimateBlockTokens(block, role);
+
+    if (block && block.cache_control) {
+      const ttl = PROMPT_CACHE_TTLS[block.cache_control.ttl] ? block.cache_control.ttl : '5m';
+      breakpoints.push({ hash, tokens, ttl });
+    }
+  }
+
+  return { breakpoints, totalTokens: tokens };
+}
+
+export default collectCacheBreakpoints;
@@ -0,0 +1,156 @@
+/**
+ * Prompt Cache Registry
+ *
+ * Local stand-in for Anthropic prompt caching. Remembers which account last served
+ * each cached prefix hash so usage can report cache reads/creations and requests
+ * sharing a prefix can be routed back to that account.
+ * State is per process; entries expire with the breakpoint TTL.
+ */
+
+import {
+  PROMPT_CACHE_MIN_TOKENS,
+  PROMPT_CACHE_TTLS,
+  PROMPT_CACHE_MAX_ENTRIES
+} from '../constants.js';
+
+export class PromptCacheRegistry {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries] - Oldest entries are evicted beyond this size
+   * @param {number} [options.minTokens] - Prefixes shorter than this are not cached
+   * @param {Function} [options.now] - Clock, overridable in tests
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || PROMPT_CACHE_MAX_ENTRIES;
+    this.minTokens = options.minTokens ?? PROMPT_CACHE_MIN_TOKENS;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a live entry, dropping it if expired
+   * @private
+   */
+  getEntry(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(hash);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Breakpoints long enough to be cached
+   * @private
+   */
+  cacheable(breakpoints) {
+    return (breakpoints || []).filter(bp => bp.tokens >= this.minTokens);
+  }
+
+  /**
+   * Find the account holding the longest cached prefix of a request
+   * @param {Array} breakpoints - From collectCacheBreakpoints()
+   * @returns {string|null} Account ID
+   */
+  findAccount(breakpoints) {
+    const candidates = this.cacheable(breakpoints);
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const entry = this.getEntry(candidates[i].hash);
+      if (entry) return entry.accountId;
+    }
+    return null;
+  }
+
+  /**
+   * Compute Anthropic-style cache usage for a request served by an account
+   *
+   * The longest prefix this account has cached counts as a cache read, the rest up
+   * to the last breakpoint as a cache creation, and only tokens after the last
+   * breakpoint stay in input_tokens.
+   *
+   * @param {Array} breakpoints - From collectCacheBreakpoints()
+   * @param {string} accountId - Serving account
+   * @param {number} totalTokens - Estimated tokens of the whole prompt
+   * @returns {{inputTokens: number, cacheCreationInputTokens: number, cacheReadInputTokens: number}}
+   */
+  computeUsage(breakpoints, accountId, totalTokens) {
+    const candidates = this.cacheable(breakpoints);
+    if (candidates.length === 0) {
+      return { inputTokens: totalTokens, cacheCreationInputTokens: 0, cacheReadInputTokens: 0 };
+    }
+
+    let readTokens = 0;
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const entry = this.getEntry(candidates[i].hash);
+      if (entry && entry.accountId === accountId) {
+        readTokens = candidates[i].tokens;
+        break;
+      }
+    }
+
+    const cachedTokens = candidates[candidates.length - 1].tokens;
+    return {
+      inputTokens: Math.max(0, totalTokens - cachedTokens),
+      cacheCreationInputTokens: cachedTokens - readTokens,
+      cacheReadInputTokens: readTokens
+    };
+  }
+
+  /**
+   * Record that an account served a request, refreshing the TTL of its prefixes
+   * @param {Array} breakpoints - From collectCacheBreakpoints()
+   * @param {string} accountId - Serving account
+   */
+  record(breakpoints, accountId) {
+    const now = this.now();
+    for (const bp of this.cacheable(breakpoints)) {
+      // Re-insert so Map order stays least-recently-used first
+      this.entries.delete(bp.hash);
+      this.entries.set(bp.hash, {
+        accountId,
+        tokens: bp.tokens,
+        expiresAt: now + (PROMPT_CACHE_TTLS[bp.ttl] || PROMPT_CACHE_TTLS['5m'])
+      });
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget all prefixes cached on an account (e.g. after it was banned)
+   * @param {string} accountId - Account ID
+   */
+  forgetAccount(accountId) {
+    for (const [hash, entry] of this.entries) {
+      if (entry.accountId === accountId) {
+        this.entries.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Number of tracked prefixes
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Build the usage fields Anthropic returns for prompt caching
+ * @param {Object|null} cacheUsage - From PromptCacheRegistry.computeUsage()
+ * @returns {{cache_creation_input_tokens: number, cache_read_input_tokens: number}}
+ */
+export function buildCacheUsageFields(cacheUsage) {
+  return {
+    cache_creation_input_tokens: cacheUsage?.cacheCreationInputTokens || 0,
+    cache_read_input_tokens: cacheUsage?.cacheReadInputTokens || 0
+  };
+}
+
+export default PromptCacheRegistry;
@@ -687,8 +687,8 @@ async function handleNonStreamResponse(req, res, options) {
       await accountPool.updateAccountToken(acc.id, newTokens.accessToken, newTokens.refreshToken, expiresAt)
     }
 
-    const responseText = await response.text()
-    const parsed = client.parseResponse(responseText)
+    const responseBody = Buffer.from(await response.arrayBuffer())
+    const parsed = client.parseResponse(responseBody)
     return { parsed, account: acc }
   }
 
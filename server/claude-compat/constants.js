@@ -32,6 +32,20 @@ export const KEEP_IMAGE_THRESHOLD = 5;
 export const MAX_ACCOUNT_RETRIES = 5;
 export const RETRY_DELAY_MS = 1000;
 
+// Prompt Caching Constants
+export const PROMPT_CACHE_MAX_BREAKPOINTS = 4;
+export const PROMPT_CACHE_MIN_TOKENS = 1024; // Shorter prefixes are not cached, as on the Anthropic API
+export const PROMPT_CACHE_TTLS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+export const PROMPT_CACHE_MAX_ENTRIES = 10000;
+
+// Message Batches Constants
+export const BATCH_MAX_REQUESTS = 100000;
+export const BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000; // Unfinished requests expire after 24 hours
+export const BATCH_CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
 // Kiro API Constants
 export const KIRO_API_URL = 'https://q.us-east-1.amazonaws.com/generateAssistantResponse';
 export const KIRO_ORIGIN = 'AI_EDITOR';
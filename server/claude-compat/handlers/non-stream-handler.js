@@ -7,6 +7,8 @@
 import { v4 as uuidv4 } from 'uuid';
 import { STOP_REASONS, CONTENT_BLOCK_TYPES } from '../constants.js';
 import { estimateTokens } from '../../openai-compat/token-counter.js';
+import { buildCacheUsageFields } from '../cache/prompt-cache.js';
+import { ChatErrorClass, classifyChatError } from '../../utils/upstream-errors.js';
 
 /**
  * Build Claude response from parsed Kiro response
@@ -17,7 +19,8 @@ import { estimateTokens } from '../../openai-compat/token-counter.js';
 export function buildClaudeResponseFromParsed(parsed, options = {}) {
   const {
     model = 'claude-sonnet-4-5',
-    inputTokens = 0
+    inputTokens = 0,
+    cacheUsage = null
   } = options;
 
   const messageId = `msg_${uuidv4().replace(/-/g, '').substring(0, 24)}`;
@@ -94,6 +97,61 @@ export function buildClaudeResponseFromParsed(parsed, options = {}) {
     stop_sequence: null,
     usage: {
       input_tokens: inputTokens,
+      ...buildCacheUsageFields(cacheUsage),
+      output_tokens: outputTokens
+    }
+  };
+}
+
+/**
+ * Build Claude message from KiroClient.parseResponse() output
+ *
+ * Unlike buildClaudeResponseFromParsed, keeps parsed.contentBlocks in order
+ * (thinking before text) and appends tool calls after them.
+ *
+ * @param {Object} parsed - Result of KiroClient.parseResponse()
+ * @param {Object} options - Response options
+ * @param {string} options.model - Model name
+ * @param {number} [options.inputTokens] - Input token count
+ * @param {Object} [options.cacheUsage] - Prompt cache usage from PromptCacheRegistry.computeUsage()
+ * @param {number} [options.outputTokens] - Output token count, estimated from the text when omitted
+ * @returns {Object} Claude API message
+ */
+export function buildClaudeMessage(parsed, options = {}) {
+  const {
+    model = 'claude-sonnet-4-5',
+    inputTokens = 0,
+    cacheUsage = null,
+    outputTokens = estimateTokens(parsed.content || '')
+  } = options;
+
+  const hasToolCalls = parsed.toolCalls && parsed.toolCalls.length > 0;
+  const stopReason = hasToolCalls ? STOP_REASONS.TOOL_USE : STOP_REASONS.END_TURN;
+
+  let contentBlocks = parsed.contentBlocks || [];
+  if (hasToolCalls) {
+    contentBlocks = [
+      ...contentBlocks,
+      ...parsed.toolCalls.map(tc => ({
+        type: CONTENT_BLOCK_TYPES.TOOL_USE,
+        id: tc.id,
+        name: tc.name,
+        input: tc.input
+      }))
+    ];
+  }
+
+  return {
+    id: `msg_${uuidv4().replace(/-/g, '').substring(0, 24)}`,
+    type: 'message',
+    role: 'assistant',
+    content: contentBlocks.length > 0 ? contentBlocks : [{ type: CONTENT_BLOCK_TYPES.TEXT, text: parsed.content || '' }],
+    model,
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage: {
+      input_tokens: inputTokens,
+      ...buildCacheUsageFields(cacheUsage),
       output_tokens: outputTokens
     }
   };
@@ -207,6 +265,7 @@ export function buildErrorResponse(errorType, message, status = 500) {
 
 /**
  * Determine error type and status from error
+ * Throttling, bad input and transient upstream failures map to the matching Claude error types
  * @param {Error} error - Error object
  * @param {Object} errorCheckers - Error checker functions
  * @returns {{errorType: string, status: number}}
@@ -225,12 +284,23 @@ export function categorizeError(error, errorCheckers = {}) {
     return { errorType: 'quota_exhausted', status: 402 };
   }
 
-  return { errorType: 'api_error', status: 500 };
+  switch (classifyChatError(error)) {
+    case ChatErrorClass.THROTTLED:
+      return { errorType: 'rate_limit_error', status: 429 };
+    case ChatErrorClass.INVALID_MODEL:
+    case ChatErrorClass.CONTENT_TOO_LONG:
+      return { errorType: 'invalid_request_error', status: 400 };
+    case ChatErrorClass.TRANSIENT:
+      return { errorType: 'overloaded_error', status: 529 };
+    default:
+      return { errorType: 'api_error', status: 500 };
+  }
 }
 
 export default {
   handleNonStream,
   buildClaudeResponseFromParsed,
+  buildClaudeMessage,
   buildErrorResponse,
   categorizeError
 };
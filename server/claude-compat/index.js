@@ -66,6 +66,28 @@ export {
   buildKiroRequest
 } from './builders/request-builder.js';
 
+export {
+  listCacheableBlocks,
+  collectCacheBreakpoints
+} from './builders/cache-control.js';
+
+// Cache
+export {
+  PromptCacheRegistry,
+  buildCacheUsageFields
+} from './cache/prompt-cache.js';
+
+// Message Batches
+export {
+  BatchStore,
+  ITEM_STATUS as BATCH_ITEM_STATUS,
+  BATCH_STATUS,
+  formatBatch,
+  formatBatchResult
+} from './batch/batch-store.js';
+
+export { BatchWorker } from './batch/batch-worker.js';
+
 // Validators
 export {
   ValidationError,
@@ -75,7 +97,9 @@ export {
   validateModel,
   validateThinking,
   validateTools,
+  validateCacheControl,
   validateRequest,
+  validateBatchRequests,
   validateAnthropicVersionMiddleware,
   buildValidationErrorResponse
 } from './validators/request-validator.js';
@@ -99,6 +123,7 @@ export {
 export {
   handleNonStream,
   buildClaudeResponseFromParsed,
+  buildClaudeMessage,
   buildErrorResponse,
   categorizeError
 } from './handlers/non-stream-handler.js';
@@ -12,6 +12,7 @@ import {
   DELTA_TYPES,
   STOP_REASONS
 } from '../constants.js';
+import { buildCacheUsageFields } from '../cache/prompt-cache.js';
 
 /**
  * SSE Writer class for Claude streaming responses
@@ -46,9 +47,10 @@ export class SSEWriter {
 
   /**
    * Write message_start event
-   * @param {number} inputTokens - Input token count
+   * @param {number} inputTokens - Input token count (excluding cached prefix tokens)
+   * @param {Object} [cacheUsage] - Prompt cache usage from PromptCacheRegistry.computeUsage()
    */
-  writeMessageStart(inputTokens = 0) {
+  writeMessageStart(inputTokens = 0, cacheUsage = null) {
     this.inputTokens = inputTokens;
 
     this.writeEvent(SSE_EVENTS.MESSAGE_START, {
@@ -63,6 +65,7 @@ export class SSEWriter {
         stop_sequence: null,
         usage: {
           input_tokens: inputTokens,
+          ...buildCacheUsageFields(cacheUsage),
           output_tokens: 0
         }
       }
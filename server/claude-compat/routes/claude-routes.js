@@ -7,29 +7,43 @@
 
 import { Router } from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import KiroClient, { SUPPORTED_MODELS } from '../../kiro/index.js';
+import KiroClient from '../../kiro/index.js';
 import AccountPool from '../../openai-compat/account-pool.js';
 import RequestLogger from '../../openai-compat/request-logger.js';
 import { validateApiKey } from '../../openai-compat/auth-middleware.js';
+import { rateLimit } from '../../openai-compat/rate-limiter.js';
+import { enforceQuota } from '../../openai-compat/quota-manager.js';
+import { resolveRequestModel, resolveModel, listAvailableModels, getModelSnapshot } from '../../openai-compat/model-registry.js';
+import { stickySession } from '../../openai-compat/session-affinity.js';
+import { buildQueueWaitOptions } from '../../openai-compat/wait-queue.js';
+import { trackAccountInflight } from '../../openai-compat/account-concurrency.js';
+import { executeWithAccountRetry, recordAccountFailure, primeStream } from '../../openai-compat/request-executor.js';
 import { generateHeaders } from '../../utils/header-generator.js';
 import { getClientIp } from '../../utils/request-utils.js';
-import { isRetryableError, isQuotaExhaustedError, isBannedError } from '../../utils/retry-utils.js';
+import { isQuotaExhaustedError, isBannedError } from '../../utils/retry-utils.js';
 import { getWorkingStatus, buildNonWorkingHoursError } from '../../utils/working-hours.js';
-import { estimateTokens } from '../../openai-compat/token-counter.js';
+import { estimateTokens, UsageTracker } from '../../openai-compat/token-counter.js';
 
 import { MAX_ACCOUNT_RETRIES, ERROR_TYPES } from '../constants.js';
 import { buildKiroRequest } from '../builders/request-builder.js';
-import { validateAnthropicVersionMiddleware, validateRequest, buildValidationErrorResponse } from '../validators/request-validator.js';
+import { collectCacheBreakpoints } from '../builders/cache-control.js';
+import { PromptCacheRegistry } from '../cache/prompt-cache.js';
+import { validateAnthropicVersionMiddleware, validateRequest, validateBatchRequests, buildValidationErrorResponse } from '../validators/request-validator.js';
 import { handleStream, continueStreamWithNewAccount, StreamState, processStreamEvent } from '../handlers/stream-handler.js';
-import { handleNonStream, buildErrorResponse, categorizeError } from '../handlers/non-stream-handler.js';
+import { handleNonStream, buildErrorResponse, categorizeError, buildClaudeMessage } from '../handlers/non-stream-handler.js';
 import { SSEWriter, setupSSEHeaders, buildSSEEvent } from '../response/sse-writer.js';
 import { processSystemPrompt } from '../claude-converter.js';
+import { BatchStore, BATCH_STATUS, formatBatch, formatBatchResult } from '../batch/batch-store.js';
 
 const router = Router();
 let accountPool = null;
 let requestLogger = null;
 let systemLogger = null;
 let dbPool = null;
+let batchStore = null;
+
+// Prompt prefixes cached per account (see cache/prompt-cache.js)
+const promptCache = new PromptCacheRegistry();
 
 // Read max retries from environment variable, default 5
 const maxAccountRetries = parseInt(process.env.MAX_ACCOUNT_RETRIES || '5', 10);
@@ -43,6 +57,7 @@ export function initClaudeRoutes(pool, sysLogger = null, externalAccountPool = n
   accountPool = externalAccountPool || new AccountPool(dbPool, systemLogger);
   requestLogger = new RequestLogger(dbPool);
   requestLogger.startCleanup();
+  batchStore = new BatchStore(dbPool);
   return router;
 }
 
@@ -88,12 +103,21 @@ function estimateInputTokens(messages) {
   return estimateTokens(inputText);
 }
 
+/**
+ * Compute prompt cache usage for the serving account
+ * @returns {Object|null} null when the request has no cache breakpoints
+ */
+function resolveCacheUsage(cacheBreakpoints, accountId, promptTokens) {
+  if (cacheBreakpoints.length === 0) return null;
+  return promptCache.computeUsage(cacheBreakpoints, accountId, promptTokens);
+}
+
 // ==================== API Routes ====================
 
 /**
  * POST /v1/messages - Claude Messages API main endpoint
  */
-router.post('/v1/messages', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+router.post('/v1/messages', validateApiKey, resolveRequestModel('claude'), rateLimit('claude'), enforceQuota('claude'), stickySession('claude'), trackAccountInflight(), validateAnthropicVersionMiddleware, async (req, res) => {
   const requestId = uuidv4();
   const startTime = Date.now();
   const clientIp = getClientIp(req);
@@ -134,6 +158,9 @@ router.post('/v1/messages', validateApiKey, validateAnthropicVersionMiddleware,
   // Estimate input tokens
   const inputTokens = estimateInputTokens(messages);
 
+  // Prompt prefixes marked with cache_control
+  const { breakpoints: cacheBreakpoints, totalTokens: promptTokens } = collectCacheBreakpoints(req.body);
+
   // Extract thinking mode info
   const isThinking = thinking?.type === 'enabled';
   const thinkingBudget = thinking?.budget_tokens || 0;
@@ -160,7 +187,16 @@ router.post('/v1/messages', validateApiKey, validateAnthropicVersionMiddleware,
           return res.status(error.status).json(error.body);
         }
       } else {
-        account = await accountPool.getNextAccount(groupId);
+        // Prefer the account that already holds the cached prefix, subject to the same concurrency and backoff checks.
+        // Wait in the account queue (with SSE keep-alives for streams) while the pool is exhausted
+        const cachedAccountId = promptCache.findAccount(cacheBreakpoints);
+        account = await accountPool.acquireAccount(groupId, {
+          ...buildQueueWaitOptions(req, res, 'claude', stream),
+          preferAccountId: cachedAccountId
+        });
+        if (cachedAccountId && account.id === cachedAccountId) {
+          console.log(`[Claude API] Prompt cache hit, routing to account: ${account.email}`);
+        }
       }
     } catch (error) {
       console.error('[Claude API] No available account:', error.message);
@@ -179,12 +215,13 @@ router.post('/v1/messages', validateApiKey, validateAnthropicVersionMiddleware,
     const handlerOptions = {
       model,
       inputTokens,
+      cacheBreakpoints,
+      promptTokens,
       currentAccount: account,
       accountPool,
       groupId,
       accountId: account_id,
       maxRetries: maxAccountRetries,
-      isRetryableError,
       isQuotaExhaustedError,
       isBannedError,
       onTokenRefresh: async (acc, newTokens) => {
@@ -235,6 +272,8 @@ async function handleStreamingRequest(req, res, options) {
   const {
     model,
     inputTokens,
+    cacheBreakpoints,
+    promptTokens,
     currentAccount,
     accountPool,
     groupId,
@@ -249,16 +288,14 @@ async function handleStreamingRequest(req, res, options) {
     isThinking,
     thinkingBudget,
     onTokenRefresh,
-    isRetryableError,
     isQuotaExhaustedError,
     isBannedError
   } = options;
 
-  let retryCount = 0;
   let account = currentAccount;
 
-  // Create stream function
-  const createStream = (acc) => {
+  // Create stream function (signal aborts the upstream request when a hedged stream loses)
+  const createStream = (acc, signal) => {
     const client = new KiroClient(acc, systemLogger);
     // Extract parameters from kiroRequest for KiroClient
     const messages = req.body.messages;
@@ -276,64 +313,75 @@ async function handleStreamingRequest(req, res, options) {
         top_k: req.body.top_k,
         stop_sequences: req.body.stop_sequences,
         tool_choice: req.body.tool_choice
-      }
+      },
+      signal
     });
   };
 
-  // Attempt to create stream with retry logic for initial errors
-  const attemptCreateStream = async (acc) => {
-    try {
-      return await createStream(acc);
-    } catch (error) {
-      // 402 error: quota exhausted
-      if (isQuotaExhaustedError(error)) {
-        console.log(`[Claude API] Quota exhausted (402) for account ${acc.email}, marking and switching...`);
-        accountPool.markAccountQuotaExhausted(acc.id, error.message);
-
-        if (retryCount < maxRetries && !accountId) {
-          retryCount++;
-          const newAccount = await accountPool.getNextAccount(groupId);
-          if (newAccount && newAccount.id !== acc.id) {
-            console.log(`[Claude API] Retry stream with new account after 402: ${newAccount.email}`);
-            await accountPool.incrementApiCall(newAccount.id);
-            account = newAccount;
-            return await attemptCreateStream(newAccount);
-          }
-        }
-      }
+  // Prime the first event before sending SSE headers so upstream errors
+  // (throttling, quota, expired tokens) can still switch accounts or return a proper status.
+  // With hedging enabled a slow first event starts the same request on a second account
+  const retryCtx = { account, groupId, pinned: Boolean(accountId), retryCount: 0 };
+  let stream;
+  try {
+    ({ stream, account } = await executeWithAccountRetry(accountPool, retryCtx, () => {
+      return accountPool.hedging.start(retryCtx, (acc, signal) => primeStream(createStream(acc, signal)));
+    }, maxRetries));
+  } catch (error) {
+    console.error('[Claude API] Stream init error:', error.message);
+    account = retryCtx.account;
+    const errorType = await recordAccountFailure(accountPool, account, error, 'stream_error');
+    if (isBannedError(error)) {
+      promptCache.forgetAccount(account.id);
+    }
 
-      // Other retryable errors
-      if (isRetryableError(error) && retryCount < maxRetries && !accountId) {
-        await accountPool.markAccountError(acc.id);
-        retryCount++;
-        const newAccount = await accountPool.getNextAccount(groupId);
-        if (newAccount && newAccount.id !== acc.id) {
-          await accountPool.incrementApiCall(newAccount.id);
-          account = newAccount;
-          return await attemptCreateStream(newAccount);
-        }
-      }
+    requestLogger.logError({
+      requestId,
+      accountId: account.id,
+      accountEmail: account.email,
+      accountIdp: account.idp,
+      model,
+      isStream: true,
+      errorType,
+      errorMessage: error.message,
+      requestTokens: inputTokens,
+      durationMs: Date.now() - startTime,
+      clientIp,
+      userAgent,
+      isThinking,
+      thinkingBudget,
+      headerVersion: account.headerVersion || 1,
+      requestHeaders: kiroHeaders,
+      apiProtocol: 'claude'
+    });
 
-      throw error;
-    }
-  };
+    const { errorType: claudeErrorType, status } = categorizeError(error, { isBannedError, isQuotaExhaustedError });
+    const err = buildClaudeError(claudeErrorType, error.message, status);
+    res.status(err.status).json(err.body);
+    return;
+  }
 
   // Setup SSE
   setupSSEHeaders(res);
   const writer = new SSEWriter(res, model);
   const state = new StreamState();
 
-  writer.writeMessageStart(inputTokens);
+  // Cache usage is reported for the account the stream starts on
+  const cacheUsage = resolveCacheUsage(cacheBreakpoints, account.id, promptTokens);
+  const usageInputTokens = cacheUsage ? cacheUsage.inputTokens : inputTokens;
+  writer.writeMessageStart(usageInputTokens, cacheUsage);
 
   let timeToFirstByte = null;
   let fullContent = '';
   let thinkingContent = '';
   let toolCalls = [];
   let stopReason = 'end_turn';
+  const usageTracker = new UsageTracker(); // Kiro credit metering
 
   const processEvents = async (stream, acc) => {
     for await (const event of stream) {
       if (writer.isClosed()) break;
+      usageTracker.track(event);
 
       // Track first byte
       if (timeToFirstByte === null && (event.type === 'thinking_start' || event.type === 'thinking' || event.type === 'content' || event.type === 'tool_use')) {
@@ -361,7 +409,6 @@ async function handleStreamingRequest(req, res, options) {
   };
 
   try {
-    const stream = await attemptCreateStream(account);
     await processEvents(stream, account);
 
     // Close any open blocks
@@ -373,6 +420,7 @@ async function handleStreamingRequest(req, res, options) {
     writer.end(stopReason, outputTokens);
 
     accountPool.markAccountSuccess(account.id);
+    promptCache.record(cacheBreakpoints, account.id);
 
     requestLogger.logSuccess({
       requestId,
@@ -381,8 +429,11 @@ async function handleStreamingRequest(req, res, options) {
       accountIdp: account.idp,
       model,
       isStream: true,
-      requestTokens: inputTokens,
+      requestTokens: usageInputTokens,
       responseTokens: outputTokens,
+      cacheCreationTokens: cacheUsage?.cacheCreationInputTokens,
+      cacheReadTokens: cacheUsage?.cacheReadInputTokens,
+      credits: usageTracker.meteredCredits,
       durationMs: Date.now() - startTime,
       timeToFirstByte,
       clientIp,
@@ -397,80 +448,10 @@ async function handleStreamingRequest(req, res, options) {
   } catch (error) {
     console.error('[Claude API] Stream error:', error.message);
 
-    // Handle TOKEN_EXPIRED with account switch
-    if (error.message === 'TOKEN_EXPIRED' && !accountId && retryCount < maxRetries) {
-      console.log(`[Claude API] TOKEN_EXPIRED during stream, attempting account switch...`);
-      await accountPool.markAccountError(account.id);
-      retryCount++;
-
-      try {
-        const newAccount = await accountPool.getNextAccount(groupId);
-        if (newAccount && newAccount.id !== account.id) {
-          console.log(`[Claude API] Switching to new account: ${newAccount.email}`);
-          await accountPool.incrementApiCall(newAccount.id);
-          account = newAccount;
-
-          // Don't reset fullContent and thinkingContent - keep accumulating for logs
-          // Only reset stream state
-          const newStream = createStream(newAccount);
-          const retryStartTime = Date.now();
-
-          await processEvents(newStream, newAccount);
-
-          if (state.textBlockStarted) {
-            writer.writeContentBlockStop(state.textBlockIndex);
-          }
-
-          const outputTokens = estimateTokens(fullContent) + estimateTokens(thinkingContent);
-          writer.end(stopReason, outputTokens);
-
-          accountPool.markAccountSuccess(newAccount.id);
-
-          requestLogger.logSuccess({
-            requestId,
-            accountId: newAccount.id,
-            accountEmail: newAccount.email,
-            accountIdp: newAccount.idp,
-            model,
-            isStream: true,
-            requestTokens: inputTokens,
-            responseTokens: outputTokens,
-            durationMs: Date.now() - startTime,
-            timeToFirstByte: Date.now() - retryStartTime,
-            clientIp,
-            userAgent,
-            isThinking,
-            thinkingBudget,
-            headerVersion: newAccount.headerVersion || 1,
-            requestHeaders: kiroHeaders,
-            apiProtocol: 'claude'
-          });
-
-          console.log(`[Claude API] Successfully recovered from TOKEN_EXPIRED`);
-          return;
-        }
-      } catch (retryError) {
-        console.error('[Claude API] Account switch failed:', retryError.message);
-      }
-    }
-
-    // Handle other errors
+    // Content may already have been sent, so mid-stream errors are not retried on another account
+    const errorType = await recordAccountFailure(accountPool, account, error, 'stream_error');
     if (isBannedError(error)) {
-      await accountPool.banAccount(account.id, error.message);
-    } else if (isQuotaExhaustedError(error)) {
-      accountPool.markAccountQuotaExhausted(account.id, error.message);
-    } else if (isRetryableError(error)) {
-      await accountPool.markAccountError(account.id);
-    }
-
-    // Determine error type for logging
-    let errorType = 'stream_error';
-    if (isBannedError(error)) {
-      errorType = 'account_banned';
-    } else if (isQuotaExhaustedError(error)) {
-      errorType = 'quota_exhausted';
-    } else if (isRetryableError(error)) {
-      errorType = 'token_expired';
+      promptCache.forgetAccount(account.id);
     }
 
     requestLogger.logError({
@@ -496,10 +477,8 @@ async function handleStreamingRequest(req, res, options) {
     });
 
     if (!writer.isClosed()) {
-      writer.writeError(
-        isQuotaExhaustedError(error) ? 'quota_exhausted' : 'api_error',
-        error.message
-      );
+      const { errorType: claudeErrorType } = categorizeError(error, { isBannedError, isQuotaExhaustedError });
+      writer.writeError(claudeErrorType, error.message);
     }
   }
 
@@ -515,6 +494,8 @@ async function handleNonStreamingRequest(req, res, options) {
   const {
     model,
     inputTokens,
+    cacheBreakpoints,
+    promptTokens,
     currentAccount,
     accountPool,
     groupId,
@@ -529,14 +510,10 @@ async function handleNonStreamingRequest(req, res, options) {
     isThinking,
     thinkingBudget,
     onTokenRefresh,
-    isRetryableError,
     isQuotaExhaustedError,
     isBannedError
   } = options;
 
-  let retryCount = 0;
-  let account = currentAccount;
-
   const executeRequest = async (acc) => {
     const client = new KiroClient(acc, systemLogger);
     const messages = req.body.messages;
@@ -561,55 +538,25 @@ async function handleNonStreamingRequest(req, res, options) {
       await onTokenRefresh(acc, newTokens);
     }
 
-    const responseText = await response.text();
-    const parsed = client.parseResponse(responseText);
+    const responseBody = Buffer.from(await response.arrayBuffer());
+    const parsed = client.parseResponse(responseBody);
     return { parsed, account: acc };
   };
 
+  const retryCtx = { account: currentAccount, groupId, pinned: Boolean(accountId), retryCount: 0 };
+
   try {
-    let result;
-    try {
-      result = await executeRequest(account);
-    } catch (error) {
-      // Handle quota exhausted (402)
-      if (isQuotaExhaustedError(error)) {
-        console.log(`[Claude API] Quota exhausted (402) for account ${account.email}, marking and switching...`);
-        accountPool.markAccountQuotaExhausted(account.id, error.message);
-
-        if (retryCount < maxRetries && !accountId) {
-          retryCount++;
-          const newAccount = await accountPool.getNextAccount(groupId);
-          if (newAccount && newAccount.id !== account.id) {
-            console.log(`[Claude API] Retry with new account after 402: ${newAccount.email}`);
-            await accountPool.incrementApiCall(newAccount.id);
-            result = await executeRequest(newAccount);
-            account = newAccount;
-          } else {
-            throw error;
-          }
-        } else {
-          throw error;
-        }
-      } else if (isRetryableError(error) && retryCount < maxRetries && !accountId) {
-        await accountPool.markAccountError(account.id);
-        retryCount++;
-
-        const newAccount = await accountPool.getNextAccount(groupId);
-        if (newAccount && newAccount.id !== account.id) {
-          await accountPool.incrementApiCall(newAccount.id);
-          result = await executeRequest(newAccount);
-          account = newAccount;
-        } else {
-          throw error;
-        }
-      } else {
-        throw error;
-      }
-    }
+    const result = await executeWithAccountRetry(accountPool, retryCtx, executeRequest, maxRetries);
 
     accountPool.markAccountSuccess(result.account.id);
 
+    const cacheUsage = resolveCacheUsage(cacheBreakpoints, result.account.id, promptTokens);
+    const usageInputTokens = cacheUsage ? cacheUsage.inputTokens : inputTokens;
+    promptCache.record(cacheBreakpoints, result.account.id);
+
     const outputTokens = estimateTokens(result.parsed.content);
+    const usageTracker = new UsageTracker();
+    usageTracker.trackParsed(result.parsed);
     requestLogger.logSuccess({
       requestId,
       accountId: result.account.id,
@@ -617,8 +564,11 @@ async function handleNonStreamingRequest(req, res, options) {
       accountIdp: result.account.idp,
       model,
       isStream: false,
-      requestTokens: inputTokens,
+      requestTokens: usageInputTokens,
       responseTokens: outputTokens,
+      cacheCreationTokens: cacheUsage?.cacheCreationInputTokens,
+      cacheReadTokens: cacheUsage?.cacheReadInputTokens,
+      credits: usageTracker.meteredCredits,
       durationMs: Date.now() - startTime,
       clientIp,
       userAgent,
@@ -629,50 +579,20 @@ async function handleNonStreamingRequest(req, res, options) {
       apiProtocol: 'claude'
     });
 
-    // Determine stop_reason
-    const hasToolCalls = result.parsed.toolCalls && result.parsed.toolCalls.length > 0;
-    const stopReason = hasToolCalls ? 'tool_use' : 'end_turn';
-
-    // Build content blocks
-    let finalContentBlocks = result.parsed.contentBlocks || [];
-    if (hasToolCalls) {
-      finalContentBlocks = [
-        ...finalContentBlocks,
-        ...result.parsed.toolCalls.map(tc => ({
-          type: 'tool_use',
-          id: tc.id,
-          name: tc.name,
-          input: tc.input
-        }))
-      ];
-    }
-
-    // Build response
-    const messageId = `msg_${uuidv4().replace(/-/g, '').substring(0, 24)}`;
-    const response = {
-      id: messageId,
-      type: 'message',
-      role: 'assistant',
-      content: finalContentBlocks.length > 0 ? finalContentBlocks : [{ type: 'text', text: result.parsed.content || '' }],
+    const response = buildClaudeMessage(result.parsed, {
       model,
-      stop_reason: stopReason,
-      stop_sequence: null,
-      usage: {
-        input_tokens: inputTokens,
-        output_tokens: outputTokens
-      }
-    };
+      inputTokens: usageInputTokens,
+      cacheUsage,
+      outputTokens
+    });
 
     res.json(response);
   } catch (error) {
     console.error('[Claude API] Error:', error.message);
 
+    await recordAccountFailure(accountPool, retryCtx.account, error);
     if (isBannedError(error)) {
-      await accountPool.banAccount(account.id, error.message);
-    } else if (isQuotaExhaustedError(error)) {
-      accountPool.markAccountQuotaExhausted(account.id, error.message);
-    } else if (isRetryableError(error)) {
-      await accountPool.markAccountError(account.id);
+      promptCache.forgetAccount(retryCtx.account.id);
     }
 
     const { errorType, status } = categorizeError(error, { isBannedError, isQuotaExhaustedError });
@@ -681,10 +601,166 @@ async function handleNonStreamingRequest(req, res, options) {
   }
 }
 
+// ==================== Message Batches ====================
+
+/**
+ * Base URL of this server as seen by the client (for results_url)
+ */
+function getBaseUrl(req) {
+  const proto = req.headers['x-forwarded-proto'] || req.protocol;
+  return `${proto}://${req.get('host')}`;
+}
+
+/**
+ * Load a batch of the caller's group with its request counts, or send 404
+ * @returns {Promise<{batch: Object, counts: Object}|null>}
+ */
+async function loadBatch(req, res) {
+  const batch = await batchStore.getBatch(req.params.batchId, req.groupId || null);
+  if (!batch) {
+    const error = buildClaudeError(ERROR_TYPES.NOT_FOUND, `Message batch '${req.params.batchId}' not found`, 404);
+    res.status(error.status).json(error.body);
+    return null;
+  }
+  const counts = await batchStore.getRequestCounts([batch.id]);
+  return { batch, counts: counts.get(batch.id) };
+}
+
+/**
+ * POST /v1/messages/batches - Create a message batch
+ * Requests are queued and processed by BatchWorker.
+ */
+router.post('/v1/messages/batches', validateApiKey, resolveRequestModel('claude'), rateLimit('claude'), enforceQuota('claude'), validateAnthropicVersionMiddleware, async (req, res) => {
+  const validation = validateBatchRequests(req.body?.requests);
+  if (!validation.valid) {
+    const errorResponse = buildValidationErrorResponse(validation.error);
+    return res.status(errorResponse.status).json(errorResponse.body);
+  }
+
+  try {
+    const batch = await batchStore.createBatch({
+      requests: req.body.requests,
+      groupId: req.groupId || null,
+      apiKeyId: req.apiKeyId || null
+    });
+    console.log(`[Claude API] Created message batch ${batch.id} with ${batch.request_count} requests`);
+    const counts = { processing: batch.request_count, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+    res.json(formatBatch(batch, counts, getBaseUrl(req)));
+  } catch (error) {
+    console.error('[Claude API] Failed to create message batch:', error.message);
+    const err = buildClaudeError('api_error', error.message, 500);
+    res.status(err.status).json(err.body);
+  }
+});
+
+/**
+ * GET /v1/messages/batches - List message batches, most recent first
+ */
+router.get('/v1/messages/batches', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    const error = buildClaudeError('invalid_request_error', 'limit must be an integer between 1 and 1000');
+    return res.status(error.status).json(error.body);
+  }
+  if (req.query.before_id && req.query.after_id) {
+    const error = buildClaudeError('invalid_request_error', 'before_id and after_id cannot be used together');
+    return res.status(error.status).json(error.body);
+  }
+
+  try {
+    const page = await batchStore.listBatches({
+      groupId: req.groupId || null,
+      limit,
+      beforeId: req.query.before_id || null,
+      afterId: req.query.after_id || null
+    });
+    if (!page) {
+      const error = buildClaudeError(ERROR_TYPES.NOT_FOUND, `Message batch '${req.query.before_id || req.query.after_id}' not found`, 404);
+      return res.status(error.status).json(error.body);
+    }
+
+    const counts = await batchStore.getRequestCounts(page.rows.map(row => row.id));
+    const baseUrl = getBaseUrl(req);
+    const data = page.rows.map(row => formatBatch(row, counts.get(row.id), baseUrl));
+    res.json({
+      data,
+      has_more: page.hasMore,
+      first_id: data.length > 0 ? data[0].id : null,
+      last_id: data.length > 0 ? data[data.length - 1].id : null
+    });
+  } catch (error) {
+    const err = buildClaudeError('api_error', error.message, 500);
+    res.status(err.status).json(err.body);
+  }
+});
+
+/**
+ * GET /v1/messages/batches/:batchId - Retrieve a message batch
+ */
+router.get('/v1/messages/batches/:batchId', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadBatch(req, res);
+    if (!loaded) return;
+    res.json(formatBatch(loaded.batch, loaded.counts, getBaseUrl(req)));
+  } catch (error) {
+    const err = buildClaudeError('api_error', error.message, 500);
+    res.status(err.status).json(err.body);
+  }
+});
+
+/**
+ * POST /v1/messages/batches/:batchId/cancel - Cancel a message batch
+ * Pending requests are canceled; requests already running finish normally.
+ */
+router.post('/v1/messages/batches/:batchId/cancel', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadBatch(req, res);
+    if (!loaded) return;
+
+    if (loaded.batch.processing_status === BATCH_STATUS.IN_PROGRESS) {
+      await batchStore.cancelBatch(loaded.batch.id);
+      console.log(`[Claude API] Canceling message batch ${loaded.batch.id}`);
+    }
+
+    const reloaded = await loadBatch(req, res);
+    if (!reloaded) return;
+    res.json(formatBatch(reloaded.batch, reloaded.counts, getBaseUrl(req)));
+  } catch (error) {
+    const err = buildClaudeError('api_error', error.message, 500);
+    res.status(err.status).json(err.body);
+  }
+});
+
+/**
+ * GET /v1/messages/batches/:batchId/results - Stream results as JSONL
+ * Only available once the batch has ended.
+ */
+router.get('/v1/messages/batches/:batchId/results', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadBatch(req, res);
+    if (!loaded) return;
+
+    if (loaded.batch.processing_status !== BATCH_STATUS.ENDED) {
+      const error = buildClaudeError('invalid_request_error', `Message batch '${loaded.batch.id}' has not ended yet; results are not available`);
+      return res.status(error.status).json(error.body);
+    }
+
+    const items = await batchStore.getResults(loaded.batch.id);
+    res.setHeader('Content-Type', 'application/x-jsonl');
+    for (const item of items) {
+      res.write(JSON.stringify(formatBatchResult(item)) + '\n');
+    }
+    res.end();
+  } catch (error) {
+    const err = buildClaudeError('api_error', error.message, 500);
+    res.status(err.status).json(err.body);
+  }
+});
+
 /**
  * POST /v1/messages/count_tokens - Token counting endpoint
  */
-router.post('/v1/messages/count_tokens', validateApiKey, validateAnthropicVersionMiddleware, async (req, res) => {
+router.post('/v1/messages/count_tokens', validateApiKey, resolveRequestModel('claude', { maxTokensParams: [] }), validateAnthropicVersionMiddleware, async (req, res) => {
   const { model, messages, system, tools } = req.body;
 
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -743,7 +819,8 @@ router.post('/v1/messages/count_tokens', validateApiKey, validateAnthropicVersio
  * GET /v1/models - List available models
  */
 router.get('/v1/models', validateApiKey, async (req, res) => {
-  const models = SUPPORTED_MODELS.map((id) => ({
+  // Only models (and aliases) the calling key and group may use
+  const models = listAvailableModels(getModelSnapshot(), req).map(({ id }) => ({
     id,
     object: 'model',
     created: 1700000000,
@@ -757,7 +834,7 @@ router.get('/v1/models', validateApiKey, async (req, res) => {
  */
 router.get('/v1/models/:model', validateApiKey, async (req, res) => {
   const { model } = req.params;
-  if (!SUPPORTED_MODELS.includes(model)) {
+  if (!resolveModel(getModelSnapshot(), model, req).model) {
     const error = buildClaudeError('not_found_error', `Model '${model}' not found`, 404);
     return res.status(error.status).json(error.body);
   }
@@ -7,8 +7,13 @@
 import {
   CLAUDE_API_VERSIONS,
   DEFAULT_API_VERSION,
-  ERROR_TYPES
+  ERROR_TYPES,
+  PROMPT_CACHE_MAX_BREAKPOINTS,
+  PROMPT_CACHE_TTLS,
+  BATCH_MAX_REQUESTS,
+  BATCH_CUSTOM_ID_PATTERN
 } from '../constants.js';
+import { listCacheableBlocks } from '../builders/cache-control.js';
 
 /**
  * Validation error class
@@ -334,6 +339,38 @@ export function validateTools(tools) {
   return { valid: true };
 }
 
+/**
+ * Validate cache_control breakpoints on tools, system and message blocks
+ * @param {Object} request - Request body
+ * @returns {{valid: boolean, error?: ValidationError}}
+ */
+export function validateCacheControl(request) {
+  const invalid = (message) => ({
+    valid: false,
+    error: new ValidationError(ERROR_TYPES.INVALID_REQUEST, message, 400)
+  });
+
+  let count = 0;
+  for (const { block, path } of listCacheableBlocks(request)) {
+    const cacheControl = block && block.cache_control;
+    if (cacheControl === undefined || cacheControl === null) continue;
+
+    if (typeof cacheControl !== 'object' || cacheControl.type !== 'ephemeral') {
+      return invalid(`${path}.cache_control.type must be "ephemeral"`);
+    }
+    if (cacheControl.ttl !== undefined && !PROMPT_CACHE_TTLS[cacheControl.ttl]) {
+      return invalid(`${path}.cache_control.ttl must be one of: ${Object.keys(PROMPT_CACHE_TTLS).join(', ')}`);
+    }
+    count++;
+  }
+
+  if (count > PROMPT_CACHE_MAX_BREAKPOINTS) {
+    return invalid(`A maximum of ${PROMPT_CACHE_MAX_BREAKPOINTS} blocks with cache_control may be provided. Found ${count}.`);
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate complete Claude Messages API request
  * @param {Object} request - Request body
@@ -374,12 +411,65 @@ export function validateRequest(request, options = {}) {
     errors.push(toolsResult.error);
   }
 
+  // Validate cache_control breakpoints
+  const cacheControlResult = validateCacheControl(request);
+  if (!cacheControlResult.valid) {
+    errors.push(cacheControlResult.error);
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validate the requests array of a Message Batches create request
+ * @param {Array} requests - [{custom_id, params}]
+ * @returns {{valid: boolean, error?: ValidationError}}
+ */
+export function validateBatchRequests(requests) {
+  const invalid = (message) => ({
+    valid: false,
+    error: new ValidationError(ERROR_TYPES.INVALID_REQUEST, message, 400)
+  });
+
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return invalid('requests is required and must be a non-empty array');
+  }
+  if (requests.length > BATCH_MAX_REQUESTS) {
+    return invalid(`requests may contain at most ${BATCH_MAX_REQUESTS} items`);
+  }
+
+  const customIds = new Set();
+  for (let i = 0; i < requests.length; i++) {
+    const request = requests[i];
+    if (!request || typeof request !== 'object') {
+      return invalid(`requests[${i}] must be an object`);
+    }
+    if (typeof request.custom_id !== 'string' || !BATCH_CUSTOM_ID_PATTERN.test(request.custom_id)) {
+      return invalid(`requests[${i}].custom_id must be 1-64 characters of letters, digits, '_' or '-'`);
+    }
+    if (customIds.has(request.custom_id)) {
+      return invalid(`requests[${i}].custom_id '${request.custom_id}' is not unique`);
+    }
+    customIds.add(request.custom_id);
+
+    if (!request.params || typeof request.params !== 'object') {
+      return invalid(`requests[${i}].params is required and must be an object`);
+    }
+    if (request.params.stream) {
+      return invalid(`requests[${i}].params.stream is not supported in batches`);
+    }
+    const result = validateRequest(request.params);
+    if (!result.valid) {
+      return invalid(`requests[${i}].params: ${result.errors[0].message}`);
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * Express middleware for validating anthropic-version header
  */
@@ -14,9 +14,12 @@ export const PORT = process.env.PORT || 3000
 // OpenAI 兼容 API 默认授权密钥
 export const DEFAULT_API_KEY = process.env.DEFAULT_API_KEY || ''
 
-// Web 后台登录密码
+// Web 后台初始管理员密码（users 表为空时用于创建管理员，见 models/user.js）
 export const WEB_LOGIN_PASSWORD = process.env.WEB_LOGIN_PASSWORD || ''
 
+// Web 后台初始管理员用户名（登录时未填写用户名也使用此用户名）
+export const WEB_ADMIN_USERNAME = process.env.WEB_ADMIN_USERNAME || 'admin'
+
 // JWT 认证密钥（用于 Web 和 Electron 统一的密码认证）
 export const ELECTRON_AUTH_SECRET = process.env.ELECTRON_AUTH_SECRET || 'kiro-electron-secret-2024-leon'
 
@@ -47,6 +50,7 @@ export default {
   PORT,
   DEFAULT_API_KEY,
   WEB_LOGIN_PASSWORD,
+  WEB_ADMIN_USERNAME,
   ELECTRON_AUTH_SECRET,
   DEFAULT_HEADER_VERSION,
   IDP_HEADER_VERSIONS,
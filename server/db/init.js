@@ -2,7 +2,39 @@
  * 数据库初始化
  * 创建表和索引
  */
-import { ACCOUNTS_COLUMNS, ACCOUNTS_INDEXES } from './schema.js'
+import {
+  ACCOUNTS_COLUMNS,
+  ACCOUNTS_INDEXES,
+  MESSAGE_BATCHES_COLUMNS,
+  MESSAGE_BATCHES_INDEXES,
+  MESSAGE_BATCH_ITEMS_COLUMNS,
+  MESSAGE_BATCH_ITEMS_INDEXES,
+  API_KEYS_COLUMNS,
+  API_KEYS_INDEXES,
+  MODELS_COLUMNS,
+  MODEL_ALIASES_COLUMNS,
+  MODEL_ALIASES_INDEXES,
+  QUOTAS_COLUMNS,
+  QUOTAS_INDEXES,
+  QUOTA_USAGE_COLUMNS,
+  QUOTA_USAGE_INDEXES,
+  RATE_LIMIT_COUNTERS_COLUMNS,
+  RATE_LIMIT_COUNTERS_INDEXES,
+  RATE_LIMIT_LEASES_COLUMNS,
+  RATE_LIMIT_LEASES_INDEXES,
+  ACCOUNT_INFLIGHT_COLUMNS,
+  ACCOUNT_INFLIGHT_INDEXES,
+  PROXY_CHECKS_COLUMNS,
+  USERS_COLUMNS,
+  SESSIONS_COLUMNS,
+  SESSIONS_INDEXES,
+  LOGIN_CHALLENGES_COLUMNS,
+  LOGIN_CHALLENGES_INDEXES,
+  OIDC_LOGIN_STATES_COLUMNS,
+  OIDC_LOGIN_STATES_INDEXES,
+  AUDIT_LOG_COLUMNS,
+  AUDIT_LOG_INDEXES
+} from './schema.js'
 
 /**
  * 生成建表 SQL
@@ -149,6 +181,49 @@ export async function initDatabase(conn) {
   `)
   console.log('[Database] ✓ pool_round_robin table ready')
 
+  // 创建 message_batches / message_batch_items 表（Claude Message Batches API）
+  await conn.query(generateCreateTableSQL('message_batches', MESSAGE_BATCHES_COLUMNS, MESSAGE_BATCHES_INDEXES))
+  await conn.query(generateCreateTableSQL('message_batch_items', MESSAGE_BATCH_ITEMS_COLUMNS, MESSAGE_BATCH_ITEMS_INDEXES))
+  console.log('[Database] ✓ message_batches tables ready')
+
+  // 创建 api_keys 表（API Key 管理）
+  await conn.query(generateCreateTableSQL('api_keys', API_KEYS_COLUMNS, API_KEYS_INDEXES))
+  console.log('[Database] ✓ api_keys table ready')
+
+  // 创建 models / model_aliases 表（模型注册表，内置模型在服务启动时写入）
+  await conn.query(generateCreateTableSQL('models', MODELS_COLUMNS))
+  await conn.query(generateCreateTableSQL('model_aliases', MODEL_ALIASES_COLUMNS, MODEL_ALIASES_INDEXES))
+  console.log('[Database] ✓ model registry tables ready')
+
+  // 创建 quotas / quota_usage 表（API Key 与分组配额）
+  await conn.query(generateCreateTableSQL('quotas', QUOTAS_COLUMNS, QUOTAS_INDEXES))
+  await conn.query(generateCreateTableSQL('quota_usage', QUOTA_USAGE_COLUMNS, QUOTA_USAGE_INDEXES))
+  console.log('[Database] ✓ quota tables ready')
+
+  // 创建 rate_limit_counters / rate_limit_leases 表（API Key 与分组限流）
+  await conn.query(generateCreateTableSQL('rate_limit_counters', RATE_LIMIT_COUNTERS_COLUMNS, RATE_LIMIT_COUNTERS_INDEXES))
+  await conn.query(generateCreateTableSQL('rate_limit_leases', RATE_LIMIT_LEASES_COLUMNS, RATE_LIMIT_LEASES_INDEXES))
+  console.log('[Database] ✓ rate_limit tables ready')
+
+  // 创建 account_inflight 表（账号并发限制）
+  await conn.query(generateCreateTableSQL('account_inflight', ACCOUNT_INFLIGHT_COLUMNS, ACCOUNT_INFLIGHT_INDEXES))
+  console.log('[Database] ✓ account_inflight table ready')
+
+  // 创建 proxy_checks 表（上游代理健康检查）
+  await conn.query(generateCreateTableSQL('proxy_checks', PROXY_CHECKS_COLUMNS))
+  console.log('[Database] ✓ proxy_checks table ready')
+
+  // 创建 users / sessions 表（Web 后台用户和登录会话）
+  await conn.query(generateCreateTableSQL('users', USERS_COLUMNS))
+  await conn.query(generateCreateTableSQL('sessions', SESSIONS_COLUMNS, SESSIONS_INDEXES))
+  await conn.query(generateCreateTableSQL('login_challenges', LOGIN_CHALLENGES_COLUMNS, LOGIN_CHALLENGES_INDEXES))
+  await conn.query(generateCreateTableSQL('oidc_login_states', OIDC_LOGIN_STATES_COLUMNS, OIDC_LOGIN_STATES_INDEXES))
+  console.log('[Database] ✓ users, sessions, login_challenges and oidc_login_states tables ready')
+
+  // 创建 audit_log 表（审计日志）
+  await conn.query(generateCreateTableSQL('audit_log', AUDIT_LOG_COLUMNS, AUDIT_LOG_INDEXES))
+  console.log('[Database] ✓ audit_log table ready')
+
   console.log('[Database] All tables initialized')
 }
 
@@ -0,0 +1,126 @@
+/**
+ * 迁移脚本：加密 / 重新加密 / 解密账号凭证
+ *
+ * 处理 accounts 表的 cred_access_token、cred_refresh_token、cred_client_secret（见 utils/credential-crypto.js）：
+ * - encrypt（默认）：加密明文值，服务启动时自动执行
+ * - rekey：用当前密钥（CREDENTIAL_ENCRYPTION_KEYS 的第一个）重新加密明文和使用旧密钥加密的值
+ * - decrypt：解密为明文（停用加密前执行）
+ *
+ * 每行按旧值条件更新，与 Token 刷新并发时不会覆盖新的 Token（该行跳过，可以重新执行）
+ *
+ * 执行方式：
+ * node server/db/migrations/encrypt-credentials.js [--rekey | --decrypt] [--dry-run]
+ */
+
+import { CREDENTIAL_COLUMNS, isEncryptedCredential, getCredentialCipher } from '../../utils/credential-crypto.js'
+
+export const CredentialMigrationMode = {
+  ENCRYPT: 'encrypt',
+  REKEY: 'rekey',
+  DECRYPT: 'decrypt'
+}
+
+/**
+ * 计算字段的新值
+ * @returns {string|undefined} 不需要修改时为 undefined
+ */
+function convertValue(cipher, mode, value) {
+  if (value === null || value === undefined || value === '') return undefined
+  switch (mode) {
+    case CredentialMigrationMode.ENCRYPT:
+      return isEncryptedCredential(value) ? undefined : cipher.encrypt(value)
+    case CredentialMigrationMode.REKEY:
+      return cipher.needsRekey(value) ? cipher.encrypt(cipher.decrypt(value)) : undefined
+    case CredentialMigrationMode.DECRYPT:
+      return isEncryptedCredential(value) ? cipher.decrypt(value) : undefined
+    default:
+      throw new Error(`Unknown credential migration mode: ${mode}`)
+  }
+}
+
+/**
+ * 处理所有账号的凭证字段
+ * @param {Object} dbPool - MySQL 连接池
+ * @param {Object} [options]
+ * @param {string} [options.mode] - CredentialMigrationMode 中的值
+ * @param {boolean} [options.dryRun] - 只统计，不修改
+ * @param {number} [options.batchSize] - 每次读取的行数
+ * @param {Object} [options.cipher] - 默认使用环境变量配置的密钥
+ * @returns {Promise<{scanned: number, updated: number, skipped: number, failed: number}>}
+ */
+export async function migrateCredentials(dbPool, {
+  mode = CredentialMigrationMode.ENCRYPT,
+  dryRun = false,
+  batchSize = 500,
+  cipher = getCredentialCipher()
+} = {}) {
+  const result = { scanned: 0, updated: 0, skipped: 0, failed: 0 }
+  if (!cipher.enabled && mode !== CredentialMigrationMode.DECRYPT) {
+    if (mode === CredentialMigrationMode.REKEY) {
+      throw new Error('CREDENTIAL_ENCRYPTION_KEYS is not set')
+    }
+    return result
+  }
+
+  let lastId = ''
+  while (true) {
+    const [rows] = await dbPool.query(
+      `SELECT id, ${CREDENTIAL_COLUMNS.join(', ')} FROM accounts WHERE id > ? ORDER BY id LIMIT ?`,
+      [lastId, batchSize]
+    )
+    if (rows.length === 0) break
+    lastId = rows[rows.length - 1].id
+
+    for (const row of rows) {
+      result.scanned++
+      let changes
+      try {
+        changes = CREDENTIAL_COLUMNS
+          .map(column => [column, convertValue(cipher, mode, row[column])])
+          .filter(([, value]) => value !== undefined)
+      } catch (error) {
+        result.failed++
+        console.error(`[Credentials] Failed to ${mode} account ${row.id}: ${error.message}`)
+        continue
+      }
+      if (changes.length === 0) continue
+      if (dryRun) {
+        result.updated++
+        continue
+      }
+
+      // 按旧值条件更新（<=> 可比较 NULL）
+      const [update] = await dbPool.query(
+        `UPDATE accounts SET ${changes.map(([column]) => `${column} = ?`).join(', ')}
+         WHERE id = ? AND ${CREDENTIAL_COLUMNS.map(column => `${column} <=> ?`).join(' AND ')}`,
+        [...changes.map(([, value]) => value), row.id, ...CREDENTIAL_COLUMNS.map(column => row[column])]
+      )
+      if (update.affectedRows > 0) result.updated++
+      else result.skipped++
+    }
+  }
+
+  console.log(`[Credentials] ${mode}${dryRun ? ' (dry run)' : ''}: scanned ${result.scanned}, updated ${result.updated}, skipped ${result.skipped}, failed ${result.failed}`)
+  return result
+}
+
+// 如果直接运行此脚本
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2)
+  const mode = args.includes('--rekey')
+    ? CredentialMigrationMode.REKEY
+    : args.includes('--decrypt') ? CredentialMigrationMode.DECRYPT : CredentialMigrationMode.ENCRYPT
+  const { pool } = await import('../../config/database.js')
+
+  migrateCredentials(pool, { mode, dryRun: args.includes('--dry-run') })
+    .then(async (result) => {
+      await pool.end()
+      process.exit(result.failed > 0 ? 1 : 0)
+    })
+    .catch((error) => {
+      console.error('[Credentials] Failed:', error.message)
+      process.exit(1)
+    })
+}
+
+export default migrateCredentials
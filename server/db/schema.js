@@ -103,6 +103,15 @@ export const GROUPS_COLUMNS = [
   { name: 'order', definition: 'INT DEFAULT 0', isReserved: true },
   { name: 'created_at', definition: 'BIGINT' },
 
+  // 限流字段（0 表示不限制），作用于使用分组 SK 的全部请求
+  { name: 'rate_limit_rpm', definition: 'INT NOT NULL DEFAULT 0' },  // 每分钟请求数
+  { name: 'rate_limit_tpm', definition: 'INT NOT NULL DEFAULT 0' },  // 每分钟 token 数（输入 + 输出）
+  { name: 'max_concurrent_streams', definition: 'INT NOT NULL DEFAULT 0' },  // 同时进行的流式请求数
+
+  // 模型设置，作用于分组 SK 和分组下的全部 API Key
+  { name: 'allowed_models', definition: 'TEXT' },  // 允许的模型（JSON 数组，可写别名），NULL 表示不限制
+  { name: 'default_model', definition: 'VARCHAR(100) DEFAULT NULL' },  // 请求未指定 model 时使用的模型
+
   // 版本控制字段
   { name: 'version', definition: 'INT NOT NULL DEFAULT 1' },
   { name: 'updated_at', definition: 'BIGINT' }
@@ -164,6 +173,8 @@ export const API_REQUEST_LOGS_COLUMNS = [
   { name: 'error_message', definition: 'TEXT' },
   { name: 'request_tokens', definition: 'INT DEFAULT 0' },
   { name: 'response_tokens', definition: 'INT DEFAULT 0' },
+  { name: 'cache_creation_tokens', definition: 'INT DEFAULT 0' },  // Claude 提示缓存写入 token（不计入 request_tokens）
+  { name: 'cache_read_tokens', definition: 'INT DEFAULT 0' },  // Claude 提示缓存命中 token（不计入 request_tokens）
   { name: 'duration_ms', definition: 'INT DEFAULT 0' },
   { name: 'time_to_first_byte', definition: 'INT DEFAULT NULL' },  // 流式请求首字响应时间（毫秒），非流式请求为 NULL
   { name: 'client_ip', definition: 'VARCHAR(45)' },
@@ -172,7 +183,12 @@ export const API_REQUEST_LOGS_COLUMNS = [
   { name: 'thinking_budget', definition: 'INT DEFAULT 0' },
   { name: 'header_version', definition: 'INT DEFAULT 1' },
   { name: 'request_headers', definition: 'TEXT' },
-  { name: 'api_protocol', definition: "VARCHAR(20) DEFAULT 'openai'" },  // API 协议类型：openai 或 claude
+  { name: 'api_protocol', definition: "VARCHAR(20) DEFAULT 'openai'" },  // API 协议类型：openai、openai-responses、openai-completions、claude 或 claude-batch
+  { name: 'api_key_id', definition: 'VARCHAR(64) DEFAULT NULL' },  // 请求使用的 API Key（api_keys.id，默认 SK 和分组 SK 为 Key 指纹）
+  { name: 'group_id', definition: 'VARCHAR(255) DEFAULT NULL' },  // 请求使用的分组
+  { name: 'credits', definition: 'DECIMAL(12,4) DEFAULT 0' },  // Kiro 计量事件上报的 credit 用量
+  { name: 'hedge_status', definition: 'VARCHAR(20) DEFAULT NULL' },  // 流式对冲结果：primary_won 或 hedge_won，未对冲为 NULL
+  { name: 'hedge_account_id', definition: 'VARCHAR(255) DEFAULT NULL' },  // 对冲请求使用的账号（额外的上游请求）
   { name: 'created_at', definition: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP' }
 ]
 
@@ -209,14 +225,67 @@ export const SYSTEM_LOGS_INDEXES = [
   { name: 'idx_type_level_created', columns: 'type, level, created_at' }
 ]
 
+// users 表字段定义（Web 后台用户）
+export const USERS_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'username', definition: 'VARCHAR(64) NOT NULL UNIQUE' },
+  { name: 'password_hash', definition: 'VARCHAR(255) NOT NULL' },  // scrypt，见 utils/password-hash.js
+  { name: 'role', definition: "VARCHAR(20) NOT NULL DEFAULT 'viewer'" },  // admin / operator / viewer
+  { name: 'disabled', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+  { name: 'last_login_at', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'totp_secret', definition: 'VARCHAR(255) DEFAULT NULL' },  // Base32 密钥，配置 CREDENTIAL_ENCRYPTION_KEYS 时加密保存
+  { name: 'totp_enabled', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+  { name: 'totp_last_counter', definition: 'BIGINT DEFAULT NULL' },  // 上次验证通过的时间步，防止验证码重放
+  { name: 'totp_recovery_codes', definition: 'TEXT DEFAULT NULL' },  // 未使用的恢复码 SHA-256（JSON 数组）
+  { name: 'auth_provider', definition: "VARCHAR(20) NOT NULL DEFAULT 'local'" },  // local：密码登录；oidc：单点登录创建的用户
+  { name: 'external_id', definition: 'VARCHAR(64) DEFAULT NULL UNIQUE' },  // OIDC issuer + sub 的 SHA-256
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
 // sessions 表字段定义（登录会话持久化）
 export const SESSIONS_COLUMNS = [
-  { name: 'token', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'token', definition: 'VARCHAR(64) PRIMARY KEY' },  // 会话 Token 的 SHA-256，Cookie 中保存明文
+  { name: 'user_id', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'ip', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'user_agent', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'last_seen_at', definition: 'BIGINT DEFAULT NULL' },
   { name: 'created_at', definition: 'BIGINT NOT NULL' },
   { name: 'expires_at', definition: 'BIGINT NOT NULL' }
 ]
 
 export const SESSIONS_INDEXES = [
+  { name: 'idx_expires_at', columns: 'expires_at' },
+  { name: 'idx_user_id', columns: 'user_id' }
+]
+
+// login_challenges 表字段定义（密码验证通过后等待两步验证的登录）
+export const LOGIN_CHALLENGES_COLUMNS = [
+  { name: 'token', definition: 'VARCHAR(64) PRIMARY KEY' },  // Token 的 SHA-256，明文只返回给客户端
+  { name: 'user_id', definition: 'VARCHAR(64) NOT NULL' },
+  { name: 'purpose', definition: 'VARCHAR(20) NOT NULL' },  // verify：输入验证码；setup：首次绑定验证器
+  { name: 'ip', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'attempts', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'expires_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const LOGIN_CHALLENGES_INDEXES = [
+  { name: 'idx_expires_at', columns: 'expires_at' },
+  { name: 'idx_user_id', columns: 'user_id' }
+]
+
+// oidc_login_states 表字段定义（跳转到身份提供方后等待回调的登录）
+export const OIDC_LOGIN_STATES_COLUMNS = [
+  { name: 'state', definition: 'VARCHAR(64) PRIMARY KEY' },  // state 的 SHA-256，明文写入 Cookie 和授权请求
+  { name: 'nonce', definition: 'VARCHAR(64) NOT NULL' },
+  { name: 'code_verifier', definition: 'VARCHAR(128) NOT NULL' },  // PKCE
+  { name: 'redirect_to', definition: 'VARCHAR(255) DEFAULT NULL' },  // 登录后跳转的页面
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'expires_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const OIDC_LOGIN_STATES_INDEXES = [
   { name: 'idx_expires_at', columns: 'expires_at' }
 ]
 
@@ -228,6 +297,201 @@ export const POOL_ROUND_ROBIN_COLUMNS = [
   { name: 'updated_at', definition: 'BIGINT NOT NULL' }
 ]
 
+// message_batches 表字段定义（Claude Message Batches API）
+export const MESSAGE_BATCHES_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'group_id', definition: 'VARCHAR(255) DEFAULT NULL' },  // 创建批次的 API Key 所属分组，处理时从该分组取账号
+  { name: 'api_key_id', definition: 'VARCHAR(64) DEFAULT NULL' },  // 创建批次的 API Key，批次请求的用量计入其配额
+  { name: 'processing_status', definition: "VARCHAR(20) NOT NULL DEFAULT 'in_progress'" },  // in_progress、canceling 或 ended
+  { name: 'request_count', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'expires_at', definition: 'BIGINT NOT NULL' },
+  { name: 'cancel_initiated_at', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'ended_at', definition: 'BIGINT DEFAULT NULL' }
+]
+
+export const MESSAGE_BATCHES_INDEXES = [
+  { name: 'idx_group_created', columns: 'group_id, created_at' },
+  { name: 'idx_processing_status', columns: 'processing_status' }
+]
+
+// message_batch_items 表字段定义（批次中的单个请求及结果）
+export const MESSAGE_BATCH_ITEMS_COLUMNS = [
+  { name: 'id', definition: 'BIGINT AUTO_INCREMENT PRIMARY KEY' },
+  { name: 'batch_id', definition: 'VARCHAR(64) NOT NULL' },
+  { name: 'custom_id', definition: 'VARCHAR(64) NOT NULL' },
+  { name: 'params', definition: 'LONGTEXT NOT NULL' },  // Messages API 请求体（JSON）
+  { name: 'status', definition: "VARCHAR(20) NOT NULL DEFAULT 'pending'" },  // pending、processing、succeeded、errored、canceled 或 expired
+  { name: 'result', definition: 'LONGTEXT' },  // 结果（JSON），格式与 results JSONL 中的 result 字段一致
+  { name: 'account_id', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'attempts', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'locked_by', definition: 'VARCHAR(100) DEFAULT NULL' },  // 正在处理该请求的进程
+  { name: 'locked_at', definition: 'BIGINT DEFAULT NULL' },  // 领取时间，超过租约时间视为进程已退出，可被重新领取
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const MESSAGE_BATCH_ITEMS_INDEXES = [
+  { name: 'idx_batch_id', columns: 'batch_id, id' },
+  { name: 'idx_status_locked', columns: 'status, locked_at' },
+  { name: 'idx_locked_by', columns: 'locked_by' }
+]
+
+// api_keys 表字段定义（API Key 管理，只保存哈希）
+export const API_KEYS_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'name', definition: 'VARCHAR(100) NOT NULL' },
+  { name: 'group_id', definition: 'VARCHAR(255) DEFAULT NULL' },  // 所属分组，只能访问分组内账号；NULL 表示可访问所有账号
+  { name: 'key_hash', definition: 'CHAR(64) NOT NULL' },  // SHA-256
+  { name: 'key_prefix', definition: 'VARCHAR(20) NOT NULL' },  // 用于展示的 Key 前缀
+  { name: 'allowed_models', definition: 'TEXT' },  // 允许的模型（JSON 数组），NULL 表示不限制
+  { name: 'rate_limit_rpm', definition: 'INT NOT NULL DEFAULT 0' },  // 0 表示使用 RATE_LIMIT_KEY_* 默认值
+  { name: 'rate_limit_tpm', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'max_concurrent_streams', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'max_queue_wait_ms', definition: 'INT DEFAULT NULL' },  // 账号池耗尽时的最长排队时间，NULL 表示使用 WAIT_QUEUE_MAX_WAIT_MS，0 表示不排队
+  { name: 'expires_at', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'revoked_at', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'last_used_at', definition: 'BIGINT DEFAULT NULL' },
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const API_KEYS_INDEXES = [
+  { name: 'idx_key_hash', columns: 'key_hash' },
+  { name: 'idx_group_id', columns: 'group_id' }
+]
+
+// models 表字段定义（模型注册表，对外模型名 → Kiro 模型 ID）
+export const MODELS_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(100) PRIMARY KEY' },  // 对外模型名，如 claude-sonnet-4-5
+  { name: 'kiro_model_id', definition: 'VARCHAR(100) NOT NULL' },  // 发送给 Kiro 的模型 ID
+  { name: 'display_name', definition: 'VARCHAR(100) DEFAULT NULL' },
+  { name: 'max_output_tokens', definition: 'INT NOT NULL DEFAULT 0' },  // 请求允许的最大输出 token，0 表示不限制
+  { name: 'is_default', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },  // 请求未指定 model 且分组没有默认模型时使用
+  { name: 'enabled', definition: 'BOOLEAN NOT NULL DEFAULT TRUE' },
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
+// model_aliases 表字段定义（模型别名，如 gpt-4o → claude-sonnet-4-5）
+export const MODEL_ALIASES_COLUMNS = [
+  { name: 'alias', definition: 'VARCHAR(100) PRIMARY KEY' },
+  { name: 'model_id', definition: 'VARCHAR(100) NOT NULL' },  // models.id
+  { name: 'created_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const MODEL_ALIASES_INDEXES = [
+  { name: 'idx_model_id', columns: 'model_id' }
+]
+
+// quotas 表字段定义（API Key / 分组的日、月配额）
+export const QUOTAS_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'scope_type', definition: 'VARCHAR(20) NOT NULL' },  // api_key 或 group
+  { name: 'scope_id', definition: 'VARCHAR(255) NOT NULL' },  // api_keys.id 或 groups.id
+  { name: 'period', definition: 'VARCHAR(10) NOT NULL' },  // day 或 month（按北京时间）
+  { name: 'metric', definition: 'VARCHAR(20) NOT NULL' },  // requests、tokens 或 credits
+  { name: 'limit_value', definition: 'DECIMAL(16,4) NOT NULL' },
+  { name: 'warn_percent', definition: 'INT NOT NULL DEFAULT 80' },  // 达到该比例时记录告警，0 表示不告警
+  { name: 'hard_limit', definition: 'BOOLEAN NOT NULL DEFAULT TRUE' },  // 超出后拒绝请求；FALSE 时只告警
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const QUOTAS_INDEXES = [
+  { name: 'idx_scope', columns: 'scope_type, scope_id' }
+]
+
+// quota_usage 表字段定义（按天汇总的用量，由请求日志写入时累加，不随日志清理）
+export const QUOTA_USAGE_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(255) PRIMARY KEY' },  // scope|day
+  { name: 'scope', definition: 'VARCHAR(200) NOT NULL' },  // api_key:<id> 或 group:<id>
+  { name: 'day', definition: 'CHAR(10) NOT NULL' },  // YYYY-MM-DD（北京时间）
+  { name: 'requests', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'tokens', definition: 'BIGINT NOT NULL DEFAULT 0' },
+  { name: 'credits', definition: 'DECIMAL(16,4) NOT NULL DEFAULT 0' },
+  { name: 'updated_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const QUOTA_USAGE_INDEXES = [
+  { name: 'idx_scope_day', columns: 'scope, day' }
+]
+
+// rate_limit_counters 表字段定义（限流计数，按分钟窗口，多服务器共享）
+export const RATE_LIMIT_COUNTERS_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(255) PRIMARY KEY' },  // scope|window_start
+  { name: 'scope', definition: 'VARCHAR(200) NOT NULL' },  // key:<API Key 指纹> 或 group:<分组 ID>
+  { name: 'window_start', definition: 'BIGINT NOT NULL' },
+  { name: 'requests', definition: 'INT NOT NULL DEFAULT 0' },
+  { name: 'tokens', definition: 'BIGINT NOT NULL DEFAULT 0' }
+]
+
+export const RATE_LIMIT_COUNTERS_INDEXES = [
+  { name: 'idx_window_start', columns: 'window_start' }
+]
+
+// rate_limit_leases 表字段定义（进行中的流式请求，用于并发限制）
+export const RATE_LIMIT_LEASES_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'scope', definition: 'VARCHAR(200) NOT NULL' },
+  { name: 'server_id', definition: 'VARCHAR(100) DEFAULT NULL' },
+  { name: 'expires_at', definition: 'BIGINT NOT NULL' }  // 进程异常退出时租约到期后自动失效
+]
+
+export const RATE_LIMIT_LEASES_INDEXES = [
+  { name: 'idx_scope_expires', columns: 'scope, expires_at' },
+  { name: 'idx_expires_at', columns: 'expires_at' }
+]
+
+// account_inflight 表字段定义（账号进行中的请求，用于账号并发限制）
+export const ACCOUNT_INFLIGHT_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'account_id', definition: 'VARCHAR(255) NOT NULL' },
+  { name: 'server_id', definition: 'VARCHAR(100) DEFAULT NULL' },
+  { name: 'expires_at', definition: 'BIGINT NOT NULL' },  // 进程异常退出时租约到期后自动失效
+  { name: 'created_at', definition: 'BIGINT NOT NULL' }
+]
+
+export const ACCOUNT_INFLIGHT_INDEXES = [
+  { name: 'idx_account_expires', columns: 'account_id, expires_at' },
+  { name: 'idx_expires_at', columns: 'expires_at' }
+]
+
+// proxy_checks 表字段定义（上游代理健康检查结果，proxy_key 为 direct 或代理 URL 的哈希）
+export const PROXY_CHECKS_COLUMNS = [
+  { name: 'proxy_key', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'proxy_url', definition: 'VARCHAR(500) DEFAULT NULL' },  // 隐藏密码后的代理 URL，直连为 NULL
+  { name: 'healthy', definition: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+  { name: 'egress_ip', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'latency_ms', definition: 'INT DEFAULT NULL' },
+  { name: 'last_error', definition: 'VARCHAR(500) DEFAULT NULL' },
+  { name: 'checked_at', definition: 'BIGINT NOT NULL' }
+]
+
+// audit_log 表字段定义（管理接口的修改记录，按 AUDIT_LOG_RETENTION_DAYS 清理）
+export const AUDIT_LOG_COLUMNS = [
+  { name: 'id', definition: 'VARCHAR(64) PRIMARY KEY' },
+  { name: 'created_at', definition: 'BIGINT NOT NULL' },
+  { name: 'actor_id', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'actor_name', definition: 'VARCHAR(64) NOT NULL' },  // 未启用登录验证时为 anonymous
+  { name: 'actor_role', definition: 'VARCHAR(20) DEFAULT NULL' },
+  { name: 'action', definition: 'VARCHAR(64) NOT NULL' },  // 如 account.update、data.import
+  { name: 'resource_type', definition: 'VARCHAR(32) NOT NULL' },
+  { name: 'resource_id', definition: 'VARCHAR(255) DEFAULT NULL' },
+  { name: 'changes', definition: 'MEDIUMTEXT' },  // JSON，{ 字段: { from, to } }，敏感字段已脱敏
+  { name: 'metadata', definition: 'TEXT' },  // JSON
+  { name: 'ip', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'request_id', definition: 'VARCHAR(64) DEFAULT NULL' },
+  { name: 'server_id', definition: 'VARCHAR(100) DEFAULT NULL' }
+]
+
+export const AUDIT_LOG_INDEXES = [
+  { name: 'idx_created_at', columns: 'created_at' },
+  { name: 'idx_resource_created', columns: 'resource_type, resource_id, created_at' },
+  { name: 'idx_actor_created', columns: 'actor_name, created_at' },
+  { name: 'idx_action_created', columns: 'action, created_at' },
+  { name: 'idx_request_id', columns: 'request_id' }
+]
+
 // 所有表定义
 export const TABLES = {
   accounts: {
@@ -262,13 +526,73 @@ export const TABLES = {
     columns: SYSTEM_LOGS_COLUMNS,
     indexes: SYSTEM_LOGS_INDEXES
   },
+  users: {
+    columns: USERS_COLUMNS,
+    indexes: []
+  },
   sessions: {
     columns: SESSIONS_COLUMNS,
     indexes: SESSIONS_INDEXES
   },
+  login_challenges: {
+    columns: LOGIN_CHALLENGES_COLUMNS,
+    indexes: LOGIN_CHALLENGES_INDEXES
+  },
+  oidc_login_states: {
+    columns: OIDC_LOGIN_STATES_COLUMNS,
+    indexes: OIDC_LOGIN_STATES_INDEXES
+  },
   pool_round_robin: {
     columns: POOL_ROUND_ROBIN_COLUMNS,
     indexes: []
+  },
+  message_batches: {
+    columns: MESSAGE_BATCHES_COLUMNS,
+    indexes: MESSAGE_BATCHES_INDEXES
+  },
+  message_batch_items: {
+    columns: MESSAGE_BATCH_ITEMS_COLUMNS,
+    indexes: MESSAGE_BATCH_ITEMS_INDEXES
+  },
+  api_keys: {
+    columns: API_KEYS_COLUMNS,
+    indexes: API_KEYS_INDEXES
+  },
+  models: {
+    columns: MODELS_COLUMNS,
+    indexes: []
+  },
+  model_aliases: {
+    columns: MODEL_ALIASES_COLUMNS,
+    indexes: MODEL_ALIASES_INDEXES
+  },
+  quotas: {
+    columns: QUOTAS_COLUMNS,
+    indexes: QUOTAS_INDEXES
+  },
+  quota_usage: {
+    columns: QUOTA_USAGE_COLUMNS,
+    indexes: QUOTA_USAGE_INDEXES
+  },
+  rate_limit_counters: {
+    columns: RATE_LIMIT_COUNTERS_COLUMNS,
+    indexes: RATE_LIMIT_COUNTERS_INDEXES
+  },
+  rate_limit_leases: {
+    columns: RATE_LIMIT_LEASES_COLUMNS,
+    indexes: RATE_LIMIT_LEASES_INDEXES
+  },
+  account_inflight: {
+    columns: ACCOUNT_INFLIGHT_COLUMNS,
+    indexes: ACCOUNT_INFLIGHT_INDEXES
+  },
+  proxy_checks: {
+    columns: PROXY_CHECKS_COLUMNS,
+    indexes: []
+  },
+  audit_log: {
+    columns: AUDIT_LOG_COLUMNS,
+    indexes: AUDIT_LOG_INDEXES
   }
 }
 
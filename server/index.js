@@ -15,6 +15,7 @@ import { pool, getConnectionWithRetry } from './config/database.js'
 import { initDatabase } from './db/init.js'
 import { migrateDatabase, validateDatabase } from './db/migrate.js'
 import { fixClientSecretColumn } from './db/fix-client-secret.js'
+import { migrateCredentials } from './db/migrations/encrypt-credentials.js'
 
 // 路由
 import {
@@ -23,6 +24,10 @@ import {
   accountV2Routes,
   groupRoutes,
   groupV2Routes,
+  apiKeyV2Routes,
+  userV2Routes,
+  quotaV2Routes,
+  modelV2Routes,
   tagRoutes,
   tagV2Routes,
   settingRoutes,
@@ -30,7 +35,8 @@ import {
   machineIdRoutes,
   dataRoutes,
   syncRoutes,
-  monitoringRoutes
+  monitoringRoutes,
+  auditV2Routes
 } from './routes/index.js'
 
 // 监控模块的 TokenRefresher 和 AccountPool 设置函数
@@ -39,12 +45,14 @@ import { setTokenRefresher as setMonitoringTokenRefresher, setAccountPool as set
 // 登录认证
 import authRoutes from './routes/auth.js'
 import { requireAuth } from './middleware/auth-middleware.js'
+import { requestId } from './middleware/request-id.js'
+import { ensureBootstrapAdmin } from './models/user.js'
 
 // OpenAI 兼容 API
 import { initOpenAIRoutes } from './openai-compat/openai-routes.js'
 
 // Claude 兼容 API
-import { initClaudeRoutes } from './claude-compat/index.js'
+import { initClaudeRoutes, BatchWorker } from './claude-compat/index.js'
 
 // 账号池管理
 import AccountPool from './openai-compat/account-pool.js'
@@ -55,6 +63,21 @@ import TokenRefresher from './token-refresher.js'
 // 系统日志
 import SystemLogger, { initSystemLogger } from './openai-compat/system-logger.js'
 
+// API Key / 分组限流
+import { initRateLimiter } from './openai-compat/rate-limiter.js'
+
+// API Key / 分组配额
+import { initQuotaManager } from './openai-compat/quota-manager.js'
+
+// 模型注册表
+import { initModelRegistry } from './openai-compat/model-registry.js'
+
+// 上游代理
+import { initUpstreamProxy } from './utils/upstream-proxy.js'
+
+// 审计日志
+import { initAuditLog } from './utils/audit-log.js'
+
 // 工作时段管理
 import { initWorkdayCache, getWorkingStatus, refreshWorkdayCache } from './utils/working-hours.js'
 
@@ -73,6 +96,9 @@ app.use(cookieParser())
 // 注册登录路由（不需要认证）
 app.use(authRoutes)
 
+// 请求 ID（写入审计日志，并在响应头 X-Request-Id 中返回）
+app.use('/api', requestId)
+
 // 应用登录验证中间件（保护所有 API 路由）
 app.use('/api', requireAuth)
 
@@ -82,6 +108,10 @@ app.use(accountRoutes)
 app.use(accountV2Routes)  // v2 账号接口（带版本控制）
 app.use(groupRoutes)
 app.use(groupV2Routes)    // v2 分组接口（带版本控制）
+app.use(apiKeyV2Routes)   // v2 API Key 管理接口
+app.use(userV2Routes)     // v2 用户管理接口
+app.use(quotaV2Routes)    // v2 配额管理接口
+app.use(modelV2Routes)    // v2 模型注册表接口
 app.use(tagRoutes)
 app.use(tagV2Routes)      // v2 标签接口（带版本控制）
 app.use(settingRoutes)
@@ -89,14 +119,23 @@ app.use(settingV2Routes)  // v2 设置接口（带版本控制）
 app.use(machineIdRoutes)
 app.use(dataRoutes)
 app.use(syncRoutes)
+app.use(auditV2Routes)    // v2 审计日志接口
 app.use('/api/monitoring', monitoringRoutes)  // 监控仪表板API
 
 // 系统日志实例（全局，使用单例模式）
 const systemLogger = initSystemLogger(pool)
+const rateLimiter = initRateLimiter(pool)
+initQuotaManager(pool, systemLogger)
+const modelRegistry = initModelRegistry(pool)
+const upstreamProxy = initUpstreamProxy(pool)
+const auditLog = initAuditLog(pool)
 
 // Token 刷新服务实例（全局，用于获取下次检测时间）
 let tokenRefresher = null
 
+// Message Batches 后台处理实例
+let batchWorker = null
+
 // 账号池实例（全局，用于活跃池管理）
 // 在模块加载时创建，以便路由可以使用
 let accountPool = new AccountPool(pool, systemLogger)
@@ -332,17 +371,39 @@ async function gracefulShutdown(signal) {
     console.log('[Server] Token refresher stopped')
   }
 
+  // 停止批处理 worker，未完成的请求放回队列
+  if (batchWorker) {
+    try {
+      await batchWorker.stop()
+    } catch (error) {
+      console.error('[Server] Error stopping batch worker:', error.message)
+    }
+  }
+
   // 停止账号池监控
   if (accountPool) {
     accountPool.stopActivePoolMonitor()
     accountPool.stopHealthMonitor()
+    accountPool.concurrency.stopCleanup()
     console.log('[Server] Account pool monitors stopped')
   }
 
+  // 停止限流计数清理
+  rateLimiter.stopCleanup()
+
+  // 停止模型注册表刷新
+  modelRegistry.stopRefresh()
+
+  // 停止上游代理健康检查
+  upstreamProxy.stopHealthChecks()
+
   // 停止系统日志清理
   systemLogger.stopCleanupTask()
   console.log('[Server] System logger cleanup stopped')
 
+  // 停止审计日志清理
+  auditLog.stopCleanupTask()
+
   // 等待现有请求完成（最多等待 10 秒）
   const shutdownTimeout = 10000
   const startTime = Date.now()
@@ -386,6 +447,12 @@ async function start() {
     // 修复字段长度问题
     await fixClientSecretColumn()
 
+    // 加密明文保存的账号凭证（配置了 CREDENTIAL_ENCRYPTION_KEYS 时）
+    await migrateCredentials(pool)
+
+    // users 表为空时用 WEB_LOGIN_PASSWORD 创建管理员
+    await ensureBootstrapAdmin()
+
     // 初始化工作日缓存
     await initWorkdayCache()
     const workingStatus = getWorkingStatus()
@@ -394,6 +461,23 @@ async function start() {
     // 启动系统日志清理任务
     systemLogger.startCleanupTask()
 
+    // 启动审计日志清理任务（保留天数见 AUDIT_LOG_RETENTION_DAYS）
+    auditLog.startCleanupTask()
+
+    // 启动限流计数清理任务
+    rateLimiter.startCleanup()
+
+    // 启动账号并发租约清理任务
+    accountPool.concurrency.startCleanup()
+
+    // 加载模型注册表（首次启动时写入内置模型）
+    await modelRegistry.seedDefaults()
+    await modelRegistry.refresh()
+    modelRegistry.startRefresh()
+
+    // 启动上游代理健康检查（记录直连和各代理的出口 IP）
+    upstreamProxy.startHealthChecks()
+
     // 记录服务启动日志
     await systemLogger.logSystem({
       action: 'server_start',
@@ -428,6 +512,13 @@ async function start() {
       setMonitoringTokenRefresher(tokenRefresher)
     }
 
+    // 启动 Message Batches 后台处理（可通过环境变量禁用）
+    const disableBatchWorker = !enableClaudeApi || process.env.DISABLE_BATCH_WORKER === 'true'
+    if (!disableBatchWorker) {
+      batchWorker = new BatchWorker(pool, accountPool, { systemLogger })
+      batchWorker.start()
+    }
+
     // 启动 HTTP 服务器
     server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`✓ Server [${SERVER_ID}] running on http://0.0.0.0:${PORT}`)
@@ -436,8 +527,12 @@ async function start() {
       console.log(`✓ Active pool: ${accountPool.activePoolConfig.enabled ? `enabled (limit: ${accountPool.activePoolConfig.limit})` : 'DISABLED'}`)
       console.log(`✓ OpenAI compatible API: http://0.0.0.0:${PORT}/v1/chat/completions`)
       console.log(`✓ Pool status: http://0.0.0.0:${PORT}/v1/pool/status`)
+      console.log(`✓ Message batch worker: ${disableBatchWorker ? 'DISABLED' : `enabled (concurrency: ${batchWorker.concurrency})`}`)
       console.log(`✓ Accounts V2 API: http://0.0.0.0:${PORT}/api/v2/accounts`)
       console.log(`✓ Groups V2 API: http://0.0.0.0:${PORT}/api/v2/groups`)
+      console.log(`✓ API Keys V2 API: http://0.0.0.0:${PORT}/api/v2/api-keys`)
+      console.log(`✓ Quotas V2 API: http://0.0.0.0:${PORT}/api/v2/quotas`)
+      console.log(`✓ Models V2 API: http://0.0.0.0:${PORT}/api/v2/models (${modelRegistry.snapshot.models.size} models)`)
       console.log(`✓ Tags V2 API: http://0.0.0.0:${PORT}/api/v2/tags`)
       console.log(`✓ Settings V2 API: http://0.0.0.0:${PORT}/api/v2/settings`)
       console.log(`✓ Monitoring API: http://0.0.0.0:${PORT}/api/monitoring`)
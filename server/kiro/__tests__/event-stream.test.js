@@ -0,0 +1,278 @@
+/**
+ * AWS Event Stream 解码器测试
+ * fixtures/*.bin 为 Kiro generateAssistantResponse 接口的原始响应字节
+ */
+
+import { jest } from '@jest/globals'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import {
+  crc32,
+  decodeHeaders,
+  decodeMessage,
+  EventStreamDecoder,
+  toKiroEvent,
+  decodeKiroEvents,
+  ToolUseAccumulator
+} from '../event-stream.js'
+import KiroClient from '../kiro-client.js'
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+const loadFixture = (name) => readFileSync(join(fixturesDir, name))
+
+const createAccount = () => ({
+  id: 'acc-1',
+  email: 'test@example.com',
+  credentials: { accessToken: 'token', refreshToken: 'refresh', region: 'us-east-1' }
+})
+
+describe('crc32', () => {
+  it('should match the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926)
+  })
+
+  it('should support a byte range', () => {
+    const buf = Buffer.from('xx123456789yy')
+    expect(crc32(buf, 2, 11)).toBe(0xCBF43926)
+  })
+})
+
+describe('decodeHeaders', () => {
+  it('should decode every header value type', () => {
+    const header = (name, type, value) => Buffer.concat([
+      Buffer.from([name.length]), Buffer.from(name), Buffer.from([type]), value
+    ])
+    const int16 = Buffer.alloc(2); int16.writeInt16BE(-2)
+    const int32 = Buffer.alloc(4); int32.writeInt32BE(70000)
+    const int64 = Buffer.alloc(8); int64.writeBigInt64BE(123n)
+    const ts = Buffer.alloc(8); ts.writeBigInt64BE(1700000000000n)
+    const str = Buffer.from('hello')
+    const strLen = Buffer.alloc(2); strLen.writeUInt16BE(str.length)
+
+    const headers = decodeHeaders(Buffer.concat([
+      header('t', 0, Buffer.alloc(0)),
+      header('f', 1, Buffer.alloc(0)),
+      header('b', 2, Buffer.from([0xff])),
+      header('s', 3, int16),
+      header('i', 4, int32),
+      header('l', 5, int64),
+      header('a', 6, Buffer.concat([Buffer.from([0, 2]), Buffer.from([1, 2])])),
+      header('str', 7, Buffer.concat([strLen, str])),
+      header('ts', 8, ts),
+      header('u', 9, Buffer.from('00112233445566778899aabbccddeeff', 'hex'))
+    ]))
+
+    expect(headers.t).toBe(true)
+    expect(headers.f).toBe(false)
+    expect(headers.b).toBe(-1)
+    expect(headers.s).toBe(-2)
+    expect(headers.i).toBe(70000)
+    expect(headers.l).toBe(123n)
+    expect([...headers.a]).toEqual([1, 2])
+    expect(headers.str).toBe('hello')
+    expect(headers.ts.getTime()).toBe(1700000000000)
+    expect(headers.u).toBe('00112233-4455-6677-8899-aabbccddeeff')
+  })
+
+  it('should reject unknown header types', () => {
+    expect(() => decodeHeaders(Buffer.from([1, 0x78, 42]))).toThrow('unknown header type 42')
+  })
+})
+
+describe('EventStreamDecoder', () => {
+  const fixture = loadFixture('assistant-tool-metering.bin')
+
+  it('should decode all frames of a recorded response', () => {
+    const messages = new EventStreamDecoder().push(fixture)
+
+    expect(messages).toHaveLength(8)
+    expect(messages[0].headers[':event-type']).toBe('assistantResponseEvent')
+    expect(messages[0].headers[':message-type']).toBe('event')
+    expect(messages[0].headers[':content-type']).toBe('application/json')
+    expect(JSON.parse(messages[0].payload.toString('utf8'))).toEqual({ content: '<thinking>先读取文件' })
+  })
+
+  it('should produce the same frames when fed one byte at a time', () => {
+    const decoder = new EventStreamDecoder()
+    const messages = []
+    for (let i = 0; i < fixture.length; i++) {
+      messages.push(...decoder.push(fixture.subarray(i, i + 1)))
+    }
+
+    expect(messages.map(m => m.payload.toString('utf8')))
+      .toEqual(new EventStreamDecoder().push(fixture).map(m => m.payload.toString('utf8')))
+    expect(decoder.pendingBytes).toBe(0)
+  })
+
+  it('should keep incomplete frames buffered', () => {
+    const decoder = new EventStreamDecoder()
+    expect(decoder.push(fixture.subarray(0, 20))).toEqual([])
+    expect(decoder.pendingBytes).toBe(20)
+  })
+
+  it('should reject a frame with a corrupted payload', () => {
+    const corrupted = Buffer.from(fixture)
+    corrupted[100] ^= 0xff
+    expect(() => new EventStreamDecoder().push(corrupted)).toThrow('message CRC mismatch')
+  })
+
+  it('should reject a frame with a corrupted prelude', () => {
+    const corrupted = Buffer.from(fixture)
+    corrupted[3] ^= 0x01
+    expect(() => new EventStreamDecoder().push(corrupted)).toThrow('prelude CRC mismatch')
+  })
+
+  it('should reject a frame whose length does not match', () => {
+    const frame = Buffer.from(fixture.subarray(0, fixture.readUInt32BE(0)))
+    expect(() => decodeMessage(frame.subarray(0, frame.length - 1))).toThrow('length mismatch')
+  })
+})
+
+describe('toKiroEvent', () => {
+  it('should map recorded frames to typed Kiro events', () => {
+    const events = decodeKiroEvents(loadFixture('assistant-tool-metering.bin'))
+
+    expect(events.map(e => e.type)).toEqual([
+      'assistantResponse',
+      'assistantResponse',
+      'toolUse',
+      'toolUse',
+      'toolUse',
+      'toolUse',
+      'metering',
+      'contextUsage'
+    ])
+    expect(events[1].content).toBe('</thinking>好的，我来看看 "config.json"。\n')
+    expect(events[3]).toEqual({
+      type: 'toolUse',
+      toolUseId: 'tooluse_abc123',
+      name: 'read_file',
+      input: '{"path":"con',
+      stop: false
+    })
+    expect(events[5].stop).toBe(true)
+    expect(events[6]).toEqual({ type: 'metering', unit: 'credit', usage: 0.0123 })
+    expect(events[7]).toEqual({ type: 'contextUsage', contextUsagePercentage: 1.75 })
+  })
+
+  it('should throw on exception frames', () => {
+    const messages = new EventStreamDecoder().push(loadFixture('exception.bin'))
+
+    expect(toKiroEvent(messages[0])).toEqual({ type: 'assistantResponse', content: 'partial' })
+    expect(() => toKiroEvent(messages[1])).toThrow('ThrottlingException - Too many requests')
+  })
+
+  it('should return unknown events for unrecognised event types', () => {
+    const event = toKiroEvent({
+      headers: { ':message-type': 'event', ':event-type': 'followupPromptEvent' },
+      payload: Buffer.from('{"followupPrompt":{}}')
+    })
+    expect(event).toEqual({ type: 'unknown', eventType: 'followupPromptEvent', payload: { followupPrompt: {} } })
+  })
+
+  it('should skip frames whose payload is JSON null', () => {
+    const event = toKiroEvent({
+      headers: { ':message-type': 'event', ':event-type': 'assistantResponseEvent' },
+      payload: Buffer.from('null')
+    })
+    expect(event).toEqual({ type: 'unknown', eventType: 'assistantResponseEvent', payload: 'null' })
+  })
+})
+
+describe('ToolUseAccumulator', () => {
+  it('should assemble streamed input fragments on stop', () => {
+    const acc = new ToolUseAccumulator()
+    expect(acc.add({ toolUseId: 't1', name: 'run', input: '{"cmd":', stop: false })).toBeNull()
+    expect(acc.add({ toolUseId: 't1', name: 'run', input: '"ls"}', stop: false })).toBeNull()
+    expect(acc.add({ toolUseId: 't1', name: 'run', input: '', stop: true }))
+      .toEqual({ id: 't1', name: 'run', input: { cmd: 'ls' } })
+    expect(acc.flush()).toEqual([])
+  })
+
+  it('should flush tool calls that never received stop', () => {
+    const acc = new ToolUseAccumulator()
+    acc.add({ toolUseId: 't2', name: 'noop', input: '', stop: false })
+    expect(acc.flush()).toEqual([{ id: 't2', name: 'noop', input: {} }])
+  })
+
+  it('should keep unparsable input as raw arguments', () => {
+    const acc = new ToolUseAccumulator()
+    expect(acc.add({ toolUseId: 't3', name: 'bad', input: '{"a":', stop: true }))
+      .toEqual({ id: 't3', name: 'bad', input: { raw_arguments: '{"a":' } })
+  })
+})
+
+describe('KiroClient with event-stream responses', () => {
+  const originalFetch = global.fetch
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    global.fetch = originalFetch
+    jest.restoreAllMocks()
+  })
+
+  it('parseResponse should collect text, tool calls and metering', () => {
+    const client = new KiroClient(createAccount())
+    const result = client.parseResponse(loadFixture('assistant-tool-metering.bin'))
+
+    expect(result.content).toBe('<thinking>先读取文件</thinking>好的，我来看看 "config.json"。\n')
+    expect(result.toolCalls).toEqual([
+      { type: 'tool_use', id: 'tooluse_abc123', name: 'read_file', input: { path: 'config.json' } }
+    ])
+    expect(result.metering).toEqual([{ unit: 'credit', usage: 0.0123 }])
+    expect(result.contextUsagePercentage).toBe(1.75)
+    expect(result.contentBlocks.some(b => b.type === 'thinking')).toBe(true)
+  })
+
+  it('streamApi should yield typed events from arbitrarily split chunks', async () => {
+    const fixture = loadFixture('assistant-tool-metering.bin')
+    // 按 7 字节切片，模拟帧和多字节字符被网络分片切断
+    const chunks = []
+    for (let i = 0; i < fixture.length; i += 7) {
+      chunks.push(new Uint8Array(fixture.subarray(i, i + 7)))
+    }
+    global.fetch = jest.fn(async () => new Response(new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(chunk))
+        controller.close()
+      }
+    }), { status: 200 }))
+
+    const client = new KiroClient(createAccount())
+    const events = []
+    for await (const event of client.streamApi(
+      [{ role: 'user', content: 'hi' }],
+      'claude-sonnet-4-5',
+      { requestBody: { thinking: { type: 'enabled', budget_tokens: 1024 } } }
+    )) {
+      events.push(event)
+    }
+
+    expect(events).toEqual([
+      { type: 'thinking_start' },
+      { type: 'thinking', thinking: '先读取文件' },
+      { type: 'thinking_end', thinking: '先读取文件' },
+      { type: 'content', content: '好的，我来看看 "config.json"。\n' },
+      { type: 'tool_use', id: 'tooluse_abc123', name: 'read_file', input: { path: 'config.json' } },
+      { type: 'metering', unit: 'credit', usage: 0.0123 },
+      { type: 'context_usage', percentage: 1.75 }
+    ])
+  })
+
+  it('streamApi should surface exception frames as errors', async () => {
+    global.fetch = jest.fn(async () => new Response(loadFixture('exception.bin'), { status: 200 }))
+
+    const client = new KiroClient(createAccount())
+    const events = []
+    await expect((async () => {
+      for await (const event of client.streamApi([{ role: 'user', content: 'hi' }], 'claude-sonnet-4-5')) {
+        events.push(event)
+      }
+    })()).rejects.toThrow('ThrottlingException')
+    expect(events).toEqual([{ type: 'content', content: 'partial' }])
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * 工具名称映射测试
+ */
+
+import { jest } from '@jest/globals'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+import { ToolNameMap, shortenToolNameIfNeeded } from '../tool-utils.js'
+import { KIRO_MAX_TOOL_NAME_LEN } from '../constants.js'
+import KiroClient from '../kiro-client.js'
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+
+const LONG_NAME = 'mcp__github_enterprise_server__repository_management__create_pull_request_review_comment'
+
+describe('ToolNameMap', () => {
+  it('should keep names within the limit unchanged', () => {
+    const map = new ToolNameMap()
+    expect(map.shorten('read_file')).toBe('read_file')
+    expect(map.restore('read_file')).toBe('read_file')
+  })
+
+  it('should shorten long names and restore them', () => {
+    const map = new ToolNameMap()
+    const shortName = map.shorten(LONG_NAME)
+
+    expect(shortName).toBe(shortenToolNameIfNeeded(LONG_NAME))
+    expect(shortName.length).toBeLessThanOrEqual(KIRO_MAX_TOOL_NAME_LEN)
+    expect(map.restore(shortName)).toBe(LONG_NAME)
+  })
+
+  it('should return the same short name for repeated lookups', () => {
+    const map = new ToolNameMap()
+    expect(map.shorten(LONG_NAME)).toBe(map.shorten(LONG_NAME))
+  })
+
+  it('should keep names distinct when two long names shorten to the same string', () => {
+    const a = 'mcp__server_alpha__shared_prefix_' + 'x'.repeat(40) + '__shared_tail_for_both_tools_xyz'
+    const b = 'mcp__server_alpha__shared_prefix_' + 'y'.repeat(40) + '__shared_tail_for_both_tools_xyz'
+    expect(shortenToolNameIfNeeded(a)).toBe(shortenToolNameIfNeeded(b))
+
+    const map = new ToolNameMap()
+    const shortA = map.shorten(a)
+    const shortB = map.shorten(b)
+
+    expect(shortA).not.toBe(shortB)
+    expect(shortB.length).toBeLessThanOrEqual(KIRO_MAX_TOOL_NAME_LEN)
+    expect(map.restore(shortA)).toBe(a)
+    expect(map.restore(shortB)).toBe(b)
+  })
+
+  it('should not let a shortened name shadow a declared tool', () => {
+    const map = new ToolNameMap()
+    const declared = shortenToolNameIfNeeded(LONG_NAME)
+    expect(map.shorten(declared)).toBe(declared)
+
+    const shortName = map.shorten(LONG_NAME)
+    expect(shortName).not.toBe(declared)
+    expect(map.restore(declared)).toBe(declared)
+    expect(map.restore(shortName)).toBe(LONG_NAME)
+  })
+
+  it('should return unknown names unchanged', () => {
+    expect(new ToolNameMap().restore('unknown_tool')).toBe('unknown_tool')
+  })
+})
+
+describe('KiroClient tool name round trip', () => {
+  const account = {
+    id: 'acc-1',
+    email: 'test@example.com',
+    credentials: { accessToken: 'token', refreshToken: 'refresh', region: 'us-east-1' }
+  }
+  const tools = [{
+    type: 'function',
+    function: { name: LONG_NAME, description: 'Comment on a PR', parameters: { type: 'object' } }
+  }]
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should use the same short name for declared tools and history tool_use', () => {
+    const client = new KiroClient(account)
+    const request = client.buildRequest([
+      { role: 'user', content: 'review it' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tooluse_1', name: LONG_NAME, input: {} }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tooluse_1', content: 'ok' }] }
+    ], 'claude-sonnet-4-5', tools)
+
+    const context = request.conversationState.currentMessage.userInputMessage.userInputMessageContext
+    const declaredName = context.tools[0].toolSpecification.name
+    const historyName = request.conversationState.history
+      .find(item => item.assistantResponseMessage?.toolUses)
+      .assistantResponseMessage.toolUses[0].name
+
+    expect(declaredName.length).toBeLessThanOrEqual(KIRO_MAX_TOOL_NAME_LEN)
+    expect(historyName).toBe(declaredName)
+    expect(context.toolResults[0].toolUseId).toBe('tooluse_1')
+  })
+
+  it('should restore original names in parsed responses', () => {
+    const client = new KiroClient(account)
+    client.buildRequest([{ role: 'user', content: 'review it' }], 'claude-sonnet-4-5', tools)
+
+    const result = client.parseResponse(readFileSync(join(fixturesDir, 'long-tool-name.bin')))
+
+    expect(result.toolCalls).toEqual([
+      { type: 'tool_use', id: 'tooluse_long1', name: LONG_NAME, input: { body: 'LGTM' } }
+    ])
+  })
+
+  it('should restore original names in streamed tool_use events', async () => {
+    const originalFetch = global.fetch
+    global.fetch = jest.fn(async () => new Response(readFileSync(join(fixturesDir, 'long-tool-name.bin')), { status: 200 }))
+
+    try {
+      const client = new KiroClient(account)
+      const toolEvents = []
+      for await (const event of client.streamApi([{ role: 'user', content: 'review it' }], 'claude-sonnet-4-5', { tools })) {
+        if (event.type === 'tool_use') toolEvents.push(event)
+      }
+
+      expect(toolEvents).toEqual([
+        { type: 'tool_use', id: 'tooluse_long1', name: LONG_NAME, input: { body: 'LGTM' } }
+      ])
+    } finally {
+      global.fetch = originalFetch
+    }
+  })
+})
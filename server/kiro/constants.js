@@ -6,6 +6,8 @@
 export const KIRO_MAX_OUTPUT_TOKENS = 32000
 export const KIRO_MAX_TOOL_DESC_LEN = 10237
 export const KIRO_MAX_TOOL_NAME_LEN = 64
+// 上下文窗口大小，contextUsageEvent 的百分比以此为基数
+export const KIRO_CONTEXT_WINDOW_TOKENS = 172500
 
 // Kiro API 配置
 export const KIRO_CONSTANTS = {
@@ -0,0 +1,368 @@
+/**
+ * AWS Event Stream 解码器
+ * Kiro (CodeWhisperer) 接口返回 application/vnd.amazon.eventstream 二进制帧，
+ * 这里按协议逐帧解码并校验 CRC，再把帧转换成带类型的 Kiro 事件
+ *
+ * 帧格式：
+ * [total_length:4][headers_length:4][prelude_crc:4][headers][payload][message_crc:4]
+ */
+
+// 帧前导长度（total_length + headers_length + prelude_crc）
+const PRELUDE_LENGTH = 12
+// 帧尾 CRC 长度
+const MESSAGE_CRC_LENGTH = 4
+// 最小帧长度（无 headers、无 payload）
+const MIN_MESSAGE_LENGTH = PRELUDE_LENGTH + MESSAGE_CRC_LENGTH
+// 单帧最大长度（16MB），超过视为数据损坏
+const MAX_MESSAGE_LENGTH = 16 * 1024 * 1024
+
+// Header 值类型
+export const HEADER_TYPES = {
+  BOOL_TRUE: 0,
+  BOOL_FALSE: 1,
+  BYTE: 2,
+  SHORT: 3,
+  INTEGER: 4,
+  LONG: 5,
+  BYTE_ARRAY: 6,
+  STRING: 7,
+  TIMESTAMP: 8,
+  UUID: 9
+}
+
+// CRC32 查找表（IEEE 802.3 多项式，反射形式）
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let i = 0; i < 256; i++) {
+    let c = i
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
+    }
+    table[i] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * 计算 CRC32
+ * @param {Uint8Array} bytes - 数据
+ * @param {number} start - 起始位置
+ * @param {number} end - 结束位置（不含）
+ * @returns {number} 无符号 32 位 CRC
+ */
+export function crc32(bytes, start = 0, end = bytes.length) {
+  let crc = 0xFFFFFFFF
+  for (let i = start; i < end; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * 解析帧 headers
+ * @param {Buffer} buf - headers 区域
+ * @returns {Object} header 名称到值的映射
+ */
+export function decodeHeaders(buf) {
+  const headers = {}
+  let pos = 0
+
+  while (pos < buf.length) {
+    const nameLength = buf.readUInt8(pos)
+    pos += 1
+    const name = buf.toString('utf8', pos, pos + nameLength)
+    pos += nameLength
+    const type = buf.readUInt8(pos)
+    pos += 1
+
+    let value
+    switch (type) {
+      case HEADER_TYPES.BOOL_TRUE:
+        value = true
+        break
+      case HEADER_TYPES.BOOL_FALSE:
+        value = false
+        break
+      case HEADER_TYPES.BYTE:
+        value = buf.readInt8(pos)
+        pos += 1
+        break
+      case HEADER_TYPES.SHORT:
+        value = buf.readInt16BE(pos)
+        pos += 2
+        break
+      case HEADER_TYPES.INTEGER:
+        value = buf.readInt32BE(pos)
+        pos += 4
+        break
+      case HEADER_TYPES.LONG:
+        value = buf.readBigInt64BE(pos)
+        pos += 8
+        break
+      case HEADER_TYPES.BYTE_ARRAY: {
+        const length = buf.readUInt16BE(pos)
+        pos += 2
+        value = Buffer.from(buf.subarray(pos, pos + length))
+        pos += length
+        break
+      }
+      case HEADER_TYPES.STRING: {
+        const length = buf.readUInt16BE(pos)
+        pos += 2
+        value = buf.toString('utf8', pos, pos + length)
+        pos += length
+        break
+      }
+      case HEADER_TYPES.TIMESTAMP:
+        value = new Date(Number(buf.readBigInt64BE(pos)))
+        pos += 8
+        break
+      case HEADER_TYPES.UUID: {
+        const hex = buf.toString('hex', pos, pos + 16)
+        value = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+        pos += 16
+        break
+      }
+      default:
+        throw new Error(`EventStream unknown header type ${type} for header "${name}"`)
+    }
+
+    if (pos > buf.length) {
+      throw new Error(`EventStream header "${name}" exceeds header block`)
+    }
+    headers[name] = value
+  }
+
+  return headers
+}
+
+/**
+ * 解码单个完整帧
+ * @param {Buffer} frame - 完整帧数据
+ * @returns {{headers: Object, payload: Buffer}}
+ */
+export function decodeMessage(frame) {
+  if (frame.length < MIN_MESSAGE_LENGTH) {
+    throw new Error(`EventStream frame too short: ${frame.length} bytes`)
+  }
+
+  const totalLength = frame.readUInt32BE(0)
+  const headersLength = frame.readUInt32BE(4)
+  const preludeCrc = frame.readUInt32BE(8)
+
+  if (totalLength !== frame.length) {
+    throw new Error(`EventStream frame length mismatch: expected ${totalLength}, got ${frame.length}`)
+  }
+
+  const computedPreludeCrc = crc32(frame, 0, 8)
+  if (computedPreludeCrc !== preludeCrc) {
+    throw new Error(`EventStream prelude CRC mismatch: expected ${preludeCrc}, got ${computedPreludeCrc}`)
+  }
+
+  const messageCrc = frame.readUInt32BE(totalLength - MESSAGE_CRC_LENGTH)
+  const computedMessageCrc = crc32(frame, 0, totalLength - MESSAGE_CRC_LENGTH)
+  if (computedMessageCrc !== messageCrc) {
+    throw new Error(`EventStream message CRC mismatch: expected ${messageCrc}, got ${computedMessageCrc}`)
+  }
+
+  const headersEnd = PRELUDE_LENGTH + headersLength
+  if (headersEnd > totalLength - MESSAGE_CRC_LENGTH) {
+    throw new Error(`EventStream headers length ${headersLength} exceeds frame`)
+  }
+
+  return {
+    headers: decodeHeaders(frame.subarray(PRELUDE_LENGTH, headersEnd)),
+    payload: frame.subarray(headersEnd, totalLength - MESSAGE_CRC_LENGTH)
+  }
+}
+
+/**
+ * 增量帧解码器
+ * 网络分片可能在任意字节处切断帧，push 会缓存不完整的部分直到收齐
+ */
+export class EventStreamDecoder {
+  constructor() {
+    this.buffer = Buffer.alloc(0)
+  }
+
+  /**
+   * 追加数据并取出所有完整帧
+   * @param {Uint8Array|Buffer} chunk - 新收到的数据
+   * @returns {Array<{headers: Object, payload: Buffer}>}
+   */
+  push(chunk) {
+    if (chunk && chunk.length > 0) {
+      this.buffer = this.buffer.length > 0
+        ? Buffer.concat([this.buffer, Buffer.from(chunk)])
+        : Buffer.from(chunk)
+    }
+
+    const messages = []
+    while (this.buffer.length >= PRELUDE_LENGTH) {
+      const totalLength = this.buffer.readUInt32BE(0)
+
+      // 先校验前导，避免把损坏的长度当成真实长度一直等待
+      const preludeCrc = this.buffer.readUInt32BE(8)
+      const computedPreludeCrc = crc32(this.buffer, 0, 8)
+      if (computedPreludeCrc !== preludeCrc) {
+        throw new Error(`EventStream prelude CRC mismatch: expected ${preludeCrc}, got ${computedPreludeCrc}`)
+      }
+      if (totalLength < MIN_MESSAGE_LENGTH || totalLength > MAX_MESSAGE_LENGTH) {
+        throw new Error(`EventStream invalid frame length: ${totalLength}`)
+      }
+
+      if (this.buffer.length < totalLength) break
+
+      const frame = this.buffer.subarray(0, totalLength)
+      messages.push(decodeMessage(frame))
+      this.buffer = this.buffer.subarray(totalLength)
+    }
+
+    return messages
+  }
+
+  /**
+   * 流结束时检查是否有残留的不完整帧
+   * @returns {number} 残留字节数
+   */
+  get pendingBytes() {
+    return this.buffer.length
+  }
+}
+
+/**
+ * 把解码后的帧转换为 Kiro 事件
+ * - assistantResponseEvent: { content }
+ * - toolUseEvent: { toolUseId, name, input(片段字符串), stop }
+ * - meteringEvent: { unit, usage }
+ * - contextUsageEvent: { contextUsagePercentage }
+ * 异常帧（:message-type 为 exception/error）直接抛出错误
+ * @param {{headers: Object, payload: Buffer}} message - 解码后的帧
+ * @returns {Object|null} Kiro 事件，无法识别时返回 { type: 'unknown' }
+ */
+export function toKiroEvent(message) {
+  const { headers, payload } = message
+  const messageType = headers[':message-type'] || 'event'
+  const payloadText = payload.toString('utf8')
+
+  if (messageType === 'exception' || messageType === 'error') {
+    const errorType = headers[':exception-type'] || headers[':error-code'] || 'UnknownError'
+    let errorMessage = headers[':error-message'] || payloadText
+    try {
+      const parsed = JSON.parse(payloadText)
+      errorMessage = parsed.message || parsed.Message || errorMessage
+    } catch (e) {
+      // payload 不是 JSON，保留原文
+    }
+    const error = new Error(`Kiro stream ${messageType}: ${errorType} - ${errorMessage}`)
+    error.eventStreamErrorType = errorType
+    throw error
+  }
+
+  const eventType = headers[':event-type']
+  let data = {}
+  if (payloadText.length > 0) {
+    try {
+      data = JSON.parse(payloadText)
+    } catch (e) {
+      console.warn(`[EventStream] Payload JSON parse failed for ${eventType}:`, e.message)
+      return { type: 'unknown', eventType, payload: payloadText }
+    }
+    // null 或非对象的 payload 同样跳过
+    if (!data || typeof data !== 'object') {
+      console.warn(`[EventStream] Payload is not a JSON object for ${eventType}`)
+      return { type: 'unknown', eventType, payload: payloadText }
+    }
+  }
+
+  switch (eventType) {
+    case 'assistantResponseEvent':
+      return { type: 'assistantResponse', content: data.content || '' }
+    case 'toolUseEvent':
+      return {
+        type: 'toolUse',
+        toolUseId: data.toolUseId,
+        name: data.name,
+        input: typeof data.input === 'string' ? data.input : (data.input ? JSON.stringify(data.input) : ''),
+        stop: data.stop === true
+      }
+    case 'meteringEvent':
+      return { type: 'metering', unit: data.unit, usage: data.usage }
+    case 'contextUsageEvent':
+      return { type: 'contextUsage', contextUsagePercentage: data.contextUsagePercentage }
+    default:
+      return { type: 'unknown', eventType, payload: data }
+  }
+}
+
+/**
+ * 工具调用组装器
+ * toolUseEvent 的 input 是分片推送的 JSON 字符串，收到 stop 后才完整
+ */
+export class ToolUseAccumulator {
+  constructor() {
+    this.pending = new Map()
+  }
+
+  /**
+   * 追加 toolUse 事件
+   * @param {Object} event - toKiroEvent 返回的 toolUse 事件
+   * @returns {Object|null} 完成时返回 { id, name, input }，否则 null
+   */
+  add(event) {
+    const id = event.toolUseId
+    let entry = this.pending.get(id)
+    if (!entry) {
+      entry = { id, name: event.name, input: '' }
+      this.pending.set(id, entry)
+    }
+    if (event.name && !entry.name) entry.name = event.name
+    entry.input += event.input || ''
+
+    if (!event.stop) return null
+
+    this.pending.delete(id)
+    return this._finalize(entry)
+  }
+
+  /**
+   * 流结束时输出未收到 stop 的工具调用
+   * @returns {Array<{id, name, input}>}
+   */
+  flush() {
+    const remaining = [...this.pending.values()].map(entry => this._finalize(entry))
+    this.pending.clear()
+    return remaining
+  }
+
+  _finalize(entry) {
+    let input = {}
+    if (entry.input.trim()) {
+      try {
+        input = JSON.parse(entry.input)
+      } catch (e) {
+        console.warn(`[EventStream] Tool input parse failed for ${entry.name}:`, e.message)
+        input = { raw_arguments: entry.input }
+      }
+    }
+    return {
+      id: entry.id || `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: entry.name,
+      input
+    }
+  }
+}
+
+/**
+ * 一次性解码完整响应体
+ * @param {Buffer|Uint8Array} data - 完整响应体
+ * @returns {Array<Object>} Kiro 事件列表
+ */
+export function decodeKiroEvents(data) {
+  const decoder = new EventStreamDecoder()
+  const events = decoder.push(data).map(toKiroEvent)
+  if (decoder.pendingBytes > 0) {
+    console.warn(`[EventStream] ${decoder.pendingBytes} trailing bytes ignored (incomplete frame)`)
+  }
+  return events
+}
@@ -12,14 +12,26 @@ export {
   SUPPORTED_MODELS,
   KIRO_MAX_OUTPUT_TOKENS,
   KIRO_MAX_TOOL_DESC_LEN,
-  KIRO_MAX_TOOL_NAME_LEN
+  KIRO_MAX_TOOL_NAME_LEN,
+  KIRO_CONTEXT_WINDOW_TOKENS
 } from './constants.js'
 
 // 导出 HTTP Agent
 export { httpAgent, httpsAgent } from './http-agent.js'
 
 // 导出工具函数
-export { shortenToolNameIfNeeded, processToolDescription } from './tool-utils.js'
+export { shortenToolNameIfNeeded, processToolDescription, ToolNameMap } from './tool-utils.js'
+
+// 导出 event-stream 解码器
+export {
+  EventStreamDecoder,
+  ToolUseAccumulator,
+  decodeKiroEvents,
+  toKiroEvent,
+  decodeMessage,
+  decodeHeaders,
+  crc32
+} from './event-stream.js'
 
 // 从 utils 重新导出 thinking 相关函数（向后兼容）
 export { checkThinkingMode, extractThinkingFromContent, THINKING_START_TAG, THINKING_END_TAG } from '../utils/thinking-utils.js'
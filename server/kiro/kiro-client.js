@@ -6,10 +6,16 @@
 import { v4 as uuidv4 } from 'uuid'
 import { generateHeaders } from '../utils/header-generator.js'
 import { fetchWithTimeout, DEFAULT_REQUEST_TIMEOUT } from '../utils/fetch-utils.js'
+import { createUpstreamError } from '../utils/upstream-errors.js'
+import { getAccountProxy } from '../utils/upstream-proxy.js'
 import { checkThinkingMode, extractThinkingFromContent, THINKING_START_TAG, THINKING_END_TAG } from '../utils/thinking-utils.js'
 import { KIRO_CONSTANTS, MODEL_MAPPING } from './constants.js'
 import { httpAgent, httpsAgent } from './http-agent.js'
-import { shortenToolNameIfNeeded, processToolDescription } from './tool-utils.js'
+import { ToolNameMap, processToolDescription } from './tool-utils.js'
+import { EventStreamDecoder, ToolUseAccumulator, toKiroEvent, decodeKiroEvents } from './event-stream.js'
+
+// 当前模型映射（模型名 → Kiro 模型 ID），由模型注册表加载后通过 KiroClient.setModelMapping 替换
+let modelMapping = MODEL_MAPPING
 
 class KiroClient {
   constructor(account, systemLogger = null) {
@@ -23,6 +29,8 @@ class KiroClient {
     this.profileArn = account.credentials.profileArn  // 添加 profileArn
     this.headerVersion = account.headerVersion || 1
     this.systemLogger = systemLogger
+    // 最近一次 buildRequest 生成的工具名称映射，parseResponse 用于还原工具名
+    this.toolNameMap = new ToolNameMap()
 
     // 根据 headerVersion 选择对应的端点URL
     const baseUrlTemplate = this.headerVersion === 2
@@ -36,6 +44,16 @@ class KiroClient {
     console.log(`[KiroClient] Initialized for ${account.email} with Header V${this.headerVersion}, endpoint: ${this.baseUrl}`)
   }
 
+  /**
+   * 获取账号的上游代理（每个客户端只解析一次，直连为 null）
+   */
+  getProxy() {
+    if (!this.proxyPromise) {
+      this.proxyPromise = getAccountProxy(this.account)
+    }
+    return this.proxyPromise
+  }
+
   /**
    * 刷新 Token
    * 严格匹配 Rust 实现 (kiro_auth_client.rs / aws_sso_client.rs)
@@ -70,7 +88,8 @@ class KiroClient {
     const response = await fetchWithTimeout(url, {
       method: 'POST',
       headers,
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      proxy: await this.getProxy()
     }, 60000) // Token 刷新使用 60 秒超时
 
     if (!response.ok) {
@@ -98,11 +117,18 @@ class KiroClient {
    */
   buildRequest(messages, model, tools = null, systemPrompt = null, requestBody = null) {
     const conversationId = uuidv4()
-    const kiroModel = MODEL_MAPPING[model] || MODEL_MAPPING['claude-sonnet-4-5']
+    const kiroModel = modelMapping[model] || MODEL_MAPPING['claude-sonnet-4-5']
 
     // 检查 thinking 模式
     const { enabled: thinkingEnabled, budgetTokens } = checkThinkingMode(requestBody || {})
 
+    // 工具名称映射：先登记声明的工具，历史中的 tool_use 复用同一映射，响应时据此还原原名
+    const toolNameMap = new ToolNameMap()
+    for (const tool of tools || []) {
+      toolNameMap.shorten(tool.function?.name || tool.name)
+    }
+    this.toolNameMap = toolNameMap
+
     // 处理消息
     const processedMessages = [...messages]
 
@@ -221,7 +247,7 @@ class KiroClient {
             } else if (part.type === 'tool_use') {
               toolUses.push({
                 input: part.input,
-                name: part.name,
+                name: toolNameMap.shorten(part.name),
                 toolUseId: part.id
               })
             }
@@ -271,7 +297,7 @@ class KiroClient {
           } else if (part.type === 'tool_use') {
             toolUses.push({
               input: part.input,
-              name: part.name,
+              name: toolNameMap.shorten(part.name),
               toolUseId: part.id
             })
           }
@@ -374,7 +400,7 @@ class KiroClient {
     if (tools && tools.length > 0) {
       userInputMessageContext.tools = tools.map(tool => ({
         toolSpecification: {
-          name: shortenToolNameIfNeeded(tool.function?.name || tool.name),
+          name: toolNameMap.shorten(tool.function?.name || tool.name),
           description: processToolDescription(tool.function?.description || tool.description || ''),
           inputSchema: { json: tool.function?.parameters || tool.parameters || {} }
         }
@@ -471,71 +497,62 @@ class KiroClient {
 
   /**
    * 解析响应
-   * 支持文本内容、thinking 块和工具调用
+   * 响应体为 AWS event-stream 二进制帧，支持文本内容、thinking 块、工具调用和计量事件
+   * @param {Buffer|Uint8Array|ArrayBuffer} rawData - 完整响应体
+   * @returns {Object} { content, contentBlocks, toolCalls, metering, contextUsagePercentage }
    */
   parseResponse(rawData) {
-    const rawStr = Buffer.isBuffer(rawData) ? rawData.toString('utf8') : String(rawData)
+    let bytes
+    if (Buffer.isBuffer(rawData)) {
+      bytes = rawData
+    } else if (rawData instanceof ArrayBuffer || ArrayBuffer.isView(rawData)) {
+      bytes = Buffer.from(rawData instanceof ArrayBuffer ? rawData : rawData.buffer, rawData.byteOffset || 0, rawData.byteLength)
+    } else {
+      // 字符串会丢失非 UTF-8 字节（帧头长度、CRC），调用方应传入原始字节
+      bytes = Buffer.from(String(rawData), 'utf8')
+    }
+
     let fullContent = ''
     const toolCalls = []
-
-    // Kiro API 返回的是多个 JSON 对象拼接在一起，每个包含 {"content":"..."}
-    let pos = 0
-    while (pos < rawStr.length) {
-      const startMarker = '{"content":"'
-      const startIdx = rawStr.indexOf(startMarker, pos)
-      if (startIdx === -1) break
-
-      const contentStart = startIdx + startMarker.length
-
-      // 找到字符串结束的位置（正确处理转义）
-      let contentEnd = contentStart
-      while (contentEnd < rawStr.length) {
-        if (rawStr[contentEnd] === '"') {
-          // 计算前面连续的反斜杠数量
-          let backslashCount = 0
-          let checkPos = contentEnd - 1
-          while (checkPos >= contentStart && rawStr[checkPos] === '\\') {
-            backslashCount++
-            checkPos--
-          }
-          // 偶数个反斜杠意味着引号没有被转义
-          if (backslashCount % 2 === 0) {
-            break
-          }
+    const toolNameMap = this.toolNameMap
+    const toolAccumulator = new ToolUseAccumulator()
+    const metering = []
+    let contextUsagePercentage = null
+
+    for (const event of decodeKiroEvents(bytes)) {
+      if (event.type === 'assistantResponse') {
+        fullContent += event.content
+      } else if (event.type === 'toolUse') {
+        const toolUse = toolAccumulator.add(event)
+        if (toolUse) {
+          toolCalls.push({ type: 'tool_use', ...toolUse, name: toolNameMap.restore(toolUse.name) })
         }
-        contentEnd++
+      } else if (event.type === 'metering') {
+        metering.push({ unit: event.unit, usage: event.usage })
+      } else if (event.type === 'contextUsage') {
+        contextUsagePercentage = event.contextUsagePercentage
       }
+    }
 
-      if (contentEnd < rawStr.length) {
-        const jsonStr = rawStr.substring(startIdx, contentEnd + 2) // 包含 "}
-        try {
-          const parsed = JSON.parse(jsonStr)
-          if (parsed.content) {
-            fullContent += parsed.content
-          }
-        } catch (e) {
-          // JSON 解析失败时，记录错误但继续处理
-          console.warn('[KiroClient] JSON parse failed:', e.message, 'Raw:', jsonStr.substring(0, 100))
-        }
-        pos = contentEnd + 2
-      } else {
-        break
-      }
+    for (const toolUse of toolAccumulator.flush()) {
+      toolCalls.push({ type: 'tool_use', ...toolUse, name: toolNameMap.restore(toolUse.name) })
     }
 
-    // 提取 thinking 块和工具调用
+    // 提取 thinking 块
     const contentBlocks = extractThinkingFromContent(fullContent)
 
-    // 解析工具调用（格式：<tool_use>{"id":"...","name":"...","input":{...}}</tool_use>）
+    // 兼容文本中的工具调用标签（格式：<tool_use>{"id":"...","name":"...","input":{...}}</tool_use>）
+    let hasTextToolUse = false
     const toolUseRegex = /<tool_use>([\s\S]*?)<\/tool_use>/g
     let toolMatch
     while ((toolMatch = toolUseRegex.exec(fullContent)) !== null) {
+      hasTextToolUse = true
       try {
         const toolData = JSON.parse(toolMatch[1])
         toolCalls.push({
           type: 'tool_use',
           id: toolData.id || `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          name: toolData.name,
+          name: toolNameMap.restore(toolData.name),
           input: toolData.input || {}
         })
       } catch (e) {
@@ -543,16 +560,18 @@ class KiroClient {
       }
     }
 
-    // 如果有工具调用，从内容中移除工具调用标签
+    // 如果有工具调用标签，从内容中移除
     let cleanContent = fullContent
-    if (toolCalls.length > 0) {
+    if (hasTextToolUse) {
       cleanContent = fullContent.replace(/<tool_use>[\s\S]*?<\/tool_use>/g, '').trim()
     }
 
     return {
       content: cleanContent,
       contentBlocks: contentBlocks,
-      toolCalls: toolCalls.length > 0 ? toolCalls : null
+      toolCalls: toolCalls.length > 0 ? toolCalls : null,
+      metering: metering.length > 0 ? metering : null,
+      contextUsagePercentage
     }
   }
 
@@ -570,7 +589,8 @@ class KiroClient {
       method: 'POST',
       headers,
       body: JSON.stringify(requestData),
-      agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent
+      agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent,
+      proxy: await this.getProxy()
     }, DEFAULT_REQUEST_TIMEOUT)
 
     const requestDuration = Date.now() - requestStartTime
@@ -598,11 +618,13 @@ class KiroClient {
         method: 'POST',
         headers,
         body: JSON.stringify(requestData),
-        agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent
+        agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent,
+        proxy: await this.getProxy()
       }, DEFAULT_REQUEST_TIMEOUT)
 
       if (!retryResponse.ok) {
-        throw new Error(`API call failed after token refresh: ${retryResponse.status}`)
+        const retryErrorText = await retryResponse.text().catch(() => '')
+        throw createUpstreamError(`API call failed after token refresh: ${retryResponse.status}`, retryResponse, retryErrorText)
       }
 
       return {
@@ -613,7 +635,7 @@ class KiroClient {
 
     if (!response.ok) {
       const errorText = await response.text()
-      throw new Error(`API call failed: ${response.status} - ${errorText}`)
+      throw createUpstreamError(`API call failed: ${response.status} - ${errorText}`, response, errorText)
     }
 
     return { response, newTokens: null }
@@ -623,11 +645,12 @@ class KiroClient {
    * 流式调用 API
    * @param {Array} messages - 消息列表
    * @param {string} model - 模型名称
-   * @param {Object} options - 选项
+   * @param {Object} options - 选项（options.signal 中止时中止上游请求）
    * @returns {AsyncGenerator} 流式响应生成器，可能包含 newTokens 事件和 thinking 事件
    */
   async *streamApi(messages, model, options = {}) {
     const requestData = this.buildRequest(messages, model, options.tools, options.system, options.requestBody)
+    const toolNameMap = this.toolNameMap
     const requestStartTime = Date.now()
 
     // 检查是否启用了 thinking 模式
@@ -640,7 +663,9 @@ class KiroClient {
       method: 'POST',
       headers,
       body: JSON.stringify(requestData),
-      agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent
+      agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent,
+      proxy: await this.getProxy(),
+      signal: options.signal
     }, DEFAULT_REQUEST_TIMEOUT)
 
     const requestDuration = Date.now() - requestStartTime
@@ -675,7 +700,9 @@ class KiroClient {
           method: 'POST',
           headers,
           body: JSON.stringify(requestData),
-          agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent
+          agent: this.baseUrl.startsWith('https') ? httpsAgent : httpAgent,
+          proxy: await this.getProxy(),
+          signal: options.signal
         }, DEFAULT_REQUEST_TIMEOUT)
 
         // 如果刷新成功，先 yield 新 token 信息供调用方更新数据库
@@ -719,198 +746,197 @@ class KiroClient {
         }
       }
 
-      throw new Error(errorMessage)
+      throw createUpstreamError(errorMessage, response, errorBody)
     }
 
     const reader = response.body.getReader()
-    const decoder = new TextDecoder()
-    let buffer = ''
-
-    // Thinking 模式状态跟踪
-    let inThinkingBlock = false
-    let thinkingBuffer = ''
-    let contentBuffer = ''
+    const decoder = new EventStreamDecoder()
+    const toolAccumulator = new ToolUseAccumulator()
+
+    // 文本解析状态（thinking 标签和兼容的 <tool_use> 文本标签）
+    const textState = {
+      thinkingEnabled,
+      toolNameMap,
+      inThinkingBlock: false,
+      thinkingBuffer: '',
+      contentBuffer: '',
+      inToolUseBlock: false,
+      toolUseBuffer: ''
+    }
 
-    // 工具调用状态跟踪
-    let inToolUseBlock = false
-    let toolUseBuffer = ''
-    const TOOL_USE_START_TAG = '<tool_use>'
-    const TOOL_USE_END_TAG = '</tool_use>'
+    let streamDone = false
 
     try {
       while (true) {
         const { done, value } = await reader.read()
-        if (done) break
-
-        buffer += decoder.decode(value, { stream: true })
-
-        // 解析 buffer 中所有完整的 {"content":"..."} 对象
-        const startMarker = '{"content":"'
-        let pos = 0
-        let lastProcessedEnd = 0
-
-        while (pos < buffer.length) {
-          const startIdx = buffer.indexOf(startMarker, pos)
-          if (startIdx === -1) break
-
-          const contentStart = startIdx + startMarker.length
-
-          // 找到字符串结束的位置
-          let contentEnd = contentStart
-          let foundEnd = false
-          while (contentEnd < buffer.length) {
-            if (buffer[contentEnd] === '"') {
-              // 检查是否是转义的引号
-              let backslashCount = 0
-              let checkPos = contentEnd - 1
-              while (checkPos >= contentStart && buffer[checkPos] === '\\') {
-                backslashCount++
-                checkPos--
-              }
-              // 偶数个反斜杠意味着引号没有被转义
-              if (backslashCount % 2 === 0) {
-                foundEnd = true
-                break
-              }
+        if (done) {
+          streamDone = true
+          break
+        }
+
+        for (const message of decoder.push(value)) {
+          const event = toKiroEvent(message)
+
+          if (event.type === 'assistantResponse') {
+            if (event.content) {
+              yield* this.processTextChunk(event.content, textState)
+            }
+          } else if (event.type === 'toolUse') {
+            const toolUse = toolAccumulator.add(event)
+            if (toolUse) {
+              yield { type: 'tool_use', ...toolUse, name: toolNameMap.restore(toolUse.name) }
             }
-            contentEnd++
+          } else if (event.type === 'metering') {
+            yield { type: 'metering', unit: event.unit, usage: event.usage }
+          } else if (event.type === 'contextUsage') {
+            yield { type: 'context_usage', percentage: event.contextUsagePercentage }
           }
+        }
+      }
 
-          if (!foundEnd) {
-            // 没找到结束引号，保留这部分到下次处理
-            break
-          }
+      if (decoder.pendingBytes > 0) {
+        console.warn(`[KiroClient] Stream ended with ${decoder.pendingBytes} bytes of incomplete event frame`)
+      }
+
+      // 流结束时仍未收到 stop 的工具调用也要输出
+      for (const toolUse of toolAccumulator.flush()) {
+        yield { type: 'tool_use', ...toolUse, name: toolNameMap.restore(toolUse.name) }
+      }
+
+      // 处理流结束时可能残留的内容
+      if (thinkingEnabled && textState.contentBuffer.length > 0) {
+        yield { type: 'content', content: textState.contentBuffer }
+      }
+    } finally {
+      // 调用方提前结束（如命中停止序列）或出错时取消上游读取，释放连接
+      if (!streamDone) {
+        reader.cancel().catch(() => {})
+      }
+      reader.releaseLock()
+    }
+  }
+
+  /**
+   * 处理一段 assistantResponseEvent 文本
+   * 拆分 <tool_use> 文本标签和 thinking 标签，状态跨分片保留
+   * @param {string} chunk - 文本片段
+   * @param {Object} state - 解析状态
+   * @returns {Generator} content / thinking / tool_use 事件
+   */
+  *processTextChunk(chunk, state) {
+    const TOOL_USE_START_TAG = '<tool_use>'
+    const TOOL_USE_END_TAG = '</tool_use>'
 
-          const jsonStr = buffer.substring(startIdx, contentEnd + 2) // 包含 "}
+    let remaining = chunk
+    while (remaining.length > 0) {
+      if (state.inToolUseBlock) {
+        // 在工具调用块中，查找结束标签
+        const toolEndIdx = remaining.indexOf(TOOL_USE_END_TAG)
+        if (toolEndIdx === -1) {
+          state.toolUseBuffer += remaining
+          remaining = ''
+        } else {
+          state.toolUseBuffer += remaining.substring(0, toolEndIdx)
+          state.inToolUseBlock = false
+          // 解析并发送工具调用事件
           try {
-            const parsed = JSON.parse(jsonStr)
-            if (parsed.content) {
-              let chunk = parsed.content
-
-              // 处理工具调用标签
-              let remaining = chunk
-              while (remaining.length > 0) {
-                if (inToolUseBlock) {
-                  // 在工具调用块中，查找结束标签
-                  const toolEndIdx = remaining.indexOf(TOOL_USE_END_TAG)
-                  if (toolEndIdx === -1) {
-                    toolUseBuffer += remaining
-                    remaining = ''
-                  } else {
-         toolUseBuffer += remaining.substring(0, toolEndIdx)
-                    inToolUseBlock = false
-                    // 解析并发送工具调用事件
-                    try {
-                      const toolData = JSON.parse(toolUseBuffer)
-                      yield {
-                        type: 'tool_use',
-                        id: toolData.id || `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                        name: toolData.name,
-                        input: toolData.input || {}
-                      }
-                    } catch (e) {
-                      console.warn('[KiroClient] Tool use parse failed:', e.message)
-                    }
-                    toolUseBuffer = ''
-                    remaining = remaining.substring(toolEndIdx + TOOL_USE_END_TAG.length)
-                  }
-                } else {
-                  // 不在工具调用块中，查找开始标签
-                  const toolStartIdx = remaining.indexOf(TOOL_USE_START_TAG)
-                  if (toolStartIdx === -1) {
-                    // 没有工具调用标签，处理普通内容
-                    if (thinkingEnabled) {
-                      // 处理 thinking 标签
-                      let thinkRemaining = remaining
-                      while (thinkRemaining.length > 0) {
-                        if (!inThinkingBlock) {
-                          const thinkStartIdx = thinkRemaining.indexOf(THINKING_START_TAG)
-                          if (thinkStartIdx === -1) {
-                            contentBuffer += thinkRemaining
-                            if (contentBuffer.length > 0) {
-                              yield { type: 'content', content: contentBuffer }
-                              contentBuffer = ''
-                            }
-                            thinkRemaining = ''
-                          } else {
-                            if (thinkStartIdx > 0) {
-                              yield { type: 'content', content: thinkRemaining.substring(0, thinkStartIdx) }
-                            }
-                            inThinkingBlock = true
-                            thinkRemaining = thinkRemaining.substring(thinkStartIdx + THINKING_START_TAG.length)
-                            yield { type: 'thinking_start' }
-                          }
-                        } else {
-                          const thinkEndIdx = thinkRemaining.indexOf(THINKING_END_TAG)
-                          if (thinkEndIdx === -1) {
-                            thinkingBuffer += thinkRemaining
-                            yield { type: 'thinking', thinking: thinkRemaining }
-                            thinkRemaining = ''
-                          } else {
-                            if (thinkEndIdx > 0) {
-                              const thinkContent = thinkRemaining.substring(0, thinkEndIdx)
-                              thinkingBuffer += thinkContent
-                              yield { type: 'thinking', thinking: thinkContent }
-                            }
-                            inThinkingBlock = false
-                            yield { type: 'thinking_end', thinking: thinkingBuffer }
-                            thinkingBuffer = ''
-                            thinkRemaining = thinkRemaining.substring(thinkEndIdx + THINKING_END_TAG.length)
-                          }
-                        }
-                      }
-                    } else {
-                      yield { type: 'content', content: remaining }
-                    }
-                    remaining = ''
-                  } else {
-                    // 找到工具调用开始标签
-                    if (toolStartIdx > 0) {
-                      // 标签前有内容，先处理
-                      const beforeTool = remaining.substring(0, toolStartIdx)
-                      if (thinkingEnabled) {
-                        // 简化处理：直接输出
-                        yield { type: 'content', content: beforeTool }
-                      } else {
-                        yield { type: 'content', content: beforeTool }
-                      }
-                    }
-                    inToolUseBlock = true
-                    remaining = remaining.substring(toolStartIdx + TOOL_USE_START_TAG.length)
-                  }
-                }
-              }
+            const toolData = JSON.parse(state.toolUseBuffer)
+            yield {
+              type: 'tool_use',
+              id: toolData.id || `tool_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+              name: state.toolNameMap ? state.toolNameMap.restore(toolData.name) : toolData.name,
+              input: toolData.input || {}
             }
           } catch (e) {
-            // JSON 解析失败时，记录错误但继续处理
-            console.warn('[KiroClient] Stream JSON parse failed:', e.message)
+            console.warn('[KiroClient] Tool use parse failed:', e.message)
           }
-
-          lastProcessedEnd = contentEnd + 2
-          pos = lastProcessedEnd
+          state.toolUseBuffer = ''
+          remaining = remaining.substring(toolEndIdx + TOOL_USE_END_TAG.length)
         }
-
-        // 保留未处理的部分
-        if (lastProcessedEnd > 0) {
-          buffer = buffer.substring(lastProcessedEnd)
+      } else {
+        // 不在工具调用块中，查找开始标签
+        const toolStartIdx = remaining.indexOf(TOOL_USE_START_TAG)
+        if (toolStartIdx === -1) {
+          // 没有工具调用标签，处理普通内容
+          if (state.thinkingEnabled) {
+            yield* this.processThinkingText(remaining, state)
+          } else {
+            yield { type: 'content', content: remaining }
+          }
+          remaining = ''
+        } else {
+          // 找到工具调用开始标签，标签前有内容先输出
+          if (toolStartIdx > 0) {
+            yield { type: 'content', content: remaining.substring(0, toolStartIdx) }
+          }
+          state.inToolUseBlock = true
+          remaining = remaining.substring(toolStartIdx + TOOL_USE_START_TAG.length)
         }
       }
+    }
+  }
 
-      // 处理流结束时可能残留的内容
-      if (thinkingEnabled && contentBuffer.length > 0) {
-        yield { type: 'content', content: contentBuffer }
+  /**
+   * 处理 thinking 标签
+   * @param {string} text - 不含工具调用标签的文本
+   * @param {Object} state - 解析状态
+   * @returns {Generator} content / thinking_start / thinking / thinking_end 事件
+   */
+  *processThinkingText(text, state) {
+    let thinkRemaining = text
+    while (thinkRemaining.length > 0) {
+      if (!state.inThinkingBlock) {
+        const thinkStartIdx = thinkRemaining.indexOf(THINKING_START_TAG)
+        if (thinkStartIdx === -1) {
+          state.contentBuffer += thinkRemaining
+          if (state.contentBuffer.length > 0) {
+            yield { type: 'content', content: state.contentBuffer }
+            state.contentBuffer = ''
+          }
+          thinkRemaining = ''
+        } else {
+          if (thinkStartIdx > 0) {
+            yield { type: 'content', content: thinkRemaining.substring(0, thinkStartIdx) }
+          }
+          state.inThinkingBlock = true
+          thinkRemaining = thinkRemaining.substring(thinkStartIdx + THINKING_START_TAG.length)
+          yield { type: 'thinking_start' }
+        }
+      } else {
+        const thinkEndIdx = thinkRemaining.indexOf(THINKING_END_TAG)
+        if (thinkEndIdx === -1) {
+          state.thinkingBuffer += thinkRemaining
+          yield { type: 'thinking', thinking: thinkRemaining }
+          thinkRemaining = ''
+        } else {
+          if (thinkEndIdx > 0) {
+            const thinkContent = thinkRemaining.substring(0, thinkEndIdx)
+            state.thinkingBuffer += thinkContent
+            yield { type: 'thinking', thinking: thinkContent }
+          }
+          state.inThinkingBlock = false
+          yield { type: 'thinking_end', thinking: state.thinkingBuffer }
+          state.thinkingBuffer = ''
+          thinkRemaining = thinkRemaining.substring(thinkEndIdx + THINKING_END_TAG.length)
+        }
       }
-    } finally {
-      reader.releaseLock()
     }
   }
 
   static getSupportedModels() {
-    return Object.keys(MODEL_MAPPING)
+    return Object.keys(modelMapping)
   }
 
   static getModelMapping() {
-    return MODEL_MAPPING
+    return modelMapping
+  }
+
+  /**
+   * 替换模型映射
+   * @param {Object} mapping - 模型名 → Kiro 模型 ID
+   */
+  static setModelMapping(mapping) {
+    modelMapping = mapping
   }
 }
 
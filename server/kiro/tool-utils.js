@@ -2,6 +2,7 @@
  * 工具处理函数
  */
 
+import { createHash } from 'crypto'
 import { KIRO_MAX_TOOL_NAME_LEN, KIRO_MAX_TOOL_DESC_LEN } from './constants.js'
 
 /**
@@ -15,6 +16,63 @@ export function shortenToolNameIfNeeded(name) {
   return name.substring(0, 32) + '_' + name.substring(name.length - 31)
 }
 
+/**
+ * 工具名称双向映射（单次请求内有效）
+ * 请求侧把超长名称缩短后发给 Kiro，响应侧再把 Kiro 返回的名称还原为客户端声明的原名
+ * 两个不同的原名缩短后相同时，后者改用带哈希的名称，保证映射可逆
+ */
+export class ToolNameMap {
+  constructor() {
+    this.toShort = new Map()
+    this.toOriginal = new Map()
+  }
+
+  /**
+   * 获取发送给 Kiro 的名称（同一原名始终返回同一结果）
+   * @param {string} name - 原始工具名称
+   * @returns {string}
+   */
+  shorten(name) {
+    if (!name) return name
+    if (this.toShort.has(name)) return this.toShort.get(name)
+
+    let shortName = shortenToolNameIfNeeded(name)
+    if (this._isTaken(shortName, name)) {
+      // 冲突时使用 前缀 + 原名哈希 + 后缀 的形式
+      const hash = createHash('sha1').update(name).digest('hex').substring(0, 8)
+      const prefixLen = Math.min(name.length, 32)
+      const suffixLen = Math.max(0, KIRO_MAX_TOOL_NAME_LEN - prefixLen - hash.length - 2)
+      shortName = `${name.substring(0, prefixLen)}_${hash}_${name.substring(name.length - suffixLen)}`
+        .substring(0, KIRO_MAX_TOOL_NAME_LEN)
+      let counter = 1
+      while (this._isTaken(shortName, name)) {
+        const suffix = `_${counter++}`
+        shortName = shortName.substring(0, KIRO_MAX_TOOL_NAME_LEN - suffix.length) + suffix
+      }
+    }
+
+    this.toShort.set(name, shortName)
+    this.toOriginal.set(shortName, name)
+    return shortName
+  }
+
+  /**
+   * 还原 Kiro 返回的工具名称，未登记的名称原样返回
+   * @param {string} name - Kiro 返回的工具名称
+   * @returns {string}
+   */
+  restore(name) {
+    if (!name) return name
+    return this.toOriginal.has(name) ? this.toOriginal.get(name) : name
+  }
+
+  _isTaken(shortName, name) {
+    // 已被其他原名占用，或与另一个已声明的原名本身相同
+    const owner = this.toOriginal.get(shortName)
+    return (owner !== undefined && owner !== name) || (shortName !== name && this.toShort.has(shortName))
+  }
+}
+
 /**
  * 处理工具描述（空描述默认值，长度截断）
  * @param {string} description - 工具描述
@@ -0,0 +1,50 @@
+/**
+ * Web 后台登录验证中间件测试
+ */
+
+import { jest } from '@jest/globals'
+import { pool } from '../../db/index.js'
+import { requireAuth, SESSION_COOKIE } from '../auth-middleware.js'
+import { createRes } from '../../openai-compat/__tests__/fixtures/mocks.js'
+
+/**
+ * 用只有一个会话的 users / sessions 表替换数据库查询
+ */
+function mockSession(role) {
+  pool.query = jest.fn(async (sql) => {
+    if (sql === 'SELECT COUNT(*) AS count FROM users') return [[{ count: 1 }]]
+    if (sql.includes('FROM sessions s JOIN users u')) {
+      return [[{ id: 'u1', username: role, role, disabled: 0, totp_enabled: 1, auth_provider: 'local', last_seen_at: Date.now() }]]
+    }
+    throw new Error(`Unexpected query: ${sql}`)
+  })
+}
+
+async function request(method, path) {
+  const req = { method, baseUrl: '', path, cookies: { [SESSION_COOKIE]: 'token' } }
+  const res = createRes()
+  let passed = false
+  await requireAuth(req, res, () => { passed = true })
+  return { res, passed }
+}
+
+// 连接池的空闲连接清理定时器会让 Jest 无法退出
+afterAll(() => pool.end())
+
+describe('requireAuth', () => {
+  test('operators can read /api/data but not import into it', async () => {
+    mockSession('operator')
+
+    expect((await request('GET', '/api/data')).passed).toBe(true)
+
+    const { res, passed } = await request('POST', '/api/data')
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(403)
+    expect(res.body.error.code).toBe('insufficient_permission')
+  })
+
+  test('admins can import into /api/data', async () => {
+    mockSession('admin')
+    expect((await request('POST', '/api/data')).passed).toBe(true)
+  })
+})
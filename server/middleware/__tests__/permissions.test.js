@@ -0,0 +1,75 @@
+/**
+ * Web 后台角色与权限测试
+ */
+
+import { Role, Permission, getRequiredPermission, hasPermission, getRolePermissions } from '../permissions.js'
+
+describe('getRequiredPermission', () => {
+  test('login endpoints and the basic health check are public', () => {
+    expect(getRequiredPermission('POST', '/api/auth/login')).toBeNull()
+    expect(getRequiredPermission('GET', '/api/auth/check')).toBeNull()
+    expect(getRequiredPermission('POST', '/api/auth/login/totp')).toBeNull()
+    // 两步验证绑定接口接受 challengeToken，会话在路由中验证
+    expect(getRequiredPermission('POST', '/api/auth/2fa/setup')).toBeNull()
+    expect(getRequiredPermission('POST', '/api/auth/2fa/enable')).toBeNull()
+    expect(getRequiredPermission('GET', '/api/auth/oidc/login')).toBeNull()
+    expect(getRequiredPermission('GET', '/api/auth/oidc/callback')).toBeNull()
+    expect(getRequiredPermission('GET', '/api/health')).toBeNull()
+    expect(getRequiredPermission('GET', '/api/health/detailed')).toBe(Permission.DASHBOARD_READ)
+  })
+
+  test('own profile only needs a session', () => {
+    expect(getRequiredPermission('GET', '/api/auth/me')).toBe(Permission.AUTHENTICATED)
+    expect(getRequiredPermission('POST', '/api/auth/password')).toBe(Permission.AUTHENTICATED)
+    expect(getRequiredPermission('POST', '/api/auth/2fa/disable')).toBe(Permission.AUTHENTICATED)
+    expect(getRequiredPermission('POST', '/api/auth/2fa/recovery-codes')).toBe(Permission.AUTHENTICATED)
+  })
+
+  test('dashboards and logs are readable, clearing logs needs system:manage', () => {
+    expect(getRequiredPermission('GET', '/api/monitoring/stats')).toBe(Permission.DASHBOARD_READ)
+    expect(getRequiredPermission('GET', '/api/system-logs')).toBe(Permission.DASHBOARD_READ)
+    expect(getRequiredPermission('GET', '/api/logs/stats')).toBe(Permission.DASHBOARD_READ)
+    expect(getRequiredPermission('DELETE', '/api/system-logs')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('POST', '/api/monitoring/proxies/check')).toBe(Permission.ACCOUNTS_WRITE)
+  })
+
+  test('accounts, groups and pool data map to accounts permissions', () => {
+    expect(getRequiredPermission('GET', '/api/accounts/list')).toBe(Permission.ACCOUNTS_READ)
+    expect(getRequiredPermission('POST', '/api/accounts/a1/refresh-token')).toBe(Permission.ACCOUNTS_WRITE)
+    expect(getRequiredPermission('PUT', '/api/v2/groups/g1')).toBe(Permission.ACCOUNTS_WRITE)
+    expect(getRequiredPermission('GET', '/api/data')).toBe(Permission.ACCOUNTS_READ)
+    expect(getRequiredPermission('POST', '/api/data')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('POST', '/api/data/sync-delete-preview')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('GET', '/api/v2/sync/changes')).toBe(Permission.ACCOUNTS_READ)
+    // 前缀必须完整匹配
+    expect(getRequiredPermission('GET', '/api/accountsx')).toBe(Permission.SYSTEM_MANAGE)
+  })
+
+  test('unlisted paths default to system:manage', () => {
+    expect(getRequiredPermission('GET', '/api/v2/users')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('POST', '/api/v2/users/u1/reset-2fa')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('POST', '/api/v2/api-keys')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('GET', '/api/export')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('PUT', '/api/v2/settings/upstreamProxy')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('GET', '/api/v2/models')).toBe(Permission.DASHBOARD_READ)
+    expect(getRequiredPermission('POST', '/api/v2/models')).toBe(Permission.SYSTEM_MANAGE)
+    expect(getRequiredPermission('GET', '/api/v2/audit')).toBe(Permission.SYSTEM_MANAGE)
+  })
+})
+
+describe('hasPermission', () => {
+  test('roles', () => {
+    expect(hasPermission(Role.ADMIN, Permission.SYSTEM_MANAGE)).toBe(true)
+    expect(hasPermission(Role.OPERATOR, Permission.ACCOUNTS_WRITE)).toBe(true)
+    expect(hasPermission(Role.OPERATOR, Permission.SYSTEM_MANAGE)).toBe(false)
+    expect(hasPermission(Role.VIEWER, Permission.DASHBOARD_READ)).toBe(true)
+    expect(hasPermission(Role.VIEWER, Permission.ACCOUNTS_READ)).toBe(false)
+    expect(hasPermission('unknown', Permission.AUTHENTICATED)).toBe(false)
+  })
+
+  test('returns a copy of the role permissions', () => {
+    const permissions = getRolePermissions(Role.VIEWER)
+    permissions.push(Permission.SYSTEM_MANAGE)
+    expect(hasPermission(Role.VIEWER, Permission.SYSTEM_MANAGE)).toBe(false)
+  })
+})
@@ -1,63 +1,85 @@
 /**
- * Web 后台登录验证中间件 - JWT 版本
- * Electron 和 Web 统一使用密码认证（JWT cookie）
+ * Web 后台登录验证中间件
+ * Electron 和 Web 统一使用登录会话（auth_token cookie，对应 sessions 表）
+ * 按 middleware/permissions.js 检查当前用户角色是否有权访问请求的路径
+ * 管理员要求两步验证时，未启用两步验证的用户只能访问 /api/auth/ 下的接口（用于绑定验证器）
  */
 
-import jwt from 'jsonwebtoken'
-import { WEB_LOGIN_PASSWORD, ELECTRON_AUTH_SECRET } from '../config/index.js'
+import { isAuthEnabled, getSession, needsTwoFactorSetup } from '../models/user.js'
+import { getRequiredPermission, hasPermission } from './permissions.js'
 
-// JWT 密钥（与 auth.js 保持一致）
-const JWT_SECRET = ELECTRON_AUTH_SECRET || 'kiro-jwt-secret-2024'
+// 会话 Cookie 名称
+export const SESSION_COOKIE = 'auth_token'
 
 /**
- * 验证登录状态中间件
- * 检查请求的 cookie 是否包含有效的 JWT token
+ * 读取请求 Cookie 中的会话
+ * @returns {Promise<Object|null>} 见 models/user.js getSession
  */
-export function requireAuth(req, res, next) {
-  // 如果未配置密码，则跳过验证
-  if (!WEB_LOGIN_PASSWORD) {
-    return next()
-  }
+export async function getRequestSession(req) {
+  return getSession(req.cookies?.[SESSION_COOKIE])
+}
 
-  // 允许访问登录相关的 API
-  if (req.path.startsWith('/api/auth/')) {
-    return next()
-  }
+/**
+ * 验证登录状态和权限中间件
+ * 可挂载在 /api 上，也可直接用于单个路由
+ * 验证通过后设置 req.user 和 req.session（未启用登录验证时为 null）
+ */
+export async function requireAuth(req, res, next) {
+  const path = req.baseUrl + req.path
+  const permission = getRequiredPermission(req.method, path)
+  req.user = null
+  req.session = null
 
-  // 允许访问健康检查
-  if (req.path === '/api/health') {
-    return next()
-  }
+  try {
+    // 不需要登录的路径，或 users 表为空（未启用登录验证）
+    if (!permission || !(await isAuthEnabled())) {
+      return next()
+    }
 
-  // Electron 和 Web 统一使用 JWT cookie 认证
-  const token = req.cookies?.auth_token
+    const session = await getRequestSession(req)
+    if (!session) {
+      return res.status(401).json({
+        error: {
+          message: req.cookies?.[SESSION_COOKIE] ? 'Unauthorized: Session expired or revoked' : 'Unauthorized: Please login first',
+          type: 'authentication_error',
+          code: req.cookies?.[SESSION_COOKIE] ? 'token_expired' : 'missing_auth_token'
+        }
+      })
+    }
 
-  // 检查是否提供了 token
-  if (!token) {
-    return res.status(401).json({
-      error: {
-        message: 'Unauthorized: Please login first',
-        type: 'authentication_error',
-        code: 'missing_auth_token'
-      }
-    })
-  }
+    if (!path.startsWith('/api/auth/') && await needsTwoFactorSetup(session.user)) {
+      return res.status(403).json({
+        error: {
+          message: 'Forbidden: two-factor authentication must be enabled first',
+          type: 'permission_error',
+          code: 'two_factor_setup_required'
+        }
+      })
+    }
 
-  try {
-    // 验证 JWT token
-    jwt.verify(token, JWT_SECRET)
-    // 验证通过，继续处理请求
+    if (!hasPermission(session.user.role, permission)) {
+      return res.status(403).json({
+        error: {
+          message: `Forbidden: role ${session.user.role} does not have permission ${permission}`,
+          type: 'permission_error',
+          code: 'insufficient_permission'
+        }
+      })
+    }
+
+    req.user = session.user
+    req.session = session
     next()
   } catch (error) {
-    // JWT 验证失败（过期或无效）
-    return res.status(401).json({
+    console.error('[Auth] Failed to verify session:', error.message)
+    return res.status(500).json({
       error: {
-        message: 'Unauthorized: Token expired or invalid',
-        type: 'authentication_error',
-        code: 'token_expired'
+        message: 'Internal server error during authentication',
+        type: 'server_error',
+        code: 'auth_error'
       }
     })
   }
 }
 
-export default requireAuth
\ No newline at end of file
+export default requireAuth
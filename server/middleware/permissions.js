@@ -0,0 +1,99 @@
+/**
+ * Web 后台角色与权限
+ *
+ * - admin：全部权限（用户、API Key、配额、模型、设置、导入导出）
+ * - operator：管理账号、分组、标签、机器码和账号池，查看监控和日志，读取 /api/data
+ * - viewer：只读查看监控和日志
+ *
+ * 每个 /api 路径按 ROUTE_PERMISSIONS 确定所需权限（GET/HEAD 使用 read，其他方法使用 write），
+ * 未列出的路径需要 system:manage
+ */
+
+export const Role = {
+  ADMIN: 'admin',
+  OPERATOR: 'operator',
+  VIEWER: 'viewer'
+}
+
+export const ROLES = Object.values(Role)
+
+export const Permission = {
+  // 登录即可（查看自己的信息、修改自己的密码）
+  AUTHENTICATED: 'authenticated',
+  // 监控仪表板、统计和日志
+  DASHBOARD_READ: 'dashboard:read',
+  // 账号、分组、标签、机器码
+  ACCOUNTS_READ: 'accounts:read',
+  ACCOUNTS_WRITE: 'accounts:write',
+  // 用户、API Key、配额、模型、设置、导入导出、清理日志
+  SYSTEM_MANAGE: 'system:manage'
+}
+
+export const ROLE_PERMISSIONS = {
+  [Role.ADMIN]: Object.values(Permission),
+  [Role.OPERATOR]: [Permission.AUTHENTICATED, Permission.DASHBOARD_READ, Permission.ACCOUNTS_READ, Permission.ACCOUNTS_WRITE],
+  [Role.VIEWER]: [Permission.AUTHENTICATED, Permission.DASHBOARD_READ]
+}
+
+// 不需要登录的路径
+// 两步验证的登录和绑定接口使用登录接口返回的 challengeToken（绑定接口也接受会话，在路由中验证）
+const PUBLIC_PATHS = new Set([
+  '/api/health',
+  '/api/auth/login',
+  '/api/auth/login/totp',
+  '/api/auth/logout',
+  '/api/auth/check',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable',
+  '/api/auth/oidc/config',
+  '/api/auth/oidc/login',
+  '/api/auth/oidc/callback'
+])
+
+// 按顺序匹配，第一条匹配的规则生效
+export const ROUTE_PERMISSIONS = [
+  { pattern: /^\/api\/auth\//, read: Permission.AUTHENTICATED, write: Permission.AUTHENTICATED },
+  { pattern: /^\/api\/(logs|system-logs)(\/|$)/, read: Permission.DASHBOARD_READ, write: Permission.SYSTEM_MANAGE },
+  {
+    pattern: /^\/api\/(monitoring|stats|health|server-ids|working-status|token-check-info)(\/|$)/,
+    read: Permission.DASHBOARD_READ,
+    write: Permission.ACCOUNTS_WRITE
+  },
+  { pattern: /^\/api\/v2\/(models|quotas)(\/|$)/, read: Permission.DASHBOARD_READ, write: Permission.SYSTEM_MANAGE },
+  // 写入 /api/data 是完整导入（syncDelete 会删除账号），只允许管理员
+  { pattern: /^\/api\/data(\/|$)/, read: Permission.ACCOUNTS_READ, write: Permission.SYSTEM_MANAGE },
+  {
+    pattern: /^\/api\/(v2\/)?(accounts|groups|tags)(\/|$)|^\/api\/(machine-id|proxy)(\/|$)|^\/api\/v2\/sync(\/|$)/,
+    read: Permission.ACCOUNTS_READ,
+    write: Permission.ACCOUNTS_WRITE
+  }
+]
+
+/**
+ * 获取请求所需的权限
+ * @param {string} method - HTTP 方法
+ * @param {string} path - 完整路径（不含查询参数）
+ * @returns {string|null} null 表示不需要登录
+ */
+export function getRequiredPermission(method, path) {
+  if (PUBLIC_PATHS.has(path)) return null
+
+  const isRead = method === 'GET' || method === 'HEAD'
+  const rule = ROUTE_PERMISSIONS.find(item => item.pattern.test(path))
+  if (!rule) return Permission.SYSTEM_MANAGE
+  return isRead ? rule.read : rule.write
+}
+
+/**
+ * 角色是否拥有权限
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission)
+}
+
+/**
+ * 获取角色的权限列表（返回给前端用于显示或隐藏操作）
+ */
+export function getRolePermissions(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])]
+}
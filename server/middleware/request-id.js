@@ -0,0 +1,18 @@
+/**
+ * 请求 ID 中间件
+ * 使用客户端传入的 X-Request-Id（只允许字母、数字、点、横线、下划线，最长 64 个字符），否则生成新的 ID，
+ * 保存到 req.requestId 并在响应头中返回，用于关联审计日志和服务端日志
+ */
+
+import { generateRequestId } from '../utils/error-handler.js'
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
+
+export function requestId(req, res, next) {
+  const provided = req.headers['x-request-id']
+  req.requestId = typeof provided === 'string' && REQUEST_ID_PATTERN.test(provided) ? provided : generateRequestId()
+  res.set('X-Request-Id', req.requestId)
+  next()
+}
+
+export default requestId
@@ -6,6 +6,9 @@ import { pool } from '../db/index.js'
 import { randomUUID } from 'crypto'
 import { generateInvocationId, generateDeviceHash } from '../utils/header-generator.js'
 import { DEFAULT_HEADER_VERSION, getDefaultHeaderVersionForIdp } from '../config/index.js'
+import { parseAllowedModels } from '../openai-compat/api-keys.js'
+import { fetchWithTimeout } from '../utils/fetch-utils.js'
+import { encryptCredential, decryptCredential, decryptCredentialRow } from '../utils/credential-crypto.js'
 
 // V1 和 V2 版本的 SDK 和 IDE 版本号（写死在代码中，与 header-generator.js 保持一致）
 // V1 (旧端点 codewhisperer.*.amazonaws.com)
@@ -43,8 +46,13 @@ function toNumber(value) {
 
 /**
  * 从数据库行转换为 JSON 格式账号对象
+ * @param {object} row - 数据库行
+ * @param {object} [options]
+ * @param {boolean} [options.decryptCredentials=true] - 是否解密 accessToken、refreshToken、clientSecret（导出时默认不解密）
  */
-export function rowToAccount(row) {
+export function rowToAccount(row, { decryptCredentials = true } = {}) {
+  const credential = decryptCredentials ? decryptCredential : (value) => value
+
   return {
     id: row.id,
     email: row.email,
@@ -66,12 +74,12 @@ export function rowToAccount(row) {
     sdkJsVersion: row.sdk_js_version,
     ideVersion: row.ide_version,
     credentials: {
-      accessToken: row.cred_access_token,
+      accessToken: credential(row.cred_access_token),
       csrfToken: row.cred_csrf_token,
-      refreshToken: row.cred_refresh_token,
+      refreshToken: credential(row.cred_refresh_token),
       clientId: row.cred_client_id,
       clientIdHash: row.cred_client_id_hash,
-      clientSecret: row.cred_client_secret,
+      clientSecret: credential(row.cred_client_secret),
       region: row.cred_region,
       expiresAt: row.cred_expires_at,
       authMethod: row.cred_auth_method,
@@ -126,7 +134,7 @@ export function rowToAccount(row) {
 }
 
 /**
- * 插入或更新账号
+ * 插入或更新账号（accessToken、refreshToken、clientSecret 加密后保存）
  */
 export async function insertAccount(conn, id, acc) {
   const cred = acc.credentials || {}
@@ -226,12 +234,12 @@ export async function insertAccount(conn, id, acc) {
       acc.lastUsedAt,
       acc.lastCheckedAt,
       acc.lastError,
-      cred.accessToken,
+      encryptCredential(cred.accessToken),
       cred.csrfToken,
-      cred.refreshToken,
+      encryptCredential(cred.refreshToken),
       cred.clientId,
       cred.clientIdHash,
-      cred.clientSecret,
+      encryptCredential(cred.clientSecret),
       cred.region,
       cred.expiresAt,
       cred.authMethod,
@@ -335,19 +343,21 @@ export function determineIdp(credentials, existingIdp) {
  * @param {string} clientId - 客户端ID（OIDC 方式需要）
  * @param {string} clientSecret - 客户端密钥（OIDC 方式需要）
  * @param {string} region - AWS 区域（默认 'us-east-1'）
+ * @param {object|null} proxy - 上游代理（parseProxyUrl 的结果），null 为直连
  * @returns {Promise<{success: boolean, accessToken?: string, refreshToken?: string, expiresIn?: number, error?: string}>}
  */
-export async function refreshTokenByAuthMethod(authMethod, refreshToken, clientId, clientSecret, region) {
+export async function refreshTokenByAuthMethod(authMethod, refreshToken, clientId, clientSecret, region, proxy = null) {
   if (authMethod === 'social') {
     // 社交登录：使用 Kiro Auth Service 刷新
     // 严格匹配 kiro_auth_client.rs：只发送 User-Agent: KiroBatchLoginCLI/1.0.0
-    const response = await fetch(`${KIRO_AUTH_ENDPOINT}/refreshToken`, {
+    const response = await fetchWithTimeout(`${KIRO_AUTH_ENDPOINT}/refreshToken`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'KiroBatchLoginCLI/1.0.0'
       },
-      body: JSON.stringify({ refreshToken })
+      body: JSON.stringify({ refreshToken }),
+      proxy
     })
     
     if (!response.ok) {
@@ -366,7 +376,7 @@ export async function refreshTokenByAuthMethod(authMethod, refreshToken, clientI
     // IdC/BuilderId：使用 AWS OIDC 刷新
     // 严格匹配 aws_sso_client.rs：只发送 Content-Type
     const url = `https://oidc.${region || 'us-east-1'}.amazonaws.com/token`
-    const response = await fetch(url, {
+    const response = await fetchWithTimeout(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -376,7 +386,8 @@ export async function refreshTokenByAuthMethod(authMethod, refreshToken, clientI
         clientSecret,
         refreshToken,
         grantType: 'refresh_token'
-      })
+      }),
+      proxy
     })
     
     if (!response.ok) {
@@ -394,6 +405,17 @@ export async function refreshTokenByAuthMethod(authMethod, refreshToken, clientI
   }
 }
 
+/**
+ * 读取账号数据库行（凭证已解密，用于审计日志对比修改前后）
+ * @param {string} accountId - 账号ID
+ * @param {object} [db] - 数据库连接或连接池
+ * @returns {Promise<object|null>}
+ */
+export async function getAccountRow(accountId, db = pool) {
+  const [rows] = await db.query('SELECT * FROM accounts WHERE id = ?', [accountId])
+  return rows.length > 0 ? decryptCredentialRow(rows[0]) : null
+}
+
 /**
  * 如果指定账号是当前激活账号，则清除激活状态
  * @param {string} accountId - 账号ID
@@ -419,6 +441,11 @@ export function rowToGroup(row) {
     description: row.description || undefined,
     apiKey: row.api_key || undefined,
     order: row.order,
+    rateLimitRpm: row.rate_limit_rpm || 0,
+    rateLimitTpm: row.rate_limit_tpm || 0,
+    maxConcurrentStreams: row.max_concurrent_streams || 0,
+    allowedModels: parseAllowedModels(row.allowed_models),
+    defaultModel: row.default_model || null,
     createdAt: row.created_at,
     version: row.version || 1,
     updatedAt: row.updated_at || row.created_at || Date.now()
@@ -478,6 +505,7 @@ export default {
   determineIdp,
   refreshTokenByAuthMethod,
   clearActiveAccountIfMatch,
+  getAccountRow,
   rowToGroup,
   rowToTag,
   rowToSetting
@@ -0,0 +1,636 @@
+/**
+ * Web 后台用户与登录会话
+ *
+ * - users 表保存用户名、scrypt 密码哈希和角色（见 middleware/permissions.js）
+ * - sessions 表保存会话 Token 的 SHA-256，Cookie 中保存明文；登出、改密码、禁用用户时删除会话即可立即失效
+ * - users 表为空时不启用登录验证；WEB_LOGIN_PASSWORD 只用于在 users 表为空时创建第一个管理员
+ * - 启用 TOTP 两步验证的用户密码验证通过后先创建 login_challenges 记录，输入验证码或恢复码后才创建会话；
+ *   settings 表的 requireTwoFactor 为 true 时所有用户必须启用两步验证
+ * - 配置 OIDC 后可通过身份提供方登录（见 utils/oidc.js），按 external_id 关联用户，首次登录自动创建；
+ *   OIDC 用户的两步验证由身份提供方负责，不受 requireTwoFactor 限制
+ */
+import { pool } from '../db/index.js'
+import { createHash, randomBytes } from 'crypto'
+import { v4 as uuidv4 } from 'uuid'
+import { WEB_LOGIN_PASSWORD, WEB_ADMIN_USERNAME } from '../config/index.js'
+import { hashPassword } from '../utils/password-hash.js'
+import { encryptCredential, decryptCredential, getCredentialCipher } from '../utils/credential-crypto.js'
+import {
+  TOTP_CONFIG,
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  findRecoveryCode
+} from '../utils/totp.js'
+import { OIDC_CONFIG, isOidcEnabled } from '../utils/oidc.js'
+import { Role } from '../middleware/permissions.js'
+
+// 会话有效期（默认 30 天）
+export const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 720) * 60 * 60 * 1000
+
+// last_seen_at 最短更新间隔，避免每个请求都写数据库
+const SESSION_TOUCH_INTERVAL = 60 * 1000
+
+// users 表为空时重新检查的间隔（有用户后不再检查）
+const AUTH_ENABLED_CACHE_MS = 10 * 1000
+
+// 两步验证登录的有效期和最多尝试次数
+export const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5
+
+export const LoginChallengePurpose = {
+  // 已启用两步验证，输入验证码或恢复码
+  VERIFY: 'verify',
+  // 管理员要求两步验证但用户尚未启用，先绑定验证器
+  SETUP: 'setup'
+}
+
+// 强制所有用户启用两步验证的设置（settings 表，布尔值）
+export const REQUIRE_TWO_FACTOR_SETTING_KEY = 'requireTwoFactor'
+const REQUIRE_TWO_FACTOR_CACHE_MS = 60 * 1000
+
+export const AuthProvider = {
+  LOCAL: 'local',
+  OIDC: 'oidc'
+}
+
+// OIDC 登录跳转到身份提供方后的有效期
+const OIDC_LOGIN_STATE_TTL_MS = 10 * 60 * 1000
+
+// OIDC 用户的密码哈希（不是有效的 scrypt 哈希，不能用密码登录，管理员重置密码后可以）
+const NO_PASSWORD_HASH = '!oidc'
+
+let authEnabled = false
+let authEnabledCheckedAt = 0
+let twoFactorSetting = { value: false, loadedAt: 0 }
+
+/**
+ * 计算会话 Token 的哈希（sessions.token 字段）
+ */
+export function hashSessionToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex')
+}
+
+/**
+ * 将 users 表行转换为接口返回对象（不包含密码哈希）
+ */
+export function rowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    disabled: Boolean(row.disabled),
+    totpEnabled: Boolean(row.totp_enabled),
+    authProvider: row.auth_provider || AuthProvider.LOCAL,
+    lastLoginAt: row.last_login_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * users 表是否不为空
+ * @returns {Promise<boolean>}
+ */
+export async function hasUsers() {
+  if (authEnabled) return true
+  if (Date.now() - authEnabledCheckedAt < AUTH_ENABLED_CACHE_MS) return false
+
+  const [rows] = await pool.query('SELECT COUNT(*) AS count FROM users')
+  authEnabled = rows[0].count > 0
+  authEnabledCheckedAt = Date.now()
+  return authEnabled
+}
+
+/**
+ * 是否启用登录验证（users 表不为空，或配置了 OIDC）
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthEnabled() {
+  return isOidcEnabled() || hasUsers()
+}
+
+/**
+ * 创建用户后立即启用本服务器的登录验证（其他服务器在 10 秒内生效）
+ */
+export function markAuthEnabled() {
+  authEnabled = true
+}
+
+/**
+ * 按用户名查找用户（包含密码哈希）
+ * @returns {Promise<Object|null>} users 表行
+ */
+export async function findUserByUsername(username) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE username = ?', [username])
+  return rows[0] || null
+}
+
+/**
+ * 按 ID 查找用户（包含密码哈希和两步验证字段）
+ * @returns {Promise<Object|null>} users 表行
+ */
+export async function findUserById(id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id])
+  return rows[0] || null
+}
+
+/**
+ * 创建用户
+ * @returns {Promise<Object>} 接口返回对象
+ * @throws {Error} 用户名已存在时 error.code 为 ER_DUP_ENTRY
+ */
+export async function createUser({ username, password, role }) {
+  const now = Date.now()
+  const row = {
+    id: uuidv4(),
+    username,
+    password_hash: await hashPassword(password),
+    role,
+    disabled: false,
+    last_login_at: null,
+    created_at: now,
+    updated_at: now
+  }
+  await pool.query(
+    'INSERT INTO users (id, username, password_hash, role, disabled, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [row.id, row.username, row.password_hash, row.role, row.disabled, row.created_at, row.updated_at]
+  )
+  markAuthEnabled()
+  return rowToUser(row)
+}
+
+/**
+ * 统计启用状态的管理员数量
+ * @param {string} [excludeUserId] - 不计入的用户（用于检查降级或删除后是否还有管理员）
+ */
+export async function countActiveAdmins(excludeUserId = null) {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) AS count FROM users WHERE role = ? AND disabled = FALSE AND id <> ?',
+    [Role.ADMIN, excludeUserId || '']
+  )
+  return rows[0].count
+}
+
+/**
+ * 操作后是否没有启用的管理员了
+ * @param {Object} row - 当前用户行
+ * @param {Object} [next] - 修改后的 { role, disabled }，删除时为 null
+ */
+export async function wouldRemoveLastAdmin(row, next = null) {
+  if (row.role !== Role.ADMIN || row.disabled) return false
+  if (next && next.role === Role.ADMIN && !next.disabled) return false
+  return (await countActiveAdmins(row.id)) === 0
+}
+
+/**
+ * users 表为空且配置了 WEB_LOGIN_PASSWORD 时创建管理员
+ * 多台服务器同时启动时依靠用户名唯一索引只创建一个
+ * @returns {Promise<boolean>} 是否创建了管理员
+ */
+export async function ensureBootstrapAdmin(password = WEB_LOGIN_PASSWORD, username = WEB_ADMIN_USERNAME) {
+  if (await hasUsers()) return false
+
+  if (!password) {
+    // 配置了 OIDC 时管理员可以通过单点登录创建
+    if (isOidcEnabled()) return false
+    console.warn('[Auth] No users and WEB_LOGIN_PASSWORD is not set, admin API is not protected. Create an admin with POST /api/v2/users')
+    return false
+  }
+
+  const now = Date.now()
+  const [result] = await pool.query(
+    'INSERT IGNORE INTO users (id, username, password_hash, role, disabled, created_at, updated_at) VALUES (?, ?, ?, ?, FALSE, ?, ?)',
+    [uuidv4(), username, await hashPassword(password), Role.ADMIN, now, now]
+  )
+  markAuthEnabled()
+  if (result.affectedRows > 0) {
+    console.log(`[Auth] Created admin user "${username}" from WEB_LOGIN_PASSWORD`)
+  }
+  return result.affectedRows > 0
+}
+
+/**
+ * 创建登录会话
+ * @param {string} userId
+ * @param {Object} [meta] - { ip, userAgent }
+ * @returns {Promise<{token: string, expiresAt: number}>} token 为明文，只写入 Cookie
+ */
+export async function createSession(userId, { ip = null, userAgent = null } = {}) {
+  const token = randomBytes(32).toString('base64url')
+  const now = Date.now()
+  const expiresAt = now + SESSION_TTL_MS
+
+  // 顺便清理过期会话
+  await pool.query('DELETE FROM sessions WHERE expires_at <= ?', [now])
+  await pool.query(
+    'INSERT INTO sessions (token, user_id, ip, user_agent, last_seen_at, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [hashSessionToken(token), userId, ip, userAgent ? String(userAgent).slice(0, 255) : null, now, now, expiresAt]
+  )
+  await pool.query('UPDATE users SET last_login_at = ? WHERE id = ?', [now, userId])
+  return { token, expiresAt }
+}
+
+/**
+ * 验证会话 Token
+ * @param {string} token - Cookie 中的明文 Token
+ * @returns {Promise<{id: string, expiresAt: number, user: Object}|null>} 会话不存在、已过期或用户已禁用时为 null
+ */
+export async function getSession(token) {
+  if (!token) return null
+
+  const now = Date.now()
+  const id = hashSessionToken(token)
+  const [rows] = await pool.query(
+    `SELECT s.token, s.expires_at, s.last_seen_at, u.*
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.token = ? AND s.expires_at > ? AND u.disabled = FALSE`,
+    [id, now]
+  )
+  if (rows.length === 0) return null
+
+  const row = rows[0]
+  if (!row.last_seen_at || now - row.last_seen_at >= SESSION_TOUCH_INTERVAL) {
+    pool.query('UPDATE sessions SET last_seen_at = ? WHERE token = ?', [now, id]).catch(error => {
+      console.error('[Auth] Failed to update session last_seen_at:', error.message)
+    })
+  }
+
+  return { id, expiresAt: row.expires_at, user: rowToUser(row) }
+}
+
+/**
+ * 列出用户的有效会话
+ * @param {string} userId
+ * @param {string} [currentId] - 当前会话 ID，对应项标记 current
+ */
+export async function listUserSessions(userId, currentId = null) {
+  const [rows] = await pool.query(
+    'SELECT token, ip, user_agent, last_seen_at, created_at, expires_at FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY created_at DESC',
+    [userId, Date.now()]
+  )
+  return rows.map(row => ({
+    id: row.token,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    lastSeenAt: row.last_seen_at,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    current: row.token === currentId
+  }))
+}
+
+/**
+ * 删除会话
+ * @param {string} id - 会话 ID（Token 哈希）
+ * @param {string} [userId] - 只删除该用户的会话
+ * @returns {Promise<boolean>}
+ */
+export async function deleteSession(id, userId = null) {
+  const [result] = userId
+    ? await pool.query('DELETE FROM sessions WHERE token = ? AND user_id = ?', [id, userId])
+    : await pool.query('DELETE FROM sessions WHERE token = ?', [id])
+  return result.affectedRows > 0
+}
+
+/**
+ * 删除用户的全部会话（同时删除等待两步验证的登录）
+ * @param {string} userId
+ * @param {string} [exceptId] - 保留的会话（如修改密码时的当前会话）
+ * @returns {Promise<number>} 删除的会话数
+ */
+export async function deleteUserSessions(userId, exceptId = null) {
+  const [result] = await pool.query(
+    'DELETE FROM sessions WHERE user_id = ? AND token <> ?',
+    [userId, exceptId || '']
+  )
+  await pool.query('DELETE FROM login_challenges WHERE user_id = ?', [userId])
+  return result.affectedRows
+}
+
+/**
+ * 是否要求所有用户启用两步验证（settings 表 requireTwoFactor，缓存 60 秒）
+ * @returns {Promise<boolean>}
+ */
+export async function isTwoFactorRequired() {
+  if (Date.now() - twoFactorSetting.loadedAt >= REQUIRE_TWO_FACTOR_CACHE_MS) {
+    try {
+      const [rows] = await pool.query('SELECT value FROM settings WHERE `key` = ?', [REQUIRE_TWO_FACTOR_SETTING_KEY])
+      twoFactorSetting = { value: rows[0]?.value === 'true', loadedAt: Date.now() }
+    } catch (error) {
+      // 读取失败时保留上次的设置
+      console.error('[Auth] Failed to load requireTwoFactor setting:', error.message)
+      twoFactorSetting.loadedAt = Date.now()
+    }
+  }
+  return twoFactorSetting.value
+}
+
+/**
+ * 用户是否需要先启用两步验证（管理员要求两步验证且用户未启用）
+ * @param {Object} user - rowToUser 的结果
+ */
+export async function needsTwoFactorSetup(user) {
+  return !user.totpEnabled && user.authProvider !== AuthProvider.OIDC && await isTwoFactorRequired()
+}
+
+/**
+ * 创建等待两步验证的登录（密码已验证通过）
+ * @param {string} userId
+ * @param {string} purpose - LoginChallengePurpose 中的值
+ * @param {Object} [meta] - { ip }
+ * @returns {Promise<{token: string, expiresAt: number}>} token 为明文，只返回给客户端
+ */
+export async function createLoginChallenge(userId, purpose, { ip = null } = {}) {
+  const token = randomBytes(32).toString('base64url')
+  const now = Date.now()
+  const expiresAt = now + LOGIN_CHALLENGE_TTL_MS
+
+  await pool.query('DELETE FROM login_challenges WHERE expires_at <= ?', [now])
+  await pool.query(
+    'INSERT INTO login_challenges (token, user_id, purpose, ip, attempts, created_at, expires_at) VALUES (?, ?, ?, ?, 0, ?, ?)',
+    [hashSessionToken(token), userId, purpose, ip, now, expiresAt]
+  )
+  return { token, expiresAt }
+}
+
+/**
+ * 验证等待两步验证的登录
+ * @param {string} token - 登录接口返回的 challengeToken
+ * @param {string} purpose - LoginChallengePurpose 中的值
+ * @returns {Promise<{id: string, user: Object}|null>} user 为 users 表行；不存在、已过期、尝试次数过多或用户已禁用时为 null
+ */
+export async function getLoginChallenge(token, purpose) {
+  if (!token) return null
+
+  const [rows] = await pool.query(
+    `SELECT c.token AS challenge_id, u.*
+     FROM login_challenges c JOIN users u ON u.id = c.user_id
+     WHERE c.token = ? AND c.purpose = ? AND c.expires_at > ? AND c.attempts < ? AND u.disabled = FALSE`,
+    [hashSessionToken(token), purpose, Date.now(), LOGIN_CHALLENGE_MAX_ATTEMPTS]
+  )
+  if (rows.length === 0) return null
+
+  const { challenge_id: id, ...user } = rows[0]
+  return { id, user }
+}
+
+/**
+ * 记录一次验证码错误（超过次数后需要重新输入密码）
+ */
+export async function recordLoginChallengeFailure(id) {
+  await pool.query('UPDATE login_challenges SET attempts = attempts + 1 WHERE token = ?', [id])
+}
+
+/**
+ * 删除等待两步验证的登录（验证通过后）
+ */
+export async function deleteLoginChallenge(id) {
+  await pool.query('DELETE FROM login_challenges WHERE token = ?', [id])
+}
+
+function parseRecoveryCodes(row) {
+  try {
+    const hashes = JSON.parse(row.totp_recovery_codes || '[]')
+    return Array.isArray(hashes) ? hashes : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * 开始绑定验证器：生成新的 TOTP 密钥（启用前可以重复调用，每次生成新密钥）
+ * @param {Object} row - users 表行（未启用两步验证）
+ * @returns {Promise<{secret: string, otpauthUri: string, issuer: string}|null>} 用户已启用两步验证时为 null
+ */
+export async function startTotpSetup(row) {
+  const secret = generateTotpSecret()
+  const [result] = await pool.query(
+    `UPDATE users SET totp_secret = ?, totp_last_counter = NULL, totp_recovery_codes = NULL, updated_at = ?
+     WHERE id = ? AND totp_enabled = FALSE`,
+    [encryptCredential(secret), Date.now(), row.id]
+  )
+  if (result.affectedRows === 0) return null
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: row.username }),
+    issuer: TOTP_CONFIG.issuer
+  }
+}
+
+/**
+ * 输入验证器显示的验证码，启用两步验证
+ * @param {Object} row - users 表行（已调用 startTotpSetup）
+ * @param {string} code - 验证码
+ * @returns {Promise<string[]|null>} 恢复码（只返回这一次）；验证码错误时为 null
+ */
+export async function enableTotp(row, code) {
+  if (!row.totp_secret || row.totp_enabled) return null
+  const counter = verifyTotp(decryptCredential(row.totp_secret), code)
+  if (counter === null) return null
+
+  const { codes, hashes } = generateRecoveryCodes()
+  // 按密钥条件更新，避免启用另一次 setup 生成的密钥
+  const [result] = await pool.query(
+    `UPDATE users SET totp_enabled = TRUE, totp_last_counter = ?, totp_recovery_codes = ?, updated_at = ?
+     WHERE id = ? AND totp_enabled = FALSE AND totp_secret = ?`,
+    [counter, JSON.stringify(hashes), Date.now(), row.id, row.totp_secret]
+  )
+  return result.affectedRows > 0 ? codes : null
+}
+
+/**
+ * 验证两步验证码或恢复码
+ * 验证码每个时间步只能使用一次，恢复码使用后删除；密钥使用旧主密钥加密时顺便重新加密
+ * @param {Object} row - users 表行（已启用两步验证）
+ * @param {Object} input - { code } 或 { recoveryCode }
+ * @returns {Promise<{method: string, remainingRecoveryCodes: number}|null>} method 为 totp 或 recovery_code；验证失败时为 null
+ */
+export async function verifySecondFactor(row, { code, recoveryCode } = {}) {
+  if (!row.totp_enabled || !row.totp_secret) return null
+  const hashes = parseRecoveryCodes(row)
+
+  if (recoveryCode) {
+    const index = findRecoveryCode(hashes, recoveryCode)
+    if (index === -1) return null
+    const remaining = hashes.filter((_, i) => i !== index)
+    // 按旧值条件更新，同一个恢复码并发使用时只有一个成功
+    const [result] = await pool.query(
+      'UPDATE users SET totp_recovery_codes = ? WHERE id = ? AND totp_recovery_codes = ?',
+      [JSON.stringify(remaining), row.id, row.totp_recovery_codes]
+    )
+    return result.affectedRows > 0 ? { method: 'recovery_code', remainingRecoveryCodes: remaining.length } : null
+  }
+
+  const secret = decryptCredential(row.totp_secret)
+  const counter = verifyTotp(secret, code, { lastCounter: row.totp_last_counter })
+  if (counter === null) return null
+
+  const storedSecret = getCredentialCipher().needsRekey(row.totp_secret) ? encryptCredential(secret) : row.totp_secret
+  const [result] = await pool.query(
+    'UPDATE users SET totp_last_counter = ?, totp_secret = ? WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)',
+    [counter, storedSecret, row.id, counter]
+  )
+  return result.affectedRows > 0 ? { method: 'totp', remainingRecoveryCodes: hashes.length } : null
+}
+
+/**
+ * 重新生成恢复码（旧恢复码全部失效）
+ * @returns {Promise<string[]>}
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes()
+  await pool.query(
+    'UPDATE users SET totp_recovery_codes = ?, updated_at = ? WHERE id = ? AND totp_enabled = TRUE',
+    [JSON.stringify(hashes), Date.now(), userId]
+  )
+  return codes
+}
+
+/**
+ * 停用两步验证（用户自己停用或管理员重置）
+ * @returns {Promise<boolean>} 用户之前是否已启用或正在绑定
+ */
+export async function disableTotp(userId) {
+  const [result] = await pool.query(
+    `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_counter = NULL, totp_recovery_codes = NULL, updated_at = ?
+     WHERE id = ? AND totp_secret IS NOT NULL`,
+    [Date.now(), userId]
+  )
+  await pool.query('DELETE FROM login_challenges WHERE user_id = ?', [userId])
+  return result.affectedRows > 0
+}
+
+/**
+ * 创建 OIDC 登录状态（跳转到身份提供方之前）
+ * @param {Object} [options] - { redirectTo }
+ * @returns {Promise<{state: string, nonce: string, codeVerifier: string, expiresAt: number}>} state 为明文
+ */
+export async function createOidcLoginState({ redirectTo = null } = {}) {
+  const state = randomBytes(32).toString('base64url')
+  const nonce = randomBytes(32).toString('base64url')
+  const codeVerifier = randomBytes(48).toString('base64url')
+  const now = Date.now()
+  const expiresAt = now + OIDC_LOGIN_STATE_TTL_MS
+
+  await pool.query('DELETE FROM oidc_login_states WHERE expires_at <= ?', [now])
+  await pool.query(
+    'INSERT INTO oidc_login_states (state, nonce, code_verifier, redirect_to, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [hashSessionToken(state), nonce, codeVerifier, redirectTo, now, expiresAt]
+  )
+  return { state, nonce, codeVerifier, expiresAt }
+}
+
+/**
+ * 读取并删除 OIDC 登录状态（每个 state 只能使用一次）
+ * @param {string} state - 回调中的 state
+ * @returns {Promise<{nonce: string, codeVerifier: string, redirectTo: string|null}|null>} 不存在、已过期或已使用时为 null
+ */
+export async function consumeOidcLoginState(state) {
+  if (!state) return null
+
+  const id = hashSessionToken(state)
+  const [rows] = await pool.query('SELECT * FROM oidc_login_states WHERE state = ? AND expires_at > ?', [id, Date.now()])
+  if (rows.length === 0) return null
+
+  const [result] = await pool.query('DELETE FROM oidc_login_states WHERE state = ?', [id])
+  if (result.affectedRows === 0) return null
+  return { nonce: rows[0].nonce, codeVerifier: rows[0].code_verifier, redirectTo: rows[0].redirect_to }
+}
+
+/**
+ * OIDC 登录：按 external_id 查找用户，首次登录时创建，按 claim 同步角色
+ * @param {Object} identity - utils/oidc.js authenticate 的结果 { externalId, username, role }
+ * @param {Object} [config] - 见 utils/oidc.js loadOidcConfig
+ * @returns {Promise<{user?: Object, created?: boolean, previousRole?: string, error?: string}>}
+ *   user 为 users 表行；error 为 NO_ROLE（没有匹配的组）、USER_DISABLED、NOT_PROVISIONED（未开启自动创建）、
+ *   LAST_ADMIN_DEMOTION（身份提供方降级了最后一个启用的管理员，此时 user 为该用户、requestedRole 为映射出的角色）、
+ *   NO_USERNAME（claims 中没有可用的用户名）、USERNAME_CONFLICT（用户名已被其他用户使用）
+ */
+export async function loginOidcUser({ externalId, username, role }, config = OIDC_CONFIG) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE external_id = ?', [externalId])
+  const existing = rows[0]
+
+  if (existing) {
+    if (existing.disabled) return { error: 'USER_DISABLED' }
+    if (!config.syncRole || existing.role === role) return { user: existing }
+    if (!role) return { error: 'NO_ROLE' }
+    // 与用户管理接口一致，不降级最后一个启用的管理员；也不保留身份提供方已撤销的管理员权限，拒绝登录，由本地管理员账号处理
+    if (await wouldRemoveLastAdmin(existing, { role, disabled: false })) {
+      return { error: 'LAST_ADMIN_DEMOTION', user: existing, requestedRole: role }
+    }
+
+    await pool.query('UPDATE users SET role = ?, updated_at = ? WHERE id = ?', [role, Date.now(), existing.id])
+    return { user: { ...existing, role }, previousRole: existing.role }
+  }
+
+  if (!role) return { error: 'NO_ROLE' }
+  if (!config.autoProvision) return { error: 'NOT_PROVISIONED' }
+  if (!username) return { error: 'NO_USERNAME' }
+
+  const now = Date.now()
+  const row = {
+    id: uuidv4(),
+    username,
+    password_hash: NO_PASSWORD_HASH,
+    role,
+    disabled: false,
+    auth_provider: AuthProvider.OIDC,
+    external_id: externalId,
+    totp_enabled: false,
+    last_login_at: null,
+    created_at: now,
+    updated_at: now
+  }
+  try {
+    await pool.query(
+      `INSERT INTO users (id, username, password_hash, role, disabled, auth_provider, external_id, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.id, row.username, row.password_hash, row.role, row.disabled, row.auth_provider, row.external_id, row.created_at, row.updated_at]
+    )
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      // 同一用户并发首次登录时 external_id 冲突，使用已创建的用户
+      const [created] = await pool.query('SELECT * FROM users WHERE external_id = ?', [externalId])
+      if (created[0]) return { user: created[0] }
+      return { error: 'USERNAME_CONFLICT' }
+    }
+    throw error
+  }
+  markAuthEnabled()
+  return { user: row, created: true }
+}
+
+export default {
+  hashSessionToken,
+  rowToUser,
+  hasUsers,
+  isAuthEnabled,
+  findUserByUsername,
+  findUserById,
+  createUser,
+  countActiveAdmins,
+  wouldRemoveLastAdmin,
+  ensureBootstrapAdmin,
+  createSession,
+  getSession,
+  listUserSessions,
+  deleteSession,
+  deleteUserSessions,
+  isTwoFactorRequired,
+  needsTwoFactorSetup,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordLoginChallengeFailure,
+  deleteLoginChallenge,
+  startTotpSetup,
+  enableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  createOidcLoginState,
+  consumeOidcLoginState,
+  loginOidcUser
+}
@@ -0,0 +1,94 @@
+/**
+ * 账号并发限制测试
+ */
+
+import { jest } from '@jest/globals'
+import {
+  AccountConcurrency,
+  MemoryInflightStore,
+  parseIdpLimits,
+  resolveConcurrencyLimit,
+  trackAccountInflight
+} from '../account-concurrency.js'
+import { runWithRequestContext, getRequestContext } from '../../utils/request-context.js'
+
+const CONFIG = { defaultLimit: 0, idpLimits: parseIdpLimits('BUILDER_ID:3'), leaseTtlMs: 60000, countsCacheMs: 1000 }
+
+describe('resolveConcurrencyLimit', () => {
+  it('should prefer account, then IdP, then default limits', () => {
+    const setting = { default: 5, idp: { Github: 2 }, accounts: { a1: 1 } }
+
+    expect(resolveConcurrencyLimit({ id: 'a1', idp: 'GITHUB' }, setting, CONFIG)).toBe(1)
+    expect(resolveConcurrencyLimit({ id: 'a2', idp: 'GITHUB' }, setting, CONFIG)).toBe(2)
+    expect(resolveConcurrencyLimit({ id: 'a3', idp: 'BuilderId' }, setting, CONFIG)).toBe(3)
+    expect(resolveConcurrencyLimit({ id: 'a4', idp: 'GOOGLE' }, setting, CONFIG)).toBe(5)
+    expect(resolveConcurrencyLimit({ id: 'a4', idp: 'GOOGLE' }, null, CONFIG)).toBe(0)
+  })
+
+  it('should ignore malformed IdP limits', () => {
+    expect(parseIdpLimits('BUILDER_ID:4, github:2,bad,GOOGLE:x')).toEqual({ BUILDERID: 4, GITHUB: 2 })
+  })
+})
+
+describe('AccountConcurrency', () => {
+  const account = { id: 'a1', email: 'a1@test', idp: 'BUILDER_ID' }
+
+  it('should reject leases beyond the limit and free them on release', async () => {
+    const onRelease = jest.fn()
+    const concurrency = new AccountConcurrency(new MemoryInflightStore(), { config: CONFIG, onRelease })
+
+    const leases = [await concurrency.acquire(account), await concurrency.acquire(account), await concurrency.acquire(account)]
+    expect(leases.every(Boolean)).toBe(true)
+    expect(concurrency.isSaturated(account)).toBe(true)
+    expect(await concurrency.acquire(account)).toBeNull()
+
+    await leases[0].release()
+    await leases[0].release()
+    expect(onRelease).toHaveBeenCalledTimes(1)
+    expect(concurrency.getInflight('a1')).toBe(2)
+    expect(await concurrency.acquire(account)).not.toBeNull()
+    expect(concurrency.getStats()).toMatchObject({ acquired: 4, rejected: 1, released: 1, totalInflight: 3 })
+  })
+
+  it('should share counts through the store', async () => {
+    const store = new MemoryInflightStore()
+    const worker1 = new AccountConcurrency(store, { config: CONFIG })
+    const worker2 = new AccountConcurrency(store, { config: CONFIG })
+
+    await worker1.acquire(account)
+    await worker1.acquire(account)
+    await worker2.refreshCounts({ force: true })
+    expect(worker2.getInflight('a1')).toBe(2)
+    await worker2.acquire(account)
+    expect(await worker1.acquire(account)).toBeNull()
+  })
+
+  it('should let requests through when the store fails', async () => {
+    const store = { acquire: async () => { throw new Error('db down') } }
+    const concurrency = new AccountConcurrency(store, { config: CONFIG })
+
+    const lease = await concurrency.acquire(account)
+    expect(lease).toMatchObject({ leaseId: null, accountId: 'a1' })
+    await lease.release()
+  })
+})
+
+describe('trackAccountInflight', () => {
+  it('should release the request leases when the response closes', () => {
+    const listeners = {}
+    const res = { once: (event, fn) => { listeners[event] = fn } }
+    const release = jest.fn()
+    let context = null
+
+    runWithRequestContext({ apiKeyId: null, groupId: null }, () => {
+      trackAccountInflight()({}, res, () => {
+        context = getRequestContext()
+        context.accountLeases.push({ release })
+      })
+    })
+
+    listeners.close()
+    expect(release).toHaveBeenCalledTimes(1)
+    expect(context.accountLeases).toEqual([])
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * API Key 工具函数测试
+ */
+
+import {
+  generateApiKey,
+  hashApiKey,
+  getDisplayPrefix,
+  isModelAllowed,
+  getRequestedModels,
+  getApiKeyStatus,
+  rowToApiKey,
+  API_KEY_PREFIX
+} from '../api-keys.js'
+
+describe('generateApiKey', () => {
+  it('should generate distinct prefixed keys with a stable hash', () => {
+    const a = generateApiKey()
+    const b = generateApiKey()
+
+    expect(a.startsWith(API_KEY_PREFIX)).toBe(true)
+    expect(a).not.toBe(b)
+    expect(hashApiKey(a)).toMatch(/^[0-9a-f]{64}$/)
+    expect(hashApiKey(a)).toBe(hashApiKey(a))
+    expect(getDisplayPrefix(a)).toHaveLength(12)
+  })
+})
+
+describe('isModelAllowed', () => {
+  it('should allow everything without a list', () => {
+    expect(isModelAllowed(null, 'claude-opus-4-5')).toBe(true)
+    expect(isModelAllowed(['claude-haiku-4-5'], 'claude-opus-4-5')).toBe(false)
+  })
+})
+
+describe('getRequestedModels', () => {
+  it('should use the default model when a generation request omits it', () => {
+    expect(getRequestedModels({ messages: [] })).toEqual(['claude-sonnet-4-5'])
+    expect(getRequestedModels({ model: 'claude-haiku-4-5', prompt: 'hi' })).toEqual(['claude-haiku-4-5'])
+  })
+
+  it('should collect models of batch requests and ignore other bodies', () => {
+    expect(getRequestedModels({
+      requests: [
+        { custom_id: 'a', params: { model: 'claude-haiku-4-5' } },
+        { custom_id: 'b', params: { model: 'claude-haiku-4-5' } },
+        { custom_id: 'c', params: {} }
+      ]
+    })).toEqual(['claude-haiku-4-5', 'claude-sonnet-4-5'])
+    expect(getRequestedModels({})).toEqual([])
+  })
+})
+
+describe('rowToApiKey', () => {
+  const row = {
+    id: 'k1',
+    name: 'CI',
+    group_id: 'g1',
+    key_hash: 'secret-hash',
+    key_prefix: 'sk-kiro-abcd',
+    allowed_models: '["claude-haiku-4-5"]',
+    rate_limit_rpm: 60,
+    expires_at: null,
+    revoked_at: null,
+    created_at: 1,
+    updated_at: 1
+  }
+
+  it('should not expose the hash and report the status', () => {
+    const apiKey = rowToApiKey(row)
+    expect(apiKey).not.toHaveProperty('keyHash')
+    expect(JSON.stringify(apiKey)).not.toContain('secret-hash')
+    expect(apiKey.allowedModels).toEqual(['claude-haiku-4-5'])
+    expect(apiKey.status).toBe('active')
+  })
+
+  it('should report revoked and expired keys', () => {
+    expect(getApiKeyStatus({ ...row, revoked_at: 5 })).toBe('revoked')
+    expect(getApiKeyStatus({ ...row, expires_at: 100 }, 100)).toBe('expired')
+    expect(getApiKeyStatus({ ...row, expires_at: 101 }, 100)).toBe('active')
+  })
+})
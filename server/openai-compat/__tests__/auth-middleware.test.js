@@ -0,0 +1,112 @@
+/**
+ * API Key 认证中间件测试（未配置 DEFAULT_API_KEY）
+ */
+
+import { jest } from '@jest/globals'
+import { hashApiKey } from '../api-keys.js'
+import { createRes } from './fixtures/mocks.js'
+
+process.env.DEFAULT_API_KEY = ''
+const { validateApiKey, clearApiKeyCache, clearGroupApiKeyCache } = await import('../auth-middleware.js')
+const { pool } = await import('../../db/index.js')
+
+const MANAGED_KEY = 'sk-managed-key'
+
+function managedRow(overrides) {
+  return {
+    id: 'k1',
+    name: 'CI',
+    key_prefix: 'sk-manag',
+    key_hash: hashApiKey(MANAGED_KEY),
+    group_id: null,
+    allowed_models: null,
+    rate_limit_rpm: 0,
+    rate_limit_tpm: 0,
+    max_concurrent_streams: 0,
+    revoked_at: null,
+    expires_at: null,
+    ...overrides
+  }
+}
+
+/**
+ * 用内存中的 api_keys / 分组 SK 替换数据库查询
+ */
+function mockTables({ apiKeys = [], groupKeys = [] }) {
+  pool.query = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM api_keys k')) {
+      return [apiKeys.filter(row => row.key_hash === params[0]).map(row => ({ ...row }))]
+    }
+    if (sql.startsWith('SELECT revoked_at, expires_at FROM api_keys')) {
+      return [apiKeys.filter(row => row.id === params[0]).map(({ revoked_at, expires_at }) => ({ revoked_at, expires_at }))]
+    }
+    if (sql === 'SELECT 1 FROM api_keys LIMIT 1') return [apiKeys.map(() => ({ 1: 1 }))]
+    if (sql.includes('FROM `groups` WHERE api_key = ?')) return [groupKeys.filter(row => row.api_key === params[0])]
+    if (sql.includes('FROM `groups` WHERE api_key IS NOT NULL')) return [groupKeys.map(() => ({ 1: 1 }))]
+    if (sql.startsWith('UPDATE api_keys SET last_used_at')) return [{ affectedRows: 1 }]
+    throw new Error(`Unexpected query: ${sql}`)
+  })
+}
+
+async function authenticate(headers = {}) {
+  const req = { headers, cookies: {} }
+  const res = createRes()
+  let passed = false
+  await validateApiKey(req, res, () => { passed = true })
+  return { req, res, passed }
+}
+
+beforeEach(() => {
+  clearApiKeyCache()
+  clearGroupApiKeyCache()
+  jest.spyOn(console, 'log').mockImplementation(() => {})
+  jest.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+// 连接池的空闲连接清理定时器会让 Jest 无法退出
+afterAll(() => pool.end())
+
+describe('validateApiKey without DEFAULT_API_KEY', () => {
+  it('should require a managed key once one exists', async () => {
+    mockTables({ apiKeys: [managedRow()] })
+
+    const missing = await authenticate()
+    expect(missing.passed).toBe(false)
+    expect(missing.res.statusCode).toBe(401)
+    expect(missing.res.body.error.code).toBe('missing_authorization')
+
+    const invalid = await authenticate({ authorization: 'Bearer sk-unknown' })
+    expect(invalid.passed).toBe(false)
+    expect(invalid.res.body.error.code).toBe('invalid_api_key')
+
+    const { req, passed } = await authenticate({ authorization: `Bearer ${MANAGED_KEY}` })
+    expect(passed).toBe(true)
+    expect(req.apiKeyId).toBe('k1')
+  })
+
+  it('should require a key when only group keys exist', async () => {
+    mockTables({ groupKeys: [{ id: 'g1', api_key: 'sk-group' }] })
+
+    const { res, passed } = await authenticate({ 'x-api-key': 'sk-other' })
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(401)
+  })
+
+  it('should skip authentication only when no key is configured anywhere', async () => {
+    mockTables({})
+
+    expect((await authenticate()).passed).toBe(true)
+    expect((await authenticate({ authorization: 'Basic abc' })).passed).toBe(true)
+  })
+
+  it('should reject a cached key revoked by another process', async () => {
+    const row = managedRow()
+    mockTables({ apiKeys: [row] })
+    expect((await authenticate({ authorization: `Bearer ${MANAGED_KEY}` })).passed).toBe(true)
+
+    row.revoked_at = Date.now()
+    const { res, passed } = await authenticate({ authorization: `Bearer ${MANAGED_KEY}` })
+    expect(passed).toBe(false)
+    expect(res.body.error.code).toBe('api_key_revoked')
+  })
+})
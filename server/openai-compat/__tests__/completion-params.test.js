@@ -0,0 +1,150 @@
+/**
+ * OpenAI 采样与长度参数处理测试
+ */
+
+import { parseCompletionParams, checkTextCompletionParams, applyToolChoice, OutputLimiter } from '../completion-params.js'
+
+const tools = [
+  { type: 'function', function: { name: 'get_weather', parameters: {} } },
+  { type: 'function', function: { name: 'get_time', parameters: {} } }
+]
+
+describe('parseCompletionParams', () => {
+  it('should return defaults for a minimal request', () => {
+    const { params, error } = parseCompletionParams({ messages: [] })
+
+    expect(error).toBeUndefined()
+    expect(params).toEqual({
+      maxTokens: null,
+      stop: [],
+      toolChoice: { type: 'auto' },
+      parallelToolCalls: true,
+      ignored: []
+    })
+  })
+
+  it('should prefer max_completion_tokens over max_tokens', () => {
+    const { params } = parseCompletionParams({ max_tokens: 10, max_completion_tokens: 20 })
+    expect(params.maxTokens).toBe(20)
+  })
+
+  it('should reject non-positive max_tokens', () => {
+    const { error } = parseCompletionParams({ max_tokens: 0 })
+    expect(error.param).toBe('max_tokens')
+  })
+
+  it('should normalize a single stop string', () => {
+    expect(parseCompletionParams({ stop: 'END' }).params.stop).toEqual(['END'])
+  })
+
+  it('should reject more than four stop sequences', () => {
+    const { error } = parseCompletionParams({ stop: ['a', 'b', 'c', 'd', 'e'] })
+    expect(error.param).toBe('stop')
+  })
+
+  it('should reject n greater than 1 as unsupported', () => {
+    const { error } = parseCompletionParams({ n: 2 })
+    expect(error).toEqual(expect.objectContaining({ param: 'n', code: 'unsupported_parameter' }))
+  })
+
+  it('should reject out-of-range temperature and top_p', () => {
+    expect(parseCompletionParams({ temperature: 3 }).error.param).toBe('temperature')
+    expect(parseCompletionParams({ top_p: -0.1 }).error.param).toBe('top_p')
+  })
+
+  it('should list valid temperature and top_p as ignored', () => {
+    const { params } = parseCompletionParams({ temperature: 0.2, top_p: 0.9 })
+    expect(params.ignored).toEqual(['temperature', 'top_p'])
+  })
+
+  it('should validate tool_choice against declared tools', () => {
+    expect(parseCompletionParams({ tool_choice: 'required' }).error.param).toBe('tool_choice')
+    expect(parseCompletionParams({
+      tools,
+      tool_choice: { type: 'function', function: { name: 'missing' } }
+    }).error.param).toBe('tool_choice')
+    expect(parseCompletionParams({
+      tools,
+      tool_choice: { type: 'function', function: { name: 'get_time' } }
+    }).params.toolChoice).toEqual({ type: 'function', name: 'get_time' })
+  })
+
+  it('should read parallel_tool_calls=false', () => {
+    expect(parseCompletionParams({ parallel_tool_calls: false }).params.parallelToolCalls).toBe(false)
+    expect(parseCompletionParams({ parallel_tool_calls: 'no' }).error.param).toBe('parallel_tool_calls')
+  })
+})
+
+describe('checkTextCompletionParams', () => {
+  it('should accept echo and best_of=1', () => {
+    expect(checkTextCompletionParams({ prompt: 'a', echo: true, best_of: 1 })).toBeNull()
+  })
+
+  it('should reject parameters Kiro cannot honor', () => {
+    expect(checkTextCompletionParams({ suffix: 'end' }).param).toBe('suffix')
+    expect(checkTextCompletionParams({ logprobs: 2 }).code).toBe('unsupported_parameter')
+    expect(checkTextCompletionParams({ best_of: 3 }).param).toBe('best_of')
+    expect(checkTextCompletionParams({ echo: 'yes' }).param).toBe('echo')
+  })
+})
+
+describe('applyToolChoice', () => {
+  it('should drop tools for none', () => {
+    expect(applyToolChoice(tools, 'sys', { type: 'none' })).toEqual({ tools: undefined, systemPrompt: 'sys' })
+  })
+
+  it('should keep only the named tool and add a hint', () => {
+    const result = applyToolChoice(tools, null, { type: 'function', name: 'get_weather' })
+    expect(result.tools).toEqual([tools[0]])
+    expect(result.systemPrompt).toContain('"get_weather"')
+  })
+
+  it('should leave auto unchanged', () => {
+    expect(applyToolChoice(tools, 'sys', { type: 'auto' })).toEqual({ tools, systemPrompt: 'sys' })
+  })
+})
+
+describe('OutputLimiter', () => {
+  it('should pass text through without limits', () => {
+    const limiter = new OutputLimiter()
+    expect(limiter.push('hello ') + limiter.push('world') + limiter.flush()).toBe('hello world')
+    expect(limiter.finishReason).toBeNull()
+  })
+
+  it('should cut at a stop sequence split across chunks', () => {
+    const limiter = new OutputLimiter({ stop: ['<END>'] })
+    const out = limiter.push('answer is 42<E') + limiter.push('ND> trailing') + limiter.flush()
+
+    expect(out).toBe('answer is 42')
+    expect(limiter.finishReason).toBe('stop')
+    expect(limiter.push('more')).toBe('')
+  })
+
+  it('should use the earliest of several stop sequences', () => {
+    const limiter = new OutputLimiter({ stop: ['\n\n', 'STOP'] })
+    expect(limiter.push('one STOP two\n\nthree')).toBe('one ')
+  })
+
+  it('should truncate at max tokens with finish_reason length', () => {
+    const limiter = new OutputLimiter({ maxTokens: 2 })
+    const out = limiter.push('abcdef') + limiter.push('ghijkl') + limiter.flush()
+
+    expect(out).toBe('abcdefgh')
+    expect(limiter.finishReason).toBe('length')
+  })
+
+  it('should not report length when the output ends exactly at the limit', () => {
+    const limiter = new OutputLimiter({ maxTokens: 2 })
+    expect(limiter.push('abcdefgh') + limiter.flush()).toBe('abcdefgh')
+    expect(limiter.finishReason).toBeNull()
+
+    expect(limiter.push('i')).toBe('')
+    expect(limiter.finishReason).toBe('length')
+  })
+
+  it('should report stop when the stop sequence falls within the limit', () => {
+    const limiter = new OutputLimiter({ stop: ['X'], maxTokens: 10 })
+    expect(limiter.push('abcX')).toBe('abc')
+    expect(limiter.finishReason).toBe('stop')
+  })
+})
@@ -0,0 +1,47 @@
+/**
+ * 中间件和请求执行测试共用的 Express 响应与账号池替身
+ */
+
+import { EventEmitter } from 'events'
+import { jest } from '@jest/globals'
+
+/**
+ * 创建记录状态码、响应头和 JSON 响应体的 Express 响应替身
+ * 可以 emit('close') 模拟客户端断开
+ * @returns {EventEmitter} res，带 statusCode / headers / body
+ */
+export function createRes() {
+  const res = new EventEmitter()
+  res.headers = {}
+  res.statusCode = 200
+  res.body = null
+  res.set = (name, value) => {
+    if (typeof name === 'object') Object.assign(res.headers, name)
+    else res.headers[name] = value
+    return res
+  }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.body = body; return res }
+  return res
+}
+
+/**
+ * 创建账号池替身，getNextAccount 依次轮换 accounts
+ * @param {Array<Object>} accounts - 可选账号
+ * @param {Object} [overrides] - 覆盖或追加的方法和属性
+ * @returns {Object} 方法均为 jest.fn 的账号池
+ */
+export function createAccountPool(accounts, overrides = {}) {
+  let next = 0
+  return {
+    getNextAccount: jest.fn(async () => accounts[next++ % accounts.length]),
+    getAccountById: jest.fn(async (id) => accounts.find(a => a.id === id) || null),
+    getAvailableAccounts: jest.fn(async () => accounts),
+    markAccountQuotaExhausted: jest.fn(),
+    markAccountError: jest.fn(async () => {}),
+    banAccount: jest.fn(async () => {}),
+    backoffAccount: jest.fn(() => 5000),
+    incrementApiCall: jest.fn(async () => {}),
+    ...overrides
+  }
+}
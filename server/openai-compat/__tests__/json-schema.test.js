@@ -0,0 +1,73 @@
+/**
+ * JSON Schema 校验测试
+ */
+
+import { validateJsonSchema, checkJsonSchema } from '../json-schema.js'
+
+const personSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    role: { enum: ['admin', 'user'] },
+    address: { $ref: '#/$defs/address' }
+  },
+  required: ['name', 'age'],
+  additionalProperties: false,
+  $defs: {
+    address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+  }
+}
+
+describe('validateJsonSchema', () => {
+  it('should accept a matching value', () => {
+    expect(validateJsonSchema({ name: 'Ann', age: 3, tags: ['a'], role: 'user', address: { city: 'X' } }, personSchema)).toEqual([])
+  })
+
+  it('should report missing, extra and mistyped properties with paths', () => {
+    const errors = validateJsonSchema({ age: 1.5, extra: true, address: {} }, personSchema)
+
+    expect(errors).toEqual(expect.arrayContaining([
+      "$: missing required property 'name'",
+      '$.age: expected integer, got number',
+      "$: unexpected property 'extra'",
+      "$.address: missing required property 'city'"
+    ]))
+  })
+
+  it('should check array, enum and string constraints', () => {
+    const errors = validateJsonSchema({ name: '', age: 1, tags: ['a', 'b', 'c'], role: 'root' }, personSchema)
+
+    expect(errors).toHaveLength(3)
+  })
+
+  it('should skip unsafe patterns and oversized strings instead of running them', () => {
+    const evil = 'a'.repeat(40) + '!'
+    expect(validateJsonSchema(evil, { type: 'string', pattern: '^(a+)+$' })).toEqual([])
+    expect(validateJsonSchema('x'.repeat(10001), { type: 'string', pattern: '^y' })).toEqual([])
+    expect(validateJsonSchema('x', { type: 'string', pattern: '^y' })).toHaveLength(1)
+  })
+
+  it('should support nullable types and anyOf / oneOf', () => {
+    expect(validateJsonSchema(null, { type: ['string', 'null'] })).toEqual([])
+    expect(validateJsonSchema(5, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toEqual([])
+    expect(validateJsonSchema(5, { oneOf: [{ type: 'number' }, { type: 'integer' }] })).toHaveLength(1)
+  })
+})
+
+describe('checkJsonSchema', () => {
+  it('should reject unresolvable refs and invalid patterns', () => {
+    expect(checkJsonSchema(personSchema)).toBeNull()
+    expect(checkJsonSchema({ $ref: '#/$defs/missing' })).toContain('Cannot resolve')
+    expect(checkJsonSchema({ type: 'string', pattern: '(' })).not.toBeNull()
+    expect(checkJsonSchema('string')).not.toBeNull()
+  })
+
+  it('should reject patterns prone to catastrophic backtracking', () => {
+    expect(checkJsonSchema({ type: 'string', pattern: '^(a+)+$' })).toContain('nested quantifiers')
+    expect(checkJsonSchema({ type: 'string', pattern: '^((\\w*)\\d)*$' })).toContain('nested quantifiers')
+    expect(checkJsonSchema({ type: 'string', pattern: 'a'.repeat(201) })).toContain('at most')
+    expect(checkJsonSchema({ type: 'string', pattern: '^[a-z(+)]+(-[a-z]+)?\\d{2,4}$' })).toBeNull()
+  })
+})
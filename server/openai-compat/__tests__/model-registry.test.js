@@ -0,0 +1,115 @@
+/**
+ * 模型注册表测试
+ */
+
+import {
+  buildSnapshot,
+  resolveModel,
+  listAvailableModels,
+  resolveRequestModel,
+  ModelRegistry
+} from '../model-registry.js'
+import KiroClient from '../../kiro/kiro-client.js'
+import { MODEL_MAPPING } from '../../kiro/constants.js'
+import { createRes } from './fixtures/mocks.js'
+
+const MODEL_ROWS = [
+  { id: 'claude-sonnet-4-5', kiro_model_id: 'SONNET', max_output_tokens: 32000, is_default: 1, enabled: 1 },
+  { id: 'claude-haiku-4-5', kiro_model_id: 'HAIKU', max_output_tokens: 8000, is_default: 0, enabled: 1 },
+  { id: 'claude-opus-4-5', kiro_model_id: 'OPUS', max_output_tokens: 0, is_default: 0, enabled: 0 }
+]
+const ALIAS_ROWS = [
+  { alias: 'gpt-4o', model_id: 'claude-sonnet-4-5' },
+  { alias: 'gpt-4o-mini', model_id: 'claude-haiku-4-5' }
+]
+
+const snapshot = buildSnapshot(MODEL_ROWS, ALIAS_ROWS)
+
+describe('resolveModel', () => {
+  it('should resolve aliases and fall back to group and registry defaults', () => {
+    expect(resolveModel(snapshot, 'gpt-4o').model.id).toBe('claude-sonnet-4-5')
+    expect(resolveModel(snapshot, undefined).model.id).toBe('claude-sonnet-4-5')
+    expect(resolveModel(snapshot, undefined, { defaultModel: 'gpt-4o-mini' }).model.id).toBe('claude-haiku-4-5')
+  })
+
+  it('should report unknown and disabled models as model_not_found', () => {
+    expect(resolveModel(snapshot, 'gpt-5').error.code).toBe('model_not_found')
+    expect(resolveModel(snapshot, 'claude-opus-4-5').error.code).toBe('model_not_found')
+  })
+
+  it('should apply key and group allow-lists by model or alias', () => {
+    expect(resolveModel(snapshot, 'gpt-4o', { allowedModels: ['claude-sonnet-4-5'] }).model.id).toBe('claude-sonnet-4-5')
+    expect(resolveModel(snapshot, 'claude-haiku-4-5', { groupAllowedModels: ['gpt-4o-mini'] }).error).toBeUndefined()
+    expect(resolveModel(snapshot, 'claude-haiku-4-5', { groupAllowedModels: ['claude-sonnet-4-5'] }).error).toEqual({
+      code: 'model_not_allowed',
+      message: "Model 'claude-haiku-4-5' is not allowed for this group"
+    })
+  })
+})
+
+describe('listAvailableModels', () => {
+  it('should list enabled models and aliases the caller may use', () => {
+    const ids = listAvailableModels(snapshot, { groupAllowedModels: ['claude-sonnet-4-5'] }).map(({ id }) => id)
+    expect(ids).toEqual(['claude-sonnet-4-5', 'gpt-4o'])
+  })
+})
+
+// 未初始化注册表时中间件使用内置模型和别名
+describe('resolveRequestModel', () => {
+  it('should rewrite aliases in the request body', async () => {
+    const req = { body: { model: 'gpt-4o', messages: [] } }
+    let passed = false
+    resolveRequestModel('openai')(req, createRes(), () => { passed = true })
+
+    expect(passed).toBe(true)
+    expect(req.body.model).toBe('claude-sonnet-4-5')
+  })
+
+  it('should return model_not_found in the OpenAI and Claude formats', () => {
+    const openai = createRes()
+    resolveRequestModel('openai')({ body: { model: 'nope' } }, openai, () => {})
+    expect(openai.statusCode).toBe(404)
+    expect(openai.body.error).toEqual(expect.objectContaining({ type: 'invalid_request_error', code: 'model_not_found' }))
+
+    const claude = createRes()
+    resolveRequestModel('claude')({ body: { model: 'nope' } }, claude, () => {})
+    expect(claude.statusCode).toBe(404)
+    expect(claude.body).toEqual({ type: 'error', error: expect.objectContaining({ type: 'not_found_error' }) })
+  })
+
+  it('should check every batch request and the model output limit', () => {
+    const res = createRes()
+    resolveRequestModel('claude')({
+      allowedModels: ['claude-haiku-4-5'],
+      body: { requests: [{ custom_id: 'a', params: { model: 'claude-haiku-4-5', max_tokens: 64000 } }] }
+    }, res, () => {})
+
+    expect(res.statusCode).toBe(400)
+    expect(res.body.error.type).toBe('invalid_request_error')
+    expect(res.body.error.message).toMatch(/^requests\[a\]: max_tokens: 64000 > /)
+  })
+})
+
+describe('ModelRegistry', () => {
+  afterEach(() => {
+    KiroClient.setModelMapping(MODEL_MAPPING)
+  })
+
+  it('should load models from the database and update the Kiro model mapping', async () => {
+    const pool = {
+      query: async (sql) => [sql.includes('model_aliases') ? ALIAS_ROWS : MODEL_ROWS]
+    }
+    const registry = new ModelRegistry(pool)
+    await registry.refresh()
+
+    expect(registry.snapshot.aliases.get('gpt-4o-mini')).toBe('claude-haiku-4-5')
+    expect(KiroClient.getModelMapping()['claude-haiku-4-5']).toBe('HAIKU')
+  })
+
+  it('should keep the current snapshot when loading fails', async () => {
+    const registry = new ModelRegistry({ query: async () => { throw new Error('db down') } })
+    const before = registry.snapshot
+    await registry.refresh()
+    expect(registry.snapshot).toBe(before)
+  })
+})
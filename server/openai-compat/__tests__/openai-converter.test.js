@@ -0,0 +1,64 @@
+/**
+ * OpenAI 消息格式转换测试
+ */
+
+import { convertPrompt } from '../openai-converter.js'
+import {
+  buildTextCompletion,
+  buildTextCompletionChunk,
+  buildStreamChunk,
+  buildToolCallChunk,
+  buildUsageChunk,
+  buildUsage,
+  createChatCompletionId
+} from '../openai-response.js'
+
+describe('convertPrompt', () => {
+  it('should accept a string prompt', () => {
+    expect(convertPrompt('Say hi')).toEqual({ prompt: 'Say hi' })
+  })
+
+  it('should join an array of strings into one prompt', () => {
+    expect(convertPrompt(['line one', 'line two'])).toEqual({ prompt: 'line one\nline two' })
+  })
+
+  it('should reject token arrays and missing prompts', () => {
+    expect(convertPrompt([[1, 2, 3]]).error.code).toBe('unsupported_parameter')
+    expect(convertPrompt(undefined).error.param).toBe('prompt')
+    expect(convertPrompt('').error.param).toBe('prompt')
+  })
+})
+
+describe('text completion builders', () => {
+  it('should build a text_completion object', () => {
+    const completion = buildTextCompletion('hello', 'claude-sonnet-4-5', 3, 2, 'length')
+
+    expect(completion.object).toBe('text_completion')
+    expect(completion.id).toMatch(/^cmpl-/)
+    expect(completion.choices).toEqual([{ text: 'hello', index: 0, logprobs: null, finish_reason: 'length' }])
+    expect(completion.usage).toEqual({ prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 })
+  })
+
+  it('should build SSE chunks sharing the completion id', () => {
+    const chunk = JSON.parse(buildTextCompletionChunk('cmpl-1', 'hi', 'm').slice('data: '.length))
+
+    expect(chunk).toEqual(expect.objectContaining({ id: 'cmpl-1', object: 'text_completion' }))
+    expect(chunk.choices[0]).toEqual({ text: 'hi', index: 0, logprobs: null, finish_reason: null })
+  })
+})
+
+describe('chat completion stream builders', () => {
+  it('should give every chunk of a stream, including usage, the same id', () => {
+    const id = createChatCompletionId()
+    const chunks = [
+      buildStreamChunk('hi', 'm', null, 'content', true, id),
+      buildToolCallChunk('call_1', 'get_weather', { city: 'Paris' }, 'm', false, id),
+      buildStreamChunk('', 'm', 'tool_calls', 'content', false, id),
+      buildUsageChunk(id, 'm', buildUsage(3, 2))
+    ].map(chunk => JSON.parse(chunk.slice('data: '.length)))
+
+    expect(id).toMatch(/^chatcmpl-/)
+    expect(chunks.map(chunk => chunk.id)).toEqual([id, id, id, id])
+    expect(chunks[3]).toEqual(expect.objectContaining({ choices: [], usage: expect.objectContaining({ total_tokens: 5 }) }))
+  })
+})
@@ -0,0 +1,133 @@
+/**
+ * API Key / 分组配额测试
+ */
+
+import { QuotaManager, enforceQuota, getPeriodRange, getBeijingDay } from '../quota-manager.js'
+import { AlertType, AlertSeverity } from '../system-logger.js'
+import { createRes } from './fixtures/mocks.js'
+
+// 2026-03-31 23:30 北京时间
+const NOW = Date.UTC(2026, 2, 31, 15, 30)
+
+/**
+ * 内存版连接池，只实现 QuotaManager 用到的查询
+ */
+function createPool(quotaRows = []) {
+  const usage = new Map()
+  return {
+    usage,
+    async query(sql, params) {
+      if (sql.startsWith('SELECT * FROM quotas')) {
+        return [quotaRows.filter(row => row.scope_type === params[0] && row.scope_id === params[1])]
+      }
+      if (sql.startsWith('INSERT INTO quota_usage')) {
+        const [id, scope, day, tokens, credits] = params
+        const row = usage.get(id) || { scope, day, requests: 0, tokens: 0, credits: 0 }
+        usage.set(id, { ...row, requests: row.requests + 1, tokens: row.tokens + tokens, credits: row.credits + credits })
+        return [{ affectedRows: 1 }]
+      }
+      if (sql.includes('FROM quota_usage')) {
+        const [scope, start, end] = params
+        const total = { requests: 0, tokens: 0, credits: 0 }
+        for (const row of usage.values()) {
+          if (row.scope !== scope || row.day < start || row.day > end) continue
+          total.requests += row.requests
+          total.tokens += row.tokens
+          total.credits += row.credits
+        }
+        return [[total]]
+      }
+      throw new Error(`Unexpected query: ${sql}`)
+    }
+  }
+}
+
+function quotaRow(overrides) {
+  return {
+    id: 'q1',
+    scope_type: 'api_key',
+    scope_id: 'k1',
+    period: 'day',
+    metric: 'requests',
+    limit_value: '2.0000',
+    warn_percent: 50,
+    hard_limit: 1,
+    ...overrides
+  }
+}
+
+describe('getPeriodRange', () => {
+  it('should use Beijing calendar days and months', () => {
+    expect(getBeijingDay(NOW)).toBe('2026-03-31')
+    expect(getPeriodRange('day', NOW)).toEqual({
+      start: '2026-03-31',
+      end: '2026-03-31',
+      resetsAt: Date.UTC(2026, 2, 31, 16)
+    })
+    expect(getPeriodRange('month', NOW)).toEqual({
+      start: '2026-03-01',
+      end: '2026-03-31',
+      resetsAt: Date.UTC(2026, 2, 31, 16)
+    })
+  })
+})
+
+describe('QuotaManager', () => {
+  it('should block requests once a hard quota is used up', async () => {
+    const manager = new QuotaManager(createPool([quotaRow()]), null, { now: () => NOW })
+    const middleware = enforceQuota('openai', manager)
+    const req = { apiKeyId: 'k1', groupId: null }
+
+    await manager.record({ apiKeyId: 'k1', groupId: null, tokens: 10 })
+    let passed = false
+    await middleware(req, createRes(), () => { passed = true })
+    expect(passed).toBe(true)
+
+    await manager.record({ apiKeyId: 'k1', groupId: null, tokens: 10 })
+    const res = createRes()
+    passed = false
+    await middleware(req, res, () => { passed = true })
+
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(429)
+    expect(res.headers['retry-after']).toBe(String(30 * 60))
+    expect(res.body.error).toEqual(expect.objectContaining({ type: 'insufficient_quota', code: 'quota_exceeded' }))
+  })
+
+  it('should apply group quotas with the Claude error format', async () => {
+    const pool = createPool([quotaRow({ scope_type: 'group', scope_id: 'g1', period: 'month', metric: 'credits', limit_value: '1' })])
+    const manager = new QuotaManager(pool, null, { now: () => NOW })
+
+    await manager.record({ apiKeyId: 'k1', groupId: 'g1', credits: 1.5 })
+    const res = createRes()
+    await enforceQuota('claude', manager)({ apiKeyId: 'k2', groupId: 'g1' }, res, () => {})
+
+    expect(res.statusCode).toBe(429)
+    expect(res.body).toEqual({ type: 'error', error: expect.objectContaining({ type: 'rate_limit_error' }) })
+    expect(pool.usage.get('api_key:k1|2026-03-31').credits).toBe(1.5)
+  })
+
+  it('should only warn for soft quotas and alert once per level', async () => {
+    const alerts = []
+    const systemLogger = { logAlert: async (alert) => { alerts.push(alert) } }
+    const manager = new QuotaManager(createPool([quotaRow({ hard_limit: 0 })]), systemLogger, { now: () => NOW })
+
+    for (let i = 0; i < 4; i++) {
+      await manager.record({ apiKeyId: 'k1', groupId: null })
+    }
+
+    expect(await manager.check({ apiKeyId: 'k1', groupId: null })).toBeNull()
+    expect(alerts.map(alert => [alert.alertType, alert.severity])).toEqual([
+      [AlertType.QUOTA_WARNING, AlertSeverity.WARNING],
+      [AlertType.QUOTA_EXCEEDED, AlertSeverity.CRITICAL]
+    ])
+    expect(alerts[1].currentValue).toBe(2)
+  })
+
+  it('should let requests through when the quota lookup fails', async () => {
+    const manager = new QuotaManager({ query: async () => { throw new Error('db down') } })
+    let passed = false
+    await enforceQuota('openai', manager)({ apiKeyId: 'k1' }, createRes(), () => { passed = true })
+    expect(passed).toBe(true)
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * API Key / 分组限流测试
+ */
+
+import { RateLimiter, MemoryRateLimitStore, rateLimit, recordTokenUsage } from '../rate-limiter.js'
+import { createRes } from './fixtures/mocks.js'
+
+const NO_KEY_LIMITS = { rpm: 0, tpm: 0, maxStreams: 0 }
+
+function createLimiter(keyLimits = NO_KEY_LIMITS, now = () => 30 * 1000) {
+  return new RateLimiter(new MemoryRateLimitStore(), { keyLimits, now })
+}
+
+async function run(middleware, req) {
+  const res = createRes()
+  let passed = false
+  await middleware(req, res, () => { passed = true })
+  return { res, passed }
+}
+
+describe('RateLimiter', () => {
+  it('should reject requests over the per-key RPM with retry-after', async () => {
+    const limiter = createLimiter({ rpm: 2, tpm: 0, maxStreams: 0 })
+    const middleware = rateLimit('openai', limiter)
+    const req = { apiKeyId: 'k1', body: {} }
+
+    const first = await run(middleware, req)
+    expect(first.passed).toBe(true)
+    expect(first.res.headers['x-ratelimit-remaining-requests']).toBe('1')
+    expect(first.res.headers['x-ratelimit-reset-requests']).toBe('30s')
+
+    await run(middleware, req)
+    const third = await run(middleware, req)
+    expect(third.passed).toBe(false)
+    expect(third.res.statusCode).toBe(429)
+    expect(third.res.headers['retry-after']).toBe('30')
+    expect(third.res.body.error).toEqual(expect.objectContaining({ type: 'rate_limit_error', code: 'rate_limit_exceeded' }))
+  })
+
+  it('should count keys separately and skip requests without an API key', async () => {
+    const middleware = rateLimit('openai', createLimiter({ rpm: 1, tpm: 0, maxStreams: 0 }))
+
+    expect((await run(middleware, { apiKeyId: 'k1', body: {} })).passed).toBe(true)
+    expect((await run(middleware, { apiKeyId: 'k2', body: {} })).passed).toBe(true)
+    expect((await run(middleware, { body: {} })).passed).toBe(true)
+    expect((await run(middleware, { apiKeyId: 'k1', body: {} })).passed).toBe(false)
+  })
+
+  it('should apply group limits and refund the key counter when the group is over', async () => {
+    const limiter = createLimiter({ rpm: 10, tpm: 0, maxStreams: 0 })
+    const middleware = rateLimit('claude', limiter)
+    const groupLimits = { rpm: 1, tpm: 0, maxStreams: 0 }
+
+    await run(middleware, { apiKeyId: 'k1', groupId: 'g1', groupLimits, body: {} })
+    const { res, passed } = await run(middleware, { apiKeyId: 'k2', groupId: 'g1', groupLimits, body: {} })
+
+    expect(passed).toBe(false)
+    expect(res.body).toEqual({ type: 'error', error: expect.objectContaining({ type: 'rate_limit_error' }) })
+    const counter = limiter.store.getCounter('key:k2', 0)
+    expect(counter.requests).toBe(0)
+  })
+
+  it('should limit concurrent streams until the response closes', async () => {
+    const middleware = rateLimit('openai', createLimiter({ rpm: 0, tpm: 0, maxStreams: 1 }))
+    const req = { apiKeyId: 'k1', body: { stream: true } }
+
+    const first = await run(middleware, req)
+    expect(first.passed).toBe(true)
+    expect((await run(middleware, { apiKeyId: 'k1', body: {} })).passed).toBe(true)
+
+    const second = await run(middleware, req)
+    expect(second.res.statusCode).toBe(429)
+    expect(second.res.body.error.code).toBe('concurrency_limit_exceeded')
+
+    first.res.emit('close')
+    await new Promise(resolve => setImmediate(resolve))
+    expect((await run(middleware, req)).passed).toBe(true)
+  })
+
+  it('should record token usage from within the request and enforce TPM', async () => {
+    const limiter = createLimiter({ rpm: 0, tpm: 100, maxStreams: 0 })
+    const middleware = rateLimit('openai', limiter)
+    const req = { apiKeyId: 'k1', body: {} }
+
+    await middleware(req, createRes(), () => {
+      recordTokenUsage(150)
+    })
+    await new Promise(resolve => setImmediate(resolve))
+
+    const { res, passed } = await run(middleware, req)
+    expect(passed).toBe(false)
+    expect(res.headers['x-ratelimit-remaining-tokens']).toBe('0')
+    expect(res.body.error.message).toContain('tokens per minute')
+  })
+
+  it('should ignore token usage outside a rate limited request', () => {
+    expect(() => recordTokenUsage(100)).not.toThrow()
+  })
+
+  it('should clean up old windows and expired leases', async () => {
+    const store = new MemoryRateLimitStore()
+    await store.consumeRequest('key:k1', 0, { rpm: 1, tpm: 0 })
+    await store.acquireLease('key:k1', 1, 1000)
+
+    expect(await store.cleanup(Date.now() + 5 * 60 * 1000)).toBe(2)
+  })
+})
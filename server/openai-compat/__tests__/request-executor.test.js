@@ -0,0 +1,148 @@
+/**
+ * 账号选择与换号重试测试
+ */
+
+import { jest } from '@jest/globals'
+import {
+  selectAccount,
+  executeWithAccountRetry,
+  primeStream,
+  recordAccountFailure,
+  buildUpstreamErrorResponse
+} from '../request-executor.js'
+import { classifyChatError, createUpstreamError } from '../../utils/upstream-errors.js'
+import { createAccountPool as createPool } from './fixtures/mocks.js'
+
+const a1 = { id: 'a1', email: 'a1@test', groupId: 'g1' }
+const a2 = { id: 'a2', email: 'a2@test', groupId: 'g1' }
+
+describe('selectAccount', () => {
+  it('should reject a pinned account outside the key group', async () => {
+    const pool = createPool([a1])
+    const { error } = await selectAccount(pool, { accountId: 'a1', groupId: 'g2' })
+    expect(error).toEqual(expect.objectContaining({ status: 403, code: 'account_not_in_group' }))
+  })
+
+  it('should report an empty pool as 503', async () => {
+    const pool = createPool([a1])
+    pool.getNextAccount.mockRejectedValue(new Error('No available accounts'))
+    const { error } = await selectAccount(pool, {})
+    expect(error).toEqual(expect.objectContaining({ status: 503, code: 'no_available_accounts' }))
+  })
+})
+
+describe('executeWithAccountRetry', () => {
+  it('should switch accounts after a quota error', async () => {
+    const pool = createPool([a2])
+    const ctx = { account: a1, groupId: 'g1', pinned: false, retryCount: 0 }
+    const execute = jest.fn(async (account) => {
+      if (account.id === 'a1') throw new Error('HTTP 402 Payment Required')
+      return 'ok'
+    })
+
+    await expect(executeWithAccountRetry(pool, ctx, execute)).resolves.toBe('ok')
+    expect(pool.markAccountQuotaExhausted).toHaveBeenCalledWith('a1', expect.any(String))
+    expect(ctx.account).toBe(a2)
+    expect(ctx.retryCount).toBe(1)
+  })
+
+  it('should not switch pinned accounts or retry other errors', async () => {
+    const pool = createPool([a2])
+    const pinned = { account: a1, groupId: null, pinned: true, retryCount: 0 }
+    await expect(executeWithAccountRetry(pool, pinned, async () => { throw new Error('TOKEN_EXPIRED') }))
+      .rejects.toThrow('TOKEN_EXPIRED')
+
+    const ctx = { account: a1, groupId: null, pinned: false, retryCount: 0 }
+    await expect(executeWithAccountRetry(pool, ctx, async () => { throw new Error('Bad request') }))
+      .rejects.toThrow('Bad request')
+    expect(pool.getNextAccount).not.toHaveBeenCalled()
+  })
+
+  it('should retry a stream whose first event fails', async () => {
+    const pool = createPool([a2])
+    const ctx = { account: a1, groupId: null, pinned: false, retryCount: 0 }
+    async function* streamFor(account) {
+      if (account.id === 'a1') throw new Error('TOKEN_EXPIRED')
+      yield { type: 'content', content: 'hi' }
+    }
+
+    const stream = await executeWithAccountRetry(pool, ctx, (account) => primeStream(streamFor(account)))
+    const events = []
+    for await (const event of stream) events.push(event)
+
+    expect(events).toEqual([{ type: 'content', content: 'hi' }])
+    expect(pool.markAccountError).toHaveBeenCalledWith('a1')
+  })
+})
+
+describe('recordAccountFailure', () => {
+  it('should ban accounts on banned errors', async () => {
+    const pool = createPool([a1])
+    await expect(recordAccountFailure(pool, a1, new Error('BANNED:TEMPORARILY_SUSPENDED'))).resolves.toBe('account_banned')
+    expect(pool.banAccount).toHaveBeenCalledWith('a1', 'BANNED:TEMPORARILY_SUSPENDED')
+  })
+})
+
+describe('upstream error classification', () => {
+  it('should classify chat errors by status, upstream type and message', () => {
+    expect(classifyChatError(new Error('API call failed: 429 - Too many requests'))).toBe('throttled')
+    expect(classifyChatError(new Error('API call failed: 400 - ThrottlingException: Rate exceeded'))).toBe('throttled')
+    expect(classifyChatError(new Error('API call failed: 402 - Payment Required'))).toBe('quota_exhausted')
+    expect(classifyChatError(new Error('API call failed: 403 - BANNED:TEMPORARILY_SUSPENDED'))).toBe('banned')
+    expect(classifyChatError(new Error('API call failed: 400 - Invalid model. Please select a different model'))).toBe('invalid_model')
+    expect(classifyChatError(new Error('API call failed: 400 - Input is too long.'))).toBe('content_too_long')
+    expect(classifyChatError(new Error('TOKEN_EXPIRED'))).toBe('auth')
+    expect(classifyChatError(new Error('API call failed: 502 - Bad Gateway'))).toBe('transient')
+    expect(classifyChatError(new Error('Bad request'))).toBe('unknown')
+  })
+
+  it('should read the upstream type and Retry-After header', () => {
+    const response = { status: 400, headers: new Map([['retry-after', '3']]) }
+    const error = createUpstreamError('API call failed: 400 - Rate exceeded', response, '{"__type":"com.amazon#ThrottlingException"}')
+    expect(error).toEqual(expect.objectContaining({ status: 400, upstreamType: 'ThrottlingException', retryAfterMs: 3000 }))
+    expect(classifyChatError(error)).toBe('throttled')
+  })
+})
+
+describe('throttling and client errors', () => {
+  it('should back off a throttled account and switch', async () => {
+    const pool = createPool([a2])
+    const ctx = { account: a1, groupId: 'g1', pinned: false, retryCount: 0 }
+    const throttled = Object.assign(new Error('API call failed: 429 - Too many requests'), { retryAfterMs: 2000 })
+    const execute = jest.fn(async (account) => {
+      if (account.id === 'a1') throw throttled
+      return 'ok'
+    })
+
+    await expect(executeWithAccountRetry(pool, ctx, execute)).resolves.toBe('ok')
+    expect(pool.backoffAccount).toHaveBeenCalledWith('a1', { reason: throttled.message, retryAfterMs: 2000 })
+    expect(pool.markAccountError).not.toHaveBeenCalled()
+    expect(ctx.account).toBe(a2)
+  })
+
+  it('should not retry or mark accounts for bad input', async () => {
+    const pool = createPool([a2])
+    const ctx = { account: a1, groupId: 'g1', pinned: false, retryCount: 0 }
+    const error = new Error('API call failed: 400 - Input is too long.')
+
+    await expect(executeWithAccountRetry(pool, ctx, async () => { throw error })).rejects.toBe(error)
+    await expect(recordAccountFailure(pool, a1, error)).resolves.toBe('content_too_long')
+    expect(pool.getNextAccount).not.toHaveBeenCalled()
+    expect(pool.markAccountError).not.toHaveBeenCalled()
+    expect(buildUpstreamErrorResponse(error)).toEqual({
+      status: 400,
+      body: { error: { message: error.message, type: 'invalid_request_error', code: 'context_length_exceeded' } }
+    })
+  })
+
+  it('should not back off twice when no other account is available', async () => {
+    const pool = createPool([a1])
+    const ctx = { account: a1, groupId: 'g1', pinned: false, retryCount: 0 }
+    const error = new Error('API call failed: 429 - Too many requests')
+
+    await expect(executeWithAccountRetry(pool, ctx, async () => { throw error })).rejects.toBe(error)
+    await expect(recordAccountFailure(pool, ctx.account, error)).resolves.toBe('throttled')
+    expect(pool.backoffAccount).toHaveBeenCalledTimes(1)
+    expect(buildUpstreamErrorResponse(error).status).toBe(429)
+  })
+})
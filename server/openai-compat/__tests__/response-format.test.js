@@ -0,0 +1,123 @@
+/**
+ * response_format 处理测试
+ */
+
+import {
+  parseResponseFormat,
+  applyResponseFormat,
+  extractJsonText,
+  validateJsonOutput,
+  executeWithJsonValidation,
+  parseJsonOutputMaxRetries
+} from '../response-format.js'
+
+const schemaFormat = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'answer',
+    schema: { type: 'object', properties: { value: { type: 'number' } }, required: ['value'] }
+  }
+}
+
+describe('parseResponseFormat', () => {
+  it('should default to text', () => {
+    expect(parseResponseFormat({}).responseFormat).toEqual({ type: 'text' })
+  })
+
+  it('should parse json_schema formats', () => {
+    const { responseFormat } = parseResponseFormat({ response_format: schemaFormat })
+    expect(responseFormat).toEqual(expect.objectContaining({ type: 'json_schema', name: 'answer' }))
+  })
+
+  it('should reject unknown types and bad schema names', () => {
+    expect(parseResponseFormat({ response_format: { type: 'xml' } }).error.param).toBe('response_format.type')
+    expect(parseResponseFormat({
+      response_format: { type: 'json_schema', json_schema: { name: 'has space', schema: {} } }
+    }).error.param).toBe('response_format.json_schema.name')
+  })
+})
+
+describe('applyResponseFormat', () => {
+  it('should append the schema to the system prompt', () => {
+    const { responseFormat } = parseResponseFormat({ response_format: schemaFormat })
+    const prompt = applyResponseFormat('Be terse', responseFormat)
+
+    expect(prompt.startsWith('Be terse\n\n')).toBe(true)
+    expect(prompt).toContain('"required":["value"]')
+    expect(applyResponseFormat('Be terse', { type: 'text' })).toBe('Be terse')
+  })
+})
+
+describe('validateJsonOutput', () => {
+  const { responseFormat } = parseResponseFormat({ response_format: schemaFormat })
+
+  it('should strip code fences and surrounding prose', () => {
+    expect(extractJsonText('```json\n{"value": 1}\n```')).toBe('{"value": 1}')
+    expect(extractJsonText('Sure! {"value": 1} Hope this helps')).toBe('{"value": 1}')
+  })
+
+  it('should validate against the schema', () => {
+    expect(validateJsonOutput('{"value": 2}', responseFormat)).toEqual({ valid: true, text: '{"value": 2}' })
+    expect(validateJsonOutput('{"value": "2"}', responseFormat).valid).toBe(false)
+    expect(validateJsonOutput('not json', responseFormat).message).toContain('not valid JSON')
+  })
+
+  it('should require an object for json_object', () => {
+    expect(validateJsonOutput('[1, 2]', { type: 'json_object' }).valid).toBe(false)
+  })
+})
+
+describe('executeWithJsonValidation', () => {
+  const { responseFormat } = parseResponseFormat({ response_format: schemaFormat })
+
+  it('should retry with repair messages until the output validates', async () => {
+    const outputs = ['oops', '{"value": 3}']
+    const calls = []
+    const outcome = await executeWithJsonValidation({
+      responseFormat,
+      maxRetries: 2,
+      execute: async (repairMessages) => {
+        calls.push(repairMessages)
+        return outputs[calls.length - 1]
+      },
+      getText: (text) => text
+    })
+
+    expect(outcome.attempts).toBe(2)
+    expect(outcome.validation.valid).toBe(true)
+    expect(calls[0]).toEqual([])
+    expect(calls[1][0]).toEqual({ role: 'assistant', content: 'oops' })
+    expect(calls[1][1].content).toContain('not valid JSON')
+  })
+
+  it('should give up after maxRetries', async () => {
+    const outcome = await executeWithJsonValidation({
+      responseFormat,
+      maxRetries: 1,
+      execute: async () => '{}',
+      getText: (text) => text
+    })
+
+    expect(outcome.attempts).toBe(2)
+    expect(outcome.validation.valid).toBe(false)
+  })
+
+  it('should skip validation when getText returns null', async () => {
+    const outcome = await executeWithJsonValidation({
+      responseFormat,
+      execute: async () => 'truncated',
+      getText: () => null
+    })
+    expect(outcome.validation).toBeNull()
+  })
+})
+
+describe('parseJsonOutputMaxRetries', () => {
+  it('should fall back to 2 unless the value is a non-negative integer', () => {
+    expect(parseJsonOutputMaxRetries('0')).toBe(0)
+    expect(parseJsonOutputMaxRetries('5')).toBe(5)
+    for (const value of [undefined, '', 'abc', '-1', '1.5', 'Infinity']) {
+      expect(parseJsonOutputMaxRetries(value)).toBe(2)
+    }
+  })
+})
@@ -0,0 +1,86 @@
+/**
+ * Responses API 响应构建器测试
+ */
+
+import { ResponsesBuilder, buildResponsesUsage } from '../responses-builder.js'
+
+/**
+ * 解析 SSE 事件文本
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const [eventLine, dataLine] = block.split('\n')
+    const data = JSON.parse(dataLine.slice('data: '.length))
+    expect(eventLine).toBe(`event: ${data.type}`)
+    return data
+  })
+}
+
+describe('ResponsesBuilder', () => {
+  it('should emit the event sequence for reasoning, text and a function call', () => {
+    const builder = new ResponsesBuilder({ input: 'hi' }, 'claude-sonnet-4-5')
+    const text = builder.start() +
+      builder.reasoningDelta('think') +
+      builder.textDelta('Hel') +
+      builder.textDelta('lo') +
+      builder.functionCall({ id: 'toolu_1', name: 'get_time', input: { tz: 'UTC' } }) +
+      builder.complete(buildResponsesUsage(10, 5, 1))
+    const events = parseEvents(text)
+
+    expect(events.map(e => e.type)).toEqual([
+      'response.created',
+      'response.in_progress',
+      'response.output_item.added',
+      'response.reasoning_summary_part.added',
+      'response.reasoning_summary_text.delta',
+      'response.reasoning_summary_text.done',
+      'response.reasoning_summary_part.done',
+      'response.output_item.done',
+      'response.output_item.added',
+      'response.content_part.added',
+      'response.output_text.delta',
+      'response.output_text.delta',
+      'response.output_text.done',
+      'response.content_part.done',
+      'response.output_item.done',
+      'response.output_item.added',
+      'response.function_call_arguments.delta',
+      'response.function_call_arguments.done',
+      'response.output_item.done',
+      'response.completed'
+    ])
+    expect(events.map(e => e.sequence_number)).toEqual(events.map((_, i) => i))
+
+    const completed = events[events.length - 1].response
+    expect(completed.status).toBe('completed')
+    expect(completed.output.map(item => item.type)).toEqual(['reasoning', 'message', 'function_call'])
+    expect(completed.output[1].content[0]).toEqual({ type: 'output_text', text: 'Hello', annotations: [] })
+    expect(completed.output[2]).toEqual(expect.objectContaining({
+      call_id: 'toolu_1',
+      name: 'get_time',
+      arguments: '{"tz":"UTC"}',
+      status: 'completed'
+    }))
+    expect(completed.usage.total_tokens).toBe(15)
+    expect(completed.usage.output_tokens_details.reasoning_tokens).toBe(1)
+  })
+
+  it('should mark the response incomplete when output was truncated', () => {
+    const builder = new ResponsesBuilder({ input: 'hi', max_output_tokens: 1 }, 'm')
+    builder.textDelta('abcd')
+    const [event] = parseEvents(builder.complete(buildResponsesUsage(1, 1), 'max_output_tokens')).slice(-1)
+
+    expect(event.type).toBe('response.incomplete')
+    expect(event.response.incomplete_details).toEqual({ reason: 'max_output_tokens' })
+    expect(builder.toResponse().max_output_tokens).toBe(1)
+  })
+
+  it('should emit response.failed with the error', () => {
+    const builder = new ResponsesBuilder({ input: 'hi' }, 'm')
+    builder.textDelta('partial')
+    const [event] = parseEvents(builder.fail('stream_error', 'boom'))
+
+    expect(event.type).toBe('response.failed')
+    expect(event.response.error).toEqual({ code: 'stream_error', message: 'boom' })
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * Responses API 请求转换测试
+ */
+
+import { convertResponsesRequest, convertResponsesInput, toResponsesParam } from '../responses-converter.js'
+import { convertMessages } from '../openai-converter.js'
+
+describe('convertResponsesInput', () => {
+  it('should wrap a string input with instructions as a system message', () => {
+    const { messages } = convertResponsesInput('Hello', 'Be brief')
+
+    expect(messages).toEqual([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hello' }
+    ])
+  })
+
+  it('should convert message items and content parts', () => {
+    const { messages } = convertResponsesInput([
+      { role: 'developer', content: [{ type: 'input_text', text: 'rules' }] },
+      {
+        type: 'message',
+        role: 'user',
+        content: [
+          { type: 'input_text', text: 'What is this?' },
+          { type: 'input_image', image_url: 'data:image/png;base64,AAAA' }
+        ]
+      },
+      { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'A cat.' }] }
+    ])
+
+    expect(messages[0]).toEqual({ role: 'system', content: 'rules' })
+    expect(messages[1].content[1]).toEqual({ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } })
+    expect(messages[2]).toEqual({ role: 'assistant', content: [{ type: 'text', text: 'A cat.' }] })
+  })
+
+  it('should turn function calls and outputs into tool_calls and tool messages', () => {
+    const { messages } = convertResponsesInput([
+      { role: 'user', content: 'Weather in Paris?' },
+      { type: 'reasoning', id: 'rs_1', summary: [{ type: 'summary_text', text: 'Need the tool' }] },
+      { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: 'sunny' }
+    ])
+
+    expect(messages).toHaveLength(3)
+    expect(messages[1].content).toEqual([{ type: 'thinking', thinking: 'Need the tool' }])
+    expect(messages[1].tool_calls[0].function.name).toBe('get_weather')
+    expect(messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: 'sunny' })
+
+    const converted = convertMessages(messages)
+    expect(converted[1].content).toEqual([
+      { type: 'thinking', thinking: 'Need the tool' },
+      { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }
+    ])
+    expect(converted[2].content[0]).toEqual(expect.objectContaining({ type: 'tool_result', tool_use_id: 'call_1' }))
+  })
+
+  it('should reject unknown item types and system-only input', () => {
+    expect(convertResponsesInput([{ type: 'web_search_call' }]).error.code).toBe('unsupported_parameter')
+    expect(convertResponsesInput([], 'only instructions').error.param).toBe('input')
+  })
+})
+
+describe('convertResponsesRequest', () => {
+  it('should map tools, tool_choice, max_output_tokens and reasoning effort', () => {
+    const { request } = convertResponsesRequest({
+      model: 'claude-sonnet-4-5',
+      input: 'hi',
+      tools: [{ type: 'function', name: 'get_time', parameters: { type: 'object', properties: {} } }],
+      tool_choice: { type: 'function', name: 'get_time' },
+      max_output_tokens: 100,
+      reasoning: { effort: 'high' },
+      stream: true
+    })
+
+    expect(request.tools).toEqual([{
+      type: 'function',
+      function: { name: 'get_time', description: '', parameters: { type: 'object', properties: {} } }
+    }])
+    expect(request.tool_choice).toEqual({ type: 'function', function: { name: 'get_time' } })
+    expect(request.max_tokens).toBe(100)
+    expect(request.reasoning_effort).toBe('high')
+    expect(request.stream).toBe(true)
+  })
+
+  it('should reject non-function tools and previous_response_id', () => {
+    expect(convertResponsesRequest({ input: 'hi', tools: [{ type: 'web_search_preview' }] }).error.param).toBe('tools')
+    expect(convertResponsesRequest({ input: 'hi', previous_response_id: 'resp_1' }).error.param).toBe('previous_response_id')
+  })
+
+  it('should require input', () => {
+    expect(convertResponsesRequest({ model: 'x' }).error.param).toBe('input')
+  })
+
+  it('should report chat parameter names with their Responses names', () => {
+    expect(toResponsesParam('max_tokens')).toBe('max_output_tokens')
+    expect(toResponsesParam('tool_choice')).toBe('tool_choice')
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * 账号选择策略测试
+ */
+
+import {
+  SELECTION_STRATEGIES,
+  getSelectionStrategy,
+  getEarliestResourceExpiry,
+  resolveStrategyName
+} from '../selection-strategies.js'
+
+const NOW = Date.UTC(2026, 5, 1)
+const DAY = 24 * 60 * 60 * 1000
+
+function account(id, usage = {}) {
+  return {
+    id,
+    email: `${id}@test`,
+    usage: { current: 0, limit: 100, percentUsed: 0, freeTrialExpiry: null, bonuses: [], ...usage }
+  }
+}
+
+const ACCOUNTS = [
+  account('a1', { current: 60, percentUsed: 60 }),
+  account('a2', { current: 10, percentUsed: 10, bonuses: [{ expiresAt: NOW + 5 * DAY }] }),
+  account('a3', { current: 90, percentUsed: 90, freeTrialExpiry: NOW + 2 * DAY })
+]
+
+function context(overrides = {}) {
+  return {
+    now: NOW,
+    dryRun: true,
+    random: () => 0,
+    peekRoundRobinIndex: async () => 4,
+    getLatencies: async () => new Map(),
+    ...overrides
+  }
+}
+
+async function select(name, ctx = context(), accounts = ACCOUNTS) {
+  const { account: selected } = await getSelectionStrategy(name).select(accounts, ctx)
+  return selected.id
+}
+
+describe('selection strategies', () => {
+  it('should pick the account at the current round-robin index', async () => {
+    expect(await select('round_robin')).toBe('a2')
+  })
+
+  it('should pick the least used account', async () => {
+    expect(await select('least_used')).toBe('a2')
+  })
+
+  it('should weight accounts by remaining quota', async () => {
+    // 剩余额度 40 / 90 / 10
+    expect(await select('quota_weighted', context({ random: () => 0.25 }))).toBe('a1')
+    expect(await select('quota_weighted', context({ random: () => 0.5 }))).toBe('a2')
+    expect(await select('quota_weighted', context({ random: () => 0.95 }))).toBe('a3')
+  })
+
+  it('should prefer free trials and bonuses that expire first', async () => {
+    expect(await select('earliest_expiring')).toBe('a3')
+    expect(await select('earliest_expiring', context({ now: NOW + 3 * DAY }))).toBe('a2')
+    expect(await select('earliest_expiring', context({ now: NOW + 6 * DAY }))).toBe('a2')
+  })
+
+  it('should try unmeasured accounts first, then the lowest latency', async () => {
+    const latencies = new Map([['a1', { latencyMs: 800, samples: 3 }], ['a2', { latencyMs: 300, samples: 5 }]])
+    expect(await select('lowest_latency', context({ getLatencies: async () => latencies }))).toBe('a3')
+
+    latencies.set('a3', { latencyMs: 500, samples: 1 })
+    expect(await select('lowest_latency', context({ getLatencies: async () => latencies }))).toBe('a2')
+  })
+
+  it('should pick randomly', async () => {
+    expect(await select('random', context({ random: () => 0.99 }))).toBe('a3')
+  })
+
+  it('should only count resources that have not expired', () => {
+    expect(getEarliestResourceExpiry(ACCOUNTS[2], NOW)).toBe(NOW + 2 * DAY)
+    expect(getEarliestResourceExpiry(ACCOUNTS[2], NOW + 2 * DAY)).toBeNull()
+  })
+})
+
+describe('resolveStrategyName', () => {
+  it('should resolve per-group strategies and fall back to the default', () => {
+    const setting = { default: 'least_used', groups: { g1: 'random', g2: 'unknown' } }
+
+    expect(resolveStrategyName(setting, 'g1')).toBe('random')
+    expect(resolveStrategyName(setting, 'g3')).toBe('least_used')
+    expect(resolveStrategyName('lowest_latency', 'g1')).toBe('lowest_latency')
+    expect(resolveStrategyName(null)).toBe('round_robin')
+    expect(resolveStrategyName(setting, 'g2')).toBe('round_robin')
+    expect(Object.keys(SELECTION_STRATEGIES)).toHaveLength(6)
+  })
+})
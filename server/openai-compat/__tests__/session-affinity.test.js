@@ -0,0 +1,87 @@
+/**
+ * 会话粘性测试
+ */
+
+import { getSessionKey, getConversationPrefix, stickySession, SessionAffinity } from '../session-affinity.js'
+import { runWithRequestContext, getRequestContext } from '../../utils/request-context.js'
+
+const CONFIG = { enabled: true, prefixHash: true }
+
+describe('getSessionKey', () => {
+  it('should prefer the header, then the user fields, then the conversation prefix', () => {
+    const body = { user: 'u1', metadata: { user_id: 'm1' }, messages: [{ role: 'user', content: 'hi' }] }
+    const key = (req, format) => getSessionKey({ groupId: 'g1', headers: {}, ...req }, format, CONFIG)
+
+    expect(key({ headers: { 'x-session-id': 's1' }, body }, 'openai')).toMatch(/^g1:header:/)
+    expect(key({ body }, 'openai')).toMatch(/^g1:user:/)
+    expect(key({ body }, 'claude')).toBe(key({ body: { metadata: { user_id: 'm1' } } }, 'claude'))
+    expect(key({ body: { messages: body.messages } }, 'openai')).toMatch(/^g1:prefix:/)
+    expect(key({ body: { prompt: 'hi' } }, 'openai')).toBeNull()
+  })
+
+  it('should keep the same key as a conversation grows and isolate groups', () => {
+    const first = { system: 'be brief', messages: [{ role: 'user', content: 'hi' }] }
+    const next = { ...first, messages: [...first.messages, { role: 'assistant', content: 'hello' }, { role: 'user', content: 'more' }] }
+
+    expect(getSessionKey({ groupId: 'g1', body: next }, 'claude', CONFIG)).toBe(getSessionKey({ groupId: 'g1', body: first }, 'claude', CONFIG))
+    expect(getSessionKey({ groupId: 'g2', body: first }, 'claude', CONFIG)).not.toBe(getSessionKey({ groupId: 'g1', body: first }, 'claude', CONFIG))
+    expect(getSessionKey({ body: first }, 'claude', { enabled: false })).toBeNull()
+  })
+
+  it('should include system and developer messages in the prefix', () => {
+    const messages = [{ role: 'developer', content: 'a' }, { role: 'user', content: 'hi' }]
+    expect(getConversationPrefix({ messages })).not.toBe(getConversationPrefix({ messages: messages.slice(1) }))
+    expect(getConversationPrefix({ instructions: 'a', input: 'hi' })).toBe(JSON.stringify(['a', 'hi']))
+  })
+})
+
+describe('stickySession', () => {
+  it('should store the session key in the request context', () => {
+    const req = { groupId: 'g1', headers: { 'x-session-id': 's1' }, body: {} }
+    let context = null
+    runWithRequestContext({ apiKeyId: null, groupId: 'g1' }, () => {
+      stickySession('openai', CONFIG)(req, {}, () => { context = getRequestContext() })
+    })
+
+    expect(req.sessionKey).toMatch(/^g1:header:/)
+    expect(context.sessionKey).toBe(req.sessionKey)
+  })
+})
+
+describe('SessionAffinity', () => {
+  it('should expire bindings after the TTL and extend it on use', () => {
+    let now = 0
+    const affinity = new SessionAffinity({ enabled: true, ttlMs: 100, now: () => now })
+
+    affinity.bind('s1', 'a1')
+    now = 90
+    expect(affinity.get('s1')).toBe('a1')
+    affinity.bind('s1', 'a1')
+    now = 150
+    expect(affinity.get('s1')).toBe('a1')
+    now = 200
+    expect(affinity.get('s1')).toBeNull()
+  })
+
+  it('should release every session bound to an account', () => {
+    const affinity = new SessionAffinity({ enabled: true })
+    affinity.bind('s1', 'a1')
+    affinity.bind('s2', 'a1')
+    affinity.bind('s3', 'a2')
+
+    expect(affinity.forgetAccount('a1')).toBe(2)
+    expect(affinity.get('s1')).toBeNull()
+    expect(affinity.get('s3')).toBe('a2')
+  })
+
+  it('should evict the least recently used binding beyond maxEntries', () => {
+    const affinity = new SessionAffinity({ enabled: true, maxEntries: 2 })
+    affinity.bind('s1', 'a1')
+    affinity.bind('s2', 'a2')
+    affinity.bind('s1', 'a1')
+    affinity.bind('s3', 'a3')
+
+    expect(affinity.get('s2')).toBeNull()
+    expect(affinity.size).toBe(2)
+  })
+})
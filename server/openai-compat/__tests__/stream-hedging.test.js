@@ -0,0 +1,118 @@
+/**
+ * 流式对冲测试
+ */
+
+import { jest } from '@jest/globals'
+import { StreamHedging, percentileOf } from '../stream-hedging.js'
+import { runWithRequestContext, getRequestContext } from '../../utils/request-context.js'
+import { createAccountPool } from './fixtures/mocks.js'
+
+const a1 = { id: 'a1', email: 'a1@test' }
+const a2 = { id: 'a2', email: 'a2@test' }
+
+function createPool({ setting = { enabled: true, minDelayMs: 20, maxDelayMs: 20 }, ttfb = [] } = {}) {
+  return createAccountPool([a2], {
+    dbPool: { query: jest.fn(async () => [ttfb.map(value => ({ time_to_first_byte: value }))]) },
+    readSetting: jest.fn(async () => setting)
+  })
+}
+
+// 在 delayMs 后产生第一个事件的流；signal 中止时以 AbortError 失败
+function delayedStream(delayMs, label, aborted = []) {
+  return (account, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve((async function* () { yield { account: account.id, label } })()), delayMs)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      aborted.push(account.id)
+      reject(new Error('AbortError'))
+    })
+  })
+}
+
+describe('percentileOf', () => {
+  it('should use the nearest rank', () => {
+    const values = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]
+    expect(percentileOf(values, 95)).toBe(1000)
+    expect(percentileOf(values, 50)).toBe(500)
+    expect(percentileOf([], 95)).toBeNull()
+  })
+})
+
+describe('StreamHedging', () => {
+  it('should not hedge when disabled or pinned', async () => {
+    const pool = createPool({ setting: { enabled: false } })
+    const hedging = new StreamHedging(pool)
+    const startStream = jest.fn(delayedStream(40))
+
+    await expect(hedging.start({ account: a1, groupId: null, pinned: false }, startStream)).resolves.toMatchObject({ account: a1 })
+    expect(pool.getNextAccount).not.toHaveBeenCalled()
+
+    pool.readSetting.mockResolvedValue({ enabled: true })
+    await hedging.start({ account: a1, groupId: null, pinned: true }, startStream)
+    expect(pool.readSetting).toHaveBeenCalledTimes(1)
+    expect(startStream).toHaveBeenCalledTimes(2)
+  })
+
+  it('should derive the delay from the TTFB percentile within bounds', async () => {
+    const ttfb = Array.from({ length: 40 }, (_, i) => (i + 1) * 100)
+    const hedging = new StreamHedging(createPool({ ttfb }))
+    expect(await hedging.getHedgeDelay({ percentile: 95, minDelayMs: 500, maxDelayMs: 10000 })).toBe(3800)
+    expect(await hedging.getHedgeDelay({ percentile: 95, minDelayMs: 500, maxDelayMs: 2000 })).toBe(2000)
+
+    const sparse = new StreamHedging(createPool({ ttfb: [100] }))
+    expect(await sparse.getHedgeDelay({ percentile: 95, minDelayMs: 500, maxDelayMs: 8000 })).toBe(8000)
+  })
+
+  it('should hedge a slow stream and abort the loser', async () => {
+    const pool = createPool()
+    const hedging = new StreamHedging(pool)
+    const aborted = []
+    const slow = delayedStream(500, 'slow', aborted)
+    const fast = delayedStream(5, 'fast', aborted)
+    const release = jest.fn()
+
+    await runWithRequestContext({ accountLeases: [{ accountId: 'a1', release }, { accountId: 'a2', release: jest.fn() }] }, async () => {
+      const result = await hedging.start({ account: a1, groupId: 'g1', pinned: false }, (account, signal) => {
+        return account.id === 'a1' ? slow(account, signal) : fast(account, signal)
+      })
+
+      expect(result.account).toBe(a2)
+      expect((await result.stream.next()).value).toEqual({ account: 'a2', label: 'fast' })
+      expect(aborted).toEqual(['a1'])
+      expect(release).toHaveBeenCalled()
+      expect(getRequestContext().accountLeases.map(lease => lease.accountId)).toEqual(['a2'])
+      expect(getRequestContext().hedge).toEqual({ status: 'hedge_won', accountId: 'a2' })
+    })
+
+    expect(pool.getNextAccount).toHaveBeenCalledWith('g1', { sessionKey: null, exclude: ['a1'], keepLeases: true })
+    expect(pool.incrementApiCall).toHaveBeenCalledWith('a2')
+    expect(hedging.getStats()).toMatchObject({ hedged: 1, hedgeWins: 1, primaryWins: 0 })
+  })
+
+  it('should keep waiting on the original stream when the hedge fails', async () => {
+    const pool = createPool()
+    const hedging = new StreamHedging(pool)
+    const slow = delayedStream(60, 'slow')
+
+    const result = await hedging.start({ account: a1, groupId: null, pinned: false }, async (account, signal) => {
+      if (account.id === 'a2') throw new Error('API call failed: 502 - Bad Gateway')
+      return slow(account, signal)
+    })
+
+    expect(result.account).toBe(a1)
+    expect(pool.markAccountError).toHaveBeenCalledWith('a2', 'API call failed: 502 - Bad Gateway', false)
+    expect(hedging.getStats()).toMatchObject({ hedged: 1, primaryWins: 1 })
+  })
+
+  it('should rethrow the original error when both streams fail', async () => {
+    const pool = createPool()
+    const hedging = new StreamHedging(pool)
+    const failing = (error, delayMs) => new Promise((resolve, reject) => setTimeout(() => reject(error), delayMs))
+    const primaryError = new Error('TOKEN_EXPIRED')
+
+    await expect(hedging.start({ account: a1, groupId: null, pinned: false }, (account) => {
+      return account.id === 'a1' ? failing(primaryError, 60) : failing(new Error('API call failed: 502'), 5)
+    })).rejects.toBe(primaryError)
+    expect(hedging.getStats()).toMatchObject({ hedged: 1, bothFailed: 1 })
+  })
+})
@@ -0,0 +1,56 @@
+/**
+ * Usage 计算测试
+ */
+
+import { UsageTracker, countTextTokens } from '../token-counter.js'
+import { KIRO_CONTEXT_WINDOW_TOKENS } from '../../kiro/constants.js'
+
+describe('UsageTracker', () => {
+  it('should fall back to estimates without Kiro usage events', () => {
+    const tracker = new UsageTracker()
+    const usage = tracker.resolve({ content: 'hello world', reasoning: 'let me think' }, 42)
+
+    expect(usage.source).toBe('estimate')
+    expect(usage.promptTokens).toBe(42)
+    expect(usage.reasoningTokens).toBe(countTextTokens('let me think'))
+    expect(usage.completionTokens).toBe(countTextTokens('hello world') + countTextTokens('let me think'))
+  })
+
+  it('should derive prompt tokens from context usage percentage', () => {
+    const tracker = new UsageTracker()
+    tracker.track({ type: 'context_usage', percentage: 2 })
+    const usage = tracker.resolve({ content: 'a'.repeat(400) }, 10)
+
+    const total = Math.round(KIRO_CONTEXT_WINDOW_TOKENS * 2 / 100)
+    expect(usage.source).toBe('context_usage')
+    expect(usage.promptTokens).toBe(total - usage.completionTokens)
+  })
+
+  it('should count tool call arguments as completion tokens', () => {
+    const tracker = new UsageTracker()
+    const usage = tracker.resolve({ content: '', toolCalls: [{ id: 't1', name: 'f', input: { q: 'abcd' } }] }, 0)
+
+    expect(usage.completionTokens).toBe(countTextTokens(JSON.stringify({ q: 'abcd' })))
+  })
+
+  it('should prefer token-denominated metering events', () => {
+    const tracker = new UsageTracker()
+    tracker.trackParsed({
+      contextUsagePercentage: 5,
+      metering: [
+        { unit: 'inputTokens', usage: 1200 },
+        { unit: 'outputTokens', usage: 300 },
+        { unit: 'credit', usage: 0.02 }
+      ]
+    })
+    const usage = tracker.resolve({ content: 'ignored' }, 10)
+
+    expect(usage).toEqual({ promptTokens: 1200, completionTokens: 300, reasoningTokens: 0, source: 'metering' })
+  })
+
+  it('should ignore credit-only metering', () => {
+    const tracker = new UsageTracker()
+    tracker.track({ type: 'metering', unit: 'credit', usage: 0.5 })
+    expect(tracker.resolve({ content: 'abcd' }, 7).source).toBe('estimate')
+  })
+})
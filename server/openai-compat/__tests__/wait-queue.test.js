@@ -0,0 +1,141 @@
+/**
+ * 账号等待队列测试
+ */
+
+import { jest } from '@jest/globals'
+import { AccountWaitQueue, isPoolExhaustedError, startQueueKeepAlive, buildQueueWaitOptions } from '../wait-queue.js'
+import { AlertType, AlertSeverity } from '../system-logger.js'
+
+const exhausted = () => new Error('No available accounts in pool')
+
+function mockResponse() {
+  const res = {
+    headersSent: false,
+    writableEnded: false,
+    headers: {},
+    chunks: [],
+    setHeader(name, value) { this.headers[name] = value },
+    flushHeaders() { this.headersSent = true },
+    write(chunk) { this.chunks.push(chunk) },
+    end() { this.writableEnded = true },
+    status() { return this },
+    json() { return this },
+    once() {}
+  }
+  return res
+}
+
+describe('AccountWaitQueue', () => {
+  it('should return immediately when an account is available', async () => {
+    const queue = new AccountWaitQueue()
+    const onQueued = jest.fn()
+
+    await expect(queue.acquire(async () => ({ id: 'a1' }), { onQueued })).resolves.toEqual({ id: 'a1' })
+    expect(onQueued).not.toHaveBeenCalled()
+    expect(queue.getStats().queued).toBe(0)
+  })
+
+  it('should wait until notified that an account is available', async () => {
+    const queue = new AccountWaitQueue({ pollIntervalMs: 60000 })
+    let available = false
+    const onQueued = jest.fn()
+    const onDequeued = jest.fn()
+
+    const pending = queue.acquire(async () => {
+      if (!available) throw exhausted()
+      return { id: 'a1', email: 'a1@test' }
+    }, { maxWaitMs: 60000, onQueued, onDequeued })
+
+    await new Promise(resolve => setImmediate(resolve))
+    expect(queue.depth).toBe(1)
+    expect(onQueued).toHaveBeenCalled()
+
+    available = true
+    queue.notify()
+    await expect(pending).resolves.toEqual({ id: 'a1', email: 'a1@test' })
+    expect(queue.depth).toBe(0)
+    expect(onDequeued).toHaveBeenCalled()
+    expect(queue.getStats()).toMatchObject({ queued: 1, served: 1 })
+  })
+
+  it('should time out after the maximum wait', async () => {
+    const queue = new AccountWaitQueue({ pollIntervalMs: 5 })
+
+    await expect(queue.acquire(async () => { throw exhausted() }, { maxWaitMs: 20 }))
+      .rejects.toMatchObject({ code: 'queue_timeout' })
+    expect(queue.getStats()).toMatchObject({ depth: 0, timedOut: 1 })
+  })
+
+  it('should not queue other errors, disabled waits or a full queue', async () => {
+    const queue = new AccountWaitQueue({ maxDepth: 1, pollIntervalMs: 60000 })
+
+    await expect(queue.acquire(async () => { throw new Error('boom') }, { maxWaitMs: 1000 })).rejects.toThrow('boom')
+    await expect(queue.acquire(async () => { throw exhausted() }, { maxWaitMs: 0 })).rejects.toThrow('No available accounts')
+
+    const controller = new AbortController()
+    const first = queue.acquire(async () => { throw exhausted() }, { maxWaitMs: 60000, signal: controller.signal })
+    await new Promise(resolve => setImmediate(resolve))
+    await expect(queue.acquire(async () => { throw exhausted() }, { maxWaitMs: 60000 }))
+      .rejects.toMatchObject({ code: 'queue_full' })
+
+    controller.abort()
+    queue.notify()
+    await expect(first).rejects.toMatchObject({ code: 'queue_aborted' })
+    expect(queue.getStats()).toMatchObject({ depth: 0, rejected: 1, aborted: 1 })
+  })
+
+  it('should log a QUEUE_BACKLOG alert when the queue backs up', async () => {
+    const systemLogger = { alertThresholds: { queueBacklogSize: 2 }, logAlert: jest.fn(async () => {}) }
+    const queue = new AccountWaitQueue({ maxDepth: 2, pollIntervalMs: 60000, systemLogger })
+    const controller = new AbortController()
+    const waits = [1, 2, 3].map(() => queue.acquire(async () => { throw exhausted() }, { maxWaitMs: 60000, signal: controller.signal }).catch(error => error.code))
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(systemLogger.logAlert).toHaveBeenCalledTimes(1)
+    expect(systemLogger.logAlert.mock.calls[0][0]).toMatchObject({
+      alertType: AlertType.QUEUE_BACKLOG,
+      severity: AlertSeverity.CRITICAL,
+      currentValue: 2
+    })
+
+    controller.abort()
+    queue.notify()
+    expect(await Promise.all(waits)).toEqual(['queue_aborted', 'queue_aborted', 'queue_full'])
+  })
+})
+
+describe('isPoolExhaustedError', () => {
+  it('should recognize pool exhaustion errors from AccountPool', () => {
+    expect(isPoolExhaustedError(new Error('No available accounts in group g1'))).toBe(true)
+    expect(isPoolExhaustedError(new Error('All accounts have expired tokens'))).toBe(true)
+    expect(isPoolExhaustedError(new Error('Database error'))).toBe(false)
+  })
+})
+
+describe('startQueueKeepAlive', () => {
+  it('should send SSE headers and turn later JSON errors into SSE error events', () => {
+    const res = mockResponse()
+    const stop = startQueueKeepAlive(res, 'claude', 60000)
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream')
+    expect(res.chunks).toEqual([': queued\n\n'])
+
+    res.setHeader('Content-Type', 'application/json')
+    res.status(503).json({ type: 'error', error: { type: 'api_error', message: 'No available accounts in pool' } })
+    stop()
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream')
+    expect(res.chunks[1]).toMatch(/^event: error\ndata: \{"type":"error"/)
+    expect(res.writableEnded).toBe(true)
+  })
+
+  it('should only start keep-alives for streaming requests', () => {
+    const res = mockResponse()
+    const options = buildQueueWaitOptions({ maxQueueWaitMs: 0 }, res, 'openai')
+
+    options.onQueued()
+    options.onDequeued()
+    expect(options.maxWaitMs).toBe(0)
+    expect(res.chunks).toEqual([])
+  })
+})
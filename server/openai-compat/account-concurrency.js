@@ -0,0 +1,425 @@
+/**
+ * 账号并发限制
+ *
+ * 记录每个 Kiro 账号正在进行的请求数（in-flight），选择账号时跳过已达到并发上限的账号，
+ * 避免同一账号同时打开过多请求被上游限流。
+ *
+ * 并发上限（0 表示不限制）按以下顺序确定：
+ * 1. settings 表 accountConcurrencyLimits.accounts[账号 ID]
+ * 2. settings 表 accountConcurrencyLimits.idp[IdP]
+ * 3. 环境变量 ACCOUNT_MAX_CONCURRENCY_BY_IDP（如 BUILDER_ID:4,GITHUB:2）
+ * 4. settings 表 accountConcurrencyLimits.default
+ * 5. 环境变量 ACCOUNT_MAX_CONCURRENCY
+ *
+ * 进行中的请求以租约形式保存在可替换的存储中：
+ * - MysqlInflightStore（默认）：集群所有 worker、多服务器共享同一个 MySQL 时计数一致
+ * - MemoryInflightStore：仅当前进程有效，用于单进程部署和测试
+ *
+ * 租约由 trackAccountInflight 中间件绑定到请求，请求结束（响应关闭）时释放；
+ * 进程异常退出时租约到期后自动失效。
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+import { getRequestContext } from '../utils/request-context.js'
+
+// settings 表中的设置 key
+export const ACCOUNT_CONCURRENCY_SETTING_KEY = 'accountConcurrencyLimits'
+
+/**
+ * 解析按 IdP 的并发上限，格式：BUILDER_ID:4,GITHUB:2
+ * @param {string} value - 环境变量值
+ * @returns {Object} { 规范化 IdP: 上限 }
+ */
+export function parseIdpLimits(value) {
+  const limits = {}
+  for (const item of (value || '').split(',')) {
+    const [idp, limit] = item.split(':').map(part => part?.trim())
+    const parsed = parseInt(limit, 10)
+    if (idp && parsed >= 0) {
+      limits[normalizeIdp(idp)] = parsed
+    }
+  }
+  return limits
+}
+
+/**
+ * 规范化 IdP 名称（BuilderId、BUILDER_ID 视为相同）
+ */
+export function normalizeIdp(idp) {
+  return String(idp || '').replace(/_/g, '').toUpperCase()
+}
+
+// 并发限制配置
+export const ACCOUNT_CONCURRENCY_CONFIG = {
+  // 每个账号的默认并发上限（0 表示不限制）
+  defaultLimit: parseInt(process.env.ACCOUNT_MAX_CONCURRENCY || '0', 10),
+  // 按 IdP 的并发上限
+  idpLimits: parseIdpLimits(process.env.ACCOUNT_MAX_CONCURRENCY_BY_IDP),
+  // 租约时长，进程异常退出后租约到期自动释放
+  leaseTtlMs: 30 * 60 * 1000,
+  // 计数缓存时间（选择账号时使用，获取租约时以存储为准）
+  countsCacheMs: 1000
+}
+
+/**
+ * 确定账号的并发上限
+ * @param {Object} account - 账号
+ * @param {Object|null} setting - accountConcurrencyLimits 设置 { default, idp: {}, accounts: {} }
+ * @param {Object} [config] - 默认使用 ACCOUNT_CONCURRENCY_CONFIG
+ * @returns {number} 并发上限，0 表示不限制
+ */
+export function resolveConcurrencyLimit(account, setting = null, config = ACCOUNT_CONCURRENCY_CONFIG) {
+  const accountLimit = setting?.accounts?.[account.id]
+  if (accountLimit !== undefined && accountLimit !== null) return accountLimit
+
+  if (account.idp) {
+    const idp = normalizeIdp(account.idp)
+    for (const [name, limit] of Object.entries(setting?.idp || {})) {
+      if (normalizeIdp(name) === idp) return limit
+    }
+    if (config.idpLimits[idp] !== undefined) return config.idpLimits[idp]
+  }
+
+  return setting?.default ?? config.defaultLimit
+}
+
+/**
+ * 基于 MySQL 的租约存储
+ */
+export class MysqlInflightStore {
+  constructor(dbPool) {
+    this.dbPool = dbPool
+    this.serverId = process.env.SERVER_ID || 'default'
+  }
+
+  /**
+   * 在并发上限内时获取一个租约
+   * 有上限时使用 MySQL 命名锁串行化同一账号的检查和写入
+   * @returns {Promise<{leaseId: string|null, active: number|null}>} 不限制时 active 为 null
+   */
+  async acquire(accountId, limit, ttlMs) {
+    const now = Date.now()
+    const leaseId = uuidv4()
+    const insert = (conn) => conn.query(
+      'INSERT INTO account_inflight (id, account_id, server_id, expires_at, created_at) VALUES (?, ?, ?, ?, ?)',
+      [leaseId, accountId, this.serverId, now + ttlMs, now]
+    )
+
+    if (!(limit > 0)) {
+      await insert(this.dbPool)
+      return { leaseId, active: null }
+    }
+
+    const conn = await this.dbPool.getConnection()
+    const lockName = `kiro:inflight:${accountId}`.slice(0, 64)
+    try {
+      const [[lock]] = await conn.query('SELECT GET_LOCK(?, 5) AS acquired', [lockName])
+      if (lock.acquired !== 1) {
+        throw new Error(`Failed to acquire inflight lock for ${accountId}`)
+      }
+      try {
+        const [[row]] = await conn.query(
+          'SELECT COUNT(*) AS active FROM account_inflight WHERE account_id = ? AND expires_at > ?',
+          [accountId, now]
+        )
+        if (row.active >= limit) {
+          return { leaseId: null, active: row.active }
+        }
+        await insert(conn)
+        return { leaseId, active: row.active + 1 }
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [lockName])
+      }
+    } finally {
+      conn.release()
+    }
+  }
+
+  /**
+   * 释放租约
+   */
+  async release(leaseId) {
+    await this.dbPool.query('DELETE FROM account_inflight WHERE id = ?', [leaseId])
+  }
+
+  /**
+   * 获取所有账号的进行中请求数
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getCounts(now = Date.now()) {
+    const [rows] = await this.dbPool.query(
+      'SELECT account_id, COUNT(*) AS active FROM account_inflight WHERE expires_at > ? GROUP BY account_id',
+      [now]
+    )
+    return new Map(rows.map(row => [row.account_id, Number(row.active)]))
+  }
+
+  /**
+   * 清理过期租约
+   */
+  async cleanup(now = Date.now()) {
+    const [result] = await this.dbPool.query('DELETE FROM account_inflight WHERE expires_at <= ?', [now])
+    return result.affectedRows
+  }
+}
+
+/**
+ * 进程内租约存储
+ */
+export class MemoryInflightStore {
+  constructor() {
+    this.leases = new Map()
+  }
+
+  countActive(accountId, now) {
+    let active = 0
+    for (const lease of this.leases.values()) {
+      if (lease.accountId === accountId && lease.expiresAt > now) active++
+    }
+    return active
+  }
+
+  async acquire(accountId, limit, ttlMs) {
+    const now = Date.now()
+    const active = this.countActive(accountId, now)
+    if (limit > 0 && active >= limit) {
+      return { leaseId: null, active }
+    }
+    const leaseId = uuidv4()
+    this.leases.set(leaseId, { accountId, expiresAt: now + ttlMs })
+    return { leaseId, active: active + 1 }
+  }
+
+  async release(leaseId) {
+    this.leases.delete(leaseId)
+  }
+
+  async getCounts(now = Date.now()) {
+    const counts = new Map()
+    for (const lease of this.leases.values()) {
+      if (lease.expiresAt > now) {
+        counts.set(lease.accountId, (counts.get(lease.accountId) || 0) + 1)
+      }
+    }
+    return counts
+  }
+
+  async cleanup(now = Date.now()) {
+    let removed = 0
+    for (const [id, lease] of this.leases) {
+      if (lease.expiresAt <= now) {
+        this.leases.delete(id)
+        removed++
+      }
+    }
+    return removed
+  }
+}
+
+export class AccountConcurrency {
+  /**
+   * @param {Object} store - MysqlInflightStore / MemoryInflightStore 或实现相同方法的对象
+   * @param {Object} [options]
+   * @param {Object} [options.config] - 默认使用 ACCOUNT_CONCURRENCY_CONFIG
+   * @param {Function} [options.onRelease] - 释放租约后调用（有并发名额空出）
+   */
+  constructor(store, options = {}) {
+    this.store = store
+    this.config = options.config || ACCOUNT_CONCURRENCY_CONFIG
+    this.onRelease = options.onRelease || null
+    // accountConcurrencyLimits 设置（由 AccountPool 从 settings 表加载）
+    this.setting = null
+    // 进行中请求数缓存：Map<accountId, number>
+    this.counts = new Map()
+    this.countsLoadedAt = 0
+    this.cleanupInterval = null
+    this.stats = {
+      acquired: 0,
+      rejected: 0,
+      released: 0,
+      storeErrors: 0
+    }
+  }
+
+  /**
+   * 获取账号的并发上限（0 表示不限制）
+   */
+  getLimit(account) {
+    return resolveConcurrencyLimit(account, this.setting, this.config)
+  }
+
+  /**
+   * 是否配置了任何并发上限
+   */
+  hasLimits() {
+    const setting = this.setting || {}
+    return this.config.defaultLimit > 0 ||
+      Object.keys(this.config.idpLimits).length > 0 ||
+      setting.default > 0 ||
+      Object.keys(setting.idp || {}).length > 0 ||
+      Object.keys(setting.accounts || {}).length > 0
+  }
+
+  /**
+   * 刷新进行中请求数缓存
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - 忽略缓存时间
+   */
+  async refreshCounts({ force = false } = {}) {
+    if (!force && Date.now() - this.countsLoadedAt < this.config.countsCacheMs) {
+      return this.counts
+    }
+    try {
+      this.counts = await this.store.getCounts()
+    } catch (error) {
+      // 读取失败时保留上次的计数
+      this.stats.storeErrors++
+      console.error('[AccountConcurrency] Failed to load inflight counts:', error.message)
+    }
+    this.countsLoadedAt = Date.now()
+    return this.counts
+  }
+
+  /**
+   * 账号进行中的请求数（缓存值）
+   */
+  getInflight(accountId) {
+    return this.counts.get(accountId) || 0
+  }
+
+  /**
+   * 账号是否已达到并发上限（缓存值）
+   */
+  isSaturated(account) {
+    const limit = this.getLimit(account)
+    return limit > 0 && this.getInflight(account.id) >= limit
+  }
+
+  /**
+   * 获取账号的一个租约
+   * 存储不可用时放行（返回不占用名额的租约），避免计数故障导致服务不可用
+   * @param {Object} account - 账号
+   * @returns {Promise<{leaseId: string|null, accountId: string, release: Function}|null>} 已达到上限时返回 null
+   */
+  async acquire(account) {
+    const limit = this.getLimit(account)
+    let result
+    try {
+      result = await this.store.acquire(account.id, limit, this.config.leaseTtlMs)
+    } catch (error) {
+      this.stats.storeErrors++
+      console.error(`[AccountConcurrency] Failed to acquire lease for ${account.email}:`, error.message)
+      return { leaseId: null, accountId: account.id, release: async () => {} }
+    }
+
+    if (!result.leaseId) {
+      this.stats.rejected++
+      this.counts.set(account.id, result.active)
+      return null
+    }
+
+    this.stats.acquired++
+    this.counts.set(account.id, result.active ?? this.getInflight(account.id) + 1)
+
+    let released = false
+    return {
+      leaseId: result.leaseId,
+      accountId: account.id,
+      release: async () => {
+        if (released) return
+        released = true
+        this.counts.set(account.id, Math.max(this.getInflight(account.id) - 1, 0))
+        this.stats.released++
+        try {
+          await this.store.release(result.leaseId)
+        } catch (error) {
+          this.stats.storeErrors++
+          console.error('[AccountConcurrency] Failed to release lease:', error.message)
+        }
+        this.onRelease?.(account.id)
+      }
+    }
+  }
+
+  /**
+   * 启动定时清理过期租约（每 5 分钟）
+   */
+  startCleanup() {
+    if (this.cleanupInterval) return
+    this.cleanupInterval = setInterval(() => {
+      this.store.cleanup().catch(error => {
+        console.error('[AccountConcurrency] Cleanup failed:', error.message)
+      })
+    }, 5 * 60 * 1000)
+    this.cleanupInterval.unref?.()
+  }
+
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval)
+      this.cleanupInterval = null
+    }
+  }
+
+  /**
+   * 获取统计信息
+   */
+  getStats() {
+    let total = 0
+    for (const count of this.counts.values()) total += count
+    return {
+      defaultLimit: this.setting?.default ?? this.config.defaultLimit,
+      totalInflight: total,
+      countsLoadedAt: this.countsLoadedAt || null,
+      ...this.stats
+    }
+  }
+}
+
+/**
+ * 创建账号并发跟踪器
+ * ACCOUNT_CONCURRENCY_STORE=memory 时使用进程内存储，否则使用 MySQL
+ * @param {Object} dbPool - MySQL 连接池
+ * @param {Object} [options] - 见 AccountConcurrency
+ */
+export function createAccountConcurrency(dbPool, options = {}) {
+  const store = process.env.ACCOUNT_CONCURRENCY_STORE === 'memory' ? new MemoryInflightStore() : new MysqlInflightStore(dbPool)
+  return new AccountConcurrency(store, options)
+}
+
+/**
+ * 释放请求上下文中的账号租约
+ */
+export function releaseContextLeases(context) {
+  for (const lease of context?.accountLeases?.splice(0) || []) {
+    lease.release()
+  }
+}
+
+/**
+ * 释放请求上下文中某个账号的租约（同一请求同时使用多个账号时，放弃其中一个）
+ */
+export function releaseAccountLease(context, accountId) {
+  const leases = context?.accountLeases
+  const index = leases?.findIndex(lease => lease.accountId === accountId) ?? -1
+  if (index >= 0) {
+    leases.splice(index, 1)[0].release()
+  }
+}
+
+/**
+ * 账号并发跟踪中间件，放在 validateApiKey 之后
+ * 在请求上下文中记录 AccountPool.getNextAccount 获取的账号租约，响应关闭时释放
+ */
+export function trackAccountInflight() {
+  return (req, res, next) => {
+    const context = getRequestContext()
+    if (context) {
+      context.accountLeases = []
+      res.once('close', () => releaseContextLeases(context))
+    }
+    next()
+  }
+}
+
+export default AccountConcurrency
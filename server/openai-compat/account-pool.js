@@ -14,17 +14,41 @@
  * - 告警机制：账号池状态异常时触发告警
  * - 活跃池/冷却池机制：限制活跃账号数量，异常账号自动冷却
  * - 工作时段控制：非工作日/非工作时段自动禁用活跃池
+ * - 会话粘性：同一会话优先使用上次的账号，账号不可用时自动切换（见 session-affinity.js）
+ * - 选择策略：按分组配置轮询、使用率最低、剩余额度加权等策略（见 selection-strategies.js）
+ * - 限流退避：上游返回 429/ThrottlingException 的账号按指数退避（带抖动）暂停选择
+ * - 流式对冲：首个事件超时时用另一个账号对冲（见 stream-hedging.js）
  */
 
 import { rowToAccount } from '../models/account.js'
+import { encryptCredential, decryptCredentialRow } from '../utils/credential-crypto.js'
 import { AlertType, AlertSeverity } from './system-logger.js'
 import { getWorkingStatus } from '../utils/working-hours.js'
+import { getRequestContext } from '../utils/request-context.js'
+import { SessionAffinity } from './session-affinity.js'
+import { AccountWaitQueue } from './wait-queue.js'
+import { StreamHedging } from './stream-hedging.js'
+import {
+  SELECTION_STRATEGIES,
+  SELECTION_STRATEGY_SETTING_KEY,
+  getSelectionStrategy,
+  resolveStrategyName
+} from './selection-strategies.js'
+import {
+  ACCOUNT_CONCURRENCY_SETTING_KEY,
+  createAccountConcurrency,
+  releaseContextLeases
+} from './account-concurrency.js'
 
 // 缓存配置
 const CACHE_EXPIRY_MS = 60000 // 缓存有效期 60 秒
 const DB_CHECK_INTERVAL_MS = 30000 // 数据库连接检测间隔 30 秒
 const HEALTH_MONITOR_INTERVAL_MS = 5 * 60 * 1000 // 健康监控间隔 5 分钟
 const ACTIVE_POOL_CHECK_INTERVAL_MS = 60 * 1000 // 活跃池检测间隔 1 分钟
+const SELECTION_SETTING_CACHE_MS = 60 * 1000 // 选择策略设置缓存 60 秒
+const CONCURRENCY_SETTING_CACHE_MS = 60 * 1000 // 账号并发上限设置缓存 60 秒
+const LATENCY_CACHE_MS = 30 * 1000 // 账号耗时统计缓存 30 秒
+const LATENCY_WINDOW_MINUTES = 15 // 账号耗时统计窗口 15 分钟
 
 // 活跃池配置（可通过环境变量覆盖）
 const ACTIVE_POOL_CONFIG = {
@@ -38,6 +62,16 @@ const ACTIVE_POOL_CONFIG = {
   enabled: process.env.ACTIVE_POOL_ENABLED !== 'false'
 }
 
+// 限流退避配置（可通过环境变量覆盖）
+const ACCOUNT_BACKOFF_CONFIG = {
+  // 首次退避时间（毫秒，默认 5 秒），之后每次翻倍
+  baseMs: parseInt(process.env.ACCOUNT_BACKOFF_BASE_MS) || 5000,
+  // 最长退避时间（毫秒，默认 5 分钟）
+  maxMs: parseInt(process.env.ACCOUNT_BACKOFF_MAX_MS) || 5 * 60 * 1000,
+  // 距上次限流超过此时间后退避次数清零（毫秒，默认 10 分钟）
+  resetAfterMs: 10 * 60 * 1000
+}
+
 // 告警阈值配置（可通过环境变量覆盖）
 const ALERT_THRESHOLDS = {
   minAvailableAccounts: parseInt(process.env.ALERT_MIN_AVAILABLE_ACCOUNTS) || 2,
@@ -63,6 +97,14 @@ const VALIDATION_CONFIG = {
   }
 }
 
+/**
+ * 所有候选账号都已达到并发上限或正在限流退避时的错误（以 No available accounts 开头，可以排队等待）
+ */
+function saturatedError(groupId) {
+  const groupInfo = groupId ? ` in group ${groupId}` : ''
+  return new Error(`No available accounts${groupInfo} in pool: all accounts are at max concurrency or backing off`)
+}
+
 class AccountPool {
   constructor(pool, systemLogger = null) {
     this.dbPool = pool
@@ -91,6 +133,28 @@ class AccountPool {
     // 活跃池初始化标志
     this.activePoolInitialized = false
 
+    // 会话粘性：会话 → 账号绑定
+    this.sessionAffinity = new SessionAffinity()
+
+    // 等待队列：账号池暂时耗尽时排队等待
+    this.waitQueue = new AccountWaitQueue({ systemLogger })
+
+    // 账号并发限制：进行中请求的租约，释放时唤醒等待队列
+    this.concurrency = createAccountConcurrency(pool, { onRelease: () => this.waitQueue.notify() })
+    // 并发上限设置（settings 表的 accountConcurrencyLimits）加载时间
+    this.concurrencySettingLoadedAt = 0
+
+    // 限流退避：Map<accountId, { until, attempts, lastAt, reason, timer }>，仅当前进程
+    this.backoffs = new Map()
+
+    // 流式请求对冲
+    this.hedging = new StreamHedging(this)
+
+    // 选择策略设置缓存（settings 表的 accountSelectionStrategy）
+    this.selectionSetting = { value: null, loadedAt: 0 }
+    // 账号最近耗时缓存：Map<accountId, { latencyMs, samples }>
+    this.latencyCache = { latencies: new Map(), loadedAt: 0 }
+
     // 统计信息
     this.stats = {
       cacheHits: 0,
@@ -116,7 +180,12 @@ class AccountPool {
       activePoolPromotions: 0,
       activePoolDemotions: 0,
       coolingPoolRecoveries: 0,
-      activePoolErrors: 0
+      activePoolErrors: 0,
+      // 会话粘性统计
+      stickySessionHits: 0,
+      stickySessionFailovers: 0,
+      // 限流退避统计
+      accountBackoffs: 0
     }
 
     // 健康监控定时器
@@ -633,6 +702,7 @@ class AccountPool {
           lastErrorAt: null
         })
         this.stats.activePoolPromotions++
+        this.waitQueue.notify()
 
         console.log(`[AccountPool] Promoted account ${account.email} to active pool (priority: ${priority.priority}, expires: ${priority.expiresAt ? new Date(priority.expiresAt).toISOString() : 'N/A'}, quota: ${priority.remainingQuota})`)
 
@@ -669,6 +739,7 @@ class AccountPool {
 
     // 从活跃池移除
     this.activePool.delete(accountId)
+    this.releaseAccountSessions(accountId, 'cooling')
 
     // 添加到冷却池
     this.coolingPool.set(accountId, {
@@ -727,6 +798,7 @@ class AccountPool {
     })
 
     this.stats.coolingPoolRecoveries++
+    this.waitQueue.notify()
 
     console.log(`[AccountPool] Account ${account.email} recovered from cooling pool to active pool`)
 
@@ -816,6 +888,7 @@ class AccountPool {
         this.coolingPool.delete(accountId)
         console.log(`[AccountPool] Account ${coolingEntry.account.email} removed from cooling pool (banned)`)
       }
+      this.releaseAccountSessions(accountId, 'banned')
 
       // 更新数据库状态为 banned
       await this.dbPool.query(
@@ -862,9 +935,10 @@ class AccountPool {
   /**
    * 从活跃池获取下一个账号（轮询）
    * 注意：非工作时段会返回 null，由调用方决定是否使用传统模式
+   * @param {Function} [isExcluded] - (account) => boolean，跳过已达到并发上限或正在退避的账号
    * @returns {object|null} 账号对象或 null
    */
-  getNextFromActivePool() {
+  getNextFromActivePool(isExcluded = null) {
     if (!this.activePoolConfig.enabled || this.activePool.size === 0) {
       return null
     }
@@ -890,12 +964,18 @@ class AccountPool {
       return null
     }
 
-    // 轮询选择
-    this.activePoolIndex = this.activePoolIndex % validEntries.length
-    const selected = validEntries[this.activePoolIndex]
-    this.activePoolIndex++
+    // 轮询选择，跳过已达到并发上限或正在退避的账号
+    for (let i = 0; i < validEntries.length; i++) {
+      this.activePoolIndex = this.activePoolIndex % validEntries.length
+      const selected = validEntries[this.activePoolIndex]
+      this.activePoolIndex++
+      if (!isExcluded || !isExcluded(selected.account)) {
+        return selected.account
+      }
+    }
 
-    return selected.account
+    console.warn('[AccountPool] All accounts in active pool are at max concurrency or backing off')
+    return null
   }
 
   /**
@@ -926,7 +1006,10 @@ class AccountPool {
           addedAt: entry.addedAt,
           errorCount: entry.errorCount,
           lastErrorAt: entry.lastErrorAt,
-          usagePercent: entry.account.usage.percentUsed
+          usagePercent: entry.account.usage.percentUsed,
+          inflight: this.concurrency.getInflight(entry.account.id),
+          maxConcurrency: this.concurrency.getLimit(entry.account),
+          backoffUntil: this.getAccountBackoffUntil(entry.account.id)
         }))
       },
       coolingPool: {
@@ -937,9 +1020,14 @@ class AccountPool {
           coolingStartAt: entry.coolingStartAt,
           errorCount: entry.errorCount,
           lastError: entry.lastError,
-          remainingCoolingMs: Math.max(0, this.activePoolConfig.coolingPeriodMs - (Date.now() - entry.coolingStartAt))
+          remainingCoolingMs: Math.max(0, this.activePoolConfig.coolingPeriodMs - (Date.now() - entry.coolingStartAt)),
+          inflight: this.concurrency.getInflight(entry.account.id)
         }))
       },
+      // 进行中请求数（所有 worker），Map 转为 { accountId: count }
+      inflight: Object.fromEntries(this.concurrency.counts),
+      // 正在限流退避的账号（当前进程）
+      backoffs: this.getBackoffStatus(),
       stats: {
         promotions: this.stats.activePoolPromotions,
         demotions: this.stats.activePoolDemotions,
@@ -1481,6 +1569,7 @@ class AccountPool {
 
       // 过滤并转换账号数据（带修复）
       const accounts = []
+      const undecryptable = []
       let filteredCount = 0
       let repairedCount = 0
 
@@ -1496,7 +1585,14 @@ class AccountPool {
               console.log(`[AccountPool] Repaired account ${row.email}:`, repairResult.repairs.join(', '))
             }
           }
-          accounts.push(rowToAccount(repairResult.row))
+          // 凭证无法解密（密钥缺失或密文损坏）时只跳过该账号，不影响其他账号
+          try {
+            accounts.push(rowToAccount(repairResult.row))
+          } catch (error) {
+            filteredCount++
+            undecryptable.push({ id: row.id, error })
+            console.error(`[AccountPool] Failed to decrypt credentials of account ${row.email}:`, error.message)
+          }
         } else {
           filteredCount++
           console.warn(`[AccountPool] Filtered account ${row.id || 'unknown'}:`, validation.errors.join(', '))
@@ -1512,6 +1608,10 @@ class AccountPool {
         console.warn(`[AccountPool] Filtered ${filteredCount} incomplete accounts, repaired ${repairedCount}`)
       }
 
+      for (const { id, error } of undecryptable) {
+        await this.markAccountError(id, `Credential decryption failed: ${error.message}`)
+      }
+
       // 更新缓存
       this.updateCache(cacheKey, accounts)
       this.stats.cacheMisses++
@@ -1690,14 +1790,77 @@ class AccountPool {
    * 1. 如果启用了活跃池机制，优先从活跃池获取账号
    * 2. 如果活跃池为空或未启用，回退到传统的分布式轮询
    *
+   * 分组配置了轮询以外的选择策略时，从同样的候选账号（活跃池或可用账号）中按策略选择
+   *
+   * 请求带有会话标识时（stickySession 中间件写入请求上下文），优先使用会话绑定的账号，
+   * 否则按上述方式选择账号并绑定到该会话
+   *
+   * 已达到并发上限或正在限流退避的账号不会被选择。请求经过 trackAccountInflight 中间件时为选中的账号获取租约，
+   * 其他 worker 抢先占满名额时换一个账号；同一请求换号时释放之前账号的租约
+   *
    * @param {string|null} groupId - 分组 ID，如果为 null 则从所有账号中选择
+   * @param {Object} [options]
+   * @param {string|null} [options.sessionKey] - 会话标识，默认从请求上下文读取
+   * @param {string[]} [options.exclude] - 不选择的账号 ID
+   * @param {boolean} [options.keepLeases] - 保留请求已持有的租约（同一请求同时使用多个账号，见 stream-hedging.js）
+   * @param {string|null} [options.preferAccountId] - 优先选择的账号（如持有提示词缓存的账号），不可选择时按上述方式选择
    */
-  async getNextAccount(groupId = null) {
+  async getNextAccount(groupId = null, {
+    sessionKey = getRequestContext()?.sessionKey || null,
+    exclude = [],
+    keepLeases = false,
+    preferAccountId = null
+  } = {}) {
+    await this.refreshConcurrency()
+    const context = getRequestContext()
+    const saturated = new Set(exclude)
+    const isExcluded = (account) => saturated.has(account.id) ||
+      this.concurrency.isSaturated(account) ||
+      this.isAccountBackingOff(account.id)
+
+    while (true) {
+      const preferred = preferAccountId ? await this.findSelectableAccount(preferAccountId, groupId, isExcluded) : null
+      const account = preferred || await this._selectAccount(groupId, sessionKey, isExcluded)
+      if (!context?.accountLeases) return account
+
+      const lease = await this.concurrency.acquire(account)
+      if (lease) {
+        if (!keepLeases) releaseContextLeases(context)
+        context.accountLeases.push(lease)
+        return account
+      }
+
+      saturated.add(account.id)
+      console.log(`[AccountPool] Account ${account.email} reached max concurrency (${this.concurrency.getLimit(account)}), reselecting`)
+    }
+  }
+
+  /**
+   * 选择账号（内部方法，不获取并发租约）
+   * @param {string|null} groupId - 分组 ID
+   * @param {string|null} sessionKey - 会话标识
+   * @param {Function} isExcluded - (account) => boolean，跳过已达到并发上限或正在退避的账号
+   */
+  async _selectAccount(groupId, sessionKey, isExcluded) {
+    if (sessionKey && this.sessionAffinity.enabled) {
+      const boundAccount = await this.getSessionAccount(sessionKey, groupId, isExcluded)
+      if (boundAccount) return boundAccount
+
+      const account = await this._selectAccount(groupId, null, isExcluded)
+      this.sessionAffinity.bind(sessionKey, account.id)
+      return account
+    }
+
+    const strategyName = await this.getSelectionStrategyName(groupId)
+    if (strategyName !== 'round_robin') {
+      return await this._getNextAccountWithStrategy(getSelectionStrategy(strategyName), groupId, isExcluded)
+    }
+
     const startTime = Date.now()
 
     // 优先使用活跃池（仅当 groupId 为 null 时）
     if (this.activePoolConfig.enabled && this.activePoolInitialized && !groupId) {
-      const activeAccount = this.getNextFromActivePool()
+      const activeAccount = this.getNextFromActivePool(isExcluded)
       if (activeAccount) {
         // 更新最后调用时间
         activeAccount.apiLastCallAt = Date.now()
@@ -1713,7 +1876,7 @@ class AccountPool {
         console.warn('[AccountPool] Active pool is empty, attempting to replenish...')
         await this.replenishActivePool()
 
-        const retryAccount = this.getNextFromActivePool()
+        const retryAccount = this.getNextFromActivePool(isExcluded)
         if (retryAccount) {
           retryAccount.apiLastCallAt = Date.now()
           console.log(`[AccountPool] Active pool (after replenish): selected account ${retryAccount.email}`)
@@ -1727,13 +1890,316 @@ class AccountPool {
     }
 
     // 传统的分布式轮询逻辑
-    return await this._getNextAccountRoundRobin(groupId, startTime)
+    return await this._getNextAccountRoundRobin(groupId, startTime, isExcluded)
+  }
+
+  /**
+   * 获取下一个可用账号，账号池暂时耗尽时排队等待
+   * 有账号离开冷却池、活跃池补充或缓存失效时重新选择，超时、队列已满或客户端断开时抛出错误
+   *
+   * @param {string|null} groupId - 分组 ID
+   * @param {Object} [options] - 见 AccountWaitQueue.acquire
+   * @param {string|null} [options.preferAccountId] - 优先选择的账号，见 getNextAccount
+   */
+  async acquireAccount(groupId = null, { preferAccountId = null, ...options } = {}) {
+    return await this.waitQueue.acquire(() => this.getNextAccount(groupId, { preferAccountId }), options)
+  }
+
+  /**
+   * 按选择策略获取账号（内部方法）
+   */
+  async _getNextAccountWithStrategy(strategy, groupId, isExcluded = null) {
+    const startTime = Date.now()
+    const { source, accounts: candidates } = await this.getSelectionCandidates(groupId)
+    const accounts = isExcluded ? candidates.filter(acc => !isExcluded(acc)) : candidates
+    if (accounts.length === 0) {
+      throw saturatedError(groupId)
+    }
+    const { account } = await strategy.select(accounts, this.createSelectionContext(groupId, source))
+
+    account.apiLastCallAt = Date.now()
+    console.log(`[AccountPool] ${strategy.name}: selected account ${account.email} (candidates: ${accounts.length}, source: ${source}, group: ${groupId || 'all'})`)
+    this.recordQueryDuration(Date.now() - startTime, 'get_next_account_strategy', true)
+    return account
+  }
+
+  /**
+   * 获取选择策略的候选账号
+   * 与 getNextAccount 一致：未指定分组且活跃池可用时使用活跃池，否则使用可用账号；
+   * 均过滤 token 即将过期的账号
+   * @param {string|null} groupId - 分组 ID
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - 试运行时活跃池为空也不补充
+   * @returns {Promise<{source: 'active_pool'|'available', accounts: Array}>}
+   */
+  async getSelectionCandidates(groupId = null, { dryRun = false } = {}) {
+    const now = Date.now()
+    // 预留 15 分钟缓冲，与 getNextAccount 保持一致
+    const hasValidToken = (acc) => !acc.credentials.expiresAt || acc.credentials.expiresAt > now + 15 * 60 * 1000
+
+    if (this.activePoolConfig.enabled && this.activePoolInitialized && !groupId && getWorkingStatus().isServiceAvailable) {
+      if (this.activePool.size === 0 && !dryRun) {
+        await this.replenishActivePool()
+      }
+      const activeAccounts = Array.from(this.activePool.values()).map(entry => entry.account).filter(hasValidToken)
+      if (activeAccounts.length > 0) {
+        return { source: 'active_pool', accounts: activeAccounts }
+      }
+    }
+
+    let accounts
+    try {
+      accounts = await this.getAvailableAccounts(groupId)
+    } catch (error) {
+      console.error('[AccountPool] getSelectionCandidates failed to get accounts:', error.message)
+      throw new Error('Account pool temporarily unavailable, please try again later')
+    }
+
+    if (accounts.length === 0) {
+      const groupInfo = groupId ? ` in group ${groupId}` : ''
+      throw new Error(`No available accounts${groupInfo} in pool`)
+    }
+
+    const validAccounts = accounts.filter(hasValidToken)
+    if (validAccounts.length === 0) {
+      throw new Error('All accounts have expired tokens')
+    }
+
+    return { source: 'available', accounts: validAccounts }
+  }
+
+  /**
+   * 构建选择策略的上下文（见 selection-strategies.js）
+   * @param {string|null} groupId - 分组 ID
+   * @param {'active_pool'|'available'} source - 候选账号来源
+   * @param {boolean} dryRun - 是否为试运行
+   */
+  createSelectionContext(groupId, source, dryRun = false) {
+    return {
+      now: Date.now(),
+      dryRun,
+      random: Math.random,
+      peekRoundRobinIndex: (count) => this.peekRoundRobinIndex(groupId, source, count),
+      getLatencies: () => this.getRecentLatencies()
+    }
+  }
+
+  /**
+   * 读取当前轮询索引（不推进）
+   * @returns {Promise<number>}
+   */
+  async peekRoundRobinIndex(groupId, source, accountCount) {
+    if (source === 'active_pool') {
+      return this.activePoolIndex % accountCount
+    }
+
+    try {
+      const [rows] = await this.dbPool.query(
+        'SELECT current_index FROM pool_round_robin WHERE group_id = ?',
+        [groupId || '__global__']
+      )
+      const currentIndex = rows[0]?.current_index || 0
+      return currentIndex >= accountCount ? 0 : currentIndex
+    } catch (error) {
+      console.error('[AccountPool] Failed to read round-robin index:', error.message)
+      return 0
+    }
+  }
+
+  /**
+   * 获取账号最近的平均耗时（所有服务器最近 15 分钟的成功请求，流式请求取首字时间）
+   * @returns {Promise<Map<string, {latencyMs: number, samples: number}>>}
+   */
+  async getRecentLatencies() {
+    if (Date.now() - this.latencyCache.loadedAt < LATENCY_CACHE_MS) {
+      return this.latencyCache.latencies
+    }
+
+    try {
+      const [rows] = await this.dbPool.query(
+        `SELECT account_id, AVG(COALESCE(time_to_first_byte, duration_ms)) AS latency_ms, COUNT(*) AS samples
+         FROM api_request_logs
+         WHERE status = 'success' AND account_id IS NOT NULL
+           AND created_at >= DATE_SUB(NOW(), INTERVAL ${LATENCY_WINDOW_MINUTES} MINUTE)
+         GROUP BY account_id`
+      )
+      this.latencyCache = {
+        latencies: new Map(rows.map(row => [row.account_id, {
+          latencyMs: Math.round(Number(row.latency_ms) || 0),
+          samples: Number(row.samples) || 0
+        }])),
+        loadedAt: Date.now()
+      }
+    } catch (error) {
+      console.error('[AccountPool] Failed to load account latencies:', error.message)
+      this.latencyCache.loadedAt = Date.now()
+    }
+    return this.latencyCache.latencies
+  }
+
+  /**
+   * 读取 settings 表中的设置（value_type 为 json 时解析）
+   * @param {string} key - 设置 key
+   * @returns {Promise<*>} 设置值，不存在时为 null
+   */
+  async readSetting(key) {
+    const [rows] = await this.dbPool.query('SELECT value, value_type FROM settings WHERE `key` = ?', [key])
+    let value = rows[0]?.value || null
+    if (value && rows[0].value_type === 'json') {
+      value = JSON.parse(value)
+    }
+    return value
+  }
+
+  /**
+   * 刷新账号并发上限设置和进行中请求数
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - 忽略缓存重新读取
+   */
+  async refreshConcurrency({ force = false } = {}) {
+    if (force || Date.now() - this.concurrencySettingLoadedAt >= CONCURRENCY_SETTING_CACHE_MS) {
+      try {
+        const value = await this.readSetting(ACCOUNT_CONCURRENCY_SETTING_KEY)
+        this.concurrency.setting = value && typeof value === 'object' ? value : null
+      } catch (error) {
+        // 读取失败时保留上次的设置
+        console.error('[AccountPool] Failed to load concurrency setting:', error.message)
+      }
+      this.concurrencySettingLoadedAt = Date.now()
+    }
+    await this.concurrency.refreshCounts({ force })
+  }
+
+  /**
+   * 获取分组使用的选择策略名
+   * @param {string|null} groupId - 分组 ID
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - 忽略缓存重新读取设置
+   * @returns {Promise<string>}
+   */
+  async getSelectionStrategyName(groupId = null, { refresh = false } = {}) {
+    if (refresh || Date.now() - this.selectionSetting.loadedAt >= SELECTION_SETTING_CACHE_MS) {
+      try {
+        const value = await this.readSetting(SELECTION_STRATEGY_SETTING_KEY)
+        this.selectionSetting = { value, loadedAt: Date.now() }
+      } catch (error) {
+        // 读取失败时保留上次的设置
+        console.error('[AccountPool] Failed to load selection strategy setting:', error.message)
+        this.selectionSetting.loadedAt = Date.now()
+      }
+    }
+    return resolveStrategyName(this.selectionSetting.value, groupId)
+  }
+
+  /**
+   * 试运行：列出每种策略当前会选择的账号（不推进轮询索引，不补充活跃池）
+   * 随机类策略（quota_weighted、random）每次结果可能不同
+   * @param {string|null} groupId - 分组 ID
+   */
+  async dryRunSelection(groupId = null) {
+    const strategy = await this.getSelectionStrategyName(groupId, { refresh: true })
+    const { source, accounts } = await this.getSelectionCandidates(groupId, { dryRun: true })
+    const context = this.createSelectionContext(groupId, source, true)
+
+    const results = []
+    for (const candidate of Object.values(SELECTION_STRATEGIES)) {
+      try {
+        const { account, detail } = await candidate.select(accounts, context)
+        results.push({
+          strategy: candidate.name,
+          description: candidate.description,
+          account: { id: account.id, email: account.email },
+          detail
+        })
+      } catch (error) {
+        results.push({ strategy: candidate.name, description: candidate.description, error: error.message })
+      }
+    }
+
+    return {
+      groupId,
+      strategy,
+      candidateSource: source,
+      candidateCount: accounts.length,
+      results
+    }
+  }
+
+  /**
+   * 查找可以选择的指定账号（可用、不在冷却池、Token 未临近过期且未被 isExcluded 排除）
+   * @param {string} accountId - 账号 ID
+   * @param {string|null} groupId - 分组 ID
+   * @param {Function|null} isExcluded - (account) => boolean
+   * @returns {Promise<Object|null>}
+   */
+  async findSelectableAccount(accountId, groupId = null, isExcluded = null) {
+    if (this.coolingPool.has(accountId)) return null
+
+    let account = null
+    try {
+      const accounts = await this.getAvailableAccounts(groupId)
+      account = accounts.find(acc => acc.id === accountId) || null
+    } catch (error) {
+      return null
+    }
+
+    // 预留 15 分钟缓冲，与 getNextAccount 保持一致
+    if (account && account.credentials.expiresAt && account.credentials.expiresAt <= Date.now() + 15 * 60 * 1000) {
+      return null
+    }
+    if (account && isExcluded && isExcluded(account)) {
+      return null
+    }
+    return account
+  }
+
+  /**
+   * 获取会话绑定的账号
+   * 账号已进入冷却池、不在可用账号中（封禁、配额耗尽、出错、已删除或不属于该分组）
+   * 或 token 即将过期、已达到并发上限时解除绑定并返回 null
+   * @param {string} sessionKey - 会话标识
+   * @param {string|null} groupId - 分组 ID
+   * @param {Function} [isExcluded] - (account) => boolean，已达到并发上限或正在退避的账号
+   * @returns {Promise<object|null>} 账号对象或 null
+   */
+  async getSessionAccount(sessionKey, groupId = null, isExcluded = null) {
+    const accountId = this.sessionAffinity.get(sessionKey)
+    if (!accountId) {
+      return null
+    }
+
+    const account = await this.findSelectableAccount(accountId, groupId, isExcluded)
+    if (!account) {
+      this.sessionAffinity.release(sessionKey)
+      this.stats.stickySessionFailovers++
+      console.log(`[AccountPool] Sticky session: bound account ${accountId} unavailable, reselecting`)
+      return null
+    }
+
+    this.sessionAffinity.bind(sessionKey, accountId)
+    this.stats.stickySessionHits++
+    account.apiLastCallAt = Date.now()
+    console.log(`[AccountPool] Sticky session: selected bound account ${account.email}`)
+    return account
+  }
+
+  /**
+   * 解除绑定到某个账号的所有会话
+   * @param {string} accountId - 账号 ID
+   * @param {string} reason - 原因（用于日志）
+   */
+  releaseAccountSessions(accountId, reason) {
+    const count = this.sessionAffinity.forgetAccount(accountId)
+    if (count > 0) {
+      this.stats.stickySessionFailovers += count
+      console.log(`[AccountPool] Released ${count} sticky session(s) of account ${accountId} (reason: ${reason})`)
+    }
   }
 
   /**
    * 传统的分布式轮询获取账号（内部方法）
    */
-  async _getNextAccountRoundRobin(groupId, startTime) {
+  async _getNextAccountRoundRobin(groupId, startTime, isExcluded = null) {
     const cacheKey = groupId || '__all__'
     let accounts
     let retryCount = 0
@@ -1776,8 +2242,16 @@ class AccountPool {
         continue
       }
 
-      // 选择当前索引的账号
-      const account = validAccounts[currentIdx]
+      // 选择当前索引的账号，已达到并发上限时顺延到下一个
+      let account = null
+      for (let i = 0; i < validAccounts.length && !account; i++) {
+        const candidate = validAccounts[(currentIdx + i) % validAccounts.length]
+        if (!isExcluded || !isExcluded(candidate)) account = candidate
+      }
+      if (!account) {
+        this.recordQueryDuration(Date.now() - startTime, 'get_next_account', false)
+        throw saturatedError(groupId)
+      }
 
       // 更新最后调用时间（用于统计，不阻塞）
       account.apiLastCallAt = now
@@ -1835,7 +2309,7 @@ class AccountPool {
     try {
       const [rows] = await this.dbPool.query(
         `
-        SELECT id, email, user_id, nickname, idp, status,
+        SELECT id, email, user_id, nickname, idp, status, group_id,
                cred_access_token, cred_refresh_token, cred_client_id,
                cred_client_secret, cred_region, cred_expires_at,
                cred_auth_method, cred_provider,
@@ -1854,7 +2328,7 @@ class AccountPool {
 
       if (rows.length === 0) return null
 
-      const row = rows[0]
+      const row = decryptCredentialRow(rows[0])
 
       // 验证数据完整性
       const validation = this.validateAccountRow(row)
@@ -1881,6 +2355,7 @@ class AccountPool {
         nickname: row.nickname,
         idp: row.idp,
         status: row.status,
+        groupId: row.group_id,
         headerVersion: row.header_version || 1,
         amzInvocationId: row.amz_invocation_id,
         kiroDeviceHash: row.kiro_device_hash,
@@ -1916,6 +2391,9 @@ class AccountPool {
    * @param {boolean} markInDb - 是否在数据库中标记为 error 状态（默认 true）
    */
   async markAccountError(accountId, errorMessage = null, markInDb = true) {
+    // 出错的账号不再保留会话，换号重试时重新绑定
+    this.releaseAccountSessions(accountId, 'error')
+
     try {
       // 1. 记录活跃池错误（如果启用）
       let movedToCooling = false
@@ -1957,6 +2435,90 @@ class AccountPool {
     if (this.activePoolConfig.enabled) {
       this.resetActivePoolErrorCount(accountId)
     }
+    // 调用成功后退避次数清零
+    const backoff = this.backoffs.get(accountId)
+    if (backoff && backoff.until <= Date.now()) {
+      this.backoffs.delete(accountId)
+    }
+  }
+
+  /**
+   * 账号被上游限流（429/ThrottlingException）时暂停选择该账号
+   * 退避时间按连续限流次数指数增长：min(maxMs, baseMs * 2^(n-1))，再取其 50%~100% 作为抖动，
+   * 避免多个账号同时恢复；上游返回 Retry-After 时不短于该时间。退避结束时唤醒等待队列
+   * @param {string} accountId - 账号 ID
+   * @param {Object} [options]
+   * @param {string} [options.reason] - 错误消息
+   * @param {number} [options.retryAfterMs] - 上游 Retry-After（毫秒）
+   * @returns {number} 退避时间（毫秒）
+   */
+  backoffAccount(accountId, { reason = null, retryAfterMs = null } = {}) {
+    const { baseMs, maxMs, resetAfterMs } = ACCOUNT_BACKOFF_CONFIG
+    const now = Date.now()
+    const previous = this.backoffs.get(accountId)
+    const attempts = previous && now - previous.lastAt < resetAfterMs ? previous.attempts + 1 : 1
+
+    const ceiling = Math.min(maxMs, baseMs * 2 ** (attempts - 1))
+    let delayMs = Math.round(ceiling / 2 + Math.random() * ceiling / 2)
+    if (retryAfterMs > 0) {
+      delayMs = Math.max(delayMs, Math.min(retryAfterMs, maxMs))
+    }
+
+    if (previous?.timer) clearTimeout(previous.timer)
+    const timer = setTimeout(() => this.waitQueue.notify(), delayMs)
+    timer.unref?.()
+    this.backoffs.set(accountId, { until: now + delayMs, attempts, lastAt: now, reason, timer })
+    this.stats.accountBackoffs++
+
+    // 退避中的账号不再保留会话，换号重试时重新绑定
+    this.releaseAccountSessions(accountId, 'throttled')
+    console.log(`[AccountPool] Account ${accountId} throttled, backing off ${delayMs}ms (attempt ${attempts})`)
+
+    if (this.systemLogger) {
+      this.systemLogger.logAccountPool({
+        action: 'account_backoff',
+        message: `账号 ${accountId} 被上游限流，退避 ${Math.round(delayMs / 1000)} 秒（第 ${attempts} 次）`,
+        details: { accountId, delayMs, attempts, retryAfterMs, reason },
+        level: 'warn'
+      }).catch(() => {})
+    }
+    return delayMs
+  }
+
+  /**
+   * 账号是否正在限流退避
+   * @param {string} accountId - 账号 ID
+   */
+  isAccountBackingOff(accountId) {
+    const backoff = this.backoffs.get(accountId)
+    return !!backoff && backoff.until > Date.now()
+  }
+
+  /**
+   * 账号退避结束时间（未退避返回 null）
+   * @param {string} accountId - 账号 ID
+   */
+  getAccountBackoffUntil(accountId) {
+    return this.isAccountBackingOff(accountId) ? this.backoffs.get(accountId).until : null
+  }
+
+  /**
+   * 获取正在退避的账号
+   * @returns {Object} { accountId: { until, remainingMs, attempts, reason } }
+   */
+  getBackoffStatus() {
+    const now = Date.now()
+    const result = {}
+    for (const [accountId, backoff] of this.backoffs) {
+      if (backoff.until <= now) continue
+      result[accountId] = {
+        until: backoff.until,
+        remainingMs: backoff.until - now,
+        attempts: backoff.attempts,
+        reason: backoff.reason
+      }
+    }
+    return result
   }
 
   /**
@@ -1967,6 +2529,7 @@ class AccountPool {
    */
   async markAccountQuotaExhausted(accountId, errorMessage = 'Quota exhausted (402)') {
     console.log(`[AccountPool] Account ${accountId} quota exhausted (402), marking as exhausted`)
+    this.releaseAccountSessions(accountId, 'quota_exhausted')
 
     // 异步更新数据库（不等待，不阻塞请求）
     this.dbPool
@@ -2018,7 +2581,7 @@ class AccountPool {
     try {
       await this.dbPool.query(
         'UPDATE accounts SET cred_access_token = ?, cred_refresh_token = ?, cred_expires_at = ? WHERE id = ?',
-        [accessToken, refreshToken, expiresAt, accountId]
+        [encryptCredential(accessToken), encryptCredential(refreshToken), expiresAt, accountId]
       )
       console.log(`[AccountPool] Updated token for account ${accountId}`)
 
@@ -2053,6 +2616,7 @@ class AccountPool {
    */
   invalidateCache() {
     this.accountsCache.clear()
+    this.waitQueue.notify()
     console.log('[AccountPool] Cache invalidated')
   }
 
@@ -2429,6 +2993,26 @@ class AccountPool {
         demotions: this.stats.activePoolDemotions,
         recoveries: this.stats.coolingPoolRecoveries,
         errors: this.stats.activePoolErrors
+      },
+      // 会话粘性统计
+      stickySessions: {
+        enabled: this.sessionAffinity.enabled,
+        size: this.sessionAffinity.size,
+        ttlMs: this.sessionAffinity.ttlMs,
+        hits: this.stats.stickySessionHits,
+        failovers: this.stats.stickySessionFailovers
+      },
+      // 等待队列统计
+      waitQueue: this.waitQueue.getStats(),
+      // 账号并发统计
+      accountConcurrency: this.concurrency.getStats(),
+      // 流式对冲统计
+      hedging: this.hedging.getStats(),
+      // 限流退避统计
+      backoff: {
+        ...ACCOUNT_BACKOFF_CONFIG,
+        backingOff: Object.keys(this.getBackoffStatus()).length,
+        total: this.stats.accountBackoffs
       }
     }
   }
@@ -2459,7 +3043,12 @@ class AccountPool {
       activePoolPromotions: 0,
       activePoolDemotions: 0,
       coolingPoolRecoveries: 0,
-      activePoolErrors: 0
+      activePoolErrors: 0,
+      // 会话粘性统计
+      stickySessionHits: 0,
+      stickySessionFailovers: 0,
+      // 限流退避统计
+      accountBackoffs: 0
     }
     console.log('[AccountPool] Stats reset')
   }
@@ -0,0 +1,125 @@
+/**
+ * API Key 工具函数
+ *
+ * api_keys 表只保存 Key 的 SHA-256 哈希和用于展示的前缀，明文只在创建时返回一次
+ */
+
+import { createHash, randomBytes } from 'crypto'
+
+// 生成的 Key 前缀
+export const API_KEY_PREFIX = 'sk-kiro-'
+
+// 列表中展示的 Key 前缀长度
+const DISPLAY_PREFIX_LENGTH = 12
+
+// 请求未指定模型时各接口使用的默认模型
+export const DEFAULT_REQUEST_MODEL = 'claude-sonnet-4-5'
+
+/**
+ * 生成新的 API Key 明文
+ * @returns {string}
+ */
+export function generateApiKey() {
+  return API_KEY_PREFIX + randomBytes(24).toString('base64url')
+}
+
+/**
+ * 计算 API Key 哈希（用于存储和查找）
+ * @param {string} apiKey - API Key 明文
+ * @returns {string} 64 位十六进制哈希
+ */
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex')
+}
+
+/**
+ * 获取用于展示的 Key 前缀
+ */
+export function getDisplayPrefix(apiKey) {
+  return apiKey.slice(0, DISPLAY_PREFIX_LENGTH)
+}
+
+/**
+ * 解析 allowed_models 字段
+ * @param {string|null} value - JSON 数组字符串
+ * @returns {string[]|null} null 表示不限制
+ */
+export function parseAllowedModels(value) {
+  if (!value) return null
+  try {
+    const models = JSON.parse(value)
+    return Array.isArray(models) && models.length > 0 ? models : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 序列化 allowed_models 字段
+ * @param {string[]|null} allowedModels - 允许的模型，null 或空数组表示不限制
+ * @returns {string|null}
+ */
+export function serializeAllowedModels(allowedModels) {
+  return allowedModels && allowedModels.length > 0 ? JSON.stringify(allowedModels) : null
+}
+
+/**
+ * 检查模型是否在允许列表内
+ * @param {string[]|null} allowedModels - 允许的模型，null 表示不限制
+ * @param {string} model - 请求的模型
+ */
+export function isModelAllowed(allowedModels, model) {
+  if (!allowedModels || allowedModels.length === 0) return true
+  return allowedModels.includes(model)
+}
+
+/**
+ * 获取请求体中使用的模型（含 Message Batches 的 requests[].params.model）
+ * @param {Object} body - 请求体
+ * @returns {string[]}
+ */
+export function getRequestedModels(body) {
+  if (!body || typeof body !== 'object') return []
+
+  if (Array.isArray(body.requests)) {
+    return [...new Set(body.requests.map(request => request?.params?.model || DEFAULT_REQUEST_MODEL))]
+  }
+  // 只检查生成类请求（带 messages / prompt / input），其他接口不涉及模型
+  if (body.model || body.messages !== undefined || body.prompt !== undefined || body.input !== undefined) {
+    return [body.model || DEFAULT_REQUEST_MODEL]
+  }
+  return []
+}
+
+/**
+ * 获取 API Key 当前状态
+ * @returns {'active'|'revoked'|'expired'}
+ */
+export function getApiKeyStatus(row, now = Date.now()) {
+  if (row.revoked_at) return 'revoked'
+  if (row.expires_at && row.expires_at <= now) return 'expired'
+  return 'active'
+}
+
+/**
+ * 将 api_keys 表行转换为接口返回对象（不包含哈希）
+ */
+export function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    groupId: row.group_id || null,
+    keyPrefix: row.key_prefix,
+    allowedModels: parseAllowedModels(row.allowed_models),
+    rateLimitRpm: row.rate_limit_rpm || 0,
+    rateLimitTpm: row.rate_limit_tpm || 0,
+    maxConcurrentStreams: row.max_concurrent_streams || 0,
+    maxQueueWaitMs: row.max_queue_wait_ms ?? null,
+    status: getApiKeyStatus(row),
+    expiresAt: row.expires_at || null,
+    revokedAt: row.revoked_at || null,
+    lastUsedAt: row.last_used_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
@@ -2,54 +2,194 @@
  * OpenAI 兼容 API 授权验证中间件
  *
  * 认证方式：
- * 1. JWT Cookie 认证（Web 和 Electron 统一使用）
+ * 1. 登录会话 Cookie 认证（Web 和 Electron 统一使用，需要 admin 或 operator 角色）
  * 2. API Key 认证（Bearer token）
+ *   - 默认 SK（DEFAULT_API_KEY）
+ *   - api_keys 表中的 Key（按哈希查找，支持过期、吊销和模型限制）
+ *   - groups 表中的分组 SK（旧版，每个分组一个）
  */
 
-import jwt from 'jsonwebtoken'
-import { DEFAULT_API_KEY, ELECTRON_AUTH_SECRET } from '../config/index.js'
+import { DEFAULT_API_KEY } from '../config/index.js'
 import { pool } from '../db/index.js'
-
-// JWT 密钥（与 auth.js 保持一致）
-const JWT_SECRET = ELECTRON_AUTH_SECRET || 'kiro-jwt-secret-2024'
+import { fingerprintApiKey, groupLimitsFromRow } from './rate-limiter.js'
+import { hashApiKey, parseAllowedModels, getApiKeyStatus } from './api-keys.js'
+import { runWithRequestContext } from '../utils/request-context.js'
+import { getSession, needsTwoFactorSetup } from '../models/user.js'
+import { Permission, hasPermission } from '../middleware/permissions.js'
 
 // 分组 API Key 缓存（避免每次请求都查询数据库）
 const groupApiKeyCache = new Map()
 const CACHE_TTL = 60 * 1000 // 缓存 60 秒
 
+// api_keys 表缓存（按 Key 哈希）
+const apiKeyCache = new Map()
+
+// last_used_at 最短更新间隔，避免每个请求都写数据库
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000
+
 /**
- * 根据 API Key 查找对应的分组 ID
+ * 根据 API Key 查找对应的分组 ID、分组限流配置和模型设置
  * @param {string} apiKey - API Key
- * @returns {Promise<string|null>} - 分组 ID 或 null（表示默认 SK）
+ * @returns {Promise<{groupId: string|null, limits: Object|null, allowedModels: string[]|null, defaultModel: string|null}>}
+ *   groupId 为 null 表示不是分组 SK
  */
 async function findGroupByApiKey(apiKey) {
   // 检查缓存
   const cached = groupApiKeyCache.get(apiKey)
   if (cached && cached.expiresAt > Date.now()) {
-    return cached.groupId
+    return cached.group
   }
   
   try {
     const [rows] = await pool.query(
-      'SELECT id FROM `groups` WHERE api_key = ? LIMIT 1',
+      'SELECT id, rate_limit_rpm, rate_limit_tpm, max_concurrent_streams, allowed_models, default_model FROM `groups` WHERE api_key = ? LIMIT 1',
       [apiKey]
     )
     
-    const groupId = rows.length > 0 ? rows[0].id : null
+    const group = rows.length > 0
+      ? {
+          groupId: rows[0].id,
+          limits: groupLimitsFromRow(rows[0]),
+          allowedModels: parseAllowedModels(rows[0].allowed_models),
+          defaultModel: rows[0].default_model || null
+        }
+      : { groupId: null, limits: null, allowedModels: null, defaultModel: null }
     
     // 更新缓存
     groupApiKeyCache.set(apiKey, {
-      groupId,
+      group,
       expiresAt: Date.now() + CACHE_TTL
     })
     
-    return groupId
+    return group
   } catch (error) {
     console.error('[OpenAI Auth] Failed to query group by API key:', error.message)
+    return { groupId: null, limits: null, allowedModels: null, defaultModel: null }
+  }
+}
+
+/**
+ * 在 api_keys 表中查找 API Key（同时读取所属分组的限流配置和模型设置）
+ * @param {string} apiKey - API Key 明文
+ * @returns {Promise<Object|null>} - api_keys 表行，未找到时为 null
+ */
+async function findManagedApiKey(apiKey) {
+  const keyHash = hashApiKey(apiKey)
+  const cached = apiKeyCache.get(keyHash)
+
+  try {
+    if (cached && cached.expiresAt > Date.now()) {
+      if (!cached.row) return null
+      // 缓存只在本进程清除，命中时重新读取吊销和过期状态，其他进程吊销的 Key 立即失效
+      const [rows] = await pool.query(
+        'SELECT revoked_at, expires_at FROM api_keys WHERE id = ? LIMIT 1',
+        [cached.row.id]
+      )
+      if (rows.length === 0) {
+        apiKeyCache.delete(keyHash)
+        return null
+      }
+      cached.row.revoked_at = rows[0].revoked_at
+      cached.row.expires_at = rows[0].expires_at
+      return cached.row
+    }
+
+    const [rows] = await pool.query(
+      `SELECT k.*, g.id AS group_exists, g.rate_limit_rpm AS group_rate_limit_rpm,
+        g.rate_limit_tpm AS group_rate_limit_tpm, g.max_concurrent_streams AS group_max_concurrent_streams,
+        g.allowed_models AS group_allowed_models, g.default_model AS group_default_model
+       FROM api_keys k LEFT JOIN \`groups\` g ON g.id = k.group_id
+       WHERE k.key_hash = ? LIMIT 1`,
+      [keyHash]
+    )
+
+    const row = rows.length > 0 ? rows[0] : null
+    apiKeyCache.set(keyHash, {
+      row,
+      expiresAt: Date.now() + CACHE_TTL
+    })
+    return row
+  } catch (error) {
+    console.error('[OpenAI Auth] Failed to query api_keys:', error.message)
     return null
   }
 }
 
+/**
+ * 是否配置了任何 API Key（api_keys 表中的 Key 或分组 SK）
+ * 未配置 DEFAULT_API_KEY 时用于判断能否跳过认证；查询失败时抛出，由调用方拒绝请求
+ * @returns {Promise<boolean>}
+ */
+async function hasConfiguredApiKeys() {
+  const [managed] = await pool.query('SELECT 1 FROM api_keys LIMIT 1')
+  if (managed.length > 0) return true
+  const [groups] = await pool.query("SELECT 1 FROM `groups` WHERE api_key IS NOT NULL AND api_key <> '' LIMIT 1")
+  return groups.length > 0
+}
+
+/**
+ * 记录 API Key 最近使用时间（异步，不阻塞请求）
+ */
+function touchApiKey(row) {
+  const now = Date.now()
+  if (row.last_used_at && now - row.last_used_at < LAST_USED_UPDATE_INTERVAL) return
+  row.last_used_at = now
+
+  pool.query('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, row.id]).catch(error => {
+    console.error('[OpenAI Auth] Failed to update last_used_at:', error.message)
+  })
+}
+
+/**
+ * 使用 api_keys 表中的 Key 完成认证
+ */
+function authenticateManagedKey(row, req, res, next) {
+  const status = getApiKeyStatus(row)
+  // 分组已删除的 Key 视为无效，避免变成可访问所有账号的 Key
+  if (status !== 'active' || (row.group_id && !row.group_exists)) {
+    const messages = {
+      revoked: 'API key has been revoked',
+      expired: 'API key has expired',
+      active: 'Invalid API key'
+    }
+    return res.status(401).json({
+      error: {
+        message: messages[status],
+        type: 'authentication_error',
+        code: status === 'active' ? 'invalid_api_key' : `api_key_${status}`
+      }
+    })
+  }
+
+  const keyLimits = groupLimitsFromRow(row)
+  req.groupId = row.group_id || null
+  req.apiKeyId = row.id
+  req.apiKeyLimits = keyLimits.rpm > 0 || keyLimits.tpm > 0 || keyLimits.maxStreams > 0 ? keyLimits : undefined
+  req.groupLimits = row.group_id ? groupLimitsFromRow({
+    rate_limit_rpm: row.group_rate_limit_rpm,
+    rate_limit_tpm: row.group_rate_limit_tpm,
+    max_concurrent_streams: row.group_max_concurrent_streams
+  }) : null
+  // 模型限制由 model-registry 的 resolveRequestModel 检查
+  req.allowedModels = parseAllowedModels(row.allowed_models)
+  req.groupAllowedModels = parseAllowedModels(row.group_allowed_models)
+  req.defaultModel = row.group_default_model || null
+  // 账号池耗尽时的最长排队时间，未设置时使用 WAIT_QUEUE_MAX_WAIT_MS
+  req.maxQueueWaitMs = row.max_queue_wait_ms ?? undefined
+
+  touchApiKey(row)
+  console.log(`[OpenAI Auth] Authenticated with API key ${row.key_prefix}... (${row.name}, group: ${row.group_id || 'all'})`)
+  return runWithRequestContext({ apiKeyId: req.apiKeyId, groupId: req.groupId }, next)
+}
+
+/**
+ * 清除 api_keys 缓存（在 API Key 更新、吊销或删除时调用）
+ */
+export function clearApiKeyCache() {
+  apiKeyCache.clear()
+  console.log('[OpenAI Auth] API key cache cleared')
+}
+
 /**
  * 清除分组 API Key 缓存（在分组更新时调用）
  */
@@ -63,109 +203,151 @@ export function clearGroupApiKeyCache() {
  * 检查请求的 Authorization header 或 x-api-key header 是否包含有效的 token
  *
  * 认证优先级：
- * 1. JWT Cookie 认证（Web 和 Electron 统一使用）
+ * 1. 登录会话 Cookie 认证（Web 和 Electron 统一使用，需要 admin 或 operator 角色）
  * 2. API Key 认证
  *   - Authorization: Bearer <token>（OpenAI 格式）
  *   - x-api-key: <token>（Claude 格式）
  *   - 默认 SK（访问所有账号）
  *   - 分组 SK（只访问分组内账号）
+ *
+ * API Key 认证成功后设置 req.apiKeyId（Key 指纹）和 req.groupLimits，供 rate-limiter 使用，
+ * 设置 req.allowedModels / req.groupAllowedModels / req.defaultModel，供 model-registry 使用，
+ * 并在请求上下文中保存 apiKeyId / groupId，供请求日志和配额统计使用
  */
 export function validateApiKey(req, res, next) {
-  // 检查 JWT token（auth_token cookie）
-  // Electron 和 Web 统一使用密码认证（JWT cookie）
+  // 检查登录会话（auth_token cookie），需要 accounts:write 权限（admin / operator）
   const authToken = req.cookies?.auth_token
-  if (authToken) {
-    try {
-      // 验证 JWT token
-      jwt.verify(authToken, JWT_SECRET)
-      console.log('[OpenAI Auth] Web client authenticated via JWT token')
-      return next()
-    } catch (error) {
-      // JWT 验证失败（过期或无效），继续尝试其他认证方式
-      console.log('[OpenAI Auth] JWT token validation failed:', error.message)
-    }
-  }
-  
-  // 如果没有配置默认 API Key，则跳过验证
-  if (!DEFAULT_API_KEY) {
-    console.warn('[Auth] DEFAULT_API_KEY not configured, skipping authentication')
-    return next()
+  if (!authToken) {
+    return authenticateApiKey(req, res, next)
   }
 
-  // 提取 API Key - 支持两种格式：
-  // 1. Authorization: Bearer <token>（OpenAI 格式）
-  // 2. x-api-key: <token>（Claude 格式）
-  let providedKey = null
-  const authHeader = req.headers.authorization
-  const xApiKey = req.headers['x-api-key']
+  getSession(authToken)
+    .then(async session => {
+      if (session && hasPermission(session.user.role, Permission.ACCOUNTS_WRITE) && !(await needsTwoFactorSetup(session.user))) {
+        req.user = session.user
+        console.log(`[OpenAI Auth] Web client authenticated via session (user: ${session.user.username})`)
+        return next()
+      }
+      // 会话无效、权限不足或未按要求启用两步验证，继续尝试 API Key 认证
+      console.log('[OpenAI Auth] Session cookie is invalid or lacks permission, trying API key')
+      return authenticateApiKey(req, res, next)
+    })
+    .catch(error => {
+      console.error('[OpenAI Auth] Error validating session:', error)
+      return res.status(500).json({
+        error: {
+          message: 'Internal server error during authentication',
+          type: 'server_error',
+          code: 'auth_error'
+        }
+      })
+    })
+}
 
+/**
+ * 从请求头提取 API Key，支持两种格式：
+ * 1. Authorization: Bearer <token>（OpenAI 格式）
+ * 2. x-api-key: <token>（Claude 格式）
+ * @returns {{key: string|null, error: Object|null}} error 为请求头格式错误时的响应体
+ */
+function extractApiKey(req) {
+  const authHeader = req.headers.authorization
   if (authHeader) {
     // 检查格式是否为 "Bearer <token>"
     const parts = authHeader.split(' ')
     if (parts.length === 2 && parts[0] === 'Bearer') {
-      providedKey = parts[1]
-    } else {
-      return res.status(401).json({
-        error: {
-          message: 'Invalid Authorization header format. Expected: Bearer <token>',
-          type: 'authentication_error',
-          code: 'invalid_authorization_format'
-        }
-      })
+      return { key: parts[1], error: null }
     }
-  } else if (xApiKey) {
-    // Claude 格式：x-api-key header
-    providedKey = xApiKey
-  }
-
-  // 检查是否提供了 API Key
-  if (!providedKey) {
-    return res.status(401).json({
+    return {
+      key: null,
       error: {
-        message: 'Missing Authorization header or x-api-key header',
+        message: 'Invalid Authorization header format. Expected: Bearer <token>',
         type: 'authentication_error',
-        code: 'missing_authorization'
+        code: 'invalid_authorization_format'
       }
-    })
+    }
   }
+  return { key: req.headers['x-api-key'] || null, error: null }
+}
+
+/**
+ * API Key 认证（见 validateApiKey）
+ * 依次检查默认 SK、api_keys 表和分组 SK；只有默认 SK、api_keys 表和分组 SK 都没有配置时才跳过认证
+ */
+function authenticateApiKey(req, res, next) {
+  const { key: providedKey, error: formatError } = extractApiKey(req)
 
   // 验证 API Key 是否匹配默认 SK
-  if (providedKey === DEFAULT_API_KEY) {
+  if (providedKey && DEFAULT_API_KEY && providedKey === DEFAULT_API_KEY) {
     // 默认 SK，可以访问所有账号
     req.groupId = null // null 表示不限制分组
+    req.apiKeyId = fingerprintApiKey(providedKey)
     console.log('[OpenAI Auth] Authenticated with default API key (all accounts)')
-    return next()
+    return runWithRequestContext({ apiKeyId: req.apiKeyId, groupId: req.groupId }, next)
   }
 
-  // 检查是否为分组 SK
-  findGroupByApiKey(providedKey)
-    .then(groupId => {
+  // 依次检查 api_keys 表和分组 SK
+  const authenticate = async () => {
+    if (providedKey) {
+      const managed = await findManagedApiKey(providedKey)
+      if (managed) {
+        return authenticateManagedKey(managed, req, res, next)
+      }
+
+      const { groupId, limits, allowedModels, defaultModel } = await findGroupByApiKey(providedKey)
       if (groupId) {
         // 分组 SK，只能访问该分组内的账号
         req.groupId = groupId
+        req.apiKeyId = fingerprintApiKey(providedKey)
+        req.groupLimits = limits
+        req.groupAllowedModels = allowedModels
+        req.defaultModel = defaultModel
         console.log(`[OpenAI Auth] Authenticated with group API key (group: ${groupId})`)
-        return next()
+        return runWithRequestContext({ apiKeyId: req.apiKeyId, groupId: req.groupId }, next)
       }
-      
-      // 无效的 API Key
+    }
+
+    // 没有配置任何 API Key，则跳过验证
+    if (!DEFAULT_API_KEY && !(await hasConfiguredApiKeys())) {
+      console.warn('[Auth] No API key configured (DEFAULT_API_KEY, api_keys, group keys), skipping authentication')
+      return next()
+    }
+
+    if (formatError) {
+      return res.status(401).json({ error: formatError })
+    }
+
+    // 检查是否提供了 API Key
+    if (!providedKey) {
       return res.status(401).json({
         error: {
-          message: 'Invalid API key',
+          message: 'Missing Authorization header or x-api-key header',
           type: 'authentication_error',
-          code: 'invalid_api_key'
+          code: 'missing_authorization'
         }
       })
+    }
+
+    // 无效的 API Key
+    return res.status(401).json({
+      error: {
+        message: 'Invalid API key',
+        type: 'authentication_error',
+        code: 'invalid_api_key'
+      }
     })
-    .catch(error => {
-      console.error('[OpenAI Auth] Error validating API key:', error)
-      return res.status(500).json({
-        error: {
-          message: 'Internal server error during authentication',
-          type: 'server_error',
-          code: 'auth_error'
-        }
-      })
+  }
+
+  return authenticate().catch(error => {
+    console.error('[OpenAI Auth] Error validating API key:', error)
+    return res.status(500).json({
+      error: {
+        message: 'Internal server error during authentication',
+        type: 'server_error',
+        code: 'auth_error'
+      }
     })
+  })
 }
 
 export default validateApiKey
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * OpenAI 采样与长度参数处理
+ * Kiro 接口不接受采样参数，这里负责校验参数，并在代理侧模拟能模拟的部分：
+ * - max_tokens / max_completion_tokens：按输出 token 截断，finish_reason 为 length
+ * - stop：命中停止序列时截断，finish_reason 为 stop
+ * - tool_choice：通过声明的工具集合和 system 提示实现
+ * - parallel_tool_calls=false：只保留第一个工具调用
+ * - n：只支持 1
+ * - temperature / top_p：无法透传，校验后在响应头 X-Kiro-Ignored-Params 中列出
+ * - /v1/completions 的 suffix / logprobs / best_of：无法实现，直接拒绝
+ */
+
+// 与 estimateTokens 保持一致：约 4 个字符一个 token
+const CHARS_PER_TOKEN = 4
+
+// OpenAI 允许的最大停止序列数量
+const MAX_STOP_SEQUENCES = 4
+
+// 无法透传给 Kiro、只做校验的参数
+export const IGNORED_PARAMS_HEADER = 'X-Kiro-Ignored-Params'
+
+/**
+ * 构建参数错误
+ * @param {string} param - 参数名
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {{param: string, message: string, code: string}}
+ */
+function paramError(param, message, code = 'invalid_value') {
+  return { param, message, code }
+}
+
+/**
+ * 校验可选数值参数的范围
+ * @returns {object|null} 参数错误或 null
+ */
+function checkRange(body, param, min, max) {
+  const value = body[param]
+  if (value === undefined || value === null) return null
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+    return paramError(param, `'${param}' must be a number between ${min} and ${max}`)
+  }
+  return null
+}
+
+/**
+ * 解析并校验 chat completions 请求中的采样与长度参数
+ * @param {object} body - 请求体
+ * @returns {{error: object}|{params: object}} 校验失败返回 error，否则返回规范化后的参数
+ */
+export function parseCompletionParams(body) {
+  // max_completion_tokens 优先（新版参数名），max_tokens 兼容旧客户端
+  const maxTokensParam = body.max_completion_tokens !== undefined && body.max_completion_tokens !== null
+    ? 'max_completion_tokens'
+    : 'max_tokens'
+  const maxTokensValue = body[maxTokensParam]
+  let maxTokens = null
+  if (maxTokensValue !== undefined && maxTokensValue !== null) {
+    if (!Number.isInteger(maxTokensValue) || maxTokensValue < 1) {
+      return { error: paramError(maxTokensParam, `'${maxTokensParam}' must be a positive integer`) }
+    }
+    maxTokens = maxTokensValue
+  }
+
+  // stop：字符串或字符串数组
+  let stop = []
+  if (body.stop !== undefined && body.stop !== null) {
+    const list = typeof body.stop === 'string' ? [body.stop] : body.stop
+    if (!Array.isArray(list) || list.some(s => typeof s !== 'string' || s.length === 0)) {
+      return { error: paramError('stop', "'stop' must be a non-empty string or an array of non-empty strings") }
+    }
+    if (list.length > MAX_STOP_SEQUENCES) {
+      return { error: paramError('stop', `'stop' supports at most ${MAX_STOP_SEQUENCES} sequences`) }
+    }
+    stop = list
+  }
+
+  // n：Kiro 每次只返回一个结果
+  if (body.n !== undefined && body.n !== null) {
+    if (!Number.isInteger(body.n) || body.n < 1) {
+      return { error: paramError('n', "'n' must be a positive integer") }
+    }
+    if (body.n > 1) {
+      return { error: paramError('n', "Only 'n=1' is supported", 'unsupported_parameter') }
+    }
+  }
+
+  const rangeError = checkRange(body, 'temperature', 0, 2) || checkRange(body, 'top_p', 0, 1)
+  if (rangeError) {
+    return { error: rangeError }
+  }
+
+  if (body.parallel_tool_calls !== undefined && body.parallel_tool_calls !== null &&
+      typeof body.parallel_tool_calls !== 'boolean') {
+    return { error: paramError('parallel_tool_calls', "'parallel_tool_calls' must be a boolean") }
+  }
+
+  const toolChoiceResult = parseToolChoice(body.tool_choice, body.tools)
+  if (toolChoiceResult.error) {
+    return { error: toolChoiceResult.error }
+  }
+
+  const ignored = ['temperature', 'top_p'].filter(p => body[p] !== undefined && body[p] !== null)
+
+  return {
+    params: {
+      maxTokens,
+      stop,
+      toolChoice: toolChoiceResult.toolChoice,
+      parallelToolCalls: body.parallel_tool_calls !== false,
+      ignored
+    }
+  }
+}
+
+/**
+ * 校验 /v1/completions 特有的参数（其余参数由 parseCompletionParams 处理）
+ * @param {object} body - 请求体
+ * @returns {object|null} 参数错误或 null
+ */
+export function checkTextCompletionParams(body) {
+  if (body.echo !== undefined && body.echo !== null && typeof body.echo !== 'boolean') {
+    return paramError('echo', "'echo' must be a boolean")
+  }
+  if (body.suffix) {
+    return paramError('suffix', "'suffix' is not supported", 'unsupported_parameter')
+  }
+  if (body.logprobs !== undefined && body.logprobs !== null) {
+    return paramError('logprobs', "'logprobs' is not supported", 'unsupported_parameter')
+  }
+  if (body.best_of !== undefined && body.best_of !== null && body.best_of !== 1) {
+    return paramError('best_of', "Only 'best_of=1' is supported", 'unsupported_parameter')
+  }
+  return null
+}
+
+/**
+ * 解析 tool_choice
+ * @param {string|object} toolChoice - 请求中的 tool_choice
+ * @param {Array} tools - 请求中的工具列表
+ * @returns {{error: object}|{toolChoice: object}} toolChoice 为 { type: 'auto'|'none'|'required'|'function', name? }
+ */
+function parseToolChoice(toolChoice, tools) {
+  if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto') {
+    return { toolChoice: { type: 'auto' } }
+  }
+
+  const hasTools = Array.isArray(tools) && tools.length > 0
+
+  if (toolChoice === 'none') {
+    return { toolChoice: { type: 'none' } }
+  }
+
+  if (toolChoice === 'required') {
+    if (!hasTools) {
+      return { error: paramError('tool_choice', "'tool_choice' is 'required' but no tools were provided") }
+    }
+    return { toolChoice: { type: 'required' } }
+  }
+
+  if (typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    const name = toolChoice.function?.name
+    if (!name) {
+      return { error: paramError('tool_choice', "'tool_choice.function.name' is required") }
+    }
+    const declared = hasTools && tools.some(t => (t.function?.name || t.name) === name)
+    if (!declared) {
+      return { error: paramError('tool_choice', `Tool '${name}' in 'tool_choice' is not declared in 'tools'`) }
+    }
+    return { toolChoice: { type: 'function', name } }
+  }
+
+  return { error: paramError('tool_choice', "'tool_choice' must be 'none', 'auto', 'required' or a function object") }
+}
+
+/**
+ * 按 tool_choice 调整发送给 Kiro 的工具列表和 system prompt
+ * Kiro 没有 tool_choice 参数：none 时不声明工具，required/指定函数时收窄工具集合并追加提示
+ * @param {Array} tools - 请求中的工具列表
+ * @param {string|null} systemPrompt - system prompt
+ * @param {object} toolChoice - parseCompletionParams 返回的 toolChoice
+ * @returns {{tools: Array|undefined, systemPrompt: string|null}}
+ */
+export function applyToolChoice(tools, systemPrompt, toolChoice) {
+  const appendHint = (hint) => systemPrompt ? `${systemPrompt}\n\n${hint}` : hint
+
+  switch (toolChoice?.type) {
+    case 'none':
+      return { tools: undefined, systemPrompt }
+    case 'required':
+      return {
+        tools,
+        systemPrompt: appendHint('You must respond by calling at least one of the provided tools.')
+      }
+    case 'function':
+      return {
+        tools: tools.filter(t => (t.function?.name || t.name) === toolChoice.name),
+        systemPrompt: appendHint(`You must respond by calling the tool "${toolChoice.name}".`)
+      }
+    default:
+      return { tools, systemPrompt }
+  }
+}
+
+/**
+ * 输出截断器
+ * 按停止序列和最大输出 token 截断文本；流式时会暂存可能构成停止序列前缀的尾部，
+ * 避免停止序列被拆在两个 chunk 中时泄露给客户端
+ */
+export class OutputLimiter {
+  /**
+   * @param {object} options
+   * @param {Array<string>} options.stop - 停止序列
+   * @param {number|null} options.maxTokens - 最大输出 token（只统计正文，不含 thinking）
+   */
+  constructor({ stop = [], maxTokens = null } = {}) {
+    this.stop = stop.filter(Boolean)
+    this.maxChars = maxTokens ? maxTokens * CHARS_PER_TOKEN : null
+    this.holdback = this.stop.length > 0 ? Math.max(...this.stop.map(s => s.length)) - 1 : 0
+    this.pending = ''
+    this.emittedChars = 0
+    this.finishReason = null
+  }
+
+  /**
+   * 是否已经截断（之后的输出应丢弃）
+   * @returns {boolean}
+   */
+  get finished() {
+    return this.finishReason !== null
+  }
+
+  /**
+   * 追加一段输出
+   * @param {string} text - 新的输出片段
+   * @returns {string} 可以发送给客户端的文本
+   */
+  push(text) {
+    if (this.finished || !text) return ''
+
+    const buffer = this.pending + text
+    this.pending = ''
+
+    let stopIdx = -1
+    for (const seq of this.stop) {
+      const idx = buffer.indexOf(seq)
+      if (idx !== -1 && (stopIdx === -1 || idx < stopIdx)) {
+        stopIdx = idx
+      }
+    }
+
+    if (stopIdx !== -1) {
+      this.finishReason = 'stop'
+      return this._applyLength(buffer.substring(0, stopIdx))
+    }
+
+    const keep = Math.min(this.holdback, buffer.length)
+    this.pending = buffer.substring(buffer.length - keep)
+    return this._applyLength(buffer.substring(0, buffer.length - keep))
+  }
+
+  /**
+   * 流结束时输出暂存的尾部
+   * @returns {string}
+   */
+  flush() {
+    if (this.finished) return ''
+    const rest = this.pending
+    this.pending = ''
+    return this._applyLength(rest)
+  }
+
+  _applyLength(text) {
+    if (this.maxChars === null || this.emittedChars + text.length <= this.maxChars) {
+      this.emittedChars += text.length
+      return text
+    }
+    // 有超出长度上限的输出才标记 length（覆盖上限之后的停止序列）；恰好达到上限时生成可能已经自然结束
+    this.finishReason = 'length'
+    const allowed = text.substring(0, this.maxChars - this.emittedChars)
+    this.emittedChars += allowed.length
+    this.pending = ''
+    return allowed
+  }
+}
@@ -8,6 +8,10 @@ export { convertMessages, extractSystemPrompt, estimateTokens } from './openai-c
 // 导出响应构建器
 export { buildOpenAIResponse, buildStreamChunk } from './openai-response.js'
 
+// 导出 Responses API 转换器和响应构建器
+export { convertResponsesRequest } from './responses-converter.js'
+export { ResponsesBuilder, buildResponsesUsage } from './responses-builder.js'
+
 // 导出路由初始化函数
 export { initOpenAIRoutes, default } from './openai-routes.js'
 
@@ -17,5 +21,29 @@ export { default as AccountPool } from './account-pool.js'
 // 导出认证中间件
 export { validateApiKey } from './auth-middleware.js'
 
+// 导出限流
+export { rateLimit, initRateLimiter, RateLimiter, MysqlRateLimitStore, MemoryRateLimitStore } from './rate-limiter.js'
+
+// 导出配额
+export { enforceQuota, initQuotaManager, QuotaManager } from './quota-manager.js'
+
+// 导出模型注册表
+export { resolveRequestModel, initModelRegistry, ModelRegistry } from './model-registry.js'
+
+// 导出账号选择策略
+export { SELECTION_STRATEGIES, getSelectionStrategy } from './selection-strategies.js'
+
+// 导出会话粘性
+export { stickySession, SessionAffinity } from './session-affinity.js'
+
+// 导出等待队列
+export { AccountWaitQueue, buildQueueWaitOptions } from './wait-queue.js'
+
+// 导出账号并发限制
+export { trackAccountInflight, AccountConcurrency, MysqlInflightStore, MemoryInflightStore } from './account-concurrency.js'
+
+// 导出流式对冲
+export { StreamHedging } from './stream-hedging.js'
+
 // 导出请求日志
 export { default as RequestLogger } from './request-logger.js'
@@ -0,0 +1,287 @@
+/**
+ * JSON Schema 校验（response_format: json_schema 使用）
+ * 实现结构化输出常用的关键字子集：
+ * type、enum、const、$ref（同文档内）、properties、required、additionalProperties、
+ * items、prefixItems、minItems、maxItems、uniqueItems、minLength、maxLength、pattern、
+ * minimum、maximum、exclusiveMinimum、exclusiveMaximum、multipleOf、anyOf、oneOf、allOf、not
+ * 不认识的关键字（format、description 等）忽略
+ */
+
+// 最多收集的错误数量，避免超大输出生成过长的修正提示
+const MAX_ERRORS = 10
+
+// pattern 由客户端提供并在共享的事件循环上执行，限制长度并拒绝嵌套量词，避免灾难性回溯（ReDoS）
+export const MAX_PATTERN_LENGTH = 200
+// 超过该长度的字符串不检查 pattern
+export const MAX_PATTERN_INPUT_LENGTH = 10000
+
+/**
+ * 位置 i 是否为 *、+ 或 {n,m} 量词（? 只匹配 0 或 1 次，不会导致回溯爆炸）
+ */
+function isRepeatQuantifier(pattern, i) {
+  return pattern[i] === '*' || pattern[i] === '+' || (pattern[i] === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)))
+}
+
+/**
+ * 是否包含嵌套量词，如 (a+)+、(\w*)*、((ab)+){2,}
+ */
+function hasNestedQuantifier(pattern) {
+  // 每层分组内是否出现了重复量词
+  const groups = [false]
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '\\') {
+      i++
+    } else if (char === '[') {
+      // 跳过字符类
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++
+      }
+    } else if (char === '(') {
+      groups.push(false)
+    } else if (char === ')') {
+      const repeated = groups.length > 1 ? groups.pop() : false
+      if (repeated && isRepeatQuantifier(pattern, i + 1)) return true
+      if (repeated) groups[groups.length - 1] = true
+    } else if (isRepeatQuantifier(pattern, i)) {
+      groups[groups.length - 1] = true
+    }
+  }
+  return false
+}
+
+/**
+ * 编译 pattern
+ * @param {string} pattern - 正则表达式
+ * @returns {RegExp}
+ * @throws {Error} 不合法、过长或包含嵌套量词
+ */
+function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`)
+  }
+  if (hasNestedQuantifier(pattern)) {
+    throw new Error(`pattern '${pattern}' contains nested quantifiers, which are not supported`)
+  }
+  return new RegExp(pattern, 'u')
+}
+
+/**
+ * 检查字符串是否匹配 pattern，不支持的 pattern 或超长字符串视为匹配（不检查）
+ */
+function matchesPattern(value, pattern) {
+  if (typeof pattern !== 'string' || value.length > MAX_PATTERN_INPUT_LENGTH) return true
+  try {
+    return compilePattern(pattern).test(value)
+  } catch (error) {
+    return true
+  }
+}
+
+/**
+ * 获取值的 JSON 类型
+ * @param {*} value - JSON 值
+ * @returns {string} null / boolean / integer / number / string / array / object
+ */
+function jsonType(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+/**
+ * 判断值是否符合 type 关键字（integer 也是 number）
+ */
+function matchesType(value, type) {
+  const actual = jsonType(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * 解析同文档内的 $ref（#/$defs/x、#/definitions/x）
+ * @param {object} root - 根 schema
+ * @param {string} ref - $ref 值
+ * @returns {object}
+ */
+function resolveRef(root, ref) {
+  if (ref === '#') return root
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref '${ref}', only local references are supported`)
+  }
+  let target = root
+  for (const segment of ref.slice(2).split('/')) {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~')
+    target = target?.[key]
+  }
+  if (target === undefined) {
+    throw new Error(`Cannot resolve $ref '${ref}'`)
+  }
+  return target
+}
+
+/**
+ * 深度比较两个 JSON 值
+ */
+function jsonEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * 校验值并收集错误
+ * @param {*} value - 待校验的值
+ * @param {object|boolean} schema - 当前 schema
+ * @param {object} root - 根 schema（解析 $ref）
+ * @param {string} path - 当前值的路径（错误信息使用）
+ * @param {Array<string>} errors - 错误列表
+ */
+function check(value, schema, root, path, errors) {
+  if (errors.length >= MAX_ERRORS) return
+  if (schema === true || schema === undefined) return
+  if (schema === false) {
+    errors.push(`${path}: no value is allowed here`)
+    return
+  }
+
+  if (schema.$ref) {
+    check(value, resolveRef(root, schema.$ref), root, path, errors)
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${jsonType(value)}`)
+      return
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => jsonEqual(e, value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`)
+  }
+  if (schema.const !== undefined && !jsonEqual(schema.const, value)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`)
+  }
+
+  const type = jsonType(value)
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern !== undefined && !matchesPattern(value, schema.pattern)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`)
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`)
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`)
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`)
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push(`${path}: must be a multiple of ${schema.multipleOf}`)
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`)
+    }
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      errors.push(`${path}: items must be unique`)
+    }
+    const prefix = schema.prefixItems || []
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items
+      check(item, itemSchema, root, `${path}[${i}]`, errors)
+    })
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${path}: missing required property '${key}'`)
+      }
+    }
+    const properties = schema.properties || {}
+    for (const [key, propValue] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(propValue, properties[key], root, `${path}.${key}`, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${key}'`)
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(propValue, schema.additionalProperties, root, `${path}.${key}`, errors)
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) check(value, sub, root, path, errors)
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJsonSchema(value, sub, root).length === 0)) {
+    errors.push(`${path}: must match at least one schema in anyOf`)
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateJsonSchema(value, sub, root).length === 0).length
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one schema in oneOf (matched ${matches})`)
+    }
+  }
+  if (schema.not && validateJsonSchema(value, schema.not, root).length === 0) {
+    errors.push(`${path}: must not match the schema in not`)
+  }
+}
+
+/**
+ * 按 JSON Schema 校验值
+ * @param {*} value - 已解析的 JSON 值
+ * @param {object|boolean} schema - JSON Schema
+ * @param {object} root - 根 schema（默认为 schema 本身）
+ * @returns {Array<string>} 错误列表，为空表示校验通过
+ */
+export function validateJsonSchema(value, schema, root = schema) {
+  const errors = []
+  check(value, schema, root, '$', errors)
+  return errors
+}
+
+/**
+ * 检查 schema 本身能否用于校验：$ref 可解析、pattern 是合法正则且不会灾难性回溯
+ * @param {object} schema - JSON Schema
+ * @returns {string|null} 问题描述，没有问题返回 null
+ */
+export function checkJsonSchema(schema) {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return 'schema must be an object'
+  }
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit)
+      return
+    }
+    if (typeof node !== 'object' || node === null) return
+    if (typeof node.$ref === 'string') resolveRef(schema, node.$ref)
+    if (typeof node.pattern === 'string') compilePattern(node.pattern)
+    Object.values(node).forEach(visit)
+  }
+  try {
+    visit(schema)
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * 模型注册表
+ *
+ * 模型定义保存在 models 表（对外模型名 → Kiro 模型 ID、最大输出 token、是否默认），
+ * 别名保存在 model_aliases 表（例如 gpt-4o → claude-sonnet-4-5）。
+ *
+ * 注册表定时从数据库加载快照，并同步到 KiroClient 的模型映射；
+ * 数据库尚未加载或不可用时使用 kiro/constants.js 中的 MODEL_MAPPING。
+ *
+ * 请求的模型按以下顺序确定：
+ * 1. 请求体中的 model（别名解析为对应模型）
+ * 2. 分组的默认模型
+ * 3. 注册表的默认模型
+ * 之后检查 API Key 和分组的允许模型列表
+ */
+
+import KiroClient, { MODEL_MAPPING, KIRO_MAX_OUTPUT_TOKENS } from '../kiro/index.js'
+import { isModelAllowed } from './api-keys.js'
+
+// 快照刷新间隔
+const REFRESH_INTERVAL = 60 * 1000
+
+// 内置默认模型
+export const BUILTIN_DEFAULT_MODEL = 'claude-sonnet-4-5'
+
+// 内置别名（首次初始化时写入 model_aliases）
+export const BUILTIN_MODEL_ALIASES = {
+  'gpt-4o': 'claude-sonnet-4-5',
+  'gpt-4-turbo': 'claude-sonnet-4-5'
+}
+
+/**
+ * 内置模型定义（首次初始化时写入 models 表）
+ * @returns {Array<Object>} models 表行
+ */
+export function getBuiltinModelRows() {
+  return Object.entries(MODEL_MAPPING).map(([id, kiroModelId]) => ({
+    id,
+    kiro_model_id: kiroModelId,
+    display_name: null,
+    max_output_tokens: KIRO_MAX_OUTPUT_TOKENS,
+    is_default: id === BUILTIN_DEFAULT_MODEL,
+    enabled: true
+  }))
+}
+
+/**
+ * 将 models 表行转换为模型对象
+ * @param {Object} row - models 表行
+ * @param {string[]} aliases - 指向该模型的别名
+ */
+export function rowToModel(row, aliases = []) {
+  return {
+    id: row.id,
+    kiroModelId: row.kiro_model_id,
+    displayName: row.display_name || null,
+    maxOutputTokens: row.max_output_tokens || 0,
+    isDefault: Boolean(row.is_default),
+    enabled: Boolean(row.enabled),
+    aliases,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * 由 models / model_aliases 表行构建注册表快照
+ * @param {Array<Object>} modelRows - models 表行
+ * @param {Array<Object>} aliasRows - model_aliases 表行
+ * @returns {{models: Map, aliases: Map, defaultModel: string|null}}
+ */
+export function buildSnapshot(modelRows, aliasRows = []) {
+  const aliasesByModel = new Map()
+  for (const row of aliasRows) {
+    if (!aliasesByModel.has(row.model_id)) aliasesByModel.set(row.model_id, [])
+    aliasesByModel.get(row.model_id).push(row.alias)
+  }
+
+  const models = new Map()
+  for (const row of modelRows) {
+    models.set(row.id, rowToModel(row, aliasesByModel.get(row.id) || []))
+  }
+
+  const aliases = new Map()
+  for (const row of aliasRows) {
+    if (models.has(row.model_id)) aliases.set(row.alias, row.model_id)
+  }
+
+  const enabled = [...models.values()].filter(model => model.enabled)
+  const defaultModel = (enabled.find(model => model.isDefault) || enabled.find(model => model.id === BUILTIN_DEFAULT_MODEL) || enabled[0])?.id || null
+
+  return { models, aliases, defaultModel }
+}
+
+/**
+ * 由内置模型和别名构建快照
+ */
+export function buildBuiltinSnapshot() {
+  const aliasRows = Object.entries(BUILTIN_MODEL_ALIASES).map(([alias, modelId]) => ({ alias, model_id: modelId }))
+  return buildSnapshot(getBuiltinModelRows(), aliasRows)
+}
+
+/**
+ * 检查模型是否在允许列表内（列表中可以写模型名或别名，别名代表其指向的模型）
+ */
+function isAllowedBy(snapshot, allowedModels, modelId) {
+  if (isModelAllowed(allowedModels, modelId)) return true
+  return allowedModels.some(entry => snapshot.aliases.get(entry) === modelId)
+}
+
+/**
+ * 解析请求的模型
+ * @param {Object} snapshot - buildSnapshot() 结果
+ * @param {string|undefined} requested - 请求体中的 model
+ * @param {Object} [access]
+ * @param {string[]|null} [access.allowedModels] - API Key 允许的模型
+ * @param {string[]|null} [access.groupAllowedModels] - 分组允许的模型
+ * @param {string|null} [access.defaultModel] - 分组默认模型
+ * @returns {{model: Object}|{error: {code: string, message: string}}}
+ */
+export function resolveModel(snapshot, requested, { allowedModels = null, groupAllowedModels = null, defaultModel = null } = {}) {
+  const name = requested || defaultModel || snapshot.defaultModel
+  if (!name) {
+    return { error: { code: 'model_not_found', message: 'No model specified and no default model is configured' } }
+  }
+
+  const modelId = snapshot.aliases.get(name) || name
+  const model = snapshot.models.get(modelId)
+  if (!model || !model.enabled) {
+    return { error: { code: 'model_not_found', message: `The model '${name}' does not exist or you do not have access to it` } }
+  }
+
+  if (!isAllowedBy(snapshot, allowedModels, modelId)) {
+    return { error: { code: 'model_not_allowed', message: `Model '${name}' is not allowed for this API key` } }
+  }
+  if (!isAllowedBy(snapshot, groupAllowedModels, modelId)) {
+    return { error: { code: 'model_not_allowed', message: `Model '${name}' is not allowed for this group` } }
+  }
+
+  return { model }
+}
+
+/**
+ * 列出调用方可以使用的模型（含别名）
+ * @returns {Array<{id: string, model: Object}>}
+ */
+export function listAvailableModels(snapshot, access = {}) {
+  const result = []
+  for (const model of snapshot.models.values()) {
+    for (const id of [model.id, ...model.aliases]) {
+      if (resolveModel(snapshot, id, access).model) {
+        result.push({ id, model })
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * 检查请求的最大输出 token 是否超出模型上限
+ * @returns {string|null} 错误信息
+ */
+export function checkMaxOutputTokens(model, maxTokens, param = 'max_tokens') {
+  if (!model.maxOutputTokens || maxTokens === undefined || maxTokens === null) return null
+  if (typeof maxTokens === 'number' && maxTokens > model.maxOutputTokens) {
+    return `${param}: ${maxTokens} > ${model.maxOutputTokens}, which is the maximum allowed number of output tokens for ${model.id}`
+  }
+  return null
+}
+
+export class ModelRegistry {
+  /**
+   * @param {Object} dbPool - MySQL 连接池
+   */
+  constructor(dbPool) {
+    this.dbPool = dbPool
+    this.snapshot = buildBuiltinSnapshot()
+    this.refreshTimer = null
+  }
+
+  /**
+   * 从数据库重新加载快照（失败时保留当前快照）
+   */
+  async refresh() {
+    try {
+      const [modelRows] = await this.dbPool.query('SELECT * FROM models ORDER BY id')
+      const [aliasRows] = await this.dbPool.query('SELECT * FROM model_aliases ORDER BY alias')
+      if (modelRows.length === 0) return this.snapshot
+
+      this.snapshot = buildSnapshot(modelRows, aliasRows)
+      KiroClient.setModelMapping(Object.fromEntries(
+        [...this.snapshot.models.values()].map(model => [model.id, model.kiroModelId])
+      ))
+    } catch (error) {
+      console.error('[ModelRegistry] Failed to load models:', error.message)
+    }
+    return this.snapshot
+  }
+
+  /**
+   * 写入内置模型和别名（仅在 models 表为空时）
+   */
+  async seedDefaults() {
+    const [rows] = await this.dbPool.query('SELECT COUNT(*) AS count FROM models')
+    if (Number(rows[0].count) > 0) return false
+
+    const now = Date.now()
+    for (const row of getBuiltinModelRows()) {
+      await this.dbPool.query(
+        `INSERT IGNORE INTO models (id, kiro_model_id, display_name, max_output_tokens, is_default, enabled, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [row.id, row.kiro_model_id, row.display_name, row.max_output_tokens, row.is_default, row.enabled, now, now]
+      )
+    }
+    for (const [alias, modelId] of Object.entries(BUILTIN_MODEL_ALIASES)) {
+      await this.dbPool.query(
+        'INSERT IGNORE INTO model_aliases (alias, model_id, created_at) VALUES (?, ?, ?)',
+        [alias, modelId, now]
+      )
+    }
+    console.log('[ModelRegistry] Seeded built-in models')
+    return true
+  }
+
+  /**
+   * 启动定时刷新（多服务器部署时同步其他服务器的修改）
+   */
+  startRefresh() {
+    this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL)
+    this.refreshTimer.unref?.()
+  }
+
+  stopRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer)
+      this.refreshTimer = null
+    }
+  }
+}
+
+/**
+ * 获取请求的模型访问限制
+ */
+function getAccess(req) {
+  return {
+    allowedModels: req.allowedModels || null,
+    groupAllowedModels: req.groupAllowedModels || null,
+    defaultModel: req.defaultModel || null
+  }
+}
+
+/**
+ * 构建模型错误响应
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {{code: string, message: string}} error
+ */
+export function buildModelErrorResponse(format, { code, message }) {
+  const status = code === 'model_not_found' ? 404 : code === 'model_not_allowed' ? 403 : 400
+
+  if (format === 'claude') {
+    const type = status === 404 ? 'not_found_error' : status === 403 ? 'permission_error' : 'invalid_request_error'
+    return { status, body: { type: 'error', error: { type, message } } }
+  }
+  const type = status === 403 ? 'permission_error' : 'invalid_request_error'
+  return { status, body: { error: { message, type, code } } }
+}
+
+// 全局注册表实例（由 initModelRegistry 创建）
+let modelRegistry = null
+
+/**
+ * 初始化全局模型注册表
+ */
+export function initModelRegistry(dbPool) {
+  modelRegistry = new ModelRegistry(dbPool)
+  return modelRegistry
+}
+
+export function getModelRegistry() {
+  return modelRegistry
+}
+
+/**
+ * 获取当前快照（注册表未初始化时使用内置模型）
+ */
+export function getModelSnapshot() {
+  return modelRegistry ? modelRegistry.snapshot : buildBuiltinSnapshot()
+}
+
+/**
+ * 模型解析中间件，放在 validateApiKey 之后
+ *
+ * 将请求体中的 model（Message Batches 为每个 requests[].params.model）替换为解析后的模型名，
+ * 并检查最大输出 token。未知模型返回 404 model_not_found，不允许的模型返回 403 model_not_allowed
+ *
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {Object} [options]
+ * @param {string[]} [options.maxTokensParams] - 需要检查的最大输出 token 参数
+ */
+export function resolveRequestModel(format, { maxTokensParams = ['max_tokens'] } = {}) {
+  return (req, res, next) => {
+    const snapshot = getModelSnapshot()
+    const access = getAccess(req)
+    const body = req.body || {}
+
+    const apply = (params, prefix = '') => {
+      const { model, error } = resolveModel(snapshot, params.model, access)
+      if (error) return { ...error, message: prefix + error.message }
+
+      params.model = model.id
+      for (const param of maxTokensParams) {
+        const message = checkMaxOutputTokens(model, params[param], param)
+        if (message) return { code: 'max_tokens_too_large', message: prefix + message }
+      }
+      return null
+    }
+
+    let error = null
+    if (Array.isArray(body.requests)) {
+      for (const request of body.requests) {
+        if (!request?.params || typeof request.params !== 'object') continue
+        error = apply(request.params, `requests[${request.custom_id}]: `)
+        if (error) break
+      }
+    } else {
+      error = apply(body)
+    }
+
+    if (error) {
+      const { status, body: errorBody } = buildModelErrorResponse(format, error)
+      return res.status(status).json(errorBody)
+    }
+    next()
+  }
+}
+
+export default ModelRegistry
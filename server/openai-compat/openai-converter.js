@@ -129,6 +129,27 @@ export function extractSystemPrompt(messages) {
     .join('\n')
 }
 
+/**
+ * 将 /v1/completions 的 prompt 转换为单条 user 消息的文本
+ * 字符串数组按换行拼接为一个 prompt；不支持 token 数组
+ * @param {string|Array<string>} prompt - 请求中的 prompt
+ * @returns {{prompt: string}|{error: {param: string, message: string, code: string}}}
+ */
+export function convertPrompt(prompt) {
+  if (typeof prompt === 'string') {
+    return prompt.length > 0
+      ? { prompt }
+      : { error: { param: 'prompt', message: "'prompt' must not be empty", code: 'invalid_value' } }
+  }
+  if (Array.isArray(prompt) && prompt.length > 0) {
+    if (prompt.every(p => typeof p === 'string')) {
+      return { prompt: prompt.join('\n') }
+    }
+    return { error: { param: 'prompt', message: 'Token array prompts are not supported', code: 'unsupported_parameter' } }
+  }
+  return { error: { param: 'prompt', message: "'prompt' is required and must be a string or an array of strings", code: 'invalid_value' } }
+}
+
 /**
  * 估算 token 数量（简单实现）
  * @param {string} text - 文本内容
@@ -4,6 +4,24 @@
 
 import { v4 as uuidv4 } from 'uuid'
 
+/**
+ * 构建 OpenAI usage 对象
+ * @param {number} promptTokens - 输入 token 数
+ * @param {number} completionTokens - 输出 token 数（包含 reasoning）
+ * @param {number} reasoningTokens - thinking 输出 token 数
+ * @returns {object}
+ */
+export function buildUsage(promptTokens, completionTokens, reasoningTokens = 0) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_tokens_details: {
+      reasoning_tokens: reasoningTokens
+    }
+  }
+}
+
 /**
  * 构建 OpenAI 格式的响应
  * @param {string} content - 响应内容
@@ -13,9 +31,10 @@ import { v4 as uuidv4 } from 'uuid'
  * @param {string} finishReason - 结束原因
  * @param {Array} contentBlocks - 内容块（包含 text/thinking 类型）
  * @param {Array} toolCalls - 工具调用列表
+ * @param {number} reasoningTokens - thinking 输出 token 数（包含在 outputTokens 中）
  * @returns {object}
  */
-export function buildOpenAIResponse(content, model, inputTokens, outputTokens, finishReason = 'stop', contentBlocks = null, toolCalls = null) {
+export function buildOpenAIResponse(content, model, inputTokens, outputTokens, finishReason = 'stop', contentBlocks = null, toolCalls = null, reasoningTokens = 0) {
   const message = { role: 'assistant', content }
 
   // 如果有 thinking 内容，添加 reasoning_content
@@ -45,7 +64,7 @@ export function buildOpenAIResponse(content, model, inputTokens, outputTokens, f
   }
 
   const response = {
-    id: `chatcmpl-${uuidv4()}`,
+    id: createChatCompletionId(),
     object: 'chat.completion',
     created: Math.floor(Date.now() / 1000),
     model,
@@ -57,16 +76,20 @@ export function buildOpenAIResponse(content, model, inputTokens, outputTokens, f
         finish_reason: finishReason
       }
     ],
-    usage: {
-      prompt_tokens: inputTokens,
-      completion_tokens: outputTokens,
-      total_tokens: inputTokens + outputTokens
-    }
+    usage: buildUsage(inputTokens, outputTokens, reasoningTokens)
   }
 
   return response
 }
 
+/**
+ * 生成 chat completion 响应 ID（同一次流式响应的所有 chunk 共用）
+ * @returns {string}
+ */
+export function createChatCompletionId() {
+  return `chatcmpl-${uuidv4()}`
+}
+
 /**
  * 构建 SSE 流式响应块
  * @param {string} content - 内容
@@ -74,9 +97,10 @@ export function buildOpenAIResponse(content, model, inputTokens, outputTokens, f
  * @param {string|null} finishReason - 结束原因
  * @param {string} deltaType - delta 类型：'content' 或 'thinking'
  * @param {boolean} isFirst - 是否为首个 chunk（首个 chunk 需要包含 role: 'assistant'）
+ * @param {string} [id] - createChatCompletionId 生成的响应 ID
  * @returns {string}
  */
-export function buildStreamChunk(content, model, finishReason = null, deltaType = 'content', isFirst = false) {
+export function buildStreamChunk(content, model, finishReason = null, deltaType = 'content', isFirst = false, id = createChatCompletionId()) {
   let delta = {}
 
   if (finishReason) {
@@ -99,7 +123,7 @@ export function buildStreamChunk(content, model, finishReason = null, deltaType
   }
 
   const chunk = {
-    id: `chatcmpl-${uuidv4()}`,
+    id,
     object: 'chat.completion.chunk',
     created: Math.floor(Date.now() / 1000),
     model,
@@ -122,9 +146,10 @@ export function buildStreamChunk(content, model, finishReason = null, deltaType
  * @param {object} functionArgs - 函数参数
  * @param {string} model - 模型名称
  * @param {boolean} isFirst - 是否为首个 chunk
+ * @param {string} [id] - createChatCompletionId 生成的响应 ID
  * @returns {string}
  */
-export function buildToolCallChunk(toolCallId, functionName, functionArgs, model, isFirst = false) {
+export function buildToolCallChunk(toolCallId, functionName, functionArgs, model, isFirst = false, id = createChatCompletionId()) {
   const argsStr = typeof functionArgs === 'string' ? functionArgs : JSON.stringify(functionArgs)
 
   const delta = {
@@ -145,7 +170,7 @@ export function buildToolCallChunk(toolCallId, functionName, functionArgs, model
   }
 
   const chunk = {
-    id: `chatcmpl-${uuidv4()}`,
+    id,
     object: 'chat.completion.chunk',
     created: Math.floor(Date.now() / 1000),
     model,
@@ -160,3 +185,117 @@ export function buildToolCallChunk(toolCallId, functionName, functionArgs, model
   }
   return `data: ${JSON.stringify(chunk)}\n\n`
 }
+
+/**
+ * 构建 usage 流式响应块（stream_options.include_usage 为 true 时在 [DONE] 前发送）
+ * @param {string} id - createChatCompletionId 生成的响应 ID
+ * @param {string} model - 模型名称
+ * @param {object} usage - buildUsage 构建的 usage 对象
+ * @returns {string}
+ */
+export function buildUsageChunk(id, model, usage) {
+  const chunk = {
+    id,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [],
+    usage
+  }
+  return `data: ${JSON.stringify(chunk)}\n\n`
+}
+
+/**
+ * 生成 /v1/completions 响应 ID（同一次流式响应的所有 chunk 共用）
+ * @returns {string}
+ */
+export function createTextCompletionId() {
+  return `cmpl-${uuidv4()}`
+}
+
+/**
+ * 构建 /v1/completions 响应
+ * @param {string} text - 补全文本（echo 时包含 prompt）
+ * @param {string} model - 模型名称
+ * @param {number} promptTokens - 输入 token 数
+ * @param {number} completionTokens - 输出 token 数
+ * @param {string} finishReason - 结束原因：stop 或 length
+ * @returns {object}
+ */
+export function buildTextCompletion(text, model, promptTokens, completionTokens, finishReason = 'stop') {
+  return {
+    id: createTextCompletionId(),
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        text,
+        index: 0,
+        logprobs: null,
+        finish_reason: finishReason
+      }
+    ],
+    usage: buildTextUsage(promptTokens, completionTokens)
+  }
+}
+
+/**
+ * 构建 /v1/completions SSE 流式响应块
+ * @param {string} id - createTextCompletionId 生成的响应 ID
+ * @param {string} text - 文本片段
+ * @param {string} model - 模型名称
+ * @param {string|null} finishReason - 结束原因（最后一个 chunk）
+ * @returns {string}
+ */
+export function buildTextCompletionChunk(id, text, model, finishReason = null) {
+  const chunk = {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        text,
+        index: 0,
+        logprobs: null,
+        finish_reason: finishReason
+      }
+    ]
+  }
+  return `data: ${JSON.stringify(chunk)}\n\n`
+}
+
+/**
+ * 构建 /v1/completions usage 流式响应块（stream_options.include_usage 为 true 时在 [DONE] 前发送）
+ * @param {string} id - createTextCompletionId 生成的响应 ID
+ * @param {string} model - 模型名称
+ * @param {number} promptTokens - 输入 token 数
+ * @param {number} completionTokens - 输出 token 数
+ * @returns {string}
+ */
+export function buildTextCompletionUsageChunk(id, model, promptTokens, completionTokens) {
+  const chunk = {
+    id,
+    object: 'text_completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [],
+    usage: buildTextUsage(promptTokens, completionTokens)
+  }
+  return `data: ${JSON.stringify(chunk)}\n\n`
+}
+
+/**
+ * 构建 /v1/completions usage 对象（不含 completion_tokens_details）
+ * @param {number} promptTokens - 输入 token 数
+ * @param {number} completionTokens - 输出 token 数
+ * @returns {object}
+ */
+function buildTextUsage(promptTokens, completionTokens) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  }
+}
@@ -1,29 +1,73 @@
 /**
  * OpenAI 兼容 API 路由
- * 提供 /v1/chat/completions 等标准接口
+ * 提供 /v1/chat/completions、/v1/responses、/v1/completions 等标准接口
  */
 
 import { Router } from 'express'
 import { v4 as uuidv4 } from 'uuid'
-import KiroClient, { SUPPORTED_MODELS, checkThinkingMode } from '../kiro/index.js'
+import KiroClient, { checkThinkingMode, extractThinkingFromContent } from '../kiro/index.js'
 import AccountPool from './account-pool.js'
 import RequestLogger from './request-logger.js'
 import { validateApiKey } from './auth-middleware.js'
+import { rateLimit } from './rate-limiter.js'
+import { enforceQuota } from './quota-manager.js'
+import { resolveRequestModel, resolveModel, listAvailableModels, getModelSnapshot } from './model-registry.js'
+import { stickySession } from './session-affinity.js'
 import { getClientIp } from '../utils/request-utils.js'
-import { isRetryableError, isQuotaExhaustedError, isBannedError } from '../utils/retry-utils.js'
-import { convertMessages, extractSystemPrompt, estimateTokens } from './openai-converter.js'
-import { buildOpenAIResponse, buildStreamChunk, buildToolCallChunk } from './openai-response.js'
+import { convertMessages, convertPrompt, extractSystemPrompt, estimateTokens } from './openai-converter.js'
+import {
+  buildOpenAIResponse,
+  buildStreamChunk,
+  buildToolCallChunk,
+  buildUsage,
+  buildUsageChunk,
+  createChatCompletionId,
+  createTextCompletionId,
+  buildTextCompletion,
+  buildTextCompletionChunk,
+  buildTextCompletionUsageChunk
+} from './openai-response.js'
+import { UsageTracker } from './token-counter.js'
+import {
+  parseCompletionParams,
+  checkTextCompletionParams,
+  applyToolChoice,
+  OutputLimiter,
+  IGNORED_PARAMS_HEADER
+} from './completion-params.js'
+import {
+  MAX_ACCOUNT_RETRIES,
+  selectAccount,
+  executeWithAccountRetry,
+  primeStream,
+  recordAccountFailure,
+  buildUpstreamErrorResponse,
+  accountLogFields
+} from './request-executor.js'
+import { buildQueueWaitOptions } from './wait-queue.js'
+import { trackAccountInflight } from './account-concurrency.js'
+import { convertResponsesRequest, toResponsesParam } from './responses-converter.js'
+import {
+  parseResponseFormat,
+  isJsonResponseFormat,
+  applyResponseFormat,
+  executeWithJsonValidation,
+  JSON_STREAM_MODE_HEADER,
+  JSON_VALIDATION_HEADER
+} from './response-format.js'
+import { ResponsesBuilder, buildResponsesUsage } from './responses-builder.js'
 import { checkWorkingHours, buildNonWorkingHoursError, getWorkingStatus } from '../utils/working-hours.js'
 
 const router = Router()
+
+// /v1/responses、/v1/completions 请求日志中的 api_protocol
+const RESPONSES_API_PROTOCOL = 'openai-responses'
+const COMPLETIONS_API_PROTOCOL = 'openai-completions'
 let accountPool = null
 let requestLogger = null
 let systemLogger = null
 let dbPool = null
 
-// 从环境变量读取最大重试次数，默认5次
-const MAX_ACCOUNT_RETRIES = parseInt(process.env.MAX_ACCOUNT_RETRIES || '5', 10)
-
 /**
  * 初始化路由
  * @param {object} pool - 数据库连接池
@@ -46,13 +90,14 @@ export function initOpenAIRoutes(pool, sysLogger = null, sharedAccountPool = nul
  * GET /v1/models - 列出可用模型
  */
 router.get('/v1/models', validateApiKey, async (req, res) => {
-  const models = SUPPORTED_MODELS.map((id) => ({
+  // 只列出当前 API Key 和分组允许的模型（含别名）
+  const models = listAvailableModels(getModelSnapshot(), req).map(({ id, model }) => ({
     id,
     object: 'model',
     created: 1700000000,
     owned_by: 'kiro-proxy',
     permission: [],
-    root: id,
+    root: model.id,
     parent: null
   }))
 
@@ -64,8 +109,9 @@ router.get('/v1/models', validateApiKey, async (req, res) => {
  */
 router.get('/v1/models/:model', validateApiKey, async (req, res) => {
   const { model } = req.params
+  const { model: resolved } = resolveModel(getModelSnapshot(), model, req)
 
-  if (!SUPPORTED_MODELS.includes(model)) {
+  if (!resolved) {
     return res.status(404).json({
       error: {
         message: `Model '${model}' not found`,
@@ -81,7 +127,7 @@ router.get('/v1/models/:model', validateApiKey, async (req, res) => {
     created: 1700000000,
     owned_by: 'kiro-proxy',
     permission: [],
-    root: model,
+    root: resolved.id,
     parent: null
   })
 })
@@ -91,7 +137,7 @@ router.get('/v1/models/:model', validateApiKey, async (req, res) => {
 /**
  * GET /v1/models - 列出可用模型
  */
-router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
+router.post('/v1/chat/completions', validateApiKey, resolveRequestModel('openai', { maxTokensParams: ['max_tokens', 'max_completion_tokens'] }), rateLimit('openai'), enforceQuota('openai'), stickySession('openai'), trackAccountInflight(), async (req, res) => {
   const requestId = uuidv4()
   const startTime = Date.now()
   const clientIp = getClientIp(req)
@@ -105,6 +151,8 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
   }
 
   const { messages, model = 'claude-sonnet-4-5', stream = false, tools, account_id } = req.body
+  // stream_options.include_usage：流结束前发送 usage chunk
+  const includeUsage = stream && req.body.stream_options?.include_usage === true
 
   // 估算输入 token
   const inputText = messages
@@ -118,7 +166,7 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
   const thinkingBudget = thinkingInfo.budgetTokens || 0
 
   let account = null
-  let retryCount = 0
+  let kiroHeaders = null
   const maxRetries = MAX_ACCOUNT_RETRIES // 从环境变量读取，默认5次
 
   try {
@@ -147,80 +195,64 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
       })
     }
 
-    // 获取 groupId（由 auth-middleware 设置，分组 SK 会设置此值）
-    const groupId = req.groupId || null
+    // 校验采样与长度参数（max_tokens、stop、n、tool_choice 等）
+    const { params: completionParams, error: completionError } = parseCompletionParams(req.body)
+    // 校验 response_format（json_object / json_schema）
+    const { responseFormat, error: formatError } = parseResponseFormat(req.body)
+    const paramError = completionError || formatError
+    if (paramError) {
+      requestLogger.logError({
+        requestId,
+        model,
+        isStream: stream,
+        errorType: 'invalid_request',
+        errorMessage: paramError.message,
+        requestTokens: inputTokens,
+        durationMs: Date.now() - startTime,
+        clientIp,
+        userAgent,
+        isThinking,
+        thinkingBudget,
+        requestHeaders: req.headers
+      })
 
-    // 获取账号
-    try {
-      if (account_id) {
-        account = await accountPool.getAccountById(account_id)
-        if (!account) {
-          await accountPool.getAvailableAccounts(groupId)
-          account = await accountPool.getAccountById(account_id)
+      return res.status(400).json({
+        error: {
+          message: paramError.message,
+          type: 'invalid_request_error',
+          param: paramError.param,
+          code: paramError.code
         }
-        if (!account) {
-          requestLogger.logError({
-            requestId,
-            accountId: account_id,
-            model,
-            isStream: stream,
-            errorType: 'account_not_found',
-            errorMessage: `Account '${account_id}' not found`,
-            requestTokens: inputTokens,
-            durationMs: Date.now() - startTime,
-            clientIp,
-            userAgent,
-            isThinking,
-            thinkingBudget,
-            requestHeaders: req.headers
-          })
+      })
+    }
+    if (completionParams.ignored.length > 0) {
+      res.setHeader(IGNORED_PARAMS_HEADER, completionParams.ignored.join(','))
+    }
 
-          return res.status(404).json({
-            error: {
-              message: `Account '${account_id}' not found or not available`,
-              type: 'invalid_request_error',
-              code: 'account_not_found'
-            }
-          })
-        }
-        // 如果使用分组 SK，验证账号是否属于该分组
-        if (groupId && account.groupId !== groupId) {
-          requestLogger.logError({
-            requestId,
-            accountId: account_id,
-            model,
-            isStream: stream,
-            errorType: 'account_not_in_group',
-            errorMessage: `Account '${account_id}' does not belong to the authorized group`,
-            requestTokens: inputTokens,
-            durationMs: Date.now() - startTime,
-            clientIp,
-            userAgent,
-            isThinking,
-            thinkingBudget,
-            requestHeaders: req.headers
-          })
+    // JSON 输出：流式请求默认缓冲到校验通过后再输出，unvalidated 模式下直接流式输出、不做校验
+    const jsonOutput = isJsonResponseFormat(responseFormat)
+    const unvalidatedStream = stream && jsonOutput && req.headers[JSON_STREAM_MODE_HEADER] === 'unvalidated'
+    if (unvalidatedStream) {
+      res.setHeader(JSON_VALIDATION_HEADER, 'skipped')
+    }
 
-          return res.status(403).json({
-            error: {
-              message: `Account '${account_id}' does not belong to the authorized group`,
-              type: 'invalid_request_error',
-              code: 'account_not_in_group'
-            }
-          })
-        }
-      } else {
-        account = await accountPool.getNextAccount(groupId)
-      }
-    } catch (error) {
-      console.error('[OpenAI API] No available account:', error.message)
+    // 获取 groupId（由 auth-middleware 设置，分组 SK 会设置此值）
+    const groupId = req.groupId || null
 
+    // 获取账号
+    const selection = await selectAccount(accountPool, {
+      accountId: account_id,
+      groupId,
+      wait: buildQueueWaitOptions(req, res, 'openai', stream)
+    })
+    if (selection.error) {
       requestLogger.logError({
         requestId,
+        accountId: account_id,
         model,
         isStream: stream,
-        errorType: 'no_available_accounts',
-        errorMessage: error.message,
+        errorType: selection.error.errorType,
+        errorMessage: selection.error.detail || selection.error.message,
         requestTokens: inputTokens,
         durationMs: Date.now() - startTime,
         clientIp,
@@ -230,22 +262,30 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
         requestHeaders: req.headers
       })
 
-      return res.status(503).json({
+      return res.status(selection.error.status).json({
         error: {
-          message: 'No available accounts in pool',
-          type: 'server_error',
-          code: 'no_available_accounts'
+          message: selection.error.message,
+          type: selection.error.type,
+          code: selection.error.code
         }
       })
     }
+    account = selection.account
 
     console.log(`[OpenAI API] Using account: ${account.email} for model: ${model}`)
     await accountPool.incrementApiCall(account.id)
 
-    const systemPrompt = extractSystemPrompt(messages)
     const filteredMessages = messages.filter((m) => m.role !== 'system')
     const convertedMessages = convertMessages(filteredMessages)
 
+    // tool_choice 通过工具集合和 system 提示实现，response_format 通过 system 提示实现
+    const { tools: kiroTools, systemPrompt: toolSystemPrompt } = applyToolChoice(
+      tools,
+      extractSystemPrompt(messages),
+      completionParams.toolChoice
+    )
+    const systemPrompt = applyResponseFormat(toolSystemPrompt, responseFormat)
+
     // 从请求体中提取 thinking 相关参数
     const requestBody = {
       system: systemPrompt,
@@ -255,71 +295,54 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
 
     // 生成发送给Kiro API的headers（用于日志记录）
     const { generateHeaders } = await import('../utils/header-generator.js')
-    const kiroHeaders = generateHeaders(account, account.credentials.accessToken)
+    kiroHeaders = generateHeaders(account, account.credentials.accessToken)
 
-    if (stream) {
+    if (stream && (!jsonOutput || unvalidatedStream)) {
       // 流式响应（支持重试，但只能在发送响应头之前重试）
-      const executeStreamRequest = async (currentAccount) => {
-        const currentClient = new KiroClient(currentAccount, systemLogger)
-        return {
-          stream: currentClient.streamApi(convertedMessages, model, {
-            system: systemPrompt,
-            tools,
-            requestBody
-          }),
-          account: currentAccount
-        }
-      }
-
+      // 预读首个事件，让请求和鉴权错误在发送响应头之前抛出；开启对冲时首个事件超时会用另一个账号对冲
+      // 命中停止序列或长度上限时通过 upstreamAbort 中止上游请求，不再继续生成和消耗额度
+      const upstreamAbort = new AbortController()
+      const retryCtx = { account, groupId, pinned: Boolean(account_id), retryCount: 0 }
       let streamResult
-      let currentAccount = account
-
-      // 尝试获取流，失败时重试
       try {
-        streamResult = await executeStreamRequest(currentAccount)
+        streamResult = await executeWithAccountRetry(accountPool, retryCtx, () => {
+          return accountPool.hedging.start(retryCtx, (currentAccount, signal) => {
+            const currentClient = new KiroClient(currentAccount, systemLogger)
+            return primeStream(currentClient.streamApi(convertedMessages, model, {
+              system: systemPrompt,
+              tools: kiroTools,
+              requestBody,
+              signal: signal ? AbortSignal.any([signal, upstreamAbort.signal]) : upstreamAbort.signal
+            }))
+          })
+        }, maxRetries)
       } catch (error) {
-        // 402 错误：配额耗尽，标记账号并尝试切换账号重试
-        if (isQuotaExhaustedError(error)) {
-          console.log(`[OpenAI API] Quota exhausted (402) for account ${currentAccount.email}, marking and switching...`)
-          accountPool.markAccountQuotaExhausted(currentAccount.id, error.message)
-
-          // 尝试切换账号重试
-          if (retryCount < maxRetries && !account_id) {
-            retryCount++
-
-            const newAccount = await accountPool.getNextAccount(groupId)
-            if (newAccount && newAccount.id !== currentAccount.id) {
-              console.log(`[OpenAI API] Retry stream with new account after 402: ${newAccount.email}`)
-              await accountPool.incrementApiCall(newAccount.id)
-              currentAccount = newAccount
-              streamResult = await executeStreamRequest(currentAccount)
-            } else {
-              throw error // 没有其他可用账号
-            }
-          } else {
-            throw error
-          }
-        } else if (isRetryableError(error) && retryCount < maxRetries && !account_id) {
-          console.log(
-            `[OpenAI API] Stream init error: ${error.message}, retrying... (${retryCount + 1}/${maxRetries})`
-          )
-          await accountPool.markAccountError(currentAccount.id)
-          retryCount++
+        console.error('[OpenAI API] Stream init error:', error.message)
+        const errorType = await recordAccountFailure(accountPool, retryCtx.account, error, 'stream_error')
 
+        requestLogger.logError({
+          requestId,
+          accountId: retryCtx.account.id,
+          accountEmail: retryCtx.account.email,
+          accountIdp: retryCtx.account.idp,
+          model,
+          isStream: true,
+          errorType,
+          errorMessage: error.message,
+          requestTokens: inputTokens,
+          durationMs: Date.now() - startTime,
+          clientIp,
+          userAgent,
+          isThinking,
+          thinkingBudget,
+          headerVersion: retryCtx.account.headerVersion || 1,
+          requestHeaders: kiroHeaders
+        })
 
-          const newAccount = await accountPool.getNextAccount(groupId)
-          if (newAccount && newAccount.id !== currentAccount.id) {
-            console.log(`[OpenAI API] Retry stream with new account: ${newAccount.email}`)
-            await accountPool.incrementApiCall(newAccount.id)
-            currentAccount = newAccount
-            streamResult = await executeStreamRequest(currentAccount)
-          } else {
-            throw error
-          }
-        } else {
-          throw error
-        }
+        const errorResponse = buildUpstreamErrorResponse(error)
+        return res.status(errorResponse.status).json(errorResponse.body)
       }
+      const currentAccount = streamResult.account
 
       // 设置响应头
       res.setHeader('Content-Type', 'text/event-stream')
@@ -327,26 +350,35 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
       res.setHeader('Connection', 'keep-alive')
       res.setHeader('X-Accel-Buffering', 'no')
 
+      const completionId = createChatCompletionId()  // 所有 chunk 共用的响应 ID
       let fullContent = ''
-      let hasError = false
-      let accountSwitched = false
 
       let thinkingContent = ''  // 累积 thinking 内容
       let isFirstChunk = true   // 跟踪是否为首个 chunk
       let timeToFirstByte = null  // 首字响应时间
-      let toolCalls = []  // 累积工具调用
+      const toolCalls = []  // 累积工具调用
       let hasToolCalls = false  // 是否有工具调用
+      const limiter = new OutputLimiter(completionParams)  // stop / max_tokens 截断
+      const usageTracker = new UsageTracker()  // Kiro 计量 / 上下文使用率事件
 
-      try {
-        for await (const event of streamResult.stream) {
+      // 转发 Kiro 流事件；命中停止序列或长度上限时中止上游请求
+      const pipeStream = async (kiroStream) => {
+        for await (const event of kiroStream) {
           if (event.type === 'content' && event.content) {
             // 记录首字响应时间
             if (timeToFirstByte === null) {
               timeToFirstByte = Date.now() - startTime
             }
-            fullContent += event.content
-            res.write(buildStreamChunk(event.content, model, null, 'content', isFirstChunk))
-            isFirstChunk = false
+            const text = limiter.push(event.content)
+            if (text) {
+              fullContent += text
+              res.write(buildStreamChunk(text, model, null, 'content', isFirstChunk, completionId))
+              isFirstChunk = false
+            }
+            if (limiter.finished) {
+              upstreamAbort.abort()
+              break
+            }
           } else if (event.type === 'thinking_start') {
             // Thinking 开始，可选：发送空的 thinking chunk 作为开始标记
             // 这里不发送任何内容，等待实际的 thinking 内容
@@ -357,12 +389,14 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
             }
             // 发送 thinking 内容片段
             thinkingContent += event.thinking
-            res.write(buildStreamChunk(event.thinking, model, null, 'thinking', isFirstChunk))
+            res.write(buildStreamChunk(event.thinking, model, null, 'thinking', isFirstChunk, completionId))
             isFirstChunk = false
           } else if (event.type === 'thinking_end') {
             // Thinking 结束，可选：发送结束标记
             // 这里不发送额外内容，thinking 内容已经通过 thinking 事件发送
           } else if (event.type === 'tool_use') {
+            // parallel_tool_calls=false 时只保留第一个工具调用
+            if (hasToolCalls && !completionParams.parallelToolCalls) continue
             // 工具调用事件
             hasToolCalls = true
             toolCalls.push({
@@ -371,8 +405,10 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
               input: event.input
             })
             // 发送工具调用 chunk
-            res.write(buildToolCallChunk(event.id, event.name, event.input, model, isFirstChunk))
+            res.write(buildToolCallChunk(event.id, event.name, event.input, model, isFirstChunk, completionId))
             isFirstChunk = false
+          } else if (event.type === 'metering' || event.type === 'context_usage') {
+            usageTracker.track(event)
           } else if (event.type === 'token_refreshed' && event.newTokens) {
             // Token 刷新成功，更新数据库
             const expiresAt = Date.now() + (event.newTokens.expiresIn || 3600) * 1000
@@ -386,11 +422,23 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           }
         }
 
-        // 发送结束 chunk，如果有工具调用则 finish_reason 为 'tool_calls'
-        res.write(buildStreamChunk('', model, hasToolCalls ? 'tool_calls' : 'stop'))
+        // 输出暂存的尾部（可能是未完成的停止序列前缀）
+        const tail = limiter.flush()
+        if (tail) {
+          fullContent += tail
+          res.write(buildStreamChunk(tail, model, null, 'content', isFirstChunk, completionId))
+          isFirstChunk = false
+        }
+
+        // 发送结束 chunk：截断时为 stop/length，否则有工具调用则 finish_reason 为 'tool_calls'
+        res.write(buildStreamChunk('', model, limiter.finishReason || (hasToolCalls ? 'tool_calls' : 'stop'), 'content', false, completionId))
+
+        const usage = usageTracker.resolve({ content: fullContent, reasoning: thinkingContent, toolCalls }, inputTokens)
+        if (includeUsage) {
+          res.write(buildUsageChunk(completionId, model, buildUsage(usage.promptTokens, usage.completionTokens, usage.reasoningTokens)))
+        }
         res.write('data: [DONE]\n\n')
 
-        const outputTokens = estimateTokens(fullContent)
         requestLogger.logSuccess({
           requestId,
           accountId: currentAccount.id,
@@ -398,8 +446,9 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           accountIdp: currentAccount.idp,
           model,
           isStream: true,
-          requestTokens: inputTokens,
-          responseTokens: outputTokens,
+          requestTokens: usage.promptTokens,
+          responseTokens: usage.completionTokens,
+          credits: usageTracker.meteredCredits,
           durationMs: Date.now() - startTime,
           timeToFirstByte,
           clientIp,
@@ -409,161 +458,50 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           headerVersion: currentAccount.headerVersion || 1,
           requestHeaders: kiroHeaders
         })
+      }
+
+      try {
+        await pipeStream(streamResult.stream)
       } catch (error) {
-        hasError = true
         console.error('[OpenAI API] Stream error:', error.message)
 
-        // 检查是否为 TOKEN_EXPIRED 错误且未指定账号 ID（允许切换账号）
-        if (error.message === 'TOKEN_EXPIRED' && !account_id && retryCount < maxRetries) {
-          console.log(`[OpenAI API] TOKEN_EXPIRED during stream, attempting account switch... (${retryCount + 1}/${maxRetries})`)
-
-          await accountPool.markAccountError(currentAccount.id)
-          retryCount++
-
-          try {
-            // 获取新账号
-
-            const newAccount = await accountPool.getNextAccount(groupId)
-
-            if (newAccount && newAccount.id !== currentAccount.id) {
-              console.log(`[OpenAI API] Switching to new account: ${newAccount.email}`)
-              await accountPool.incrementApiCall(newAccount.id)
-
-              // 使用新账号重新开始流式请求
-              const newClient = new KiroClient(newAccount, systemLogger)
-              const newStream = newClient.streamApi(convertedMessages, model, {
-                system: systemPrompt,
-                tools,
-                requestBody
-              })
-
-              currentAccount = newAccount
-              accountSwitched = true
-              hasError = false
-              fullContent = ''
-
-              // 重新处理新流
-              thinkingContent = ''  // 重置 thinking 内容
-              let isFirstChunkRetry = true  // 重试时重置首个 chunk 标志
-              let retryStartTime = Date.now()  // 重试开始时间
-              let timeToFirstByteRetry = null  // 重试的首字响应时间
-              for await (const event of newStream) {
-                if (event.type === 'content' && event.content) {
-                  if (timeToFirstByteRetry === null) {
-                    timeToFirstByteRetry = Date.now() - retryStartTime
-                  }
-                  fullContent += event.content
-                  res.write(buildStreamChunk(event.content, model, null, 'content', isFirstChunkRetry))
-                  isFirstChunkRetry = false
-                } else if (event.type === 'thinking' && event.thinking) {
-                  if (timeToFirstByteRetry === null) {
-                    timeToFirstByteRetry = Date.now() - retryStartTime
-                  }
-                  thinkingContent += event.thinking
-                  res.write(buildStreamChunk(event.thinking, model, null, 'thinking', isFirstChunkRetry))
-                  isFirstChunkRetry = false
-                } else if (event.type === 'token_refreshed' && event.newTokens) {
-                  const expiresAt = Date.now() + (event.newTokens.expiresIn || 3600) * 1000
-                  await accountPool.updateAccountToken(
-                    currentAccount.id,
-                    event.newTokens.accessToken,
-                    event.newTokens.refreshToken,
-                    expiresAt
-                  )
-                  console.log(`[OpenAI API] Stream token refreshed for ${currentAccount.email} (after switch)`)
-                }
-              }
+        // 已发送部分内容，流中途出错不换号重试
+        const errorType = await recordAccountFailure(accountPool, currentAccount, error, 'stream_error')
 
-              res.write(buildStreamChunk('', model, 'stop'))
-              res.write('data: [DONE]\n\n')
-
-              const outputTokens = estimateTokens(fullContent)
-              requestLogger.logSuccess({
-                requestId,
-                accountId: currentAccount.id,
-                accountEmail: currentAccount.email,
-                accountIdp: currentAccount.idp,
-                model,
-                isStream: true,
-                requestTokens: inputTokens,
-                responseTokens: outputTokens,
-                durationMs: Date.now() - startTime,
-                timeToFirstByte: timeToFirstByteRetry,
-                clientIp,
-                userAgent,
-                isThinking,
-                thinkingBudget,
-                headerVersion: currentAccount.headerVersion || 1,
-                requestHeaders: kiroHeaders
-              })
-
-              console.log(`[OpenAI API] Successfully recovered from TOKEN_EXPIRED by switching accounts`)
-            } else {
-              throw new Error('No alternative account available')
-            }
-          } catch (retryError) {
-            console.error('[OpenAI API] Account switch failed:', retryError.message)
-            // 账号切换失败，继续按原错误处理
-            hasError = true
-          }
-        }
-
-        if (hasError) {
-          // 检查是否为封禁错误（Bad credentials 或 BANNED:TEMPORARILY_SUSPENDED）
-          if (isBannedError(error)) {
-            // 封禁错误：永久移除账号并标记为封禁状态
-            await accountPool.banAccount(currentAccount.id, error.message)
-          } else if (isQuotaExhaustedError(error)) {
-            // 402 错误：异步更新使用量，不重试（次月1日才会恢复额度）
-            accountPool.markAccountQuotaExhausted(currentAccount.id, error.message)
-          } else if (isRetryableError(error)) {
-            await accountPool.markAccountError(currentAccount.id)
-          }
-
-          // 确定错误类型
-          let errorType = 'stream_error'
-          if (isBannedError(error)) {
-            errorType = 'account_banned'
-          } else if (isQuotaExhaustedError(error)) {
-            errorType = 'quota_exhausted'
-          } else if (isRetryableError(error)) {
-            errorType = 'token_expired'
-          }
-
-          requestLogger.logError({
-            requestId,
-            accountId: currentAccount.id,
-            accountEmail: currentAccount.email,
-            accountIdp: currentAccount.idp,
-            model,
-            isStream: true,
-            errorType,
-            errorMessage: error.message,
-            requestTokens: inputTokens,
-            responseTokens: estimateTokens(fullContent),
-            durationMs: Date.now() - startTime,
-            timeToFirstByte,
-            clientIp,
-            userAgent,
-            isThinking,
-            thinkingBudget,
-            headerVersion: currentAccount.headerVersion || 1,
-            requestHeaders: kiroHeaders
-          })
+        requestLogger.logError({
+          requestId,
+          accountId: currentAccount.id,
+          accountEmail: currentAccount.email,
+          accountIdp: currentAccount.idp,
+          model,
+          isStream: true,
+          errorType,
+          errorMessage: error.message,
+          requestTokens: inputTokens,
+          responseTokens: estimateTokens(fullContent),
+          durationMs: Date.now() - startTime,
+          timeToFirstByte,
+          clientIp,
+          userAgent,
+          isThinking,
+          thinkingBudget,
+          headerVersion: currentAccount.headerVersion || 1,
+          requestHeaders: kiroHeaders
+        })
 
-          res.write(`data: ${JSON.stringify({ error: { message: error.message } })}\n\n`)
-          res.write('data: [DONE]\n\n')
-        }
+        res.write(`data: ${JSON.stringify({ error: { message: error.message } })}\n\n`)
+        res.write('data: [DONE]\n\n')
       }
 
       res.end()
     } else {
-      // 非流式响应（支持重试）
-      const executeNonStreamRequest = async (currentAccount, isRetry = false) => {
+      // 非流式响应（支持重试）；缓冲校验 JSON 的流式响应也走这里，校验通过后再按 SSE 输出
+      const retryCtx = { account, groupId, pinned: Boolean(account_id), retryCount: 0 }
+      const executeNonStreamRequest = async (currentAccount, requestMessages = convertedMessages) => {
         const currentClient = new KiroClient(currentAccount, systemLogger)
-        const { response, newTokens } = await currentClient.callApi(convertedMessages, model, {
+        const { response, newTokens } = await currentClient.callApi(requestMessages, model, {
           system: systemPrompt,
-          tools,
+          tools: kiroTools,
           requestBody
         })
 
@@ -577,72 +515,116 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           )
         }
 
-        const responseText = await response.text()
-        const parsed = currentClient.parseResponse(responseText)
+        const responseBody = Buffer.from(await response.arrayBuffer())
+        const parsed = currentClient.parseResponse(responseBody)
         return { parsed, account: currentAccount }
       }
 
+      // stop / max_tokens 截断；截断后丢弃其后的工具调用
+      const finalizeOutput = (parsed) => {
+        const limiter = new OutputLimiter(completionParams)
+        const content = limiter.push(parsed.content) + limiter.flush()
+        let toolCalls = parsed.toolCalls
+        if (limiter.finished) {
+          toolCalls = null
+        } else if (toolCalls && !completionParams.parallelToolCalls) {
+          toolCalls = toolCalls.slice(0, 1)
+        }
+        const outputBlocks = extractThinkingFromContent(content)
+        return {
+          content,
+          text: outputBlocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+          reasoning: outputBlocks.filter(b => b.type === 'thinking').map(b => b.thinking).join(''),
+          toolCalls,
+          finishReason: limiter.finishReason
+        }
+      }
+
       try {
         let result
-        try {
-          result = await executeNonStreamRequest(account)
-        } catch (error) {
-          // 402 错误：配额耗尽，标记账号并尝试切换账号重试
-          if (isQuotaExhaustedError(error)) {
-            console.log(`[OpenAI API] Quota exhausted (402) for account ${account.email}, marking and switching...`)
-            accountPool.markAccountQuotaExhausted(account.id, error.message)
-
-            // 尝试切换账号重试
-            if (retryCount < maxRetries && !account_id) {
-              retryCount++
-
-              const newAccount = await accountPool.getNextAccount(groupId)
-              if (newAccount && newAccount.id !== account.id) {
-                console.log(`[OpenAI API] Retry with new account after 402: ${newAccount.email}`)
-                await accountPool.incrementApiCall(newAccount.id)
-                result = await executeNonStreamRequest(newAccount, true)
-                account = newAccount
-              } else {
-                throw error // 没有其他可用账号
-              }
-            } else {
-              throw error
-            }
-          } else if (isRetryableError(error) && retryCount < maxRetries && !account_id) {
-            console.log(
-              `[OpenAI API] Retryable error: ${error.message}, retrying... (${retryCount + 1}/${maxRetries})`
-            )
-            await accountPool.markAccountError(account.id)
-            retryCount++
-
-            // 获取新账号重试
-
+        let output
+        if (jsonOutput) {
+          // 校验 JSON 输出，失败时带上错误信息重新生成；每次生成仍可按 402 / 鉴权错误换号
+          const outcome = await executeWithJsonValidation({
+            responseFormat,
+            execute: async (repairMessages) => {
+              const requestMessages = repairMessages.length > 0
+                ? [...convertedMessages, ...convertMessages(repairMessages)]
+                : convertedMessages
+              const attempt = await executeWithAccountRetry(
+                accountPool,
+                retryCtx,
+                (currentAccount) => executeNonStreamRequest(currentAccount, requestMessages),
+                maxRetries
+              )
+              return { ...attempt, output: finalizeOutput(attempt.parsed) }
+            },
+            // 工具调用和被 max_tokens 截断的输出不做校验
+            getText: (attempt) => attempt.output.toolCalls || attempt.output.finishReason === 'length'
+              ? null
+              : attempt.output.text
+          })
+          result = outcome.result
+          output = result.output
+
+          if (outcome.validation && !outcome.validation.valid) {
+            requestLogger.logError({
+              requestId,
+              ...accountLogFields(result.account),
+              model,
+              isStream: stream,
+              errorType: 'invalid_json_output',
+              errorMessage: outcome.validation.message,
+              requestTokens: inputTokens,
+              responseTokens: estimateTokens(output.text),
+              durationMs: Date.now() - startTime,
+              clientIp,
+              userAgent,
+              isThinking,
+              thinkingBudget,
+              requestHeaders: kiroHeaders
+            })
 
-            // 获取新账号重试
-            const newAccount = await accountPool.getNextAccount(groupId)
-            if (newAccount && newAccount.id !== account.id) {
-              console.log(`[OpenAI API] Retry with new account: ${newAccount.email}`)
-              await accountPool.incrementApiCall(newAccount.id)
-              result = await executeNonStreamRequest(newAccount, true)
-              account = newAccount
-            } else {
-              throw error // 没有其他可用账号，抛出原错误
-            }
-          } else {
-            throw error
+            return res.status(502).json({
+              error: {
+                message: `Model output failed response_format validation after ${outcome.attempts} attempts: ${outcome.validation.message}`,
+                type: 'api_error',
+                param: 'response_format',
+                code: 'invalid_json_output'
+              }
+            })
+          }
+          if (outcome.validation) {
+            // 返回规范化后的 JSON（去掉代码块和多余文本）
+            output.content = outcome.validation.text
+            output.text = outcome.validation.text
+            res.setHeader(JSON_VALIDATION_HEADER, `passed;attempts=${outcome.attempts}`)
           }
+        } else {
+          result = await executeWithAccountRetry(accountPool, retryCtx, executeNonStreamRequest, maxRetries)
+          output = finalizeOutput(result.parsed)
         }
+        const { content, toolCalls } = output
+
+        // 计算 usage：优先使用 Kiro 计量 / 上下文使用率事件，缺失时回退到估算
+        const usageTracker = new UsageTracker()
+        usageTracker.trackParsed(result.parsed)
+        const usage = usageTracker.resolve({
+          content: output.text,
+          reasoning: output.reasoning,
+          toolCalls
+        }, inputTokens)
 
-        const outputTokens = estimateTokens(result.parsed.content)
         requestLogger.logSuccess({
           requestId,
           accountId: result.account.id,
           accountEmail: result.account.email,
           accountIdp: result.account.idp,
           model,
-          isStream: false,
-          requestTokens: inputTokens,
-          responseTokens: outputTokens,
+          isStream: stream,
+          requestTokens: usage.promptTokens,
+          responseTokens: usage.completionTokens,
+          credits: usageTracker.meteredCredits,
           durationMs: Date.now() - startTime,
           clientIp,
           userAgent,
@@ -652,39 +634,51 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           requestHeaders: kiroHeaders
         })
 
+        if (stream) {
+          // 缓冲后的 JSON 输出按 SSE 一次性发送
+          res.setHeader('Content-Type', 'text/event-stream')
+          res.setHeader('Cache-Control', 'no-cache')
+          res.setHeader('Connection', 'keep-alive')
+          res.setHeader('X-Accel-Buffering', 'no')
+
+          const completionId = createChatCompletionId()
+          let isFirst = true
+          if (output.reasoning) {
+            res.write(buildStreamChunk(output.reasoning, model, null, 'thinking', isFirst, completionId))
+            isFirst = false
+          }
+          if (output.text) {
+            res.write(buildStreamChunk(output.text, model, null, 'content', isFirst, completionId))
+            isFirst = false
+          }
+          for (const toolCall of toolCalls || []) {
+            res.write(buildToolCallChunk(toolCall.id, toolCall.name, toolCall.input, model, isFirst, completionId))
+            isFirst = false
+          }
+          res.write(buildStreamChunk('', model, output.finishReason || (toolCalls ? 'tool_calls' : 'stop'), 'content', false, completionId))
+          if (includeUsage) {
+            res.write(buildUsageChunk(completionId, model, buildUsage(usage.promptTokens, usage.completionTokens, usage.reasoningTokens)))
+          }
+          res.write('data: [DONE]\n\n')
+          return res.end()
+        }
+
         // 传递 contentBlocks 和 toolCalls 以支持 thinking 内容和工具调用
         res.json(buildOpenAIResponse(
-          result.parsed.content,
+          content,
           model,
-          inputTokens,
-          outputTokens,
-          'stop',
+          usage.promptTokens,
+          usage.completionTokens,
+          output.finishReason || 'stop',
           result.parsed.contentBlocks,
-          result.parsed.toolCalls
+          toolCalls,
+          usage.reasoningTokens
         ))
       } catch (error) {
         console.error('[OpenAI API] Error:', error.message)
 
-        // 检查是否为封禁错误（Bad credentials 或 BANNED:TEMPORARILY_SUSPENDED）
-        if (isBannedError(error)) {
-          // 封禁错误：永久移除账号并标记为封禁状态
-          await accountPool.banAccount(account.id, error.message)
-        } else if (isQuotaExhaustedError(error)) {
-          // 402 错误：异步更新使用量，不重试（次月1日才会恢复额度）
-          accountPool.markAccountQuotaExhausted(account.id, error.message)
-        } else if (isRetryableError(error)) {
-          await accountPool.markAccountError(account.id)
-        }
-
-        // 确定错误类型
-        let errorType = 'api_error'
-        if (isBannedError(error)) {
-          errorType = 'account_banned'
-        } else if (isQuotaExhaustedError(error)) {
-          errorType = 'quota_exhausted'
-        } else if (error.message.includes('403')) {
-          errorType = 'forbidden'
-        }
+        account = retryCtx.account
+        const errorType = await recordAccountFailure(accountPool, account, error)
 
         requestLogger.logError({
           requestId,
@@ -692,7 +686,7 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
           accountEmail: account.email,
           accountIdp: account.idp,
           model,
-          isStream: false,
+          isStream: stream,
           errorType,
           errorMessage: error.message,
           requestTokens: inputTokens,
@@ -706,14 +700,8 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
         })
 
         // 402 错误返回 402 状态码
-        const statusCode = isQuotaExhaustedError(error) ? 402 : 500
-        res.status(statusCode).json({
-          error: {
-            message: error.message,
-            type: isQuotaExhaustedError(error) ? 'quota_exhausted' : 'api_error',
-            code: isQuotaExhaustedError(error) ? 'quota_exhausted' : 'internal_error'
-          }
-        })
+        const errorResponse = buildUpstreamErrorResponse(error)
+        res.status(errorResponse.status).json(errorResponse.body)
       }
     }
   } catch (error) {
@@ -735,7 +723,7 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
       isThinking,
       thinkingBudget,
       headerVersion: account?.headerVersion || 1,
-      requestHeaders: account ? kiroHeaders : req.headers
+      requestHeaders: kiroHeaders || req.headers
     })
 
     res.status(500).json({
@@ -748,6 +736,610 @@ router.post('/v1/chat/completions', validateApiKey, async (req, res) => {
   }
 })
 
+/**
+ * POST /v1/responses - OpenAI Responses API
+ * 请求转换为 chat completions 格式后复用消息转换、参数校验、换号重试和请求日志
+ */
+router.post('/v1/responses', validateApiKey, resolveRequestModel('openai', { maxTokensParams: ['max_output_tokens'] }), rateLimit('openai'), enforceQuota('openai'), stickySession('openai'), trackAccountInflight(), async (req, res) => {
+  const requestId = uuidv4()
+  const startTime = Date.now()
+
+  // 检查是否在工作时段内（包含工作日判断）
+  const status = getWorkingStatus()
+  if (!status.isServiceAvailable) {
+    const error = buildNonWorkingHoursError('openai')
+    return res.status(error.status).json(error.body)
+  }
+
+  const { model = 'claude-sonnet-4-5', stream = false, account_id } = req.body
+  const baseLog = {
+    requestId,
+    model,
+    isStream: stream,
+    clientIp: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    apiProtocol: RESPONSES_API_PROTOCOL
+  }
+
+  const sendInvalidRequest = (error) => {
+    requestLogger.logError({
+      ...baseLog,
+      errorType: 'invalid_request',
+      errorMessage: error.message,
+      durationMs: Date.now() - startTime,
+      requestHeaders: req.headers
+    })
+
+    return res.status(400).json({
+      error: {
+        message: error.message,
+        type: 'invalid_request_error',
+        param: error.param,
+        code: error.code
+      }
+    })
+  }
+
+  // 转换为 chat completions 请求，再校验 max_output_tokens、tool_choice 等参数
+  const { request: chatRequest, error: convertError } = convertResponsesRequest(req.body)
+  if (convertError) {
+    return sendInvalidRequest(convertError)
+  }
+  const { params: completionParams, error: paramError } = parseCompletionParams(chatRequest)
+  if (paramError) {
+    return sendInvalidRequest({ ...paramError, param: toResponsesParam(paramError.param) })
+  }
+  if (completionParams.ignored.length > 0) {
+    res.setHeader(IGNORED_PARAMS_HEADER, completionParams.ignored.join(','))
+  }
+
+  const { messages, tools } = chatRequest
+  const inputTokens = estimateTokens(
+    messages.map((m) => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('')
+  )
+  const thinkingInfo = checkThinkingMode(chatRequest)
+  baseLog.isThinking = thinkingInfo.enabled
+  baseLog.thinkingBudget = thinkingInfo.budgetTokens || 0
+
+  let account = null
+  let kiroHeaders = null
+
+  try {
+    const groupId = req.groupId || null
+    const selection = await selectAccount(accountPool, {
+      accountId: account_id,
+      groupId,
+      wait: buildQueueWaitOptions(req, res, 'openai', stream)
+    })
+    if (selection.error) {
+      requestLogger.logError({
+        ...baseLog,
+        accountId: account_id,
+        errorType: selection.error.errorType,
+        errorMessage: selection.error.detail || selection.error.message,
+        requestTokens: inputTokens,
+        durationMs: Date.now() - startTime,
+        requestHeaders: req.headers
+      })
+
+      return res.status(selection.error.status).json({
+        error: {
+          message: selection.error.message,
+          type: selection.error.type,
+          code: selection.error.code
+        }
+      })
+    }
+    account = selection.account
+
+    console.log(`[OpenAI API] Responses request using account: ${account.email} for model: ${model}`)
+    await accountPool.incrementApiCall(account.id)
+
+    const convertedMessages = convertMessages(messages.filter((m) => m.role !== 'system'))
+    const { tools: kiroTools, systemPrompt } = applyToolChoice(
+      tools,
+      extractSystemPrompt(messages),
+      completionParams.toolChoice
+    )
+    const requestBody = {
+      system: systemPrompt,
+      reasoning_effort: chatRequest.reasoning_effort
+    }
+
+    const { generateHeaders } = await import('../utils/header-generator.js')
+    kiroHeaders = generateHeaders(account, account.credentials.accessToken)
+
+    const retryCtx = { account, groupId, pinned: Boolean(account_id), retryCount: 0 }
+    const builder = new ResponsesBuilder(req.body, model)
+    const limiter = new OutputLimiter({ maxTokens: completionParams.maxTokens })
+    const usageTracker = new UsageTracker()
+    let content = ''
+    let reasoning = ''
+    const toolCalls = []
+
+    // 收集输出并生成流式事件，非流式请求忽略返回的事件文本
+    const handleEvent = async (event, currentAccount) => {
+      if (event.type === 'content' && event.content) {
+        const text = limiter.push(event.content)
+        content += text
+        return builder.textDelta(text)
+      } else if (event.type === 'thinking' && event.thinking) {
+        reasoning += event.thinking
+        return builder.reasoningDelta(event.thinking)
+      } else if (event.type === 'tool_use') {
+        // 截断后或 parallel_tool_calls=false 时丢弃多余的工具调用
+        if (limiter.finished || (toolCalls.length > 0 && !completionParams.parallelToolCalls)) return ''
+        toolCalls.push(event)
+        return builder.functionCall(event)
+      } else if (event.type === 'metering' || event.type === 'context_usage') {
+        usageTracker.track(event)
+      } else if (event.type === 'token_refreshed' && event.newTokens) {
+        const expiresAt = Date.now() + (event.newTokens.expiresIn || 3600) * 1000
+        await accountPool.updateAccountToken(
+          currentAccount.id,
+          event.newTokens.accessToken,
+          event.newTokens.refreshToken,
+          expiresAt
+        )
+      }
+      return ''
+    }
+
+    // 结束响应：输出暂存的尾部，计算 usage，max_output_tokens 截断时状态为 incomplete
+    const finish = () => {
+      const tail = limiter.flush()
+      content += tail
+      const tailEvents = builder.textDelta(tail)
+      const usage = usageTracker.resolve({ content, reasoning, toolCalls }, inputTokens)
+      const incompleteReason = limiter.finishReason === 'length' ? 'max_output_tokens' : null
+      return {
+        usage,
+        events: tailEvents + builder.complete(
+          buildResponsesUsage(usage.promptTokens, usage.completionTokens, usage.reasoningTokens),
+          incompleteReason
+        )
+      }
+    }
+
+    let streamResult = null
+    // 达到 max_output_tokens 时中止上游请求
+    const upstreamAbort = new AbortController()
+    try {
+      if (stream) {
+        // 预读首个事件，让请求和鉴权错误在发送响应头之前抛出
+        streamResult = await executeWithAccountRetry(accountPool, retryCtx, () => {
+          return accountPool.hedging.start(retryCtx, (currentAccount, signal) => {
+            const client = new KiroClient(currentAccount, systemLogger)
+            return primeStream(client.streamApi(convertedMessages, model, {
+              system: systemPrompt,
+              tools: kiroTools,
+              requestBody,
+              signal: signal ? AbortSignal.any([signal, upstreamAbort.signal]) : upstreamAbort.signal
+            }))
+          })
+        })
+      } else {
+        const result = await executeWithAccountRetry(accountPool, retryCtx, async (currentAccount) => {
+          const client = new KiroClient(currentAccount, systemLogger)
+          const { response, newTokens } = await client.callApi(convertedMessages, model, {
+            system: systemPrompt,
+            tools: kiroTools,
+            requestBody
+          })
+          if (newTokens) {
+            await handleEvent({ type: 'token_refreshed', newTokens }, currentAccount)
+          }
+          return client.parseResponse(Buffer.from(await response.arrayBuffer()))
+        })
+
+        usageTracker.trackParsed(result)
+        for (const block of extractThinkingFromContent(result.content)) {
+          if (block.type === 'thinking') {
+            await handleEvent({ type: 'thinking', thinking: block.thinking })
+          } else {
+            await handleEvent({ type: 'content', content: block.text })
+          }
+        }
+        for (const toolCall of result.toolCalls || []) {
+          await handleEvent({ type: 'tool_use', ...toolCall })
+        }
+        const { usage } = finish()
+
+        requestLogger.logSuccess({
+          ...baseLog,
+          ...accountLogFields(retryCtx.account),
+          requestTokens: usage.promptTokens,
+          responseTokens: usage.completionTokens,
+          credits: usageTracker.meteredCredits,
+          durationMs: Date.now() - startTime,
+          requestHeaders: kiroHeaders
+        })
+        return res.json(builder.toResponse())
+      }
+    } catch (error) {
+      console.error('[OpenAI API] Responses error:', error.message)
+      const errorType = await recordAccountFailure(accountPool, retryCtx.account, error)
+
+      requestLogger.logError({
+        ...baseLog,
+        ...accountLogFields(retryCtx.account),
+        errorType,
+        errorMessage: error.message,
+        requestTokens: inputTokens,
+        durationMs: Date.now() - startTime,
+        requestHeaders: kiroHeaders
+      })
+
+      const errorResponse = buildUpstreamErrorResponse(error)
+      return res.status(errorResponse.status).json(errorResponse.body)
+    }
+
+    // 流式响应
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.setHeader('X-Accel-Buffering', 'no')
+    res.write(builder.start())
+
+    let timeToFirstByte = null
+    try {
+      for await (const event of streamResult.stream) {
+        const events = await handleEvent(event, streamResult.account)
+        if (events) {
+          if (timeToFirstByte === null) {
+            timeToFirstByte = Date.now() - startTime
+          }
+          res.write(events)
+        }
+        // 达到 max_output_tokens，不再读取上游
+        if (limiter.finished) {
+          upstreamAbort.abort()
+          break
+        }
+      }
+
+      const { usage, events } = finish()
+      res.write(events)
+
+      requestLogger.logSuccess({
+        ...baseLog,
+        ...accountLogFields(streamResult.account),
+        requestTokens: usage.promptTokens,
+        responseTokens: usage.completionTokens,
+        credits: usageTracker.meteredCredits,
+        durationMs: Date.now() - startTime,
+        timeToFirstByte,
+        requestHeaders: kiroHeaders
+      })
+    } catch (error) {
+      console.error('[OpenAI API] Responses stream error:', error.message)
+      const errorType = await recordAccountFailure(accountPool, streamResult.account, error, 'stream_error')
+
+      requestLogger.logError({
+        ...baseLog,
+        ...accountLogFields(streamResult.account),
+        errorType,
+        errorMessage: error.message,
+        requestTokens: inputTokens,
+        responseTokens: estimateTokens(content),
+        durationMs: Date.now() - startTime,
+        timeToFirstByte,
+        requestHeaders: kiroHeaders
+      })
+
+      res.write(builder.fail(errorType, error.message))
+    }
+
+    res.end()
+  } catch (error) {
+    console.error('[OpenAI API] Unexpected error:', error)
+
+    requestLogger.logError({
+      ...baseLog,
+      ...accountLogFields(account),
+      errorType: 'unexpected_error',
+      errorMessage: error.message,
+      requestTokens: inputTokens,
+      durationMs: Date.now() - startTime,
+      requestHeaders: kiroHeaders || req.headers
+    })
+
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(500).json({
+      error: {
+        message: error.message,
+        type: 'api_error',
+        code: 'internal_error'
+      }
+    })
+  }
+})
+
+/**
+ * POST /v1/completions - 旧版文本补全接口
+ * prompt 作为单条 user 消息发送，复用账号选择、换号重试和请求日志
+ */
+router.post('/v1/completions', validateApiKey, resolveRequestModel('openai'), rateLimit('openai'), enforceQuota('openai'), stickySession('openai'), trackAccountInflight(), async (req, res) => {
+  const requestId = uuidv4()
+  const startTime = Date.now()
+
+  // 检查是否在工作时段内（包含工作日判断）
+  const status = getWorkingStatus()
+  if (!status.isServiceAvailable) {
+    const error = buildNonWorkingHoursError('openai')
+    return res.status(error.status).json(error.body)
+  }
+
+  const { model = 'claude-sonnet-4-5', stream = false, echo = false, account_id } = req.body
+  // stream_options.include_usage：流结束前发送 usage chunk
+  const includeUsage = stream && req.body.stream_options?.include_usage === true
+  const baseLog = {
+    requestId,
+    model,
+    isStream: stream,
+    clientIp: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    apiProtocol: COMPLETIONS_API_PROTOCOL
+  }
+
+  // 校验 prompt 和 max_tokens、stop、echo 等参数
+  const { prompt, error: promptError } = convertPrompt(req.body.prompt)
+  const paramResult = parseCompletionParams(req.body)
+  const invalid = promptError || checkTextCompletionParams(req.body) || paramResult.error
+  if (invalid) {
+    requestLogger.logError({
+      ...baseLog,
+      errorType: 'invalid_request',
+      errorMessage: invalid.message,
+      durationMs: Date.now() - startTime,
+      requestHeaders: req.headers
+    })
+
+    return res.status(400).json({
+      error: {
+        message: invalid.message,
+        type: 'invalid_request_error',
+        param: invalid.param,
+        code: invalid.code
+      }
+    })
+  }
+  const completionParams = paramResult.params
+  if (completionParams.ignored.length > 0) {
+    res.setHeader(IGNORED_PARAMS_HEADER, completionParams.ignored.join(','))
+  }
+
+  const inputTokens = estimateTokens(prompt)
+  const convertedMessages = convertMessages([{ role: 'user', content: prompt }])
+  // echo 时补全文本以 prompt 开头
+  const echoText = echo ? prompt : ''
+
+  let account = null
+  let kiroHeaders = null
+
+  try {
+    const groupId = req.groupId || null
+    const selection = await selectAccount(accountPool, {
+      accountId: account_id,
+      groupId,
+      wait: buildQueueWaitOptions(req, res, 'openai', stream)
+    })
+    if (selection.error) {
+      requestLogger.logError({
+        ...baseLog,
+        accountId: account_id,
+        errorType: selection.error.errorType,
+        errorMessage: selection.error.detail || selection.error.message,
+        requestTokens: inputTokens,
+        durationMs: Date.now() - startTime,
+        requestHeaders: req.headers
+      })
+
+      return res.status(selection.error.status).json({
+        error: {
+          message: selection.error.message,
+          type: selection.error.type,
+          code: selection.error.code
+        }
+      })
+    }
+    account = selection.account
+
+    console.log(`[OpenAI API] Completions request using account: ${account.email} for model: ${model}`)
+    await accountPool.incrementApiCall(account.id)
+
+    const { generateHeaders } = await import('../utils/header-generator.js')
+    kiroHeaders = generateHeaders(account, account.credentials.accessToken)
+
+    const retryCtx = { account, groupId, pinned: Boolean(account_id), retryCount: 0 }
+    const limiter = new OutputLimiter(completionParams)
+    const usageTracker = new UsageTracker()
+    let content = ''
+
+    let streamResult = null
+    // 命中停止序列或长度上限时中止上游请求
+    const upstreamAbort = new AbortController()
+    try {
+      if (stream) {
+        // 预读首个事件，让请求和鉴权错误在发送响应头之前抛出
+        streamResult = await executeWithAccountRetry(accountPool, retryCtx, () => {
+          return accountPool.hedging.start(retryCtx, (currentAccount, signal) => {
+            const client = new KiroClient(currentAccount, systemLogger)
+            return primeStream(client.streamApi(convertedMessages, model, {
+              signal: signal ? AbortSignal.any([signal, upstreamAbort.signal]) : upstreamAbort.signal
+            }))
+          })
+        })
+      } else {
+        const result = await executeWithAccountRetry(accountPool, retryCtx, async (currentAccount) => {
+          const client = new KiroClient(currentAccount, systemLogger)
+          const { response, newTokens } = await client.callApi(convertedMessages, model, {})
+          if (newTokens) {
+            const expiresAt = Date.now() + (newTokens.expiresIn || 3600) * 1000
+            await accountPool.updateAccountToken(
+              currentAccount.id,
+              newTokens.accessToken,
+              newTokens.refreshToken,
+              expiresAt
+            )
+          }
+          return client.parseResponse(Buffer.from(await response.arrayBuffer()))
+        })
+
+        // 未开启 thinking，只保留正文
+        const text = extractThinkingFromContent(result.content)
+          .filter(b => b.type === 'text')
+          .map(b => b.text)
+          .join('')
+        content = limiter.push(text) + limiter.flush()
+        usageTracker.trackParsed(result)
+        const usage = usageTracker.resolve({ content }, inputTokens)
+
+        requestLogger.logSuccess({
+          ...baseLog,
+          ...accountLogFields(retryCtx.account),
+          requestTokens: usage.promptTokens,
+          responseTokens: usage.completionTokens,
+          credits: usageTracker.meteredCredits,
+          durationMs: Date.now() - startTime,
+          requestHeaders: kiroHeaders
+        })
+        return res.json(buildTextCompletion(
+          echoText + content,
+          model,
+          usage.promptTokens,
+          usage.completionTokens,
+          limiter.finishReason || 'stop'
+        ))
+      }
+    } catch (error) {
+      console.error('[OpenAI API] Completions error:', error.message)
+      const errorType = await recordAccountFailure(accountPool, retryCtx.account, error)
+
+      requestLogger.logError({
+        ...baseLog,
+        ...accountLogFields(retryCtx.account),
+        errorType,
+        errorMessage: error.message,
+        requestTokens: inputTokens,
+        durationMs: Date.now() - startTime,
+        requestHeaders: kiroHeaders
+      })
+
+      const errorResponse = buildUpstreamErrorResponse(error)
+      return res.status(errorResponse.status).json(errorResponse.body)
+    }
+
+    // 流式响应
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.setHeader('X-Accel-Buffering', 'no')
+
+    const completionId = createTextCompletionId()
+    if (echoText) {
+      res.write(buildTextCompletionChunk(completionId, echoText, model))
+    }
+
+    let timeToFirstByte = null
+    try {
+      for await (const event of streamResult.stream) {
+        if (event.type === 'content' && event.content) {
+          if (timeToFirstByte === null) {
+            timeToFirstByte = Date.now() - startTime
+          }
+          const text = limiter.push(event.content)
+          if (text) {
+            content += text
+            res.write(buildTextCompletionChunk(completionId, text, model))
+          }
+          // 命中停止序列或长度上限，不再读取上游
+          if (limiter.finished) {
+            upstreamAbort.abort()
+            break
+          }
+        } else if (event.type === 'metering' || event.type === 'context_usage') {
+          usageTracker.track(event)
+        } else if (event.type === 'token_refreshed' && event.newTokens) {
+          const expiresAt = Date.now() + (event.newTokens.expiresIn || 3600) * 1000
+          await accountPool.updateAccountToken(
+            streamResult.account.id,
+            event.newTokens.accessToken,
+            event.newTokens.refreshToken,
+            expiresAt
+          )
+        }
+      }
+
+      const tail = limiter.flush()
+      content += tail
+      res.write(buildTextCompletionChunk(completionId, tail, model, limiter.finishReason || 'stop'))
+
+      const usage = usageTracker.resolve({ content }, inputTokens)
+      if (includeUsage) {
+        res.write(buildTextCompletionUsageChunk(completionId, model, usage.promptTokens, usage.completionTokens))
+      }
+      res.write('data: [DONE]\n\n')
+
+      requestLogger.logSuccess({
+        ...baseLog,
+        ...accountLogFields(streamResult.account),
+        requestTokens: usage.promptTokens,
+        responseTokens: usage.completionTokens,
+        credits: usageTracker.meteredCredits,
+        durationMs: Date.now() - startTime,
+        timeToFirstByte,
+        requestHeaders: kiroHeaders
+      })
+    } catch (error) {
+      console.error('[OpenAI API] Completions stream error:', error.message)
+      const errorType = await recordAccountFailure(accountPool, streamResult.account, error, 'stream_error')
+
+      requestLogger.logError({
+        ...baseLog,
+        ...accountLogFields(streamResult.account),
+        errorType,
+        errorMessage: error.message,
+        requestTokens: inputTokens,
+        responseTokens: estimateTokens(content),
+        durationMs: Date.now() - startTime,
+        timeToFirstByte,
+        requestHeaders: kiroHeaders
+      })
+
+      res.write(`data: ${JSON.stringify({ error: { message: error.message } })}\n\n`)
+      res.write('data: [DONE]\n\n')
+    }
+
+    res.end()
+  } catch (error) {
+    console.error('[OpenAI API] Unexpected error:', error)
+
+    requestLogger.logError({
+      ...baseLog,
+      ...accountLogFields(account),
+      errorType: 'unexpected_error',
+      errorMessage: error.message,
+      requestTokens: inputTokens,
+      durationMs: Date.now() - startTime,
+      requestHeaders: kiroHeaders || req.headers
+    })
+
+    if (res.headersSent) {
+      return res.end()
+    }
+    res.status(500).json({
+      error: {
+        message: error.message,
+        type: 'api_error',
+        code: 'internal_error'
+      }
+    })
+  }
+})
+
 /**
  * GET /v1/pool/status - 获取账号池状态
  */
@@ -0,0 +1,323 @@
+/**
+ * API Key / 分组配额
+ *
+ * 配额定义保存在 quotas 表：每条配额限制一个 API Key 或分组在一天或一个月内的
+ * 请求数（requests）、估算 token 数（tokens）或 Kiro credit 用量（credits）。
+ *
+ * 用量在请求日志写入时累加到 quota_usage（按天、按范围汇总，不随 api_request_logs 清理），
+ * 日、月按北京时间划分。
+ *
+ * - 用量达到 warn_percent 时通过 SystemLogger.logAlert 记录告警（每个周期只告警一次）
+ * - hard_limit 配额用量达到上限后，新请求返回配额超限错误
+ */
+
+import { AlertType, AlertSeverity } from './system-logger.js'
+
+export const QUOTA_SCOPE_TYPES = ['api_key', 'group']
+export const QUOTA_PERIODS = ['day', 'month']
+export const QUOTA_METRICS = ['requests', 'tokens', 'credits']
+
+// 配额定义缓存时间
+const QUOTA_CACHE_TTL = 60 * 1000
+
+const BEIJING_OFFSET_MS = 8 * 60 * 60 * 1000
+
+/**
+ * 获取北京时间日期
+ * @param {number} ms - 时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+export function getBeijingDay(ms) {
+  return new Date(ms + BEIJING_OFFSET_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * 计算配额周期
+ * @param {'day'|'month'} period - 周期
+ * @param {number} now - 当前时间戳
+ * @returns {{start: string, end: string, resetsAt: number}} 起止日期（含）和下个周期开始时间
+ */
+export function getPeriodRange(period, now) {
+  const beijing = new Date(now + BEIJING_OFFSET_MS)
+  const year = beijing.getUTCFullYear()
+  const month = beijing.getUTCMonth()
+  const date = beijing.getUTCDate()
+
+  if (period === 'month') {
+    const resetsAt = Date.UTC(year, month + 1, 1) - BEIJING_OFFSET_MS
+    return {
+      start: getBeijingDay(Date.UTC(year, month, 1) - BEIJING_OFFSET_MS),
+      end: getBeijingDay(resetsAt - 1),
+      resetsAt
+    }
+  }
+
+  const day = getBeijingDay(now)
+  return { start: day, end: day, resetsAt: Date.UTC(year, month, date + 1) - BEIJING_OFFSET_MS }
+}
+
+/**
+ * 计算配额使用情况
+ * @param {Object} quota - rowToQuota() 结果
+ * @param {{requests: number, tokens: number, credits: number}} usage - 周期内用量
+ */
+export function evaluateQuota(quota, usage) {
+  const used = Number(usage[quota.metric] || 0)
+  const percent = quota.limit > 0 ? (used / quota.limit) * 100 : 100
+  return {
+    used,
+    limit: quota.limit,
+    percent: Math.round(percent * 100) / 100,
+    exceeded: used >= quota.limit,
+    warning: quota.warnPercent > 0 && percent >= quota.warnPercent
+  }
+}
+
+/**
+ * 将 quotas 表行转换为配额对象
+ */
+export function rowToQuota(row) {
+  return {
+    id: row.id,
+    scopeType: row.scope_type,
+    scopeId: row.scope_id,
+    period: row.period,
+    metric: row.metric,
+    limit: Number(row.limit_value),
+    warnPercent: row.warn_percent,
+    hardLimit: Boolean(row.hard_limit),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+function scopeKey(scopeType, scopeId) {
+  return `${scopeType}:${scopeId}`
+}
+
+export class QuotaManager {
+  /**
+   * @param {Object} dbPool - MySQL 连接池
+   * @param {Object} [systemLogger] - SystemLogger，用于记录告警
+   * @param {Object} [options]
+   * @param {Function} [options.now] - 当前时间（测试用）
+   */
+  constructor(dbPool, systemLogger = null, options = {}) {
+    this.dbPool = dbPool
+    this.systemLogger = systemLogger
+    this.now = options.now || Date.now
+    this.quotaCache = new Map()
+    // 已告警的配额周期，避免重复告警
+    this.alerted = new Set()
+  }
+
+  /**
+   * 获取范围内的配额定义（带缓存）
+   */
+  async getQuotas(scopeType, scopeId) {
+    const key = scopeKey(scopeType, scopeId)
+    const cached = this.quotaCache.get(key)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.quotas
+    }
+
+    const [rows] = await this.dbPool.query(
+      'SELECT * FROM quotas WHERE scope_type = ? AND scope_id = ?',
+      [scopeType, scopeId]
+    )
+    const quotas = rows.map(row => rowToQuota(row))
+    this.quotaCache.set(key, { quotas, expiresAt: Date.now() + QUOTA_CACHE_TTL })
+    return quotas
+  }
+
+  /**
+   * 清除配额定义缓存（在配额修改时调用）
+   */
+  clearCache() {
+    this.quotaCache.clear()
+  }
+
+  /**
+   * 查询周期内用量
+   */
+  async getUsage(scope, period, now = this.now()) {
+    const { start, end } = getPeriodRange(period, now)
+    const [rows] = await this.dbPool.query(
+      `SELECT COALESCE(SUM(requests), 0) AS requests, COALESCE(SUM(tokens), 0) AS tokens,
+        COALESCE(SUM(credits), 0) AS credits
+       FROM quota_usage WHERE scope = ? AND day >= ? AND day <= ?`,
+      [scope, start, end]
+    )
+    return {
+      requests: Number(rows[0].requests),
+      tokens: Number(rows[0].tokens),
+      credits: Number(rows[0].credits)
+    }
+  }
+
+  /**
+   * 计算一组配额的使用情况（同一周期只查询一次）
+   */
+  async evaluateAll(quotas, now = this.now()) {
+    const usageByPeriod = new Map()
+    const results = []
+    for (const quota of quotas) {
+      const periodKey = `${quota.scopeType}:${quota.scopeId}|${quota.period}`
+      if (!usageByPeriod.has(periodKey)) {
+        usageByPeriod.set(periodKey, await this.getUsage(scopeKey(quota.scopeType, quota.scopeId), quota.period, now))
+      }
+      const range = getPeriodRange(quota.period, now)
+      results.push({ quota, range, ...evaluateQuota(quota, usageByPeriod.get(periodKey)) })
+    }
+    return results
+  }
+
+  /**
+   * 检查请求是否超出硬性配额
+   * @param {{apiKeyId: string|null, groupId: string|null}} identity
+   * @returns {Promise<Object|null>} 超出的配额使用情况，未超出时为 null
+   */
+  async check({ apiKeyId, groupId }) {
+    const now = this.now()
+    for (const [scopeType, scopeId] of [['api_key', apiKeyId], ['group', groupId]]) {
+      if (!scopeId) continue
+      const quotas = (await this.getQuotas(scopeType, scopeId)).filter(quota => quota.hardLimit)
+      if (quotas.length === 0) continue
+
+      const exceeded = (await this.evaluateAll(quotas, now)).find(result => result.exceeded)
+      if (exceeded) return exceeded
+    }
+    return null
+  }
+
+  /**
+   * 累加一次成功请求的用量，并检查是否需要告警
+   * @param {Object} usage
+   * @param {string|null} usage.apiKeyId
+   * @param {string|null} usage.groupId
+   * @param {number} usage.tokens - 输入 + 输出 token
+   * @param {number} usage.credits - Kiro credit
+   */
+  async record({ apiKeyId, groupId, tokens = 0, credits = 0 }) {
+    const now = this.now()
+    const day = getBeijingDay(now)
+
+    for (const [scopeType, scopeId] of [['api_key', apiKeyId], ['group', groupId]]) {
+      if (!scopeId) continue
+      const scope = scopeKey(scopeType, scopeId)
+      await this.dbPool.query(
+        `INSERT INTO quota_usage (id, scope, day, requests, tokens, credits, updated_at) VALUES (?, ?, ?, 1, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE requests = requests + 1, tokens = tokens + VALUES(tokens),
+           credits = credits + VALUES(credits), updated_at = VALUES(updated_at)`,
+        [`${scope}|${day}`, scope, day, tokens, credits, now]
+      )
+      await this.checkAlerts(scopeType, scopeId, now)
+    }
+  }
+
+  /**
+   * 用量达到告警比例或上限时记录告警
+   */
+  async checkAlerts(scopeType, scopeId, now = this.now()) {
+    const quotas = await this.getQuotas(scopeType, scopeId)
+    if (quotas.length === 0 || !this.systemLogger) return
+
+    for (const result of await this.evaluateAll(quotas, now)) {
+      const level = result.exceeded ? 'exceeded' : result.warning ? 'warning' : null
+      if (!level) continue
+
+      const alertKey = `${result.quota.id}|${result.range.start}|${level}`
+      if (this.alerted.has(alertKey)) continue
+      this.alerted.add(alertKey)
+
+      const { quota } = result
+      const target = `${quota.scopeType === 'group' ? '分组' : 'API Key'} ${quota.scopeId}`
+      await this.systemLogger.logAlert({
+        alertType: level === 'exceeded' ? AlertType.QUOTA_EXCEEDED : AlertType.QUOTA_WARNING,
+        severity: level === 'exceeded' ? AlertSeverity.CRITICAL : AlertSeverity.WARNING,
+        message: level === 'exceeded'
+          ? `${target} 已用完${quota.period === 'day' ? '每日' : '每月'} ${quota.metric} 配额${quota.hardLimit ? '，后续请求将被拒绝' : ''}`
+          : `${target} ${quota.period === 'day' ? '每日' : '每月'} ${quota.metric} 配额已使用 ${result.percent}%`,
+        details: { quotaId: quota.id, scopeType: quota.scopeType, scopeId: quota.scopeId, period: quota.period, periodStart: result.range.start, metric: quota.metric },
+        threshold: level === 'exceeded' ? quota.limit : quota.limit * quota.warnPercent / 100,
+        currentValue: result.used
+      })
+    }
+
+    // 只保留当前周期的告警记录
+    if (this.alerted.size > 10000) {
+      this.alerted.clear()
+    }
+  }
+}
+
+/**
+ * 构建配额超限响应体
+ * @param {'openai'|'claude'} format - 错误格式
+ */
+export function buildQuotaErrorBody(format, result) {
+  const { quota } = result
+  const message = `Quota exceeded: ${quota.period === 'day' ? 'daily' : 'monthly'} ${quota.metric} budget of ${quota.limit} ` +
+    `for this ${quota.scopeType === 'group' ? 'group' : 'API key'} is used up (resets at ${new Date(result.range.resetsAt).toISOString()})`
+
+  if (format === 'claude') {
+    return { type: 'error', error: { type: 'rate_limit_error', message } }
+  }
+  return { error: { message, type: 'insufficient_quota', code: 'quota_exceeded' } }
+}
+
+// 全局配额管理实例（由 initQuotaManager 创建）
+let quotaManager = null
+
+/**
+ * 初始化全局配额管理
+ */
+export function initQuotaManager(dbPool, systemLogger = null) {
+  quotaManager = new QuotaManager(dbPool, systemLogger)
+  return quotaManager
+}
+
+export function getQuotaManager() {
+  return quotaManager
+}
+
+/**
+ * 配额检查中间件，放在 validateApiKey 之后
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {QuotaManager} [manager] - 默认使用全局实例
+ */
+export function enforceQuota(format, manager = null) {
+  return async (req, res, next) => {
+    const activeManager = manager || quotaManager
+    if (!activeManager || (!req.apiKeyId && !req.groupId)) return next()
+
+    let exceeded
+    try {
+      exceeded = await activeManager.check({ apiKeyId: req.apiKeyId || null, groupId: req.groupId || null })
+    } catch (error) {
+      // 配额查询失败时放行，避免配额故障导致服务不可用
+      console.error('[Quota] Failed to check quota:', error.message)
+      return next()
+    }
+
+    if (exceeded) {
+      console.warn(`[Quota] ${exceeded.quota.scopeType}:${exceeded.quota.scopeId} exceeded ${exceeded.quota.period} ${exceeded.quota.metric} quota`)
+      const retryAfter = Math.max(1, Math.ceil((exceeded.range.resetsAt - activeManager.now()) / 1000))
+      res.set('retry-after', String(retryAfter))
+      return res.status(429).json(buildQuotaErrorBody(format, exceeded))
+    }
+    next()
+  }
+}
+
+/**
+ * 记录一次成功请求的配额用量（未初始化时忽略）
+ */
+export function recordQuotaUsage(usage) {
+  if (!quotaManager || (!usage.apiKeyId && !usage.groupId)) return
+  quotaManager.record(usage).catch(error => {
+    console.error('[Quota] Failed to record usage:', error.message)
+  })
+}
+
+export default QuotaManager
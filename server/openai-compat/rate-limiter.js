@@ -0,0 +1,508 @@
+/**
+ * API Key / 分组限流
+ *
+ * 限制项（0 表示不限制）：
+ * - rpm：每分钟请求数
+ * - tpm：每分钟 token 数（输入 + 输出，请求完成后计入）
+ * - maxStreams：同时进行的流式请求数
+ *
+ * 每个请求会同时检查两个范围：
+ * - key:<API Key 指纹>：限制来自环境变量 RATE_LIMIT_KEY_*（对每个 Key 单独生效）
+ * - group:<分组 ID>：限制来自 groups 表的 rate_limit_rpm / rate_limit_tpm / max_concurrent_streams
+ *
+ * 计数保存在可替换的存储中：
+ * - MysqlRateLimitStore（默认）：多 worker、多服务器共享同一个 MySQL 时计数一致
+ * - MemoryRateLimitStore：仅当前进程有效，用于单进程部署和测试
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { createHash } from 'crypto'
+import { v4 as uuidv4 } from 'uuid'
+
+// 计数窗口：1 分钟
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000
+
+// 流式请求租约时长，进程异常退出后租约到期自动释放
+export const STREAM_LEASE_TTL_MS = 30 * 60 * 1000
+
+// 每个 API Key 的默认限制（0 表示不限制）
+export const DEFAULT_KEY_LIMITS = {
+  rpm: parseInt(process.env.RATE_LIMIT_KEY_RPM || '0', 10),
+  tpm: parseInt(process.env.RATE_LIMIT_KEY_TPM || '0', 10),
+  maxStreams: parseInt(process.env.RATE_LIMIT_KEY_MAX_STREAMS || '0', 10)
+}
+
+/**
+ * 计算 API Key 指纹（不在计数表中保存明文 Key）
+ * @param {string} apiKey - API Key
+ * @returns {string} 16 位十六进制指纹
+ */
+export function fingerprintApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex').slice(0, 16)
+}
+
+/**
+ * 从 groups 表行中读取分组限制
+ * @param {Object} row - groups 表行
+ * @returns {{rpm: number, tpm: number, maxStreams: number}}
+ */
+export function groupLimitsFromRow(row) {
+  return {
+    rpm: row?.rate_limit_rpm || 0,
+    tpm: row?.rate_limit_tpm || 0,
+    maxStreams: row?.max_concurrent_streams || 0
+  }
+}
+
+function hasLimits(limits) {
+  return Boolean(limits && (limits.rpm > 0 || limits.tpm > 0 || limits.maxStreams > 0))
+}
+
+/**
+ * 基于 MySQL 的计数存储
+ */
+export class MysqlRateLimitStore {
+  constructor(dbPool) {
+    this.dbPool = dbPool
+    this.serverId = process.env.SERVER_ID || 'default'
+  }
+
+  /**
+   * 在限制内时计入一次请求
+   * @returns {Promise<{allowed: boolean, requests: number, tokens: number}>}
+   */
+  async consumeRequest(scope, windowStart, { rpm, tpm }) {
+    const id = `${scope}|${windowStart}`
+    await this.dbPool.query(
+      'INSERT IGNORE INTO rate_limit_counters (id, scope, window_start, requests, tokens) VALUES (?, ?, ?, 0, 0)',
+      [id, scope, windowStart]
+    )
+    // 条件更新保证多服务器同时请求时不会超出限制
+    const [result] = await this.dbPool.query(
+      `UPDATE rate_limit_counters SET requests = requests + 1
+       WHERE id = ? AND (? = 0 OR requests < ?) AND (? = 0 OR tokens < ?)`,
+      [id, rpm, rpm, tpm, tpm]
+    )
+    const [rows] = await this.dbPool.query('SELECT requests, tokens FROM rate_limit_counters WHERE id = ?', [id])
+    return {
+      allowed: result.affectedRows > 0,
+      requests: rows[0]?.requests || 0,
+      tokens: Number(rows[0]?.tokens || 0)
+    }
+  }
+
+  /**
+   * 撤销一次已计入的请求（其他范围超限时）
+   */
+  async refundRequest(scope, windowStart) {
+    await this.dbPool.query(
+      'UPDATE rate_limit_counters SET requests = GREATEST(requests - 1, 0) WHERE id = ?',
+      [`${scope}|${windowStart}`]
+    )
+  }
+
+  /**
+   * 计入 token 用量
+   */
+  async addTokens(scope, windowStart, tokens) {
+    await this.dbPool.query(
+      `INSERT INTO rate_limit_counters (id, scope, window_start, requests, tokens) VALUES (?, ?, ?, 0, ?)
+       ON DUPLICATE KEY UPDATE tokens = tokens + VALUES(tokens)`,
+      [`${scope}|${windowStart}`, scope, windowStart, tokens]
+    )
+  }
+
+  /**
+   * 在并发限制内时获取一个流式请求租约
+   * 使用 MySQL 命名锁串行化同一范围的检查和写入
+   * @returns {Promise<{leaseId: string|null, active: number}>}
+   */
+  async acquireLease(scope, maxStreams, ttlMs) {
+    const conn = await this.dbPool.getConnection()
+    const lockName = `kiro:ratelimit:${scope}`.slice(0, 64)
+    try {
+      const [[lock]] = await conn.query('SELECT GET_LOCK(?, 5) AS acquired', [lockName])
+      if (lock.acquired !== 1) {
+        throw new Error(`Failed to acquire rate limit lock for ${scope}`)
+      }
+      try {
+        const now = Date.now()
+        const [[row]] = await conn.query(
+          'SELECT COUNT(*) AS active FROM rate_limit_leases WHERE scope = ? AND expires_at > ?',
+          [scope, now]
+        )
+        if (row.active >= maxStreams) {
+          return { leaseId: null, active: row.active }
+        }
+        const leaseId = uuidv4()
+        await conn.query(
+          'INSERT INTO rate_limit_leases (id, scope, server_id, expires_at) VALUES (?, ?, ?, ?)',
+          [leaseId, scope, this.serverId, now + ttlMs]
+        )
+        return { leaseId, active: row.active + 1 }
+      } finally {
+        await conn.query('SELECT RELEASE_LOCK(?)', [lockName])
+      }
+    } finally {
+      conn.release()
+    }
+  }
+
+  /**
+   * 释放流式请求租约
+   */
+  async releaseLease(leaseId) {
+    await this.dbPool.query('DELETE FROM rate_limit_leases WHERE id = ?', [leaseId])
+  }
+
+  /**
+   * 清理过期窗口和租约
+   */
+  async cleanup(now = Date.now()) {
+    const [counters] = await this.dbPool.query(
+      'DELETE FROM rate_limit_counters WHERE window_start < ?',
+      [now - 2 * RATE_LIMIT_WINDOW_MS]
+    )
+    const [leases] = await this.dbPool.query('DELETE FROM rate_limit_leases WHERE expires_at <= ?', [now])
+    return counters.affectedRows + leases.affectedRows
+  }
+}
+
+/**
+ * 进程内计数存储
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map()
+    this.leases = new Map()
+  }
+
+  getCounter(scope, windowStart) {
+    const id = `${scope}|${windowStart}`
+    let counter = this.counters.get(id)
+    if (!counter) {
+      counter = { windowStart, requests: 0, tokens: 0 }
+      this.counters.set(id, counter)
+    }
+    return counter
+  }
+
+  async consumeRequest(scope, windowStart, { rpm, tpm }) {
+    const counter = this.getCounter(scope, windowStart)
+    const allowed = (rpm === 0 || counter.requests < rpm) && (tpm === 0 || counter.tokens < tpm)
+    if (allowed) counter.requests++
+    return { allowed, requests: counter.requests, tokens: counter.tokens }
+  }
+
+  async refundRequest(scope, windowStart) {
+    const counter = this.getCounter(scope, windowStart)
+    counter.requests = Math.max(counter.requests - 1, 0)
+  }
+
+  async addTokens(scope, windowStart, tokens) {
+    this.getCounter(scope, windowStart).tokens += tokens
+  }
+
+  async acquireLease(scope, maxStreams, ttlMs) {
+    const now = Date.now()
+    let active = 0
+    for (const lease of this.leases.values()) {
+      if (lease.scope === scope && lease.expiresAt > now) active++
+    }
+    if (active >= maxStreams) {
+      return { leaseId: null, active }
+    }
+    const leaseId = uuidv4()
+    this.leases.set(leaseId, { scope, expiresAt: now + ttlMs })
+    return { leaseId, active: active + 1 }
+  }
+
+  async releaseLease(leaseId) {
+    this.leases.delete(leaseId)
+  }
+
+  async cleanup(now = Date.now()) {
+    let removed = 0
+    for (const [id, counter] of this.counters) {
+      if (counter.windowStart < now - 2 * RATE_LIMIT_WINDOW_MS) {
+        this.counters.delete(id)
+        removed++
+      }
+    }
+    for (const [id, lease] of this.leases) {
+      if (lease.expiresAt <= now) {
+        this.leases.delete(id)
+        removed++
+      }
+    }
+    return removed
+  }
+}
+
+// 当前请求的限流范围，请求完成时用于计入 token
+const usageContext = new AsyncLocalStorage()
+
+export class RateLimiter {
+  /**
+   * @param {Object} store - MysqlRateLimitStore / MemoryRateLimitStore 或实现相同方法的对象
+   * @param {Object} options
+   * @param {Object} [options.keyLimits] - 每个 API Key 的限制，默认读取环境变量
+   * @param {Function} [options.now] - 当前时间（测试用）
+   */
+  constructor(store, options = {}) {
+    this.store = store
+    this.keyLimits = options.keyLimits || DEFAULT_KEY_LIMITS
+    this.now = options.now || Date.now
+    this.cleanupInterval = null
+  }
+
+  /**
+   * 获取请求需要检查的限流范围
+   * auth-middleware 会设置 req.apiKeyId 和 req.groupLimits；JWT 登录的请求没有 apiKeyId，不限流
+   */
+  getScopes(req) {
+    const scopes = []
+    if (!req.apiKeyId) return scopes
+
+    const keyLimits = req.apiKeyLimits || this.keyLimits
+    if (hasLimits(keyLimits)) {
+      scopes.push({ scope: `key:${req.apiKeyId}`, limits: keyLimits })
+    }
+    if (req.groupId && hasLimits(req.groupLimits)) {
+      scopes.push({ scope: `group:${req.groupId}`, limits: req.groupLimits })
+    }
+    return scopes
+  }
+
+  /**
+   * 检查并计入一次请求
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfterSeconds?: number, headers: Object, leases: string[], scopes: Array, windowStart: number}>}
+   */
+  async acquire(scopes, { isStream = false } = {}) {
+    const now = this.now()
+    const windowStart = Math.floor(now / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS
+    const resetSeconds = Math.max(1, Math.ceil((windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000))
+    const consumed = []
+    const leases = []
+    const headers = {}
+    let tightest = null
+
+    const rollback = async () => {
+      for (const { scope } of consumed) {
+        await this.store.refundRequest(scope, windowStart)
+      }
+      for (const leaseId of leases) {
+        await this.store.releaseLease(leaseId)
+      }
+    }
+
+    for (const entry of scopes) {
+      const { rpm = 0, tpm = 0, maxStreams = 0 } = entry.limits
+
+      if (rpm > 0 || tpm > 0) {
+        const usage = await this.store.consumeRequest(entry.scope, windowStart, { rpm, tpm })
+        if (!usage.allowed) {
+          await rollback()
+          const reason = rpm > 0 && usage.requests >= rpm ? 'requests' : 'tokens'
+          return {
+            allowed: false,
+            reason,
+            scope: entry.scope,
+            retryAfterSeconds: resetSeconds,
+            headers: buildHeaders({ limits: entry.limits, usage, resetSeconds })
+          }
+        }
+        consumed.push(entry)
+
+        // 响应头使用剩余请求数最少的范围
+        const remaining = rpm > 0 ? rpm - usage.requests : Infinity
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { remaining, limits: entry.limits, usage }
+        }
+      }
+
+      if (isStream && maxStreams > 0) {
+        const lease = await this.store.acquireLease(entry.scope, maxStreams, STREAM_LEASE_TTL_MS)
+        if (!lease.leaseId) {
+          await rollback()
+          return {
+            allowed: false,
+            reason: 'streams',
+            scope: entry.scope,
+            retryAfterSeconds: 1,
+            headers: {
+              'x-ratelimit-limit-streams': String(maxStreams),
+              'x-ratelimit-remaining-streams': '0'
+            }
+          }
+        }
+        leases.push(lease.leaseId)
+      }
+    }
+
+    if (tightest) {
+      Object.assign(headers, buildHeaders({ limits: tightest.limits, usage: tightest.usage, resetSeconds }))
+    }
+    return { allowed: true, headers, leases, scopes: consumed, windowStart }
+  }
+
+  /**
+   * 释放流式请求租约
+   */
+  async release(leases) {
+    for (const leaseId of leases) {
+      try {
+        await this.store.releaseLease(leaseId)
+      } catch (error) {
+        console.error('[RateLimiter] Failed to release lease:', error.message)
+      }
+    }
+  }
+
+  /**
+   * 计入 token 用量（计入请求开始时所在的窗口）
+   */
+  async recordTokens(scopes, windowStart, tokens) {
+    if (!tokens || tokens <= 0) return
+    for (const { scope, limits } of scopes) {
+      if (limits.tpm > 0) {
+        await this.store.addTokens(scope, windowStart, tokens)
+      }
+    }
+  }
+
+  /**
+   * 启动定时清理（每 5 分钟）
+   */
+  startCleanup() {
+    if (this.cleanupInterval) return
+    this.cleanupInterval = setInterval(() => {
+      this.store.cleanup(this.now()).catch(error => {
+        console.error('[RateLimiter] Cleanup failed:', error.message)
+      })
+    }, 5 * 60 * 1000)
+    this.cleanupInterval.unref?.()
+  }
+
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval)
+      this.cleanupInterval = null
+    }
+  }
+}
+
+/**
+ * 构建 x-ratelimit-* 响应头
+ */
+function buildHeaders({ limits, usage, resetSeconds }) {
+  const headers = {}
+  if (limits.rpm > 0) {
+    headers['x-ratelimit-limit-requests'] = String(limits.rpm)
+    headers['x-ratelimit-remaining-requests'] = String(Math.max(limits.rpm - usage.requests, 0))
+    headers['x-ratelimit-reset-requests'] = `${resetSeconds}s`
+  }
+  if (limits.tpm > 0) {
+    headers['x-ratelimit-limit-tokens'] = String(limits.tpm)
+    headers['x-ratelimit-remaining-tokens'] = String(Math.max(limits.tpm - usage.tokens, 0))
+    headers['x-ratelimit-reset-tokens'] = `${resetSeconds}s`
+  }
+  return headers
+}
+
+/**
+ * 构建 429 响应体
+ * @param {'openai'|'claude'} format - 错误格式
+ */
+export function buildRateLimitErrorBody(format, result) {
+  const messages = {
+    requests: 'Rate limit exceeded: too many requests per minute',
+    tokens: 'Rate limit exceeded: too many tokens per minute',
+    streams: 'Rate limit exceeded: too many concurrent streaming requests'
+  }
+  const message = `${messages[result.reason]} (${result.scope.split(':')[0]}). Please retry after ${result.retryAfterSeconds}s.`
+
+  if (format === 'claude') {
+    return { type: 'error', error: { type: 'rate_limit_error', message } }
+  }
+  return {
+    error: {
+      message,
+      type: 'rate_limit_error',
+      code: result.reason === 'streams' ? 'concurrency_limit_exceeded' : 'rate_limit_exceeded'
+    }
+  }
+}
+
+// 全局限流器实例（由 initRateLimiter 创建）
+let rateLimiter = null
+
+/**
+ * 初始化全局限流器
+ * RATE_LIMIT_STORE=memory 时使用进程内存储，否则使用 MySQL
+ * @param {Object} dbPool - MySQL 连接池
+ * @param {Object} [store] - 自定义存储
+ * @returns {RateLimiter}
+ */
+export function initRateLimiter(dbPool, store = null) {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'memory' ? new MemoryRateLimitStore() : new MysqlRateLimitStore(dbPool)
+  }
+  rateLimiter = new RateLimiter(store)
+  return rateLimiter
+}
+
+export function getRateLimiter() {
+  return rateLimiter
+}
+
+/**
+ * 限流中间件，放在 validateApiKey 之后
+ * @param {'openai'|'claude'} format - 429 响应的错误格式
+ * @param {RateLimiter} [limiter] - 限流器，默认使用全局实例
+ */
+export function rateLimit(format, limiter = null) {
+  return async (req, res, next) => {
+    const activeLimiter = limiter || rateLimiter
+    if (!activeLimiter) return next()
+
+    const scopes = activeLimiter.getScopes(req)
+    if (scopes.length === 0) return next()
+
+    let result
+    try {
+      result = await activeLimiter.acquire(scopes, { isStream: req.body?.stream === true })
+    } catch (error) {
+      // 计数存储不可用时放行，避免限流故障导致服务不可用
+      console.error('[RateLimiter] Failed to check rate limit:', error.message)
+      return next()
+    }
+
+    res.set(result.headers)
+    if (!result.allowed) {
+      console.warn(`[RateLimiter] ${result.scope} exceeded ${result.reason} limit`)
+      res.set('retry-after', String(result.retryAfterSeconds))
+      return res.status(429).json(buildRateLimitErrorBody(format, result))
+    }
+
+    if (result.leases.length > 0) {
+      res.once('close', () => activeLimiter.release(result.leases))
+    }
+
+    usageContext.run({ limiter: activeLimiter, scopes: result.scopes, windowStart: result.windowStart }, next)
+  }
+}
+
+/**
+ * 计入当前请求的 token 用量（在 rateLimit 中间件的上下文外调用时忽略）
+ * @param {number} tokens - 输入 + 输出 token 数
+ */
+export function recordTokenUsage(tokens) {
+  const ctx = usageContext.getStore()
+  if (!ctx) return
+  ctx.limiter.recordTokens(ctx.scopes, ctx.windowStart, tokens).catch(error => {
+    console.error('[RateLimiter] Failed to record token usage:', error.message)
+  })
+}
+
+export default RateLimiter
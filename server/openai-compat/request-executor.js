@@ -0,0 +1,267 @@
+/**
+ * 请求执行辅助函数
+ * /v1/chat/completions、/v1/responses 等 OpenAI 兼容接口共用的账号选择、换号重试和失败处理
+ */
+
+import { ChatErrorClass, AccountAction, classifyChatError, getChatErrorAction } from '../utils/upstream-errors.js'
+
+// 从环境变量读取最大重试次数，默认5次
+export const MAX_ACCOUNT_RETRIES = parseInt(process.env.MAX_ACCOUNT_RETRIES || '5', 10)
+
+/**
+ * 选择本次请求使用的账号
+ * 指定 account_id 时使用该账号（需属于分组 SK 对应的分组），否则从账号池轮询
+ * @param {object} accountPool - 账号池
+ * @param {object} options
+ * @param {string} options.accountId - 请求指定的账号 ID
+ * @param {string|null} options.groupId - 分组 SK 对应的分组 ID
+ * @param {object} [options.wait] - 排队选项（buildQueueWaitOptions），账号池暂时耗尽时排队等待
+ * @returns {Promise<{account: object}|{error: object}>} error 包含 status、errorType、message、type、code
+ */
+export async function selectAccount(accountPool, { accountId = null, groupId = null, wait = null }) {
+  try {
+    if (!accountId) {
+      if (wait) {
+        return { account: await accountPool.acquireAccount(groupId, wait) }
+      }
+      return { account: await accountPool.getNextAccount(groupId) }
+    }
+
+    let account = await accountPool.getAccountById(accountId)
+    if (!account) {
+      await accountPool.getAvailableAccounts(groupId)
+      account = await accountPool.getAccountById(accountId)
+    }
+    if (!account) {
+      return {
+        error: {
+          status: 404,
+          errorType: 'account_not_found',
+          message: `Account '${accountId}' not found or not available`,
+          type: 'invalid_request_error',
+          code: 'account_not_found'
+        }
+      }
+    }
+    // 如果使用分组 SK，验证账号是否属于该分组
+    if (groupId && account.groupId !== groupId) {
+      return {
+        error: {
+          status: 403,
+          errorType: 'account_not_in_group',
+          message: `Account '${accountId}' does not belong to the authorized group`,
+          type: 'invalid_request_error',
+          code: 'account_not_in_group'
+        }
+      }
+    }
+    return { account }
+  } catch (error) {
+    console.error('[OpenAI API] No available account:', error.message)
+    return {
+      error: {
+        status: 503,
+        errorType: 'no_available_accounts',
+        message: 'No available accounts in pool',
+        detail: error.message,
+        type: 'server_error',
+        code: 'no_available_accounts'
+      }
+    }
+  }
+}
+
+/**
+ * 执行请求，上游错误按类别处理账号后换号重试（见 utils/upstream-errors.js）
+ * 限流的账号退避、配额耗尽的账号标记、封禁的账号移除；请求本身的错误（模型无效、内容过长）不重试
+ * ctx.account 始终指向最后一次尝试使用的账号，调用方在失败处理中使用它
+ * @param {object} accountPool - 账号池
+ * @param {object} ctx - 重试上下文 { account, groupId, pinned, retryCount }，pinned 为 true 时不换号
+ * @param {Function} execute - async (account) => result
+ * @param {number} maxRetries - 最大换号次数
+ * @returns {Promise<*>} execute 的返回值
+ */
+export async function executeWithAccountRetry(accountPool, ctx, execute, maxRetries = MAX_ACCOUNT_RETRIES) {
+  while (true) {
+    try {
+      return await execute(ctx.account)
+    } catch (error) {
+      const action = getChatErrorAction(error)
+      const retry = action.retry && !ctx.pinned && ctx.retryCount < maxRetries
+      logRetryDecision(accountPool, ctx, error, action, retry, maxRetries)
+
+      // 不再换号时由调用方通过 recordAccountFailure 标记账号
+      if (!retry) throw error
+
+      await applyAccountErrorAction(accountPool, ctx.account, error, action)
+      ctx.retryCount++
+
+      const newAccount = await accountPool.getNextAccount(ctx.groupId)
+      if (!newAccount || newAccount.id === ctx.account.id) {
+        throw error // 没有其他可用账号，抛出原错误
+      }
+      console.log(`[OpenAI API] Retry with new account: ${newAccount.email}`)
+      await accountPool.incrementApiCall(newAccount.id)
+      ctx.account = newAccount
+    }
+  }
+}
+
+/**
+ * 记录换号重试决定（控制台和系统日志）
+ */
+function logRetryDecision(accountPool, ctx, error, action, retry, maxRetries) {
+  let decision = 'retry'
+  if (!action.retry) decision = 'client_error_or_unknown'
+  else if (ctx.pinned) decision = 'pinned_account'
+  else if (!retry) decision = 'max_retries_reached'
+
+  console.log(`[OpenAI API] Upstream ${action.errorClass} error on ${ctx.account.email}: ${error.message} → ${retry ? `account ${action.account}, switching (${ctx.retryCount + 1}/${maxRetries})` : `no retry (${decision})`}`)
+
+  accountPool.systemLogger?.logAccountPool({
+    action: 'retry_decision',
+    message: `账号 ${ctx.account.email} 上游错误（${action.errorClass}）：${retry ? '换号重试' : '不重试'}`,
+    details: {
+      accountId: ctx.account.id,
+      errorClass: action.errorClass,
+      accountAction: action.account,
+      decision,
+      retryCount: ctx.retryCount,
+      maxRetries,
+      error: error.message?.substring(0, 500)
+    },
+    level: retry ? 'info' : 'warn'
+  }).catch(() => {})
+}
+
+// 已处理过账号状态的错误，避免换号失败后 recordAccountFailure 重复处理（重复退避会使退避次数翻倍）
+const handledErrors = new WeakSet()
+
+/**
+ * 按错误类别处理账号：限流退避、配额耗尽标记、封禁、记录错误
+ * @param {object} accountPool - 账号池
+ * @param {object} account - 出错的账号
+ * @param {Error} error - 错误
+ * @param {object} [action] - getChatErrorAction 的结果
+ * @returns {Promise<object>} 处理方式
+ */
+export async function applyAccountErrorAction(accountPool, account, error, action = getChatErrorAction(error)) {
+  if (handledErrors.has(error)) return action
+  handledErrors.add(error)
+
+  switch (action.account) {
+    case AccountAction.BACKOFF:
+      accountPool.backoffAccount(account.id, { reason: error.message, retryAfterMs: error.retryAfterMs })
+      break
+    case AccountAction.QUOTA:
+      // 402 错误：异步更新使用量（次月1日才会恢复额度）
+      accountPool.markAccountQuotaExhausted(account.id, error.message)
+      break
+    case AccountAction.BAN:
+      // 封禁错误：永久移除账号并标记为封禁状态
+      await accountPool.banAccount(account.id, error.message)
+      break
+    case AccountAction.ERROR:
+      if (action.errorClass === ChatErrorClass.TRANSIENT) {
+        // 上游暂时故障不是账号的问题，只计入活跃池错误，不在数据库中标记
+        await accountPool.markAccountError(account.id, error.message, false)
+      } else {
+        await accountPool.markAccountError(account.id)
+      }
+      break
+  }
+  return action
+}
+
+/**
+ * 预读流的第一个事件
+ * streamApi 是惰性生成器，请求和鉴权错误要到第一次迭代才抛出；
+ * 在发送响应头之前预读，才能让 executeWithAccountRetry 对流式请求生效
+ * @param {AsyncGenerator} generator - KiroClient.streamApi 返回的生成器
+ * @returns {Promise<AsyncGenerator>} 包含已预读事件的生成器
+ */
+export async function primeStream(generator) {
+  const first = await generator.next()
+  return (async function* () {
+    if (first.done) return
+    yield first.value
+    yield* generator
+  })()
+}
+
+/**
+ * 确定上游错误的日志错误类型
+ * @param {Error} error - 错误
+ * @param {string} defaultType - 无法归类时的错误类型
+ * @returns {string}
+ */
+export function classifyUpstreamError(error, defaultType = 'api_error') {
+  switch (classifyChatError(error)) {
+    case ChatErrorClass.BANNED: return 'account_banned'
+    case ChatErrorClass.QUOTA_EXHAUSTED: return 'quota_exhausted'
+    case ChatErrorClass.THROTTLED: return 'throttled'
+    case ChatErrorClass.INVALID_MODEL: return 'invalid_model'
+    case ChatErrorClass.CONTENT_TOO_LONG: return 'content_too_long'
+    case ChatErrorClass.AUTH: return error.message?.includes('403') ? 'forbidden' : 'token_expired'
+    case ChatErrorClass.TRANSIENT: return 'upstream_unavailable'
+    default: return defaultType
+  }
+}
+
+/**
+ * 请求最终失败时更新账号状态，并返回日志使用的错误类型
+ * @param {object} accountPool - 账号池
+ * @param {object} account - 失败的账号
+ * @param {Error} error - 错误
+ * @param {string} defaultType - 无法归类时的错误类型
+ * @returns {Promise<string>} 错误类型
+ */
+export async function recordAccountFailure(accountPool, account, error, defaultType = 'api_error') {
+  await applyAccountErrorAction(accountPool, account, error)
+  return classifyUpstreamError(error, defaultType)
+}
+
+// 各类错误返回给客户端的 OpenAI 错误（未列出的返回 500 api_error）
+const OPENAI_ERROR_RESPONSES = {
+  [ChatErrorClass.QUOTA_EXHAUSTED]: { status: 402, type: 'quota_exhausted', code: 'quota_exhausted' },
+  [ChatErrorClass.THROTTLED]: { status: 429, type: 'rate_limit_error', code: 'rate_limit_exceeded' },
+  [ChatErrorClass.INVALID_MODEL]: { status: 400, type: 'invalid_request_error', code: 'model_not_found' },
+  [ChatErrorClass.CONTENT_TOO_LONG]: { status: 400, type: 'invalid_request_error', code: 'context_length_exceeded' },
+  [ChatErrorClass.TRANSIENT]: { status: 503, type: 'server_error', code: 'upstream_unavailable' }
+}
+
+/**
+ * 构建上游请求失败的 OpenAI 错误响应
+ * 402 配额耗尽、429 限流、400 模型无效或内容过长、503 上游暂时故障，其他 500
+ * @param {Error} error - 错误
+ * @returns {{status: number, body: object}}
+ */
+export function buildUpstreamErrorResponse(error) {
+  const { status, type, code } = OPENAI_ERROR_RESPONSES[classifyChatError(error)] ||
+    { status: 500, type: 'api_error', code: 'internal_error' }
+  return {
+    status,
+    body: {
+      error: {
+        message: error.message,
+        type,
+        code
+      }
+    }
+  }
+}
+
+/**
+ * 请求日志中的账号字段
+ * @param {object} account - 账号
+ * @returns {object}
+ */
+export function accountLogFields(account) {
+  if (!account) return {}
+  return {
+    accountId: account.id,
+    accountEmail: account.email,
+    accountIdp: account.idp,
+    headerVersion: account.headerVersion || 1
+  }
+}
@@ -4,6 +4,9 @@
  */
 
 import { v4 as uuidv4 } from 'uuid'
+import { recordTokenUsage } from './rate-limiter.js'
+import { recordQuotaUsage } from './quota-manager.js'
+import { getRequestContext } from '../utils/request-context.js'
 
 class RequestLogger {
   constructor(pool) {
@@ -35,6 +38,8 @@ class RequestLogger {
 
   /**
    * 记录请求日志（异步写入，不阻塞请求）
+   *
+   * apiKeyId / groupId 未传入时从请求上下文读取，流式对冲结果（hedgeStatus / hedgeAccountId）也从请求上下文读取
    */
   log({
     requestId,
@@ -48,6 +53,8 @@ class RequestLogger {
     errorMessage,
     requestTokens,
     responseTokens,
+    cacheCreationTokens = 0,
+    cacheReadTokens = 0,
     durationMs,
     timeToFirstByte = null,
     clientIp,
@@ -56,8 +63,29 @@ class RequestLogger {
     thinkingBudget = 0,
     headerVersion = 1,
     requestHeaders = null,
-    apiProtocol = 'openai'
+    apiProtocol = 'openai',
+    apiKeyId,
+    groupId,
+    credits = 0,
+    hedgeStatus,
+    hedgeAccountId
   }) {
+    const context = getRequestContext()
+    if (apiKeyId === undefined) apiKeyId = context?.apiKeyId
+    if (groupId === undefined) groupId = context?.groupId
+    if (hedgeStatus === undefined) hedgeStatus = context?.hedge?.status
+    if (hedgeAccountId === undefined) hedgeAccountId = context?.hedge?.accountId
+
+    // 成功请求计入配额用量
+    if (status === 'success') {
+      recordQuotaUsage({
+        apiKeyId: apiKeyId || null,
+        groupId: groupId || null,
+        tokens: (requestTokens || 0) + (responseTokens || 0) + (cacheCreationTokens || 0) + (cacheReadTokens || 0),
+        credits: credits || 0
+      })
+    }
+
     // 脱敏并序列化请求头
     const sanitizedHeaders = this.sanitizeHeaders(requestHeaders)
     const headersJson = sanitizedHeaders ? JSON.stringify(sanitizedHeaders) : null
@@ -66,9 +94,10 @@ class RequestLogger {
     this.dbPool.query(
       `INSERT INTO api_request_logs
        (server_id, request_id, account_id, account_email, account_idp, model, is_stream, status,
-        error_type, error_message, request_tokens, response_tokens,
-        duration_ms, time_to_first_byte, client_ip, user_agent, is_thinking, thinking_budget, header_version, request_headers, api_protocol)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        error_type, error_message, request_tokens, response_tokens, cache_creation_tokens, cache_read_tokens,
+        duration_ms, time_to_first_byte, client_ip, user_agent, is_thinking, thinking_budget, header_version, request_headers, api_protocol,
+        api_key_id, group_id, credits, hedge_status, hedge_account_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         this.serverId,
         requestId || uuidv4(),
@@ -82,6 +111,8 @@ class RequestLogger {
         errorMessage || null,
         requestTokens || 0,
         responseTokens || 0,
+        cacheCreationTokens || 0,
+        cacheReadTokens || 0,
         durationMs || 0,
         timeToFirstByte || null,
         clientIp || null,
@@ -90,7 +121,12 @@ class RequestLogger {
         thinkingBudget || 0,
         headerVersion || 1,
         headersJson,
-        apiProtocol || 'openai'
+        apiProtocol || 'openai',
+        apiKeyId || null,
+        groupId || null,
+        credits || 0,
+        hedgeStatus || null,
+        hedgeAccountId || null
       ]
     ).catch(error => {
       console.error('[RequestLogger] Failed to log request:', error.message)
@@ -101,6 +137,8 @@ class RequestLogger {
    * 记录成功请求
    */
   logSuccess(data) {
+    // 计入当前 API Key / 分组的每分钟 token 用量
+    recordTokenUsage((data.requestTokens || 0) + (data.responseTokens || 0))
     this.log({ ...data, status: 'success' })
   }
 
@@ -222,7 +260,11 @@ class RequestLogger {
           SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_count,
           AVG(duration_ms) as avg_duration,
           SUM(request_tokens) as total_request_tokens,
-          SUM(response_tokens) as total_response_tokens
+          SUM(response_tokens) as total_response_tokens,
+          SUM(cache_creation_tokens) as total_cache_creation_tokens,
+          SUM(cache_read_tokens) as total_cache_read_tokens,
+          SUM(CASE WHEN hedge_status IS NOT NULL THEN 1 ELSE 0 END) as hedged_count,
+          SUM(CASE WHEN hedge_status = 'hedge_won' THEN 1 ELSE 0 END) as hedge_won_count
         FROM api_request_logs
         WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
       `)
@@ -260,7 +302,9 @@ class RequestLogger {
           SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as success,
           SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as errors,
           SUM(request_tokens) as request_tokens,
-          SUM(response_tokens) as response_tokens
+          SUM(response_tokens) as response_tokens,
+          SUM(cache_creation_tokens) as cache_creation_tokens,
+          SUM(cache_read_tokens) as cache_read_tokens
         FROM api_request_logs
         WHERE created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
         GROUP BY api_protocol
@@ -274,6 +318,11 @@ class RequestLogger {
         avgDuration: Math.round(stats.avg_duration || 0),
         totalRequestTokens: stats.total_request_tokens || 0,
         totalResponseTokens: stats.total_response_tokens || 0,
+        totalCacheCreationTokens: stats.total_cache_creation_tokens || 0,
+        totalCacheReadTokens: stats.total_cache_read_tokens || 0,
+        // 流式对冲：每次对冲多一个上游请求
+        hedgedRequests: Number(stats.hedged_count) || 0,
+        hedgeWins: Number(stats.hedge_won_count) || 0,
         hourly: hourlyRows,
         errorTypes: errorRows,
         byProtocol: protocolRows
@@ -0,0 +1,213 @@
+/**
+ * OpenAI response_format 处理（json_object / json_schema）
+ * Kiro 没有结构化输出参数：在 system prompt 中注入格式要求，代理侧解析并校验输出，
+ * 校验失败时把错误反馈给模型重新生成，最多重试 JSON_OUTPUT_MAX_RETRIES 次
+ *
+ * 流式请求默认缓冲：校验通过后再一次性按 SSE 输出；
+ * 请求头 X-Kiro-Json-Stream: unvalidated 时按普通流式输出，只注入格式要求、不做校验
+ */
+
+import { validateJsonSchema, checkJsonSchema } from './json-schema.js'
+
+const DEFAULT_JSON_OUTPUT_MAX_RETRIES = 2
+
+/**
+ * 解析最大重试次数，不是非负整数时使用默认值（NaN 会让重试循环无法结束）
+ * @param {string|undefined} value - 环境变量值
+ * @returns {number}
+ */
+export function parseJsonOutputMaxRetries(value) {
+  const retries = Number(value)
+  return value !== undefined && value !== '' && Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_JSON_OUTPUT_MAX_RETRIES
+}
+
+// 校验失败后的最大重试次数，默认2次
+export const JSON_OUTPUT_MAX_RETRIES = parseJsonOutputMaxRetries(process.env.JSON_OUTPUT_MAX_RETRIES)
+
+// 流式 JSON 输出模式请求头：buffered（默认）或 unvalidated
+export const JSON_STREAM_MODE_HEADER = 'x-kiro-json-stream'
+
+// 返回给客户端的校验状态响应头（unvalidated 流式时为 skipped）
+export const JSON_VALIDATION_HEADER = 'X-Kiro-Json-Validation'
+
+// json_schema.name 的格式（与 OpenAI 一致）
+const SCHEMA_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+
+/**
+ * 构建参数错误
+ * @returns {{error: {param: string, message: string, code: string}}}
+ */
+function paramError(param, message, code = 'invalid_value') {
+  return { error: { param, message, code } }
+}
+
+/**
+ * 解析并校验 response_format
+ * @param {object} body - 请求体
+ * @returns {{responseFormat: object}|{error: object}} responseFormat 为 { type, name?, description?, schema? }
+ */
+export function parseResponseFormat(body) {
+  const format = body.response_format
+  if (format === undefined || format === null) {
+    return { responseFormat: { type: 'text' } }
+  }
+  if (typeof format !== 'object' || Array.isArray(format)) {
+    return paramError('response_format', "'response_format' must be an object")
+  }
+
+  switch (format.type) {
+    case 'text':
+    case 'json_object':
+      return { responseFormat: { type: format.type } }
+    case 'json_schema': {
+      const jsonSchema = format.json_schema
+      if (!jsonSchema || typeof jsonSchema !== 'object') {
+        return paramError('response_format.json_schema', "'response_format.json_schema' is required")
+      }
+      if (typeof jsonSchema.name !== 'string' || !SCHEMA_NAME_PATTERN.test(jsonSchema.name)) {
+        return paramError('response_format.json_schema.name', "'response_format.json_schema.name' must match ^[a-zA-Z0-9_-]{1,64}$")
+      }
+      const schema = jsonSchema.schema ?? { type: 'object' }
+      const schemaProblem = checkJsonSchema(schema)
+      if (schemaProblem) {
+        return paramError('response_format.json_schema.schema', `Invalid JSON schema: ${schemaProblem}`)
+      }
+      return {
+        responseFormat: {
+          type: 'json_schema',
+          name: jsonSchema.name,
+          description: jsonSchema.description || null,
+          schema
+        }
+      }
+    }
+    default:
+      return paramError('response_format.type', "'response_format.type' must be 'text', 'json_object' or 'json_schema'")
+  }
+}
+
+/**
+ * 是否需要 JSON 输出
+ * @param {object} responseFormat - parseResponseFormat 返回的 responseFormat
+ * @returns {boolean}
+ */
+export function isJsonResponseFormat(responseFormat) {
+  return responseFormat?.type === 'json_object' || responseFormat?.type === 'json_schema'
+}
+
+/**
+ * 在 system prompt 中追加输出格式要求
+ * @param {string|null} systemPrompt - system prompt
+ * @param {object} responseFormat - parseResponseFormat 返回的 responseFormat
+ * @returns {string|null}
+ */
+export function applyResponseFormat(systemPrompt, responseFormat) {
+  let hint
+  if (responseFormat.type === 'json_object') {
+    hint = 'Respond only with a single valid JSON object. Do not wrap it in Markdown code fences and do not add any text before or after it.'
+  } else if (responseFormat.type === 'json_schema') {
+    const description = responseFormat.description ? ` (${responseFormat.description})` : ''
+    hint = `Respond only with a single JSON value named "${responseFormat.name}"${description} that conforms to this JSON Schema. ` +
+      'Do not wrap it in Markdown code fences and do not add any text before or after it.\n' +
+      JSON.stringify(responseFormat.schema)
+  } else {
+    return systemPrompt
+  }
+  return systemPrompt ? `${systemPrompt}\n\n${hint}` : hint
+}
+
+/**
+ * 从模型输出中提取 JSON 文本：去掉 Markdown 代码块，必要时截取首尾的 {} / []
+ * @param {string} text - 模型输出
+ * @returns {string}
+ */
+export function extractJsonText(text) {
+  let candidate = (text || '').trim()
+  const fenced = candidate.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i)
+  if (fenced) {
+    candidate = fenced[1].trim()
+  }
+  try {
+    JSON.parse(candidate)
+    return candidate
+  } catch (e) {
+    const start = candidate.search(/[[{]/)
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'))
+    return start !== -1 && end > start ? candidate.substring(start, end + 1) : candidate
+  }
+}
+
+/**
+ * 校验模型输出
+ * @param {string} text - 模型输出（不含 thinking）
+ * @param {object} responseFormat - parseResponseFormat 返回的 responseFormat
+ * @returns {{valid: true, text: string}|{valid: false, message: string}} text 为规范化后的 JSON 文本
+ */
+export function validateJsonOutput(text, responseFormat) {
+  const jsonText = extractJsonText(text)
+  let value
+  try {
+    value = JSON.parse(jsonText)
+  } catch (error) {
+    return { valid: false, message: `Output is not valid JSON: ${error.message}` }
+  }
+
+  if (responseFormat.type === 'json_object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, message: 'Output must be a JSON object' }
+    }
+    return { valid: true, text: jsonText }
+  }
+
+  const errors = validateJsonSchema(value, responseFormat.schema)
+  if (errors.length > 0) {
+    return { valid: false, message: `Output does not match the JSON schema: ${errors.join('; ')}` }
+  }
+  return { valid: true, text: jsonText }
+}
+
+/**
+ * 构建校验失败后追加到对话末尾的修正消息（OpenAI 格式）
+ * @param {string} invalidText - 上一次的输出
+ * @param {string} message - 校验错误
+ * @returns {Array}
+ */
+export function buildRepairMessages(invalidText, message) {
+  return [
+    { role: 'assistant', content: invalidText || '(empty response)' },
+    {
+      role: 'user',
+      content: `Your previous response was rejected. ${message}. ` +
+        'Reply again with only the corrected JSON and nothing else.'
+    }
+  ]
+}
+
+/**
+ * 执行请求并校验 JSON 输出，失败时带上修正消息重新请求
+ * @param {object} options
+ * @param {object} options.responseFormat - parseResponseFormat 返回的 responseFormat
+ * @param {Function} options.execute - async (repairMessages) => result，repairMessages 首次为空数组
+ * @param {Function} options.getText - (result) => 待校验文本；返回 null 表示跳过校验（例如输出被截断）
+ * @param {number} options.maxRetries - 最大重试次数
+ * @returns {Promise<{result: object, validation: object|null, attempts: number}>} validation 为 null 表示跳过了校验
+ */
+export async function executeWithJsonValidation({ responseFormat, execute, getText, maxRetries = JSON_OUTPUT_MAX_RETRIES }) {
+  let repairMessages = []
+  let attempts = 0
+  while (true) {
+    attempts++
+    const result = await execute(repairMessages)
+    const text = getText(result)
+    if (text === null) {
+      return { result, validation: null, attempts }
+    }
+
+    const validation = validateJsonOutput(text, responseFormat)
+    if (validation.valid || attempts > maxRetries) {
+      return { result, validation, attempts }
+    }
+    console.log(`[OpenAI API] JSON output rejected (attempt ${attempts}/${maxRetries + 1}): ${validation.message}`)
+    repairMessages = buildRepairMessages(text, validation.message)
+  }
+}
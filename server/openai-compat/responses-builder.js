@@ -0,0 +1,260 @@
+/**
+ * OpenAI Responses API 响应构建器
+ * 按顺序累积 reasoning / message / function_call 输出项，同时生成流式事件；
+ * 非流式请求使用同一个构建器，只取最终的 response 对象
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+
+/**
+ * 生成带前缀的 ID（resp_、msg_、rs_、fc_）
+ * @param {string} prefix - ID 前缀
+ * @returns {string}
+ */
+function createId(prefix) {
+  return `${prefix}_${uuidv4().replace(/-/g, '')}`
+}
+
+/**
+ * 构建 Responses API usage 对象
+ * @param {number} inputTokens - 输入 token 数
+ * @param {number} outputTokens - 输出 token 数（包含 reasoning）
+ * @param {number} reasoningTokens - reasoning 输出 token 数
+ * @returns {object}
+ */
+export function buildResponsesUsage(inputTokens, outputTokens, reasoningTokens = 0) {
+  return {
+    input_tokens: inputTokens,
+    input_tokens_details: { cached_tokens: 0 },
+    output_tokens: outputTokens,
+    output_tokens_details: { reasoning_tokens: reasoningTokens },
+    total_tokens: inputTokens + outputTokens
+  }
+}
+
+/**
+ * 构建 SSE 事件
+ * @param {object} event - 事件对象（包含 type）
+ * @returns {string}
+ */
+function formatEvent(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+}
+
+/**
+ * Responses API 响应构建器
+ */
+export class ResponsesBuilder {
+  /**
+   * @param {object} body - 原始 /v1/responses 请求体（用于回显请求参数）
+   * @param {string} model - 模型名称
+   */
+  constructor(body, model) {
+    this.id = createId('resp')
+    this.createdAt = Math.floor(Date.now() / 1000)
+    this.body = body
+    this.model = model
+    this.output = []
+    this.current = null // 当前未结束的 reasoning / message 输出项
+    this.sequenceNumber = 0
+    this.status = 'in_progress'
+    this.usage = null
+    this.incompleteDetails = null
+    this.error = null
+  }
+
+  /**
+   * 生成事件并递增 sequence_number
+   * @param {string} type - 事件类型
+   * @param {object} data - 事件数据
+   * @returns {string}
+   */
+  _event(type, data = {}) {
+    return formatEvent({ type, sequence_number: this.sequenceNumber++, ...data })
+  }
+
+  /**
+   * 当前 response 对象
+   * @returns {object}
+   */
+  toResponse() {
+    const body = this.body
+    return {
+      id: this.id,
+      object: 'response',
+      created_at: this.createdAt,
+      status: this.status,
+      error: this.error,
+      incomplete_details: this.incompleteDetails,
+      instructions: body.instructions ?? null,
+      max_output_tokens: body.max_output_tokens ?? null,
+      model: this.model,
+      output: this.output,
+      parallel_tool_calls: body.parallel_tool_calls !== false,
+      previous_response_id: null,
+      reasoning: { effort: body.reasoning?.effort ?? null, summary: body.reasoning?.summary ?? null },
+      store: false,
+      temperature: body.temperature ?? 1,
+      text: { format: { type: 'text' } },
+      tool_choice: body.tool_choice ?? 'auto',
+      tools: body.tools ?? [],
+      top_p: body.top_p ?? 1,
+      truncation: 'disabled',
+      usage: this.usage,
+      user: body.user ?? null,
+      metadata: body.metadata ?? {}
+    }
+  }
+
+  /**
+   * 开始响应：response.created、response.in_progress
+   * @returns {string}
+   */
+  start() {
+    return this._event('response.created', { response: this.toResponse() }) +
+      this._event('response.in_progress', { response: this.toResponse() })
+  }
+
+  /**
+   * 追加 reasoning 摘要文本
+   * @param {string} text - thinking 片段
+   * @returns {string}
+   */
+  reasoningDelta(text) {
+    if (!text) return ''
+    let events = ''
+    if (this.current?.type !== 'reasoning') {
+      events += this._closeCurrent()
+      const item = { id: createId('rs'), type: 'reasoning', summary: [] }
+      events += this._openItem(item)
+      events += this._event('response.reasoning_summary_part.added', {
+        item_id: item.id,
+        output_index: this.current.outputIndex,
+        summary_index: 0,
+        part: { type: 'summary_text', text: '' }
+      })
+    }
+    this.current.text += text
+    return events + this._event('response.reasoning_summary_text.delta', {
+      item_id: this.current.item.id,
+      output_index: this.current.outputIndex,
+      summary_index: 0,
+      delta: text
+    })
+  }
+
+  /**
+   * 追加正文文本
+   * @param {string} text - 正文片段
+   * @returns {string}
+   */
+  textDelta(text) {
+    if (!text) return ''
+    let events = ''
+    if (this.current?.type !== 'message') {
+      events += this._closeCurrent()
+      const item = { id: createId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] }
+      events += this._openItem(item)
+      events += this._event('response.content_part.added', {
+        item_id: item.id,
+        output_index: this.current.outputIndex,
+        content_index: 0,
+        part: { type: 'output_text', text: '', annotations: [] }
+      })
+    }
+    this.current.text += text
+    return events + this._event('response.output_text.delta', {
+      item_id: this.current.item.id,
+      output_index: this.current.outputIndex,
+      content_index: 0,
+      delta: text
+    })
+  }
+
+  /**
+   * 添加函数调用（Kiro 一次性返回完整参数，arguments 只有一个 delta）
+   * @param {{id: string, name: string, input: object|string}} toolCall - 工具调用
+   * @returns {string}
+   */
+  functionCall({ id, name, input }) {
+    const args = typeof input === 'string' ? input : JSON.stringify(input ?? {})
+    let events = this._closeCurrent()
+    const item = { id: createId('fc'), type: 'function_call', status: 'in_progress', call_id: id, name, arguments: '' }
+    const outputIndex = this.output.length
+    this.output.push(item)
+    events += this._event('response.output_item.added', { output_index: outputIndex, item: { ...item } })
+    events += this._event('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: args })
+    events += this._event('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: args })
+    item.arguments = args
+    item.status = 'completed'
+    return events + this._event('response.output_item.done', { output_index: outputIndex, item })
+  }
+
+  /**
+   * 结束响应：response.completed 或 response.incomplete
+   * @param {object} usage - buildResponsesUsage 构建的 usage
+   * @param {string|null} incompleteReason - 未完成原因（如 max_output_tokens）
+   * @returns {string}
+   */
+  complete(usage, incompleteReason = null) {
+    let events = this._closeCurrent()
+    this.usage = usage
+    if (incompleteReason) {
+      this.status = 'incomplete'
+      this.incompleteDetails = { reason: incompleteReason }
+      return events + this._event('response.incomplete', { response: this.toResponse() })
+    }
+    this.status = 'completed'
+    return events + this._event('response.completed', { response: this.toResponse() })
+  }
+
+  /**
+   * 响应失败：response.failed
+   * @param {string} code - 错误码
+   * @param {string} message - 错误信息
+   * @returns {string}
+   */
+  fail(code, message) {
+    this.current = null
+    this.status = 'failed'
+    this.error = { code, message }
+    return this._event('response.failed', { response: this.toResponse() })
+  }
+
+  /**
+   * 打开一个 reasoning / message 输出项
+   * @returns {string}
+   */
+  _openItem(item) {
+    const outputIndex = this.output.length
+    this.output.push(item)
+    this.current = { type: item.type, item, outputIndex, text: '' }
+    return this._event('response.output_item.added', { output_index: outputIndex, item: { ...item } })
+  }
+
+  /**
+   * 结束当前 reasoning / message 输出项
+   * @returns {string}
+   */
+  _closeCurrent() {
+    const current = this.current
+    if (!current) return ''
+    this.current = null
+    const { item, outputIndex, text } = current
+
+    if (current.type === 'reasoning') {
+      const part = { type: 'summary_text', text }
+      item.summary = [part]
+      return this._event('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text }) +
+        this._event('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part }) +
+        this._event('response.output_item.done', { output_index: outputIndex, item })
+    }
+
+    const part = { type: 'output_text', text, annotations: [] }
+    item.content = [part]
+    item.status = 'completed'
+    return this._event('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text }) +
+      this._event('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part }) +
+      this._event('response.output_item.done', { output_index: outputIndex, item })
+  }
+}
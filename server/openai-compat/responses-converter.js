@@ -0,0 +1,253 @@
+/**
+ * OpenAI Responses API 请求转换器
+ * 将 /v1/responses 请求转换为 chat completions 格式，之后复用 convertMessages 和参数校验
+ * - instructions / system / developer 消息 → system 消息
+ * - input_text / input_image / output_text → text / image_url 内容块
+ * - function_call / function_call_output → assistant tool_calls / tool 消息
+ * - reasoning → assistant thinking 内容块
+ */
+
+// chat completions 参数名 → Responses API 参数名（参数错误时按客户端的参数名报告）
+const PARAM_NAMES = {
+  max_tokens: 'max_output_tokens',
+  messages: 'input'
+}
+
+/**
+ * 构建参数错误
+ * @param {string} param - 参数名
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误码
+ * @returns {{error: {param: string, message: string, code: string}}}
+ */
+function paramError(param, message, code = 'invalid_value') {
+  return { error: { param, message, code } }
+}
+
+/**
+ * 将 chat completions 参数名映射回 Responses API 参数名
+ * @param {string} param - parseCompletionParams 报告的参数名
+ * @returns {string}
+ */
+export function toResponsesParam(param) {
+  return PARAM_NAMES[param] || param
+}
+
+/**
+ * 转换消息内容块
+ * @param {string|Array} content - Responses 消息内容
+ * @param {number} index - 输入项下标（用于错误信息）
+ * @returns {{content: string|Array}|{error: object}}
+ */
+function convertContent(content, index) {
+  if (typeof content === 'string') return { content }
+  if (!Array.isArray(content)) {
+    return paramError(`input[${index}].content`, 'Message content must be a string or an array of content parts')
+  }
+
+  const parts = []
+  for (const part of content) {
+    switch (part?.type) {
+      case 'input_text':
+      case 'output_text':
+        parts.push({ type: 'text', text: part.text || '' })
+        break
+      case 'refusal':
+        parts.push({ type: 'text', text: part.refusal || '' })
+        break
+      case 'input_image':
+        if (!part.image_url) {
+          return paramError(`input[${index}].content`, "Only 'input_image' parts with an 'image_url' are supported", 'unsupported_parameter')
+        }
+        parts.push({ type: 'image_url', image_url: { url: part.image_url } })
+        break
+      default:
+        return paramError(`input[${index}].content`, `Unsupported content part type '${part?.type}'`, 'unsupported_parameter')
+    }
+  }
+  return { content: parts }
+}
+
+/**
+ * 将内容转为纯文本（system 消息使用）
+ * @param {string|Array} content - convertContent 的结果
+ * @returns {string}
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content
+  return content.filter(p => p.type === 'text').map(p => p.text).join('\n')
+}
+
+/**
+ * 取出（或创建）最后一条 assistant 消息，用于追加 tool_calls 和 thinking
+ * @param {Array} messages - 已转换的消息列表
+ * @returns {object}
+ */
+function lastAssistantMessage(messages) {
+  const last = messages[messages.length - 1]
+  if (last && last.role === 'assistant') return last
+  const message = { role: 'assistant', content: [] }
+  messages.push(message)
+  return message
+}
+
+/**
+ * 转换 input 为 chat completions 消息列表
+ * @param {string|Array} input - Responses API input
+ * @param {string} instructions - Responses API instructions
+ * @returns {{messages: Array}|{error: object}}
+ */
+export function convertResponsesInput(input, instructions = null) {
+  const messages = []
+  if (instructions) {
+    messages.push({ role: 'system', content: instructions })
+  }
+
+  if (typeof input === 'string') {
+    messages.push({ role: 'user', content: input })
+    return { messages }
+  }
+  if (!Array.isArray(input)) {
+    return paramError('input', "'input' must be a string or an array of input items")
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const item = input[i]
+    // 省略 type 的输入项按 message 处理
+    const type = item?.type || (item?.role ? 'message' : undefined)
+
+    switch (type) {
+      case 'message': {
+        const converted = convertContent(item.content, i)
+        if (converted.error) return converted
+        if (item.role === 'system' || item.role === 'developer') {
+          messages.push({ role: 'system', content: contentToText(converted.content) })
+        } else if (item.role === 'user' || item.role === 'assistant') {
+          messages.push({ role: item.role, content: converted.content })
+        } else {
+          return paramError(`input[${i}].role`, `Unsupported message role '${item.role}'`)
+        }
+        break
+      }
+      case 'function_call': {
+        if (!item.call_id || !item.name) {
+          return paramError(`input[${i}]`, "'function_call' items require 'call_id' and 'name'")
+        }
+        const message = lastAssistantMessage(messages)
+        message.tool_calls = message.tool_calls || []
+        message.tool_calls.push({
+          id: item.call_id,
+          type: 'function',
+          function: { name: item.name, arguments: item.arguments || '{}' }
+        })
+        break
+      }
+      case 'function_call_output':
+        if (!item.call_id) {
+          return paramError(`input[${i}].call_id`, "'function_call_output' items require 'call_id'")
+        }
+        messages.push({ role: 'tool', tool_call_id: item.call_id, content: item.output ?? '' })
+        break
+      case 'reasoning': {
+        // 只能回放摘要文本，encrypted_content 无法传给 Kiro
+        const text = (item.summary || []).map(s => s.text || '').join('\n')
+        if (text) {
+          const message = lastAssistantMessage(messages)
+          if (!Array.isArray(message.content)) {
+            message.content = message.content ? [{ type: 'text', text: message.content }] : []
+          }
+          message.content.push({ type: 'thinking', thinking: text })
+        }
+        break
+      }
+      default:
+        return paramError(`input[${i}].type`, `Unsupported input item type '${type}'`, 'unsupported_parameter')
+    }
+  }
+
+  if (!messages.some(m => m.role !== 'system')) {
+    return paramError('input', "'input' must contain at least one non-system item")
+  }
+  return { messages }
+}
+
+/**
+ * 转换工具列表，只支持 function 工具
+ * @param {Array} tools - Responses API tools
+ * @returns {{tools: Array|undefined}|{error: object}}
+ */
+function convertTools(tools) {
+  if (tools === undefined || tools === null) return { tools: undefined }
+  if (!Array.isArray(tools)) {
+    return paramError('tools', "'tools' must be an array")
+  }
+  const converted = []
+  for (const tool of tools) {
+    if (tool?.type !== 'function') {
+      return paramError('tools', `Tool type '${tool?.type}' is not supported, only 'function' tools are available`, 'unsupported_parameter')
+    }
+    if (!tool.name) {
+      return paramError('tools', "Function tools require a 'name'")
+    }
+    converted.push({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    })
+  }
+  return { tools: converted.length > 0 ? converted : undefined }
+}
+
+/**
+ * 转换 tool_choice：{ type: 'function', name } → { type: 'function', function: { name } }
+ * @param {string|object} toolChoice - Responses API tool_choice
+ * @returns {string|object|undefined}
+ */
+function convertToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function') {
+    return { type: 'function', function: { name: toolChoice.name } }
+  }
+  return toolChoice
+}
+
+/**
+ * 将 /v1/responses 请求体转换为 chat completions 请求体
+ * @param {object} body - Responses API 请求体
+ * @returns {{request: object}|{error: {param: string, message: string, code: string}}}
+ */
+export function convertResponsesRequest(body) {
+  // 代理不保存响应，无法通过 previous_response_id 续接对话
+  if (body.previous_response_id) {
+    return paramError('previous_response_id', "'previous_response_id' is not supported, send the full conversation in 'input'", 'unsupported_parameter')
+  }
+  if (body.input === undefined || body.input === null) {
+    return paramError('input', "'input' is required")
+  }
+  if (body.text?.format && body.text.format.type !== 'text') {
+    return paramError('text.format', `Output format '${body.text.format.type}' is not supported`, 'unsupported_parameter')
+  }
+
+  const inputResult = convertResponsesInput(body.input, body.instructions)
+  if (inputResult.error) return inputResult
+
+  const toolsResult = convertTools(body.tools)
+  if (toolsResult.error) return toolsResult
+
+  return {
+    request: {
+      model: body.model,
+      messages: inputResult.messages,
+      stream: body.stream === true,
+      tools: toolsResult.tools,
+      tool_choice: convertToolChoice(body.tool_choice),
+      parallel_tool_calls: body.parallel_tool_calls,
+      max_tokens: body.max_output_tokens,
+      temperature: body.temperature,
+      top_p: body.top_p,
+      reasoning_effort: body.reasoning?.effort
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * 账号选择策略
+ *
+ * 策略对象：
+ * {
+ *   name: string,          // 策略名（settings 中使用）
+ *   description: string,   // 说明
+ *   select(accounts, context) => Promise<{ account, detail }>
+ * }
+ *
+ * accounts 为候选账号（已过滤 token 即将过期的账号，非空），context 由 AccountPool 提供：
+ * - now：当前时间
+ * - dryRun：是否为试运行（不得修改轮询索引等状态）
+ * - peekRoundRobinIndex(count)：当前轮询索引（不推进）
+ * - getLatencies()：Map<accountId, { latencyMs, samples }>，最近成功请求的平均耗时
+ * - random()：随机数，测试时替换
+ *
+ * 按分组选择策略：settings 表的 accountSelectionStrategy，可以是策略名（所有分组），
+ * 也可以是 { "default": "round_robin", "groups": { "<分组 ID>": "least_used" } }
+ */
+
+// settings 表中的设置 key
+export const SELECTION_STRATEGY_SETTING_KEY = 'accountSelectionStrategy'
+
+// 默认策略（未配置 settings 时使用）
+export const DEFAULT_SELECTION_STRATEGY = process.env.ACCOUNT_SELECTION_STRATEGY || 'round_robin'
+
+function remainingQuota(account) {
+  return (account.usage?.limit || 0) - (account.usage?.current || 0)
+}
+
+function pickRandom(accounts, random) {
+  return accounts[Math.min(accounts.length - 1, Math.floor(random() * accounts.length))]
+}
+
+/**
+ * 免费试用和奖励额度中最早的未过期时间
+ * @returns {number|null} 时间戳，没有未过期的额度时返回 null
+ */
+export function getEarliestResourceExpiry(account, now = Date.now()) {
+  const expiries = []
+  if (account.usage?.freeTrialExpiry) {
+    expiries.push(account.usage.freeTrialExpiry)
+  }
+  for (const bonus of account.usage?.bonuses || []) {
+    if (bonus.expiresAt) expiries.push(bonus.expiresAt)
+  }
+
+  const upcoming = expiries.filter(expiry => expiry > now)
+  return upcoming.length > 0 ? Math.min(...upcoming) : null
+}
+
+// 轮询：实际请求使用 AccountPool 原有的轮询（活跃池内存索引或 pool_round_robin 表），这里用于试运行
+const roundRobin = {
+  name: 'round_robin',
+  description: '轮询（活跃池或 pool_round_robin 表的分布式索引）',
+  async select(accounts, context) {
+    const index = (await context.peekRoundRobinIndex(accounts.length)) % accounts.length
+    return { account: accounts[index], detail: { index } }
+  }
+}
+
+// 使用率最低
+const leastUsed = {
+  name: 'least_used',
+  description: '使用率（usage_percent_used）最低',
+  async select(accounts) {
+    const account = accounts.reduce((best, acc) => (acc.usage.percentUsed < best.usage.percentUsed ? acc : best))
+    return { account, detail: { percentUsed: account.usage.percentUsed } }
+  }
+}
+
+// 按剩余额度加权随机
+const quotaWeighted = {
+  name: 'quota_weighted',
+  description: '按剩余额度加权随机',
+  async select(accounts, context) {
+    const weights = accounts.map(acc => Math.max(0, remainingQuota(acc)))
+    const total = weights.reduce((sum, weight) => sum + weight, 0)
+    if (total <= 0) {
+      return { account: pickRandom(accounts, context.random), detail: { remainingQuota: 0, probability: 1 / accounts.length } }
+    }
+
+    let target = context.random() * total
+    let index = 0
+    while (index < accounts.length - 1 && target >= weights[index]) {
+      target -= weights[index]
+      index++
+    }
+    return {
+      account: accounts[index],
+      detail: { remainingQuota: weights[index], probability: weights[index] / total }
+    }
+  }
+}
+
+// 免费试用 / 奖励额度最早过期的优先，没有这类额度的排在最后，同等情况下使用率低的优先
+const earliestExpiring = {
+  name: 'earliest_expiring',
+  description: '免费试用和奖励额度最早过期的优先',
+  async select(accounts, context) {
+    const ranked = accounts
+      .map(account => ({ account, expiresAt: getEarliestResourceExpiry(account, context.now) }))
+      .sort((a, b) => {
+        if (a.expiresAt !== b.expiresAt) {
+          if (a.expiresAt === null) return 1
+          if (b.expiresAt === null) return -1
+          return a.expiresAt - b.expiresAt
+        }
+        return a.account.usage.percentUsed - b.account.usage.percentUsed
+      })
+    return { account: ranked[0].account, detail: { expiresAt: ranked[0].expiresAt } }
+  }
+}
+
+// 最近平均耗时最低，没有样本的账号优先（先采集耗时）
+const lowestLatency = {
+  name: 'lowest_latency',
+  description: '最近 15 分钟成功请求平均耗时最低',
+  async select(accounts, context) {
+    const latencies = await context.getLatencies()
+    const unmeasured = accounts.filter(acc => !latencies.has(acc.id))
+    if (unmeasured.length > 0) {
+      return { account: pickRandom(unmeasured, context.random), detail: { latencyMs: null, samples: 0 } }
+    }
+
+    const account = accounts.reduce((best, acc) => (latencies.get(acc.id).latencyMs < latencies.get(best.id).latencyMs ? acc : best))
+    return { account, detail: latencies.get(account.id) }
+  }
+}
+
+// 随机
+const random = {
+  name: 'random',
+  description: '随机',
+  async select(accounts, context) {
+    return { account: pickRandom(accounts, context.random), detail: { probability: 1 / accounts.length } }
+  }
+}
+
+export const SELECTION_STRATEGIES = {
+  [roundRobin.name]: roundRobin,
+  [leastUsed.name]: leastUsed,
+  [quotaWeighted.name]: quotaWeighted,
+  [earliestExpiring.name]: earliestExpiring,
+  [lowestLatency.name]: lowestLatency,
+  [random.name]: random
+}
+
+export const SELECTION_STRATEGY_NAMES = Object.keys(SELECTION_STRATEGIES)
+
+/**
+ * 获取策略，未知策略返回 null
+ */
+export function getSelectionStrategy(name) {
+  return SELECTION_STRATEGIES[name] || null
+}
+
+/**
+ * 从 accountSelectionStrategy 设置中确定分组使用的策略名
+ * 设置缺失或策略名无效时使用默认策略
+ * @param {string|Object|null} setting - 设置值（已解析）
+ * @param {string|null} groupId - 分组 ID
+ * @returns {string} 策略名
+ */
+export function resolveStrategyName(setting, groupId = null) {
+  let name = null
+  if (typeof setting === 'string') {
+    name = setting
+  } else if (setting && typeof setting === 'object') {
+    name = (groupId && setting.groups?.[groupId]) || setting.default || null
+  }
+
+  if (name && SELECTION_STRATEGIES[name]) return name
+  return SELECTION_STRATEGIES[DEFAULT_SELECTION_STRATEGY] ? DEFAULT_SELECTION_STRATEGY : 'round_robin'
+}
+
+export default SELECTION_STRATEGIES
@@ -0,0 +1,184 @@
+/**
+ * 会话粘性路由
+ *
+ * 同一会话的请求尽量使用同一个 Kiro 账号，避免多轮对话在账号之间跳转（上游缓存失效、机器码混用）。
+ * 会话标识按以下顺序确定：
+ * 1. 请求头 x-session-id
+ * 2. OpenAI 请求体的 user
+ * 3. Claude 请求体的 metadata.user_id
+ * 4. 对话前缀（system 和第一条非 system 消息）的哈希
+ *
+ * 会话标识按分组（或 API Key）隔离。绑定在 TTL 内未使用则过期；
+ * 绑定的账号进入冷却池、被封禁、配额耗尽或出错时解除绑定，下次请求重新选择账号。
+ * 绑定只保存在当前进程内。
+ */
+
+import { createHash } from 'crypto'
+import { getRequestContext } from '../utils/request-context.js'
+
+export const SESSION_ID_HEADER = 'x-session-id'
+
+// 会话粘性配置
+export const SESSION_AFFINITY_CONFIG = {
+  // 是否启用（默认关闭）
+  enabled: process.env.STICKY_SESSION_ENABLED === 'true',
+  // 绑定有效期（毫秒，默认 30 分钟，每次使用后顺延）
+  ttlMs: parseInt(process.env.STICKY_SESSION_TTL_MS) || 30 * 60 * 1000,
+  // 没有显式会话标识时是否使用对话前缀哈希
+  prefixHash: process.env.STICKY_SESSION_PREFIX_HASH !== 'false',
+  // 最多保存的绑定数，超出后淘汰最久未使用的
+  maxEntries: 10000
+}
+
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 32)
+}
+
+/**
+ * 取对话前缀：system 提示和第一条非 system 消息
+ * 支持 Claude Messages（system + messages）、Chat Completions（messages）和 Responses（instructions + input）
+ * @returns {string|null} 序列化后的前缀，无法确定时返回 null
+ */
+export function getConversationPrefix(body) {
+  const messages = Array.isArray(body.messages) ? body.messages : Array.isArray(body.input) ? body.input : null
+  if (!messages) {
+    return typeof body.input === 'string' ? JSON.stringify([body.instructions || null, body.input]) : null
+  }
+
+  const system = [body.system || body.instructions || null]
+  for (const message of messages) {
+    if (message?.role === 'system' || message?.role === 'developer') {
+      system.push(message.content)
+      continue
+    }
+    return JSON.stringify([system, message?.role || null, message?.content ?? message])
+  }
+  return null
+}
+
+/**
+ * 计算请求的会话标识
+ * @param {Object} req - Express 请求（validateApiKey 之后）
+ * @param {'openai'|'claude'} format - 请求格式
+ * @param {Object} [config] - 默认使用 SESSION_AFFINITY_CONFIG
+ * @returns {string|null} 会话标识，无法确定或未启用时返回 null
+ */
+export function getSessionKey(req, format, config = SESSION_AFFINITY_CONFIG) {
+  if (!config.enabled) return null
+
+  const body = req.body || {}
+  const header = req.headers?.[SESSION_ID_HEADER]
+  let source = null
+  let value = null
+
+  if (typeof header === 'string' && header.trim()) {
+    source = 'header'
+    value = header.trim()
+  } else if (format === 'openai' && typeof body.user === 'string' && body.user) {
+    source = 'user'
+    value = body.user
+  } else if (format === 'claude' && typeof body.metadata?.user_id === 'string' && body.metadata.user_id) {
+    source = 'user'
+    value = body.metadata.user_id
+  } else if (config.prefixHash) {
+    value = getConversationPrefix(body)
+    source = value ? 'prefix' : null
+  }
+
+  if (!source) return null
+  const scope = req.groupId || req.apiKeyId || 'default'
+  return `${scope}:${source}:${hash(value)}`
+}
+
+/**
+ * 会话粘性中间件，放在 validateApiKey 之后
+ * 将会话标识写入 req.sessionKey 和请求上下文，AccountPool.getNextAccount 从上下文读取
+ * @param {'openai'|'claude'} format - 请求格式
+ * @param {Object} [config] - 默认使用 SESSION_AFFINITY_CONFIG
+ */
+export function stickySession(format, config = SESSION_AFFINITY_CONFIG) {
+  return (req, res, next) => {
+    const sessionKey = getSessionKey(req, format, config)
+    if (sessionKey) {
+      req.sessionKey = sessionKey
+      const context = getRequestContext()
+      if (context) context.sessionKey = sessionKey
+    }
+    next()
+  }
+}
+
+/**
+ * 会话 → 账号绑定表
+ */
+export class SessionAffinity {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.ttlMs]
+   * @param {number} [options.maxEntries]
+   * @param {Function} [options.now] - 时钟，测试时替换
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? SESSION_AFFINITY_CONFIG.enabled
+    this.ttlMs = options.ttlMs || SESSION_AFFINITY_CONFIG.ttlMs
+    this.maxEntries = options.maxEntries || SESSION_AFFINITY_CONFIG.maxEntries
+    this.now = options.now || Date.now
+    // Map<sessionKey, { accountId, expiresAt }>，按最近使用排序
+    this.bindings = new Map()
+  }
+
+  /**
+   * 获取会话绑定的账号 ID（过期的绑定会被删除）
+   * @returns {string|null}
+   */
+  get(sessionKey) {
+    const binding = this.bindings.get(sessionKey)
+    if (!binding) return null
+    if (binding.expiresAt <= this.now()) {
+      this.bindings.delete(sessionKey)
+      return null
+    }
+    return binding.accountId
+  }
+
+  /**
+   * 绑定会话到账号并顺延有效期
+   */
+  bind(sessionKey, accountId) {
+    this.bindings.delete(sessionKey)
+    this.bindings.set(sessionKey, { accountId, expiresAt: this.now() + this.ttlMs })
+
+    while (this.bindings.size > this.maxEntries) {
+      this.bindings.delete(this.bindings.keys().next().value)
+    }
+  }
+
+  /**
+   * 解除单个会话的绑定
+   */
+  release(sessionKey) {
+    this.bindings.delete(sessionKey)
+  }
+
+  /**
+   * 解除绑定到某个账号的所有会话
+   * @returns {number} 解除的会话数
+   */
+  forgetAccount(accountId) {
+    let count = 0
+    for (const [sessionKey, binding] of this.bindings) {
+      if (binding.accountId === accountId) {
+        this.bindings.delete(sessionKey)
+        count++
+      }
+    }
+    return count
+  }
+
+  get size() {
+    return this.bindings.size
+  }
+}
+
+export default SessionAffinity
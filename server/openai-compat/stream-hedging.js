@@ -0,0 +1,268 @@
+/**
+ * 流式请求对冲（hedged requests）
+ *
+ * 高峰期部分账号的首字时间（TTFB）很长。开启对冲后，流式请求在指定时间内没有收到上游的第一个事件时，
+ * 用另一个账号发起同样的请求，先产生第一个事件的流获胜，另一个请求被中止。
+ *
+ * - 默认关闭，通过环境变量 STREAM_HEDGING_ENABLED 或 settings 表 streamHedging 开启
+ * - 对冲等待时间为最近 15 分钟成功流式请求 TTFB 的第 N 百分位（STREAM_HEDGING_PERCENTILE，默认 95），
+ *   限制在 [minDelayMs, maxDelayMs] 之间；样本不足时使用 maxDelayMs
+ * - 请求指定 account_id 时不对冲
+ * - 对冲发起的上游请求计入账号调用次数，请求日志记录 hedge_status 和 hedge_account_id，
+ *   统计见 GET /api/monitoring/account-pool 的 hedging
+ */
+
+import { getRequestContext } from '../utils/request-context.js'
+import { releaseAccountLease } from './account-concurrency.js'
+import { applyAccountErrorAction } from './request-executor.js'
+
+// settings 表中的设置 key
+export const STREAM_HEDGING_SETTING_KEY = 'streamHedging'
+
+// 对冲配置（可被 settings 表 streamHedging 覆盖）
+export const STREAM_HEDGING_CONFIG = {
+  // 是否开启对冲
+  enabled: process.env.STREAM_HEDGING_ENABLED === 'true',
+  // 对冲等待时间取最近 TTFB 的百分位
+  percentile: parseFloat(process.env.STREAM_HEDGING_PERCENTILE) || 95,
+  // 最短对冲等待时间（毫秒）
+  minDelayMs: parseInt(process.env.STREAM_HEDGING_MIN_DELAY_MS) || 2000,
+  // 最长对冲等待时间（毫秒），TTFB 样本不足时使用
+  maxDelayMs: parseInt(process.env.STREAM_HEDGING_MAX_DELAY_MS) || 15000
+}
+
+// TTFB 统计窗口（分钟）、最少样本数、缓存时间
+const TTFB_WINDOW_MINUTES = 15
+const TTFB_MIN_SAMPLES = 20
+const TTFB_MAX_SAMPLES = 2000
+const CACHE_MS = 30 * 1000
+
+// 请求日志中的对冲结果
+export const HedgeStatus = {
+  PRIMARY_WON: 'primary_won',
+  HEDGE_WON: 'hedge_won'
+}
+
+/**
+ * 计算百分位（最近秩法）
+ * @param {number[]} values - 已排序的数值
+ * @param {number} percentile - 0~100
+ * @returns {number|null}
+ */
+export function percentileOf(values, percentile) {
+  if (values.length === 0) return null
+  const rank = Math.ceil((percentile / 100) * values.length)
+  return values[Math.min(values.length, Math.max(1, rank)) - 1]
+}
+
+export class StreamHedging {
+  /**
+   * @param {Object} accountPool - 账号池（选择对冲账号，通过其 dbPool 读取 TTFB 和 settings 表）
+   */
+  constructor(accountPool) {
+    this.accountPool = accountPool
+    this.setting = { value: null, loadedAt: 0 }
+    this.ttfb = { values: [], loadedAt: 0 }
+    this.stats = {
+      // 发起了对冲请求的流式请求数（即额外的上游请求数）
+      hedged: 0,
+      primaryWins: 0,
+      hedgeWins: 0,
+      // 两个请求都失败
+      bothFailed: 0,
+      // 到达对冲时间但没有其他可用账号
+      noHedgeAccount: 0
+    }
+  }
+
+  /**
+   * 获取当前配置（环境变量 + settings 表 streamHedging）
+   */
+  async getConfig() {
+    if (Date.now() - this.setting.loadedAt >= CACHE_MS) {
+      try {
+        const value = await this.accountPool.readSetting(STREAM_HEDGING_SETTING_KEY)
+        this.setting = { value: value && typeof value === 'object' ? value : null, loadedAt: Date.now() }
+      } catch (error) {
+        // 读取失败时保留上次的设置
+        console.error('[StreamHedging] Failed to load setting:', error.message)
+        this.setting.loadedAt = Date.now()
+      }
+    }
+    return { ...STREAM_HEDGING_CONFIG, ...this.setting.value }
+  }
+
+  /**
+   * 最近成功流式请求的 TTFB（所有服务器，升序）
+   * @returns {Promise<number[]>}
+   */
+  async getRecentTtfb() {
+    if (Date.now() - this.ttfb.loadedAt < CACHE_MS) {
+      return this.ttfb.values
+    }
+
+    try {
+      const [rows] = await this.accountPool.dbPool.query(
+        `SELECT time_to_first_byte FROM api_request_logs
+         WHERE status = 'success' AND is_stream = 1 AND time_to_first_byte IS NOT NULL
+           AND created_at >= DATE_SUB(NOW(), INTERVAL ${TTFB_WINDOW_MINUTES} MINUTE)
+         ORDER BY created_at DESC
+         LIMIT ${TTFB_MAX_SAMPLES}`
+      )
+      this.ttfb = {
+        values: rows.map(row => Number(row.time_to_first_byte)).sort((a, b) => a - b),
+        loadedAt: Date.now()
+      }
+    } catch (error) {
+      console.error('[StreamHedging] Failed to load recent TTFB:', error.message)
+      this.ttfb.loadedAt = Date.now()
+    }
+    return this.ttfb.values
+  }
+
+  /**
+   * 计算对冲等待时间
+   * @param {Object} config - getConfig 的结果
+   * @returns {Promise<number>} 毫秒
+   */
+  async getHedgeDelay(config) {
+    const values = await this.getRecentTtfb()
+    const value = values.length >= TTFB_MIN_SAMPLES ? percentileOf(values, config.percentile) : config.maxDelayMs
+    return Math.min(config.maxDelayMs, Math.max(config.minDelayMs, value))
+  }
+
+  /**
+   * 启动流式请求，超过对冲等待时间没有收到第一个事件时用另一个账号对冲
+   *
+   * 未开启对冲或请求指定了账号时直接调用 startStream。先失败的请求按错误类别处理账号，
+   * 两个请求都失败时抛出原账号的错误（由 executeWithAccountRetry 处理）
+   *
+   * @param {Object} ctx - 重试上下文 { account, groupId, pinned }
+   * @param {Function} startStream - async (account, signal) => 已预读的流（primeStream）
+   * @returns {Promise<{stream: AsyncGenerator, account: Object}>} 获胜的流和账号
+   */
+  async start(ctx, startStream) {
+    const accountPool = this.accountPool
+    const primaryAccount = ctx.account
+    const config = ctx.pinned ? null : await this.getConfig()
+    if (!config?.enabled) {
+      return { stream: await startStream(primaryAccount), account: primaryAccount }
+    }
+
+    const delayMs = await this.getHedgeDelay(config)
+    const primary = launch(primaryAccount, startStream)
+
+    let timer
+    const hedgeDue = new Promise(resolve => { timer = setTimeout(resolve, delayMs) })
+    try {
+      await Promise.race([primary.settled, hedgeDue])
+    } finally {
+      clearTimeout(timer)
+    }
+    if (primary.done) {
+      return { stream: await primary.promise, account: primaryAccount }
+    }
+
+    let hedgeAccount = null
+    try {
+      hedgeAccount = await accountPool.getNextAccount(ctx.groupId, {
+        sessionKey: null,
+        exclude: [primaryAccount.id],
+        keepLeases: true
+      })
+    } catch (error) {
+      // 没有其他可用账号，继续等待原请求
+    }
+    if (!hedgeAccount || hedgeAccount.id === primaryAccount.id) {
+      this.stats.noHedgeAccount++
+      return { stream: await primary.promise, account: primaryAccount }
+    }
+
+    this.stats.hedged++
+    console.log(`[StreamHedging] No first event from ${primaryAccount.email} after ${delayMs}ms, hedging with ${hedgeAccount.email}`)
+    await accountPool.incrementApiCall(hedgeAccount.id)
+    const hedge = launch(hedgeAccount, startStream)
+
+    const attempts = [primary, hedge]
+    const winner = await firstSuccessful(attempts)
+    const context = getRequestContext()
+
+    // 先失败的请求按错误类别处理账号（两个都失败时原账号的错误由调用方处理）
+    for (const attempt of attempts) {
+      if (attempt.error && (winner || attempt === hedge)) {
+        await applyAccountErrorAction(accountPool, attempt.account, attempt.error)
+      }
+    }
+
+    if (!winner) {
+      this.stats.bothFailed++
+      releaseAccountLease(context, hedgeAccount.id)
+      throw primary.error
+    }
+
+    const loser = winner === primary ? hedge : primary
+    loser.abort()
+    releaseAccountLease(context, loser.account.id)
+
+    if (winner === primary) this.stats.primaryWins++
+    else this.stats.hedgeWins++
+    const status = winner === primary ? HedgeStatus.PRIMARY_WON : HedgeStatus.HEDGE_WON
+    console.log(`[StreamHedging] ${status}: ${winner.account.email} emitted first`)
+
+    // 请求日志记录对冲结果和额外请求使用的账号
+    if (context) {
+      context.hedge = { status, accountId: hedgeAccount.id }
+    }
+    return { stream: winner.stream, account: winner.account }
+  }
+
+  /**
+   * 获取对冲统计
+   */
+  getStats() {
+    return {
+      ...STREAM_HEDGING_CONFIG,
+      ...this.setting.value,
+      recentTtfbSamples: this.ttfb.values.length,
+      ...this.stats
+    }
+  }
+}
+
+/**
+ * 在账号上发起一次流式请求
+ * @returns {Object} { account, promise, settled, done, stream, error, abort }
+ */
+function launch(account, startStream) {
+  const controller = new AbortController()
+  const attempt = { account, done: false, stream: null, error: null }
+  attempt.promise = startStream(account, controller.signal)
+  attempt.settled = attempt.promise.then(
+    (stream) => { attempt.stream = stream },
+    (error) => { attempt.error = error }
+  ).finally(() => { attempt.done = true })
+  attempt.abort = () => {
+    controller.abort()
+    // 已收到第一个事件的流需要关闭生成器
+    attempt.settled.then(() => attempt.stream?.return?.()).catch(() => {})
+  }
+  return attempt
+}
+
+/**
+ * 等待第一个成功的请求
+ * @returns {Promise<Object|null>} 获胜的请求，全部失败时为 null
+ */
+function firstSuccessful(attempts) {
+  return new Promise(resolve => {
+    let remaining = attempts.length
+    for (const attempt of attempts) {
+      attempt.settled.then(() => {
+        if (!attempt.error) resolve(attempt)
+        else if (--remaining === 0) resolve(null)
+      })
+    }
+  })
+}
+
+export default StreamHedging
@@ -54,7 +54,9 @@ export const AlertType = {
   POOL_EXHAUSTED: 'pool_exhausted',
   TOKEN_REFRESH_FAILURE_RATE: 'token_refresh_failure_rate',
   DATABASE_CONNECTION_FAILURE: 'database_connection_failure',
-  QUEUE_BACKLOG: 'queue_backlog'
+  QUEUE_BACKLOG: 'queue_backlog',
+  QUOTA_WARNING: 'quota_warning',
+  QUOTA_EXCEEDED: 'quota_exceeded'
 }
 
 // 告警严重级别
@@ -10,6 +10,8 @@
  * - 多模态消息计数
  */
 
+import { KIRO_CONTEXT_WINDOW_TOKENS } from '../kiro/constants.js'
+
 // 尝试导入 Anthropic 官方 tokenizer，如果不可用则使用估算
 let countTokensLib = null
 try {
@@ -161,6 +163,89 @@ export function estimateOutputTokens(content, toolCalls = null) {
   return totalTokens
 }
 
+/**
+ * 汇总 Kiro 流中的计量事件
+ * metering 事件目前以 credit 为单位（无法换算为 token），credit 单独累加到 meteredCredits 供配额统计，
+ * 若出现以 token 为单位的计量则直接采用
+ */
+export class UsageTracker {
+  constructor() {
+    this.contextUsagePercentage = null
+    this.meteredInputTokens = null
+    this.meteredOutputTokens = null
+    this.meteredCredits = 0
+  }
+
+  /**
+   * 记录 KiroClient.streamApi 产生的 metering / context_usage 事件
+   * @param {Object} event - 流事件
+   */
+  track(event) {
+    if (event.type === 'context_usage') {
+      this.contextUsagePercentage = event.percentage
+    } else if (event.type === 'metering') {
+      this.addMetering(event)
+    }
+  }
+
+  /**
+   * 记录 parseResponse 返回的 metering 列表和上下文使用率
+   * @param {Object} parsed - parseResponse 结果
+   */
+  trackParsed(parsed) {
+    if (parsed.contextUsagePercentage !== null && parsed.contextUsagePercentage !== undefined) {
+      this.contextUsagePercentage = parsed.contextUsagePercentage
+    }
+    for (const m of parsed.metering || []) {
+      this.addMetering(m)
+    }
+  }
+
+  addMetering({ unit, usage }) {
+    const value = Number(usage)
+    if (!Number.isFinite(value)) return
+    const normalized = String(unit || '').toLowerCase()
+    if (/input.?token/.test(normalized)) {
+      this.meteredInputTokens = (this.meteredInputTokens || 0) + value
+    } else if (/output.?token/.test(normalized)) {
+      this.meteredOutputTokens = (this.meteredOutputTokens || 0) + value
+    } else if (/credit/.test(normalized)) {
+      this.meteredCredits += value
+    }
+  }
+
+  /**
+   * 计算最终 usage：优先使用计量事件，其次用上下文使用率反推输入，最后回退到估算
+   * @param {Object} output - 输出内容
+   * @param {string} output.content - 正文
+   * @param {string} output.reasoning - thinking 内容
+   * @param {Array} output.toolCalls - 工具调用
+   * @param {number} estimatedInputTokens - 估算的输入 tokens
+   * @returns {{promptTokens: number, completionTokens: number, reasoningTokens: number, source: string}}
+   */
+  resolve({ content = '', reasoning = '', toolCalls = null }, estimatedInputTokens) {
+    const reasoningTokens = countTextTokens(reasoning)
+    let completionTokens = estimateOutputTokens(content, toolCalls) + reasoningTokens
+    if (this.meteredOutputTokens !== null) {
+      completionTokens = Math.round(this.meteredOutputTokens)
+    }
+
+    let promptTokens = estimatedInputTokens
+    let source = 'estimate'
+    if (this.meteredInputTokens !== null) {
+      promptTokens = Math.round(this.meteredInputTokens)
+      source = 'metering'
+    } else if (this.contextUsagePercentage > 0) {
+      // 上下文使用率包含输入和输出，减去输出即为输入
+      const totalTokens = Math.round(KIRO_CONTEXT_WINDOW_TOKENS * this.contextUsagePercentage / 100)
+      promptTokens = Math.max(0, totalTokens - completionTokens)
+      source = 'context_usage'
+    }
+
+    return { promptTokens, completionTokens, reasoningTokens, source }
+  }
+}
+
 /**
  * 简单的 token 估算（用于快速估算）
  * @param {string} text - 文本
@@ -239,5 +324,6 @@ export default {
   estimateInputTokens,
   estimateOutputTokens,
   estimateTokens,
-  countTokens
+  countTokens,
+  UsageTracker
 }
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * 账号等待队列
+ *
+ * 所有账号都在冷却或不可用时，请求不立即返回 503 no_available_accounts，
+ * 而是在当前进程内排队等待，直到有账号离开冷却池（或可用账号变化）后重新选择账号。
+ *
+ * - 队列长度有上限（WAIT_QUEUE_MAX_DEPTH），排满后直接返回 503
+ * - 最长等待时间默认 WAIT_QUEUE_MAX_WAIT_MS，可按 API Key 设置（api_keys.max_queue_wait_ms，0 表示不排队）
+ * - 等待期间每秒重试一次，账号池通知有账号可用时立即重试
+ * - 流式请求排队时先发送 SSE 响应头，并定期发送 keep-alive 注释，避免客户端和代理超时
+ * - 队列长度达到 ALERT_QUEUE_BACKLOG_SIZE 时记录 QUEUE_BACKLOG 告警
+ */
+
+import { AlertType, AlertSeverity } from './system-logger.js'
+
+// 等待队列配置
+export const WAIT_QUEUE_CONFIG = {
+  // 最大排队请求数
+  maxDepth: parseInt(process.env.WAIT_QUEUE_MAX_DEPTH) || 100,
+  // 默认最长等待时间（毫秒），0 表示不排队
+  maxWaitMs: process.env.WAIT_QUEUE_MAX_WAIT_MS !== undefined ? parseInt(process.env.WAIT_QUEUE_MAX_WAIT_MS) || 0 : 30000,
+  // 重试间隔（毫秒）
+  pollIntervalMs: 1000,
+  // 流式请求 keep-alive 间隔（毫秒）
+  keepAliveIntervalMs: 15000,
+  // 积压告警最小间隔（毫秒）
+  alertIntervalMs: 60 * 1000
+}
+
+/**
+ * 是否为账号池暂时耗尽的错误（可以排队等待）
+ */
+export function isPoolExhaustedError(error) {
+  const message = error?.message || ''
+  return message.startsWith('No available accounts') || message === 'All accounts have expired tokens'
+}
+
+function queueError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+export class AccountWaitQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - 最大排队请求数
+   * @param {number} [options.pollIntervalMs] - 重试间隔
+   * @param {Object} [options.systemLogger] - 用于 QUEUE_BACKLOG 告警
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth || WAIT_QUEUE_CONFIG.maxDepth
+    this.pollIntervalMs = options.pollIntervalMs || WAIT_QUEUE_CONFIG.pollIntervalMs
+    this.systemLogger = options.systemLogger || null
+    // 按入队顺序保存的等待者：{ wake: Function|null }
+    this.waiters = []
+    this.lastAlertAt = 0
+    this.stats = {
+      queued: 0,
+      served: 0,
+      timedOut: 0,
+      rejected: 0,
+      aborted: 0,
+      maxDepthSeen: 0
+    }
+  }
+
+  /**
+   * 当前排队请求数
+   */
+  get depth() {
+    return this.waiters.length
+  }
+
+  /**
+   * 选择账号，账号池耗尽时排队等待
+   * @param {Function} select - async () => account，账号池耗尽时抛出错误
+   * @param {Object} [options]
+   * @param {number} [options.maxWaitMs] - 最长等待时间，0 表示不排队
+   * @param {AbortSignal} [options.signal] - 客户端断开时中止等待
+   * @param {Function} [options.onQueued] - 开始排队时调用
+   * @param {Function} [options.onDequeued] - 结束排队时调用（无论成功与否）
+   * @returns {Promise<Object>} 账号
+   */
+  async acquire(select, { maxWaitMs = WAIT_QUEUE_CONFIG.maxWaitMs, signal = null, onQueued = null, onDequeued = null } = {}) {
+    let lastError
+    try {
+      return await select()
+    } catch (error) {
+      if (!isPoolExhaustedError(error) || !(maxWaitMs > 0)) throw error
+      lastError = error
+    }
+
+    if (this.waiters.length >= this.maxDepth) {
+      this.stats.rejected++
+      throw queueError('queue_full', `${lastError.message} (wait queue is full: ${this.waiters.length})`)
+    }
+
+    const waiter = { wake: null }
+    const startedAt = Date.now()
+    this.waiters.push(waiter)
+    this.stats.queued++
+    this.stats.maxDepthSeen = Math.max(this.stats.maxDepthSeen, this.waiters.length)
+    this.checkBacklog()
+    console.log(`[WaitQueue] Request queued (depth: ${this.waiters.length}/${this.maxDepth}, max wait: ${maxWaitMs}ms)`)
+
+    try {
+      onQueued?.()
+
+      while (true) {
+        const remaining = startedAt + maxWaitMs - Date.now()
+        if (remaining <= 0) {
+          this.stats.timedOut++
+          throw queueError('queue_timeout', `${lastError.message} (waited ${Date.now() - startedAt}ms)`)
+        }
+
+        await this.sleep(waiter, Math.min(remaining, this.pollIntervalMs))
+        if (signal?.aborted) {
+          this.stats.aborted++
+          throw queueError('queue_aborted', 'Client disconnected while waiting for an account')
+        }
+
+        try {
+          const account = await select()
+          this.stats.served++
+          console.log(`[WaitQueue] Request dequeued after ${Date.now() - startedAt}ms: ${account.email}`)
+          return account
+        } catch (error) {
+          if (!isPoolExhaustedError(error)) throw error
+          lastError = error
+        }
+      }
+    } finally {
+      this.waiters.splice(this.waiters.indexOf(waiter), 1)
+      onDequeued?.()
+    }
+  }
+
+  /**
+   * 等待到超时或被 notify 唤醒
+   * @private
+   */
+  sleep(waiter, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms)
+      function done() {
+        clearTimeout(timer)
+        waiter.wake = null
+        resolve()
+      }
+      waiter.wake = done
+    })
+  }
+
+  /**
+   * 通知有账号可能可用（账号离开冷却池、活跃池补充、可用账号变化），按入队顺序唤醒等待者
+   */
+  notify() {
+    for (const waiter of this.waiters) {
+      waiter.wake?.()
+    }
+  }
+
+  /**
+   * 队列积压时记录 QUEUE_BACKLOG 告警（每分钟最多一次）
+   * @private
+   */
+  checkBacklog() {
+    if (!this.systemLogger) return
+    const threshold = this.systemLogger.alertThresholds?.queueBacklogSize || 50
+    const depth = this.waiters.length
+    const now = Date.now()
+    if (depth < threshold || now - this.lastAlertAt < WAIT_QUEUE_CONFIG.alertIntervalMs) return
+
+    this.lastAlertAt = now
+    this.systemLogger.logAlert({
+      alertType: AlertType.QUEUE_BACKLOG,
+      severity: depth >= this.maxDepth ? AlertSeverity.CRITICAL : AlertSeverity.WARNING,
+      message: `账号等待队列积压: ${depth} 个请求`,
+      details: { depth, maxDepth: this.maxDepth },
+      threshold,
+      currentValue: depth
+    }).catch(() => {})
+  }
+
+  /**
+   * 获取队列状态
+   */
+  getStats() {
+    return {
+      depth: this.waiters.length,
+      maxDepth: this.maxDepth,
+      ...this.stats
+    }
+  }
+}
+
+/**
+ * 发送 SSE 错误事件并结束响应
+ * @param {Object} res - Express 响应
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {Object} body - 原本要以 JSON 返回的错误响应体
+ */
+export function writeSSEError(res, format, body) {
+  if (res.writableEnded) return
+  if (format === 'claude') {
+    res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`)
+  } else {
+    res.write(`data: ${JSON.stringify(body)}\n\ndata: [DONE]\n\n`)
+  }
+  res.end()
+}
+
+/**
+ * 流式请求排队时发送 SSE 响应头和 keep-alive 注释
+ *
+ * 响应头发送后，路由中后续的 setHeader 被忽略，res.status().json() 改为发送 SSE 错误事件，
+ * 这样路由原有的错误处理不需要区分是否排过队
+ *
+ * @param {Object} res - Express 响应
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {number} [intervalMs] - keep-alive 间隔
+ * @returns {Function} 停止发送 keep-alive
+ */
+export function startQueueKeepAlive(res, format, intervalMs = WAIT_QUEUE_CONFIG.keepAliveIntervalMs) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'text/event-stream')
+    res.setHeader('Cache-Control', 'no-cache')
+    res.setHeader('Connection', 'keep-alive')
+    res.setHeader('X-Accel-Buffering', 'no')
+    res.flushHeaders()
+  }
+  res.write(': queued\n\n')
+  const timer = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n')
+  }, intervalMs)
+
+  res.setHeader = () => res
+  res.status = () => res
+  res.json = (body) => {
+    writeSSEError(res, format, body)
+    return res
+  }
+
+  return () => clearInterval(timer)
+}
+
+/**
+ * 构建请求的排队选项
+ * @param {Object} req - Express 请求（validateApiKey 之后，req.maxQueueWaitMs 为 API Key 的设置）
+ * @param {Object} res - Express 响应
+ * @param {'openai'|'claude'} format - 错误格式
+ * @param {boolean} keepAlive - 是否在排队时发送 SSE keep-alive（流式请求）
+ */
+export function buildQueueWaitOptions(req, res, format, keepAlive = false) {
+  const controller = new AbortController()
+  res.once?.('close', () => controller.abort())
+  let stopKeepAlive = null
+
+  return {
+    maxWaitMs: req.maxQueueWaitMs ?? WAIT_QUEUE_CONFIG.maxWaitMs,
+    signal: controller.signal,
+    onQueued: () => {
+      if (keepAlive) stopKeepAlive = startQueueKeepAlive(res, format)
+    },
+    onDequeued: () => stopKeepAlive?.()
+  }
+}
+
+export default AccountWaitQueue
@@ -12,7 +12,10 @@
 
 import { Router } from 'express'
 import { pool, getConnectionWithRetry } from '../config/database.js'
-import { rowToAccount, insertAccount, clearActiveAccountIfMatch } from '../models/account.js'
+import { rowToAccount, insertAccount, clearActiveAccountIfMatch, getAccountRow } from '../models/account.js'
+import { getUpstreamProxy } from '../utils/upstream-proxy.js'
+import { decryptCredentialRow } from '../utils/credential-crypto.js'
+import { recordAudit } from '../utils/audit-log.js'
 import {
   ErrorType,
   createErrorResponse,
@@ -261,6 +264,8 @@ router.get('/api/v2/accounts/:id', validateRequest(idParamSchema, 'params'), asy
     // 添加版本控制字段
     account.version = row.version || 1
     account.updatedAt = row.updated_at || row.created_at || Date.now()
+    // 上游代理和出口 IP（最近一次健康检查结果）
+    account.proxy = await getUpstreamProxy()?.describeAccount(account) ?? null
     
     sendSuccessResponse(res, account)
     
@@ -337,10 +342,19 @@ router.post('/api/v2/accounts', validateRequest(accountCreateSchema, 'body'), as
       [serverTime, account.id]
     )
     
+    const created = await getAccountRow(account.id, conn)
+    
     await conn.commit()
     
     console.log(`[Accounts V2] Account created: ${account.email}`)
     
+    await recordAudit(req, {
+      action: 'account.create',
+      resourceType: 'account',
+      resourceId: account.id,
+      after: created
+    })
+    
     res.status(201).json(createSuccessResponse({
       id: account.id,
       version: 1,
@@ -437,6 +451,8 @@ async function executeUpdateOperation(id, updateData, clientVersion) {
       [newVersion, serverTime, id]
     )
     
+    const updatedRow = await getAccountRow(id, conn)
+    
     await conn.commit()
     
     return {
@@ -444,7 +460,10 @@ async function executeUpdateOperation(id, updateData, clientVersion) {
       id,
       version: newVersion,
       updatedAt: serverTime,
-      email: mergedAccount.email
+      email: mergedAccount.email,
+      // 修改前后的数据库行（用于审计日志）
+      before: decryptCredentialRow(currentRow),
+      after: updatedRow
     }
     
   } catch (error) {
@@ -495,6 +514,14 @@ router.put('/api/v2/accounts/:id', validateRequest(idParamSchema, 'params'), val
         // 更新成功
         console.log(`[Accounts V2] Account updated: ${result.email}, version: ${clientVersion} -> ${result.version}${retryCount > 0 ? ` (after ${retryCount} retries)` : ''}`)
         
+        await recordAudit(req, {
+          action: 'account.update',
+          resourceType: 'account',
+          resourceId: id,
+          before: result.before,
+          after: result.after
+        })
+        
         return sendSuccessResponse(res, {
           id,
           version: result.version,
@@ -607,6 +634,7 @@ router.delete('/api/v2/accounts/:id', validateRequest(idParamSchema, 'params'),
     
     const currentVersion = rows[0].version || 1
     const email = rows[0].email
+    const before = await getAccountRow(id, conn)
     
     // 如果提供了版本号，进行冲突检测
     if (clientVersion !== undefined && clientVersion !== null && currentVersion !== clientVersion) {
@@ -638,10 +666,20 @@ router.delete('/api/v2/accounts/:id', validateRequest(idParamSchema, 'params'),
     // 如果是当前激活账号，清除激活状态（使用提取的公共函数）
     await clearActiveAccountIfMatch(id)
     
+    const after = await getAccountRow(id, conn)
+    
     await conn.commit()
     
     console.log(`[Accounts V2] Account deleted: ${email}`)
     
+    await recordAudit(req, {
+      action: 'account.delete',
+      resourceType: 'account',
+      resourceId: id,
+      before,
+      after
+    })
+    
     sendSuccessResponse(res, {
       id,
       deleted: true,
@@ -943,7 +981,7 @@ async function executeSingleOperation(conn, action, data, serverTime) {
  * - failed-only: 只回滚失败的操作，成功的保留（使用保存点）
  */
 router.post('/api/v2/accounts/batch', validateRequest(accountBatchSchema, 'body'), async (req, res) => {
-  const requestId = generateRequestId()
+  const requestId = req.requestId || generateRequestId()
   const conn = await getConnectionWithRetry({ operationName: 'batch_accounts_v2' })
   
   try {
@@ -977,6 +1015,9 @@ router.post('/api/v2/accounts/batch', validateRequest(accountBatchSchema, 'body'
     // 保存点名称映射（用于 failed-only 策略）
     const savepoints = new Map()
     
+    // 成功操作的修改前后数据（提交后写入审计日志）
+    const auditEntries = []
+    
     for (let index = 0; index < operations.length; index++) {
       const operation = operations[index]
       const { action, data } = operation
@@ -1006,11 +1047,20 @@ router.post('/api/v2/accounts/batch', validateRequest(accountBatchSchema, 'body'
           savepoints.set(index, savepointName)
         }
         
+        const before = data.id ? await getAccountRow(data.id, conn) : null
         const result = await executeSingleOperation(conn, action, data, serverTime)
         
         if (result.success) {
           results.push({ index, ...result })
           succeeded++
+          auditEntries.push({
+            action: `account.${result.action || action}`,
+            resourceType: 'account',
+            resourceId: result.id,
+            before,
+            after: await getAccountRow(result.id, conn),
+            metadata: { batch: true }
+          })
           
           // 成功后释放保存点（可选，MySQL会在事务结束时自动释放）
           if (finalStrategy === RollbackStrategy.FAILED_ONLY) {
@@ -1098,6 +1148,10 @@ router.post('/api/v2/accounts/batch', validateRequest(accountBatchSchema, 'body'
     
     console.log(`[Accounts V2] [${requestId}] Batch operation completed: ${succeeded} succeeded, ${failed} failed, ${rolledBack} rolled back`)
     
+    for (const entry of auditEntries) {
+      await recordAudit(req, entry)
+    }
+    
     sendSuccessResponse(res, {
       results,
       summary: {
@@ -9,11 +9,15 @@ import {
   getOrCreateMachineId,
   determineIdp,
   refreshTokenByAuthMethod,
-  clearActiveAccountIfMatch
+  clearActiveAccountIfMatch,
+  getAccountRow
 } from '../models/account.js'
 
 // 引用共享的 Kiro API 工具函数
 import { getUsageLimits, parseUsageResponse, buildUsageUpdateSQL } from '../utils/kiro-api.js'
+import { getAccountProxy, getUpstreamProxy } from '../utils/upstream-proxy.js'
+import { encryptCredential, decryptCredentialRow } from '../utils/credential-crypto.js'
+import { recordAudit } from '../utils/audit-log.js'
 
 const router = Router()
 
@@ -63,7 +67,10 @@ router.get('/api/accounts/:id', async (req, res) => {
   try {
     const [rows] = await pool.query('SELECT * FROM accounts WHERE id = ?', [req.params.id])
     if (rows.length > 0) {
-      res.json(rowToAccount(rows[0]))
+      const account = rowToAccount(rows[0])
+      // 上游代理和出口 IP（最近一次健康检查结果）
+      account.proxy = await getUpstreamProxy()?.describeAccount(account) ?? null
+      res.json(account)
     } else {
       res.status(404).json({ error: 'Account not found' })
     }
@@ -81,10 +88,17 @@ router.post('/api/accounts/:id', async (req, res) => {
     const accountId = req.params.id
 
     // 检查是否是新增账号（通过查询是否已存在）
-    const [existingRows] = await conn.query('SELECT id FROM accounts WHERE id = ?', [accountId])
-    const isNewAccount = existingRows.length === 0
+    const before = await getAccountRow(accountId, conn)
+    const isNewAccount = !before
 
     await insertAccount(conn, accountId, acc)
+    await recordAudit(req, {
+      action: isNewAccount ? 'account.create' : 'account.update',
+      resourceType: 'account',
+      resourceId: accountId,
+      before,
+      after: await getAccountRow(accountId, conn)
+    })
     res.json({ success: true })
 
     // 如果是新增账号，异步获取使用量信息（不阻塞响应）
@@ -102,6 +116,8 @@ router.post('/api/accounts/:id', async (req, res) => {
 
           // 构造账号对象用于 API 调用
           const accountForApi = {
+            id: accountId,
+            groupId: acc.groupId,
             headerVersion: acc.headerVersion || 1,
             machineId: machineId,
             amzInvocationId: acc.amzInvocationId,
@@ -151,7 +167,15 @@ router.put('/api/accounts/:id', async (req, res) => {
   const conn = await getConnectionWithRetry({ operationName: 'update_account' })
   try {
     const acc = { ...req.body, id: req.params.id }
+    const before = await getAccountRow(req.params.id, conn)
     await insertAccount(conn, req.params.id, acc)
+    await recordAudit(req, {
+      action: before ? 'account.update' : 'account.create',
+      resourceType: 'account',
+      resourceId: req.params.id,
+      before,
+      after: await getAccountRow(req.params.id, conn)
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Update account error:', error)
@@ -166,10 +190,14 @@ router.delete('/api/accounts/:id', async (req, res) => {
   try {
     const { id } = req.params
     const now = Date.now()
+    const before = await getAccountRow(id)
     // 软删除：设置 is_del = TRUE 和 deleted_at
     await pool.query('UPDATE accounts SET is_del = TRUE, deleted_at = ? WHERE id = ?', [now, id])
     // 如果是当前激活账号，清除激活状态（使用提取的公共函数）
     await clearActiveAccountIfMatch(id)
+    if (before) {
+      await recordAudit(req, { action: 'account.delete', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Delete account error:', error)
@@ -181,8 +209,12 @@ router.delete('/api/accounts/:id', async (req, res) => {
 router.put('/api/accounts/:id/restore', async (req, res) => {
   try {
     const { id } = req.params
+    const before = await getAccountRow(id)
     // 恢复账号：设置 is_del = FALSE，清除 deleted_at
     await pool.query('UPDATE accounts SET is_del = FALSE, deleted_at = NULL WHERE id = ?', [id])
+    if (before) {
+      await recordAudit(req, { action: 'account.restore', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Restore account error:', error)
@@ -194,10 +226,14 @@ router.put('/api/accounts/:id/restore', async (req, res) => {
 router.delete('/api/accounts/:id/permanent', async (req, res) => {
   try {
     const { id } = req.params
+    const before = await getAccountRow(id)
     await pool.query('DELETE FROM accounts WHERE id = ?', [id])
     await pool.query('DELETE FROM account_machine_ids WHERE account_id = ?', [id])
     // 如果是当前激活账号，清除激活状态（使用提取的公共函数）
     await clearActiveAccountIfMatch(id)
+    if (before) {
+      await recordAudit(req, { action: 'account.permanent_delete', resourceType: 'account', resourceId: id, before })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Permanent delete account error:', error)
@@ -224,7 +260,8 @@ router.post('/api/accounts/verify-credentials', async (req, res) => {
     const { getDefaultHeaderVersionForIdp } = await import('../config/index.js')
 
     // 根据认证方式刷新 token 获取 accessToken（使用提取的公共函数）
-    const tokenResult = await refreshTokenByAuthMethod(authMethod, refreshToken, clientId, clientSecret, region)
+    // 新账号还没有账号级代理，使用全局代理
+    const tokenResult = await refreshTokenByAuthMethod(authMethod, refreshToken, clientId, clientSecret, region, await getAccountProxy({}))
 
     if (!tokenResult.success) {
       return res.status(400).json({ success: false, error: `Token 刷新失败: ${tokenResult.error}` })
@@ -355,6 +392,11 @@ router.post('/api/accounts/batch-delete', async (req, res) => {
     const [result] = await pool.query(sql, params)
 
     console.log('[API] Batch delete result:', { affectedRows: result.affectedRows })
+    await recordAudit(req, {
+      action: 'account.batch_delete',
+      resourceType: 'account',
+      metadata: { ids, count: result.affectedRows }
+    })
     res.json({ success: true, count: result.affectedRows })
   } catch (error) {
     console.error('[API] Batch delete error:', error)
@@ -373,6 +415,11 @@ router.post('/api/accounts/batch-restore', async (req, res) => {
     const placeholders = ids.map(() => '?').join(',')
     // 恢复账号：设置 is_del = FALSE，清除 deleted_at
     await pool.query(`UPDATE accounts SET is_del = FALSE, deleted_at = NULL WHERE id IN (${placeholders})`, ids)
+    await recordAudit(req, {
+      action: 'account.batch_restore',
+      resourceType: 'account',
+      metadata: { ids, count: ids.length }
+    })
     res.json({ success: true, count: ids.length })
   } catch (error) {
     console.error('Batch restore error:', error)
@@ -390,6 +437,11 @@ router.post('/api/accounts/batch-permanent-delete', async (req, res) => {
     const placeholders = ids.map(() => '?').join(',')
     await pool.query(`DELETE FROM accounts WHERE id IN (${placeholders})`, ids)
     await pool.query(`DELETE FROM account_machine_ids WHERE account_id IN (${placeholders})`, ids)
+    await recordAudit(req, {
+      action: 'account.batch_permanent_delete',
+      resourceType: 'account',
+      metadata: { ids, count: ids.length }
+    })
     res.json({ success: true, count: ids.length })
   } catch (error) {
     console.error('Batch permanent delete error:', error)
@@ -401,10 +453,18 @@ router.post('/api/accounts/batch-permanent-delete', async (req, res) => {
 router.post('/api/accounts/:id/activate', async (req, res) => {
   try {
     const { id } = req.params
+    const [settings] = await pool.query("SELECT value FROM settings WHERE `key` = 'activeAccountId'")
     await pool.query(
       "INSERT INTO settings (`key`, value, value_type) VALUES ('activeAccountId', ?, 'string') ON DUPLICATE KEY UPDATE value = ?",
       [id, id]
     )
+    await recordAudit(req, {
+      action: 'account.activate',
+      resourceType: 'account',
+      resourceId: id,
+      before: { activeAccountId: settings[0]?.value ?? null },
+      after: { activeAccountId: id }
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Activate account error:', error)
@@ -428,8 +488,12 @@ router.patch('/api/accounts/:id/status', async (req, res) => {
       values.push(lastCheckedAt)
     }
     if (updates.length > 0) {
+      const before = await getAccountRow(id)
       values.push(id)
       await pool.query(`UPDATE accounts SET ${updates.join(', ')} WHERE id = ?`, values)
+      if (before) {
+        await recordAudit(req, { action: 'account.status.update', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+      }
     }
     res.json({ success: true })
   } catch (error) {
@@ -447,19 +511,23 @@ router.patch('/api/accounts/:id/credentials', async (req, res) => {
     const values = []
     if (cred.accessToken !== undefined) {
       updates.push('cred_access_token = ?')
-      values.push(cred.accessToken)
+      values.push(encryptCredential(cred.accessToken))
     }
     if (cred.refreshToken !== undefined) {
       updates.push('cred_refresh_token = ?')
-      values.push(cred.refreshToken)
+      values.push(encryptCredential(cred.refreshToken))
     }
     if (cred.expiresAt !== undefined) {
       updates.push('cred_expires_at = ?')
       values.push(cred.expiresAt)
     }
     if (updates.length > 0) {
+      const before = await getAccountRow(id)
       values.push(id)
       await pool.query(`UPDATE accounts SET ${updates.join(', ')} WHERE id = ?`, values)
+      if (before) {
+        await recordAudit(req, { action: 'account.credentials.update', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+      }
     }
     res.json({ success: true })
   } catch (error) {
@@ -492,8 +560,12 @@ router.patch('/api/accounts/:id/usage', async (req, res) => {
       values.push(usage.lastUpdated)
     }
     if (updates.length > 0) {
+      const before = await getAccountRow(id)
       values.push(id)
       await pool.query(`UPDATE accounts SET ${updates.join(', ')} WHERE id = ?`, values)
+      if (before) {
+        await recordAudit(req, { action: 'account.usage.update', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+      }
     }
     res.json({ success: true })
   } catch (error) {
@@ -507,7 +579,11 @@ router.patch('/api/accounts/:id/group', async (req, res) => {
   try {
     const { id } = req.params
     const { groupId } = req.body
+    const before = await getAccountRow(id)
     await pool.query('UPDATE accounts SET group_id = ? WHERE id = ?', [groupId, id])
+    if (before) {
+      await recordAudit(req, { action: 'account.group.update', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Update group error:', error)
@@ -520,7 +596,11 @@ router.patch('/api/accounts/:id/tags', async (req, res) => {
   try {
     const { id } = req.params
     const { tags } = req.body
+    const before = await getAccountRow(id)
     await pool.query('UPDATE accounts SET tags = ? WHERE id = ?', [JSON.stringify(tags), id])
+    if (before) {
+      await recordAudit(req, { action: 'account.tags.update', resourceType: 'account', resourceId: id, before, after: await getAccountRow(id) })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Update tags error:', error)
@@ -534,7 +614,7 @@ router.post('/api/accounts/:id/refresh-token', async (req, res) => {
   try {
     const { id } = req.params
     const [rows] = await conn.query(
-      `SELECT id, email, cred_access_token, cred_refresh_token,
+      `SELECT id, email, group_id, cred_access_token, cred_refresh_token,
               cred_client_id, cred_client_secret, cred_region,
               cred_expires_at, cred_auth_method, cred_provider
        FROM accounts WHERE id = ?`,
@@ -545,7 +625,7 @@ router.post('/api/accounts/:id/refresh-token', async (req, res) => {
       return res.status(404).json({ error: 'Account not found' })
     }
 
-    const account = rows[0]
+    const account = decryptCredentialRow(rows[0])
     if (!account.cred_refresh_token) {
       return res.status(400).json({ error: 'No refresh token available' })
     }
@@ -559,7 +639,8 @@ router.post('/api/accounts/:id/refresh-token', async (req, res) => {
       account.cred_refresh_token,
       account.cred_client_id,
       account.cred_client_secret,
-      account.cred_region
+      account.cred_region,
+      await getAccountProxy({ id, groupId: account.group_id })
     )
 
     if (!result.success) {
@@ -569,12 +650,20 @@ router.post('/api/accounts/:id/refresh-token', async (req, res) => {
     // 更新数据库
     const now = Date.now()
     const newExpiresAt = now + (result.expiresIn || 3600) * 1000
+    const before = await getAccountRow(id, conn)
     await conn.query(
       'UPDATE accounts SET cred_access_token = ?, cred_refresh_token = ?, cred_expires_at = ? WHERE id = ?',
-      [result.accessToken, result.refreshToken || account.cred_refresh_token, newExpiresAt, id]
+      [encryptCredential(result.accessToken), encryptCredential(result.refreshToken || account.cred_refresh_token), newExpiresAt, id]
     )
 
     console.log(`[API] Token refreshed for ${account.email}, expires at ${new Date(newExpiresAt).toISOString()}`)
+    await recordAudit(req, {
+      action: 'account.credentials.refresh',
+      resourceType: 'account',
+      resourceId: id,
+      before,
+      after: await getAccountRow(id, conn)
+    })
 
     res.json({
       success: true,
@@ -598,7 +687,7 @@ router.post('/api/accounts/:id/check-status', async (req, res) => {
   try {
     const { id } = req.params
     const [rows] = await conn.query(
-      `SELECT id, email, idp, cred_access_token, cred_refresh_token,
+      `SELECT id, email, idp, group_id, cred_access_token, cred_refresh_token,
               cred_client_id, cred_client_secret, cred_region,
               cred_auth_method, cred_provider
        FROM accounts WHERE id = ?`,
@@ -609,7 +698,7 @@ router.post('/api/accounts/:id/check-status', async (req, res) => {
       return res.status(404).json({ error: 'Account not found' })
     }
 
-    const account = rows[0]
+    const account = decryptCredentialRow(rows[0])
     const { cred_access_token, cred_refresh_token, cred_client_id, cred_client_secret, cred_region, cred_auth_method, cred_provider } = account
 
     if (!cred_access_token) {
@@ -688,6 +777,7 @@ router.post('/api/accounts/:id/check-status', async (req, res) => {
     const accountForApi = {
       id: id,
       email: account.email,
+      groupId: account.group_id,
       headerVersion: account.header_version || 1,
       machineId: machineId,
       amzInvocationId: account.amz_invocation_id,
@@ -735,7 +825,8 @@ router.post('/api/accounts/:id/check-status', async (req, res) => {
 
         // 使用提取的公共函数刷新 token
         const refreshResult = await refreshTokenByAuthMethod(
-          cred_auth_method, cred_refresh_token, cred_client_id, cred_client_secret, cred_region
+          cred_auth_method, cred_refresh_token, cred_client_id, cred_client_secret, cred_region,
+          await getAccountProxy(accountForApi)
         )
 
         if (refreshResult.success && refreshResult.accessToken) {
@@ -745,7 +836,7 @@ router.post('/api/accounts/:id/check-status', async (req, res) => {
           const newExpiresAt = Date.now() + (refreshResult.expiresIn || 3600) * 1000
           await conn.query(
             'UPDATE accounts SET cred_access_token = ?, cred_refresh_token = ?, cred_expires_at = ? WHERE id = ?',
-            [refreshResult.accessToken, refreshResult.refreshToken || cred_refresh_token, newExpiresAt, id]
+            [encryptCredential(refreshResult.accessToken), encryptCredential(refreshResult.refreshToken || cred_refresh_token), newExpiresAt, id]
           )
 
           // 更新账号对象的 accessToken
@@ -0,0 +1,299 @@
+/**
+ * API Key 管理 v2 路由
+ *
+ * - GET /api/v2/api-keys - 获取 API Key 列表（可按 groupId 过滤）
+ * - GET /api/v2/api-keys/:id - 获取单个 API Key
+ * - POST /api/v2/api-keys - 创建 API Key（明文只在此接口返回一次）
+ * - PUT /api/v2/api-keys/:id - 更新名称、允许的模型、过期时间和限流
+ * - POST /api/v2/api-keys/:id/revoke - 吊销 API Key
+ * - DELETE /api/v2/api-keys/:id - 删除 API Key
+ *
+ * 轮换 Key：为同一分组创建新 Key，客户端切换后再吊销旧 Key
+ */
+
+import { Router } from 'express'
+import { v4 as uuidv4 } from 'uuid'
+import { pool } from '../config/database.js'
+import { clearApiKeyCache } from '../openai-compat/auth-middleware.js'
+import { generateApiKey, hashApiKey, getDisplayPrefix, serializeAllowedModels, rowToApiKey } from '../openai-compat/api-keys.js'
+import { recordAudit } from '../utils/audit-log.js'
+import {
+  validateRequest,
+  apiKeySchema,
+  apiKeyUpdateSchema,
+  idParamSchema
+} from '../validators/schemas.js'
+
+const router = Router()
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'NOT_FOUND',
+    message: 'API Key 不存在'
+  })
+}
+
+/**
+ * 获取 API Key 列表
+ *
+ * GET /api/v2/api-keys
+ *
+ * 查询参数:
+ * - groupId: 只返回该分组的 Key
+ * - includeRevoked: 是否包含已吊销的 Key（默认 true）
+ */
+router.get('/api/v2/api-keys', async (req, res) => {
+  try {
+    const conditions = []
+    const params = []
+
+    if (req.query.groupId) {
+      conditions.push('group_id = ?')
+      params.push(req.query.groupId)
+    }
+    if (req.query.includeRevoked === 'false') {
+      conditions.push('revoked_at IS NULL')
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+    const [rows] = await pool.query(`SELECT * FROM api_keys ${whereClause} ORDER BY created_at DESC`, params)
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: rows.map(row => rowToApiKey(row)),
+        serverTime: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Get API keys error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 获取单个 API Key
+ *
+ * GET /api/v2/api-keys/:id
+ */
+router.get('/api/v2/api-keys/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [req.params.id])
+    if (rows.length === 0) return notFound(res)
+
+    res.json({
+      success: true,
+      data: rowToApiKey(rows[0])
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Get API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 创建 API Key
+ *
+ * POST /api/v2/api-keys
+ *
+ * 请求体:
+ * {
+ *   "name": "CI",
+ *   "groupId": "group-1",            // 可选，null 表示可访问所有账号
+ *   "allowedModels": ["claude-sonnet-4-5"],  // 可选，null 表示不限制
+ *   "expiresAt": 1767225600000       // 可选，毫秒时间戳
+ * }
+ *
+ * 响应中的 key 字段为明文，之后无法再次获取
+ */
+router.post('/api/v2/api-keys', validateRequest(apiKeySchema, 'body'), async (req, res) => {
+  try {
+    const data = req.body
+
+    if (data.groupId) {
+      const [groups] = await pool.query('SELECT id FROM `groups` WHERE id = ?', [data.groupId])
+      if (groups.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'GROUP_NOT_FOUND',
+          message: '分组不存在'
+        })
+      }
+    }
+
+    const id = uuidv4()
+    const key = generateApiKey()
+    const serverTime = Date.now()
+
+    await pool.query(
+      `INSERT INTO api_keys (id, name, group_id, key_hash, key_prefix, allowed_models,
+        rate_limit_rpm, rate_limit_tpm, max_concurrent_streams, max_queue_wait_ms, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        data.name,
+        data.groupId || null,
+        hashApiKey(key),
+        getDisplayPrefix(key),
+        serializeAllowedModels(data.allowedModels),
+        data.rateLimitRpm || 0,
+        data.rateLimitTpm || 0,
+        data.maxConcurrentStreams || 0,
+        data.maxQueueWaitMs ?? null,
+        data.expiresAt || null,
+        serverTime,
+        serverTime
+      ]
+    )
+
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id])
+
+    console.log(`[API Keys V2] API key created: ${data.name} (group: ${data.groupId || 'all'})`)
+    await recordAudit(req, { action: 'api_key.create', resourceType: 'api_key', resourceId: id, after: rows[0] })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...rowToApiKey(rows[0]),
+        key
+      }
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Create API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 更新 API Key
+ *
+ * PUT /api/v2/api-keys/:id
+ */
+router.put('/api/v2/api-keys/:id', validateRequest(idParamSchema, 'params'), validateRequest(apiKeyUpdateSchema, 'body'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const data = req.body
+
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id])
+    if (rows.length === 0) return notFound(res)
+    const current = rows[0]
+
+    await pool.query(
+      `UPDATE api_keys SET name = ?, allowed_models = ?, rate_limit_rpm = ?, rate_limit_tpm = ?,
+        max_concurrent_streams = ?, max_queue_wait_ms = ?, expires_at = ?, updated_at = ? WHERE id = ?`,
+      [
+        data.name !== undefined ? data.name : current.name,
+        data.allowedModels !== undefined ? serializeAllowedModels(data.allowedModels) : current.allowed_models,
+        data.rateLimitRpm !== undefined ? data.rateLimitRpm : current.rate_limit_rpm,
+        data.rateLimitTpm !== undefined ? data.rateLimitTpm : current.rate_limit_tpm,
+        data.maxConcurrentStreams !== undefined ? data.maxConcurrentStreams : current.max_concurrent_streams,
+        data.maxQueueWaitMs !== undefined ? data.maxQueueWaitMs : current.max_queue_wait_ms,
+        data.expiresAt !== undefined ? data.expiresAt : current.expires_at,
+        Date.now(),
+        id
+      ]
+    )
+    clearApiKeyCache()
+
+    const [updated] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id])
+
+    console.log(`[API Keys V2] API key updated: ${updated[0].name}`)
+    await recordAudit(req, { action: 'api_key.update', resourceType: 'api_key', resourceId: id, before: current, after: updated[0] })
+
+    res.json({
+      success: true,
+      data: rowToApiKey(updated[0])
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Update API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 吊销 API Key（保留记录，立即停止认证）
+ *
+ * POST /api/v2/api-keys/:id/revoke
+ */
+router.post('/api/v2/api-keys/:id/revoke', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const serverTime = Date.now()
+
+    const [before] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id])
+    const [result] = await pool.query(
+      'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?), updated_at = ? WHERE id = ?',
+      [serverTime, serverTime, id]
+    )
+    if (result.affectedRows === 0) return notFound(res)
+    clearApiKeyCache()
+
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id])
+
+    console.log(`[API Keys V2] API key revoked: ${rows[0].name}`)
+    await recordAudit(req, { action: 'api_key.revoke', resourceType: 'api_key', resourceId: id, before: before[0], after: rows[0] })
+
+    res.json({
+      success: true,
+      data: rowToApiKey(rows[0])
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Revoke API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 删除 API Key
+ *
+ * DELETE /api/v2/api-keys/:id
+ */
+router.delete('/api/v2/api-keys/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [req.params.id])
+    const [result] = await pool.query('DELETE FROM api_keys WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) return notFound(res)
+    clearApiKeyCache()
+
+    console.log(`[API Keys V2] API key deleted: ${req.params.id}`)
+    await recordAudit(req, { action: 'api_key.delete', resourceType: 'api_key', resourceId: req.params.id, before: rows[0] })
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        deleted: true
+      }
+    })
+  } catch (error) {
+    console.error('[API Keys V2] Delete API key error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,88 @@
+/**
+ * 审计日志 v2 路由（需要 admin 角色，见 middleware/permissions.js）
+ *
+ * - GET /api/v2/audit - 查询审计日志（按时间倒序）
+ * - GET /api/v2/audit/:id - 获取单条审计日志
+ */
+
+import { Router } from 'express'
+import { pool } from '../config/database.js'
+import { AuditLog, getAuditLog } from '../utils/audit-log.js'
+import {
+  validateRequest,
+  auditQuerySchema,
+  idParamSchema
+} from '../validators/schemas.js'
+
+const router = Router()
+
+function getLog() {
+  return getAuditLog() || new AuditLog(pool)
+}
+
+/**
+ * 查询审计日志
+ *
+ * GET /api/v2/audit
+ *
+ * 查询参数:
+ * - actor: 操作人用户名（未启用登录验证时为 anonymous）
+ * - action: 操作，如 account.update、account.status.update、data.import
+ * - resourceType: 资源类型，如 account、group、tag、setting、machine_id
+ * - resourceId: 资源 ID
+ * - requestId: 请求 ID（响应头 X-Request-Id）
+ * - startTime / endTime: 毫秒时间戳
+ * - page / pageSize: 分页（pageSize 最大 200）
+ */
+router.get('/api/v2/audit', validateRequest(auditQuerySchema, 'query'), async (req, res) => {
+  try {
+    const result = await getLog().query(req.query)
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.data,
+        pagination: result.pagination
+      }
+    })
+  } catch (error) {
+    console.error('[Audit V2] Get audit log error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 获取单条审计日志
+ *
+ * GET /api/v2/audit/:id
+ */
+router.get('/api/v2/audit/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const entry = await getLog().getById(req.params.id)
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: '审计日志不存在'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    })
+  } catch (error) {
+    console.error('[Audit V2] Get audit entry error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+export default router
@@ -1,117 +1,826 @@
 /**
- * Web 后台登录认证路由 - JWT 版本
+ * Web 后台登录认证路由
+ *
+ * - POST /api/auth/login - 登录（用户名 + 密码，创建会话并写入 auth_token cookie；需要两步验证时返回 challengeToken）
+ * - POST /api/auth/login/totp - 两步验证（challengeToken + 验证码或恢复码，创建会话）
+ * - POST /api/auth/logout - 登出（删除当前会话）
+ * - GET /api/auth/check - 检查登录状态
+ * - GET /api/auth/me - 当前用户、权限和会话列表
+ * - POST /api/auth/password - 修改自己的密码（删除其他会话）
+ * - DELETE /api/auth/sessions/:id - 注销自己的某个会话
+ * - POST /api/auth/logout-all - 注销自己的全部会话
+ * - POST /api/auth/2fa/setup - 生成 TOTP 密钥和 otpauth URI（会话或 setup 类型的 challengeToken）
+ * - POST /api/auth/2fa/enable - 输入验证码启用两步验证，返回恢复码（使用 challengeToken 时同时完成登录）
+ * - POST /api/auth/2fa/disable - 停用两步验证（密码 + 验证码或恢复码）
+ * - POST /api/auth/2fa/recovery-codes - 重新生成恢复码
+ * - GET /api/auth/oidc/config - 是否启用 OIDC 单点登录（登录页显示按钮）
+ * - GET /api/auth/oidc/login - 跳转到身份提供方（授权码 + PKCE）
+ * - GET /api/auth/oidc/callback - 身份提供方回调，创建会话后跳转回控制台
+ *
+ * 登录、两步验证和启用两步验证按 IP 和用户名限流，计数使用限流器的存储（RATE_LIMIT_STORE=mysql 时多服务器共享）
  */
 
 import { Router } from 'express'
-import jwt from 'jsonwebtoken'
-import { WEB_LOGIN_PASSWORD, ELECTRON_AUTH_SECRET } from '../config/index.js'
+import { randomBytes } from 'crypto'
+import { WEB_ADMIN_USERNAME } from '../config/index.js'
+import { requireAuth, getRequestSession, SESSION_COOKIE } from '../middleware/auth-middleware.js'
+import { getRolePermissions } from '../middleware/permissions.js'
+import {
+  rowToUser,
+  isAuthEnabled,
+  findUserByUsername,
+  findUserById,
+  createSession,
+  listUserSessions,
+  deleteSession,
+  deleteUserSessions,
+  isTwoFactorRequired,
+  needsTwoFactorSetup,
+  LoginChallengePurpose,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordLoginChallengeFailure,
+  deleteLoginChallenge,
+  startTotpSetup,
+  enableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTotp,
+  createOidcLoginState,
+  consumeOidcLoginState,
+  loginOidcUser
+} from '../models/user.js'
+import { OIDC_CONFIG, isOidcEnabled, getOidcClient } from '../utils/oidc.js'
+import { verifyPassword, hashPassword } from '../utils/password-hash.js'
+import { getClientIp } from '../utils/request-utils.js'
+import { recordAudit } from '../utils/audit-log.js'
+import { getRateLimiter, MemoryRateLimitStore, RATE_LIMIT_WINDOW_MS } from '../openai-compat/rate-limiter.js'
+import { pool } from '../config/database.js'
+import {
+  validateRequest,
+  loginSchema,
+  passwordChangeSchema,
+  totpLoginSchema,
+  totpSetupSchema,
+  totpEnableSchema,
+  totpDisableSchema,
+  totpCodeSchema
+} from '../validators/schemas.js'
 
 const router = Router()
 
-// JWT 密钥（使用 ELECTRON_AUTH_SECRET 或默认值）
-const JWT_SECRET = ELECTRON_AUTH_SECRET || 'kiro-jwt-secret-2024'
+// 每分钟允许的登录尝试次数
+export const LOGIN_RATE_LIMIT = {
+  perIp: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP) || 10,
+  perUser: parseInt(process.env.LOGIN_RATE_LIMIT_PER_USER) || 5
+}
 
-// JWT 有效期（30天）
-const JWT_EXPIRES_IN = '30d'
+// 限流器未初始化时使用的进程内存储
+let fallbackStore = null
+
+// 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+let dummyHashPromise = null
+
+function getLoginRateLimitStore() {
+  const limiter = getRateLimiter()
+  if (limiter) return limiter.store
+  if (!fallbackStore) fallbackStore = new MemoryRateLimitStore()
+  return fallbackStore
+}
 
 /**
- * POST /api/auth/login - 登录
+ * 计入一次登录尝试
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds?: number}>}
  */
-router.post('/api/auth/login', async (req, res) => {
-  const { password } = req.body
+async function consumeLoginAttempt(ip, username) {
+  const now = Date.now()
+  const windowStart = Math.floor(now / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS
+  const store = getLoginRateLimitStore()
+  const scopes = [
+    [`login-ip:${ip}`, LOGIN_RATE_LIMIT.perIp],
+    [`login-user:${username.toLowerCase()}`, LOGIN_RATE_LIMIT.perUser]
+  ]
 
-  // 如果未配置密码，则不启用登录验证
-  if (!WEB_LOGIN_PASSWORD) {
-    return res.json({
-      success: true,
-      message: '登录验证未启用',
-      requireAuth: false
-    })
+  for (const [scope, limit] of scopes) {
+    const { allowed } = await store.consumeRequest(scope, windowStart, { rpm: limit, tpm: 0 })
+    if (!allowed) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000) }
+    }
   }
+  return { allowed: true }
+}
 
-  // 验证密码
-  if (password !== WEB_LOGIN_PASSWORD) {
-    return res.status(401).json({
-      success: false,
-      message: '密码错误'
-    })
-  }
+/**
+ * 计入登录尝试，超出限制时返回 429
+ * @returns {Promise<boolean>} 是否允许继续
+ */
+async function checkLoginRateLimit(res, ip, username) {
+  const rateLimit = await consumeLoginAttempt(ip, username)
+  if (rateLimit.allowed) return true
 
-  // 生成 JWT token
-  const expiresAt = Date.now() + 30 * 24 * 60 * 60 * 1000 // 30天
-  const token = jwt.sign(
-    {
-      type: 'web_auth',
-      createdAt: Date.now(),
-      expiresAt
-    },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  )
+  console.warn(`[Auth] Login rate limited: user=${username}, ip=${ip}`)
+  res.set('retry-after', String(rateLimit.retryAfterSeconds))
+  res.status(429).json({
+    success: false,
+    message: `登录尝试次数过多，请 ${rateLimit.retryAfterSeconds} 秒后重试`
+  })
+  return false
+}
+
+function challengeExpired(res) {
+  return res.status(401).json({
+    success: false,
+    error: 'CHALLENGE_EXPIRED',
+    message: '登录已过期或验证码错误次数过多，请重新输入密码'
+  })
+}
 
-  // 设置 cookie（30天有效期）
+function setSessionCookie(res, token, expiresAt) {
   // 注意：httpOnly 设置为 false，允许 JavaScript 访问 cookie
   // 这是为了让 Electron 渲染进程能够获取 token 并传递给主进程
-  res.cookie('auth_token', token, {
+  res.cookie(SESSION_COOKIE, token, {
     httpOnly: false,
-    maxAge: 30 * 24 * 60 * 60 * 1000,
+    maxAge: expiresAt - Date.now(),
     sameSite: 'lax',
     path: '/'
   })
+}
+
+/**
+ * 创建会话、写入 Cookie 并返回登录成功
+ * @param {Object} user - users 表行
+ * @param {Object} [data] - 额外返回的字段（如启用两步验证时的恢复码）
+ */
+async function completeLogin(req, res, user, ip, data = {}) {
+  const { token, expiresAt } = await createSession(user.id, { ip, userAgent: req.headers['user-agent'] })
+  setSessionCookie(res, token, expiresAt)
+  console.log(`[Auth] User ${user.username} logged in from ${ip}`)
 
   res.json({
     success: true,
     message: '登录成功',
-    expiresAt
+    expiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      totpEnabled: Boolean(user.totp_enabled),
+      permissions: getRolePermissions(user.role)
+    },
+    ...data
   })
+}
+
+/**
+ * POST /api/auth/login - 登录
+ *
+ * 请求体: { "username": "admin", "password": "..." }
+ *
+ * 密码正确但需要两步验证时不创建会话，返回 success: false 和 challengeToken（5 分钟内有效）:
+ * - error: TOTP_REQUIRED - 调用 POST /api/auth/login/totp 输入验证码或恢复码
+ * - error: TOTP_SETUP_REQUIRED - 管理员要求两步验证，调用 POST /api/auth/2fa/setup 和 /api/auth/2fa/enable 绑定验证器
+ */
+router.post('/api/auth/login', validateRequest(loginSchema, 'body'), async (req, res) => {
+  try {
+    // users 表为空时不启用登录验证
+    if (!(await isAuthEnabled())) {
+      return res.json({
+        success: true,
+        message: '登录验证未启用',
+        requireAuth: false
+      })
+    }
+
+    const username = req.body.username || WEB_ADMIN_USERNAME
+    const ip = getClientIp(req) || 'unknown'
+
+    if (!(await checkLoginRateLimit(res, ip, username))) return
+
+    const user = await findUserByUsername(username)
+    if (!dummyHashPromise) dummyHashPromise = hashPassword(randomBytes(16).toString('hex'))
+    const passwordHash = user ? user.password_hash : await dummyHashPromise
+    const valid = await verifyPassword(req.body.password, passwordHash) && user && !user.disabled
+    if (!valid) {
+      console.warn(`[Auth] Login failed: user=${username}, ip=${ip}`)
+      return res.status(401).json({
+        success: false,
+        message: '用户名或密码错误'
+      })
+    }
+
+    if (user.totp_enabled || await isTwoFactorRequired()) {
+      const purpose = user.totp_enabled ? LoginChallengePurpose.VERIFY : LoginChallengePurpose.SETUP
+      const challenge = await createLoginChallenge(user.id, purpose, { ip })
+      return res.json({
+        success: false,
+        error: user.totp_enabled ? 'TOTP_REQUIRED' : 'TOTP_SETUP_REQUIRED',
+        message: user.totp_enabled ? '请输入两步验证码' : '管理员要求启用两步验证，请先绑定验证器',
+        challengeToken: challenge.token,
+        expiresAt: challenge.expiresAt
+      })
+    }
+
+    await completeLogin(req, res, user, ip)
+  } catch (error) {
+    console.error('[Auth] Login error:', error)
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/login/totp - 两步验证
+ *
+ * 请求体: { "challengeToken": "...", "code": "123456" } 或 { "challengeToken": "...", "recoveryCode": "xxxxx-xxxxx" }
+ * 错误 5 次后需要重新输入密码；使用恢复码时返回剩余恢复码数量
+ */
+router.post('/api/auth/login/totp', validateRequest(totpLoginSchema, 'body'), async (req, res) => {
+  try {
+    const challenge = await getLoginChallenge(req.body.challengeToken, LoginChallengePurpose.VERIFY)
+    if (!challenge) return challengeExpired(res)
+
+    const { user } = challenge
+    const ip = getClientIp(req) || 'unknown'
+    if (!(await checkLoginRateLimit(res, ip, user.username))) return
+
+    const result = await verifySecondFactor(user, req.body)
+    if (!result) {
+      await recordLoginChallengeFailure(challenge.id)
+      console.warn(`[Auth] Two-factor verification failed: user=${user.username}, ip=${ip}`)
+      return res.status(401).json({
+        success: false,
+        error: 'INVALID_TOTP',
+        message: req.body.recoveryCode ? '恢复码无效或已使用' : '验证码错误'
+      })
+    }
+
+    await deleteLoginChallenge(challenge.id)
+    if (result.method === 'recovery_code') {
+      console.warn(`[Auth] User ${user.username} logged in with a recovery code, ${result.remainingRecoveryCodes} left`)
+      return completeLogin(req, res, user, ip, { remainingRecoveryCodes: result.remainingRecoveryCodes })
+    }
+    await completeLogin(req, res, user, ip)
+  } catch (error) {
+    console.error('[Auth] Two-factor login error:', error)
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
 })
 
 /**
  * POST /api/auth/logout - 登出
  */
 router.post('/api/auth/logout', async (req, res) => {
-  res.clearCookie('auth_token', { path: '/' })
+  try {
+    const session = await getRequestSession(req)
+    if (session) {
+      await deleteSession(session.id)
+    }
+  } catch (error) {
+    console.error('[Auth] Logout error:', error.message)
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' })
   res.json({ success: true, message: '已登出' })
 })
 
 /**
  * GET /api/auth/check - 检查登录状态
  */
-router.get('/api/auth/check', (req, res) => {
-  // 如果未配置密码，则不需要登录
-  if (!WEB_LOGIN_PASSWORD) {
-    return res.json({
+router.get('/api/auth/check', async (req, res) => {
+  try {
+    // 未启用登录验证时不需要登录
+    if (!(await isAuthEnabled())) {
+      return res.json({
+        authenticated: true,
+        requireAuth: false
+      })
+    }
+
+    const session = await getRequestSession(req)
+    if (!session) {
+      if (req.cookies?.[SESSION_COOKIE]) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' })
+      }
+      return res.json({
+        authenticated: false,
+        requireAuth: true
+      })
+    }
+
+    // 管理员要求两步验证但用户未启用时重新登录，登录时绑定验证器
+    if (await needsTwoFactorSetup(session.user)) {
+      return res.json({
+        authenticated: false,
+        requireAuth: true,
+        twoFactorSetupRequired: true
+      })
+    }
+
+    res.json({
       authenticated: true,
-      requireAuth: false
+      requireAuth: true,
+      expiresAt: session.expiresAt,
+      user: {
+        ...session.user,
+        permissions: getRolePermissions(session.user.role)
+      }
+    })
+  } catch (error) {
+    console.error('[Auth] Check error:', error)
+    res.status(500).json({
+      authenticated: false,
+      requireAuth: true,
+      message: error.message
     })
   }
+})
 
-  const token = req.cookies?.auth_token
+/**
+ * 以下接口需要登录（未启用登录验证时返回 400）
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(400).json({
+      success: false,
+      error: 'AUTH_DISABLED',
+      message: '登录验证未启用'
+    })
+  }
+  next()
+}
 
-  if (!token) {
-    return res.json({
-      authenticated: false,
-      requireAuth: true
+/**
+ * GET /api/auth/me - 当前用户、权限和会话列表
+ */
+router.get('/api/auth/me', requireAuth, requireUser, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        user: req.user,
+        permissions: getRolePermissions(req.user.role),
+        twoFactorRequired: await isTwoFactorRequired(),
+        sessions: await listUserSessions(req.user.id, req.session.id)
+      }
+    })
+  } catch (error) {
+    console.error('[Auth] Get current user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
     })
   }
+})
 
+/**
+ * POST /api/auth/password - 修改自己的密码
+ *
+ * 请求体: { "currentPassword": "...", "newPassword": "..." }
+ * 修改后其他会话全部失效，当前会话保留
+ */
+router.post('/api/auth/password', requireAuth, requireUser, validateRequest(passwordChangeSchema, 'body'), async (req, res) => {
   try {
-    // 验证 JWT token
-    const decoded = jwt.verify(token, JWT_SECRET)
-    
+    const user = await findUserByUsername(req.user.username)
+    if (!user || !(await verifyPassword(req.body.currentPassword, user.password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_PASSWORD',
+        message: '当前密码错误'
+      })
+    }
+
+    await pool.query(
+      'UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?',
+      [await hashPassword(req.body.newPassword), Date.now(), user.id]
+    )
+    const revoked = await deleteUserSessions(user.id, req.session.id)
+    console.log(`[Auth] User ${user.username} changed password, revoked ${revoked} other sessions`)
+
     res.json({
-      authenticated: true,
-      requireAuth: true,
-      expiresAt: decoded.expiresAt
+      success: true,
+      data: { revokedSessions: revoked }
     })
   } catch (error) {
-    // JWT 验证失败（过期或无效）
-    res.clearCookie('auth_token', { path: '/' })
-    return res.json({
-      authenticated: false,
-      requireAuth: true
+    console.error('[Auth] Change password error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * DELETE /api/auth/sessions/:id - 注销自己的某个会话
+ */
+router.delete('/api/auth/sessions/:id', requireAuth, requireUser, async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.params.id, req.user.id)
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'NOT_FOUND',
+        message: '会话不存在'
+      })
+    }
+    if (req.params.id === req.session.id) {
+      res.clearCookie(SESSION_COOKIE, { path: '/' })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    console.error('[Auth] Delete session error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/logout-all - 注销自己的全部会话（包括当前会话）
+ */
+router.post('/api/auth/logout-all', requireAuth, requireUser, async (req, res) => {
+  try {
+    const revoked = await deleteUserSessions(req.user.id)
+    res.clearCookie(SESSION_COOKIE, { path: '/' })
+    res.json({
+      success: true,
+      data: { revokedSessions: revoked }
     })
+  } catch (error) {
+    console.error('[Auth] Logout all error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 两步验证绑定接口的用户：请求体中有 challengeToken 时使用等待绑定的登录，否则使用当前会话
+ * 设置 req.totpUser（users 表行）和 req.loginChallenge（使用会话时为 null）
+ */
+async function resolveTotpUser(req, res, next) {
+  try {
+    req.loginChallenge = null
+    if (req.body.challengeToken) {
+      const challenge = await getLoginChallenge(req.body.challengeToken, LoginChallengePurpose.SETUP)
+      if (!challenge) return challengeExpired(res)
+      req.loginChallenge = challenge
+      req.totpUser = challenge.user
+      return next()
+    }
+
+    if (!(await isAuthEnabled())) {
+      return requireUser(req, res, next)
+    }
+    const session = await getRequestSession(req)
+    const user = session && await findUserById(session.user.id)
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'UNAUTHORIZED',
+        message: '请先登录'
+      })
+    }
+    req.user = session.user
+    req.session = session
+    req.totpUser = user
+    next()
+  } catch (error) {
+    console.error('[Auth] Resolve two-factor user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+}
+
+function invalidTotp(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'INVALID_TOTP',
+    message: '验证码错误'
+  })
+}
+
+/**
+ * POST /api/auth/2fa/setup - 生成 TOTP 密钥
+ *
+ * 请求体: {} 或 { "challengeToken": "..." }（登录返回 TOTP_SETUP_REQUIRED 时）
+ * 返回 secret（手动输入）和 otpauthUri（生成二维码供验证器应用扫描）；启用前重复调用会生成新密钥
+ */
+router.post('/api/auth/2fa/setup', validateRequest(totpSetupSchema, 'body'), resolveTotpUser, async (req, res) => {
+  try {
+    const setup = await startTotpSetup(req.totpUser)
+    if (!setup) {
+      return res.status(409).json({
+        success: false,
+        error: 'TOTP_ALREADY_ENABLED',
+        message: '已启用两步验证，请先停用'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: setup
+    })
+  } catch (error) {
+    console.error('[Auth] Two-factor setup error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/2fa/enable - 启用两步验证
+ *
+ * 请求体: { "code": "123456" } 或 { "challengeToken": "...", "code": "123456" }
+ * 返回 10 个恢复码（只显示这一次）；使用 challengeToken 时同时创建会话完成登录
+ */
+router.post('/api/auth/2fa/enable', validateRequest(totpEnableSchema, 'body'), resolveTotpUser, async (req, res) => {
+  try {
+    const user = req.totpUser
+    const ip = getClientIp(req) || 'unknown'
+    if (!(await checkLoginRateLimit(res, ip, user.username))) return
+
+    if (!user.totp_secret || user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: user.totp_enabled ? 'TOTP_ALREADY_ENABLED' : 'TOTP_NOT_SET_UP',
+        message: user.totp_enabled ? '已启用两步验证' : '请先调用 /api/auth/2fa/setup 生成密钥'
+      })
+    }
+
+    const recoveryCodes = await enableTotp(user, req.body.code)
+    if (!recoveryCodes) {
+      if (req.loginChallenge) await recordLoginChallengeFailure(req.loginChallenge.id)
+      return invalidTotp(res)
+    }
+
+    console.log(`[Auth] User ${user.username} enabled two-factor authentication`)
+    req.user = req.user || rowToUser(user)
+    await recordAudit(req, { action: 'user.2fa.enable', resourceType: 'user', resourceId: user.id, metadata: { username: user.username } })
+
+    if (req.loginChallenge) {
+      await deleteLoginChallenge(req.loginChallenge.id)
+      return completeLogin(req, res, { ...user, totp_enabled: true }, ip, { data: { recoveryCodes } })
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    })
+  } catch (error) {
+    console.error('[Auth] Enable two-factor error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/2fa/disable - 停用两步验证
+ *
+ * 请求体: { "password": "...", "code": "123456" } 或 { "password": "...", "recoveryCode": "..." }
+ * 管理员要求两步验证时不能停用
+ */
+router.post('/api/auth/2fa/disable', requireAuth, requireUser, validateRequest(totpDisableSchema, 'body'), async (req, res) => {
+  try {
+    if (await isTwoFactorRequired()) {
+      return res.status(400).json({
+        success: false,
+        error: 'TWO_FACTOR_REQUIRED',
+        message: '管理员要求启用两步验证，不能停用'
+      })
+    }
+
+    const user = await findUserById(req.user.id)
+    if (!user || !(await verifyPassword(req.body.password, user.password_hash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_PASSWORD',
+        message: '密码错误'
+      })
+    }
+    if (!(await verifySecondFactor(user, req.body))) return invalidTotp(res)
+
+    await disableTotp(user.id)
+    console.log(`[Auth] User ${user.username} disabled two-factor authentication`)
+    await recordAudit(req, { action: 'user.2fa.disable', resourceType: 'user', resourceId: user.id, metadata: { username: user.username } })
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error('[Auth] Disable two-factor error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/2fa/recovery-codes - 重新生成恢复码
+ *
+ * 请求体: { "code": "123456" }
+ * 旧恢复码全部失效
+ */
+router.post('/api/auth/2fa/recovery-codes', requireAuth, requireUser, validateRequest(totpCodeSchema, 'body'), async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id)
+    if (!user?.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'TOTP_NOT_ENABLED',
+        message: '未启用两步验证'
+      })
+    }
+    if (!(await verifySecondFactor(user, req.body))) return invalidTotp(res)
+
+    const recoveryCodes = await regenerateRecoveryCodes(user.id)
+    await recordAudit(req, { action: 'user.2fa.recovery_codes.regenerate', resourceType: 'user', resourceId: user.id, metadata: { username: user.username } })
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    })
+  } catch (error) {
+    console.error('[Auth] Regenerate recovery codes error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+// OIDC 登录状态 Cookie（与回调中的 state 比较，防止登录 CSRF）
+const OIDC_STATE_COOKIE = 'oidc_state'
+const OIDC_CALLBACK_PATH = '/api/auth/oidc/callback'
+
+/**
+ * OIDC 回调地址（未配置 OIDC_REDIRECT_URI 时按请求的协议和 Host 生成）
+ */
+function getOidcRedirectUri(req) {
+  if (OIDC_CONFIG.redirectUri) return OIDC_CONFIG.redirectUri
+  const protocol = String(req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim()
+  const host = String(req.headers['x-forwarded-host'] || req.get('host')).split(',')[0].trim()
+  return `${protocol}://${host}${OIDC_CALLBACK_PATH}`
+}
+
+/**
+ * 登录后跳转的页面（只允许本站路径）
+ */
+function getSafeRedirectPath(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) return '/'
+  return value.slice(0, 255)
+}
+
+function redirectWithSsoError(res, code) {
+  res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/auth/oidc' })
+  res.redirect(`/?ssoError=${encodeURIComponent(code)}`)
+}
+
+/**
+ * GET /api/auth/oidc/config - OIDC 单点登录配置
+ */
+router.get('/api/auth/oidc/config', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: OIDC_CONFIG.providerName
+    }
+  })
+})
+
+/**
+ * GET /api/auth/oidc/login - 跳转到身份提供方
+ *
+ * 查询参数: redirect - 登录后跳转的页面（本站路径，默认 /）
+ */
+router.get('/api/auth/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: 'OIDC_DISABLED',
+      message: '未配置 OIDC 单点登录'
+    })
+  }
+
+  try {
+    const loginState = await createOidcLoginState({ redirectTo: getSafeRedirectPath(req.query.redirect) })
+    const url = await getOidcClient().buildAuthorizationUrl({
+      redirectUri: getOidcRedirectUri(req),
+      state: loginState.state,
+      nonce: loginState.nonce,
+      codeVerifier: loginState.codeVerifier
+    })
+
+    res.cookie(OIDC_STATE_COOKIE, loginState.state, {
+      httpOnly: true,
+      maxAge: loginState.expiresAt - Date.now(),
+      sameSite: 'lax',
+      path: '/api/auth/oidc'
+    })
+    res.redirect(url)
+  } catch (error) {
+    console.error('[Auth] OIDC login error:', error)
+    redirectWithSsoError(res, 'PROVIDER_UNAVAILABLE')
+  }
+})
+
+/**
+ * GET /api/auth/oidc/callback - 身份提供方回调
+ *
+ * 验证 state、用授权码和 PKCE code_verifier 换取令牌、验证 id_token，
+ * 按 claim 映射角色并创建或更新用户，创建会话后跳转回控制台；失败时跳转到 /?ssoError=<错误码>
+ */
+router.get(OIDC_CALLBACK_PATH, async (req, res) => {
+  if (!isOidcEnabled()) return redirectWithSsoError(res, 'OIDC_DISABLED')
+
+  const { code, state, error } = req.query
+  if (error) {
+    console.warn(`[Auth] OIDC provider returned error: ${error} ${req.query.error_description || ''}`)
+    return redirectWithSsoError(res, 'PROVIDER_ERROR')
+  }
+  if (typeof code !== 'string' || typeof state !== 'string' || state !== req.cookies?.[OIDC_STATE_COOKIE]) {
+    return redirectWithSsoError(res, 'INVALID_STATE')
+  }
+
+  try {
+    const loginState = await consumeOidcLoginState(state)
+    if (!loginState) return redirectWithSsoError(res, 'INVALID_STATE')
+
+    const ip = getClientIp(req) || 'unknown'
+    let identity
+    try {
+      identity = await getOidcClient().authenticate({
+        code,
+        codeVerifier: loginState.codeVerifier,
+        nonce: loginState.nonce,
+        redirectUri: getOidcRedirectUri(req)
+      })
+    } catch (authError) {
+      console.warn(`[Auth] OIDC authentication failed from ${ip}: ${authError.message}`)
+      return redirectWithSsoError(res, 'AUTHENTICATION_FAILED')
+    }
+
+    const result = await loginOidcUser(identity)
+    if (result.error) {
+      console.warn(`[Auth] OIDC login rejected: user=${identity.username}, reason=${result.error}, ip=${ip}`)
+      if (result.error === 'LAST_ADMIN_DEMOTION') {
+        req.user = rowToUser(result.user)
+        await recordAudit(req, {
+          action: 'user.login.reject',
+          resourceType: 'user',
+          resourceId: result.user.id,
+          metadata: { authProvider: 'oidc', reason: result.error, role: result.user.role, requestedRole: result.requestedRole }
+        })
+      }
+      return redirectWithSsoError(res, result.error)
+    }
+
+    const { user } = result
+    req.user = rowToUser(user)
+    if (result.created) {
+      console.log(`[Auth] Provisioned OIDC user ${user.username} (${user.role})`)
+      await recordAudit(req, { action: 'user.create', resourceType: 'user', resourceId: user.id, after: req.user, metadata: { authProvider: 'oidc' } })
+    } else if (result.previousRole) {
+      console.log(`[Auth] OIDC user ${user.username} role changed: ${result.previousRole} -> ${user.role}`)
+      await recordAudit(req, {
+        action: 'user.update',
+        resourceType: 'user',
+        resourceId: user.id,
+        before: { role: result.previousRole },
+        after: { role: user.role },
+        metadata: { authProvider: 'oidc' }
+      })
+    }
+
+    const { token, expiresAt } = await createSession(user.id, { ip, userAgent: req.headers['user-agent'] })
+    setSessionCookie(res, token, expiresAt)
+    res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/auth/oidc' })
+    console.log(`[Auth] User ${user.username} logged in via OIDC from ${ip}`)
+    res.redirect(loginState.redirectTo || '/')
+  } catch (callbackError) {
+    console.error('[Auth] OIDC callback error:', callbackError)
+    redirectWithSsoError(res, 'INTERNAL_ERROR')
   }
 })
 
-export default router
\ No newline at end of file
+export default router
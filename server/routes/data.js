@@ -25,6 +25,9 @@ import {
   syncDeleteSchema,
   importDataSchema
 } from '../validators/schemas.js'
+import { recordAudit } from '../utils/audit-log.js'
+import { Permission, hasPermission } from '../middleware/permissions.js'
+import { UPSTREAM_PROXY_SETTING_KEY, maskProxySetting } from '../utils/upstream-proxy.js'
 
 const router = Router()
 
@@ -132,11 +135,27 @@ async function validateSyncDeleteConsistency(conn, frontendAccountIds) {
   return { valid: true, serverCount, toDeleteCount }
 }
 
+/**
+ * 是否可以获取明文凭证（需要 system:manage，未启用登录验证时 req.user 为 null）
+ */
+function canDecryptCredentials(req) {
+  return !req.user || hasPermission(req.user.role, Permission.SYSTEM_MANAGE)
+}
+
 // 获取完整数据
+// 账号凭证保持加密，decrypt=true 时返回明文（需要 system:manage）
 router.get('/api/data', async (req, res) => {
   try {
     // 解析 includeDeleted 参数，默认为 false（不显示已删除账号）
     const includeDeleted = req.query.includeDeleted === 'true' || req.query.includeDeleted === true
+    const decryptCredentials = req.query.decrypt === 'true'
+    if (decryptCredentials && !canDecryptCredentials(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'INSUFFICIENT_PERMISSION',
+        message: `角色 ${req.user.role} 不能获取明文凭证`
+      })
+    }
 
     // 获取账号（按创建时间降序排列，最新的在前面）
     // 根据 includeDeleted 参数决定是否过滤已删除账号
@@ -149,7 +168,7 @@ router.get('/api/data', async (req, res) => {
     const [accountRows] = await pool.query(accountQuery)
     const accounts = {}
     for (const row of accountRows) {
-      accounts[row.id] = rowToAccount(row)
+      accounts[row.id] = rowToAccount(row, { decryptCredentials })
     }
 
     // 获取所有分组（使用提取的公共函数）
@@ -173,6 +192,10 @@ router.get('/api/data', async (req, res) => {
       const setting = rowToSetting(row)
       settings[setting.key] = setting.value
     }
+    // 上游代理 URL 中的密码只在 decrypt=true 时返回
+    if (!decryptCredentials && settings[UPSTREAM_PROXY_SETTING_KEY]) {
+      settings[UPSTREAM_PROXY_SETTING_KEY] = maskProxySetting(settings[UPSTREAM_PROXY_SETTING_KEY])
+    }
 
     // 获取账号机器码绑定
     const [bindingRows] = await pool.query('SELECT * FROM account_machine_ids')
@@ -190,6 +213,14 @@ router.get('/api/data', async (req, res) => {
       action: row.action
     }))
 
+    if (decryptCredentials) {
+      await recordAudit(req, {
+        action: 'data.read',
+        resourceType: 'data',
+        metadata: { decrypt: true, accounts: accountRows.length }
+      })
+    }
+
     sendSuccessResponse(res, {
       accounts,
       groups,
@@ -273,7 +304,7 @@ router.post('/api/data/sync-delete-preview', validateRequest(syncDeleteSchema, '
 
 // 保存完整数据 (增量更新，可选同步删除)
 router.post('/api/data', validateRequest(syncDeleteSchema, 'body'), async (req, res) => {
-  const requestId = generateRequestId()
+  const requestId = req.requestId || generateRequestId()
   const clientIp = req.ip || req.connection.remoteAddress || 'unknown'
   const userAgent = req.headers['user-agent'] || 'unknown'
   
@@ -514,6 +545,19 @@ router.post('/api/data', validateRequest(syncDeleteSchema, 'body'), async (req,
     await conn.commit()
     console.log(`[Data API] [${requestId}] ✅ Transaction committed successfully`)
     
+    await recordAudit(req, {
+      action: 'data.save',
+      resourceType: 'data',
+      metadata: {
+        syncDelete,
+        accounts: frontendAccountIds.length,
+        groups: frontendGroupIds.length,
+        tags: frontendTagIds.length,
+        settings: SETTINGS_KEYS.filter(key => data[key] !== undefined),
+        syncDeleteStats
+      }
+    })
+    
     const responseData = { saved: true, requestId }
     if (syncDeleteStats) {
       responseData.syncDeleteStats = syncDeleteStats
@@ -586,6 +630,9 @@ router.post('/api/import', validateRequest(importDataSchema, 'body'), async (req
 
   let conn
   let currentOperation = 'init'
+  // 覆盖模式清空的行数和设置项（写入审计日志）
+  const clearedCounts = {}
+  let clearedSettings = []
   
   try {
     conn = await getConnectionWithRetry({ operationName: 'import_data' })
@@ -597,22 +644,29 @@ router.post('/api/import', validateRequest(importDataSchema, 'body'), async (req
       console.warn('[Data] ⚠️ OVERWRITE MODE: All existing data will be deleted')
       
       currentOperation = 'clear_accounts'
-      await conn.query('DELETE FROM accounts')
+      clearedCounts.accounts = (await conn.query('DELETE FROM accounts'))[0].affectedRows
       
       currentOperation = 'clear_groups'
-      await conn.query('DELETE FROM `groups`')
+      clearedCounts.groups = (await conn.query('DELETE FROM `groups`'))[0].affectedRows
       
       currentOperation = 'clear_tags'
-      await conn.query('DELETE FROM tags')
+      clearedCounts.tags = (await conn.query('DELETE FROM tags'))[0].affectedRows
       
+      // 只清空导入会写入的设置项，保留两步验证、上游代理、选号策略和并发限制等服务端设置
       currentOperation = 'clear_settings'
-      await conn.query('DELETE FROM settings')
+      const [settingRows] = await conn.query('SELECT `key` FROM settings WHERE `key` IN (?)', [SETTINGS_KEYS])
+      clearedSettings = settingRows.map(row => row.key)
+      if (clearedSettings.length > 0) {
+        await conn.query('DELETE FROM settings WHERE `key` IN (?)', [clearedSettings])
+      }
+      clearedCounts.settings = clearedSettings.length
+      console.log(`[Data] Cleared settings: ${clearedSettings.join(', ') || '(none)'}`)
       
       currentOperation = 'clear_machine_ids'
-      await conn.query('DELETE FROM account_machine_ids')
+      clearedCounts.accountMachineIds = (await conn.query('DELETE FROM account_machine_ids'))[0].affectedRows
       
       currentOperation = 'clear_machine_history'
-      await conn.query('DELETE FROM machine_id_history')
+      clearedCounts.machineIdHistory = (await conn.query('DELETE FROM machine_id_history'))[0].affectedRows
       
       console.log('[Data] All tables cleared')
     } else {
@@ -681,6 +735,16 @@ router.post('/api/import', validateRequest(importDataSchema, 'body'), async (req
       groups: Object.keys(data.groups || {}).length,
       tags: Object.keys(data.tags || {}).length
     }
+    await recordAudit(req, {
+      action: 'data.import',
+      resourceType: 'data',
+      metadata: {
+        mode,
+        stats: importStats,
+        settings: SETTINGS_KEYS.filter(key => data[key] !== undefined),
+        ...(mode === 'overwrite' ? { cleared: clearedCounts, clearedSettings } : {})
+      }
+    })
     sendSuccessResponse(res, { imported: true, stats: importStats }, `${modeText}成功`)
   } catch (error) {
     if (conn) {
@@ -709,13 +773,19 @@ router.post('/api/import', validateRequest(importDataSchema, 'body'), async (req
 })
 
 // 导出数据
+// 账号凭证保持加密（导入到使用相同密钥的服务器），decrypt=true 时导出明文
 router.get('/api/export', async (req, res) => {
   try {
+    const decryptCredentials = req.query.decrypt === 'true'
+    if (decryptCredentials) {
+      console.warn('[Data API] Exporting decrypted account credentials')
+    }
+
     // 复用 /api/data 的逻辑（按创建时间降序排列，最新的在前面）
     const [accountRows] = await pool.query('SELECT * FROM accounts ORDER BY created_at DESC')
     const accounts = {}
     for (const row of accountRows) {
-      accounts[row.id] = rowToAccount(row)
+      accounts[row.id] = rowToAccount(row, { decryptCredentials })
     }
 
     // 获取所有分组（使用提取的公共函数）
@@ -739,6 +809,10 @@ router.get('/api/export', async (req, res) => {
       const setting = rowToSetting(row)
       settings[setting.key] = setting.value
     }
+    // 上游代理 URL 中的密码只在 decrypt=true 时返回
+    if (!decryptCredentials && settings[UPSTREAM_PROXY_SETTING_KEY]) {
+      settings[UPSTREAM_PROXY_SETTING_KEY] = maskProxySetting(settings[UPSTREAM_PROXY_SETTING_KEY])
+    }
 
     const [bindingRows] = await pool.query('SELECT * FROM account_machine_ids')
     const accountMachineIds = {}
@@ -754,6 +828,14 @@ router.get('/api/export', async (req, res) => {
       action: row.action
     }))
 
+    if (decryptCredentials) {
+      await recordAudit(req, {
+        action: 'data.export',
+        resourceType: 'data',
+        metadata: { decrypt: true, accounts: accountRows.length }
+      })
+    }
+
     sendSuccessResponse(res, {
       accounts,
       groups,
@@ -12,7 +12,9 @@
 
 import { Router } from 'express'
 import { pool, getConnectionWithRetry } from '../config/database.js'
+import { recordAudit } from '../utils/audit-log.js'
 import { clearGroupApiKeyCache } from '../openai-compat/auth-middleware.js'
+import { serializeAllowedModels } from '../openai-compat/api-keys.js'
 import { rowToGroup } from '../models/account.js'
 import {
   validateRequest,
@@ -23,6 +25,14 @@ import {
 
 const router = Router()
 
+/**
+ * 读取分组数据库行（用于审计日志）
+ */
+async function getGroupRow(db, id) {
+  const [rows] = await db.query('SELECT * FROM `groups` WHERE id = ?', [id])
+  return rows[0] || null
+}
+
 /**
  * 获取分组列表
  * 
@@ -185,8 +195,8 @@ router.post('/api/v2/groups', validateRequest(groupSchema, 'body'), async (req,
     
     // 插入分组
     await conn.query(
-      'INSERT INTO `groups` (id, name, color, description, api_key, `order`, created_at, version, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)',
-      [group.id, group.name, group.color || '#808080', group.description || null, group.apiKey || null, group.order || 0, createdAt, serverTime]
+      'INSERT INTO `groups` (id, name, color, description, api_key, `order`, created_at, rate_limit_rpm, rate_limit_tpm, max_concurrent_streams, allowed_models, default_model, version, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)',
+      [group.id, group.name, group.color || '#808080', group.description || null, group.apiKey || null, group.order || 0, createdAt, group.rateLimitRpm || 0, group.rateLimitTpm || 0, group.maxConcurrentStreams || 0, serializeAllowedModels(group.allowedModels), group.defaultModel || null, serverTime]
     )
     
     await conn.commit()
@@ -198,6 +208,13 @@ router.post('/api/v2/groups', validateRequest(groupSchema, 'body'), async (req,
     
     console.log(`[Groups V2] Group created: ${group.name}`)
     
+    await recordAudit(req, {
+      action: 'group.create',
+      resourceType: 'group',
+      resourceId: group.id,
+      after: await getGroupRow(pool, group.id)
+    })
+    
     res.status(201).json({
       success: true,
       data: {
@@ -289,13 +306,18 @@ router.put('/api/v2/groups/:id', validateRequest(idParamSchema, 'params'), valid
     
     // 更新分组
     await conn.query(
-      'UPDATE `groups` SET name = ?, color = ?, description = ?, api_key = ?, `order` = ?, version = ?, updated_at = ? WHERE id = ?',
+      'UPDATE `groups` SET name = ?, color = ?, description = ?, api_key = ?, `order` = ?, rate_limit_rpm = ?, rate_limit_tpm = ?, max_concurrent_streams = ?, allowed_models = ?, default_model = ?, version = ?, updated_at = ? WHERE id = ?',
       [
         updateData.name !== undefined ? updateData.name : currentRow.name,
         updateData.color !== undefined ? updateData.color : currentRow.color,
         updateData.description !== undefined ? updateData.description : currentRow.description,
         updateData.apiKey !== undefined ? updateData.apiKey : currentRow.api_key,
         updateData.order !== undefined ? updateData.order : currentRow.order,
+        updateData.rateLimitRpm !== undefined ? updateData.rateLimitRpm : currentRow.rate_limit_rpm,
+        updateData.rateLimitTpm !== undefined ? updateData.rateLimitTpm : currentRow.rate_limit_tpm,
+        updateData.maxConcurrentStreams !== undefined ? updateData.maxConcurrentStreams : currentRow.max_concurrent_streams,
+        updateData.allowedModels !== undefined ? serializeAllowedModels(updateData.allowedModels) : currentRow.allowed_models,
+        updateData.defaultModel !== undefined ? updateData.defaultModel : currentRow.default_model,
         newVersion,
         serverTime,
         id
@@ -304,13 +326,21 @@ router.put('/api/v2/groups/:id', validateRequest(idParamSchema, 'params'), valid
     
     await conn.commit()
     
-    // 如果 API Key 有变化，清除缓存
+    // 如果 API Key 有变化，清除缓存（缓存中也包含分组限流配置）
     if (updateData.apiKey !== undefined || currentRow.api_key) {
       clearGroupApiKeyCache()
     }
     
     console.log(`[Groups V2] Group updated: ${updateData.name || currentRow.name}, version: ${currentVersion} -> ${newVersion}`)
     
+    await recordAudit(req, {
+      action: 'group.update',
+      resourceType: 'group',
+      resourceId: id,
+      before: currentRow,
+      after: await getGroupRow(pool, id)
+    })
+    
     res.json({
       success: true,
       data: {
@@ -354,7 +384,7 @@ router.delete('/api/v2/groups/:id', validateRequest(idParamSchema, 'params'), as
     
     // 使用 FOR UPDATE 锁定行
     const [rows] = await conn.query(
-      'SELECT version, name, api_key FROM `groups` WHERE id = ? FOR UPDATE',
+      'SELECT * FROM `groups` WHERE id = ? FOR UPDATE',
       [id]
     )
     
@@ -399,6 +429,13 @@ router.delete('/api/v2/groups/:id', validateRequest(idParamSchema, 'params'), as
     
     console.log(`[Groups V2] Group deleted: ${name}`)
     
+    await recordAudit(req, {
+      action: 'group.delete',
+      resourceType: 'group',
+      resourceId: id,
+      before: rows[0]
+    })
+    
     res.json({
       success: true,
       data: {
@@ -474,6 +511,9 @@ router.post('/api/v2/groups/batch', async (req, res) => {
     let succeeded = 0
     let failed = 0
     
+    // 成功操作的修改前后数据（提交后写入审计日志）
+    const auditEntries = []
+    
     for (const operation of operations) {
       const { action, data } = operation
       
@@ -490,6 +530,9 @@ router.post('/api/v2/groups/batch', async (req, res) => {
       }
       
       try {
+        const before = data.id ? await getGroupRow(conn, data.id) : null
+        const resultCount = results.length
+        
         switch (action) {
           case 'create': {
             // 检查必需字段
@@ -523,8 +566,8 @@ router.post('/api/v2/groups/batch', async (req, res) => {
             
             // 插入分组
             await conn.query(
-              'INSERT INTO `groups` (id, name, color, description, api_key, `order`, created_at, version, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)',
-              [data.id, data.name, data.color || '#808080', data.description || null, data.apiKey || null, data.order || 0, createdAt, serverTime]
+              'INSERT INTO `groups` (id, name, color, description, api_key, `order`, created_at, rate_limit_rpm, rate_limit_tpm, max_concurrent_streams, allowed_models, default_model, version, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)',
+              [data.id, data.name, data.color || '#808080', data.description || null, data.apiKey || null, data.order || 0, createdAt, data.rateLimitRpm || 0, data.rateLimitTpm || 0, data.maxConcurrentStreams || 0, serializeAllowedModels(data.allowedModels), data.defaultModel || null, serverTime]
             )
             
             results.push({
@@ -602,13 +645,18 @@ router.post('/api/v2/groups/batch', async (req, res) => {
             
             // 更新分组
             await conn.query(
-              'UPDATE `groups` SET name = ?, color = ?, description = ?, api_key = ?, `order` = ?, version = ?, updated_at = ? WHERE id = ?',
+              'UPDATE `groups` SET name = ?, color = ?, description = ?, api_key = ?, `order` = ?, rate_limit_rpm = ?, rate_limit_tpm = ?, max_concurrent_streams = ?, allowed_models = ?, default_model = ?, version = ?, updated_at = ? WHERE id = ?',
               [
                 data.name !== undefined ? data.name : currentRow.name,
                 data.color !== undefined ? data.color : currentRow.color,
                 data.description !== undefined ? data.description : currentRow.description,
                 data.apiKey !== undefined ? data.apiKey : currentRow.api_key,
                 data.order !== undefined ? data.order : currentRow.order,
+                data.rateLimitRpm !== undefined ? data.rateLimitRpm : currentRow.rate_limit_rpm,
+                data.rateLimitTpm !== undefined ? data.rateLimitTpm : currentRow.rate_limit_tpm,
+                data.maxConcurrentStreams !== undefined ? data.maxConcurrentStreams : currentRow.max_concurrent_streams,
+                data.allowedModels !== undefined ? serializeAllowedModels(data.allowedModels) : currentRow.allowed_models,
+                data.defaultModel !== undefined ? data.defaultModel : currentRow.default_model,
                 newVersion,
                 serverTime,
                 data.id
@@ -700,6 +748,18 @@ router.post('/api/v2/groups/batch', async (req, res) => {
             if (stopOnError) break
         }
         
+        const result = results[results.length - 1]
+        if (results.length > resultCount && result.success) {
+          auditEntries.push({
+            action: `group.${result.action}`,
+            resourceType: 'group',
+            resourceId: result.id,
+            before,
+            after: await getGroupRow(conn, result.id),
+            metadata: { batch: true }
+          })
+        }
+        
       } catch (opError) {
         results.push({
           id: data.id || 'unknown',
@@ -739,6 +799,10 @@ router.post('/api/v2/groups/batch', async (req, res) => {
     
     console.log(`[Groups V2] Batch operation completed: ${succeeded} succeeded, ${failed} failed`)
     
+    for (const entry of auditEntries) {
+      await recordAudit(req, entry)
+    }
+    
     res.json({
       success: true,
       data: {
@@ -3,9 +3,18 @@
  */
 import { Router } from 'express'
 import { pool } from '../db/index.js'
+import { recordAudit } from '../utils/audit-log.js'
 
 const router = Router()
 
+/**
+ * 读取分组数据库行（用于审计日志）
+ */
+async function getGroupRow(id) {
+  const [rows] = await pool.query('SELECT * FROM `groups` WHERE id = ?', [id])
+  return rows[0] || null
+}
+
 // 获取所有分组 (对象格式)
 router.get('/api/groups', async (req, res) => {
   try {
@@ -51,10 +60,18 @@ router.post('/api/groups/:id', async (req, res) => {
   try {
     const { id } = req.params
     const { name, color, order, createdAt } = req.body
+    const before = await getGroupRow(id)
     await pool.query(
       'INSERT INTO `groups` (id, name, color, `order`, created_at) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE name = ?, color = ?, `order` = ?',
       [id, name, color, order || 0, createdAt || Date.now(), name, color, order || 0]
     )
+    await recordAudit(req, {
+      action: before ? 'group.update' : 'group.create',
+      resourceType: 'group',
+      resourceId: id,
+      before,
+      after: await getGroupRow(id)
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Save group error:', error)
@@ -66,8 +83,12 @@ router.post('/api/groups/:id', async (req, res) => {
 router.delete('/api/groups/:id', async (req, res) => {
   try {
     const { id } = req.params
+    const before = await getGroupRow(id)
     await pool.query('DELETE FROM `groups` WHERE id = ?', [id])
     await pool.query('UPDATE accounts SET group_id = NULL WHERE group_id = ?', [id])
+    if (before) {
+      await recordAudit(req, { action: 'group.delete', resourceType: 'group', resourceId: id, before })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Delete group error:', error)
@@ -6,6 +6,10 @@ export { default as accountRoutes } from './accounts.js'
 export { default as accountV2Routes } from './accounts-v2.js'
 export { default as groupRoutes } from './groups.js'
 export { default as groupV2Routes } from './groups-v2.js'
+export { default as apiKeyV2Routes } from './api-keys-v2.js'
+export { default as userV2Routes } from './users-v2.js'
+export { default as quotaV2Routes } from './quotas-v2.js'
+export { default as modelV2Routes } from './models-v2.js'
 export { default as tagRoutes } from './tags.js'
 export { default as tagV2Routes } from './tags-v2.js'
 export { default as settingRoutes } from './settings.js'
@@ -13,4 +17,5 @@ export { default as settingV2Routes } from './settings-v2.js'
 export { default as machineIdRoutes } from './machine-id.js'
 export { default as dataRoutes } from './data.js'
 export { default as syncRoutes } from './sync.js'
-export { default as monitoringRoutes } from './monitoring.js'
\ No newline at end of file
+export { default as monitoringRoutes } from './monitoring.js'
+export { default as auditV2Routes } from './audit-v2.js'
\ No newline at end of file
@@ -3,9 +3,18 @@
  */
 import { Router } from 'express'
 import { pool } from '../db/index.js'
+import { recordAudit } from '../utils/audit-log.js'
 
 const router = Router()
 
+/**
+ * 读取账号绑定的机器码（用于审计日志）
+ */
+async function getBinding(accountId) {
+  const [rows] = await pool.query('SELECT machine_id FROM account_machine_ids WHERE account_id = ?', [accountId])
+  return rows.length > 0 ? { machineId: rows[0].machine_id } : null
+}
+
 // 获取机器码配置
 router.get('/api/machine-id/config', async (req, res) => {
   try {
@@ -30,10 +39,18 @@ router.get('/api/machine-id/config', async (req, res) => {
 router.post('/api/machine-id/config', async (req, res) => {
   try {
     const config = req.body
+    const [rows] = await pool.query("SELECT value FROM settings WHERE `key` = 'machineIdConfig'")
     await pool.query(
       "INSERT INTO settings (`key`, value, value_type) VALUES ('machineIdConfig', ?, 'json') ON DUPLICATE KEY UPDATE value = ?",
       [JSON.stringify(config), JSON.stringify(config)]
     )
+    await recordAudit(req, {
+      action: 'machine_id.config.update',
+      resourceType: 'setting',
+      resourceId: 'machineIdConfig',
+      before: rows.length > 0 ? JSON.parse(rows[0].value) : null,
+      after: config
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Save machine id config error:', error)
@@ -61,10 +78,18 @@ router.post('/api/machine-id/bindings/:accountId', async (req, res) => {
   try {
     const { accountId } = req.params
     const { machineId } = req.body
+    const before = await getBinding(accountId)
     await pool.query(
       'INSERT INTO account_machine_ids (account_id, machine_id) VALUES (?, ?) ON DUPLICATE KEY UPDATE machine_id = ?',
       [accountId, machineId, machineId]
     )
+    await recordAudit(req, {
+      action: 'machine_id.bind',
+      resourceType: 'account',
+      resourceId: accountId,
+      before,
+      after: { machineId }
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Bind machine id error:', error)
@@ -75,7 +100,11 @@ router.post('/api/machine-id/bindings/:accountId', async (req, res) => {
 // 解绑账号机器码
 router.delete('/api/machine-id/bindings/:accountId', async (req, res) => {
   try {
+    const before = await getBinding(req.params.accountId)
     await pool.query('DELETE FROM account_machine_ids WHERE account_id = ?', [req.params.accountId])
+    if (before) {
+      await recordAudit(req, { action: 'machine_id.unbind', resourceType: 'account', resourceId: req.params.accountId, before })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Unbind machine id error:', error)
@@ -109,6 +138,12 @@ router.post('/api/machine-id/history', async (req, res) => {
       'INSERT INTO machine_id_history (id, machine_id, timestamp, action) VALUES (?, ?, ?, ?)',
       [id, machineId, timestamp, action]
     )
+    await recordAudit(req, {
+      action: 'machine_id.history.add',
+      resourceType: 'machine_id',
+      resourceId: id,
+      after: { machineId, timestamp, action }
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Add history error:', error)
@@ -0,0 +1,346 @@
+/**
+ * 模型注册表 v2 路由
+ *
+ * - GET /api/v2/models - 获取模型列表（含别名）
+ * - GET /api/v2/models/:id - 获取单个模型
+ * - POST /api/v2/models - 创建模型
+ * - PUT /api/v2/models/:id - 更新 Kiro 模型 ID、最大输出 token、默认模型、启用状态和别名
+ * - DELETE /api/v2/models/:id - 删除模型及其别名
+ *
+ * 修改后立即刷新本服务器的注册表，其他服务器在下次定时刷新时生效
+ */
+
+import { Router } from 'express'
+import { pool, getConnectionWithRetry } from '../config/database.js'
+import { getModelRegistry, rowToModel } from '../openai-compat/model-registry.js'
+import { recordAudit } from '../utils/audit-log.js'
+import {
+  validateRequest,
+  modelSchema,
+  modelUpdateSchema,
+  idParamSchema
+} from '../validators/schemas.js'
+
+const router = Router()
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'NOT_FOUND',
+    message: '模型不存在'
+  })
+}
+
+/**
+ * 查询模型及其别名
+ */
+async function findModel(conn, id) {
+  const [rows] = await conn.query('SELECT * FROM models WHERE id = ?', [id])
+  if (rows.length === 0) return null
+  const [aliasRows] = await conn.query('SELECT alias FROM model_aliases WHERE model_id = ? ORDER BY alias', [id])
+  return rowToModel(rows[0], aliasRows.map(row => row.alias))
+}
+
+/**
+ * 检查别名是否与其他模型名或别名冲突
+ * @returns {Promise<string|null>} 冲突的别名
+ */
+async function findAliasConflict(conn, modelId, aliases) {
+  if (aliases.length === 0) return null
+  if (aliases.includes(modelId)) return modelId
+
+  const [models] = await conn.query('SELECT id FROM models WHERE id IN (?)', [aliases])
+  if (models.length > 0) return models[0].id
+
+  const [taken] = await conn.query('SELECT alias FROM model_aliases WHERE alias IN (?) AND model_id <> ?', [aliases, modelId])
+  return taken.length > 0 ? taken[0].alias : null
+}
+
+/**
+ * 替换模型的别名
+ */
+async function replaceAliases(conn, modelId, aliases, serverTime) {
+  await conn.query('DELETE FROM model_aliases WHERE model_id = ?', [modelId])
+  if (aliases.length > 0) {
+    await conn.query(
+      'INSERT INTO model_aliases (alias, model_id, created_at) VALUES ?',
+      [aliases.map(alias => [alias, modelId, serverTime])]
+    )
+  }
+}
+
+function aliasConflict(res, alias) {
+  return res.status(409).json({
+    success: false,
+    error: 'ALIAS_CONFLICT',
+    message: `别名 ${alias} 已被其他模型使用`
+  })
+}
+
+/**
+ * 刷新本服务器的注册表
+ */
+async function refreshRegistry() {
+  const registry = getModelRegistry()
+  if (registry) await registry.refresh()
+}
+
+/**
+ * 获取模型列表
+ *
+ * GET /api/v2/models
+ */
+router.get('/api/v2/models', async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM models ORDER BY id')
+    const [aliasRows] = await pool.query('SELECT alias, model_id FROM model_aliases ORDER BY alias')
+
+    res.json({
+      success: true,
+      data: {
+        models: rows.map(row => rowToModel(row, aliasRows.filter(alias => alias.model_id === row.id).map(alias => alias.alias)))
+      }
+    })
+  } catch (error) {
+    console.error('[Models V2] Get models error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 获取单个模型
+ *
+ * GET /api/v2/models/:id
+ */
+router.get('/api/v2/models/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const model = await findModel(pool, req.params.id)
+    if (!model) return notFound(res)
+
+    res.json({
+      success: true,
+      data: model
+    })
+  } catch (error) {
+    console.error('[Models V2] Get model error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 创建模型
+ *
+ * POST /api/v2/models
+ *
+ * 请求体:
+ * {
+ *   "id": "claude-sonnet-4-5",                          // 对外模型名
+ *   "kiroModelId": "CLAUDE_SONNET_4_5_20250929_V1_0",   // 发送给 Kiro 的模型 ID
+ *   "maxOutputTokens": 32000,                           // 可选，0 表示不限制
+ *   "isDefault": false,                                 // 可选，请求未指定 model 时使用
+ *   "enabled": true,                                    // 可选
+ *   "aliases": ["gpt-4o"]                               // 可选
+ * }
+ */
+router.post('/api/v2/models', validateRequest(modelSchema, 'body'), async (req, res) => {
+  const conn = await getConnectionWithRetry({ operationName: 'create_model_v2' })
+
+  try {
+    await conn.beginTransaction()
+
+    const data = req.body
+    const aliases = data.aliases || []
+
+    const [existing] = await conn.query('SELECT id FROM models WHERE id = ? UNION SELECT alias FROM model_aliases WHERE alias = ?', [data.id, data.id])
+    if (existing.length > 0) {
+      await conn.rollback()
+      return res.status(409).json({
+        success: false,
+        error: 'ALREADY_EXISTS',
+        message: '模型名已存在或已被用作别名'
+      })
+    }
+
+    const conflict = await findAliasConflict(conn, data.id, aliases)
+    if (conflict) {
+      await conn.rollback()
+      return aliasConflict(res, conflict)
+    }
+
+    const serverTime = Date.now()
+    if (data.isDefault) {
+      await conn.query('UPDATE models SET is_default = FALSE WHERE is_default = TRUE')
+    }
+    await conn.query(
+      `INSERT INTO models (id, kiro_model_id, display_name, max_output_tokens, is_default, enabled, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        data.id,
+        data.kiroModelId,
+        data.displayName || null,
+        data.maxOutputTokens || 0,
+        data.isDefault || false,
+        data.enabled !== undefined ? data.enabled : true,
+        serverTime,
+        serverTime
+      ]
+    )
+    await replaceAliases(conn, data.id, aliases, serverTime)
+
+    await conn.commit()
+    await refreshRegistry()
+
+    console.log(`[Models V2] Model created: ${data.id} -> ${data.kiroModelId}`)
+
+    const model = await findModel(pool, data.id)
+    await recordAudit(req, { action: 'model.create', resourceType: 'model', resourceId: data.id, after: model })
+
+    res.status(201).json({
+      success: true,
+      data: model
+    })
+  } catch (error) {
+    await conn.rollback()
+    console.error('[Models V2] Create model error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  } finally {
+    conn.release()
+  }
+})
+
+/**
+ * 更新模型（传入 aliases 时替换全部别名）
+ *
+ * PUT /api/v2/models/:id
+ */
+router.put('/api/v2/models/:id', validateRequest(idParamSchema, 'params'), validateRequest(modelUpdateSchema, 'body'), async (req, res) => {
+  const conn = await getConnectionWithRetry({ operationName: 'update_model_v2' })
+
+  try {
+    await conn.beginTransaction()
+
+    const { id } = req.params
+    const data = req.body
+
+    const [rows] = await conn.query('SELECT * FROM models WHERE id = ? FOR UPDATE', [id])
+    if (rows.length === 0) {
+      await conn.rollback()
+      return notFound(res)
+    }
+    const current = rows[0]
+    const before = await findModel(conn, id)
+
+    if (data.aliases) {
+      const conflict = await findAliasConflict(conn, id, data.aliases)
+      if (conflict) {
+        await conn.rollback()
+        return aliasConflict(res, conflict)
+      }
+    }
+
+    const serverTime = Date.now()
+    if (data.isDefault) {
+      await conn.query('UPDATE models SET is_default = FALSE WHERE is_default = TRUE AND id <> ?', [id])
+    }
+    await conn.query(
+      `UPDATE models SET kiro_model_id = ?, display_name = ?, max_output_tokens = ?, is_default = ?, enabled = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        data.kiroModelId !== undefined ? data.kiroModelId : current.kiro_model_id,
+        data.displayName !== undefined ? data.displayName || null : current.display_name,
+        data.maxOutputTokens !== undefined ? data.maxOutputTokens : current.max_output_tokens,
+        data.isDefault !== undefined ? data.isDefault : current.is_default,
+        data.enabled !== undefined ? data.enabled : current.enabled,
+        serverTime,
+        id
+      ]
+    )
+    if (data.aliases) {
+      await replaceAliases(conn, id, data.aliases, serverTime)
+    }
+
+    await conn.commit()
+    await refreshRegistry()
+
+    console.log(`[Models V2] Model updated: ${id}`)
+
+    const model = await findModel(pool, id)
+    await recordAudit(req, { action: 'model.update', resourceType: 'model', resourceId: id, before, after: model })
+
+    res.json({
+      success: true,
+      data: model
+    })
+  } catch (error) {
+    await conn.rollback()
+    console.error('[Models V2] Update model error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  } finally {
+    conn.release()
+  }
+})
+
+/**
+ * 删除模型及其别名
+ *
+ * DELETE /api/v2/models/:id
+ *
+ * 分组和 API Key 的允许模型列表中的引用不会自动删除，删除后这些名称按未知模型处理
+ */
+router.delete('/api/v2/models/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  const conn = await getConnectionWithRetry({ operationName: 'delete_model_v2' })
+
+  try {
+    await conn.beginTransaction()
+
+    const before = await findModel(conn, req.params.id)
+    const [result] = await conn.query('DELETE FROM models WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) {
+      await conn.rollback()
+      return notFound(res)
+    }
+    await conn.query('DELETE FROM model_aliases WHERE model_id = ?', [req.params.id])
+
+    await conn.commit()
+    await refreshRegistry()
+
+    console.log(`[Models V2] Model deleted: ${req.params.id}`)
+    await recordAudit(req, { action: 'model.delete', resourceType: 'model', resourceId: req.params.id, before })
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        deleted: true
+      }
+    })
+  } catch (error) {
+    await conn.rollback()
+    console.error('[Models V2] Delete model error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  } finally {
+    conn.release()
+  }
+})
+
+export default router
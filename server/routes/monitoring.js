@@ -7,6 +7,7 @@
 import express from 'express'
 import { getSystemLogger } from '../openai-compat/system-logger.js'
 import { pool } from '../config/database.js'
+import { getUpstreamProxy } from '../utils/upstream-proxy.js'
 
 const router = express.Router()
 
@@ -452,7 +453,8 @@ router.get('/account-pool', async (req, res) => {
       })
     }
     
-    // 获取活跃池状态
+    // 获取活跃池状态（先刷新所有 worker 的进行中请求数）
+    await accountPool.refreshConcurrency({ force: true })
     const activePoolStatus = accountPool.getActivePoolStatus()
     
     // 获取账号池统计信息
@@ -469,6 +471,12 @@ router.get('/account-pool', async (req, res) => {
       success: true,
       data: {
         activePool: activePoolStatus,
+        // 等待队列（账号池耗尽时排队的请求数）
+        waitQueue: accountPool.waitQueue?.getStats() || null,
+        // 账号并发（进行中请求数见 activePool.inflight）
+        concurrency: accountPool.concurrency.getStats(),
+        // 流式对冲（当前进程；请求日志的 hedge_status 记录每个请求的对冲结果）
+        hedging: accountPool.hedging.getStats(),
         cache: cacheStatus,
         stats: {
           cacheHits: poolStats.cacheHits || 0,
@@ -479,7 +487,9 @@ router.get('/account-pool', async (req, res) => {
           dataRepairs: poolStats.dataRepairs || 0,
           incompleteAccounts: poolStats.incompleteAccounts || 0,
           healthScore: poolStats.healthScore || 100,
-          lastHealthCheck: poolStats.lastHealthCheck || null
+          lastHealthCheck: poolStats.lastHealthCheck || null,
+          // 限流退避次数（正在退避的账号见 activePool.backoffs）
+          accountBackoffs: poolStats.accountBackoffs || 0
         },
         timestamp: Date.now()
       }
@@ -494,6 +504,108 @@ router.get('/account-pool', async (req, res) => {
   }
 })
 
+/**
+ * GET /api/monitoring/account-pool/strategies
+ * 试运行账号选择策略：列出每种策略当前会选择的账号，不影响轮询索引
+ *
+ * Query参数:
+ * - groupId: 分组 ID（可选，不传时为全部账号/活跃池）
+ */
+router.get('/account-pool/strategies', async (req, res) => {
+  try {
+    const accountPool = getAccountPool()
+
+    if (!accountPool) {
+      return res.status(503).json({
+        success: false,
+        error: 'SERVICE_UNAVAILABLE',
+        message: '账号池服务未初始化'
+      })
+    }
+
+    const result = await accountPool.dryRunSelection(req.query.groupId || null)
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        timestamp: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[Monitoring] Failed to dry-run selection strategies:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+function proxyUnavailable(res) {
+  return res.status(503).json({
+    success: false,
+    error: 'SERVICE_UNAVAILABLE',
+    message: '上游代理服务未初始化'
+  })
+}
+
+/**
+ * GET /api/monitoring/proxies
+ * 获取上游代理（含直连）的健康状态、出口 IP 和使用的账号数，以及按出口 IP 汇总的账号数
+ */
+router.get('/proxies', async (req, res) => {
+  try {
+    const upstreamProxy = getUpstreamProxy()
+    if (!upstreamProxy) return proxyUnavailable(res)
+
+    const summary = await upstreamProxy.getSummary()
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        timestamp: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[Monitoring] Failed to get proxy summary:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/monitoring/proxies/check
+ * 立即检查直连和所有已配置的代理，返回检查结果
+ */
+router.post('/proxies/check', async (req, res) => {
+  try {
+    const upstreamProxy = getUpstreamProxy()
+    if (!upstreamProxy) return proxyUnavailable(res)
+
+    const results = await upstreamProxy.checkAll()
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        timestamp: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[Monitoring] Failed to check proxies:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
 /**
  * GET /api/monitoring/token-refresher
  * 获取 Token 刷新器详细状态
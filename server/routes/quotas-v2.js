@@ -0,0 +1,278 @@
+/**
+ * 配额管理 v2 路由
+ *
+ * - GET /api/v2/quotas - 获取配额列表（可按 scopeType / scopeId 过滤）
+ * - GET /api/v2/quotas/usage - 获取当前周期用量与配额对比
+ * - POST /api/v2/quotas - 创建配额
+ * - PUT /api/v2/quotas/:id - 更新上限、告警比例和是否硬性限制
+ * - DELETE /api/v2/quotas/:id - 删除配额
+ */
+
+import { Router } from 'express'
+import { v4 as uuidv4 } from 'uuid'
+import { pool } from '../config/database.js'
+import { QuotaManager, getQuotaManager, rowToQuota } from '../openai-compat/quota-manager.js'
+import { recordAudit } from '../utils/audit-log.js'
+import {
+  validateRequest,
+  quotaSchema,
+  quotaUpdateSchema,
+  idParamSchema
+} from '../validators/schemas.js'
+
+const router = Router()
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'NOT_FOUND',
+    message: '配额不存在'
+  })
+}
+
+// 使用全局实例以便修改后清除其缓存
+function getManager() {
+  return getQuotaManager() || new QuotaManager(pool)
+}
+
+/**
+ * 按查询参数构建过滤条件
+ */
+function buildScopeFilter(query) {
+  const conditions = []
+  const params = []
+
+  if (query.scopeType) {
+    conditions.push('scope_type = ?')
+    params.push(query.scopeType)
+  }
+  if (query.scopeId) {
+    conditions.push('scope_id = ?')
+    params.push(query.scopeId)
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  }
+}
+
+/**
+ * 获取配额列表
+ *
+ * GET /api/v2/quotas
+ *
+ * 查询参数:
+ * - scopeType: api_key 或 group
+ * - scopeId: API Key ID 或分组 ID
+ */
+router.get('/api/v2/quotas', async (req, res) => {
+  try {
+    const { whereClause, params } = buildScopeFilter(req.query)
+    const [rows] = await pool.query(`SELECT * FROM quotas ${whereClause} ORDER BY created_at DESC`, params)
+
+    res.json({
+      success: true,
+      data: {
+        quotas: rows.map(row => rowToQuota(row))
+      }
+    })
+  } catch (error) {
+    console.error('[Quotas V2] Get quotas error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 获取当前周期用量与配额对比
+ *
+ * GET /api/v2/quotas/usage
+ *
+ * 查询参数同配额列表。每项返回配额定义、周期起止（北京时间）、已用量、使用比例和状态
+ */
+router.get('/api/v2/quotas/usage', async (req, res) => {
+  try {
+    const { whereClause, params } = buildScopeFilter(req.query)
+    const [rows] = await pool.query(`SELECT * FROM quotas ${whereClause} ORDER BY scope_type, scope_id, period, metric`, params)
+
+    const results = await getManager().evaluateAll(rows.map(row => rowToQuota(row)))
+
+    res.json({
+      success: true,
+      data: {
+        usage: results.map(({ quota, range, used, limit, percent, exceeded, warning }) => ({
+          quota,
+          periodStart: range.start,
+          periodEnd: range.end,
+          resetsAt: range.resetsAt,
+          used,
+          limit,
+          remaining: Math.max(0, limit - used),
+          percent,
+          status: exceeded ? 'exceeded' : warning ? 'warning' : 'ok'
+        })),
+        serverTime: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[Quotas V2] Get quota usage error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 创建配额
+ *
+ * POST /api/v2/quotas
+ *
+ * 请求体:
+ * {
+ *   "scopeType": "api_key",     // api_key 或 group
+ *   "scopeId": "key-id",
+ *   "period": "day",            // day 或 month（北京时间）
+ *   "metric": "tokens",         // requests、tokens 或 credits
+ *   "limit": 1000000,
+ *   "warnPercent": 80,          // 可选，达到该比例时告警，0 表示不告警
+ *   "hardLimit": true           // 可选，false 时只告警不拒绝请求
+ * }
+ */
+router.post('/api/v2/quotas', validateRequest(quotaSchema, 'body'), async (req, res) => {
+  try {
+    const data = req.body
+
+    const table = data.scopeType === 'group' ? '`groups`' : 'api_keys'
+    const [targets] = await pool.query(`SELECT id FROM ${table} WHERE id = ?`, [data.scopeId])
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'SCOPE_NOT_FOUND',
+        message: data.scopeType === 'group' ? '分组不存在' : 'API Key 不存在'
+      })
+    }
+
+    const id = uuidv4()
+    const serverTime = Date.now()
+
+    await pool.query(
+      `INSERT INTO quotas (id, scope_type, scope_id, period, metric, limit_value, warn_percent, hard_limit, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        data.scopeType,
+        data.scopeId,
+        data.period,
+        data.metric,
+        data.limit,
+        data.warnPercent !== undefined ? data.warnPercent : 80,
+        data.hardLimit !== undefined ? data.hardLimit : true,
+        serverTime,
+        serverTime
+      ]
+    )
+    getManager().clearCache()
+
+    const [rows] = await pool.query('SELECT * FROM quotas WHERE id = ?', [id])
+
+    console.log(`[Quotas V2] Quota created: ${data.scopeType}:${data.scopeId} ${data.period} ${data.metric} <= ${data.limit}`)
+    await recordAudit(req, { action: 'quota.create', resourceType: 'quota', resourceId: id, after: rows[0] })
+
+    res.status(201).json({
+      success: true,
+      data: rowToQuota(rows[0])
+    })
+  } catch (error) {
+    console.error('[Quotas V2] Create quota error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 更新配额
+ *
+ * PUT /api/v2/quotas/:id
+ */
+router.put('/api/v2/quotas/:id', validateRequest(idParamSchema, 'params'), validateRequest(quotaUpdateSchema, 'body'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const data = req.body
+
+    const [rows] = await pool.query('SELECT * FROM quotas WHERE id = ?', [id])
+    if (rows.length === 0) return notFound(res)
+    const current = rows[0]
+
+    await pool.query(
+      'UPDATE quotas SET limit_value = ?, warn_percent = ?, hard_limit = ?, updated_at = ? WHERE id = ?',
+      [
+        data.limit !== undefined ? data.limit : current.limit_value,
+        data.warnPercent !== undefined ? data.warnPercent : current.warn_percent,
+        data.hardLimit !== undefined ? data.hardLimit : current.hard_limit,
+        Date.now(),
+        id
+      ]
+    )
+    getManager().clearCache()
+
+    const [updated] = await pool.query('SELECT * FROM quotas WHERE id = ?', [id])
+
+    console.log(`[Quotas V2] Quota updated: ${id}`)
+    await recordAudit(req, { action: 'quota.update', resourceType: 'quota', resourceId: id, before: current, after: updated[0] })
+
+    res.json({
+      success: true,
+      data: rowToQuota(updated[0])
+    })
+  } catch (error) {
+    console.error('[Quotas V2] Update quota error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 删除配额（已累计的用量保留）
+ *
+ * DELETE /api/v2/quotas/:id
+ */
+router.delete('/api/v2/quotas/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM quotas WHERE id = ?', [req.params.id])
+    const [result] = await pool.query('DELETE FROM quotas WHERE id = ?', [req.params.id])
+    if (result.affectedRows === 0) return notFound(res)
+    getManager().clearCache()
+
+    console.log(`[Quotas V2] Quota deleted: ${req.params.id}`)
+    await recordAudit(req, { action: 'quota.delete', resourceType: 'quota', resourceId: req.params.id, before: rows[0] })
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        deleted: true
+      }
+    })
+  } catch (error) {
+    console.error('[Quotas V2] Delete quota error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+export default router
@@ -11,6 +11,7 @@
 import { Router } from 'express'
 import { pool, getConnectionWithRetry } from '../config/database.js'
 import { rowToSetting } from '../models/account.js'
+import { recordAudit } from '../utils/audit-log.js'
 import {
   validateRequest,
   settingValueSchema,
@@ -19,6 +20,13 @@ import {
 
 const router = Router()
 
+/**
+ * 审计日志中的设置值（以设置名作为字段名，敏感设置按名称脱敏）
+ */
+function toAuditValue(key, value) {
+  return { [key]: value }
+}
+
 /**
  * 获取值的类型
  */
@@ -206,6 +214,13 @@ router.put('/api/v2/settings/:key', validateRequest(settingValueSchema, 'body'),
       
       console.log(`[Settings V2] Setting created: ${key}`)
       
+      await recordAudit(req, {
+        action: 'setting.create',
+        resourceType: 'setting',
+        resourceId: key,
+        after: toAuditValue(key, value)
+      })
+      
       return res.status(201).json({
         success: true,
         data: {
@@ -250,6 +265,14 @@ router.put('/api/v2/settings/:key', validateRequest(settingValueSchema, 'body'),
     
     console.log(`[Settings V2] Setting updated: ${key}, version: ${currentVersion} -> ${newVersion}`)
     
+    await recordAudit(req, {
+      action: 'setting.update',
+      resourceType: 'setting',
+      resourceId: key,
+      before: toAuditValue(key, rowToSetting(currentRow).value),
+      after: toAuditValue(key, value)
+    })
+    
     res.json({
       success: true,
       data: {
@@ -309,6 +332,9 @@ router.put('/api/v2/settings/batch', validateRequest(settingsBatchSchema, 'body'
     let succeeded = 0
     let failed = 0
     
+    // 成功修改的设置（提交后写入审计日志）
+    const auditEntries = []
+    
     for (const setting of settings) {
       const { key, value, version: clientVersion } = setting
       
@@ -361,6 +387,13 @@ router.put('/api/v2/settings/batch', validateRequest(settingsBatchSchema, 'body'
             updatedAt: serverTime
           })
           succeeded++
+          auditEntries.push({
+            action: 'setting.create',
+            resourceType: 'setting',
+            resourceId: key,
+            after: toAuditValue(key, value),
+            metadata: { batch: true }
+          })
           continue
         }
         
@@ -397,6 +430,14 @@ router.put('/api/v2/settings/batch', validateRequest(settingsBatchSchema, 'body'
           updatedAt: serverTime
         })
         succeeded++
+        auditEntries.push({
+          action: 'setting.update',
+          resourceType: 'setting',
+          resourceId: key,
+          before: toAuditValue(key, rowToSetting(currentRow).value),
+          after: toAuditValue(key, value),
+          metadata: { batch: true }
+        })
         
       } catch (opError) {
         results.push({
@@ -432,6 +473,10 @@ router.put('/api/v2/settings/batch', validateRequest(settingsBatchSchema, 'body'
     
     console.log(`[Settings V2] Batch operation completed: ${succeeded} succeeded, ${failed} failed`)
     
+    for (const entry of auditEntries) {
+      await recordAudit(req, entry)
+    }
+    
     res.json({
       success: true,
       data: {
@@ -3,9 +3,32 @@
  */
 import { Router } from 'express'
 import { pool } from '../db/index.js'
+import { rowToSetting } from '../models/account.js'
+import { recordAudit } from '../utils/audit-log.js'
 
 const router = Router()
 
+/**
+ * 读取设置的当前值（用于审计日志，不存在时为 undefined）
+ */
+async function getSettingValue(key) {
+  const [rows] = await pool.query('SELECT * FROM settings WHERE `key` = ?', [key])
+  return rows.length > 0 ? rowToSetting(rows[0]).value : undefined
+}
+
+/**
+ * 记录设置修改（以设置名作为字段名，敏感设置按名称脱敏）
+ */
+function recordSettingAudit(req, key, before, after) {
+  return recordAudit(req, {
+    action: before === undefined ? 'setting.create' : 'setting.update',
+    resourceType: 'setting',
+    resourceId: key,
+    before: before === undefined ? null : { [key]: before },
+    after: { [key]: after }
+  })
+}
+
 // 获取所有设置
 router.get('/api/settings', async (req, res) => {
   try {
@@ -62,10 +85,12 @@ router.post('/api/settings/:key', async (req, res) => {
     const value = req.body.value !== undefined ? req.body.value : req.body
     const valueType = typeof value === 'object' ? 'json' : typeof value
     const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    const before = await getSettingValue(key)
     await pool.query(
       'INSERT INTO settings (`key`, value, value_type) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE value = ?, value_type = ?',
       [key, valueStr, valueType, valueStr, valueType]
     )
+    await recordSettingAudit(req, key, before, value)
     res.json({ success: true })
   } catch (error) {
     console.error('Save setting error:', error)
@@ -80,10 +105,12 @@ router.post('/api/settings', async (req, res) => {
     for (const [key, value] of Object.entries(settings)) {
       const valueType = typeof value === 'object' ? 'json' : typeof value
       const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value)
+      const before = await getSettingValue(key)
       await pool.query(
         'INSERT INTO settings (`key`, value, value_type) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE value = ?, value_type = ?',
         [key, valueStr, valueType, valueStr, valueType]
       )
+      await recordSettingAudit(req, key, before, value)
     }
     res.json({ success: true })
   } catch (error) {
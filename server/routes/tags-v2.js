@@ -12,6 +12,7 @@
 
 import { Router } from 'express'
 import { pool, getConnectionWithRetry } from '../config/database.js'
+import { recordAudit } from '../utils/audit-log.js'
 import { rowToTag } from '../models/account.js'
 import {
   validateRequest,
@@ -22,6 +23,14 @@ import {
 
 const router = Router()
 
+/**
+ * 读取标签数据库行（用于审计日志）
+ */
+async function getTagRow(db, id) {
+  const [rows] = await db.query('SELECT * FROM tags WHERE id = ?', [id])
+  return rows[0] || null
+}
+
 /**
  * 获取标签列表
  * 
@@ -190,6 +199,13 @@ router.post('/api/v2/tags', validateRequest(tagSchema, 'body'), async (req, res)
     
     console.log(`[Tags V2] Tag created: ${tag.name}`)
     
+    await recordAudit(req, {
+      action: 'tag.create',
+      resourceType: 'tag',
+      resourceId: tag.id,
+      after: await getTagRow(pool, tag.id)
+    })
+    
     res.status(201).json({
       success: true,
       data: {
@@ -294,6 +310,14 @@ router.put('/api/v2/tags/:id', validateRequest(idParamSchema, 'params'), validat
     
     console.log(`[Tags V2] Tag updated: ${updateData.name || currentRow.name}, version: ${currentVersion} -> ${newVersion}`)
     
+    await recordAudit(req, {
+      action: 'tag.update',
+      resourceType: 'tag',
+      resourceId: id,
+      before: currentRow,
+      after: await getTagRow(pool, id)
+    })
+    
     res.json({
       success: true,
       data: {
@@ -337,7 +361,7 @@ router.delete('/api/v2/tags/:id', validateRequest(idParamSchema, 'params'), asyn
     
     // 使用 FOR UPDATE 锁定行
     const [rows] = await conn.query(
-      'SELECT version, name FROM tags WHERE id = ? FOR UPDATE',
+      'SELECT * FROM tags WHERE id = ? FOR UPDATE',
       [id]
     )
     
@@ -383,6 +407,13 @@ router.delete('/api/v2/tags/:id', validateRequest(idParamSchema, 'params'), asyn
     
     console.log(`[Tags V2] Tag deleted: ${name}`)
     
+    await recordAudit(req, {
+      action: 'tag.delete',
+      resourceType: 'tag',
+      resourceId: id,
+      before: rows[0]
+    })
+    
     res.json({
       success: true,
       data: {
@@ -458,6 +489,9 @@ router.post('/api/v2/tags/batch', async (req, res) => {
     let succeeded = 0
     let failed = 0
     
+    // 成功操作的修改前后数据（提交后写入审计日志）
+    const auditEntries = []
+    
     for (const operation of operations) {
       const { action, data } = operation
       
@@ -474,6 +508,9 @@ router.post('/api/v2/tags/batch', async (req, res) => {
       }
       
       try {
+        const before = data.id ? await getTagRow(conn, data.id) : null
+        const resultCount = results.length
+        
         switch (action) {
           case 'create': {
             // 检查必需字段
@@ -688,6 +725,18 @@ router.post('/api/v2/tags/batch', async (req, res) => {
             if (stopOnError) break
         }
         
+        const result = results[results.length - 1]
+        if (results.length > resultCount && result.success) {
+          auditEntries.push({
+            action: `tag.${result.action}`,
+            resourceType: 'tag',
+            resourceId: result.id,
+            before,
+            after: await getTagRow(conn, result.id),
+            metadata: { batch: true }
+          })
+        }
+        
       } catch (opError) {
         results.push({
           id: data.id || 'unknown',
@@ -722,6 +771,10 @@ router.post('/api/v2/tags/batch', async (req, res) => {
     
     console.log(`[Tags V2] Batch operation completed: ${succeeded} succeeded, ${failed} failed`)
     
+    for (const entry of auditEntries) {
+      await recordAudit(req, entry)
+    }
+    
     res.json({
       success: true,
       data: {
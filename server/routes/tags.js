@@ -3,9 +3,18 @@
  */
 import { Router } from 'express'
 import { pool } from '../db/index.js'
+import { recordAudit } from '../utils/audit-log.js'
 
 const router = Router()
 
+/**
+ * 读取标签数据库行（用于审计日志）
+ */
+async function getTagRow(id) {
+  const [rows] = await pool.query('SELECT * FROM tags WHERE id = ?', [id])
+  return rows[0] || null
+}
+
 // 获取所有标签 (对象格式)
 router.get('/api/tags', async (req, res) => {
   try {
@@ -49,10 +58,18 @@ router.post('/api/tags/:id', async (req, res) => {
   try {
     const { id } = req.params
     const { name, color, createdAt } = req.body
+    const before = await getTagRow(id)
     await pool.query(
       'INSERT INTO tags (id, name, color, created_at) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE name = ?, color = ?',
       [id, name, color, createdAt || Date.now(), name, color]
     )
+    await recordAudit(req, {
+      action: before ? 'tag.update' : 'tag.create',
+      resourceType: 'tag',
+      resourceId: id,
+      before,
+      after: await getTagRow(id)
+    })
     res.json({ success: true })
   } catch (error) {
     console.error('Save tag error:', error)
@@ -64,6 +81,7 @@ router.post('/api/tags/:id', async (req, res) => {
 router.delete('/api/tags/:id', async (req, res) => {
   try {
     const { id } = req.params
+    const before = await getTagRow(id)
     await pool.query('DELETE FROM tags WHERE id = ?', [id])
     // 从账号中移除该标签
     const [accounts] = await pool.query('SELECT id, tags FROM accounts')
@@ -74,6 +92,9 @@ router.delete('/api/tags/:id', async (req, res) => {
         await pool.query('UPDATE accounts SET tags = ? WHERE id = ?', [JSON.stringify(newTags), acc.id])
       }
     }
+    if (before) {
+      await recordAudit(req, { action: 'tag.delete', resourceType: 'tag', resourceId: id, before })
+    }
     res.json({ success: true })
   } catch (error) {
     console.error('Delete tag error:', error)
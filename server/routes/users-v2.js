@@ -0,0 +1,333 @@
+/**
+ * 用户管理 v2 路由（需要 admin 角色，见 middleware/permissions.js）
+ *
+ * - GET /api/v2/users - 获取用户列表
+ * - GET /api/v2/users/:id - 获取单个用户和有效会话
+ * - POST /api/v2/users - 创建用户
+ * - PUT /api/v2/users/:id - 修改角色、重置密码、禁用或启用
+ * - POST /api/v2/users/:id/revoke-sessions - 注销用户的全部会话
+ * - POST /api/v2/users/:id/reset-2fa - 重置两步验证（用户丢失验证器和恢复码时）
+ * - DELETE /api/v2/users/:id - 删除用户
+ *
+ * 重置密码、禁用和删除用户会同时删除该用户的全部会话；不能降级、禁用或删除最后一个管理员
+ */
+
+import { Router } from 'express'
+import { pool } from '../config/database.js'
+import { Role } from '../middleware/permissions.js'
+import { rowToUser, hasUsers, createUser, wouldRemoveLastAdmin, listUserSessions, deleteUserSessions, disableTotp } from '../models/user.js'
+import { hashPassword } from '../utils/password-hash.js'
+import { recordAudit } from '../utils/audit-log.js'
+import {
+  validateRequest,
+  userSchema,
+  userUpdateSchema,
+  idParamSchema
+} from '../validators/schemas.js'
+
+const router = Router()
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'NOT_FOUND',
+    message: '用户不存在'
+  })
+}
+
+function lastAdmin(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'LAST_ADMIN',
+    message: '至少需要保留一个启用的管理员'
+  })
+}
+
+/**
+ * 获取用户列表
+ *
+ * GET /api/v2/users
+ */
+router.get('/api/v2/users', async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM users ORDER BY created_at ASC')
+
+    res.json({
+      success: true,
+      data: {
+        users: rows.map(row => rowToUser(row)),
+        serverTime: Date.now()
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Get users error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 获取单个用户和有效会话
+ *
+ * GET /api/v2/users/:id
+ */
+router.get('/api/v2/users/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [req.params.id])
+    if (rows.length === 0) return notFound(res)
+
+    res.json({
+      success: true,
+      data: {
+        ...rowToUser(rows[0]),
+        sessions: await listUserSessions(req.params.id, req.session?.id)
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Get user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 创建用户
+ *
+ * POST /api/v2/users
+ *
+ * 请求体:
+ * {
+ *   "username": "alice",
+ *   "password": "at-least-8-chars",
+ *   "role": "operator"     // admin / operator / viewer
+ * }
+ *
+ * 创建第一个用户后启用登录验证
+ */
+router.post('/api/v2/users', validateRequest(userSchema, 'body'), async (req, res) => {
+  try {
+    // 第一个用户必须是管理员，否则启用登录验证后无法再管理用户
+    if (req.body.role !== Role.ADMIN && !(await hasUsers())) {
+      return res.status(400).json({
+        success: false,
+        error: 'FIRST_USER_MUST_BE_ADMIN',
+        message: '第一个用户必须是管理员'
+      })
+    }
+
+    const user = await createUser(req.body)
+
+    console.log(`[Users V2] User created: ${user.username} (${user.role})${req.user ? ` by ${req.user.username}` : ''}`)
+    await recordAudit(req, { action: 'user.create', resourceType: 'user', resourceId: user.id, after: user })
+
+    res.status(201).json({
+      success: true,
+      data: user
+    })
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: 'USERNAME_EXISTS',
+        message: '用户名已存在'
+      })
+    }
+    console.error('[Users V2] Create user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 更新用户
+ *
+ * PUT /api/v2/users/:id
+ *
+ * 请求体（至少一个字段）:
+ * {
+ *   "role": "viewer",
+ *   "password": "new-password",
+ *   "disabled": true
+ * }
+ */
+router.put('/api/v2/users/:id', validateRequest(idParamSchema, 'params'), validateRequest(userUpdateSchema, 'body'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const data = req.body
+
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id])
+    if (rows.length === 0) return notFound(res)
+    const current = rows[0]
+
+    const role = data.role !== undefined ? data.role : current.role
+    const disabled = data.disabled !== undefined ? data.disabled : Boolean(current.disabled)
+    if (await wouldRemoveLastAdmin(current, { role, disabled })) return lastAdmin(res)
+
+    await pool.query(
+      'UPDATE users SET role = ?, disabled = ?, password_hash = ?, updated_at = ? WHERE id = ?',
+      [
+        role,
+        disabled,
+        data.password !== undefined ? await hashPassword(data.password) : current.password_hash,
+        Date.now(),
+        id
+      ]
+    )
+
+    // 重置密码或禁用后已登录的会话立即失效
+    let revokedSessions = 0
+    if (data.password !== undefined || disabled) {
+      revokedSessions = await deleteUserSessions(id)
+    }
+
+    const [updated] = await pool.query('SELECT * FROM users WHERE id = ?', [id])
+
+    console.log(`[Users V2] User updated: ${current.username}${req.user ? ` by ${req.user.username}` : ''}`)
+    await recordAudit(req, {
+      action: 'user.update',
+      resourceType: 'user',
+      resourceId: id,
+      before: current,
+      after: updated[0],
+      metadata: { revokedSessions }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        ...rowToUser(updated[0]),
+        revokedSessions
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Update user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 注销用户的全部会话
+ *
+ * POST /api/v2/users/:id/revoke-sessions
+ */
+router.post('/api/v2/users/:id/revoke-sessions', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT id, username FROM users WHERE id = ?', [req.params.id])
+    if (rows.length === 0) return notFound(res)
+
+    const revokedSessions = await deleteUserSessions(req.params.id)
+
+    console.log(`[Users V2] Revoked ${revokedSessions} sessions of ${rows[0].username}`)
+    await recordAudit(req, {
+      action: 'user.sessions.revoke',
+      resourceType: 'user',
+      resourceId: req.params.id,
+      metadata: { username: rows[0].username, revokedSessions }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        revokedSessions
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Revoke sessions error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 重置两步验证
+ *
+ * POST /api/v2/users/:id/reset-2fa
+ *
+ * 清除用户的 TOTP 密钥和恢复码，用户下次登录时只需要密码（管理员要求两步验证时登录后重新绑定）
+ */
+router.post('/api/v2/users/:id/reset-2fa', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT id, username, totp_enabled FROM users WHERE id = ?', [req.params.id])
+    if (rows.length === 0) return notFound(res)
+
+    const reset = await disableTotp(req.params.id)
+
+    if (reset) {
+      console.log(`[Users V2] Two-factor authentication of ${rows[0].username} reset${req.user ? ` by ${req.user.username}` : ''}`)
+      await recordAudit(req, {
+        action: 'user.2fa.reset',
+        resourceType: 'user',
+        resourceId: req.params.id,
+        metadata: { username: rows[0].username, wasEnabled: Boolean(rows[0].totp_enabled) }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        reset
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Reset two-factor error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * 删除用户
+ *
+ * DELETE /api/v2/users/:id
+ */
+router.delete('/api/v2/users/:id', validateRequest(idParamSchema, 'params'), async (req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [req.params.id])
+    if (rows.length === 0) return notFound(res)
+    if (await wouldRemoveLastAdmin(rows[0])) return lastAdmin(res)
+
+    await deleteUserSessions(req.params.id)
+    await pool.query('DELETE FROM users WHERE id = ?', [req.params.id])
+
+    console.log(`[Users V2] User deleted: ${rows[0].username}${req.user ? ` by ${req.user.username}` : ''}`)
+    await recordAudit(req, { action: 'user.delete', resourceType: 'user', resourceId: req.params.id, before: rows[0] })
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        deleted: true
+      }
+    })
+  } catch (error) {
+    console.error('[Users V2] Delete user error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: error.message
+    })
+  }
+})
+
+export default router
@@ -19,6 +19,9 @@ import { randomUUID } from 'crypto'
 
 // 引用共享的 Kiro API 工具函数
 import { getUsageLimits, parseUsageResponse } from './utils/kiro-api.js'
+import { fetchWithTimeout } from './utils/fetch-utils.js'
+import { getAccountProxy } from './utils/upstream-proxy.js'
+import { encryptCredential, decryptCredentialRow } from './utils/credential-crypto.js'
 
 // 引用重试工具
 import { withRetry, isRetryableError as isDbRetryableError, RETRY_CONFIG } from './utils/error-handler.js'
@@ -507,7 +510,7 @@ class TokenRefresher {
       if (retryInfo.nextRetryTime <= now) {
         // 查询账号信息
         const [rows] = await conn.query(
-          `SELECT id, email, idp, cred_access_token, cred_refresh_token,
+          `SELECT id, email, idp, group_id, cred_access_token, cred_refresh_token,
                   cred_client_id, cred_client_secret, cred_region,
                   cred_expires_at, cred_auth_method, cred_provider
            FROM accounts WHERE id = ? AND (is_del = FALSE OR is_del IS NULL)`,
@@ -537,8 +540,9 @@ class TokenRefresher {
   /**
    * 刷新 IdC (BuilderId) 的 OIDC Token
    * 完全照抄 Electron 主进程的 refreshOidcToken 函数
+   * proxy 为账号的上游代理（parseProxyUrl 的结果），null 为直连
    */
-  async refreshOidcToken(refreshToken, clientId, clientSecret, region, machineId, accountId = null, accountEmail = null) {
+  async refreshOidcToken(refreshToken, clientId, clientSecret, region, machineId, accountId = null, accountEmail = null, proxy = null) {
     console.log(`[TokenRefresher] [OIDC] Refreshing token with clientId: ${clientId.substring(0, 20)}...`)
 
     const url = `https://oidc.${region || 'us-east-1'}.amazonaws.com/token`
@@ -563,10 +567,11 @@ class TokenRefresher {
       }
 
       const requestStartTime = Date.now()
-      const response = await fetch(url, {
+      const response = await fetchWithTimeout(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        proxy
       })
 
       const requestDuration = Date.now() - requestStartTime
@@ -609,8 +614,9 @@ class TokenRefresher {
   /**
    * 刷新社交登录 (GitHub/Google) 的 Token
    * 完全照抄 Electron 主进程的 refreshSocialToken 函数
+   * proxy 为账号的上游代理（parseProxyUrl 的结果），null 为直连
    */
-  async refreshSocialToken(refreshToken, provider, machineId, accountId = null, accountEmail = null) {
+  async refreshSocialToken(refreshToken, provider, machineId, accountId = null, accountEmail = null, proxy = null) {
     console.log(`[TokenRefresher] [Social] Refreshing ${provider} token...`)
 
     const url = `${KIRO_AUTH_ENDPOINT}/refreshToken`
@@ -625,10 +631,11 @@ class TokenRefresher {
       }
 
       const requestStartTime = Date.now()
-      const response = await fetch(url, {
+      const response = await fetchWithTimeout(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ refreshToken })
+        body: JSON.stringify({ refreshToken }),
+        proxy
       })
 
       const requestDuration = Date.now() - requestStartTime
@@ -770,13 +777,14 @@ class TokenRefresher {
       id,
       email,
       idp: accountIdp,
+      group_id: groupId,
       cred_refresh_token,
       cred_client_id,
       cred_client_secret,
       cred_region,
       cred_auth_method,
       cred_provider
-    } = account
+    } = decryptCredentialRow(account)
 
     // 检查是否在最小刷新间隔内（防止多实例重复刷新）
     const [lastRefreshRows] = await conn.query(
@@ -866,12 +874,13 @@ class TokenRefresher {
     }
     stepTimings.getMachineId = Date.now() - machineIdStartTime
 
-    // 2. 根据认证方式刷新 token（与 Electron 的 refreshTokenByMethod 逻辑一致）
+    // 2. 根据认证方式刷新 token（与 Electron 的 refreshTokenByMethod 逻辑一致），通过账号的上游代理发送
     const tokenRefreshStartTime = Date.now()
+    const proxy = await getAccountProxy({ id, groupId })
     let result
     if (cred_auth_method === 'social') {
       // 社交登录：使用 Kiro Auth Service 刷新
-      result = await this.refreshSocialToken(cred_refresh_token, cred_provider, machineId, id, email)
+      result = await this.refreshSocialToken(cred_refresh_token, cred_provider, machineId, id, email, proxy)
     } else if (cred_auth_method === 'oidc' || cred_auth_method === 'IdC') {
       // IdC/BuilderId：使用 AWS OIDC 刷新
       result = await this.refreshOidcToken(
@@ -881,7 +890,8 @@ class TokenRefresher {
         cred_region,
         machineId,
         id,
-        email
+        email,
+        proxy
       )
     } else {
       const durationMs = Date.now() - startTime
@@ -974,7 +984,7 @@ class TokenRefresher {
       const [updateResult] = await this.executeWithRetry(
         conn,
         'UPDATE accounts SET cred_access_token = ?, cred_refresh_token = ?, cred_expires_at = ?, status = ?, last_checked_at = ? WHERE id = ?',
-        [result.accessToken, result.refreshToken || cred_refresh_token, newExpiresAt, 'active', now, id],
+        [encryptCredential(result.accessToken), encryptCredential(result.refreshToken || cred_refresh_token), newExpiresAt, 'active', now, id],
         `update_token_${email}`
       )
       stepTimings.dbUpdate = Date.now() - dbUpdateStartTime
@@ -1059,7 +1069,7 @@ class TokenRefresher {
           await this.sleep(delayMs)
 
           try {
-            const usageResult = await getUsageLimits(result.accessToken, machineId)
+            const usageResult = await getUsageLimits(result.accessToken, machineId, { proxy })
             const parsed = parseUsageResponse(usageResult)
             const now = Date.now()
 
@@ -1297,7 +1307,7 @@ class TokenRefresher {
           // 因为 cred_refresh_token 有效期很长（至少2个月），不需要下限检查
           const [activeRows] = await this.executeWithRetry(
             conn,
-            `SELECT id, email, idp, cred_access_token, cred_refresh_token,
+            `SELECT id, email, idp, group_id, cred_access_token, cred_refresh_token,
                     cred_client_id, cred_client_secret, cred_region,
                     cred_expires_at, cred_auth_method, cred_provider
              FROM accounts
@@ -1327,7 +1337,7 @@ class TokenRefresher {
         // 排除已删除的账号（is_del = TRUE）
         const [allRows] = await this.executeWithRetry(
           conn,
-          `SELECT id, email, idp, cred_access_token, cred_refresh_token,
+          `SELECT id, email, idp, group_id, cred_access_token, cred_refresh_token,
                   cred_client_id, cred_client_secret, cred_region,
                   cred_expires_at, cred_auth_method, cred_provider
            FROM accounts
@@ -0,0 +1,149 @@
+/**
+ * 账号凭证加密测试
+ */
+
+import { randomBytes } from 'crypto'
+import {
+  CredentialCipher,
+  parseCredentialKeys,
+  isEncryptedCredential,
+  getCredentialKeyId
+} from '../credential-crypto.js'
+import { migrateCredentials, CredentialMigrationMode } from '../../db/migrations/encrypt-credentials.js'
+
+const key1 = { id: 'k1', key: randomBytes(32) }
+const key2 = { id: 'k2', key: randomBytes(32) }
+
+// 只支持 migrateCredentials 使用的两条语句的内存 accounts 表
+function createPool(rows) {
+  const table = rows.map(row => ({ ...row }))
+  return {
+    table,
+    query: async (sql, params) => {
+      if (sql.startsWith('SELECT')) {
+        const [lastId, limit] = params
+        return [table.filter(row => row.id > lastId).slice(0, limit).map(row => ({ ...row }))]
+      }
+      const columns = [...sql.matchAll(/(cred_\w+) = \?/g)].map(match => match[1])
+      const values = params.slice(0, columns.length)
+      const [id, accessToken, refreshToken, clientSecret] = params.slice(columns.length)
+      const row = table.find(item => item.id === id &&
+        item.cred_access_token === accessToken &&
+        item.cred_refresh_token === refreshToken &&
+        item.cred_client_secret === clientSecret)
+      if (row) columns.forEach((column, i) => { row[column] = values[i] })
+      return [{ affectedRows: row ? 1 : 0 }]
+    }
+  }
+}
+
+describe('parseCredentialKeys', () => {
+  test('parses base64 and hex keys in order', () => {
+    const keys = parseCredentialKeys(`# rotated 2026-10\nk2:${key2.key.toString('base64')}, k1:${key1.key.toString('hex')}`)
+    expect(keys.map(item => item.id)).toEqual(['k2', 'k1'])
+    expect(keys[1].key.equals(key1.key)).toBe(true)
+  })
+
+  test('rejects short keys and duplicate ids', () => {
+    expect(() => parseCredentialKeys(`k1:${randomBytes(16).toString('base64')}`)).toThrow('must be 32 bytes')
+    expect(() => parseCredentialKeys(`k1:${key1.key.toString('hex')},k1:${key2.key.toString('hex')}`)).toThrow('Duplicate')
+    expect(() => parseCredentialKeys(key1.key.toString('hex'))).toThrow('expected "<key id>:<key>"')
+  })
+})
+
+describe('CredentialCipher', () => {
+  test('encrypts with the active key and decrypts', () => {
+    const cipher = new CredentialCipher([key1])
+    const encrypted = cipher.encrypt('aoa-refresh-token')
+
+    expect(isEncryptedCredential(encrypted)).toBe(true)
+    expect(getCredentialKeyId(encrypted)).toBe('k1')
+    expect(encrypted).not.toContain('aoa-refresh-token')
+    // 每次使用新的数据密钥和 IV
+    expect(cipher.encrypt('aoa-refresh-token')).not.toBe(encrypted)
+    expect(cipher.decrypt(encrypted)).toBe('aoa-refresh-token')
+  })
+
+  test('passes through empty, plaintext and known ciphertext values', () => {
+    const cipher = new CredentialCipher([key1])
+    const encrypted = cipher.encrypt('token')
+
+    expect(cipher.encrypt(null)).toBeNull()
+    expect(cipher.encrypt('')).toBe('')
+    expect(cipher.encrypt(encrypted)).toBe(encrypted)
+    expect(cipher.decrypt('legacy-plain-token')).toBe('legacy-plain-token')
+    expect(new CredentialCipher([]).encrypt('token')).toBe('token')
+  })
+
+  test('rejects unknown keys and tampered values', () => {
+    const encrypted = new CredentialCipher([key1]).encrypt('token')
+    const other = new CredentialCipher([key2])
+
+    expect(() => other.decrypt(encrypted)).toThrow('unknown key: k1')
+    expect(() => other.encrypt(encrypted)).toThrow('unknown key: k1')
+
+    const data = Buffer.from(encrypted.split(':')[3], 'base64')
+    data[data.length - 1] ^= 1
+    const tampered = `enc:v1:k1:${data.toString('base64')}`
+    expect(() => new CredentialCipher([key1]).decrypt(tampered)).toThrow('Failed to decrypt credential with key k1')
+  })
+
+  test('decrypts values encrypted with a retired key after rotation', () => {
+    const old = new CredentialCipher([key1]).encrypt('token')
+    const rotated = new CredentialCipher([key2, key1])
+
+    expect(rotated.decrypt(old)).toBe('token')
+    expect(rotated.needsRekey(old)).toBe(true)
+    expect(rotated.needsRekey(rotated.encrypt('token'))).toBe(false)
+    expect(rotated.needsRekey('plain')).toBe(true)
+    expect(rotated.needsRekey(null)).toBe(false)
+  })
+})
+
+describe('migrateCredentials', () => {
+  test('encrypts plaintext rows and leaves encrypted ones', async () => {
+    const cipher = new CredentialCipher([key1])
+    const alreadyEncrypted = cipher.encrypt('b-access')
+    const pool = createPool([
+      { id: 'a', cred_access_token: 'a-access', cred_refresh_token: 'a-refresh', cred_client_secret: null },
+      { id: 'b', cred_access_token: alreadyEncrypted, cred_refresh_token: null, cred_client_secret: null }
+    ])
+
+    const result = await migrateCredentials(pool, { cipher, batchSize: 1 })
+
+    expect(result).toEqual({ scanned: 2, updated: 1, skipped: 0, failed: 0 })
+    expect(cipher.decrypt(pool.table[0].cred_access_token)).toBe('a-access')
+    expect(cipher.decrypt(pool.table[0].cred_refresh_token)).toBe('a-refresh')
+    expect(pool.table[0].cred_client_secret).toBeNull()
+    expect(pool.table[1].cred_access_token).toBe(alreadyEncrypted)
+  })
+
+  test('re-keys rows to the active key and reports undecryptable rows', async () => {
+    const old = new CredentialCipher([key1])
+    const rotated = new CredentialCipher([key2, key1])
+    const pool = createPool([
+      { id: 'a', cred_access_token: old.encrypt('a-access'), cred_refresh_token: 'a-refresh', cred_client_secret: old.encrypt('secret') },
+      { id: 'b', cred_access_token: new CredentialCipher([{ id: 'k9', key: randomBytes(32) }]).encrypt('x'), cred_refresh_token: null, cred_client_secret: null }
+    ])
+
+    const result = await migrateCredentials(pool, { mode: CredentialMigrationMode.REKEY, cipher: rotated })
+
+    expect(result).toMatchObject({ updated: 1, failed: 1 })
+    const row = pool.table[0]
+    expect([row.cred_access_token, row.cred_refresh_token, row.cred_client_secret].map(getCredentialKeyId)).toEqual(['k2', 'k2', 'k2'])
+    expect(new CredentialCipher([key2]).decrypt(row.cred_client_secret)).toBe('secret')
+  })
+
+  test('dry run and decrypt mode', async () => {
+    const cipher = new CredentialCipher([key1])
+    const encrypted = cipher.encrypt('a-access')
+    const pool = createPool([{ id: 'a', cred_access_token: encrypted, cred_refresh_token: null, cred_client_secret: null }])
+
+    expect(await migrateCredentials(pool, { mode: CredentialMigrationMode.DECRYPT, cipher, dryRun: true }))
+      .toMatchObject({ updated: 1 })
+    expect(pool.table[0].cred_access_token).toBe(encrypted)
+
+    await migrateCredentials(pool, { mode: CredentialMigrationMode.DECRYPT, cipher })
+    expect(pool.table[0].cred_access_token).toBe('a-access')
+  })
+})
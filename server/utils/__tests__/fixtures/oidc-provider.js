@@ -0,0 +1,136 @@
+/**
+ * 本地 OIDC 身份提供方（测试用）
+ *
+ * 在随机端口启动，实现发现文档、授权（自动同意，使用 setUser 设置的 claims）、令牌（校验 PKCE S256）、JWKS 和 userinfo，
+ * 用于在 CI 中测试完整的授权码登录流程，不需要连接真实的身份提供方
+ */
+
+import express from 'express'
+import jwt from 'jsonwebtoken'
+import { createHash, generateKeyPairSync, randomBytes } from 'crypto'
+
+/**
+ * 启动测试身份提供方
+ * @param {Object} [options]
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret] - 为空时作为公共客户端（只校验 PKCE）
+ * @returns {Promise<Object>} { issuer, clientId, clientSecret, requests, setUser, setUserInfo, setIdTokenClaims, rotateKey, close }
+ */
+export async function startTestOidcProvider({ clientId = 'kiro-console', clientSecret = 'test-secret' } = {}) {
+  const app = express()
+  app.use(express.urlencoded({ extended: false }))
+
+  let signing = createSigningKey()
+  let user = { sub: 'user-1', preferred_username: 'alice', email: 'alice@example.com', groups: [] }
+  let userInfoExtra = {}
+  let idTokenOverrides = {}
+  const codes = new Map()
+  const accessTokens = new Map()
+  const requests = []
+  let issuer = ''
+
+  app.use((req, res, next) => {
+    requests.push(`${req.method} ${req.path}`)
+    next()
+  })
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    })
+  })
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...signing.publicKey.export({ format: 'jwk' }), kid: signing.kid, use: 'sig', alg: 'RS256' }] })
+  })
+
+  // 自动同意，直接带授权码跳转回客户端
+  app.get('/authorize', (req, res) => {
+    const { client_id: id, redirect_uri: redirectUri, state, nonce, code_challenge: challenge, code_challenge_method: method } = req.query
+    if (id !== clientId || method !== 'S256' || !challenge) {
+      return res.status(400).json({ error: 'invalid_request' })
+    }
+    const code = randomBytes(16).toString('hex')
+    codes.set(code, { redirectUri, nonce, challenge, user: { ...user } })
+    const url = new URL(redirectUri)
+    url.searchParams.set('code', code)
+    url.searchParams.set('state', state)
+    res.redirect(url.toString())
+  })
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: verifier } = req.body
+    if (clientSecret) {
+      const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      if (req.headers.authorization !== expected) return res.status(401).json({ error: 'invalid_client' })
+    }
+
+    const grant = codes.get(code)
+    codes.delete(code)
+    if (grantType !== 'authorization_code' || !grant || grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' })
+    }
+    const challenge = createHash('sha256').update(String(verifier || '')).digest('base64url')
+    if (challenge !== grant.challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' })
+    }
+
+    const accessToken = randomBytes(16).toString('hex')
+    accessTokens.set(accessToken, grant.user)
+    const now = Math.floor(Date.now() / 1000)
+    const idToken = jwt.sign(
+      { ...grant.user, iss: issuer, aud: clientId, nonce: grant.nonce, iat: now, exp: now + 300, ...idTokenOverrides },
+      signing.privateKey,
+      { algorithm: 'RS256', keyid: signing.kid }
+    )
+    res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 })
+  })
+
+  app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get(String(req.headers.authorization || '').replace(/^Bearer /, ''))
+    if (!claims) return res.status(401).json({ error: 'invalid_token' })
+    res.json({ ...claims, ...userInfoExtra })
+  })
+
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance))
+  })
+  issuer = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    requests,
+    // 下一次授权使用的用户 claims（id_token 中的 claims）
+    setUser(claims) {
+      user = { ...claims }
+    },
+    // 只在 userinfo 中返回的 claims
+    setUserInfo(claims) {
+      userInfoExtra = { ...claims }
+    },
+    // 覆盖 id_token 中的 claims（用于测试验证失败）
+    setIdTokenClaims(claims) {
+      idTokenOverrides = { ...claims }
+    },
+    rotateKey() {
+      signing = createSigningKey()
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
+
+function createSigningKey() {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 })
+  return { publicKey, privateKey, kid: randomBytes(8).toString('hex') }
+}
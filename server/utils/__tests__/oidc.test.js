@@ -0,0 +1,208 @@
+/**
+ * OIDC 登录测试（使用 fixtures/oidc-provider.js 的本地身份提供方）
+ */
+
+import { jest } from '@jest/globals'
+import {
+  OidcClient,
+  loadOidcConfig,
+  isOidcEnabled,
+  computeCodeChallenge,
+  generateRandomToken,
+  mapClaimsToRole,
+  getClaimUsername,
+  getExternalId
+} from '../oidc.js'
+import { startTestOidcProvider } from './fixtures/oidc-provider.js'
+import { pool } from '../../db/index.js'
+import { loginOidcUser } from '../../models/user.js'
+
+const REDIRECT_URI = 'http://console.test/api/auth/oidc/callback'
+
+describe('loadOidcConfig', () => {
+  test('is disabled without issuer and client id', () => {
+    expect(isOidcEnabled(loadOidcConfig({}))).toBe(false)
+    expect(isOidcEnabled(loadOidcConfig({ OIDC_ISSUER: 'https://idp.example.com/', OIDC_CLIENT_ID: 'kiro' }))).toBe(true)
+    expect(loadOidcConfig({ OIDC_ISSUER: 'https://idp.example.com/' }).issuer).toBe('https://idp.example.com')
+  })
+})
+
+describe('mapClaimsToRole', () => {
+  const config = loadOidcConfig({
+    OIDC_ADMIN_GROUPS: 'kiro-admins',
+    OIDC_OPERATOR_GROUPS: 'kiro-ops, support',
+    OIDC_VIEWER_GROUPS: 'staff'
+  })
+
+  test('the most privileged matching group wins', () => {
+    expect(mapClaimsToRole({ groups: ['staff', 'kiro-ops'] }, config)).toBe('operator')
+    expect(mapClaimsToRole({ groups: ['staff', 'kiro-admins'] }, config)).toBe('admin')
+    expect(mapClaimsToRole({ groups: 'staff support' }, config)).toBe('operator')
+  })
+
+  test('no match falls back to the default role or denies', () => {
+    expect(mapClaimsToRole({ groups: ['finance'] }, config)).toBeNull()
+    expect(mapClaimsToRole({}, { ...config, defaultRole: 'viewer' })).toBe('viewer')
+  })
+
+  test('supports nested claims such as realm_access.roles', () => {
+    const keycloak = loadOidcConfig({ OIDC_ROLE_CLAIM: 'realm_access.roles', OIDC_ADMIN_GROUPS: 'admin' })
+    expect(mapClaimsToRole({ realm_access: { roles: ['admin'] } }, keycloak)).toBe('admin')
+  })
+})
+
+describe('getClaimUsername', () => {
+  test('uses the configured claim and strips unsupported characters', () => {
+    const config = loadOidcConfig({ OIDC_USERNAME_CLAIM: 'email' })
+    expect(getClaimUsername({ email: 'Bob Smith@example.com', sub: 's1' }, config)).toBe('BobSmith@example.com')
+    expect(getClaimUsername({ sub: 'abc|123' }, config)).toBe('abc123')
+  })
+})
+
+describe('OidcClient with a local provider', () => {
+  let provider
+  let client
+  let config
+
+  beforeAll(async () => {
+    provider = await startTestOidcProvider()
+    config = loadOidcConfig({
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: provider.clientId,
+      OIDC_CLIENT_SECRET: provider.clientSecret,
+      OIDC_ADMIN_GROUPS: 'kiro-admins',
+      OIDC_OPERATOR_GROUPS: 'kiro-ops'
+    })
+  })
+
+  afterAll(() => provider.close())
+
+  beforeEach(() => {
+    client = new OidcClient(config)
+    provider.setUser({ sub: 'user-1', preferred_username: 'alice', groups: ['kiro-ops'] })
+    provider.setUserInfo({})
+    provider.setIdTokenClaims({})
+  })
+
+  // 走一遍授权请求，返回回调中的授权码
+  async function authorize(options = {}) {
+    const state = generateRandomToken()
+    const nonce = options.nonce || generateRandomToken()
+    const codeVerifier = generateRandomToken(48)
+    const url = await client.buildAuthorizationUrl({ redirectUri: REDIRECT_URI, state, nonce, codeVerifier })
+    const response = await fetch(url, { redirect: 'manual' })
+    const callback = new URL(response.headers.get('location'))
+    expect(callback.searchParams.get('state')).toBe(state)
+    return { code: callback.searchParams.get('code'), nonce, codeVerifier }
+  }
+
+  test('authorization request uses PKCE S256, state and nonce', async () => {
+    const url = new URL(await client.buildAuthorizationUrl({
+      redirectUri: REDIRECT_URI,
+      state: 's',
+      nonce: 'n',
+      codeVerifier: 'verifier'
+    }))
+    expect(url.origin).toBe(provider.issuer)
+    expect(url.searchParams.get('code_challenge')).toBe(computeCodeChallenge('verifier'))
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256')
+    expect(url.searchParams.get('scope')).toBe('openid profile email')
+  })
+
+  test('completes the code flow and maps groups to a role', async () => {
+    const { code, nonce, codeVerifier } = await authorize()
+    const identity = await client.authenticate({ code, codeVerifier, nonce, redirectUri: REDIRECT_URI })
+
+    expect(identity.username).toBe('alice')
+    expect(identity.role).toBe('operator')
+    expect(identity.externalId).toBe(getExternalId(provider.issuer, 'user-1'))
+    expect(identity.claims.iss).toBe(provider.issuer)
+  })
+
+  test('rejects a wrong PKCE verifier', async () => {
+    const { code, nonce } = await authorize()
+    await expect(client.authenticate({ code, codeVerifier: generateRandomToken(48), nonce, redirectUri: REDIRECT_URI }))
+      .rejects.toThrow('PKCE verification failed')
+  })
+
+  test('rejects a nonce mismatch and a foreign audience', async () => {
+    let grant = await authorize()
+    await expect(client.authenticate({ ...grant, nonce: 'other', redirectUri: REDIRECT_URI })).rejects.toThrow('nonce mismatch')
+
+    provider.setIdTokenClaims({ aud: 'another-client' })
+    grant = await authorize()
+    await expect(client.authenticate({ ...grant, redirectUri: REDIRECT_URI })).rejects.toThrow('audience invalid')
+  })
+
+  test('reads groups from userinfo when the id_token has none', async () => {
+    provider.setUser({ sub: 'user-2', preferred_username: 'bob' })
+    provider.setUserInfo({ groups: ['kiro-admins'] })
+    const grant = await authorize()
+
+    const identity = await client.authenticate({ ...grant, redirectUri: REDIRECT_URI })
+    expect(identity.role).toBe('admin')
+    expect(provider.requests).toContain('GET /userinfo')
+  })
+
+  test('refetches the JWKS after the provider rotates its signing key', async () => {
+    await client.authenticate({ ...(await authorize()), redirectUri: REDIRECT_URI })
+
+    provider.rotateKey()
+    // 跳过 JWKS 的最短刷新间隔
+    client.jwks.loadedAt = Date.now() - 2 * 60 * 1000
+    const identity = await client.authenticate({ ...(await authorize()), redirectUri: REDIRECT_URI })
+    expect(identity.username).toBe('alice')
+  })
+
+  test('rejects a client secret the provider does not accept', async () => {
+    const wrongSecret = new OidcClient({ ...config, clientSecret: 'wrong' })
+    const state = generateRandomToken()
+    const nonce = generateRandomToken()
+    const codeVerifier = generateRandomToken(48)
+    const url = await wrongSecret.buildAuthorizationUrl({ redirectUri: REDIRECT_URI, state, nonce, codeVerifier })
+    const location = new URL((await fetch(url, { redirect: 'manual' })).headers.get('location'))
+
+    await expect(wrongSecret.authenticate({ code: location.searchParams.get('code'), codeVerifier, nonce, redirectUri: REDIRECT_URI }))
+      .rejects.toThrow('failed with 401: invalid_client')
+  })
+
+  test('rejects a discovery document for another issuer', async () => {
+    const mismatched = new OidcClient({ ...config, issuer: 'https://idp.example.com' }, {
+      fetch: (url, options) => fetch(url.replace('https://idp.example.com', provider.issuer), options)
+    })
+    await expect(mismatched.discover()).rejects.toThrow('issuer mismatch')
+  })
+})
+
+describe('loginOidcUser role sync', () => {
+  const config = { syncRole: true, autoProvision: true }
+  const admin = { id: 'u1', username: 'alice', role: 'admin', disabled: 0, external_id: 'idp|alice' }
+
+  // users 表只有 admin 一行，otherAdmins 为其他启用的管理员数量
+  function mockUsers(otherAdmins) {
+    pool.query = jest.fn(async (sql) => {
+      if (sql.startsWith('SELECT * FROM users WHERE external_id')) return [[{ ...admin }]]
+      if (sql.startsWith('SELECT COUNT(*) AS count FROM users')) return [[{ count: otherAdmins }]]
+      if (sql.startsWith('UPDATE users SET role')) return [{ affectedRows: 1 }]
+      throw new Error(`Unexpected query: ${sql}`)
+    })
+  }
+
+  // 连接池的空闲连接清理定时器会让 Jest 无法退出
+  afterAll(() => pool.end())
+
+  test('refuses to log in when the provider demotes the last active admin', async () => {
+    mockUsers(0)
+    const result = await loginOidcUser({ externalId: 'idp|alice', username: 'alice', role: 'viewer' }, config)
+
+    expect(result).toEqual({ error: 'LAST_ADMIN_DEMOTION', user: admin, requestedRole: 'viewer' })
+    expect(pool.query).not.toHaveBeenCalledWith(expect.stringMatching(/^UPDATE users/), expect.anything())
+  })
+
+  test('demotes an admin while another active admin remains', async () => {
+    mockUsers(1)
+    const result = await loginOidcUser({ externalId: 'idp|alice', username: 'alice', role: 'viewer' }, config)
+
+    expect(result).toEqual({ user: { ...admin, role: 'viewer' }, previousRole: 'admin' })
+  })
+})
@@ -0,0 +1,34 @@
+/**
+ * 密码哈希测试
+ */
+
+import { hashPassword, verifyPassword } from '../password-hash.js'
+
+// 降低参数加快测试
+const params = { N: 1024, r: 8, p: 1 }
+
+describe('password hashing', () => {
+  test('verifies the original password only', async () => {
+    const hash = await hashPassword('correct horse', params)
+
+    expect(hash).toMatch(/^scrypt\$1024\$8\$1\$[^$]+\$[^$]+$/)
+    expect(await verifyPassword('correct horse', hash)).toBe(true)
+    expect(await verifyPassword('correct horse ', hash)).toBe(false)
+  })
+
+  test('uses a random salt', async () => {
+    expect(await hashPassword('same', params)).not.toBe(await hashPassword('same', params))
+  })
+
+  test('verifies hashes created with other parameters', async () => {
+    const hash = await hashPassword('secret', { N: 2048, r: 8, p: 1 })
+    expect(await verifyPassword('secret', hash)).toBe(true)
+  })
+
+  test('rejects malformed hashes', async () => {
+    expect(await verifyPassword('secret', null)).toBe(false)
+    expect(await verifyPassword('secret', 'plain-text')).toBe(false)
+    expect(await verifyPassword('secret', 'scrypt$x$8$1$c2FsdA==$aGFzaA==')).toBe(false)
+    expect(await verifyPassword('secret', 'scrypt$1023$8$1$c2FsdA==$aGFzaA==')).toBe(false)
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * TOTP 两步验证测试
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateTotpSecret,
+  generateRecoveryCodes,
+  findRecoveryCode
+} from '../totp.js'
+
+// RFC 4226 / RFC 6238 附录中的测试密钥 "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+describe('base32', () => {
+  test('round trips and ignores case, spaces and padding', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890')
+    expect(base32Decode('MZXW6===').toString()).toBe('foo')
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32')
+  })
+
+  test('generated secrets are 160 bits', () => {
+    expect(base32Decode(generateTotpSecret())).toHaveLength(20)
+  })
+})
+
+describe('generateHotp / generateTotp', () => {
+  test('matches the RFC 4226 HOTP test values', () => {
+    expect([0, 1, 2, 3, 9].map(counter => generateHotp(RFC_SECRET, counter)))
+      .toEqual(['755224', '287082', '359152', '969429', '520489'])
+  })
+
+  test('matches the RFC 6238 SHA1 test values', () => {
+    const cases = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ]
+    for (const [seconds, expected] of cases) {
+      expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected)
+    }
+  })
+})
+
+describe('verifyTotp', () => {
+  const time = 1111111111 * 1000
+
+  test('accepts the current code and one step of clock drift', () => {
+    const counter = Math.floor(time / 30000)
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time }), { time })).toBe(counter)
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: time - 30000 }), { time })).toBe(counter - 1)
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: time + 30000 }), { time })).toBe(counter + 1)
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: time - 90000 }), { time })).toBeNull()
+  })
+
+  test('rejects replayed codes and malformed input', () => {
+    const code = generateTotp(RFC_SECRET, { time })
+    const counter = verifyTotp(RFC_SECRET, code, { time })
+    expect(verifyTotp(RFC_SECRET, code, { time, lastCounter: counter })).toBeNull()
+    expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { time })).toBe(counter)
+    expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull()
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull()
+    expect(verifyTotp(null, code, { time })).toBeNull()
+  })
+})
+
+describe('buildOtpauthUri', () => {
+  test('includes the issuer in the label and parameters', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, account: 'alice@example.com', issuer: 'Kiro Cloud Auth' })
+    const url = new URL(uri)
+    expect(url.protocol).toBe('otpauth:')
+    expect(url.host).toBe('totp')
+    expect(decodeURIComponent(url.pathname)).toBe('/Kiro Cloud Auth:alice@example.com')
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET)
+    expect(url.searchParams.get('issuer')).toBe('Kiro Cloud Auth')
+    expect(url.searchParams.get('digits')).toBe('6')
+    expect(url.searchParams.get('period')).toBe('30')
+  })
+})
+
+describe('recovery codes', () => {
+  test('only hashes are stored and matching ignores case and separators', () => {
+    const { codes, hashes } = generateRecoveryCodes(3)
+    expect(codes).toHaveLength(3)
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/)
+    expect(hashes.join()).not.toContain(codes[0].replace('-', ''))
+
+    expect(findRecoveryCode(hashes, codes[1].toUpperCase().replace('-', ' '))).toBe(1)
+    expect(findRecoveryCode(hashes, '00000-00000')).toBe(-1)
+    expect(findRecoveryCode(hashes, '')).toBe(-1)
+    expect(findRecoveryCode(null, codes[0])).toBe(-1)
+  })
+})
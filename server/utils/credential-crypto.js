@@ -0,0 +1,214 @@
+/**
+ * 账号凭证加密（信封加密）
+ *
+ * accounts 表的 cred_access_token、cred_refresh_token、cred_client_secret 加密后保存：
+ * 每个值使用随机生成的数据密钥（AES-256-GCM）加密，数据密钥再用主密钥（AES-256-GCM）加密后一起保存，
+ * 格式为 enc:v1:<主密钥 ID>:<base64(数据密钥 IV | 数据密钥 Tag | 加密的数据密钥 | IV | Tag | 密文)>
+ *
+ * 主密钥来自环境变量 CREDENTIAL_ENCRYPTION_KEYS 或 CREDENTIAL_ENCRYPTION_KEY_FILE 指向的文件，
+ * 格式为 "密钥 ID:密钥"（多个用逗号或换行分隔，密钥为 32 字节的 base64 或 hex）。
+ * 第一个密钥用于加密，其余密钥只用于解密；轮换时把新密钥放在最前面，运行
+ * node server/db/migrations/encrypt-credentials.js --rekey 重新加密后再删除旧密钥。
+ *
+ * 未配置密钥时不加密（兼容旧部署），已加密的值无法解密时抛出错误
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto'
+import { readFileSync } from 'fs'
+
+// 需要加密的 accounts 表字段
+export const CREDENTIAL_COLUMNS = ['cred_access_token', 'cred_refresh_token', 'cred_client_secret']
+
+// 加密值前缀
+const PREFIX = 'enc:v1:'
+const ALGORITHM = 'aes-256-gcm'
+const KEY_LENGTH = 32
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/
+
+/**
+ * 解析密钥配置
+ * @param {string} value - "密钥 ID:密钥"，多个用逗号或换行分隔，# 开头的行为注释
+ * @returns {Array<{id: string, key: Buffer}>} 按配置顺序，第一个为加密使用的密钥
+ * @throws {Error} 格式错误、密钥长度不是 32 字节或密钥 ID 重复
+ */
+export function parseCredentialKeys(value) {
+  const keys = []
+  const entries = String(value || '')
+    .split(/[,\n]/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':')
+    const id = entry.slice(0, separator).trim()
+    const encoded = entry.slice(separator + 1).trim()
+    if (separator <= 0 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error('Invalid credential encryption key entry, expected "<key id>:<key>"')
+    }
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64')
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Credential encryption key ${id} must be ${KEY_LENGTH} bytes (base64 or hex)`)
+    }
+    if (keys.some(item => item.id === id)) {
+      throw new Error(`Duplicate credential encryption key id: ${id}`)
+    }
+    keys.push({ id, key })
+  }
+  return keys
+}
+
+/**
+ * 从环境变量和密钥文件加载密钥（环境变量中的密钥在前）
+ */
+export function loadCredentialKeys(env = process.env) {
+  let value = env.CREDENTIAL_ENCRYPTION_KEYS || ''
+  if (env.CREDENTIAL_ENCRYPTION_KEY_FILE) {
+    value += `\n${readFileSync(env.CREDENTIAL_ENCRYPTION_KEY_FILE, 'utf8')}`
+  }
+  return parseCredentialKeys(value)
+}
+
+/**
+ * 是否为加密值
+ */
+export function isEncryptedCredential(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX)
+}
+
+/**
+ * 获取加密值使用的主密钥 ID
+ * @returns {string|null}
+ */
+export function getCredentialKeyId(value) {
+  if (!isEncryptedCredential(value)) return null
+  return value.slice(PREFIX.length).split(':')[0]
+}
+
+function seal(key, plaintext, aad) {
+  const iv = randomBytes(IV_LENGTH)
+  const cipher = createCipheriv(ALGORITHM, key, iv)
+  cipher.setAAD(aad)
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+}
+
+function open(key, sealed, aad) {
+  const decipher = createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_LENGTH))
+  decipher.setAAD(aad)
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH))
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()])
+}
+
+export class CredentialCipher {
+  /**
+   * @param {Array<{id: string, key: Buffer}>} keys - 第一个为加密使用的密钥，为空时不加密
+   */
+  constructor(keys = []) {
+    this.keys = new Map(keys.map(item => [item.id, item.key]))
+    this.activeKeyId = keys[0]?.id || null
+  }
+
+  /**
+   * 是否已配置密钥
+   */
+  get enabled() {
+    return this.activeKeyId !== null
+  }
+
+  /**
+   * 加密凭证
+   * 空值原样返回；已加密的值在密钥已知时原样返回（如导入加密的导出数据）；未配置密钥时返回明文
+   * @param {string|null|undefined} value
+   * @returns {string|null|undefined}
+   * @throws {Error} 已加密的值使用了未知的密钥
+   */
+  encrypt(value) {
+    if (value === null || value === undefined || value === '') return value
+    if (isEncryptedCredential(value)) {
+      const keyId = getCredentialKeyId(value)
+      if (!this.keys.has(keyId)) {
+        throw new Error(`Credential is encrypted with unknown key: ${keyId}`)
+      }
+      return value
+    }
+    if (!this.enabled) return value
+
+    const keyId = this.activeKeyId
+    const aad = Buffer.from(`${PREFIX}${keyId}`)
+    const dataKey = randomBytes(KEY_LENGTH)
+    const wrappedKey = seal(this.keys.get(keyId), dataKey, aad)
+    const sealed = seal(dataKey, Buffer.from(String(value), 'utf8'), aad)
+    return `${PREFIX}${keyId}:${Buffer.concat([wrappedKey, sealed]).toString('base64')}`
+  }
+
+  /**
+   * 解密凭证，未加密的值原样返回
+   * @param {string|null|undefined} value
+   * @returns {string|null|undefined}
+   * @throws {Error} 密钥未知或密文被篡改
+   */
+  decrypt(value) {
+    if (!isEncryptedCredential(value)) return value
+
+    const keyId = getCredentialKeyId(value)
+    const masterKey = this.keys.get(keyId)
+    if (!masterKey) {
+      throw new Error(`Credential is encrypted with unknown key: ${keyId}`)
+    }
+
+    const aad = Buffer.from(`${PREFIX}${keyId}`)
+    const data = Buffer.from(value.slice(PREFIX.length + keyId.length + 1), 'base64')
+    const wrappedLength = IV_LENGTH + TAG_LENGTH + KEY_LENGTH
+    try {
+      const dataKey = open(masterKey, data.subarray(0, wrappedLength), aad)
+      return open(dataKey, data.subarray(wrappedLength), aad).toString('utf8')
+    } catch (error) {
+      throw new Error(`Failed to decrypt credential with key ${keyId}: ${error.message}`)
+    }
+  }
+
+  /**
+   * 是否需要用当前密钥重新加密（明文或使用了旧密钥）
+   */
+  needsRekey(value) {
+    if (value === null || value === undefined || value === '' || !this.enabled) return false
+    return getCredentialKeyId(value) !== this.activeKeyId
+  }
+}
+
+// 全局实例（首次使用时从环境变量加载密钥）
+let defaultCipher = null
+
+export function getCredentialCipher() {
+  if (!defaultCipher) {
+    defaultCipher = new CredentialCipher(loadCredentialKeys())
+    if (!defaultCipher.enabled) {
+      console.warn('[Credentials] CREDENTIAL_ENCRYPTION_KEYS is not set, account credentials are stored unencrypted')
+    }
+  }
+  return defaultCipher
+}
+
+export function encryptCredential(value) {
+  return getCredentialCipher().encrypt(value)
+}
+
+export function decryptCredential(value) {
+  return getCredentialCipher().decrypt(value)
+}
+
+/**
+ * 解密数据库行中的凭证字段（返回新对象）
+ */
+export function decryptCredentialRow(row) {
+  if (!row) return row
+  const result = { ...row }
+  for (const column of CREDENTIAL_COLUMNS) {
+    if (column in result) result[column] = decryptCredential(result[column])
+  }
+  return result
+}
+
+export default CredentialCipher
@@ -2,25 +2,32 @@
  * Fetch 相关工具函数
  */
 
+import { proxyFetch } from './proxy-agent.js'
+
 // 默认请求超时时间（毫秒）- 用于 AbortController
 export const DEFAULT_REQUEST_TIMEOUT = 600000 // 10分钟
 
 /**
  * 创建带超时的 fetch 请求
  * @param {string} url - 请求 URL
- * @param {object} options - fetch 选项
+ * @param {object} options - fetch 选项，options.signal 中止时同时中止请求（包括读取响应体），
+ *   options.proxy（parseProxyUrl 的结果）不为空时通过代理发送
  * @param {number} timeoutMs - 超时时间（毫秒）
  * @returns {Promise<Response>}
  */
 export async function fetchWithTimeout(url, options, timeoutMs = DEFAULT_REQUEST_TIMEOUT) {
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+  const { signal, proxy, ...fetchOptions } = options || {}
+  const onAbort = () => controller.abort(signal.reason)
+  if (signal?.aborted) onAbort()
+  signal?.addEventListener('abort', onAbort, { once: true })
 
   try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal
-    })
+    const requestOptions = { ...fetchOptions, signal: controller.signal }
+    const response = proxy
+      ? await proxyFetch(url, requestOptions, proxy)
+      : await fetch(url, requestOptions)
     return response
   } finally {
     clearTimeout(timeoutId)
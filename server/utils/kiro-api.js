@@ -4,6 +4,8 @@
  */
 
 import { generateHeaders, getEndpointUrl } from './header-generator.js'
+import { fetchWithTimeout } from './fetch-utils.js'
+import { getAccountProxy } from './upstream-proxy.js'
 
 /**
  * 将时间戳转换为毫秒级
@@ -25,10 +27,12 @@ export function toMilliseconds(ts) {
  * 支持V1和V2两种header格式和端点
  *
  * @param {string} accessToken - 访问令牌
- * @param {object} account - 账号对象（包含 headerVersion, machineId 等信息）
+ * @param {object} account - 账号对象（包含 headerVersion, machineId 等信息，id、groupId 用于确定上游代理）
+ * @param {object} [options]
+ * @param {object|null} [options.proxy] - 上游代理（parseProxyUrl 的结果），未指定时按账号确定
  * @returns {Promise<object>} - API 响应
  */
-export async function getUsageLimits(accessToken, account) {
+export async function getUsageLimits(accessToken, account, options = {}) {
   // 如果传入的是字符串（旧的machineId参数），兼容处理
   let accountObj = account
   if (typeof account === 'string') {
@@ -50,9 +54,11 @@ export async function getUsageLimits(accessToken, account) {
   // 使用统一的 header 生成器
   const headers = generateHeaders(accountObj, accessToken)
 
-  const response = await fetch(url, {
+  const proxy = options.proxy !== undefined ? options.proxy : await getAccountProxy(accountObj)
+  const response = await fetchWithTimeout(url, {
     method: 'GET',
-    headers
+    headers,
+    proxy
   })
 
   const status = response.status
@@ -0,0 +1,334 @@
+/**
+ * OpenID Connect 登录（授权码 + PKCE）
+ *
+ * 适用于任何符合标准的身份提供方（Keycloak、Okta、Azure AD、Authing 等）：
+ * - 通过 {issuer}/.well-known/openid-configuration 发现端点
+ * - 授权请求使用 PKCE（S256）、state 和 nonce，令牌请求支持机密客户端（client_secret_basic）和公共客户端
+ * - id_token 使用 JWKS 中的公钥验证签名（RS* / PS* / ES*）、iss、aud、exp 和 nonce
+ * - 按 OIDC_ROLE_CLAIM 中的组或角色映射为控制台角色（见 middleware/permissions.js），优先级 admin > operator > viewer
+ */
+
+import { createHash, createPublicKey, randomBytes } from 'crypto'
+import jwt from 'jsonwebtoken'
+
+// 支持的 id_token 签名算法（不支持 HS256，避免把 client secret 当作验证密钥）
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+
+// 发现文档和 JWKS 的缓存时间
+const METADATA_CACHE_MS = 60 * 60 * 1000
+
+// id_token 中出现未知 kid 时重新获取 JWKS 的最短间隔
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000
+
+const REQUEST_TIMEOUT_MS = 10 * 1000
+
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * 从环境变量读取 OIDC 配置
+ * @param {Object} [env]
+ */
+export function loadOidcConfig(env = process.env) {
+  return {
+    issuer: (env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: env.OIDC_CLIENT_ID || '',
+    clientSecret: env.OIDC_CLIENT_SECRET || '',
+    // 未配置时按请求的 Host 生成 {协议}://{Host}/api/auth/oidc/callback
+    redirectUri: env.OIDC_REDIRECT_URI || '',
+    scopes: env.OIDC_SCOPES || 'openid profile email',
+    providerName: env.OIDC_PROVIDER_NAME || 'SSO',
+    usernameClaim: env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    // 组或角色所在的 claim，支持 "realm_access.roles" 形式的路径
+    roleClaim: env.OIDC_ROLE_CLAIM || 'groups',
+    roleMapping: {
+      admin: parseList(env.OIDC_ADMIN_GROUPS),
+      operator: parseList(env.OIDC_OPERATOR_GROUPS),
+      viewer: parseList(env.OIDC_VIEWER_GROUPS)
+    },
+    // 没有匹配的组时使用的角色，为空时拒绝登录
+    defaultRole: env.OIDC_DEFAULT_ROLE || '',
+    autoProvision: env.OIDC_AUTO_PROVISION !== 'false',
+    // 每次登录按 claim 更新角色
+    syncRole: env.OIDC_SYNC_ROLE !== 'false'
+  }
+}
+
+export const OIDC_CONFIG = loadOidcConfig()
+
+/**
+ * 是否配置了 OIDC 登录
+ */
+export function isOidcEnabled(config = OIDC_CONFIG) {
+  return Boolean(config.issuer && config.clientId)
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64url')
+}
+
+/**
+ * 生成随机值（state、nonce、PKCE code_verifier）
+ */
+export function generateRandomToken(size = 32) {
+  return base64url(randomBytes(size))
+}
+
+/**
+ * 计算 PKCE code_challenge（S256）
+ */
+export function computeCodeChallenge(codeVerifier) {
+  return base64url(createHash('sha256').update(codeVerifier).digest())
+}
+
+/**
+ * 按路径读取 claim（如 realm_access.roles）
+ */
+export function getClaim(claims, path) {
+  if (!claims || !path) return undefined
+  if (path in claims) return claims[path]
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims)
+}
+
+/**
+ * 把 claim 值转换为组列表（数组，或空格 / 逗号分隔的字符串）
+ */
+function toValues(value) {
+  if (Array.isArray(value)) return value.map(String)
+  if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean)
+  return []
+}
+
+/**
+ * 按组或角色 claim 确定控制台角色
+ * @param {Object} claims - id_token 和 userinfo 合并后的 claims
+ * @param {Object} [config]
+ * @returns {string|null} admin / operator / viewer，没有匹配且未配置默认角色时为 null
+ */
+export function mapClaimsToRole(claims, config = OIDC_CONFIG) {
+  const values = new Set(toValues(getClaim(claims, config.roleClaim)))
+  for (const role of ['admin', 'operator', 'viewer']) {
+    if (config.roleMapping[role].some(value => values.has(value))) return role
+  }
+  return config.defaultRole || null
+}
+
+/**
+ * 从 claims 中取用户名（依次使用 OIDC_USERNAME_CLAIM、preferred_username、email、sub）
+ * 只保留用户名允许的字符，最长 64 个字符
+ */
+export function getClaimUsername(claims, config = OIDC_CONFIG) {
+  const candidates = [getClaim(claims, config.usernameClaim), claims.preferred_username, claims.email, claims.sub]
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'string') continue
+    const username = candidate.replace(/[^A-Za-z0-9._@-]/g, '').slice(0, 64)
+    if (username) return username
+  }
+  return null
+}
+
+/**
+ * 用户在身份提供方的唯一标识（issuer + sub 的 SHA-256，users.external_id）
+ */
+export function getExternalId(issuer, sub) {
+  return createHash('sha256').update(`${issuer}\n${sub}`).digest('hex')
+}
+
+export class OidcClient {
+  /**
+   * @param {Object} [config] - 见 loadOidcConfig
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - 默认使用全局 fetch
+   */
+  constructor(config = OIDC_CONFIG, { fetch = globalThis.fetch } = {}) {
+    this.config = config
+    this.fetch = fetch
+    this.metadata = { value: null, loadedAt: 0 }
+    this.jwks = { keys: new Map(), loadedAt: 0 }
+  }
+
+  async request(url, options = {}) {
+    const response = await this.fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) })
+    const text = await response.text()
+    let body = null
+    try {
+      body = text ? JSON.parse(text) : null
+    } catch {
+      // 非 JSON 响应
+    }
+    if (!response.ok) {
+      const detail = body?.error_description || body?.error || text.slice(0, 200)
+      throw new Error(`OIDC request to ${new URL(url).pathname} failed with ${response.status}: ${detail}`)
+    }
+    if (!body) {
+      throw new Error(`OIDC request to ${new URL(url).pathname} returned invalid JSON`)
+    }
+    return body
+  }
+
+  /**
+   * 获取发现文档（缓存 1 小时）
+   */
+  async discover() {
+    if (!this.metadata.value || Date.now() - this.metadata.loadedAt >= METADATA_CACHE_MS) {
+      const metadata = await this.request(`${this.config.issuer}/.well-known/openid-configuration`)
+      if (metadata.issuer?.replace(/\/+$/, '') !== this.config.issuer) {
+        throw new Error(`OIDC issuer mismatch: expected ${this.config.issuer}, got ${metadata.issuer}`)
+      }
+      for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!metadata[field]) throw new Error(`OIDC discovery document is missing ${field}`)
+      }
+      this.metadata = { value: metadata, loadedAt: Date.now() }
+    }
+    return this.metadata.value
+  }
+
+  /**
+   * 获取签名公钥（按 kid，缓存 1 小时）
+   * @param {boolean} [force] - 重新获取（密钥轮换后出现未知 kid 时）
+   */
+  async getSigningKeys(force = false) {
+    const stale = Date.now() - this.jwks.loadedAt >= METADATA_CACHE_MS
+    const canRefresh = Date.now() - this.jwks.loadedAt >= JWKS_REFRESH_INTERVAL_MS
+    if (this.jwks.loadedAt === 0 || stale || (force && canRefresh)) {
+      const { jwks_uri: jwksUri } = await this.discover()
+      const { keys = [] } = await this.request(jwksUri)
+      const parsed = new Map()
+      for (const jwk of keys) {
+        if (jwk.use && jwk.use !== 'sig') continue
+        try {
+          parsed.set(jwk.kid || '', { key: createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg || null })
+        } catch (error) {
+          console.warn(`[OIDC] Ignoring unsupported JWK ${jwk.kid || ''}: ${error.message}`)
+        }
+      }
+      this.jwks = { keys: parsed, loadedAt: Date.now() }
+    }
+    return this.jwks.keys
+  }
+
+  /**
+   * 生成授权请求地址
+   * @param {Object} params - { redirectUri, state, nonce, codeVerifier }
+   */
+  async buildAuthorizationUrl({ redirectUri, state, nonce, codeVerifier }) {
+    const { authorization_endpoint: endpoint } = await this.discover()
+    const url = new URL(endpoint)
+    url.searchParams.set('response_type', 'code')
+    url.searchParams.set('client_id', this.config.clientId)
+    url.searchParams.set('redirect_uri', redirectUri)
+    url.searchParams.set('scope', this.config.scopes)
+    url.searchParams.set('state', state)
+    url.searchParams.set('nonce', nonce)
+    url.searchParams.set('code_challenge', computeCodeChallenge(codeVerifier))
+    url.searchParams.set('code_challenge_method', 'S256')
+    return url.toString()
+  }
+
+  /**
+   * 用授权码换取令牌
+   * @returns {Promise<Object>} 令牌响应（id_token、access_token 等）
+   */
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const { token_endpoint: endpoint } = await this.discover()
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.config.clientId
+    })
+    const headers = { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' }
+    if (this.config.clientSecret) {
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`
+      headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    }
+
+    const tokens = await this.request(endpoint, { method: 'POST', headers, body: body.toString() })
+    if (!tokens.id_token) throw new Error('OIDC token response does not contain an id_token')
+    return tokens
+  }
+
+  /**
+   * 验证 id_token
+   * @param {string} idToken
+   * @param {Object} options - { nonce }
+   * @returns {Promise<Object>} claims
+   * @throws {Error} 签名、签发方、受众、有效期或 nonce 验证失败
+   */
+  async verifyIdToken(idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true })
+    if (!decoded) throw new Error('Invalid id_token')
+
+    const { alg, kid = '' } = decoded.header
+    const metadata = await this.discover()
+    const allowed = (metadata.id_token_signing_alg_values_supported || ['RS256'])
+      .filter(item => SUPPORTED_ALGORITHMS.includes(item))
+    if (!allowed.includes(alg)) throw new Error(`Unsupported id_token algorithm: ${alg}`)
+
+    let keys = await this.getSigningKeys()
+    if (!keys.has(kid)) keys = await this.getSigningKeys(true)
+    // 只有一个密钥且 id_token 未指定 kid 时使用该密钥
+    const signingKey = keys.get(kid) || (!kid && keys.size === 1 ? [...keys.values()][0] : null)
+    if (!signingKey) throw new Error(`Unknown id_token signing key: ${kid}`)
+
+    const claims = jwt.verify(idToken, signingKey.key, {
+      algorithms: [alg],
+      issuer: metadata.issuer,
+      audience: this.config.clientId,
+      clockTolerance: 60
+    })
+    if (!claims.sub) throw new Error('id_token does not contain sub')
+    if (claims.nonce !== nonce) throw new Error('id_token nonce mismatch')
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.config.clientId) {
+      throw new Error('id_token azp mismatch')
+    }
+    return claims
+  }
+
+  /**
+   * 获取 userinfo（id_token 中没有组 claim 时补充）
+   * @returns {Promise<Object|null>} 提供方不支持 userinfo 时为 null
+   */
+  async fetchUserInfo(accessToken) {
+    const { userinfo_endpoint: endpoint } = await this.discover()
+    if (!endpoint || !accessToken) return null
+    return this.request(endpoint, { headers: { authorization: `Bearer ${accessToken}`, accept: 'application/json' } })
+  }
+
+  /**
+   * 完成授权码登录：换取令牌、验证 id_token，必要时合并 userinfo
+   * @param {Object} params - { code, codeVerifier, nonce, redirectUri }
+   * @returns {Promise<{claims: Object, externalId: string, username: string|null, role: string|null}>}
+   */
+  async authenticate({ code, codeVerifier, nonce, redirectUri }) {
+    const tokens = await this.exchangeCode({ code, codeVerifier, redirectUri })
+    let claims = await this.verifyIdToken(tokens.id_token, { nonce })
+
+    if (getClaim(claims, this.config.roleClaim) === undefined) {
+      const userInfo = await this.fetchUserInfo(tokens.access_token)
+      // userinfo 的 sub 必须与 id_token 一致
+      if (userInfo && userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims, [this.config.roleClaim]: getClaim(userInfo, this.config.roleClaim) }
+      }
+    }
+
+    return {
+      claims,
+      externalId: getExternalId(claims.iss, claims.sub),
+      username: getClaimUsername(claims, this.config),
+      role: mapClaimsToRole(claims, this.config)
+    }
+  }
+}
+
+// 全局实例
+let oidcClient = null
+
+export function getOidcClient() {
+  if (!oidcClient) oidcClient = new OidcClient(OIDC_CONFIG)
+  return oidcClient
+}
+
+export default OidcClient
@@ -0,0 +1,62 @@
+/**
+ * 密码哈希（scrypt）
+ *
+ * 格式：scrypt$<N>$<r>$<p>$<base64 盐>$<base64 哈希>，参数随哈希保存，调整参数后旧密码仍可验证
+ */
+
+import { scrypt, randomBytes, timingSafeEqual } from 'crypto'
+
+const ALGORITHM = 'scrypt'
+const SALT_LENGTH = 16
+const KEY_LENGTH = 64
+
+// 默认参数（约 16 MB 内存）
+export const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+
+function deriveKey(password, salt, { N, r, p }, keyLength) {
+  return new Promise((resolve, reject) => {
+    scrypt(String(password), salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 }, (error, key) => {
+      if (error) reject(error)
+      else resolve(key)
+    })
+  })
+}
+
+/**
+ * 计算密码哈希
+ * @param {string} password - 明文密码
+ * @param {Object} [params] - scrypt 参数 {N, r, p}
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password, params = SCRYPT_PARAMS) {
+  const salt = randomBytes(SALT_LENGTH)
+  const key = await deriveKey(password, salt, params, KEY_LENGTH)
+  return [ALGORITHM, params.N, params.r, params.p, salt.toString('base64'), key.toString('base64')].join('$')
+}
+
+/**
+ * 验证密码
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - hashPassword 的结果
+ * @returns {Promise<boolean>} 格式无效时返回 false
+ */
+export async function verifyPassword(password, passwordHash) {
+  const parts = String(passwordHash || '').split('$')
+  if (parts.length !== 6 || parts[0] !== ALGORITHM) return false
+
+  const [N, r, p] = parts.slice(1, 4).map(Number)
+  if (![N, r, p].every(Number.isInteger)) return false
+
+  const salt = Buffer.from(parts[4], 'base64')
+  const expected = Buffer.from(parts[5], 'base64')
+  if (expected.length === 0) return false
+
+  try {
+    const key = await deriveKey(password, salt, { N, r, p }, expected.length)
+    return timingSafeEqual(key, expected)
+  } catch {
+    return false
+  }
+}
+
+export default { hashPassword, verifyPassword }
@@ -0,0 +1,27 @@
+/**
+ * 请求上下文
+ *
+ * validateApiKey 认证成功后在上下文中保存 API Key 和分组，
+ * 请求日志等不直接拿到 req 的模块通过 getRequestContext() 读取
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+
+const storage = new AsyncLocalStorage()
+
+/**
+ * 在请求上下文中执行
+ * @param {{apiKeyId: string|null, groupId: string|null}} context - 上下文
+ * @param {Function} fn - 要执行的函数（通常为 Express 的 next）
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn)
+}
+
+/**
+ * 获取当前请求上下文，不在请求中时返回 null
+ * @returns {{apiKeyId: string|null, groupId: string|null}|null}
+ */
+export function getRequestContext() {
+  return storage.getStore() || null
+}
@@ -0,0 +1,202 @@
+/**
+ * TOTP 两步验证（RFC 6238 / RFC 4226，HMAC-SHA1，完全离线计算）
+ *
+ * 密钥为 Base32 编码的 20 字节随机数，与 Google Authenticator、Microsoft Authenticator、1Password 等应用兼容。
+ * 恢复码只保存 SHA-256 哈希，每个只能使用一次。
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+export const TOTP_CONFIG = {
+  // 验证器应用中显示的发行方
+  issuer: process.env.TOTP_ISSUER || 'Kiro Cloud Auth',
+  period: 30,
+  digits: 6,
+  // 允许前后各偏差的时间步数（时钟误差）
+  window: 1,
+  recoveryCodeCount: 10
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * Base32 编码（RFC 4648，不带填充）
+ * @param {Buffer} buffer
+ */
+export function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Base32 解码（忽略大小写、空格和填充）
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} 包含非 Base32 字符
+ */
+export function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error('Invalid base32 character in TOTP secret')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * 生成 TOTP 密钥（Base32）
+ */
+export function generateTotpSecret(size = 20) {
+  return base32Encode(randomBytes(size))
+}
+
+/**
+ * 计算 HOTP（RFC 4226）
+ * @param {string} secret - Base32 密钥
+ * @param {number} counter - 计数器
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export function generateHotp(secret, counter, digits = TOTP_CONFIG.digits) {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+  const hmac = createHmac('sha1', base32Decode(secret)).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits
+  return String(code).padStart(digits, '0')
+}
+
+/**
+ * 时间对应的计数器
+ * @param {number} [time] - 毫秒时间戳
+ */
+export function getTotpCounter(time = Date.now(), period = TOTP_CONFIG.period) {
+  return Math.floor(time / 1000 / period)
+}
+
+/**
+ * 计算当前 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {Object} [options] - { time, period, digits }
+ */
+export function generateTotp(secret, { time = Date.now(), period = TOTP_CONFIG.period, digits = TOTP_CONFIG.digits } = {}) {
+  return generateHotp(secret, getTotpCounter(time, period), digits)
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && timingSafeEqual(left, right)
+}
+
+/**
+ * 验证 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码（忽略空格）
+ * @param {Object} [options]
+ * @param {number} [options.time] - 毫秒时间戳
+ * @param {number|null} [options.lastCounter] - 上次验证通过的计数器，不大于它的验证码视为重放
+ * @returns {number|null} 验证通过时返回计数器（保存为 lastCounter），否则为 null
+ */
+export function verifyTotp(secret, code, {
+  time = Date.now(),
+  period = TOTP_CONFIG.period,
+  digits = TOTP_CONFIG.digits,
+  window = TOTP_CONFIG.window,
+  lastCounter = null
+} = {}) {
+  const normalized = String(code || '').replace(/\s/g, '')
+  if (!secret || !new RegExp(`^\\d{${digits}}$`).test(normalized)) return null
+
+  const current = getTotpCounter(time, period)
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (lastCounter !== null && lastCounter !== undefined && counter <= lastCounter) continue
+    if (safeEqual(generateHotp(secret, counter, digits), normalized)) return counter
+  }
+  return null
+}
+
+/**
+ * 生成 otpauth:// URI（验证器应用扫描的二维码内容）
+ * @param {Object} options - { secret, account, issuer }
+ */
+export function buildOtpauthUri({ secret, account, issuer = TOTP_CONFIG.issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.period)
+  })
+  return `otpauth://totp/${label}?${params}`
+}
+
+/**
+ * 规范化恢复码（忽略大小写、空格和横线）
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '')
+}
+
+/**
+ * 计算恢复码哈希
+ */
+export function hashRecoveryCode(code) {
+  return createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex')
+}
+
+/**
+ * 生成恢复码
+ * @returns {{codes: string[], hashes: string[]}} codes 只返回给用户一次，hashes 保存到数据库
+ */
+export function generateRecoveryCodes(count = TOTP_CONFIG.recoveryCodeCount) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+/**
+ * 查找恢复码
+ * @param {string[]} hashes - 保存的恢复码哈希
+ * @param {string} code - 用户输入的恢复码
+ * @returns {number} 匹配的下标，未匹配为 -1
+ */
+export function findRecoveryCode(hashes, code) {
+  if (!Array.isArray(hashes) || normalizeRecoveryCode(code).length === 0) return -1
+  const hash = hashRecoveryCode(code)
+  return hashes.findIndex(item => safeEqual(item, hash))
+}
+
+export default {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  findRecoveryCode
+}
@@ -0,0 +1,126 @@
+/**
+ * 上游对话错误分类
+ *
+ * KiroClient 的 callApi/streamApi 失败时只抛出 "API call failed: <status> - <message>"，
+ * 这里把错误归为几类，并为每一类给出账号处理方式和是否换号重试：
+ *
+ * - throttled：429 / ThrottlingException，账号指数退避（带抖动）后换号重试
+ * - quota_exhausted：402 / ServiceQuotaExceededException，标记配额耗尽后换号重试
+ * - banned：账号被封禁或暂停，封禁账号后换号重试
+ * - invalid_model / content_too_long：请求本身的问题，换号也没用，直接返回客户端错误
+ * - auth：Token 过期或鉴权失败，记录账号错误后换号重试
+ * - transient：5xx、网络错误、超时、上游代理连接失败，记录账号错误后换号重试
+ */
+
+import { isRetryableError, isQuotaExhaustedError, isBannedError } from './retry-utils.js'
+
+// 错误类别
+export const ChatErrorClass = {
+  THROTTLED: 'throttled',
+  QUOTA_EXHAUSTED: 'quota_exhausted',
+  BANNED: 'banned',
+  INVALID_MODEL: 'invalid_model',
+  CONTENT_TOO_LONG: 'content_too_long',
+  AUTH: 'auth',
+  TRANSIENT: 'transient',
+  UNKNOWN: 'unknown'
+}
+
+// 账号处理方式
+export const AccountAction = {
+  BACKOFF: 'backoff',
+  QUOTA: 'quota',
+  BAN: 'ban',
+  ERROR: 'error',
+  NONE: 'none'
+}
+
+// 各类错误的处理方式：account 为账号处理，retry 为是否换号重试
+const CHAT_ERROR_ACTIONS = {
+  [ChatErrorClass.THROTTLED]: { account: AccountAction.BACKOFF, retry: true },
+  [ChatErrorClass.QUOTA_EXHAUSTED]: { account: AccountAction.QUOTA, retry: true },
+  [ChatErrorClass.BANNED]: { account: AccountAction.BAN, retry: true },
+  [ChatErrorClass.INVALID_MODEL]: { account: AccountAction.NONE, retry: false },
+  [ChatErrorClass.CONTENT_TOO_LONG]: { account: AccountAction.NONE, retry: false },
+  [ChatErrorClass.AUTH]: { account: AccountAction.ERROR, retry: true },
+  [ChatErrorClass.TRANSIENT]: { account: AccountAction.ERROR, retry: true },
+  [ChatErrorClass.UNKNOWN]: { account: AccountAction.NONE, retry: false }
+}
+
+const THROTTLED_PATTERN = /ThrottlingException|too many requests|throttl|rate limit|rate exceeded/i
+const QUOTA_PATTERN = /ServiceQuotaExceededException|quota exceeded|monthly limit/i
+const CONTENT_TOO_LONG_PATTERN = /CONTENT_LENGTH_EXCEEDS_THRESHOLD|input is too long|too many tokens|context length|exceeds the maximum/i
+const INVALID_MODEL_PATTERN = /INVALID_MODEL_ID|invalid model|unknown model|model not found|model .* is not supported/i
+const TRANSIENT_PATTERN = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed|timed? ?out|ServiceUnavailable|InternalServerException|network error|proxy error/i
+
+/**
+ * 创建带上游元数据的错误
+ * 消息格式保持 "API call failed: <status> - <detail>"，另外附加：
+ * status（HTTP 状态码）、upstreamType（__type 或 x-amzn-errortype）、retryAfterMs（Retry-After 头）
+ * @param {string} message - 错误消息
+ * @param {Response} response - 上游响应
+ * @param {string} [body] - 响应体
+ * @returns {Error}
+ */
+export function createUpstreamError(message, response, body = '') {
+  const error = new Error(message)
+  error.status = response.status
+
+  let type = response.headers?.get?.('x-amzn-errortype') || null
+  try {
+    const json = JSON.parse(body)
+    type = json.__type || json.reason || type
+  } catch (e) {
+    // 非 JSON 响应体
+  }
+  if (type) error.upstreamType = String(type).split(':')[0].split('#').pop()
+
+  const retryAfter = response.headers?.get?.('retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now()
+    if (ms > 0) error.retryAfterMs = ms
+  }
+  return error
+}
+
+/**
+ * 获取错误的 HTTP 状态码（error.status 或从 "API call failed: <status>" 中解析）
+ * @param {Error} error
+ * @returns {number|null}
+ */
+export function getUpstreamStatus(error) {
+  if (Number.isInteger(error?.status)) return error.status
+  const match = /API call failed(?: after token refresh)?: (\d{3})/.exec(error?.message || '')
+  return match ? parseInt(match[1], 10) : null
+}
+
+/**
+ * 对上游对话错误分类
+ * @param {Error} error
+ * @returns {string} ChatErrorClass 中的值
+ */
+export function classifyChatError(error) {
+  const status = getUpstreamStatus(error)
+  const text = `${error?.upstreamType || ''} ${error?.message || ''}`
+
+  // 封禁优先于其他分类，暂停的账号可能同时返回 403/429
+  if (isBannedError(error)) return ChatErrorClass.BANNED
+  if (status === 402 || QUOTA_PATTERN.test(text) || isQuotaExhaustedError(error)) return ChatErrorClass.QUOTA_EXHAUSTED
+  if (status === 429 || THROTTLED_PATTERN.test(text)) return ChatErrorClass.THROTTLED
+  if (CONTENT_TOO_LONG_PATTERN.test(text)) return ChatErrorClass.CONTENT_TOO_LONG
+  if (INVALID_MODEL_PATTERN.test(text)) return ChatErrorClass.INVALID_MODEL
+  if (isRetryableError(error)) return ChatErrorClass.AUTH
+  if ((status && status >= 500) || TRANSIENT_PATTERN.test(text)) return ChatErrorClass.TRANSIENT
+  return ChatErrorClass.UNKNOWN
+}
+
+/**
+ * 获取错误的处理方式
+ * @param {Error} error
+ * @returns {{errorClass: string, account: string, retry: boolean}}
+ */
+export function getChatErrorAction(error) {
+  const errorClass = classifyChatError(error)
+  return { errorClass, ...CHAT_ERROR_ACTIONS[errorClass] }
+}
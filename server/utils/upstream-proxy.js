@@ -0,0 +1,388 @@
+/**
+ * 上游代理配置和健康检查
+ *
+ * 连接 Kiro / AWS 上游（对话、Token 刷新、使用量查询）时使用的代理按以下顺序确定：
+ * 1. settings 表 upstreamProxy.accounts[账号 ID]
+ * 2. settings 表 upstreamProxy.groups[分组 ID]
+ * 3. settings 表 upstreamProxy.default
+ * 4. 环境变量 UPSTREAM_PROXY_URL
+ * 值为 direct 时直连（用于让部分账号或分组不使用上一级的代理）
+ *
+ * 健康检查定时通过每个代理（以及直连）请求 PROXY_CHECK_URL，把出口 IP、延迟和错误写入 proxy_checks 表，
+ * 多服务器部署时共享结果。账号详情返回账号使用的代理和出口 IP，
+ * GET /api/monitoring/proxies 汇总每个代理和出口 IP 下的账号数，便于把账号分散到不同出口 IP
+ */
+
+import { createHash } from 'crypto'
+import { fetchWithTimeout } from './fetch-utils.js'
+import { parseProxyUrl, maskProxyUrl } from './proxy-agent.js'
+
+// settings 表中的设置 key
+export const UPSTREAM_PROXY_SETTING_KEY = 'upstreamProxy'
+
+// 表示直连的配置值
+export const DIRECT_PROXY = 'direct'
+
+// 代理配置
+export const UPSTREAM_PROXY_CONFIG = {
+  // 全局代理（settings 表 upstreamProxy.default 优先）
+  defaultUrl: process.env.UPSTREAM_PROXY_URL || '',
+  // 健康检查请求的地址，响应为 {"ip": "..."}、{"origin": "..."} 或纯文本 IP
+  checkUrl: process.env.PROXY_CHECK_URL || 'https://api.ipify.org?format=json',
+  // 健康检查间隔（毫秒），0 表示不定时检查
+  checkIntervalMs: parseInt(process.env.PROXY_CHECK_INTERVAL_MS ?? '300000', 10),
+  // 单次健康检查超时（毫秒）
+  checkTimeoutMs: 15000,
+  // 设置缓存时间
+  settingCacheMs: 60 * 1000
+}
+
+/**
+ * 确定账号使用的代理
+ * @param {Object} account - 账号 { id, groupId }
+ * @param {Object|null} setting - upstreamProxy 设置 { default, groups: {}, accounts: {} }
+ * @param {Object} [config] - 默认使用 UPSTREAM_PROXY_CONFIG
+ * @returns {{url: string|null, source: string|null}} url 为 null 表示直连，source 为 account/group/default/env
+ */
+export function resolveProxyUrl(account, setting = null, config = UPSTREAM_PROXY_CONFIG) {
+  const candidates = [
+    ['account', setting?.accounts?.[account?.id]],
+    ['group', account?.groupId ? setting?.groups?.[account.groupId] : null],
+    ['default', setting?.default],
+    ['env', config.defaultUrl]
+  ]
+  for (const [source, value] of candidates) {
+    if (value) {
+      return { url: value === DIRECT_PROXY ? null : value, source }
+    }
+  }
+  return { url: null, source: null }
+}
+
+/**
+ * proxy_checks 表的 key（直连为 direct，代理为 URL 的 SHA-256，不保存密码）
+ */
+export function getProxyKey(url) {
+  return url ? createHash('sha256').update(url).digest('hex') : DIRECT_PROXY
+}
+
+/**
+ * 从健康检查响应中提取出口 IP
+ * @param {string} text - 响应体
+ * @returns {string|null}
+ */
+export function parseEgressIp(text) {
+  const body = String(text || '').trim()
+  try {
+    const json = JSON.parse(body)
+    const ip = json.ip || json.origin || json.query
+    if (ip) return String(ip).split(',')[0].trim()
+  } catch (e) {
+    // 纯文本响应
+  }
+  return /^[0-9a-f.:]+$/i.test(body) ? body : null
+}
+
+/**
+ * 设置中出现的所有代理 URL（去重，不含 direct）
+ */
+export function listConfiguredProxyUrls(setting, config = UPSTREAM_PROXY_CONFIG) {
+  const values = [
+    setting?.default,
+    ...Object.values(setting?.groups || {}),
+    ...Object.values(setting?.accounts || {}),
+    config.defaultUrl
+  ]
+  return [...new Set(values.filter(value => value && value !== DIRECT_PROXY))]
+}
+
+/**
+ * 隐藏设置中代理 URL 的密码（返回新对象），用于向非管理员返回设置
+ * @param {Object|null} setting - upstreamProxy 设置 { default, groups: {}, accounts: {} }
+ */
+export function maskProxySetting(setting) {
+  if (!setting || typeof setting !== 'object') return setting
+  const maskValues = (map) => Object.fromEntries(Object.entries(map || {}).map(([id, url]) => [id, url ? maskProxyUrl(url) : url]))
+  return {
+    ...setting,
+    ...(setting.default ? { default: maskProxyUrl(setting.default) } : {}),
+    ...(setting.groups ? { groups: maskValues(setting.groups) } : {}),
+    ...(setting.accounts ? { accounts: maskValues(setting.accounts) } : {})
+  }
+}
+
+/**
+ * 将 proxy_checks 行转换为健康状态
+ */
+function rowToCheck(row) {
+  if (!row) return null
+  return {
+    healthy: !!row.healthy,
+    egressIp: row.egress_ip,
+    latencyMs: row.latency_ms,
+    error: row.last_error,
+    checkedAt: Number(row.checked_at)
+  }
+}
+
+export class UpstreamProxyManager {
+  /**
+   * @param {Object} dbPool - MySQL 连接池（读取 settings 表，读写 proxy_checks 表）
+   * @param {Object} [config] - 默认使用 UPSTREAM_PROXY_CONFIG
+   */
+  constructor(dbPool, config = UPSTREAM_PROXY_CONFIG) {
+    this.dbPool = dbPool
+    this.config = config
+    this.setting = { value: null, loadedAt: 0 }
+    // 已解析的代理（按 URL 缓存）
+    this.parsed = new Map()
+    this.checkTimer = null
+    this.checking = null
+  }
+
+  /**
+   * 获取 upstreamProxy 设置（缓存 60 秒）
+   */
+  async getSetting() {
+    if (Date.now() - this.setting.loadedAt >= this.config.settingCacheMs) {
+      try {
+        const [rows] = await this.dbPool.query('SELECT value, value_type FROM settings WHERE `key` = ?', [UPSTREAM_PROXY_SETTING_KEY])
+        let value = rows[0]?.value || null
+        if (value && rows[0].value_type === 'json') {
+          value = JSON.parse(value)
+        }
+        this.setting = { value: value && typeof value === 'object' ? value : null, loadedAt: Date.now() }
+      } catch (error) {
+        // 读取失败时保留上次的设置
+        console.error('[UpstreamProxy] Failed to load setting:', error.message)
+        this.setting.loadedAt = Date.now()
+      }
+    }
+    return this.setting.value
+  }
+
+  /**
+   * 解析代理 URL（缓存解析结果）
+   * @throws {Error} URL 无效时抛出 proxy error（请求失败，不会静默改为直连）
+   */
+  parse(url) {
+    if (!url) return null
+    let proxy = this.parsed.get(url)
+    if (!proxy) {
+      proxy = parseProxyUrl(url)
+      this.parsed.set(url, proxy)
+    }
+    return proxy
+  }
+
+  /**
+   * 确定账号使用的代理
+   * @param {Object} account - 账号 { id, groupId }
+   * @returns {Promise<{url: string|null, source: string|null}>}
+   */
+  async resolve(account) {
+    return resolveProxyUrl(account, await this.getSetting(), this.config)
+  }
+
+  /**
+   * 获取账号请求上游时使用的代理
+   * @param {Object} account - 账号 { id, groupId }
+   * @returns {Promise<Object|null>} parseProxyUrl 的结果，直连为 null
+   */
+  async getProxy(account) {
+    const { url } = await this.resolve(account)
+    return this.parse(url)
+  }
+
+  /**
+   * 通过代理（url 为空时直连）请求 checkUrl，记录出口 IP 和延迟
+   * @param {string|null} url - 代理 URL
+   * @returns {Promise<Object>} { key, url, healthy, egressIp, latencyMs, error, checkedAt }
+   */
+  async check(url) {
+    const startTime = Date.now()
+    const result = {
+      key: getProxyKey(url),
+      url: url ? maskProxyUrl(url) : null,
+      healthy: false,
+      egressIp: null,
+      latencyMs: null,
+      error: null,
+      checkedAt: startTime
+    }
+
+    try {
+      const response = await fetchWithTimeout(this.config.checkUrl, {
+        method: 'GET',
+        headers: { Accept: 'application/json' },
+        proxy: this.parse(url)
+      }, this.config.checkTimeoutMs)
+      const text = await response.text()
+      result.latencyMs = Date.now() - startTime
+      if (!response.ok) {
+        result.error = `HTTP ${response.status}`
+      } else {
+        result.egressIp = parseEgressIp(text)
+        result.healthy = Boolean(result.egressIp)
+        if (!result.healthy) result.error = 'Unrecognized egress IP response'
+      }
+    } catch (error) {
+      result.latencyMs = Date.now() - startTime
+      result.error = (error.cause?.message || error.message || 'Unknown error').slice(0, 500)
+    }
+
+    await this.dbPool.query(
+      `INSERT INTO proxy_checks (proxy_key, proxy_url, healthy, egress_ip, latency_ms, last_error, checked_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE proxy_url = VALUES(proxy_url), healthy = VALUES(healthy), egress_ip = VALUES(egress_ip),
+         latency_ms = VALUES(latency_ms), last_error = VALUES(last_error), checked_at = VALUES(checked_at)`,
+      [result.key, result.url, result.healthy, result.egressIp, result.latencyMs, result.error, result.checkedAt]
+    ).catch(error => console.error('[UpstreamProxy] Failed to save check result:', error.message))
+
+    if (!result.healthy) {
+      console.warn(`[UpstreamProxy] Check failed for ${result.url || 'direct'}: ${result.error}`)
+    }
+    return result
+  }
+
+  /**
+   * 检查直连和设置中的所有代理（同一时间只运行一次）
+   * @returns {Promise<Object[]>}
+   */
+  async checkAll() {
+    if (!this.checking) {
+      this.checking = (async () => {
+        const urls = [null, ...listConfiguredProxyUrls(await this.getSetting(), this.config)]
+        const results = []
+        for (const url of urls) {
+          results.push(await this.check(url))
+        }
+        return results
+      })().finally(() => { this.checking = null })
+    }
+    return this.checking
+  }
+
+  /**
+   * 读取健康检查结果
+   * @returns {Promise<Map<string, Object>>} proxy_key → 健康状态
+   */
+  async getChecks() {
+    const [rows] = await this.dbPool.query('SELECT * FROM proxy_checks')
+    return new Map(rows.map(row => [row.proxy_key, rowToCheck(row)]))
+  }
+
+  /**
+   * 账号详情中的代理信息
+   * @param {Object} account - 账号 { id, groupId }
+   * @returns {Promise<Object>} { url, source, healthy, egressIp, latencyMs, error, checkedAt }
+   */
+  async describeAccount(account) {
+    const { url, source } = await this.resolve(account)
+    const [rows] = await this.dbPool.query('SELECT * FROM proxy_checks WHERE proxy_key = ?', [getProxyKey(url)])
+    return {
+      url: url ? maskProxyUrl(url) : null,
+      source,
+      ...(rowToCheck(rows[0]) || { healthy: null, egressIp: null, latencyMs: null, error: null, checkedAt: null })
+    }
+  }
+
+  /**
+   * 汇总每个代理和出口 IP 下的账号数
+   * @returns {Promise<{proxies: Object[], egressIps: Object[]}>}
+   */
+  async getSummary() {
+    const setting = await this.getSetting()
+    const checks = await this.getChecks()
+    const [accounts] = await this.dbPool.query(
+      'SELECT id, group_id FROM accounts WHERE (is_del = FALSE OR is_del IS NULL)'
+    )
+
+    const proxies = new Map()
+    const getEntry = (url) => {
+      const key = getProxyKey(url)
+      if (!proxies.has(key)) {
+        proxies.set(key, {
+          key,
+          url: url ? maskProxyUrl(url) : null,
+          ...(checks.get(key) || { healthy: null, egressIp: null, latencyMs: null, error: null, checkedAt: null }),
+          accounts: 0
+        })
+      }
+      return proxies.get(key)
+    }
+
+    getEntry(null)
+    for (const url of listConfiguredProxyUrls(setting, this.config)) {
+      getEntry(url)
+    }
+    for (const row of accounts) {
+      getEntry(resolveProxyUrl({ id: row.id, groupId: row.group_id }, setting, this.config).url).accounts++
+    }
+
+    // 不同代理可能使用同一个出口 IP，按出口 IP 再汇总一次
+    const egressIps = new Map()
+    for (const entry of proxies.values()) {
+      const ip = entry.egressIp || 'unknown'
+      const item = egressIps.get(ip) || { ip, accounts: 0, proxies: 0 }
+      item.accounts += entry.accounts
+      item.proxies++
+      egressIps.set(ip, item)
+    }
+
+    return {
+      proxies: [...proxies.values()],
+      egressIps: [...egressIps.values()].sort((a, b) => b.accounts - a.accounts)
+    }
+  }
+
+  /**
+   * 启动定时健康检查
+   */
+  startHealthChecks() {
+    if (this.checkTimer || !this.config.checkIntervalMs) return
+    this.checkAll().catch(error => console.error('[UpstreamProxy] Health check failed:', error.message))
+    this.checkTimer = setInterval(() => {
+      this.checkAll().catch(error => console.error('[UpstreamProxy] Health check failed:', error.message))
+    }, this.config.checkIntervalMs)
+    this.checkTimer.unref?.()
+  }
+
+  stopHealthChecks() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer)
+      this.checkTimer = null
+    }
+  }
+}
+
+// 全局实例（由 initUpstreamProxy 创建）
+let upstreamProxy = null
+
+/**
+ * 初始化全局上游代理管理
+ */
+export function initUpstreamProxy(dbPool) {
+  upstreamProxy = new UpstreamProxyManager(dbPool)
+  return upstreamProxy
+}
+
+export function getUpstreamProxy() {
+  return upstreamProxy
+}
+
+/**
+ * 获取账号请求上游时使用的代理
+ * 未初始化时（脚本、测试）只使用环境变量 UPSTREAM_PROXY_URL
+ * @param {Object} account - 账号 { id, groupId }
+ * @returns {Promise<Object|null>} parseProxyUrl 的结果，直连为 null
+ */
+export async function getAccountProxy(account) {
+  if (upstreamProxy) {
+    return upstreamProxy.getProxy(account)
+  }
+  const { url } = resolveProxyUrl(account)
+  return url ? parseProxyUrl(url) : null
+}
+
+export default UpstreamProxyManager
@@ -1,4 +1,10 @@
 import Joi from 'joi'
+import { SELECTION_STRATEGY_NAMES, SELECTION_STRATEGY_SETTING_KEY } from '../openai-compat/selection-strategies.js'
+import { ACCOUNT_CONCURRENCY_SETTING_KEY } from '../openai-compat/account-concurrency.js'
+import { STREAM_HEDGING_SETTING_KEY } from '../openai-compat/stream-hedging.js'
+import { PROXY_PROTOCOLS } from '../utils/proxy-agent.js'
+import { UPSTREAM_PROXY_SETTING_KEY, DIRECT_PROXY } from '../utils/upstream-proxy.js'
+import { ROLES } from '../middleware/permissions.js'
 
 // ==================== 通用验证规则 ====================
 
@@ -172,6 +178,27 @@ export const accountListQuerySchema = Joi.object({
 
 // ==================== 分组相关Schema ====================
 
+// 分组限流字段（0 表示不限制）
+const groupRateLimitFields = {
+  rateLimitRpm: Joi.number().integer().min(0).messages({
+    'number.min': '每分钟请求数不能为负数'
+  }),
+  rateLimitTpm: Joi.number().integer().min(0).messages({
+    'number.min': '每分钟 token 数不能为负数'
+  }),
+  maxConcurrentStreams: Joi.number().integer().min(0).messages({
+    'number.min': '最大并发流数不能为负数'
+  })
+}
+
+// 分组模型设置（模型名和别名需在模型注册表中存在）
+const groupModelFields = {
+  allowedModels: Joi.array().items(Joi.string().min(1).max(100)).max(100).allow(null).messages({
+    'array.base': '允许的模型必须是字符串数组'
+  }),
+  defaultModel: Joi.string().min(1).max(100).allow(null)
+}
+
 /**
  * 分组Schema
  */
@@ -190,7 +217,9 @@ export const groupSchema = Joi.object({
     'any.required': '颜色是必需的'
   }),
   order: Joi.number().integer().min(0).default(0),
-  description: Joi.string().allow('', null).max(200)
+  description: Joi.string().allow('', null).max(200),
+  ...groupRateLimitFields,
+  ...groupModelFields
 }).unknown(true)
 
 /**
@@ -205,11 +234,274 @@ export const groupUpdateSchema = Joi.object({
     'string.pattern.base': '颜色必须是有效的hex格式（如#FF0000）'
   }),
   order: Joi.number().integer().min(0),
-  description: Joi.string().allow('', null).max(200)
+  description: Joi.string().allow('', null).max(200),
+  ...groupRateLimitFields,
+  ...groupModelFields
 }).unknown(true).min(1).messages({
   'object.min': '至少需要提供一个要更新的字段'
 })
 
+// ==================== API Key 相关Schema ====================
+
+// API Key 可修改字段
+const apiKeyFields = {
+  allowedModels: Joi.array().items(Joi.string().min(1).max(100)).max(100).allow(null).messages({
+    'array.base': '允许的模型必须是字符串数组'
+  }),
+  expiresAt: Joi.number().integer().min(0).allow(null).messages({
+    'number.base': '过期时间必须是毫秒时间戳'
+  }),
+  // 账号池耗尽时的最长排队时间（毫秒），null 表示使用服务端默认值，0 表示不排队
+  maxQueueWaitMs: Joi.number().integer().min(0).max(10 * 60 * 1000).allow(null).messages({
+    'number.min': '最长排队时间不能为负数',
+    'number.max': '最长排队时间不能超过 10 分钟'
+  }),
+  ...groupRateLimitFields
+}
+
+/**
+ * API Key 创建Schema
+ */
+export const apiKeySchema = Joi.object({
+  name: Joi.string().required().min(1).max(100).messages({
+    'string.empty': 'API Key 名称不能为空',
+    'string.max': 'API Key 名称最多100个字符',
+    'any.required': 'API Key 名称是必需的'
+  }),
+  groupId: Joi.string().max(255).allow(null),
+  ...apiKeyFields
+})
+
+/**
+ * API Key 更新Schema（分组和 Key 本身不可修改，需要更换时创建新 Key）
+ */
+export const apiKeyUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).messages({
+    'string.empty': 'API Key 名称不能为空',
+    'string.max': 'API Key 名称最多100个字符'
+  }),
+  ...apiKeyFields
+}).min(1).messages({
+  'object.min': '至少需要提供一个要更新的字段'
+})
+
+// ==================== 用户与登录相关Schema ====================
+
+// 用户名格式（字母、数字、点、横线、下划线、@）
+const usernamePattern = /^[A-Za-z0-9._@-]+$/
+
+const passwordField = Joi.string().min(8).max(128).messages({
+  'string.min': '密码至少8个字符',
+  'string.max': '密码最多128个字符'
+})
+
+const roleField = Joi.string().valid(...ROLES).messages({
+  'any.only': `角色必须是 ${ROLES.join(', ')} 之一`
+})
+
+/**
+ * 登录Schema（未填写用户名时使用 WEB_ADMIN_USERNAME）
+ */
+export const loginSchema = Joi.object({
+  username: Joi.string().max(64).allow(''),
+  password: Joi.string().required().max(128).messages({
+    'string.empty': '密码不能为空',
+    'any.required': '密码是必需的'
+  })
+})
+
+/**
+ * 修改自己的密码Schema
+ */
+export const passwordChangeSchema = Joi.object({
+  currentPassword: Joi.string().required().max(128).messages({
+    'any.required': '当前密码是必需的'
+  }),
+  newPassword: passwordField.required().messages({
+    'any.required': '新密码是必需的'
+  })
+})
+
+// 两步验证码（6 位数字，允许空格）和恢复码
+const totpCodeField = Joi.string().trim().pattern(/^[\d\s]{6,8}$/).messages({
+  'string.pattern.base': '验证码必须是6位数字'
+})
+const recoveryCodeField = Joi.string().trim().max(32)
+const challengeTokenField = Joi.string().max(128)
+
+/**
+ * 两步验证登录Schema（验证码和恢复码二选一）
+ */
+export const totpLoginSchema = Joi.object({
+  challengeToken: challengeTokenField.required().messages({
+    'any.required': 'challengeToken是必需的'
+  }),
+  code: totpCodeField,
+  recoveryCode: recoveryCodeField
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': '请输入验证码或恢复码',
+  'object.xor': '验证码和恢复码只能提供一个'
+})
+
+/**
+ * 绑定验证器Schema（登录时绑定需要 challengeToken，已登录时使用会话）
+ */
+export const totpSetupSchema = Joi.object({
+  challengeToken: challengeTokenField
+})
+
+/**
+ * 启用两步验证Schema
+ */
+export const totpEnableSchema = Joi.object({
+  challengeToken: challengeTokenField,
+  code: totpCodeField.required().messages({
+    'any.required': '验证码是必需的'
+  })
+})
+
+/**
+ * 停用两步验证Schema（需要密码和验证码或恢复码）
+ */
+export const totpDisableSchema = Joi.object({
+  password: Joi.string().required().max(128).messages({
+    'any.required': '密码是必需的'
+  }),
+  code: totpCodeField,
+  recoveryCode: recoveryCodeField
+}).xor('code', 'recoveryCode').messages({
+  'object.missing': '请输入验证码或恢复码',
+  'object.xor': '验证码和恢复码只能提供一个'
+})
+
+/**
+ * 重新生成恢复码Schema
+ */
+export const totpCodeSchema = Joi.object({
+  code: totpCodeField.required().messages({
+    'any.required': '验证码是必需的'
+  })
+})
+
+/**
+ * 用户创建Schema
+ */
+export const userSchema = Joi.object({
+  username: Joi.string().required().min(1).max(64).pattern(usernamePattern).messages({
+    'string.empty': '用户名不能为空',
+    'string.max': '用户名最多64个字符',
+    'string.pattern.base': '用户名只能包含字母、数字、点、横线、下划线和@',
+    'any.required': '用户名是必需的'
+  }),
+  password: passwordField.required().messages({
+    'any.required': '密码是必需的'
+  }),
+  role: roleField.required().messages({
+    'any.required': '角色是必需的'
+  })
+})
+
+/**
+ * 用户更新Schema（用户名不可修改；修改密码或禁用用户会删除该用户的全部会话）
+ */
+export const userUpdateSchema = Joi.object({
+  password: passwordField,
+  role: roleField,
+  disabled: Joi.boolean()
+}).min(1).messages({
+  'object.min': '至少需要提供一个要更新的字段'
+})
+
+// ==================== 模型注册表相关Schema ====================
+
+// 模型名格式（字母、数字、点、横线、下划线、冒号）
+const modelNamePattern = /^[A-Za-z0-9._:-]+$/
+
+// 模型可修改字段
+const modelFields = {
+  kiroModelId: Joi.string().min(1).max(100).messages({
+    'string.empty': 'Kiro 模型 ID 不能为空'
+  }),
+  displayName: Joi.string().max(100).allow('', null),
+  maxOutputTokens: Joi.number().integer().min(0).messages({
+    'number.min': '最大输出 token 不能为负数'
+  }),
+  isDefault: Joi.boolean(),
+  enabled: Joi.boolean(),
+  aliases: Joi.array().items(Joi.string().pattern(modelNamePattern).max(100)).max(50).unique().messages({
+    'string.pattern.base': '别名只能包含字母、数字、点、横线、下划线和冒号',
+    'array.unique': '别名不能重复'
+  })
+}
+
+/**
+ * 模型创建Schema
+ */
+export const modelSchema = Joi.object({
+  id: Joi.string().pattern(modelNamePattern).required().max(100).messages({
+    'string.pattern.base': '模型名只能包含字母、数字、点、横线、下划线和冒号',
+    'any.required': '模型名是必需的'
+  }),
+  ...modelFields,
+  kiroModelId: modelFields.kiroModelId.required().messages({
+    'any.required': 'Kiro 模型 ID 是必需的'
+  })
+})
+
+/**
+ * 模型更新Schema（模型名不可修改）
+ */
+export const modelUpdateSchema = Joi.object(modelFields).min(1).messages({
+  'object.min': '至少需要提供一个要更新的字段'
+})
+
+// ==================== 配额相关Schema ====================
+
+// 配额可修改字段
+const quotaFields = {
+  limit: Joi.number().min(0).messages({
+    'number.base': '配额上限必须是数字',
+    'number.min': '配额上限不能为负数'
+  }),
+  warnPercent: Joi.number().integer().min(0).max(100).messages({
+    'number.base': '告警比例必须是 0-100 的整数'
+  }),
+  hardLimit: Joi.boolean()
+}
+
+/**
+ * 配额创建Schema
+ */
+export const quotaSchema = Joi.object({
+  scopeType: Joi.string().valid('api_key', 'group').required().messages({
+    'any.only': '配额范围必须是 api_key 或 group',
+    'any.required': '配额范围是必需的'
+  }),
+  scopeId: Joi.string().required().min(1).max(255).messages({
+    'string.empty': '配额对象ID不能为空',
+    'any.required': '配额对象ID是必需的'
+  }),
+  period: Joi.string().valid('day', 'month').required().messages({
+    'any.only': '配额周期必须是 day 或 month',
+    'any.required': '配额周期是必需的'
+  }),
+  metric: Joi.string().valid('requests', 'tokens', 'credits').required().messages({
+    'any.only': '配额指标必须是 requests、tokens 或 credits',
+    'any.required': '配额指标是必需的'
+  }),
+  ...quotaFields,
+  limit: quotaFields.limit.required().messages({
+    'any.required': '配额上限是必需的'
+  })
+})
+
+/**
+ * 配额更新Schema（范围、周期和指标不可修改）
+ */
+export const quotaUpdateSchema = Joi.object(quotaFields).min(1).messages({
+  'object.min': '至少需要提供一个要更新的字段'
+})
+
 // ==================== 标签相关Schema ====================
 
 /**
@@ -319,6 +611,43 @@ export const importDataSchema = Joi.object({
 
 // ==================== 设置相关Schema ====================
 
+// 账号选择策略设置：策略名，或 { default, groups: { 分组 ID: 策略名 } }
+const selectionStrategyValue = Joi.string().valid(...SELECTION_STRATEGY_NAMES)
+const selectionStrategySettingSchema = Joi.alternatives().try(
+  selectionStrategyValue,
+  Joi.object({
+    default: selectionStrategyValue,
+    groups: Joi.object().pattern(Joi.string(), selectionStrategyValue)
+  })
+)
+
+// 账号并发上限设置：{ default, idp: { IdP: 上限 }, accounts: { 账号 ID: 上限 } }，0 表示不限制
+const concurrencyLimitValue = Joi.number().integer().min(0).max(1000)
+const concurrencySettingSchema = Joi.object({
+  default: concurrencyLimitValue,
+  idp: Joi.object().pattern(Joi.string(), concurrencyLimitValue),
+  accounts: Joi.object().pattern(Joi.string(), concurrencyLimitValue)
+})
+
+// 流式对冲设置：{ enabled, percentile, minDelayMs, maxDelayMs }，未设置的字段使用环境变量
+const streamHedgingSettingSchema = Joi.object({
+  enabled: Joi.boolean(),
+  percentile: Joi.number().min(1).max(100),
+  minDelayMs: Joi.number().integer().min(0).max(120000),
+  maxDelayMs: Joi.number().integer().min(0).max(120000)
+})
+
+// 上游代理设置：{ default, groups: { 分组 ID: 代理 }, accounts: { 账号 ID: 代理 } }，代理为 URL 或 direct（直连）
+const proxyValue = Joi.alternatives().try(
+  Joi.string().valid(DIRECT_PROXY),
+  Joi.string().uri({ scheme: Object.keys(PROXY_PROTOCOLS) }).max(500)
+)
+const upstreamProxySettingSchema = Joi.object({
+  default: proxyValue.allow(''),
+  groups: Joi.object().pattern(Joi.string(), proxyValue),
+  accounts: Joi.object().pattern(Joi.string(), proxyValue)
+})
+
 /**
  * 设置值验证Schema（根据key动态验证）
  */
@@ -343,7 +672,11 @@ export const settingValueSchema = Joi.object({
     refreshRetryCount: Joi.number().integer().min(0).max(10),
     refreshRetryDelay: Joi.number().integer().min(0).max(60000),
     enableNotifications: Joi.boolean(),
-    logLevel: Joi.string().valid('debug', 'info', 'warn', 'error')
+    logLevel: Joi.string().valid('debug', 'info', 'warn', 'error'),
+    [SELECTION_STRATEGY_SETTING_KEY]: selectionStrategySettingSchema,
+    [ACCOUNT_CONCURRENCY_SETTING_KEY]: concurrencySettingSchema,
+    [STREAM_HEDGING_SETTING_KEY]: streamHedgingSettingSchema,
+    [UPSTREAM_PROXY_SETTING_KEY]: upstreamProxySettingSchema
   }
   
   const validator = validators[key]
@@ -372,6 +705,23 @@ export const settingsBatchSchema = Joi.object({
   })
 })
 
+// ==================== 审计日志相关Schema ====================
+
+/**
+ * 审计日志查询参数Schema（startTime / endTime 为毫秒时间戳）
+ */
+export const auditQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(200).default(50),
+  actor: Joi.string().max(64).allow('', null),
+  action: Joi.string().max(64).allow('', null),
+  resourceType: Joi.string().max(32).allow('', null),
+  resourceId: Joi.string().max(255).allow('', null),
+  requestId: Joi.string().max(64).allow('', null),
+  startTime: Joi.number().integer().min(0).allow(null),
+  endTime: Joi.number().integer().min(0).allow(null)
+})
+
 // ==================== 通用验证中间件 ====================
 
 /**
@@ -472,6 +822,29 @@ export default {
   groupSchema,
   groupUpdateSchema,
   
+  // API Key 相关
+  apiKeySchema,
+  apiKeyUpdateSchema,
+
+  // 用户与登录相关
+  loginSchema,
+  passwordChangeSchema,
+  totpLoginSchema,
+  totpSetupSchema,
+  totpEnableSchema,
+  totpDisableSchema,
+  totpCodeSchema,
+  userSchema,
+  userUpdateSchema,
+
+  // 配额相关
+  quotaSchema,
+  quotaUpdateSchema,
+
+  // 模型注册表相关
+  modelSchema,
+  modelUpdateSchema,
+  
   // 标签相关
   tagSchema,
   tagUpdateSchema,
@@ -484,6 +857,9 @@ export default {
   // 设置相关
   settingValueSchema,
   settingsBatchSchema,
+
+  // 审计日志相关
+  auditQuerySchema,
   
   // 通用
   idParamSchema,
@@ -35,14 +35,14 @@ function decryptPassword(encrypted: string): string {
 }
 
 // 获取保存的登录信息
-function getSavedPassword(): string | null {
+function getSavedLogin(): { username: string; password: string } | null {
   try {
     const saved = localStorage.getItem(REMEMBER_LOGIN_KEY)
     if (saved) {
       const data = JSON.parse(saved)
       const password = decryptPassword(data.password)
       if (password) {
-        return password
+        return { username: data.username || '', password }
       }
     }
   } catch {
@@ -109,13 +109,13 @@ function App(): React.JSX.Element {
         }
         
         // Cookie 无效，尝试使用保存的密码自动登录
-        const savedPassword = getSavedPassword()
-        if (savedPassword) {
+        const savedLogin = getSavedLogin()
+        if (savedLogin) {
           try {
             const loginResponse = await fetch('/api/auth/login', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ password: savedPassword }),
+              body: JSON.stringify(savedLogin),
               credentials: 'include'
             })
             const loginData = await loginResponse.json()
@@ -124,8 +124,8 @@ function App(): React.JSX.Element {
               // 自动登录成功
               setIsAuthenticated(true)
               return
-            } else {
-              // 密码错误，清除保存的密码
+            } else if (!loginData.challengeToken) {
+              // 密码错误，清除保存的密码（需要两步验证时密码正确，保留并在登录页输入验证码）
               clearSavedPassword()
             }
           } catch {
@@ -137,13 +137,13 @@ function App(): React.JSX.Element {
         setIsAuthenticated(false)
       } catch {
         // 网络错误，尝试使用保存的密码
-        const savedPassword = getSavedPassword()
-        if (savedPassword) {
+        const savedLogin = getSavedLogin()
+        if (savedLogin) {
           try {
             const loginResponse = await fetch('/api/auth/login', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ password: savedPassword }),
+              body: JSON.stringify(savedLogin),
               credentials: 'include'
             })
             const loginData = await loginResponse.json()
@@ -2,7 +2,7 @@ import { useState, useMemo } from 'react'
 import { Button, Card, CardContent, CardHeader, CardTitle } from '../ui'
 import { useAccountsStore } from '@/store/accounts'
 import type { AccountGroup } from '@/types/account'
-import { X, Plus, Edit2, Trash2, Users, Check, FolderOpen, Key, Copy, RefreshCw, Eye, EyeOff, XCircle } from 'lucide-react'
+import { X, Plus, Edit2, Trash2, Users, Check, FolderOpen, Key, Copy, RefreshCw, Eye, EyeOff, XCircle, Gauge } from 'lucide-react'
 
 // 检测是否是 Electron 环境
 const isElectronEnv = typeof window !== 'undefined' &&
@@ -25,6 +25,9 @@ export function GroupManageDialog({ isOpen, onClose }: GroupManageDialogProps):
   const [editColor, setEditColor] = useState('#3b82f6')
   const [editApiKey, setEditApiKey] = useState('')
   const [showEditApiKey, setShowEditApiKey] = useState(false)
+  const [editRateLimitRpm, setEditRateLimitRpm] = useState('')
+  const [editRateLimitTpm, setEditRateLimitTpm] = useState('')
+  const [editMaxStreams, setEditMaxStreams] = useState('')
 
   // 新建状态
   const [isCreating, setIsCreating] = useState(false)
@@ -92,6 +95,15 @@ export function GroupManageDialog({ isOpen, onClose }: GroupManageDialogProps):
     setEditColor(group.color || '#3b82f6')
     setEditApiKey(group.apiKey || '')
     setShowEditApiKey(false)
+    setEditRateLimitRpm(group.rateLimitRpm ? String(group.rateLimitRpm) : '')
+    setEditRateLimitTpm(group.rateLimitTpm ? String(group.rateLimitTpm) : '')
+    setEditMaxStreams(group.maxConcurrentStreams ? String(group.maxConcurrentStreams) : '')
+  }
+
+  // 解析限流输入，留空或无效时为 0（不限制）
+  const parseLimit = (value: string): number => {
+    const parsed = parseInt(value, 10)
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0
   }
 
   // 保存编辑
@@ -101,7 +113,10 @@ export function GroupManageDialog({ isOpen, onClose }: GroupManageDialogProps):
       name: editName.trim(),
       description: editDescription.trim() || undefined,
       color: editColor,
-      apiKey: editApiKey.trim() || undefined
+      apiKey: editApiKey.trim() || undefined,
+      rateLimitRpm: parseLimit(editRateLimitRpm),
+      rateLimitTpm: parseLimit(editRateLimitTpm),
+      maxConcurrentStreams: parseLimit(editMaxStreams)
     })
     setEditingId(null)
     setShowEditApiKey(false)
@@ -347,6 +362,41 @@ export function GroupManageDialog({ isOpen, onClose }: GroupManageDialogProps):
                         </div>
                       </div>
                     )}
+                    {/* 分组 SK 限流 - 仅在 Web 端显示 */}
+                    {!isElectronEnv && (
+                      <div className="space-y-1">
+                        <label className="text-xs text-muted-foreground flex items-center gap-1">
+                          <Gauge className="h-3 w-3" />
+                          分组 SK 限流（留空则不限制）
+                        </label>
+                        <div className="grid grid-cols-3 gap-2">
+                          <input
+                            type="number"
+                            min={0}
+                            placeholder="请求/分钟"
+                            value={editRateLimitRpm}
+                            onChange={(e) => setEditRateLimitRpm(e.target.value)}
+                            className="w-full px-3 py-1.5 border rounded text-sm"
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            placeholder="Token/分钟"
+                            value={editRateLimitTpm}
+                            onChange={(e) => setEditRateLimitTpm(e.target.value)}
+                            className="w-full px-3 py-1.5 border rounded text-sm"
+                          />
+                          <input
+                            type="number"
+                            min={0}
+                            placeholder="并发流"
+                            value={editMaxStreams}
+                            onChange={(e) => setEditMaxStreams(e.target.value)}
+                            className="w-full px-3 py-1.5 border rounded text-sm"
+                          />
+                        </div>
+                      </div>
+                    )}
                     <div className="flex justify-end gap-2">
                       <Button variant="outline" size="sm" onClick={() => { setEditingId(null); setShowEditApiKey(false) }}>
                         取消
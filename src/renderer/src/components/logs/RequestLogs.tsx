@@ -45,7 +45,7 @@ interface LogEntry {
   server_id: string | null
   header_version: number | null
   request_headers: Record<string, string> | null
-  api_protocol: 'openai' | 'claude' | null
+  api_protocol: 'openai' | 'openai-responses' | 'openai-completions' | 'claude' | 'claude-batch' | null
   created_at: string
 }
 
@@ -427,7 +427,18 @@ function StatCard({ icon, label, value, loading, color }: { icon: React.ReactNod
 
 const PROTOCOL_COLORS: Record<string, string> = {
   'openai': 'bg-emerald-500',
-  'claude': 'bg-amber-500'
+  'openai-responses': 'bg-teal-500',
+  'openai-completions': 'bg-lime-600',
+  'claude': 'bg-amber-500',
+  'claude-batch': 'bg-orange-600'
+}
+
+const PROTOCOL_LABELS: Record<string, string> = {
+  'openai': 'OpenAI',
+  'openai-responses': 'Responses',
+  'openai-completions': 'Completions',
+  'claude': 'Claude',
+  'claude-batch': 'Claude Batch'
 }
 
 function LogItem({ log, onClick, formatTime, formatDuration }: { log: LogEntry; onClick: () => void; formatTime: (s: string) => string; formatDuration: (ms: number) => string }) {
@@ -439,7 +450,7 @@ function LogItem({ log, onClick, formatTime, formatDuration }: { log: LogEntry;
         </div>
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-1.5 md:gap-2 flex-wrap">
-            {log.api_protocol && <span className={cn('px-1.5 py-0.5 text-xs rounded text-white font-medium', PROTOCOL_COLORS[log.api_protocol] || 'bg-gray-500')}>{log.api_protocol === 'openai' ? 'OpenAI' : 'Claude'}</span>}
+            {log.api_protocol && <span className={cn('px-1.5 py-0.5 text-xs rounded text-white font-medium', PROTOCOL_COLORS[log.api_protocol] || 'bg-gray-500')}>{PROTOCOL_LABELS[log.api_protocol] || log.api_protocol}</span>}
             {log.account_idp && <span className={cn('px-1.5 py-0.5 text-xs rounded text-white', IDP_COLORS[log.account_idp] || 'bg-gray-500')}>{log.account_idp}</span>}
             <span className="font-medium truncate text-sm max-w-[120px] md:max-w-none">{log.account_email || '未知账号'}</span>
             <Badge variant="outline" className="text-xs hidden md:inline-flex">{log.model || 'unknown'}</Badge>
@@ -471,7 +482,7 @@ function LogDetailModal({ log, onClose, isMobile }: { log: LogEntry; onClose: ()
           <div className="py-4 overflow-auto h-[calc(100%-3rem)] space-y-0">
             <DetailRow label="请求 ID" value={log.request_id} mono />
             <DetailRow label="状态" value={log.status === 'success' ? '成功' : '失败'} />
-            <DetailRow label="API 协议" value={log.api_protocol === 'openai' ? 'OpenAI' : log.api_protocol === 'claude' ? 'Claude' : '-'} />
+            <DetailRow label="API 协议" value={log.api_protocol ? PROTOCOL_LABELS[log.api_protocol] || log.api_protocol : '-'} />
             <DetailRow label="Header 版本" value={`V${log.header_version || 1}`} />
             {log.server_id ? <DetailRow label="服务器" value={log.server_id} /> : null}
             <DetailRow label="账号" value={log.account_email || '-'} />
@@ -522,7 +533,7 @@ function LogDetailModal({ log, onClose, isMobile }: { log: LogEntry; onClose: ()
         <div className="p-5 overflow-auto max-h-[calc(80vh-60px)] space-y-0">
           <DetailRow label="请求 ID" value={log.request_id} mono />
           <DetailRow label="状态" value={log.status === 'success' ? '成功' : '失败'} />
-          <DetailRow label="API 协议" value={log.api_protocol === 'openai' ? 'OpenAI' : log.api_protocol === 'claude' ? 'Claude' : '-'} />
+          <DetailRow label="API 协议" value={log.api_protocol ? PROTOCOL_LABELS[log.api_protocol] || log.api_protocol : '-'} />
           <DetailRow label="Header 版本" value={`V${log.header_version || 1}`} />
           {log.server_id ? <DetailRow label="服务器" value={log.server_id} /> : null}
           <DetailRow label="账号" value={log.account_email || '-'} />
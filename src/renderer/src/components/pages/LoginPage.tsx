@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react'
-import { Lock, Sparkles, Shield, Zap, Loader2, Check } from 'lucide-react'
+import { Lock, User, Sparkles, Shield, Zap, Loader2, Check, KeyRound, ArrowLeft, LogIn } from 'lucide-react'
 import kiroLogo from '@/assets/icon.png'
 
 // 记住密码存储 key
@@ -31,9 +31,10 @@ function decryptPassword(encrypted: string): string {
 }
 
 // 保存登录信息到 localStorage
-function saveLoginInfo(password: string): void {
+function saveLoginInfo(username: string, password: string): void {
   try {
     const data = {
+      username,
       password: encryptPassword(password),
       savedAt: Date.now()
     }
@@ -44,14 +45,14 @@ function saveLoginInfo(password: string): void {
 }
 
 // 获取保存的登录信息
-function getSavedLoginInfo(): { password: string } | null {
+function getSavedLoginInfo(): { username: string; password: string } | null {
   try {
     const saved = localStorage.getItem(REMEMBER_LOGIN_KEY)
     if (saved) {
       const data = JSON.parse(saved)
       const password = decryptPassword(data.password)
       if (password) {
-        return { password }
+        return { username: data.username || '', password }
       }
     }
   } catch {
@@ -82,14 +83,80 @@ interface LoginPageProps {
   onLoginSuccess: () => void
 }
 
+// 两步验证：verify 输入验证码；setup 管理员要求两步验证，先绑定验证器
+interface TwoFactorChallenge {
+  token: string
+  mode: 'verify' | 'setup'
+  username: string
+  password: string
+}
+
+interface TotpSetupInfo {
+  secret: string
+  otpauthUri: string
+}
+
+interface SsoConfig {
+  enabled: boolean
+  providerName: string
+}
+
+// 单点登录失败时回调跳转到 /?ssoError=<错误码>
+const SSO_ERROR_MESSAGES: Record<string, string> = {
+  NO_ROLE: '您的账号不在允许访问控制台的组中',
+  LAST_ADMIN_DEMOTION: '身份提供方撤销了最后一个管理员的权限，请使用本地管理员账号登录处理',
+  USER_DISABLED: '用户已被禁用',
+  NOT_PROVISIONED: '用户不存在，请联系管理员创建',
+  NO_USERNAME: '身份提供方未返回用户名',
+  USERNAME_CONFLICT: '用户名已被其他用户使用，请联系管理员',
+  INVALID_STATE: '登录已过期，请重试',
+  PROVIDER_ERROR: '身份提供方拒绝了登录请求',
+  PROVIDER_UNAVAILABLE: '无法连接身份提供方',
+  AUTHENTICATION_FAILED: '身份验证失败'
+}
+
+// 读取并清除地址栏中的单点登录错误
+function takeSsoError(): string {
+  try {
+    const params = new URLSearchParams(window.location.search)
+    const code = params.get('ssoError')
+    if (!code) return ''
+    params.delete('ssoError')
+    const query = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`)
+    return SSO_ERROR_MESSAGES[code] || '单点登录失败'
+  } catch {
+    return ''
+  }
+}
+
 export function LoginPage({ onLoginSuccess }: LoginPageProps) {
+  const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
-  const [error, setError] = useState('')
+  const [error, setError] = useState(() => takeSsoError())
   const [loading, setLoading] = useState(false)
   const [shake, setShake] = useState(false)
   const [rememberMe, setRememberMe] = useState(() => hasSavedLoginInfo())
   const [autoLogging, setAutoLogging] = useState(false)
   const autoLoginAttempted = useRef(false)
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null)
+  const [totpCode, setTotpCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [setupInfo, setSetupInfo] = useState<TotpSetupInfo | null>(null)
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null)
+  const [sso, setSso] = useState<SsoConfig | null>(null)
+
+  // 是否显示单点登录按钮
+  useEffect(() => {
+    fetch('/api/auth/oidc/config')
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.success && data.data?.enabled) setSso(data.data)
+      })
+      .catch(() => {
+        // 忽略错误，只显示密码登录
+      })
+  }, [])
 
   // 动态背景粒子效果
   useEffect(() => {
@@ -172,6 +239,47 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
     return () => window.removeEventListener('resize', handleResize)
   }, [])
 
+  // 登录成功，根据"记住密码"选项保存或清除密码
+  const finishLogin = (loginUsername: string, loginPassword: string) => {
+    if (rememberMe) {
+      saveLoginInfo(loginUsername, loginPassword)
+    } else {
+      clearSavedLoginInfo()
+    }
+    onLoginSuccess()
+  }
+
+  // 密码正确但需要两步验证，进入验证码步骤
+  const startTwoFactor = async (data: { error?: string; challengeToken: string }, loginUsername: string, loginPassword: string) => {
+    const mode = data.error === 'TOTP_SETUP_REQUIRED' ? 'setup' : 'verify'
+    setChallenge({ token: data.challengeToken, mode, username: loginUsername, password: loginPassword })
+    setTotpCode('')
+    setUseRecoveryCode(false)
+    setSetupInfo(null)
+
+    if (mode === 'setup') {
+      const response = await fetch('/api/auth/2fa/setup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken: data.challengeToken })
+      })
+      const setupData = await response.json()
+      if (setupData.success) {
+        setSetupInfo(setupData.data)
+      } else {
+        setError(setupData.message || '生成两步验证密钥失败')
+      }
+    }
+  }
+
+  const resetTwoFactor = (message = '') => {
+    setChallenge(null)
+    setSetupInfo(null)
+    setRecoveryCodes(null)
+    setTotpCode('')
+    setError(message)
+  }
+
   // 自动登录逻辑
   useEffect(() => {
     // 防止重复尝试自动登录
@@ -181,6 +289,7 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
     if (savedInfo && savedInfo.password) {
       autoLoginAttempted.current = true
       setAutoLogging(true)
+      setUsername(savedInfo.username)
       setPassword(savedInfo.password)
       
       // 自动提交登录
@@ -189,19 +298,15 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
           const response = await fetch('/api/auth/login', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ password: savedInfo.password })
+            body: JSON.stringify({ username: savedInfo.username, password: savedInfo.password })
           })
 
           const data = await response.json()
 
           if (data.success) {
-            // 登录成功，根据"记住密码"选项保存或清除密码
-            if (rememberMe) {
-              saveLoginInfo(password)
-            } else {
-              clearSavedLoginInfo()
-            }
-            onLoginSuccess()
+            finishLogin(savedInfo.username, savedInfo.password)
+          } else if (data.challengeToken) {
+            await startTwoFactor(data, savedInfo.username, savedInfo.password)
           } else {
             // 自动登录失败，清除保存的密码
             clearSavedLoginInfo()
@@ -230,19 +335,15 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
       const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
+        body: JSON.stringify({ username, password })
       })
 
       const data = await response.json()
 
       if (data.success) {
-        // 登录成功，根据"记住密码"选项保存或清除密码
-        if (rememberMe) {
-          saveLoginInfo(password)
-        } else {
-          clearSavedLoginInfo()
-        }
-        onLoginSuccess()
+        finishLogin(username, password)
+      } else if (data.challengeToken) {
+        await startTwoFactor(data, username, password)
       } else {
         setError(data.message || '登录失败')
         setShake(true)
@@ -257,6 +358,46 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
     }
   }
 
+  const handleTotpSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!challenge) return
+    setError('')
+    setLoading(true)
+
+    try {
+      const isSetup = challenge.mode === 'setup'
+      const body = isSetup || !useRecoveryCode
+        ? { challengeToken: challenge.token, code: totpCode }
+        : { challengeToken: challenge.token, recoveryCode: totpCode }
+      const response = await fetch(isSetup ? '/api/auth/2fa/enable' : '/api/auth/login/totp', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+
+      const data = await response.json()
+
+      if (data.success) {
+        if (isSetup) {
+          // 先显示恢复码，用户确认保存后再进入
+          setRecoveryCodes(data.data?.recoveryCodes || [])
+        } else {
+          finishLogin(challenge.username, challenge.password)
+        }
+      } else if (data.error === 'CHALLENGE_EXPIRED') {
+        resetTwoFactor(data.message)
+      } else {
+        setError(data.message || '验证失败')
+        setShake(true)
+        setTimeout(() => setShake(false), 500)
+      }
+    } catch {
+      setError('网络错误，请稍后重试')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   // 自动登录中的全屏加载状态
   if (autoLogging) {
     return (
@@ -328,7 +469,136 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
 
           {/* 登录卡片 */}
           <div className="group backdrop-blur-2xl bg-card/40 rounded-3xl shadow-2xl border border-white/10 dark:border-white/5 p-8 animate-slide-up hover:bg-card/50 transition-colors duration-500">
+            {recoveryCodes && challenge ? (
+              /* 启用两步验证后显示恢复码 */
+              <div className="space-y-6">
+                <div className="space-y-2">
+                  <h2 className="text-lg font-semibold text-foreground flex items-center gap-2">
+                    <KeyRound className="w-5 h-5 text-primary" />
+                    两步验证已启用
+                  </h2>
+                  <p className="text-sm text-muted-foreground">
+                    请妥善保存以下恢复码。丢失验证器时可使用恢复码登录，每个恢复码只能使用一次，此后不会再显示。
+                  </p>
+                </div>
+                <div className="grid grid-cols-2 gap-2 p-4 bg-background/50 border border-border/50 rounded-2xl font-mono text-sm select-all">
+                  {recoveryCodes.map((code) => (
+                    <span key={code}>{code}</span>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => finishLogin(challenge.username, challenge.password)}
+                  className="w-full py-4 px-6 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-2xl shadow-lg shadow-primary/25 transition-all duration-300 flex items-center justify-center gap-2.5"
+                >
+                  <Check className="w-5 h-5" />
+                  <span className="tracking-wide">我已保存，进入系统</span>
+                </button>
+              </div>
+            ) : challenge ? (
+              /* 两步验证 */
+              <form onSubmit={handleTotpSubmit} className="space-y-6">
+                <div className="space-y-2">
+                  <h2 className="text-lg font-semibold text-foreground flex items-center gap-2">
+                    <KeyRound className="w-5 h-5 text-primary" />
+                    {challenge.mode === 'setup' ? '绑定两步验证' : '两步验证'}
+                  </h2>
+                  <p className="text-sm text-muted-foreground">
+                    {challenge.mode === 'setup'
+                      ? '管理员要求启用两步验证。请在验证器应用（如 Google Authenticator、Microsoft Authenticator）中添加以下密钥，然后输入应用显示的 6 位验证码。'
+                      : useRecoveryCode
+                        ? '请输入一个未使用过的恢复码。'
+                        : '请输入验证器应用中显示的 6 位验证码。'}
+                  </p>
+                </div>
+
+                {challenge.mode === 'setup' && setupInfo && (
+                  <div className="space-y-2 p-4 bg-background/50 border border-border/50 rounded-2xl text-sm">
+                    <div className="text-xs font-semibold text-muted-foreground uppercase tracking-wider">密钥</div>
+                    <div className="font-mono break-all select-all text-foreground">{setupInfo.secret}</div>
+                    <a href={setupInfo.otpauthUri} className="inline-block text-xs text-primary hover:underline break-all">
+                      {setupInfo.otpauthUri}
+                    </a>
+                  </div>
+                )}
+
+                <input
+                  type="text"
+                  value={totpCode}
+                  onChange={(e) => setTotpCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  className="w-full px-5 py-4 bg-background/50 border border-border/50 rounded-2xl text-foreground text-center font-mono text-lg tracking-widest placeholder:text-muted-foreground/50 focus:outline-none focus:ring-2 focus:ring-primary/30 focus:border-primary/50 transition-all duration-300 shadow-inner"
+                  disabled={loading}
+                  autoFocus
+                />
+
+                {/* 错误提示 */}
+                {error && (
+                  <div className="p-4 bg-destructive/10 border border-destructive/20 rounded-2xl flex items-center gap-3 text-destructive text-sm animate-fade-in">
+                    <div className="w-1.5 h-1.5 rounded-full bg-destructive animate-pulse" />
+                    {error}
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={loading || !totpCode.trim()}
+                  className="w-full py-4 px-6 bg-primary hover:bg-primary/90 text-primary-foreground font-semibold rounded-2xl shadow-lg shadow-primary/25 hover:shadow-primary/40 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 flex items-center justify-center gap-2.5"
+                >
+                  {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : <Shield className="w-5 h-5" />}
+                  <span className="tracking-wide">{challenge.mode === 'setup' ? '启用并登录' : '验证'}</span>
+                </button>
+
+                <div className="flex items-center justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => resetTwoFactor()}
+                    className="text-muted-foreground hover:text-foreground flex items-center gap-1"
+                    disabled={loading}
+                  >
+                    <ArrowLeft className="w-4 h-4" />
+                    返回
+                  </button>
+                  {challenge.mode === 'verify' && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setUseRecoveryCode(!useRecoveryCode)
+                        setTotpCode('')
+                        setError('')
+                      }}
+                      className="text-primary hover:underline"
+                      disabled={loading}
+                    >
+                      {useRecoveryCode ? '使用验证码' : '使用恢复码'}
+                    </button>
+                  )}
+                </div>
+              </form>
+            ) : (
             <form onSubmit={handleSubmit} className="space-y-6">
+              {/* 用户名输入框 */}
+              <div className="space-y-2.5">
+                <label className="text-xs font-semibold text-muted-foreground uppercase tracking-wider ml-1 flex items-center gap-1.5">
+                  <User className="w-3.5 h-3.5" />
+                  用户名
+                </label>
+                <div className="relative">
+                  <input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="留空使用管理员账号..."
+                    autoComplete="username"
+                    className="w-full px-5 py-4 bg-background/50 border border-border/50 rounded-2xl text-foreground placeholder:text-muted-foreground/50 focus:outline-none focus:ring-2 focus:ring-primary/30 focus:border-primary/50 transition-all duration-300 shadow-inner"
+                    disabled={loading}
+                    autoFocus
+                  />
+                </div>
+              </div>
+
               {/* 密码输入框 */}
               <div className="space-y-2.5">
                 <label className="text-xs font-semibold text-muted-foreground uppercase tracking-wider ml-1 flex items-center gap-1.5">
@@ -341,9 +611,9 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
                     value={password}
                     onChange={(e) => setPassword(e.target.value)}
                     placeholder="请输入访问密码..."
+                    autoComplete="current-password"
                     className="w-full px-5 py-4 bg-background/50 border border-border/50 rounded-2xl text-foreground placeholder:text-muted-foreground/50 focus:outline-none focus:ring-2 focus:ring-primary/30 focus:border-primary/50 transition-all duration-300 shadow-inner"
                     disabled={loading}
-                    autoFocus
                   />
                 </div>
               </div>
@@ -396,7 +666,23 @@ export function LoginPage({ onLoginSuccess }: LoginPageProps) {
                   </>
                 )}
               </button>
+
+              {/* 单点登录 */}
+              {sso && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    window.location.href = `/api/auth/oidc/login?redirect=${encodeURIComponent(window.location.pathname)}`
+                  }}
+                  disabled={loading}
+                  className="w-full py-4 px-6 bg-background/50 hover:bg-background/80 border border-border/50 text-foreground font-semibold rounded-2xl transition-all duration-300 flex items-center justify-center gap-2.5 disabled:opacity-50"
+                >
+                  <LogIn className="w-5 h-5" />
+                  <span className="tracking-wide">使用 {sso.providerName} 登录</span>
+                </button>
+              )}
             </form>
+            )}
 
             {/* 装饰性特性列表 */}
             <div className="mt-8 pt-8 border-t border-border/30">
@@ -159,6 +159,11 @@ export interface AccountGroup {
   description?: string
   color?: string
   apiKey?: string  // 分组专属 API Key，用于 OpenAI 兼容 API 认证，只能访问该分组内的账号
+  rateLimitRpm?: number  // 分组 SK 每分钟请求数上限，0 表示不限制
+  rateLimitTpm?: number  // 分组 SK 每分钟 token 数上限，0 表示不限制
+  maxConcurrentStreams?: number  // 分组 SK 同时进行的流式请求上限，0 表示不限制
+  allowedModels?: string[] | null  // 分组允许的模型（可写别名），null 表示不限制
+  defaultModel?: string | null  // 请求未指定 model 时使用的模型
   order: number
   createdAt: number
   version?: number // 数据版本号（用于乐观锁）